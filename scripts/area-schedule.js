@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+
+// Usage: node scripts/area-schedule.js <scene.v1.json> [--mall <mall-template.json>] [--unit <unit-template.json>]... [--format csv|md] [--out <file-prefix>]
+const args = process.argv.slice(2);
+let inputPath = null;
+let mallPath = null;
+const unitPaths = [];
+let format = null;
+let outPrefix = null;
+
+for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--mall' && i + 1 < args.length) {
+        mallPath = args[++i];
+    } else if (args[i] === '--unit' && i + 1 < args.length) {
+        unitPaths.push(args[++i]);
+    } else if (args[i] === '--format' && i + 1 < args.length) {
+        format = args[++i];
+    } else if (args[i] === '--out' && i + 1 < args.length) {
+        outPrefix = args[++i];
+    } else if (!inputPath) {
+        inputPath = args[i];
+    }
+}
+
+if (!inputPath || (format && !['csv', 'md'].includes(format))) {
+    console.log('Usage: node scripts/area-schedule.js <scene.v1.json> [--mall <template.json>] [--unit <template.json>]... [--format csv|md] [--out <file-prefix>]');
+    process.exit(1);
+}
+
+outPrefix = outPrefix || inputPath.replace(/(\.scene(\.v1)?)?\.json$/, '') + '.area-schedule';
+
+// Migrated and schema-checked template DTO
+function loadTemplateFile(templatePath, loadTemplate, type) {
+    const { dto } = loadTemplate(JSON.parse(fs.readFileSync(templatePath, 'utf8')), { strict: true });
+    if (dto.type !== type) {
+        throw new Error(`${templatePath} is a ${dto.type} template, expected ${type}`);
+    }
+    return dto;
+}
+
+(async () => {
+    try {
+        const { FloorplanDocument } = await import(path.resolve(__dirname, '../src/editor/core/FloorplanDocument.js'));
+        const { scheduleToCsv, scheduleToMarkdown } = await import(path.resolve(__dirname, '../src/editor/core/AreaSchedule.js'));
+        const { load: loadTemplate } = await import(path.resolve(__dirname, '../src/editor/core/TemplateLoader.js'));
+
+        const scene = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+        const doc = new FloorplanDocument();
+        doc.fromSceneV1(scene);
+        doc.applyImportedLevels(scene);
+
+        // Units come from the mall template (detected from the floor without one); rooms from unit templates
+        const options = { name: scene.meta?.name || path.basename(inputPath, '.json') };
+        if (mallPath) {
+            const mall = loadTemplateFile(mallPath, loadTemplate, 'mall');
+            options.name = mall.id;
+            options.units = mall.units;
+            if (mall.scale && !scene.scale) doc.setScale(mall.scale);
+        }
+        options.rooms = Object.fromEntries(unitPaths.map(unitPath => {
+            const unit = loadTemplateFile(unitPath, loadTemplate, 'unit');
+            return [unit.id, unit.children || []];
+        }));
+
+        const report = doc.areaSchedule(options);
+        const outputs = { csv: scheduleToCsv, md: scheduleToMarkdown };
+        const written = Object.entries(outputs)
+            .filter(([extension]) => !format || format === extension)
+            .map(([extension, write]) => {
+                const file = `${outPrefix}.${extension}`;
+                fs.writeFileSync(file, write(report));
+                return file;
+            });
+
+        console.log(`Area schedule passed: ${written.join(', ')} (${report.units.length} units, GFA ${report.totals.grossArea.toFixed(2)} m², NLA ${report.totals.netArea.toFixed(2)} m²)`);
+        process.exit(0);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            console.log(`Area schedule failed: file not found: ${error.path}`);
+        } else {
+            console.log(`Area schedule failed: ${error.message}`);
+        }
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const standaloneCode = require('ajv/dist/standalone').default;
+
+// Usage: node scripts/build-template-validators.js [--check]
+// Compiles the template JSON Schemas in schemas/ into a dependency-free ES module so the browser
+// editor validates with the same AJV code as Node. --check exits 1 when the module is out of date.
+const SCHEMA_DIR = path.resolve(__dirname, '../schemas');
+const OUT_FILE = path.resolve(__dirname, '../src/editor/core/generated/templateValidators.js');
+
+// Exported validator name → schema file, one per template kind
+const TEMPLATE_SCHEMAS = {
+    mall: 'mall-template.v1.schema.json',
+    unit: 'unit-template.v2.schema.json',
+    room: 'room-template.v2.schema.json',
+    object: 'object-template.v2.schema.json'
+};
+// Other files checked with the same shared definitions (tenant registry, see TenantRegistry.js)
+const DATA_SCHEMAS = {
+    tenants: 'tenant-registry.v1.schema.json'
+};
+const SHARED_SCHEMAS = ['template-common.v1.schema.json'];
+const ALL_SCHEMAS = { ...TEMPLATE_SCHEMAS, ...DATA_SCHEMAS };
+
+function readSchema(file) {
+    return JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, file), 'utf8'));
+}
+
+function buildModule() {
+    const ajv = new Ajv({ allErrors: true, strict: true, code: { source: true, esm: true } });
+    SHARED_SCHEMAS.forEach(file => ajv.addSchema(readSchema(file)));
+
+    const exports = {};
+    for (const [kind, file] of Object.entries(ALL_SCHEMAS)) {
+        const schema = readSchema(file);
+        ajv.addSchema(schema);
+        exports[kind] = schema.$id;
+    }
+
+    const code = standaloneCode(ajv, exports);
+    // Keyword helpers (string length, deep equality, formats) would import from ajv at runtime
+    if (/\brequire\(|^import /m.test(code)) {
+        throw new Error('generated code needs the ajv runtime; avoid minLength/uniqueItems/format in template schemas');
+    }
+    const sources = [...SHARED_SCHEMAS, ...Object.values(ALL_SCHEMAS)].map(file => `schemas/${file}`).join(', ');
+    return `// Generated by scripts/build-template-validators.js from ${sources}. Do not edit.\n${code}\n`;
+}
+
+try {
+    const output = buildModule();
+
+    if (process.argv.includes('--check')) {
+        const current = fs.existsSync(OUT_FILE) ? fs.readFileSync(OUT_FILE, 'utf8') : '';
+        if (current !== output) {
+            console.log(`Template validators check failed: ${path.relative(process.cwd(), OUT_FILE)} is out of date, run npm run build:validators`);
+            process.exit(1);
+        }
+        console.log('Template validators check passed');
+        process.exit(0);
+    }
+
+    fs.mkdirSync(path.dirname(OUT_FILE), { recursive: true });
+    fs.writeFileSync(OUT_FILE, output);
+    console.log(`Template validators build passed: ${path.relative(process.cwd(), OUT_FILE)} (${Object.keys(ALL_SCHEMAS).join(', ')})`);
+    process.exit(0);
+} catch (error) {
+    console.log(`Template validators build failed: ${error.message}`);
+    process.exit(1);
+}
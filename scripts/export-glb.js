@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+
+// Usage: node scripts/export-glb.js <scene.3d.v1.json> [--out <file.glb>] [--regions <mall-or-unit-template.json>]
+const args = process.argv.slice(2);
+let inputPath = null;
+let outPath = null;
+let regionsPath = null;
+
+for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--out' && i + 1 < args.length) {
+        outPath = args[++i];
+    } else if (args[i] === '--regions' && i + 1 < args.length) {
+        regionsPath = args[++i];
+    } else if (!inputPath) {
+        inputPath = args[i];
+    }
+}
+
+if (!inputPath) {
+    console.log('Usage: node scripts/export-glb.js <scene.3d.v1.json> [--out <file.glb>] [--regions <template.json>]');
+    process.exit(1);
+}
+
+outPath = outPath || inputPath.replace(/(\.scene\.3d\.v1)?\.json$/, '') + '.glb';
+
+// Named regions ({ id, rect, shape? }): units of a mall template, or rooms of a unit template (migrated and schema-checked first)
+function loadRegions(templatePath, loadTemplate) {
+    const { dto } = loadTemplate(JSON.parse(fs.readFileSync(templatePath, 'utf8')), { strict: true });
+    if (dto.type === 'mall') {
+        return dto.units;
+    }
+    if (Array.isArray(dto.children)) {
+        return dto.children;
+    }
+    throw new Error(`${templatePath} has no units or rooms`);
+}
+
+(async () => {
+    try {
+        const { toGLB } = await import(path.resolve(__dirname, '../src/editor/core/GltfExporter.js'));
+        const { load: loadTemplate } = await import(path.resolve(__dirname, '../src/editor/core/TemplateLoader.js'));
+
+        const scene = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+        const regions = regionsPath ? loadRegions(regionsPath, loadTemplate) : [];
+        const glb = toGLB(scene, { regions });
+
+        fs.writeFileSync(outPath, glb);
+        console.log(`GLB export passed: ${outPath} (${glb.byteLength} bytes, ${regions.length} regions, digest=${scene.meta?.digest})`);
+        process.exit(0);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            console.log(`GLB export failed: file not found: ${error.path}`);
+        } else {
+            console.log(`GLB export failed: ${error.message}`);
+        }
+        process.exit(1);
+    }
+})();
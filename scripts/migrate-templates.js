@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+
+// Usage: node scripts/migrate-templates.js [paths...] [--dry-run] [--check]
+// Upgrades every template JSON under the given files/directories (default floor-plans/) to the
+// current schema version and rewrites it in place. --dry-run only reports; --check also exits 1
+// when any file still needs migrating (for CI).
+const args = process.argv.slice(2);
+const check = args.includes('--check');
+const dryRun = check || args.includes('--dry-run');
+const roots = args.filter(arg => !arg.startsWith('--'));
+
+if (args.some(arg => arg.startsWith('--') && arg !== '--check' && arg !== '--dry-run')) {
+    console.log('Usage: node scripts/migrate-templates.js [paths...] [--dry-run] [--check]');
+    process.exit(1);
+}
+
+function collectJsonFiles(target) {
+    if (fs.statSync(target).isDirectory()) {
+        return fs.readdirSync(target)
+            .sort()
+            .flatMap(name => collectJsonFiles(path.join(target, name)));
+    }
+    return target.endsWith('.json') ? [target] : [];
+}
+
+(async () => {
+    try {
+        const { migrate } = await import(path.resolve(__dirname, '../src/editor/core/SchemaMigrations.js'));
+
+        const files = (roots.length > 0 ? roots : [path.resolve(__dirname, '../floor-plans')]).flatMap(collectJsonFiles);
+        let pending = 0;
+        let failed = 0;
+
+        for (const file of files) {
+            const name = path.relative(process.cwd(), file);
+            let result;
+            try {
+                result = migrate(JSON.parse(fs.readFileSync(file, 'utf8')));
+            } catch (error) {
+                console.log(`✗ ${name}: ${error.message}`);
+                failed++;
+                continue;
+            }
+            if (!result.migrated) continue;
+
+            pending++;
+            if (!dryRun) {
+                fs.writeFileSync(file, JSON.stringify(result.data, null, 2) + '\n');
+            }
+            console.log(`${dryRun ? '•' : '✓'} ${name}: ${result.changes.join(', ')}`);
+        }
+
+        const verb = dryRun ? 'need migrating' : 'migrated';
+        if (failed > 0 || (check && pending > 0)) {
+            console.log(`Template migration failed: ${pending} of ${files.length} files ${verb}, ${failed} unreadable`);
+            process.exit(1);
+        }
+        console.log(`Template migration passed: ${pending} of ${files.length} files ${verb}`);
+        process.exit(0);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            console.log(`Template migration failed: file not found: ${error.path}`);
+        } else {
+            console.log(`Template migration failed: ${error.message}`);
+        }
+        process.exit(1);
+    }
+})();
@@ -39,7 +39,7 @@ try {
     
     // Validate the copied file
     try {
-        execSync(`node scripts/validate-units.js "${destFile}"`, { 
+        execSync(`node scripts/validate-templates.js "${destFile}"`, { 
             stdio: 'pipe' 
         });
     } catch (validationError) {
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+
+// Usage: node scripts/rent-roll.js <scene.v1.json> --mall <mall-template.json> --tenants <tenant-registry.json> [--date YYYY-MM-DD] [--within <days>] [--format csv|md] [--out <file-prefix>]
+// Writes the rent roll, vacancy schedule and lease expiries of the mall on --date (default today), with unit
+// areas measured on the plan. Cross-check problems are printed; errors exit 1 after the reports are written.
+const args = process.argv.slice(2);
+let inputPath = null;
+let mallPath = null;
+let tenantsPath = null;
+let asOf = new Date().toISOString().slice(0, 10);
+let withinDays = 365;
+let format = null;
+let outPrefix = null;
+
+for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--mall' && i + 1 < args.length) {
+        mallPath = args[++i];
+    } else if (args[i] === '--tenants' && i + 1 < args.length) {
+        tenantsPath = args[++i];
+    } else if (args[i] === '--date' && i + 1 < args.length) {
+        asOf = args[++i];
+    } else if (args[i] === '--within' && i + 1 < args.length) {
+        withinDays = Number(args[++i]);
+    } else if (args[i] === '--format' && i + 1 < args.length) {
+        format = args[++i];
+    } else if (args[i] === '--out' && i + 1 < args.length) {
+        outPrefix = args[++i];
+    } else if (!inputPath) {
+        inputPath = args[i];
+    }
+}
+
+if (!inputPath || !mallPath || !tenantsPath || !/^\d{4}-\d{2}-\d{2}$/.test(asOf) ||
+    !Number.isInteger(withinDays) || withinDays < 0 || (format && !['csv', 'md'].includes(format))) {
+    console.log('Usage: node scripts/rent-roll.js <scene.v1.json> --mall <template.json> --tenants <registry.json> [--date YYYY-MM-DD] [--within <days>] [--format csv|md] [--out <file-prefix>]');
+    process.exit(1);
+}
+
+outPrefix = outPrefix || inputPath.replace(/(\.scene(\.v1)?)?\.json$/, '');
+
+(async () => {
+    try {
+        const { FloorplanDocument } = await import(path.resolve(__dirname, '../src/editor/core/FloorplanDocument.js'));
+        const { load: loadTemplate } = await import(path.resolve(__dirname, '../src/editor/core/TemplateLoader.js'));
+        const { formatValidationErrors } = await import(path.resolve(__dirname, '../src/editor/core/TemplateValidation.js'));
+        const { validateRegistry, buildRentRoll, rentRollToCsv, rentRollToMarkdown } = await import(path.resolve(__dirname, '../src/editor/core/TenantRegistry.js'));
+
+        const scene = JSON.parse(fs.readFileSync(inputPath, 'utf8'));
+        const doc = new FloorplanDocument();
+        doc.fromSceneV1(scene);
+        doc.applyImportedLevels(scene);
+
+        const { dto: mall } = loadTemplate(JSON.parse(fs.readFileSync(mallPath, 'utf8')), { strict: true });
+        if (mall.type !== 'mall') {
+            throw new Error(`${mallPath} is a ${mall.type} template, expected mall`);
+        }
+        if (mall.scale && !scene.scale) doc.setScale(mall.scale);
+
+        const registry = JSON.parse(fs.readFileSync(tenantsPath, 'utf8'));
+        const validation = validateRegistry(registry);
+        if (!validation.valid) {
+            throw new Error(`invalid tenant-registry.v1: ${formatValidationErrors(validation.errors).join('; ')}`);
+        }
+
+        const schedule = doc.areaSchedule({ name: mall.id, units: mall.units });
+        const report = buildRentRoll({ registry, units: mall.units, schedule, asOf, withinDays });
+
+        const written = [];
+        if (!format || format === 'csv') {
+            Object.entries(rentRollToCsv(report)).forEach(([name, csv]) => {
+                const file = `${outPrefix}.${name}.csv`;
+                fs.writeFileSync(file, csv);
+                written.push(file);
+            });
+        }
+        if (!format || format === 'md') {
+            const file = `${outPrefix}.rent-roll.md`;
+            fs.writeFileSync(file, rentRollToMarkdown(report));
+            written.push(file);
+        }
+
+        report.problems.forEach(problem => console.log(`${problem.severity === 'error' ? '✗' : '!'} ${problem.message}`));
+
+        const { totals } = report;
+        const summary = `${totals.leasedUnits} of ${totals.units} units leased, vacancy ${(totals.vacancyRate * 100).toFixed(1)}%, ${totals.expiring} leases ending within ${withinDays} days`;
+        const errors = report.problems.filter(problem => problem.severity === 'error').length;
+        if (errors > 0) {
+            console.log(`Rent roll failed: ${errors} cross-check ${errors === 1 ? 'error' : 'errors'}; wrote ${written.join(', ')} (${summary})`);
+            process.exit(1);
+        }
+        console.log(`Rent roll passed: ${written.join(', ')} (${summary})`);
+        process.exit(0);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            console.log(`Rent roll failed: file not found: ${error.path}`);
+        } else {
+            console.log(`Rent roll failed: ${error.message}`);
+        }
+        process.exit(1);
+    }
+})();
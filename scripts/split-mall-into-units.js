@@ -73,15 +73,23 @@ try {
             process.exit(1);
         }
         
-        // Create unit JSON
+        // Create unit JSON (unit-template.v2; the parent path lets the editor find the mall next to the unit)
         const unitData = {
+            meta: {
+                schema: "unit-template.v2",
+                version: "2.0",
+                parent: {
+                    schema: mallData.meta?.schema || "mall-template.v1",
+                    id: mallData.id,
+                    path: relativePath(unitsDir, mallJsonPath)
+                }
+            },
             id: unitId,
-            parentMallId: mallData.id,
             rect: rect,
-            rooms: [
+            children: [
                 {
                     id: "room-1",
-                    gridRect: rect
+                    rect: rect
                 }
             ]
         };
@@ -90,15 +98,17 @@ try {
         const unitPath = path.join(unitsDir, `${unitId}.json`);
         fs.writeFileSync(unitPath, JSON.stringify(unitData, null, 2));
         
-        // Add to index
+        // Add to index (paths are relative to the index, so the editor's parent lookup can find the unit)
         unitsIndex.push({
             id: unitId,
-            rect: rect
+            rect: rect,
+            path: relativePath(path.dirname(unitsIndexPath), unitPath)
         });
     });
     
-    // Write units index
-    fs.writeFileSync(unitsIndexPath, JSON.stringify({ units: unitsIndex }, null, 2));
+    // Write units index, listing the mall so units can find their parent
+    const malls = [{ id: mallData.id, path: relativePath(path.dirname(unitsIndexPath), mallJsonPath) }];
+    fs.writeFileSync(unitsIndexPath, JSON.stringify({ malls, units: unitsIndex }, null, 2));
     
     console.log(`Units generated: ${validRegions.length}`);
     process.exit(0);
@@ -108,6 +118,11 @@ try {
     process.exit(1);
 }
 
+// Path of a file relative to a directory, with forward slashes as templates and indexes use
+function relativePath(fromDir, filePath) {
+    return path.relative(fromDir, filePath).split(path.sep).join('/');
+}
+
 function parseInstances(instances, width, height) {
     const floorGrid = Array(height).fill(null).map(() => Array(width).fill(false));
     const wallEdges = {
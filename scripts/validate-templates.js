@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+
+// Usage: node scripts/validate-templates.js [paths...]
+// Validates every mall/unit/room/object template under the given files/directories (default floor-plans/)
+// against schemas/*-template.v<N>.schema.json. Older files are migrated in memory first.
+// Prints one line per error with its JSON pointer and exits 1 when any template is invalid.
+const roots = process.argv.slice(2);
+
+if (roots.some(arg => arg.startsWith('--'))) {
+    console.log('Usage: node scripts/validate-templates.js [paths...]');
+    process.exit(1);
+}
+
+function collectJsonFiles(target) {
+    if (fs.statSync(target).isDirectory()) {
+        return fs.readdirSync(target)
+            .sort()
+            .flatMap(name => collectJsonFiles(path.join(target, name)));
+    }
+    return target.endsWith('.json') ? [target] : [];
+}
+
+(async () => {
+    try {
+        const { load } = await import(path.resolve(__dirname, '../src/editor/core/TemplateLoader.js'));
+        const { getSchemaVersion, schemaId } = await import(path.resolve(__dirname, '../src/editor/core/SchemaMigrations.js'));
+        const { formatValidationErrors } = await import(path.resolve(__dirname, '../src/editor/core/TemplateValidation.js'));
+
+        const files = (roots.length > 0 ? roots : [path.resolve(__dirname, '../floor-plans')]).flatMap(collectJsonFiles);
+        let checked = 0;
+        let invalid = 0;
+
+        for (const file of files) {
+            const name = path.relative(process.cwd(), file);
+            let errors;
+            try {
+                const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+                const { kind, version } = getSchemaVersion(json);
+                if (kind === 'unknown' || kind === 'scene') continue;
+
+                checked++;
+                const { validation, migration } = load(json);
+                const note = migration.migrated ? ` (migrated from ${version === 0 ? 'legacy' : schemaId(kind, version)})` : '';
+                if (validation.valid) {
+                    console.log(`✓ ${name}: ${schemaId(kind)}${note}`);
+                    continue;
+                }
+                errors = formatValidationErrors(validation.errors).map(line => `${schemaId(kind)}${note} ${line}`);
+            } catch (error) {
+                checked++;
+                errors = [error.message];
+            }
+
+            invalid++;
+            errors.forEach(line => console.log(`✗ ${name}: ${line}`));
+        }
+
+        if (invalid > 0) {
+            console.log(`Template validation failed: ${invalid} of ${checked} templates invalid`);
+            process.exit(1);
+        }
+        console.log(`Template validation passed: ${checked} templates`);
+        process.exit(0);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            console.log(`Template validation failed: file not found: ${error.path}`);
+        } else {
+            console.log(`Template validation failed: ${error.message}`);
+        }
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,272 @@
+/**
+ * AreaSchedule - Area schedule and quantity takeoff of a mall, its units and their rooms
+ *
+ * Measures floor cells and the edges around them on every level:
+ * - Gross floor area (GFA): every floor tile of a level; net leasable area (NLA): the floor tiles inside a unit
+ * - Wall lengths, split per region: a perimeter wall has the region on one side only, a partition wall on
+ *   both. Walls and windows count as wall length; doors are counted; openings are neither.
+ * - Rooms: the unit's listed rooms (unit template children), or else the parts of the unit that are
+ *   closed off from each other by edges of any type
+ *
+ * The report is plain data in meters. scheduleToCsv and scheduleToMarkdown write it in the scale's
+ * display units with fixed decimals and no timestamps, so two revisions of a plan can be diffed.
+ */
+
+import { getEdgeType } from './EdgeTypes.js';
+import { isInsideRegion } from './TemplateBounds.js';
+import { normalizeScale, lengthInUnits, areaInUnits, describeScale, UNIT_SYMBOLS } from './Units.js';
+
+// Cell sides: the edge slot and the neighbouring cell across it
+const SIDES = [
+    { edge: (x, y) => ['H', x, y], next: (x, y) => [x, y - 1] },
+    { edge: (x, y) => ['H', x, y + 1], next: (x, y) => [x, y + 1] },
+    { edge: (x, y) => ['V', x, y], next: (x, y) => [x - 1, y] },
+    { edge: (x, y) => ['V', x + 1, y], next: (x, y) => [x + 1, y] }
+];
+
+const WALL_TYPES = ['wall', 'window'];
+
+/**
+ * Build the area schedule of a mall
+ * @param {Object} params
+ * @param {string} [params.name] - Report title (mall id)
+ * @param {Array<Object>} params.levels - [{ id, name?, sceneModel }] bottom to top
+ * @param {Array<Object>} [params.units] - [{ id, rect, shape? }] mall units in grid coordinates
+ * @param {Object} [params.rooms] - { [unitId]: [{ id, rect, shape? }] } listed rooms per unit
+ * @param {Object} [params.scale] - { cellMeters, units } (see Units.js)
+ * @returns {Object} - { name, scale, totals, levels, units }; areas in m², lengths in m
+ */
+export function buildAreaSchedule({ name = 'mall', levels, units = [], rooms = {}, scale }) {
+    const { cellMeters, units: displayUnits } = normalizeScale(scale);
+    const measure = (cells, sceneModel) => measureCells(cells, sceneModel, cellMeters);
+
+    const floors = levels.map(level => ({ level, cells: floorCells(level.sceneModel) }));
+    const levelRows = floors.map(({ level, cells }) => ({ id: level.id, name: level.name || level.id, ...measure(cells, level.sceneModel) }));
+
+    const unitRows = [];
+    for (const unit of units) {
+        // One row per level the unit has floor on; a unit without floor still gets a row, on the lowest level
+        const rows = floors
+            .map(({ level, cells }) => ({ level, cells: cells.filter(([x, y]) => isInsideRegion(unit, x, y)) }))
+            .filter(({ cells }) => cells.length > 0);
+        if (rows.length === 0 && floors.length > 0) rows.push({ level: floors[0].level, cells: [] });
+
+        for (const { level, cells } of rows) {
+            const listed = rooms[unit.id];
+            const roomCells = Array.isArray(listed)
+                ? listed.map(room => ({ id: room.id, cells: cells.filter(([x, y]) => isInsideRegion(room, x, y)) }))
+                : detectRooms(cells, level.sceneModel).map((roomCells, index) => ({ id: `room-${index + 1}`, cells: roomCells }));
+
+            unitRows.push({
+                id: unit.id,
+                level: level.id,
+                ...measure(cells, level.sceneModel),
+                rooms: roomCells.map(room => ({ id: room.id, ...measure(room.cells, level.sceneModel) }))
+            });
+        }
+    }
+
+    const sum = (rows, key) => rows.reduce((total, row) => total + row[key], 0);
+    return {
+        name,
+        scale: { cellMeters, units: displayUnits },
+        totals: {
+            tiles: sum(levelRows, 'tiles'),
+            grossArea: sum(levelRows, 'area'),
+            netArea: sum(unitRows, 'area'),
+            perimeterWall: sum(levelRows, 'perimeterWall'),
+            partitionWall: sum(levelRows, 'partitionWall'),
+            doors: sum(levelRows, 'doors')
+        },
+        levels: levelRows,
+        units: unitRows
+    };
+}
+
+/**
+ * Write an area schedule as CSV: one row for the mall, then each level, unit and room
+ * @param {Object} report - From buildAreaSchedule
+ * @returns {string}
+ */
+export function scheduleToCsv(report) {
+    const { units } = report.scale;
+    const { length, area } = UNIT_SYMBOLS[units];
+    const header = ['scope', 'level', 'unit', 'room', 'tiles', `area_${ascii(area)}`, `perimeter_wall_${length}`, `partition_wall_${length}`, 'doors'];
+
+    const row = (scope, level, unit, room, values) => [
+        scope, level, unit, room,
+        values.tiles, fixed(areaInUnits(values.area, units)),
+        fixed(lengthInUnits(values.perimeterWall, units)), fixed(lengthInUnits(values.partitionWall, units)),
+        values.doors
+    ];
+
+    const rows = [header, row('mall', '', '', '', { ...report.totals, area: report.totals.grossArea })];
+    report.levels.forEach(level => rows.push(row('level', level.id, '', '', level)));
+    report.units.forEach(unit => {
+        rows.push(row('unit', unit.level, unit.id, '', unit));
+        unit.rooms.forEach(room => rows.push(row('room', unit.level, unit.id, room.id, room)));
+    });
+
+    return toCsv(rows);
+}
+
+/**
+ * Write an area schedule as a Markdown report with summary, level, unit and room tables
+ * @param {Object} report - From buildAreaSchedule
+ * @returns {string}
+ */
+export function scheduleToMarkdown(report) {
+    const { units } = report.scale;
+    const { length, area } = UNIT_SYMBOLS[units];
+    const a = (value) => fixed(areaInUnits(value, units));
+    const l = (value) => fixed(lengthInUnits(value, units));
+    const { totals } = report;
+    const efficiency = totals.grossArea > 0 ? `${(totals.netArea / totals.grossArea * 100).toFixed(1)}%` : '–';
+
+    const lines = [
+        `# Area Schedule: ${report.name}`,
+        '',
+        `Scale: ${describeScale(report.scale)}`,
+        '',
+        '## Summary',
+        '',
+        markdownTable(['Measure', 'Value'], [
+            ['Gross floor area', `${a(totals.grossArea)} ${area}`],
+            ['Net leasable area', `${a(totals.netArea)} ${area}`],
+            ['Efficiency (NLA / GFA)', efficiency],
+            ['Perimeter walls', `${l(totals.perimeterWall)} ${length}`],
+            ['Partition walls', `${l(totals.partitionWall)} ${length}`],
+            ['Doors', totals.doors]
+        ]),
+        '',
+        '## Levels',
+        '',
+        markdownTable(['Level', 'Tiles', `GFA (${area})`, `Perimeter walls (${length})`, `Partition walls (${length})`, 'Doors'],
+            report.levels.map(level => [level.name, level.tiles, a(level.area), l(level.perimeterWall), l(level.partitionWall), level.doors])),
+        '',
+        '## Units',
+        ''
+    ];
+
+    if (report.units.length === 0) {
+        lines.push('No units.');
+    } else {
+        lines.push(
+            markdownTable(['Unit', 'Level', 'Tiles', `NLA (${area})`, `Perimeter walls (${length})`, `Partition walls (${length})`, 'Doors'],
+                report.units.map(unit => [unit.id, unit.level, unit.tiles, a(unit.area), l(unit.perimeterWall), l(unit.partitionWall), unit.doors])),
+            '',
+            '## Rooms',
+            '',
+            markdownTable(['Unit', 'Room', 'Tiles', `Area (${area})`, `Perimeter walls (${length})`, `Partition walls (${length})`, 'Doors'],
+                report.units.flatMap(unit => unit.rooms.map(room => [unit.id, room.id, room.tiles, a(room.area), l(room.perimeterWall), l(room.partitionWall), room.doors])))
+        );
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Floor cells of a scene model as [x, y], row by row
+function floorCells(sceneModel) {
+    const cells = [];
+    sceneModel.grid.forEach((row, y) => row.forEach((tile, x) => {
+        if (tile === 'floor') cells.push([x, y]);
+    }));
+    return cells;
+}
+
+// Tiles, area, wall lengths and doors of a set of cells; an edge inside the set is counted once
+function measureCells(cells, sceneModel, cellMeters) {
+    const inside = new Set(cells.map(([x, y]) => `${x},${y}`));
+    let perimeter = 0;
+    let partition = 0;
+    let doors = 0;
+
+    for (const [x, y] of cells) {
+        SIDES.forEach((side, index) => {
+            const [nx, ny] = side.next(x, y);
+            const shared = inside.has(`${nx},${ny}`);
+            if (shared && index % 2 === 1) return; // Counted from the other cell's top/left side
+
+            const type = getEdgeType(edgeAt(sceneModel, ...side.edge(x, y)));
+            if (type === 'door') {
+                doors++;
+            } else if (WALL_TYPES.includes(type)) {
+                if (shared) partition++;
+                else perimeter++;
+            }
+        });
+    }
+
+    return {
+        tiles: cells.length,
+        area: cells.length * cellMeters * cellMeters,
+        perimeterWall: perimeter * cellMeters,
+        partitionWall: partition * cellMeters,
+        doors
+    };
+}
+
+// Groups of cells that reach each other without crossing any edge, in scan order
+function detectRooms(cells, sceneModel) {
+    const remaining = new Set(cells.map(([x, y]) => `${x},${y}`));
+    const rooms = [];
+
+    for (const [startX, startY] of cells) {
+        if (!remaining.has(`${startX},${startY}`)) continue;
+        remaining.delete(`${startX},${startY}`);
+
+        const room = [];
+        const stack = [[startX, startY]];
+        while (stack.length > 0) {
+            const [x, y] = stack.pop();
+            room.push([x, y]);
+            for (const side of SIDES) {
+                const [nx, ny] = side.next(x, y);
+                const key = `${nx},${ny}`;
+                if (remaining.has(key) && !edgeAt(sceneModel, ...side.edge(x, y))) {
+                    remaining.delete(key);
+                    stack.push([nx, ny]);
+                }
+            }
+        }
+        rooms.push(room.sort((a, b) => a[1] - b[1] || a[0] - b[0]));
+    }
+    return rooms;
+}
+
+function edgeAt(sceneModel, dir, x, y) {
+    return (dir === 'H' ? sceneModel.horizontalEdges : sceneModel.verticalEdges)[y]?.[x];
+}
+
+/**
+ * Write rows as CSV, quoting fields that hold commas, quotes or line breaks
+ * @param {Array<Array>} rows - Header row first
+ * @returns {string}
+ */
+export function toCsv(rows) {
+    return rows.map(values => values.map(csvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Write a Markdown table
+ * @param {Array<string>} header - Column titles
+ * @param {Array<Array>} rows - Cell values
+ * @returns {string}
+ */
+export function markdownTable(header, rows) {
+    const cell = (value) => String(value).replace(/\|/g, '\\|');
+    return [header, header.map(() => '---'), ...rows].map(cells => `| ${cells.map(cell).join(' | ')} |`).join('\n');
+}
+
+function csvField(value) {
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function fixed(value) {
+    return value.toFixed(2);
+}
+
+// Column-safe unit suffix: m² → m2
+function ascii(symbol) {
+    return symbol.replace('²', '2');
+}
@@ -0,0 +1,151 @@
+/**
+ * EdgeTypes - Typed edge model shared by the editor, exporters and rules
+ *
+ * An edge slot in sceneModel.horizontalEdges / verticalEdges holds:
+ * - false              → no edge
+ * - true               → plain full-height wall (legacy boolean form)
+ * - { type, ...attrs } → typed edge: 'wall' | 'door' | 'opening' | 'window'
+ *
+ * Optional attributes (all in meters):
+ * - width:      clear width of the opening along the edge (defaults to the full cell)
+ * - sillHeight: bottom of the opening above the floor
+ * - headHeight: top of the opening above the floor (lintel underside)
+ * - material:   wall finish from the palette in Materials.js (applies to the solid pieces)
+ *
+ * In scene.v1 / scene.3d.v1 every typed edge still appears in edges.horizontal/vertical,
+ * so older consumers keep seeing a wall; non-plain edges are described in edges.openings.
+ */
+
+import { isMaterial } from './Materials.js';
+
+export const EDGE_TYPES = ['wall', 'door', 'opening', 'window'];
+
+// Attribute defaults applied by consumers when an edge omits them
+export const EDGE_TYPE_DEFAULTS = {
+    door: { sillHeight: 0, headHeight: 2.1 },
+    opening: { sillHeight: 0 },
+    window: { sillHeight: 0.9, headHeight: 2.1 }
+};
+
+const EDGE_ATTRIBUTES = ['width', 'sillHeight', 'headHeight'];
+
+/**
+ * Build an edge slot value for the given type
+ * @param {string} type - One of EDGE_TYPES
+ * @param {Object} [attrs] - Optional { width, sillHeight, headHeight, material }
+ * @returns {boolean|Object} - true for a plain wall, otherwise a typed edge object
+ */
+export function makeEdge(type, attrs = {}) {
+    if (!EDGE_TYPES.includes(type)) {
+        throw new Error(`Unknown edge type: ${type}`);
+    }
+
+    const edge = { type };
+    for (const key of EDGE_ATTRIBUTES) {
+        if (Number.isFinite(attrs[key]) && attrs[key] >= 0) {
+            edge[key] = attrs[key];
+        }
+    }
+    if (isMaterial(attrs.material, 'wall')) {
+        edge.material = attrs.material;
+    }
+
+    // Plain walls stay boolean so existing scenes are unchanged
+    if (type === 'wall' && Object.keys(edge).length === 1) {
+        return true;
+    }
+    return edge;
+}
+
+/**
+ * Resolve the type of an edge slot value
+ * @param {boolean|Object} value - Edge slot value
+ * @returns {string|null} - Edge type, or null when there is no edge
+ */
+export function getEdgeType(value) {
+    if (!value) return null;
+    if (value === true) return 'wall';
+    return EDGE_TYPES.includes(value.type) ? value.type : 'wall';
+}
+
+/**
+ * Whether an edge closes a floor perimeter for enclosure checks
+ * Walls, doors and windows enclose; an 'opening' is a deliberate gap and does not.
+ * @param {boolean|Object} value - Edge slot value
+ * @returns {boolean}
+ */
+export function isEnclosingEdge(value) {
+    const type = getEdgeType(value);
+    return type !== null && type !== 'opening';
+}
+
+/**
+ * Collect non-plain edges from edge arrays as wire-format opening records
+ * @param {Array<Array>} horizontalEdges - Edge slots indexed [y][x]
+ * @param {Array<Array>} verticalEdges - Edge slots indexed [y][x]
+ * @returns {Array<Object>} - [{ dir: 'H'|'V', x, y, type, width?, sillHeight?, headHeight?, material? }] sorted H→V, then y, x
+ */
+export function collectEdgeOpenings(horizontalEdges, verticalEdges) {
+    const openings = [];
+    const collect = (edges, dir) => {
+        for (let y = 0; y < edges.length; y++) {
+            const row = edges[y] || [];
+            for (let x = 0; x < row.length; x++) {
+                const value = row[x];
+                if (!value || value === true) continue;
+                openings.push(toOpeningRecord(dir, x, y, value));
+            }
+        }
+    };
+
+    collect(horizontalEdges, 'H');
+    collect(verticalEdges, 'V');
+    return sortOpenings(openings);
+}
+
+/**
+ * Write wire-format opening records back into edge arrays
+ * Positions outside the arrays are ignored.
+ * @param {Array<Array>} horizontalEdges - Edge slots indexed [y][x] (mutated)
+ * @param {Array<Array>} verticalEdges - Edge slots indexed [y][x] (mutated)
+ * @param {Array<Object>} openings - Records from collectEdgeOpenings
+ * @returns {number} - Number of records applied
+ */
+export function applyEdgeOpenings(horizontalEdges, verticalEdges, openings) {
+    if (!Array.isArray(openings)) return 0;
+
+    let applied = 0;
+    for (const opening of openings) {
+        if (!opening || !EDGE_TYPES.includes(opening.type)) continue;
+        const edges = opening.dir === 'V' ? verticalEdges : horizontalEdges;
+        const row = edges[opening.y];
+        if (!row || opening.x < 0 || opening.x >= row.length) continue;
+        row[opening.x] = makeEdge(opening.type, opening);
+        applied++;
+    }
+    return applied;
+}
+
+/**
+ * Sort opening records deterministically (H before V, then by y, x)
+ * @param {Array<Object>} openings
+ * @returns {Array<Object>} - New sorted array
+ */
+export function sortOpenings(openings) {
+    return [...openings].sort((a, b) =>
+        (a.dir === b.dir ? 0 : (a.dir === 'H' ? -1 : 1)) || a.y - b.y || a.x - b.x
+    );
+}
+
+function toOpeningRecord(dir, x, y, value) {
+    const record = { dir, x, y, type: getEdgeType(value) };
+    for (const key of EDGE_ATTRIBUTES) {
+        if (Number.isFinite(value[key])) {
+            record[key] = value[key];
+        }
+    }
+    if (isMaterial(value.material, 'wall')) {
+        record.material = value.material;
+    }
+    return record;
+}
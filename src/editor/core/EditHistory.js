@@ -0,0 +1,216 @@
+/**
+ * EditHistory - Command-based undo/redo for scene edits
+ * Records sparse cell/edge diffs against a scene model ({ grid, horizontalEdges, verticalEdges, floorMaterials? })
+ * so that one user gesture (stroke, rectangle, wall segment) becomes one undo step.
+ * Whole-scene replacements (template import, clear grid) are stored as snapshot commands.
+ *
+ * Commands never hold references to the model arrays; they are applied to whatever
+ * model is passed in, so history survives the editor swapping arrays on overlay changes.
+ */
+
+export const DEFAULT_HISTORY_LIMIT = 100;
+
+const LAYERS = ['grid', 'horizontalEdges', 'verticalEdges', 'floorMaterials'];
+
+/**
+ * Undo/redo stack of scene edit commands
+ */
+export class EditHistory {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.limit] - Maximum number of undo steps kept
+     */
+    constructor({ limit = DEFAULT_HISTORY_LIMIT } = {}) {
+        this.limit = Math.max(1, limit);
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pending = null;
+    }
+
+    /**
+     * Open a transaction; subsequent record() calls are grouped into one command
+     * @param {string} label - Human readable name of the operation
+     */
+    begin(label) {
+        if (this.pending) {
+            this.commit();
+        }
+        this.pending = { type: 'diff', label, changes: new Map() };
+    }
+
+    /**
+     * Record a single cell or edge change
+     * @param {string} layer - 'grid' | 'horizontalEdges' | 'verticalEdges' | 'floorMaterials'
+     * @param {number} x
+     * @param {number} y
+     * @param {*} before - Value prior to the write
+     * @param {*} after - Value after the write
+     */
+    record(layer, x, y, before, after) {
+        if (!LAYERS.includes(layer)) {
+            throw new Error(`EditHistory: unknown layer "${layer}"`);
+        }
+        if (before === after) return;
+
+        const standalone = !this.pending;
+        if (standalone) {
+            this.begin(layer === 'grid' ? 'paint' : 'edge');
+        }
+
+        const key = `${layer}:${x},${y}`;
+        const existing = this.pending.changes.get(key);
+        if (existing) {
+            // Keep the original "before" so repeated strokes over a cell undo in one step
+            existing.after = after;
+        } else {
+            this.pending.changes.set(key, { layer, x, y, before, after });
+        }
+
+        if (standalone) {
+            this.commit();
+        }
+    }
+
+    /**
+     * Close the open transaction and push it onto the undo stack
+     * @returns {Object|null} - The committed command, or null if nothing changed
+     */
+    commit() {
+        const pending = this.pending;
+        this.pending = null;
+        if (!pending) return null;
+
+        const changes = [...pending.changes.values()].filter(c => c.before !== c.after);
+        if (changes.length === 0) return null;
+
+        return this.push({ type: 'diff', label: pending.label, changes });
+    }
+
+    /**
+     * Discard the open transaction without recording it
+     */
+    cancel() {
+        this.pending = null;
+    }
+
+    /**
+     * Push a prepared command (e.g. from createSnapshotCommand) onto the undo stack
+     * @param {Object} command
+     * @returns {Object} - The pushed command
+     */
+    push(command) {
+        if (this.pending) {
+            this.commit();
+        }
+        this.undoStack.push(command);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.splice(0, this.undoStack.length - this.limit);
+        }
+        this.redoStack = [];
+        return command;
+    }
+
+    /**
+     * Revert the most recent command on the given model
+     * @param {Object} model - Scene model to mutate
+     * @returns {Object|null} - The reverted command, or null if nothing to undo
+     */
+    undo(model) {
+        if (this.pending) {
+            this.commit();
+        }
+        const command = this.undoStack.pop();
+        if (!command) return null;
+
+        applyCommand(model, command, 'undo');
+        this.redoStack.push(command);
+        return command;
+    }
+
+    /**
+     * Re-apply the most recently undone command on the given model
+     * @param {Object} model - Scene model to mutate
+     * @returns {Object|null} - The re-applied command, or null if nothing to redo
+     */
+    redo(model) {
+        const command = this.redoStack.pop();
+        if (!command) return null;
+
+        applyCommand(model, command, 'redo');
+        this.undoStack.push(command);
+        return command;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0 || !!this.pending?.changes.size;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pending = null;
+    }
+}
+
+/**
+ * Deep copy the editable layers of a scene model
+ * @param {Object} model - { grid, horizontalEdges, verticalEdges, floorMaterials? }
+ * @returns {Object} - Snapshot with independent arrays (floorMaterials only when the model has finishes)
+ */
+export function snapshotScene(model) {
+    const snapshot = {
+        grid: model.grid.map(row => row.slice()),
+        horizontalEdges: model.horizontalEdges.map(row => row.slice()),
+        verticalEdges: model.verticalEdges.map(row => row.slice())
+    };
+    if (model.floorMaterials) {
+        snapshot.floorMaterials = model.floorMaterials.map(row => row.slice());
+    }
+    return snapshot;
+}
+
+/**
+ * Build a command that swaps the whole scene between two snapshots
+ * @param {string} label - Human readable name of the operation
+ * @param {Object} before - snapshotScene() taken before the operation
+ * @param {Object} after - snapshotScene() taken after the operation
+ * @returns {Object} - Snapshot command
+ */
+export function createSnapshotCommand(label, before, after) {
+    return { type: 'snapshot', label, before, after };
+}
+
+/**
+ * Apply a command to a scene model in either direction
+ * Snapshot commands replace the model arrays (and may change grid dimensions);
+ * diff commands write individual cells, skipping coordinates outside the model.
+ * @param {Object} model - Scene model to mutate
+ * @param {Object} command - Command from EditHistory
+ * @param {'undo'|'redo'} direction
+ */
+export function applyCommand(model, command, direction) {
+    const useBefore = direction === 'undo';
+
+    if (command.type === 'snapshot') {
+        const source = snapshotScene(useBefore ? command.before : command.after);
+        model.grid = source.grid;
+        model.horizontalEdges = source.horizontalEdges;
+        model.verticalEdges = source.verticalEdges;
+        if (source.floorMaterials) {
+            model.floorMaterials = source.floorMaterials;
+        } else {
+            delete model.floorMaterials;
+        }
+        return;
+    }
+
+    for (const change of command.changes) {
+        const row = model[change.layer]?.[change.y];
+        if (!row || change.x < 0 || change.x >= row.length) continue;
+        row[change.x] = useBefore ? change.before : change.after;
+    }
+}
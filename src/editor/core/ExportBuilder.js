@@ -1,25 +1,34 @@
 /**
  * ExportBuilder - Single source of truth for all template/scene exports
  * Pure functions with no DOM dependencies
+ * Templates are written at the current schema version of their kind (see SchemaMigrations.js)
  */
 
+import { schemaId, currentVersion, toChildList } from './SchemaMigrations.js';
+import { scaleToWire } from './Units.js';
+import { UNIT_INFO_FIELDS } from './UnitOccupancy.js';
+
 /**
  * Build mall template JSON
  * @param {Object} params - Mall parameters
  * @param {number} params.gridWidth - Grid width
  * @param {number} params.gridHeight - Grid height
  * @param {number} params.cellSize - Cell size in pixels
- * @param {Array} params.units - Array of unit objects with {id, rect}
+ * @param {Array} params.units - Array of unit objects with {id, rect, shape?, name?, type?, entrance?, occupancy?}
  * @param {string} [params.id] - Optional mall ID, generates timestamp if not provided
+ * @param {Object} [params.shape] - Optional exact mall outline (see TemplateShape.js)
+ * @param {Object} [params.scale] - Real-world scale { cellMeters, units } (see Units.js); omitted at the default
+ * @param {Array} [params.levels] - Serialized levels (see Levels.serializeLevel); omitted for single-level malls
+ * @param {Array} [params.verticalLinks] - Stair/escalator/elevator links between levels
  * @returns {Object} Mall template JSON
  */
-export function buildMallTemplate({ gridWidth, gridHeight, cellSize, units, id }) {
+export function buildMallTemplate({ gridWidth, gridHeight, cellSize, units, id, shape, scale, levels = [], verticalLinks = [] }) {
     const mallId = id || `mall-${new Date().toISOString().replace(/[-:]/g, '').slice(0, 15)}`;
 
-    return {
+    const template = {
         meta: {
-            schema: 'mall-template.v1',
-            version: '1.0',
+            schema: schemaId('mall'),
+            version: `${currentVersion('mall')}.0`,
             name: 'Generated Mall Template'
         },
         id: mallId,
@@ -28,43 +37,60 @@ export function buildMallTemplate({ gridWidth, gridHeight, cellSize, units, id }
             height: gridHeight,
             cellSize: cellSize
         },
-        units: units.map(unit => ({
+        units: units.map(unit => withUnitInfo(withShape({
             id: unit.id,
             rect: { ...unit.rect }
-        })),
+        }, unit.shape), unit)),
         created: new Date().toISOString()
     };
+
+    if (shape) {
+        template.shape = structuredClone(shape);
+    }
+
+    const wireScale = scale && scaleToWire(scale);
+    if (wireScale) {
+        template.scale = wireScale;
+    }
+
+    if (levels.length > 1) {
+        template.levels = levels;
+        template.verticalLinks = verticalLinks;
+    }
+
+    return template;
 }
 
 /**
- * Build unit template JSON (UI label "Gallery", schema is unit-template.v1)
+ * Build unit template JSON (UI label "Gallery", schema is unit-template.v2)
  * @param {Object} params - Unit parameters
  * @param {string} params.id - Unit ID
  * @param {Object} params.rect - Rectangle {x, y, w, h}
- * @param {Array} [params.rooms] - Optional array of room objects
+ * @param {Object} [params.shape] - Optional exact outline inside rect (see TemplateShape.js)
+ * @param {Array} [params.rooms] - Optional array of room objects ({id, rect, shape?} or {id, gridRect}), written as children
  * @param {string} [params.parentMallId] - Optional parent mall ID
  * @returns {Object} Unit template JSON
  */
-export function buildUnitTemplate({ id, rect, rooms = [], parentMallId }) {
-    const template = {
+export function buildUnitTemplate({ id, rect, shape, rooms = [], parentMallId }) {
+    const template = withShape({
         meta: {
-            schema: 'unit-template.v1',
-            version: '1.0',
+            schema: schemaId('unit'),
+            version: `${currentVersion('unit')}.0`,
             name: `Unit Template ${id}`
         },
         id: id,
         rect: { ...rect },
-        rooms: rooms.map(room => ({
+        children: toChildList(rooms).map(room => withShape({
             id: room.id,
-            gridRect: { ...room.gridRect }
-        })),
+            rect: { ...room.rect }
+        }, room.shape)),
         created: new Date().toISOString()
-    };
+    }, shape);
 
     // Add parent link if provided
     if (parentMallId) {
         template.meta.parent = {
-            schema: 'mall-template.v1',
+            schema: schemaId('mall'),
             id: parentMallId
         };
     }
@@ -77,26 +103,27 @@ export function buildUnitTemplate({ id, rect, rooms = [], parentMallId }) {
  * @param {Object} params - Room parameters
  * @param {string} params.id - Room ID
  * @param {Object} params.rect - Rectangle {x, y, w, h}
- * @param {Array} [params.zones] - Optional array of zone objects
+ * @param {Object} [params.shape] - Optional exact outline inside rect (see TemplateShape.js)
+ * @param {Array} [params.zones] - Optional array of zone objects, written as children
  * @param {string} [params.parentUnitId] - Optional parent unit ID
  * @returns {Object} Room template JSON
  */
-export function buildRoomTemplate({ id, rect, zones = [], parentUnitId }) {
-    const template = {
+export function buildRoomTemplate({ id, rect, shape, zones = [], parentUnitId }) {
+    const template = withShape({
         meta: {
-            schema: 'room-template.v1',
-            version: '1.0'
+            schema: schemaId('room'),
+            version: `${currentVersion('room')}.0`
         },
         id: id,
         rect: { ...rect },
-        zones: [...zones],
+        children: toChildList(zones),
         created: new Date().toISOString()
-    };
+    }, shape);
 
     // Add parent link if provided (same pattern as gallery templates)
     if (parentUnitId) {
         template.meta.parent = {
-            schema: 'unit-template.v1',
+            schema: schemaId('unit'),
             id: parentUnitId
         };
     }
@@ -109,26 +136,27 @@ export function buildRoomTemplate({ id, rect, zones = [], parentUnitId }) {
  * @param {Object} params - Object parameters
  * @param {string} params.id - Object ID
  * @param {Object} params.rect - Rectangle {x, y, w, h}
- * @param {Array} [params.items] - Optional array of item objects
+ * @param {Object} [params.shape] - Optional exact outline inside rect (see TemplateShape.js)
+ * @param {Array} [params.items] - Optional array of item objects, written as children
  * @param {string} [params.parentRoomId] - Optional parent room ID
  * @returns {Object} Object template JSON
  */
-export function buildObjectTemplate({ id, rect, items = [], parentRoomId }) {
-    const template = {
+export function buildObjectTemplate({ id, rect, shape, items = [], parentRoomId }) {
+    const template = withShape({
         meta: {
-            schema: 'object-template.v1',
-            version: '1.0'
+            schema: schemaId('object'),
+            version: `${currentVersion('object')}.0`
         },
         id: id,
         rect: { ...rect },
-        items: [...items],
+        children: toChildList(items),
         created: new Date().toISOString()
-    };
+    }, shape);
 
     // Add parent link if provided (same pattern as room templates)
     if (parentRoomId) {
         template.meta.parent = {
-            schema: 'room-template.v1',
+            schema: schemaId('room'),
             id: parentRoomId
         };
     }
@@ -145,12 +173,17 @@ export function buildObjectTemplate({ id, rect, items = [], parentRoomId }) {
  * @param {Array} params.floorTiles - Array of [x,y] coordinate arrays
  * @param {Array} params.hEdges - Array of [x,y] coordinate arrays for horizontal edges
  * @param {Array} params.vEdges - Array of [x,y] coordinate arrays for vertical edges
+ * @param {Array} [params.openings] - Typed edge records { dir, x, y, type, width?, sillHeight?, headHeight?, material? }
+ * @param {Array} [params.floorMaterials] - Floor finish records { x, y, material } (see Materials.js)
+ * @param {Object} [params.scale] - Real-world scale { cellMeters, units } (see Units.js); omitted at the default
+ * @param {Array} [params.levels] - Serialized levels; top-level tiles/edges should mirror the lowest one
+ * @param {Array} [params.verticalLinks] - Stair/escalator/elevator links between levels
  * @returns {Object} Scene v1 JSON
  */
-export function buildSceneV1({ gridWidth, gridHeight, cellSize, floorTiles, hEdges, vEdges }) {
+export function buildSceneV1({ gridWidth, gridHeight, cellSize, floorTiles, hEdges, vEdges, openings = [], floorMaterials = [], scale, levels = [], verticalLinks = [] }) {
     const now = new Date().toISOString();
 
-    return {
+    const scene = {
         meta: {
             schema: 'scene.v1',
             version: '1.0',
@@ -170,4 +203,112 @@ export function buildSceneV1({ gridWidth, gridHeight, cellSize, floorTiles, hEdg
             vertical: vEdges
         }
     };
-}
\ No newline at end of file
+
+    if (floorMaterials.length > 0) {
+        scene.tiles.materials = floorMaterials;
+    }
+    if (openings.length > 0) {
+        scene.edges.openings = openings;
+    }
+
+    const wireScale = scale && scaleToWire(scale);
+    if (wireScale) {
+        scene.scale = wireScale;
+    }
+
+    // Single-level scenes keep their original shape
+    if (levels.length > 1) {
+        scene.levels = levels;
+        scene.verticalLinks = verticalLinks;
+    }
+
+    return scene;
+}
+// Fields an export rebuilds from editor state (owned: dropped when the export omits them; optional:
+// kept from the loaded file when the export omits them). Everything else in the loaded file is carried over.
+// ownedItemKeys are keys of id-keyed list items the editor edits, dropped when the built item omits them.
+const EDITOR_FIELDS = {
+    mall: {
+        owned: ['grid', 'gridSize', 'units', 'scale', 'levels', 'verticalLinks', 'sceneData'],
+        optional: ['rect', 'shape'],
+        ownedItemKeys: { units: UNIT_INFO_FIELDS }
+    },
+    child: { owned: ['rect', 'shape', 'children', 'sceneData'], optional: [], ownedItemKeys: {} }
+};
+
+/**
+ * Patch a freshly built template onto the file it was loaded from (round-trip export)
+ * Fields the editor does not manage (names, created, meta extras, custom properties) are kept as they were.
+ * Editor-owned fields take the built value, keeping any extra keys of the original object; id-keyed arrays
+ * (units, children, levels) are matched by id and keep their extra keys. A unit's name, type, entrance and
+ * occupancy are edited in the editor, so the built unit decides them: a cleared occupancy stays cleared.
+ * @param {Object} source - Loaded template at the current schema version (TemplateLoader dto.source)
+ * @param {Object} built - Template built by buildMallTemplate / buildUnitTemplate / buildRoomTemplate / buildObjectTemplate
+ * @returns {Object} Template JSON
+ */
+export function patchTemplate(source, built) {
+    const template = structuredClone(source);
+    const { owned, optional, ownedItemKeys } = built.meta.schema.startsWith('mall-') ? EDITOR_FIELDS.mall : EDITOR_FIELDS.child;
+
+    for (const field of [...owned, ...optional]) {
+        if (field in built) {
+            template[field] = mergeValue(source[field], built[field], field);
+        } else if (owned.includes(field)) {
+            delete template[field];
+        }
+    }
+
+    for (const [field, keys] of Object.entries(ownedItemKeys)) {
+        if (!Array.isArray(built[field]) || !Array.isArray(template[field])) continue;
+        template[field].forEach((item, index) => {
+            if (!isPlainObject(item)) return;
+            keys.filter(key => !(key in built[field][index])).forEach(key => delete item[key]);
+        });
+    }
+
+    template.meta = { ...source.meta, schema: built.meta.schema, version: built.meta.version };
+    if (built.meta.parent) {
+        template.meta.parent = mergeValue(source.meta?.parent, built.meta.parent);
+    }
+
+    return template;
+}
+
+// Built value wins; objects and id-keyed array items keep the original's other keys.
+// A shape is replaced whole, since cells and outline are alternative forms.
+function mergeValue(original, built, key) {
+    if (key === 'shape') {
+        return structuredClone(built);
+    }
+    if (Array.isArray(built)) {
+        if (!Array.isArray(original) || !built.every(item => isPlainObject(item) && item.id !== undefined)) {
+            return structuredClone(built);
+        }
+        const originals = new Map(original.filter(isPlainObject).map(item => [item.id, item]));
+        return built.map(item => mergeValue(originals.get(item.id), item));
+    }
+    if (isPlainObject(built) && isPlainObject(original)) {
+        return { ...structuredClone(original), ...structuredClone(built) };
+    }
+    return structuredClone(built);
+}
+
+// Copy a mall unit's name, type, entrance and occupancy (see UnitOccupancy.js)
+function withUnitInfo(entry, unit) {
+    UNIT_INFO_FIELDS.filter(key => unit[key] !== undefined).forEach(key => {
+        entry[key] = structuredClone(unit[key]);
+    });
+    return entry;
+}
+
+// Attach an optional shape to a template or child entry
+function withShape(entry, shape) {
+    if (shape) {
+        entry.shape = structuredClone(shape);
+    }
+    return entry;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
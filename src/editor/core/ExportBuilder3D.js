@@ -11,97 +11,44 @@
  * - Parity summary for cross-checking
  * - Deterministic output with digest
  * - Back-compatibility guards
+ * - Typed edges (door/opening/window) in edges.openings
+ * - Floor finishes in tiles.materials, wall finishes on edges.openings records (see Materials.js)
+ * - Multi-level malls (levels[], verticalLinks[]) via toScene3DLevels
+ * - Per-export simulation limits and chunked export (manifest + fixed-size chunks) via toScene3DChunks
+ * - Real-world scale from options.cellMeters (the scene's scale, see Units.js); pixel cellSize is display only
  */
 
-// 🎯 SIMULATION LIMITS (shared with 3D simulator)
-const SIM_MAX_TILES_X = 60;
-const SIM_MAX_TILES_Y = 40;
+import { collectEdgeOpenings } from './EdgeTypes.js';
+import { collectFloorMaterials } from './Materials.js';
+
+// 🎯 SIMULATION LIMITS (default per export, shared with 3D simulator)
+export const DEFAULT_SIM_LIMITS = Object.freeze({ maxTilesX: 60, maxTilesY: 40 });
+export const MANIFEST_SCHEMA = 'scene.3d.manifest.v1';
 const DEFAULT_CELL_METERS = 1;
 const DEFAULT_WALL_HEIGHT_METERS = 3.0;
 
 /**
  * Convert current scene state to scene.3d.v1 format
  *
- * @param {Object} sceneModel - Editor scene model (grid, horizontalEdges, verticalEdges)
- * @param {number} cellSize - Cell size in pixels
+ * @param {Object} sceneModel - Editor scene model (grid, horizontalEdges, verticalEdges; edge slots may be typed, see EdgeTypes.js)
+ * @param {number} cellSize - Cell size in pixels (display only; the physical size is options.cellMeters)
  * @param {string} safeId - Sanitized scene identifier
+ * @param {Object} [options]
+ * @param {Object} [options.simLimits] - { maxTilesX, maxTilesY }, defaults to DEFAULT_SIM_LIMITS
+ * @param {number} [options.cellMeters] - Real-world cell size (scale.cellMeters, see Units.js), defaults to 1 m
  * @returns {Object} scene.3d.v1 JSON per Interface Contract v1
  */
-export function toScene3D(sceneModel, cellSize, safeId = 'scene') {
+export function toScene3D(sceneModel, cellSize, safeId = 'scene', { simLimits, cellMeters = DEFAULT_CELL_METERS } = {}) {
     const now = new Date().toISOString();
+    const limits = resolveSimLimits(simLimits);
 
     // ✅ NEW NORMALIZATION CODE ACTIVE
 
     // 🔒 CONTRACT LOCKING: Enforce integer grid and validate units
-    const cellMeters = cellSize * 0.05; // worldUnit = cellSize × 0.05 meters/pixel
-
-    if (cellMeters <= 0) {
-        throw new Error(`Invalid cellMeters: ${cellMeters} (must be > 0)`);
-    }
-
-    // Extract and validate floor tiles
-    const rawFloorTiles = [];
-    for (let y = 0; y < sceneModel.grid.length; y++) {
-        for (let x = 0; x < sceneModel.grid[y].length; x++) {
-            if (sceneModel.grid[y][x] === 'floor') {
-                // Enforce integer coordinates
-                if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || y < 0) {
-                    throw new Error(`Non-integer or negative tile coordinate: [${x}, ${y}]`);
-                }
-                rawFloorTiles.push([x, y]);
-            }
-        }
-    }
+    assertCellMeters(cellMeters);
 
-    // Extract and validate horizontal edges (walls)
-    const rawHorizontalEdges = [];
-    for (let y = 0; y < sceneModel.horizontalEdges.length; y++) {
-        for (let x = 0; x < sceneModel.horizontalEdges[y].length; x++) {
-            if (sceneModel.horizontalEdges[y] && sceneModel.horizontalEdges[y][x]) {
-                // Enforce integer coordinates
-                if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || y < 0) {
-                    throw new Error(`Non-integer or negative horizontal edge coordinate: [${x}, ${y}]`);
-                }
-                // Horizontal edges must be unit segments: (x,y) → (x+1,y)
-                rawHorizontalEdges.push([x, y]);
-            }
-        }
-    }
-
-    // Extract and validate vertical edges (walls)
-    const rawVerticalEdges = [];
-    for (let y = 0; y < sceneModel.verticalEdges.length; y++) {
-        for (let x = 0; x < sceneModel.verticalEdges[y].length; x++) {
-            if (sceneModel.verticalEdges[y] && sceneModel.verticalEdges[y][x]) {
-                // Enforce integer coordinates
-                if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || y < 0) {
-                    throw new Error(`Non-integer or negative vertical edge coordinate: [${x}, ${y}]`);
-                }
-                // Vertical edges must be unit segments: (x,y) → (x,y+1)
-                rawVerticalEdges.push([x, y]);
-            }
-        }
-    }
-
-    // 📐 CANONICALIZE FLOOR TILES
-    // Deduplicate and sort by (y, x) for deterministic output
-    const floorTilesSet = new Set(rawFloorTiles.map(tile => `${tile[0]},${tile[1]}`));
-    const floorTiles = Array.from(floorTilesSet)
-        .map(str => str.split(',').map(Number))
-        .sort((a, b) => a[1] - b[1] || a[0] - b[0]); // Sort by y, then x
-
-    // 📐 CANONICALIZE WALL EDGES
-    // Deduplicate horizontal edges and sort by (y, x)
-    const horizontalEdgesSet = new Set(rawHorizontalEdges.map(edge => `${edge[0]},${edge[1]}`));
-    const horizontalEdges = Array.from(horizontalEdgesSet)
-        .map(str => str.split(',').map(Number))
-        .sort((a, b) => a[1] - b[1] || a[0] - b[0]); // Sort by y, then x
-
-    // Deduplicate vertical edges and sort by (x, y)
-    const verticalEdgesSet = new Set(rawVerticalEdges.map(edge => `${edge[0]},${edge[1]}`));
-    const verticalEdges = Array.from(verticalEdgesSet)
-        .map(str => str.split(',').map(Number))
-        .sort((a, b) => a[0] - b[0] || a[1] - b[1]); // Sort by x, then y
+    // Extract, validate and canonicalize tiles, edges and typed edges
+    const { floorTiles, floorMaterials, horizontalEdges, verticalEdges, openings } = extractCanonicalContent(sceneModel);
 
     // 🚫 VALIDATE NO DIAGONAL EDGES
     // Current format only supports axis-aligned edges; diagonal edges would indicate data corruption
@@ -118,6 +65,8 @@ export function toScene3D(sceneModel, cellSize, safeId = 'scene') {
     let normalizedFloorTiles = floorTiles;
     let normalizedHorizontalEdges = horizontalEdges;
     let normalizedVerticalEdges = verticalEdges;
+    let normalizedOpenings = openings;
+    let normalizedMaterials = floorMaterials;
     let contentBounds = { minX: 0, minY: 0, maxX: 0, maxY: 0, widthTiles: 0, heightTiles: 0 };
 
     if (floorTiles.length > 0) {
@@ -136,6 +85,8 @@ export function toScene3D(sceneModel, cellSize, safeId = 'scene') {
         normalizedFloorTiles = floorTiles.map(([x, y]) => [x - minX, y - minY]);
         normalizedHorizontalEdges = horizontalEdges.map(([x, y]) => [x - minX, y - minY]);
         normalizedVerticalEdges = verticalEdges.map(([x, y]) => [x - minX, y - minY]);
+        normalizedOpenings = openings.map(opening => ({ ...opening, x: opening.x - minX, y: opening.y - minY }));
+        normalizedMaterials = floorMaterials.map(record => ({ ...record, x: record.x - minX, y: record.y - minY }));
 
         console.log(`[EXPORT:3d] Normalized coordinates: offset=(-${minX},-${minY}), content=${widthTiles}×${heightTiles}`);
     }
@@ -147,12 +98,7 @@ export function toScene3D(sceneModel, cellSize, safeId = 'scene') {
     const contentHeightMeters = contentBounds.heightTiles * cellMeters;
 
     // Validate content fits within simulation limits
-    if (contentBounds.widthTiles > SIM_MAX_TILES_X) {
-        throw new Error(`Content width ${contentBounds.widthTiles} exceeds simulation limit ${SIM_MAX_TILES_X}`);
-    }
-    if (contentBounds.heightTiles > SIM_MAX_TILES_Y) {
-        throw new Error(`Content height ${contentBounds.heightTiles} exceeds simulation limit ${SIM_MAX_TILES_Y}`);
-    }
+    assertWithinSimLimits(contentBounds, limits);
 
     // 🎯 PARITY SUMMARY FOR CROSS-CHECKING
     const parity = {
@@ -175,7 +121,7 @@ export function toScene3D(sceneModel, cellSize, safeId = 'scene') {
             axes: "Y_up_XZ_ground", // 🔒 EXPLICIT COORDINATE CONVENTION (Three.js Y-up)
             parity: parity,
             offsetFormat: "xy_standard", // 🔒 FLAG: Using x/y offset format (not legacy x/z)
-            simLimits: { maxTilesX: SIM_MAX_TILES_X, maxTilesY: SIM_MAX_TILES_Y } // 🎯 SIMULATION CONSTRAINTS
+            simLimits: limits // 🎯 SIMULATION CONSTRAINTS
         },
         units: {
             cellMeters: cellMeters,
@@ -202,13 +148,12 @@ export function toScene3D(sceneModel, cellSize, safeId = 'scene') {
                 z: wallHeightMeters / 2
             }
         },
-        tiles: {
-            floor: normalizedFloorTiles
-        },
-        edges: {
-            horizontal: normalizedHorizontalEdges,
-            vertical: normalizedVerticalEdges
-        },
+        tiles: tilesWithMaterials({ floorTiles: normalizedFloorTiles, floorMaterials: normalizedMaterials }),
+        edges: edgesWithOpenings({
+            horizontalEdges: normalizedHorizontalEdges,
+            verticalEdges: normalizedVerticalEdges,
+            openings: normalizedOpenings
+        }),
         originOffset: {
             x: contentBounds.minX,
             y: contentBounds.minY
@@ -216,12 +161,7 @@ export function toScene3D(sceneModel, cellSize, safeId = 'scene') {
     };
 
     // 🔐 DETERMINISTIC DIGEST (simple hash of canonicalized data)
-    const canonicalData = JSON.stringify({
-        tiles: normalizedFloorTiles,
-        edges: { horizontal: normalizedHorizontalEdges, vertical: normalizedVerticalEdges }
-    });
-
-    output.meta.digest = computeSimpleHash(canonicalData);
+    output.meta.digest = computeSimpleHash(JSON.stringify(digestContent(output.tiles, output.edges)));
 
     // 📝 LOUD DIAGNOSTIC LOGGING FOR WIRE-UP CHECK
     console.info("[EXPORT:3d] v2", {
@@ -232,6 +172,8 @@ export function toScene3D(sceneModel, cellSize, safeId = 'scene') {
         tiles: normalizedFloorTiles.length,
         h: normalizedHorizontalEdges.length,
         v: normalizedVerticalEdges.length,
+        openings: normalizedOpenings.length,
+        finishes: normalizedMaterials.length,
         units: { cell: cellMeters, wall: wallHeightMeters }
     });
 
@@ -242,6 +184,465 @@ export function toScene3D(sceneModel, cellSize, safeId = 'scene') {
     return output;
 }
 
+/**
+ * Convert a multi-level mall to scene.3d.v1 format
+ *
+ * All levels share one origin offset (the union of their floor content) so stacked
+ * levels stay aligned. Top-level tiles/edges/parity mirror the lowest level, so
+ * single-level consumers still load the ground floor; levels[] carries every level.
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.levels - [{ id, name, elevation, sceneModel }] (see Levels.js)
+ * @param {Array<Object>} [params.verticalLinks] - [{ id, type, rect, fromLevel, toLevel }] in grid coordinates
+ * @param {number} params.cellSize - Cell size in pixels (display only)
+ * @param {number} [params.cellMeters] - Real-world cell size, defaults to 1 m
+ * @param {string} [params.safeId] - Sanitized scene identifier
+ * @param {Object} [params.simLimits] - { maxTilesX, maxTilesY } for the combined footprint
+ * @returns {Object} scene.3d.v1 JSON with levels[] and verticalLinks[]
+ */
+export function toScene3DLevels({ levels, verticalLinks = [], cellSize, cellMeters = DEFAULT_CELL_METERS, safeId = 'scene', simLimits }) {
+    if (!Array.isArray(levels) || levels.length === 0) {
+        throw new Error('toScene3DLevels requires at least one level');
+    }
+
+    assertCellMeters(cellMeters);
+
+    const sorted = [...levels].sort((a, b) => a.elevation - b.elevation);
+    const contents = sorted.map(level => extractCanonicalContent(level.sceneModel));
+
+    // 🎯 SHARED NORMALIZATION: one offset for every level
+    const allTiles = contents.flatMap(content => content.floorTiles);
+    let contentBounds = { minX: 0, minY: 0, maxX: 0, maxY: 0, widthTiles: 0, heightTiles: 0 };
+    if (allTiles.length > 0) {
+        const minX = Math.min(...allTiles.map(tile => tile[0]));
+        const minY = Math.min(...allTiles.map(tile => tile[1]));
+        const maxX = Math.max(...allTiles.map(tile => tile[0]));
+        const maxY = Math.max(...allTiles.map(tile => tile[1]));
+        contentBounds = { minX, minY, maxX, maxY, widthTiles: maxX - minX + 1, heightTiles: maxY - minY + 1 };
+    }
+
+    const limits = resolveSimLimits(simLimits);
+    assertWithinSimLimits(contentBounds, limits);
+
+    const { minX, minY } = contentBounds;
+    const outputLevels = sorted.map((level, index) => {
+        const normalized = offsetContent(contents[index], minX, minY);
+        return {
+            id: level.id,
+            name: level.name,
+            elevation: level.elevation,
+            tiles: tilesWithMaterials(normalized),
+            edges: edgesWithOpenings(normalized)
+        };
+    });
+
+    const outputLinks = verticalLinks.map(link => ({
+        id: link.id,
+        type: link.type,
+        rect: { x: link.rect.x - minX, y: link.rect.y - minY, w: link.rect.w, h: link.rect.h },
+        fromLevel: link.fromLevel,
+        toLevel: link.toLevel
+    }));
+
+    const ground = outputLevels[0];
+    const parity = computeParity(ground.tiles.floor, ground.edges);
+    const wallHeightMeters = DEFAULT_WALL_HEIGHT_METERS;
+    const topZ = sorted[sorted.length - 1].elevation + wallHeightMeters;
+    const bottomZ = Math.min(0, sorted[0].elevation);
+    const contentWidthMeters = contentBounds.widthTiles * cellMeters;
+    const contentHeightMeters = contentBounds.heightTiles * cellMeters;
+
+    const output = {
+        meta: {
+            schema: "scene.3d.v1",
+            version: "1.0",
+            sourceSchema: "scene.v1",
+            created: new Date().toISOString(),
+            name: safeId,
+            axes: "Y_up_XZ_ground",
+            parity: parity,
+            offsetFormat: "xy_standard",
+            simLimits: limits
+        },
+        units: {
+            cellMeters: cellMeters,
+            wallHeightMeters: wallHeightMeters,
+            wallThicknessMeters: 0.2,
+            floorThicknessMeters: 0.1,
+            lengthUnit: "meters",
+            coordinateSystem: "right-handed-y-up"
+        },
+        bounds: {
+            min: { x: 0, y: 0, z: bottomZ },
+            max: { x: contentWidthMeters, y: contentHeightMeters, z: topZ },
+            center: { x: contentWidthMeters / 2, y: contentHeightMeters / 2, z: (bottomZ + topZ) / 2 }
+        },
+        tiles: ground.tiles,
+        edges: ground.edges,
+        levels: outputLevels,
+        verticalLinks: outputLinks,
+        originOffset: {
+            x: contentBounds.minX,
+            y: contentBounds.minY
+        }
+    };
+
+    // 🔐 DETERMINISTIC DIGEST over every level and link
+    output.meta.digest = computeSimpleHash(JSON.stringify({
+        levels: outputLevels.map(({ id, elevation, tiles, edges }) => ({ id, elevation, ...digestContent(tiles, edges) })),
+        verticalLinks: outputLinks
+    }));
+
+    console.log(`[EXPORT:3d] Levels: ${outputLevels.map(level => `${level.id}@${level.elevation}m (${level.tiles.floor.length} tiles)`).join(', ')}; links=${outputLinks.length}, digest=${output.meta.digest}`);
+    console.log(`[EXPORT:3d] contentTiles=${contentBounds.widthTiles}×${contentBounds.heightTiles}, bounds=${contentWidthMeters}m×${contentHeightMeters}m×${topZ - bottomZ}m, offset={x:${minX},y:${minY}}`);
+
+    return output;
+}
+
+/**
+ * Convert a scene larger than the simulation limits into fixed-size scene.3d.v1 chunks plus a manifest
+ *
+ * Chunk (cx, cy) covers grid cells [cx·chunkX, (cx+1)·chunkX) × [cy·chunkY, (cy+1)·chunkY).
+ * Each edge belongs to the chunk containing its (x, y) start point, so walls on a chunk's
+ * right/bottom border travel with the neighbouring chunk. Chunk coordinates are chunk-local
+ * and originOffset is the chunk origin, so every chunk lands in the same world frame as an
+ * unchunked export. Empty chunks are omitted.
+ *
+ * @param {Object} sceneModel - Editor scene model (grid, horizontalEdges, verticalEdges)
+ * @param {number} cellSize - Cell size in pixels (display only)
+ * @param {string} [safeId] - Sanitized scene identifier, used for chunk file names
+ * @param {Object} [options]
+ * @param {Object} [options.chunkSize] - { x, y } chunk size in tiles, defaults to the simulation limits
+ * @param {Object} [options.simLimits] - { maxTilesX, maxTilesY } each chunk must fit in
+ * @param {number} [options.cellMeters] - Real-world cell size, defaults to 1 m
+ * @returns {Object} - { manifest, chunks: [{ key, file, scene }] }
+ */
+export function toScene3DChunks(sceneModel, cellSize, safeId = 'scene', { chunkSize, simLimits, cellMeters = DEFAULT_CELL_METERS } = {}) {
+    const now = new Date().toISOString();
+    assertCellMeters(cellMeters);
+
+    const limits = resolveSimLimits(simLimits);
+    const size = {
+        x: chunkSize?.x ?? limits.maxTilesX,
+        y: chunkSize?.y ?? limits.maxTilesY
+    };
+    if (!Number.isInteger(size.x) || !Number.isInteger(size.y) || size.x <= 0 || size.y <= 0) {
+        throw new Error(`Invalid chunk size: ${size.x}×${size.y} (must be positive integers)`);
+    }
+    assertWithinSimLimits({ widthTiles: size.x, heightTiles: size.y }, limits);
+
+    const content = extractCanonicalContent(sceneModel);
+
+    // 🧩 BUCKET CONTENT BY CHUNK (canonical order is preserved within each bucket)
+    const buckets = new Map();
+    const bucketFor = (x, y) => {
+        const cx = Math.floor(x / size.x);
+        const cy = Math.floor(y / size.y);
+        const key = `${cx}_${cy}`;
+        if (!buckets.has(key)) {
+            buckets.set(key, { key, cx, cy, floorTiles: [], floorMaterials: [], horizontalEdges: [], verticalEdges: [], openings: [] });
+        }
+        return buckets.get(key);
+    };
+    content.floorTiles.forEach(([x, y]) => bucketFor(x, y).floorTiles.push([x, y]));
+    content.floorMaterials.forEach(record => bucketFor(record.x, record.y).floorMaterials.push(record));
+    content.horizontalEdges.forEach(([x, y]) => bucketFor(x, y).horizontalEdges.push([x, y]));
+    content.verticalEdges.forEach(([x, y]) => bucketFor(x, y).verticalEdges.push([x, y]));
+    content.openings.forEach(opening => bucketFor(opening.x, opening.y).openings.push(opening));
+
+    const wallHeightMeters = DEFAULT_WALL_HEIGHT_METERS;
+    const units = {
+        cellMeters: cellMeters,
+        wallHeightMeters: wallHeightMeters,
+        wallThicknessMeters: 0.2,
+        floorThicknessMeters: 0.1,
+        lengthUnit: "meters",
+        coordinateSystem: "right-handed-y-up"
+    };
+    const chunks = [...buckets.values()]
+        .sort((a, b) => a.cy - b.cy || a.cx - b.cx)
+        .map(bucket => {
+            const originOffset = { x: bucket.cx * size.x, y: bucket.cy * size.y };
+            const local = offsetContent(bucket, originOffset.x, originOffset.y);
+            const tiles = tilesWithMaterials(local);
+            const edges = edgesWithOpenings(local);
+            const widthMeters = size.x * cellMeters;
+            const depthMeters = size.y * cellMeters;
+
+            const scene = {
+                meta: {
+                    schema: "scene.3d.v1",
+                    version: "1.0",
+                    sourceSchema: "scene.v1",
+                    created: now,
+                    name: `${safeId}:${bucket.key}`,
+                    axes: "Y_up_XZ_ground",
+                    parity: computeParity(local.floorTiles, edges),
+                    offsetFormat: "xy_standard",
+                    simLimits: limits,
+                    chunk: { key: bucket.key, cx: bucket.cx, cy: bucket.cy, size: { ...size } }
+                },
+                units: { ...units },
+                bounds: {
+                    min: { x: 0, y: 0, z: 0 },
+                    max: { x: widthMeters, y: depthMeters, z: wallHeightMeters },
+                    center: { x: widthMeters / 2, y: depthMeters / 2, z: wallHeightMeters / 2 }
+                },
+                tiles,
+                edges,
+                originOffset
+            };
+            scene.meta.digest = computeSimpleHash(JSON.stringify(digestContent(tiles, edges)));
+
+            return { key: bucket.key, file: `${safeId}.chunk-${bucket.key}.scene.3d.v1.json`, scene };
+        });
+
+    // 🗺️ MANIFEST: chunk index with offsets and digests, bounds over all content
+    const extent = measureContent(sceneModel);
+    const minX = extent.minX;
+    const minY = extent.minY;
+    const maxX = minX + extent.widthTiles;
+    const maxY = minY + extent.heightTiles;
+
+    const manifest = {
+        meta: {
+            schema: MANIFEST_SCHEMA,
+            version: "1.0",
+            created: now,
+            name: safeId,
+            digest: computeSimpleHash(chunks.map(chunk => `${chunk.key}:${chunk.scene.meta.digest}`).join('|'))
+        },
+        units: { ...units },
+        chunkSize: { ...size },
+        simLimits: limits,
+        bounds: {
+            min: { x: minX * cellMeters, y: minY * cellMeters, z: 0 },
+            max: { x: maxX * cellMeters, y: maxY * cellMeters, z: wallHeightMeters },
+            center: {
+                x: (minX + maxX) * cellMeters / 2,
+                y: (minY + maxY) * cellMeters / 2,
+                z: wallHeightMeters / 2
+            }
+        },
+        chunks: chunks.map(({ key, file, scene }) => ({
+            key,
+            cx: scene.meta.chunk.cx,
+            cy: scene.meta.chunk.cy,
+            file,
+            originOffset: scene.originOffset,
+            digest: scene.meta.digest,
+            parity: scene.meta.parity
+        }))
+    };
+
+    console.log(`[EXPORT:3d] Chunked export: ${chunks.length} chunk(s) of ${size.x}×${size.y}, content=${maxX - minX}×${maxY - minY}, digest=${manifest.meta.digest}`);
+
+    return { manifest, chunks };
+}
+
+/**
+ * Measure floor content extent in tiles (used to decide between single and chunked export)
+ * @param {Object} sceneModel - { grid }
+ * @returns {Object} - { minX, minY, maxX, maxY, widthTiles, heightTiles } (all 0 when empty)
+ */
+export function measureContent(sceneModel) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (let y = 0; y < sceneModel.grid.length; y++) {
+        for (let x = 0; x < sceneModel.grid[y].length; x++) {
+            if (sceneModel.grid[y][x] === 'floor') {
+                minX = Math.min(minX, x);
+                minY = Math.min(minY, y);
+                maxX = Math.max(maxX, x);
+                maxY = Math.max(maxY, y);
+            }
+        }
+    }
+    if (minX === Infinity) {
+        return { minX: 0, minY: 0, maxX: 0, maxY: 0, widthTiles: 0, heightTiles: 0 };
+    }
+    return { minX, minY, maxX, maxY, widthTiles: maxX - minX + 1, heightTiles: maxY - minY + 1 };
+}
+
+/**
+ * Measure the combined floor extent of stacked levels, which share one origin when exported
+ * @param {Array<Object>} levels - [{ sceneModel }]
+ * @returns {Object} - { minX, minY, maxX, maxY, widthTiles, heightTiles } (all 0 when every level is empty)
+ */
+export function measureLevels(levels) {
+    const extents = levels.map(level => measureContent(level.sceneModel)).filter(extent => extent.widthTiles > 0);
+    if (extents.length === 0) {
+        return { minX: 0, minY: 0, maxX: 0, maxY: 0, widthTiles: 0, heightTiles: 0 };
+    }
+    const minX = Math.min(...extents.map(extent => extent.minX));
+    const minY = Math.min(...extents.map(extent => extent.minY));
+    const maxX = Math.max(...extents.map(extent => extent.maxX));
+    const maxY = Math.max(...extents.map(extent => extent.maxY));
+    return { minX, minY, maxX, maxY, widthTiles: maxX - minX + 1, heightTiles: maxY - minY + 1 };
+}
+
+/**
+ * Whether content of the given extent fits the simulation limits
+ * @param {Object} contentBounds - { widthTiles, heightTiles }
+ * @param {Object} [simLimits] - { maxTilesX, maxTilesY }
+ * @returns {boolean}
+ */
+export function fitsSimLimits(contentBounds, simLimits) {
+    const limits = resolveSimLimits(simLimits);
+    return contentBounds.widthTiles <= limits.maxTilesX && contentBounds.heightTiles <= limits.maxTilesY;
+}
+
+/**
+ * Parse a "WxH" limits string (e.g. "120x80" or "120×80")
+ * @param {string} text
+ * @returns {Object|null} - { maxTilesX, maxTilesY }, or null when malformed
+ */
+export function parseSimLimits(text) {
+    const match = /^\s*(\d+)\s*[x×]\s*(\d+)\s*$/i.exec(String(text ?? ''));
+    if (!match) return null;
+    const limits = { maxTilesX: Number(match[1]), maxTilesY: Number(match[2]) };
+    return limits.maxTilesX > 0 && limits.maxTilesY > 0 ? limits : null;
+}
+
+function assertCellMeters(cellMeters) {
+    if (!Number.isFinite(cellMeters) || cellMeters <= 0) {
+        throw new Error(`Invalid cellMeters: ${cellMeters} (must be > 0)`);
+    }
+}
+
+function resolveSimLimits(simLimits) {
+    const limits = { ...DEFAULT_SIM_LIMITS, ...(simLimits || {}) };
+    if (!Number.isInteger(limits.maxTilesX) || !Number.isInteger(limits.maxTilesY) ||
+        limits.maxTilesX <= 0 || limits.maxTilesY <= 0) {
+        throw new Error(`Invalid simulation limits: ${limits.maxTilesX}×${limits.maxTilesY} (must be positive integers)`);
+    }
+    return limits;
+}
+
+function assertWithinSimLimits(contentBounds, limits) {
+    if (contentBounds.widthTiles > limits.maxTilesX) {
+        throw new Error(`Content width ${contentBounds.widthTiles} exceeds simulation limit ${limits.maxTilesX}`);
+    }
+    if (contentBounds.heightTiles > limits.maxTilesY) {
+        throw new Error(`Content height ${contentBounds.heightTiles} exceeds simulation limit ${limits.maxTilesY}`);
+    }
+}
+
+/**
+ * Extract tiles, edges and typed edges from a scene model, validated and canonicalized
+ * Tiles and horizontal edges are sorted by (y, x), vertical edges by (x, y).
+ * @param {Object} sceneModel - { grid, horizontalEdges, verticalEdges }
+ * @returns {Object} - { floorTiles, floorMaterials, horizontalEdges, verticalEdges, openings }
+ */
+function extractCanonicalContent(sceneModel) {
+    const rawFloorTiles = [];
+    for (let y = 0; y < sceneModel.grid.length; y++) {
+        for (let x = 0; x < sceneModel.grid[y].length; x++) {
+            if (sceneModel.grid[y][x] === 'floor') {
+                // Enforce integer coordinates
+                if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || y < 0) {
+                    throw new Error(`Non-integer or negative tile coordinate: [${x}, ${y}]`);
+                }
+                rawFloorTiles.push([x, y]);
+            }
+        }
+    }
+
+    // Horizontal edges are unit segments (x,y) → (x+1,y)
+    const rawHorizontalEdges = collectEdgePositions(sceneModel.horizontalEdges, 'horizontal');
+    // Vertical edges are unit segments (x,y) → (x,y+1)
+    const rawVerticalEdges = collectEdgePositions(sceneModel.verticalEdges, 'vertical');
+
+    // 📐 CANONICALIZE: dedupe and sort for deterministic output
+    const byYX = (a, b) => a[1] - b[1] || a[0] - b[0];
+    const byXY = (a, b) => a[0] - b[0] || a[1] - b[1];
+
+    return {
+        floorTiles: dedupePairs(rawFloorTiles).sort(byYX),
+        // 🎨 Finishes travel beside the tiles, sorted like them
+        floorMaterials: collectFloorMaterials(sceneModel.grid, sceneModel.floorMaterials),
+        horizontalEdges: dedupePairs(rawHorizontalEdges).sort(byYX),
+        verticalEdges: dedupePairs(rawVerticalEdges).sort(byXY),
+        // 🚪 Positions stay in horizontal/vertical; type and dimensions travel in edges.openings
+        openings: collectEdgeOpenings(sceneModel.horizontalEdges, sceneModel.verticalEdges)
+    };
+}
+
+function collectEdgePositions(edges, label) {
+    const positions = [];
+    for (let y = 0; y < edges.length; y++) {
+        for (let x = 0; x < edges[y].length; x++) {
+            if (edges[y] && edges[y][x]) {
+                if (!Number.isInteger(x) || !Number.isInteger(y) || x < 0 || y < 0) {
+                    throw new Error(`Non-integer or negative ${label} edge coordinate: [${x}, ${y}]`);
+                }
+                positions.push([x, y]);
+            }
+        }
+    }
+    return positions;
+}
+
+function dedupePairs(pairs) {
+    return Array.from(new Set(pairs.map(pair => `${pair[0]},${pair[1]}`)))
+        .map(str => str.split(',').map(Number));
+}
+
+/**
+ * Shift canonical content by an origin offset
+ * @param {Object} content - Result of extractCanonicalContent
+ * @param {number} minX
+ * @param {number} minY
+ * @returns {Object} - Same shape, coordinates shifted by (-minX, -minY)
+ */
+function offsetContent(content, minX, minY) {
+    const shift = ([x, y]) => [x - minX, y - minY];
+    return {
+        floorTiles: content.floorTiles.map(shift),
+        floorMaterials: content.floorMaterials.map(record => ({ ...record, x: record.x - minX, y: record.y - minY })),
+        horizontalEdges: content.horizontalEdges.map(shift),
+        verticalEdges: content.verticalEdges.map(shift),
+        openings: content.openings.map(opening => ({ ...opening, x: opening.x - minX, y: opening.y - minY }))
+    };
+}
+
+// Openings are only emitted when present so wall-only scenes keep their shape and digest
+function edgesWithOpenings({ horizontalEdges, verticalEdges, openings }) {
+    const edges = { horizontal: horizontalEdges, vertical: verticalEdges };
+    if (openings.length > 0) {
+        edges.openings = openings;
+    }
+    return edges;
+}
+
+// Finishes likewise, so unfinished scenes keep their shape and digest
+function tilesWithMaterials({ floorTiles, floorMaterials }) {
+    const tiles = { floor: floorTiles };
+    if (floorMaterials.length > 0) {
+        tiles.materials = floorMaterials;
+    }
+    return tiles;
+}
+
+// Digest input: floor positions and edges, plus finishes when there are any
+function digestContent(tiles, edges) {
+    const content = { tiles: tiles.floor, edges };
+    if (tiles.materials) {
+        content.materials = tiles.materials;
+    }
+    return content;
+}
+
+function computeParity(floorTiles, edges) {
+    return {
+        tiles: floorTiles.length,
+        edgesH: edges.horizontal.length,
+        edgesV: edges.vertical.length,
+        floorArea: floorTiles.length,
+        edgeLenH: edges.horizontal.length,
+        edgeLenV: edges.vertical.length
+    };
+}
+
 /**
  * Compute simple deterministic hash of a string
  * @param {string} text - Text to hash
@@ -261,16 +662,14 @@ function computeSimpleHash(text) {
 }
 
 /**
- * Detect isolated floor tiles (warn-only sanity check)
+ * Find isolated floor tiles (tiles with no 4-neighbor connections)
  * @param {Array<Array<number>>} floorTiles - Array of [x, y] floor tile coordinates
+ * @returns {Array<Array<number>>} - Array of [x, y]
  */
-function detectFloorIslands(floorTiles) {
-    if (floorTiles.length === 0) return;
-
+export function findFloorIslands(floorTiles) {
     // Create lookup set for O(1) neighbor checking
     const tileSet = new Set(floorTiles.map(tile => `${tile[0]},${tile[1]}`));
 
-    // Check for single-cell islands (tiles with no 4-neighbor connections)
     const islands = [];
     for (const [x, y] of floorTiles) {
         const neighbors = [
@@ -285,49 +684,83 @@ function detectFloorIslands(floorTiles) {
             islands.push([x, y]);
         }
     }
-
-    if (islands.length > 0) {
-        console.warn(`[EXPORT:3d] Warning: Found ${islands.length} isolated floor tile(s):`, islands);
-        console.warn('[EXPORT:3d] Isolated tiles may indicate unintended single-cell regions.');
-    }
+    return islands;
 }
 
 /**
- * Validate perimeter closure (warn-only sanity check for room completeness)
+ * Find floor tile sides that face non-floor without an edge
  * @param {Array<Array<number>>} floorTiles - Array of [x, y] floor tile coordinates
  * @param {Array<Array<number>>} horizontalEdges - Array of [x, y] horizontal edge coordinates
  * @param {Array<Array<number>>} verticalEdges - Array of [x, y] vertical edge coordinates
+ * @returns {Array<Object>} - Array of { x, y, side: 'top'|'bottom'|'left'|'right', edge: { dir: 'H'|'V', x, y } }
  */
-function validatePerimeterClosure(floorTiles, horizontalEdges, verticalEdges) {
-    if (floorTiles.length === 0) return;
-
+export function findPerimeterGaps(floorTiles, horizontalEdges, verticalEdges) {
     // Create lookup sets for quick edge checking
     const hEdgeSet = new Set(horizontalEdges.map(edge => `${edge[0]},${edge[1]}`));
     const vEdgeSet = new Set(verticalEdges.map(edge => `${edge[0]},${edge[1]}`));
     const tileSet = new Set(floorTiles.map(tile => `${tile[0]},${tile[1]}`));
 
-    // Find perimeter tiles (tiles with at least one non-floor neighbor)
-    const perimeterGaps = [];
-
+    const gaps = [];
     for (const [x, y] of floorTiles) {
-        // Check each side of the tile for missing walls
         // Top side: need horizontal edge at (x, y)
         if (!tileSet.has(`${x},${y-1}`) && !hEdgeSet.has(`${x},${y}`)) {
-            perimeterGaps.push(`Top of tile [${x},${y}] missing wall`);
+            gaps.push({ x, y, side: 'top', edge: { dir: 'H', x, y } });
         }
         // Bottom side: need horizontal edge at (x, y+1)
         if (!tileSet.has(`${x},${y+1}`) && !hEdgeSet.has(`${x},${y+1}`)) {
-            perimeterGaps.push(`Bottom of tile [${x},${y}] missing wall`);
+            gaps.push({ x, y, side: 'bottom', edge: { dir: 'H', x, y: y + 1 } });
         }
         // Left side: need vertical edge at (x, y)
         if (!tileSet.has(`${x-1},${y}`) && !vEdgeSet.has(`${x},${y}`)) {
-            perimeterGaps.push(`Left of tile [${x},${y}] missing wall`);
+            gaps.push({ x, y, side: 'left', edge: { dir: 'V', x, y } });
         }
         // Right side: need vertical edge at (x+1, y)
         if (!tileSet.has(`${x+1},${y}`) && !vEdgeSet.has(`${x+1},${y}`)) {
-            perimeterGaps.push(`Right of tile [${x},${y}] missing wall`);
+            gaps.push({ x, y, side: 'right', edge: { dir: 'V', x: x + 1, y } });
         }
     }
+    return gaps;
+}
+
+/**
+ * Export sanity checks (isolated tiles, perimeter gaps) on an editor sceneModel
+ * @param {Object} sceneModel - Scene model with grid and edge arrays
+ * @returns {Object} - { islands, perimeterGaps }
+ */
+export function findContentProblems(sceneModel) {
+    const { floorTiles, horizontalEdges, verticalEdges } = extractCanonicalContent(sceneModel);
+    return {
+        islands: findFloorIslands(floorTiles),
+        perimeterGaps: findPerimeterGaps(floorTiles, horizontalEdges, verticalEdges)
+    };
+}
+
+/**
+ * Detect isolated floor tiles (warn-only sanity check)
+ * @param {Array<Array<number>>} floorTiles - Array of [x, y] floor tile coordinates
+ */
+function detectFloorIslands(floorTiles) {
+    if (floorTiles.length === 0) return;
+
+    const islands = findFloorIslands(floorTiles);
+    if (islands.length > 0) {
+        console.warn(`[EXPORT:3d] Warning: Found ${islands.length} isolated floor tile(s):`, islands);
+        console.warn('[EXPORT:3d] Isolated tiles may indicate unintended single-cell regions.');
+    }
+}
+
+/**
+ * Validate perimeter closure (warn-only sanity check for room completeness)
+ * @param {Array<Array<number>>} floorTiles - Array of [x, y] floor tile coordinates
+ * @param {Array<Array<number>>} horizontalEdges - Array of [x, y] horizontal edge coordinates
+ * @param {Array<Array<number>>} verticalEdges - Array of [x, y] vertical edge coordinates
+ */
+function validatePerimeterClosure(floorTiles, horizontalEdges, verticalEdges) {
+    if (floorTiles.length === 0) return;
+
+    const sideNames = { top: 'Top', bottom: 'Bottom', left: 'Left', right: 'Right' };
+    const perimeterGaps = findPerimeterGaps(floorTiles, horizontalEdges, verticalEdges)
+        .map(gap => `${sideNames[gap.side]} of tile [${gap.x},${gap.y}] missing wall`);
 
     if (perimeterGaps.length > 0) {
         console.warn(`[EXPORT:3d] Warning: Found ${perimeterGaps.length} perimeter gap(s):`);
@@ -0,0 +1,2307 @@
+/**
+ * FloorplanDocument - DOM-free editor document model
+ *
+ * Owns everything the canvas editor edits: the active scene model, the overlay (template
+ * bounds), the parent/current template layers, stacked levels with their undo histories,
+ * the real-world scale, and the mall unit selection with its type and occupancy. Exposes the editing operations (painting, finishes, rects, wall segments,
+ * selections, undo/redo, levels) and the analyses built on them (flood fill, unit detection, room/zone
+ * generation, area schedules, bounds enforcement), so Node tests and scripts can drive real editing flows.
+ *
+ * FloorplanEditor (editor.js) is a view over one document: it forwards these fields and
+ * methods, draws the models and turns failed edits into visual feedback.
+ * onChange(type, rect?) fires after edits: 'cell' | 'edge' | 'scene' | 'bounds' | 'level' | 'scale' | 'unit';
+ * 'cell' and 'edge' pass the changed cell (or the cell an edge starts at) as { x, y, w: 1, h: 1 }.
+ */
+
+import { makeBounds, isInsideRegion } from './TemplateBounds.js';
+import { shapeBoundaryEdges, cellsToShape } from './TemplateShape.js';
+import { makeEdge, getEdgeType, collectEdgeOpenings, applyEdgeOpenings } from './EdgeTypes.js';
+import { isMaterial, createMaterialLayer, collectFloorMaterials, applyFloorMaterials } from './Materials.js';
+import { normalizeScale, scaleToWire } from './Units.js';
+import { buildAreaSchedule } from './AreaSchedule.js';
+import { applyUnitInfo, validateUnitInfo } from './UnitOccupancy.js';
+import { selectionSlots, extractFragment, readFragment } from './Selection.js';
+import { transformScene } from './GridTransforms.js';
+import { EditHistory, snapshotScene, createSnapshotCommand } from './EditHistory.js';
+import { TemplateRelationshipManager } from './TemplateRelationshipManager.js';
+import { GROUND_LEVEL_ID, createLevel, nextLevelDefaults, sortLevels, getLevelAbove,
+    serializeLevel, deserializeLevel, normalizeLevels, normalizeVerticalLinks, nextLinkId } from './Levels.js';
+
+// Largest grid side in cells; drawing is viewport-culled, but every level holds full-size arrays
+export const MAX_GRID_SIZE = 1000;
+
+export class FloorplanDocument {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.width] - Grid width in cells
+     * @param {number} [options.height] - Grid height in cells
+     * @param {number} [options.cellSize] - Cell size in pixels (display only; the physical size is the scale)
+     * @param {Function} [options.onChange] - Called with the change type after each edit
+     */
+    constructor({ width = 60, height = 40, cellSize = 20, onChange = null } = {}) {
+        this.gridWidth = width;
+        this.gridHeight = height;
+        this.cellSize = cellSize;
+        this.scale = normalizeScale(); // Real-world cell size and display units; cellSize is display only
+        this.onChange = onChange;
+
+        // Hard data separation: sceneModel (user content) vs overlayModel (template constraints)
+        this.sceneModel = {
+            grid: this.createEmptyGrid(),
+            horizontalEdges: this.createEmptyEdgeSet(this.gridWidth, this.gridHeight),
+            verticalEdges: this.createEmptyEdgeSet(this.gridWidth, this.gridHeight)
+        };
+
+        this.overlayModel = {
+            templateData: null,
+            bounds: null,
+            constraints: null
+        };
+
+        // Template content layers for hierarchical ghosted rendering
+        this.parentTemplateModel = {
+            grid: this.createEmptyGrid(),
+            horizontalEdges: this.createEmptyEdgeSet(this.gridWidth, this.gridHeight),
+            verticalEdges: this.createEmptyEdgeSet(this.gridWidth, this.gridHeight),
+            hasContent: false,
+            templateData: null
+        };
+
+        this.currentTemplateModel = {
+            grid: this.createEmptyGrid(),
+            horizontalEdges: this.createEmptyEdgeSet(this.gridWidth, this.gridHeight),
+            verticalEdges: this.createEmptyEdgeSet(this.gridWidth, this.gridHeight),
+            hasContent: false,
+            templateData: null
+        };
+
+        // Legacy templateModel for backward compatibility (points to current)
+        this.templateModel = this.currentTemplateModel;
+
+        // Undo/redo history of sceneModel edits (one command per stroke/rect/wall segment)
+        this.history = new EditHistory({ limit: 100 });
+
+        // Stacked levels: each owns a sceneModel and history; the active one is aliased as this.sceneModel/this.history
+        this.levels = [{
+            ...createLevel({ id: GROUND_LEVEL_ID, name: 'Ground', elevation: 0, sceneModel: this.sceneModel }),
+            history: this.history
+        }];
+        this.activeLevelIndex = 0;
+        this.verticalLinks = []; // Stair/escalator/elevator footprints between levels
+
+        // Template overlay state
+        this.showTemplate = false;
+        this.templateType = null; // Track what type of template is loaded
+        this.templateContext = {}; // Store template metadata
+
+        // Unit selection for mall mode
+        this.activeUnit = null; // { id, rect }
+        this.limitToActiveUnit = false;
+        this.baseBounds = null; // Store original bounds before limiting
+
+        // Parent/child template loading
+        this.templateRelationshipManager = new TemplateRelationshipManager();
+    }
+
+    // Legacy aliases for the active scene arrays
+    get grid() {
+        return this.sceneModel.grid;
+    }
+
+    set grid(value) {
+        this.sceneModel.grid = value;
+    }
+
+    get horizontalEdges() {
+        return this.sceneModel.horizontalEdges;
+    }
+
+    set horizontalEdges(value) {
+        this.sceneModel.horizontalEdges = value;
+    }
+
+    get verticalEdges() {
+        return this.sceneModel.verticalEdges;
+    }
+
+    set verticalEdges(value) {
+        this.sceneModel.verticalEdges = value;
+    }
+
+    notify(type, rect) {
+        if (this.onChange) this.onChange(type, rect);
+    }
+
+    // Change the real-world scale ({ cellMeters?, units? }); returns the normalized scale
+    setScale(scale) {
+        this.scale = normalizeScale({ ...this.scale, ...scale });
+        this.notify('scale');
+        return this.scale;
+    }
+
+    isInsideGrid(x, y) {
+        return x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight;
+    }
+
+    createEmptyGrid() {
+        const grid = [];
+        for (let y = 0; y < this.gridHeight; y++) {
+            grid[y] = [];
+            for (let x = 0; x < this.gridWidth; x++) {
+                grid[y][x] = 'empty';
+            }
+        }
+        return grid;
+    }
+
+    createEmptyEdgeSet(width, height) {
+        const edges = [];
+        for (let y = 0; y < height; y++) {
+            edges[y] = [];
+            for (let x = 0; x < width; x++) {
+                edges[y][x] = false;
+            }
+        }
+        return edges;
+    }
+
+    resizeTemplateModels() {
+        console.log('[DEBUG] resizeTemplateModels: Resizing template arrays to match grid:', this.gridWidth, 'x', this.gridHeight);
+
+        // Resize scene model arrays
+        this.sceneModel.grid = this.createEmptyGrid();
+        this.sceneModel.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+        this.sceneModel.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+
+        // Preserve parent template data but resize arrays
+        if (this.parentTemplateModel.hasContent) {
+            const oldParentGrid = this.parentTemplateModel.grid;
+            const oldParentHEdges = this.parentTemplateModel.horizontalEdges;
+            const oldParentVEdges = this.parentTemplateModel.verticalEdges;
+
+            // Create new arrays with current grid dimensions
+            this.parentTemplateModel.grid = this.createEmptyGrid();
+            this.parentTemplateModel.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+            this.parentTemplateModel.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+
+            // Copy old data into new arrays (within bounds)
+            const oldHeight = oldParentGrid.length;
+            const oldWidth = oldParentGrid[0]?.length || 0;
+            for (let y = 0; y < Math.min(oldHeight, this.gridHeight); y++) {
+                for (let x = 0; x < Math.min(oldWidth, this.gridWidth); x++) {
+                    this.parentTemplateModel.grid[y][x] = oldParentGrid[y][x];
+                }
+            }
+
+            // Copy horizontal edges (within bounds)
+            const oldHHeight = oldParentHEdges.length;
+            const oldHWidth = oldParentHEdges[0]?.length || 0;
+            for (let y = 0; y < Math.min(oldHHeight, this.gridHeight); y++) {
+                for (let x = 0; x < Math.min(oldHWidth, this.gridWidth); x++) {
+                    this.parentTemplateModel.horizontalEdges[y][x] = oldParentHEdges[y][x];
+                }
+            }
+
+            // Copy vertical edges (within bounds)
+            const oldVHeight = oldParentVEdges.length;
+            const oldVWidth = oldParentVEdges[0]?.length || 0;
+            for (let y = 0; y < Math.min(oldVHeight, this.gridHeight); y++) {
+                for (let x = 0; x < Math.min(oldVWidth, this.gridWidth); x++) {
+                    this.parentTemplateModel.verticalEdges[y][x] = oldParentVEdges[y][x];
+                }
+            }
+        } else {
+            // Create empty arrays
+            this.parentTemplateModel.grid = this.createEmptyGrid();
+            this.parentTemplateModel.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+            this.parentTemplateModel.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+        }
+
+        // Preserve current template data but resize arrays
+        if (this.currentTemplateModel.hasContent) {
+            const oldCurrentGrid = this.currentTemplateModel.grid;
+            const oldCurrentHEdges = this.currentTemplateModel.horizontalEdges;
+            const oldCurrentVEdges = this.currentTemplateModel.verticalEdges;
+
+            // Create new arrays with current grid dimensions
+            this.currentTemplateModel.grid = this.createEmptyGrid();
+            this.currentTemplateModel.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+            this.currentTemplateModel.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+
+            // Copy old data into new arrays (within bounds)
+            const oldHeight = oldCurrentGrid.length;
+            const oldWidth = oldCurrentGrid[0]?.length || 0;
+            for (let y = 0; y < Math.min(oldHeight, this.gridHeight); y++) {
+                for (let x = 0; x < Math.min(oldWidth, this.gridWidth); x++) {
+                    this.currentTemplateModel.grid[y][x] = oldCurrentGrid[y][x];
+                }
+            }
+
+            // Copy horizontal edges (within bounds)
+            const oldHHeight = oldCurrentHEdges.length;
+            const oldHWidth = oldCurrentHEdges[0]?.length || 0;
+            for (let y = 0; y < Math.min(oldHHeight, this.gridHeight); y++) {
+                for (let x = 0; x < Math.min(oldHWidth, this.gridWidth); x++) {
+                    this.currentTemplateModel.horizontalEdges[y][x] = oldCurrentHEdges[y][x];
+                }
+            }
+
+            // Copy vertical edges (within bounds)
+            const oldVHeight = oldCurrentVEdges.length;
+            const oldVWidth = oldCurrentVEdges[0]?.length || 0;
+            for (let y = 0; y < Math.min(oldVHeight, this.gridHeight); y++) {
+                for (let x = 0; x < Math.min(oldVWidth, this.gridWidth); x++) {
+                    this.currentTemplateModel.verticalEdges[y][x] = oldCurrentVEdges[y][x];
+                }
+            }
+        } else {
+            // Create empty arrays if no content
+            this.currentTemplateModel.grid = this.createEmptyGrid();
+            this.currentTemplateModel.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+            this.currentTemplateModel.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+        }
+
+        // Keep the other levels the same size as the active one
+        this.resizeLevelModels();
+
+        // Update legacy references
+        this.grid = this.sceneModel.grid;
+        this.horizontalEdges = this.sceneModel.horizontalEdges;
+        this.verticalEdges = this.sceneModel.verticalEdges;
+
+        console.log('[DEBUG] resizeTemplateModels: Completed resizing');
+        this.notify('scene');
+    }
+
+    clearScene() {
+        // Reset scene model to empty state
+        this.sceneModel.grid = this.createEmptyGrid();
+        this.sceneModel.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+        this.sceneModel.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+        delete this.sceneModel.floorMaterials;
+
+        // Only clear current template layer, preserve parent template
+        this.currentTemplateModel.grid = this.createEmptyGrid();
+        this.currentTemplateModel.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+        this.currentTemplateModel.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+        this.currentTemplateModel.hasContent = false;
+
+        // Maintain compatibility with legacy grid references
+        this.grid = this.sceneModel.grid;
+        this.horizontalEdges = this.sceneModel.horizontalEdges;
+        this.verticalEdges = this.sceneModel.verticalEdges;
+
+        console.log('Scene cleared - ready for new content');
+        this.notify('scene');
+    }
+
+    // Parse template content and populate template layer for ghosted rendering
+    parseTemplateContent(templateData, dto) {
+        console.log('[DEBUG] parseTemplateContent: Entry:', {
+            templateDataKeys: Object.keys(templateData),
+            dtoType: dto.type,
+            hasSceneData: !!templateData.sceneData,
+            hasInstances: !!templateData.instances,
+            hasParent: !!templateData.meta?.parent
+        });
+
+        // Determine if this is a child template with a parent
+        const hasParent = templateData.meta?.parent;
+
+        if (hasParent) {
+            // This is a child template - move current template to parent layer if it exists
+            if (this.currentTemplateModel.hasContent) {
+                console.log('[DEBUG] parseTemplateContent: Moving current template to parent layer');
+                // Deep copy current template to parent layer
+                this.parentTemplateModel.grid = this.currentTemplateModel.grid.map(row => [...row]);
+                this.parentTemplateModel.horizontalEdges = this.currentTemplateModel.horizontalEdges.map(row => [...row]);
+                this.parentTemplateModel.verticalEdges = this.currentTemplateModel.verticalEdges.map(row => [...row]);
+                this.parentTemplateModel.hasContent = this.currentTemplateModel.hasContent;
+                this.parentTemplateModel.templateData = this.currentTemplateModel.templateData;
+            }
+
+            // Clear current template layer for new child template
+            this.currentTemplateModel.grid = this.createEmptyGrid();
+            this.currentTemplateModel.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+            this.currentTemplateModel.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+            this.currentTemplateModel.hasContent = false;
+            this.currentTemplateModel.templateData = templateData;
+        } else {
+            // This is a parent template - clear current but preserve parent
+            this.currentTemplateModel.grid = this.createEmptyGrid();
+            this.currentTemplateModel.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+            this.currentTemplateModel.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+            this.currentTemplateModel.hasContent = false;
+            this.currentTemplateModel.templateData = templateData;
+        }
+
+        // Check if template has instances (scene content)
+        if (templateData.instances && Array.isArray(templateData.instances)) {
+            // Convert instances to grid representation
+            this.parseInstancesIntoTemplateLayer(templateData.instances);
+            this.templateModel.hasContent = true;
+            console.log('Parsed template instances into ghosted layer:', templateData.instances.length);
+        }
+
+        // For mall templates, check for embedded scene content
+        if (dto.type === 'mall') {
+            console.log('[DEBUG] parseTemplateContent: Processing mall template');
+            if (templateData.sceneData) {
+                console.log('[DEBUG] parseTemplateContent: Found sceneData, parsing...');
+                // Parse scene data (tiles and edges) into template layer
+                this.parseSceneDataIntoTemplateLayer(templateData.sceneData);
+                console.log('[DEBUG] parseTemplateContent: Parsed mall scene data into ghosted layer');
+            } else if (templateData.instances && Array.isArray(templateData.instances)) {
+                console.log('[DEBUG] parseTemplateContent: Found instances, parsing...');
+                // Legacy: handle instances format
+                this.parseInstancesIntoTemplateLayer(templateData.instances);
+                this.templateModel.hasContent = true;
+                console.log('[DEBUG] parseTemplateContent: Parsed mall instances into ghosted layer');
+            } else {
+                console.log('[DEBUG] parseTemplateContent: No scene data or instances, creating boundary');
+                // Create ghosted boundary representation from mall structure
+                this.createGhostedMallBoundary(dto);
+            }
+        }
+
+        // For gallery/unit templates, handle scene data or create boundary from rect
+        if (dto.type === 'unit') {
+            console.log('[DEBUG] parseTemplateContent: Processing gallery/unit template');
+            if (templateData.sceneData) {
+                // Parse scene data if available
+                this.parseSceneDataIntoTemplateLayer(templateData.sceneData);
+                console.log('[DEBUG] parseTemplateContent: Parsed gallery scene data into ghosted layer');
+            } else if (dto.rect) {
+                console.log('[DEBUG] parseTemplateContent: Creating gallery boundary from rect:', dto.rect);
+                console.log('[DEBUG] parseTemplateContent: Grid dimensions before boundary creation:', this.gridWidth, 'x', this.gridHeight);
+
+                // Create ghosted boundary from gallery rect
+                this.createGhostedRectOutline(dto.rect, dto.shape);
+                this.currentTemplateModel.hasContent = true;
+
+                console.log('[DEBUG] parseTemplateContent: Gallery boundary created, currentTemplateModel.hasContent:', this.currentTemplateModel.hasContent);
+                console.log('[DEBUG] parseTemplateContent: Template states after gallery boundary:', {
+                    parentHasContent: this.parentTemplateModel.hasContent,
+                    currentHasContent: this.currentTemplateModel.hasContent
+                });
+            } else {
+                console.log('[DEBUG] parseTemplateContent: No sceneData or rect found for gallery template');
+            }
+        }
+    }
+
+    // Parse template content using Template Relationship Manager result
+    parseTemplateContentWithRelationships(relationshipResult) {
+        console.log('[DEBUG] parseTemplateContentWithRelationships: Entry:', relationshipResult);
+
+        // Clear existing template layers
+        this.parentTemplateModel.grid = this.createEmptyGrid();
+        this.parentTemplateModel.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+        this.parentTemplateModel.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+        this.parentTemplateModel.hasContent = false;
+
+        this.currentTemplateModel.grid = this.createEmptyGrid();
+        this.currentTemplateModel.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+        this.currentTemplateModel.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+        this.currentTemplateModel.hasContent = false;
+
+        // Process parent template if it exists
+        if (relationshipResult.hasParent && relationshipResult.parent) {
+            console.log('[DEBUG] parseTemplateContentWithRelationships: Processing parent template');
+            const parentData = relationshipResult.parent.templateData;
+            const parentDto = relationshipResult.parent.dto;
+
+            // Parse parent template content into parent layer
+            this.parseTemplateIntoLayer(parentData, parentDto, 'parent');
+            console.log('[DEBUG] parseTemplateContentWithRelationships: Parent template parsed');
+        }
+
+        // Process current template
+        if (relationshipResult.current) {
+            console.log('[DEBUG] parseTemplateContentWithRelationships: Processing current template');
+            const currentData = relationshipResult.current.templateData;
+            const currentDto = relationshipResult.current.dto;
+
+            // Parse current template content into current layer
+            this.parseTemplateIntoLayer(currentData, currentDto, 'current');
+            console.log('[DEBUG] parseTemplateContentWithRelationships: Current template parsed');
+        }
+
+        console.log('[DEBUG] parseTemplateContentWithRelationships: Complete. Template states:', {
+            parentHasContent: this.parentTemplateModel.hasContent,
+            currentHasContent: this.currentTemplateModel.hasContent
+        });
+    }
+
+    // Parse template data into a specific layer (parent or current)
+    parseTemplateIntoLayer(templateData, dto, layer) {
+        console.log(`[DEBUG] parseTemplateIntoLayer: Processing ${layer} layer:`, {
+            templateType: dto.type,
+            hasSceneData: !!templateData.sceneData,
+            hasInstances: !!templateData.instances
+        });
+
+        // Select the target template model
+        const targetModel = layer === 'parent' ? this.parentTemplateModel : this.currentTemplateModel;
+
+        // Store template data reference
+        targetModel.templateData = templateData;
+
+        // Check if template has instances (scene content)
+        if (templateData.instances && Array.isArray(templateData.instances)) {
+            console.log(`[DEBUG] parseTemplateIntoLayer: Parsing ${templateData.instances.length} instances into ${layer} layer`);
+            this.parseInstancesIntoLayer(templateData.instances, layer);
+            targetModel.hasContent = true;
+        }
+
+        // For mall templates, check for embedded scene content
+        if (dto.type === 'mall') {
+            console.log(`[DEBUG] parseTemplateIntoLayer: Processing mall template in ${layer} layer`);
+            if (templateData.sceneData) {
+                console.log(`[DEBUG] parseTemplateIntoLayer: Found sceneData, parsing into ${layer} layer`);
+                this.parseSceneDataIntoLayer(templateData.sceneData, layer);
+            } else if (templateData.instances && Array.isArray(templateData.instances)) {
+                console.log(`[DEBUG] parseTemplateIntoLayer: Found instances, parsing into ${layer} layer`);
+                this.parseInstancesIntoLayer(templateData.instances, layer);
+                targetModel.hasContent = true;
+            } else {
+                console.log(`[DEBUG] parseTemplateIntoLayer: No scene data or instances, creating boundary in ${layer} layer`);
+                this.createGhostedMallBoundaryInLayer(dto, layer);
+            }
+        }
+
+        // For gallery/unit templates, handle scene data or create boundary from rect
+        if (dto.type === 'unit') {
+            console.log(`[DEBUG] parseTemplateIntoLayer: Processing gallery/unit template in ${layer} layer`);
+            if (templateData.sceneData) {
+                this.parseSceneDataIntoLayer(templateData.sceneData, layer);
+            } else if (dto.rect) {
+                console.log(`[DEBUG] parseTemplateIntoLayer: Creating gallery boundary from rect in ${layer} layer:`, dto.rect);
+                this.createGhostedRectOutlineInLayer(dto.rect, layer, dto.shape);
+                targetModel.hasContent = true;
+            } else {
+                console.log(`[DEBUG] parseTemplateIntoLayer: No sceneData or rect found for gallery template in ${layer} layer`);
+            }
+        }
+
+        // For room templates, handle scene data or create boundary from rect
+        if (dto.type === 'room') {
+            console.log(`[DEBUG] parseTemplateIntoLayer: Processing room template in ${layer} layer`);
+            if (templateData.sceneData) {
+                this.parseSceneDataIntoLayer(templateData.sceneData, layer);
+            } else if (dto.rect) {
+                console.log(`[DEBUG] parseTemplateIntoLayer: Creating room boundary from rect in ${layer} layer:`, dto.rect);
+                this.createGhostedRectOutlineInLayer(dto.rect, layer, dto.shape);
+                targetModel.hasContent = true;
+            } else {
+                console.log(`[DEBUG] parseTemplateIntoLayer: No sceneData or rect found for room template in ${layer} layer`);
+            }
+        }
+
+        console.log(`[DEBUG] parseTemplateIntoLayer: Completed ${layer} layer processing. hasContent:`, targetModel.hasContent);
+    }
+
+    // Convert scene instances to template grid representation (layer-aware)
+    parseInstancesIntoLayer(instances, layer = 'current') {
+        const targetModel = layer === 'parent' ? this.parentTemplateModel : this.currentTemplateModel;
+
+        instances.forEach(instance => {
+            if (instance.position && instance.type) {
+                const [worldX, worldY, worldZ] = instance.position;
+                const gridX = Math.floor(worldX / 2);
+                const gridY = Math.floor(worldZ / 2);
+
+                if (gridX >= 0 && gridX < this.gridWidth && gridY >= 0 && gridY < this.gridHeight) {
+                    if (instance.type === 'lobbyFloor') {
+                        targetModel.grid[gridY][gridX] = 'floor';
+                    }
+                    // Handle wall instances by adding edges
+                    // This is simplified - you might need more sophisticated wall detection
+                }
+            }
+        });
+    }
+
+    // Convert scene data (tiles and edges) to template grid representation (layer-aware)
+    parseSceneDataIntoLayer(sceneData, layer = 'current') {
+        console.log(`[DEBUG] parseSceneDataIntoLayer: Entry with sceneData in ${layer} layer:`, sceneData);
+
+        const targetModel = layer === 'parent' ? this.parentTemplateModel : this.currentTemplateModel;
+        let floorsAdded = 0;
+        let hEdgesAdded = 0;
+        let vEdgesAdded = 0;
+
+        // Parse floor tiles
+        if (sceneData.tiles && sceneData.tiles.floor) {
+            console.log(`[DEBUG] parseSceneDataIntoLayer: Processing ${sceneData.tiles.floor.length} floor tiles in ${layer} layer`);
+            sceneData.tiles.floor.forEach(([x, y]) => {
+                if (x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight) {
+                    targetModel.grid[y][x] = 'floor';
+                    floorsAdded++;
+                } else {
+                    console.log(`[DEBUG] parseSceneDataIntoLayer: Floor tile out of bounds in ${layer} layer:`, [x, y]);
+                }
+            });
+        }
+
+        // Parse horizontal edges
+        if (sceneData.edges && sceneData.edges.horizontal) {
+            console.log(`[DEBUG] parseSceneDataIntoLayer: Processing ${sceneData.edges.horizontal.length} horizontal edges in ${layer} layer`);
+            sceneData.edges.horizontal.forEach(([x, y]) => {
+                if (x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight) {
+                    targetModel.horizontalEdges[y][x] = true;
+                    hEdgesAdded++;
+                } else {
+                    console.log(`[DEBUG] parseSceneDataIntoLayer: H-edge out of bounds in ${layer} layer:`, [x, y]);
+                }
+            });
+        }
+
+        // Parse vertical edges
+        if (sceneData.edges && sceneData.edges.vertical) {
+            console.log(`[DEBUG] parseSceneDataIntoLayer: Processing ${sceneData.edges.vertical.length} vertical edges in ${layer} layer`);
+            sceneData.edges.vertical.forEach(([x, y]) => {
+                if (x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight) {
+                    targetModel.verticalEdges[y][x] = true;
+                    vEdgesAdded++;
+                } else {
+                    console.log(`[DEBUG] parseSceneDataIntoLayer: V-edge out of bounds in ${layer} layer:`, [x, y]);
+                }
+            });
+        }
+
+        // Set hasContent flag if we actually added anything
+        if (floorsAdded > 0 || hEdgesAdded > 0 || vEdgesAdded > 0) {
+            targetModel.hasContent = true;
+        }
+
+        console.log(`[DEBUG] parseSceneDataIntoLayer: Conversion complete for ${layer} layer:`, {
+            floorsAdded,
+            hEdgesAdded,
+            vEdgesAdded,
+            hasContent: targetModel.hasContent
+        });
+    }
+
+    // Create ghosted boundary representation for mall templates (layer-aware)
+    createGhostedMallBoundaryInLayer(dto, layer = 'current') {
+        const targetModel = layer === 'parent' ? this.parentTemplateModel : this.currentTemplateModel;
+
+        // If mall has units, create ghosted outlines for each unit
+        if (dto.units && dto.units.length > 0) {
+            dto.units.forEach(unit => {
+                if (unit.rect) {
+                    this.createGhostedRectOutlineInLayer(unit.rect, layer, unit.shape);
+                }
+            });
+            targetModel.hasContent = true;
+            console.log(`Created ghosted unit boundaries for ${dto.units.length} units in ${layer} layer`);
+        }
+        // If mall has rect but no units, create ghosted outline for the mall area
+        else if (dto.rect) {
+            this.createGhostedRectOutlineInLayer(dto.rect, layer, dto.shape);
+            targetModel.hasContent = true;
+            console.log(`Created ghosted mall boundary from rect in ${layer} layer:`, dto.rect);
+        }
+    }
+
+    // Create ghosted rectangular outline (layer-aware); a shape is outlined exactly instead
+    createGhostedRectOutlineInLayer(rect, layer = 'current', shape = null) {
+        const targetModel = layer === 'parent' ? this.parentTemplateModel : this.currentTemplateModel;
+        if (shape) {
+            this.createGhostedShapeOutline(shape, targetModel);
+            return;
+        }
+        const { x, y, w, h } = rect;
+        let edgesAdded = 0;
+
+        console.log(`[DEBUG] createGhostedRectOutlineInLayer: Creating outline for rect ${JSON.stringify(rect)} in ${layer} layer`);
+
+        // Top edge
+        for (let i = 0; i < w; i++) {
+            if (x + i >= 0 && x + i < this.gridWidth && y >= 0 && y < this.gridHeight) {
+                targetModel.horizontalEdges[y][x + i] = true;
+                edgesAdded++;
+            }
+        }
+
+        // Bottom edge
+        for (let i = 0; i < w; i++) {
+            if (x + i >= 0 && x + i < this.gridWidth && y + h >= 0 && y + h < this.gridHeight) {
+                targetModel.horizontalEdges[y + h][x + i] = true;
+                edgesAdded++;
+            }
+        }
+
+        // Left edge
+        for (let i = 0; i < h; i++) {
+            if (x >= 0 && x < this.gridWidth && y + i >= 0 && y + i < this.gridHeight) {
+                targetModel.verticalEdges[y + i][x] = true;
+                edgesAdded++;
+            }
+        }
+
+        // Right edge
+        for (let i = 0; i < h; i++) {
+            if (x + w >= 0 && x + w < this.gridWidth && y + i >= 0 && y + i < this.gridHeight) {
+                targetModel.verticalEdges[y + i][x + w] = true;
+                edgesAdded++;
+            }
+        }
+
+        if (edgesAdded > 0) {
+            targetModel.hasContent = true;
+        }
+
+        console.log(`[DEBUG] createGhostedRectOutlineInLayer: Created ${edgesAdded} edges in ${layer} layer`);
+    }
+
+    // Convert scene instances to template grid representation
+    parseInstancesIntoTemplateLayer(instances) {
+        instances.forEach(instance => {
+            if (instance.position && instance.type) {
+                const [worldX, worldY, worldZ] = instance.position;
+                const gridX = Math.floor(worldX / 2);
+                const gridY = Math.floor(worldZ / 2);
+
+                if (gridX >= 0 && gridX < this.gridWidth && gridY >= 0 && gridY < this.gridHeight) {
+                    if (instance.type === 'lobbyFloor') {
+                        this.templateModel.grid[gridY][gridX] = 'floor';
+                    }
+                    // Handle wall instances by adding edges
+                    // This is simplified - you might need more sophisticated wall detection
+                }
+            }
+        });
+    }
+
+    // Convert scene data (tiles and edges) to template grid representation
+    parseSceneDataIntoTemplateLayer(sceneData) {
+        console.log('[DEBUG] parseSceneDataIntoTemplateLayer: Entry with sceneData:', sceneData);
+
+        let floorsAdded = 0;
+        let hEdgesAdded = 0;
+        let vEdgesAdded = 0;
+
+        // Parse floor tiles
+        if (sceneData.tiles && sceneData.tiles.floor) {
+            console.log('[DEBUG] parseSceneDataIntoTemplateLayer: Processing', sceneData.tiles.floor.length, 'floor tiles');
+            sceneData.tiles.floor.forEach(([x, y]) => {
+                if (x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight) {
+                    this.currentTemplateModel.grid[y][x] = 'floor';
+                    floorsAdded++;
+                } else {
+                    console.log('[DEBUG] parseSceneDataIntoTemplateLayer: Floor tile out of bounds:', [x, y]);
+                }
+            });
+        }
+
+        // Parse horizontal edges
+        if (sceneData.edges && sceneData.edges.horizontal) {
+            console.log('[DEBUG] parseSceneDataIntoTemplateLayer: Processing', sceneData.edges.horizontal.length, 'horizontal edges');
+            sceneData.edges.horizontal.forEach(([x, y]) => {
+                if (x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight) {
+                    this.currentTemplateModel.horizontalEdges[y][x] = true;
+                    hEdgesAdded++;
+                } else {
+                    console.log('[DEBUG] parseSceneDataIntoTemplateLayer: H-edge out of bounds:', [x, y]);
+                }
+            });
+        }
+
+        // Parse vertical edges
+        if (sceneData.edges && sceneData.edges.vertical) {
+            console.log('[DEBUG] parseSceneDataIntoTemplateLayer: Processing', sceneData.edges.vertical.length, 'vertical edges');
+            sceneData.edges.vertical.forEach(([x, y]) => {
+                if (x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight) {
+                    this.currentTemplateModel.verticalEdges[y][x] = true;
+                    vEdgesAdded++;
+                } else {
+                    console.log('[DEBUG] parseSceneDataIntoTemplateLayer: V-edge out of bounds:', [x, y]);
+                }
+            });
+        }
+
+        // Apply typed edges (doors, windows, openings) on top of the plain edges
+        applyEdgeOpenings(this.currentTemplateModel.horizontalEdges, this.currentTemplateModel.verticalEdges,
+            sceneData.edges?.openings);
+
+        // Set hasContent flag if we actually added anything
+        if (floorsAdded > 0 || hEdgesAdded > 0 || vEdgesAdded > 0) {
+            this.currentTemplateModel.hasContent = true;
+        }
+
+        console.log('[DEBUG] parseSceneDataIntoTemplateLayer: Conversion complete:', {
+            floorsAdded,
+            hEdgesAdded,
+            vEdgesAdded,
+            currentTemplateHasContent: this.currentTemplateModel.hasContent
+        });
+    }
+
+    // Create ghosted boundary representation for mall templates without scene content
+    createGhostedMallBoundary(dto) {
+        // If mall has units, create ghosted outlines for each unit
+        if (dto.units && dto.units.length > 0) {
+            dto.units.forEach(unit => {
+                if (unit.rect) {
+                    this.createGhostedRectOutline(unit.rect, unit.shape);
+                }
+            });
+            this.currentTemplateModel.hasContent = true;
+            console.log('Created ghosted unit boundaries for', dto.units.length, 'units');
+        }
+        // If mall has rect but no units, create ghosted outline for the mall area
+        else if (dto.rect) {
+            this.createGhostedRectOutline(dto.rect, dto.shape);
+            this.currentTemplateModel.hasContent = true;
+            console.log('Created ghosted mall boundary from rect:', dto.rect);
+        }
+    }
+
+    // Create a ghosted outline (border only) for a rectangle, or for the exact shape when given
+    createGhostedRectOutline(rect, shape = null) {
+        if (shape) {
+            this.createGhostedShapeOutline(shape, this.currentTemplateModel);
+            return;
+        }
+        const { x, y, w, h } = rect;
+        let edgesAdded = 0;
+
+        console.log('[DEBUG] createGhostedRectOutline: Creating boundary for rect:', rect);
+        console.log('[DEBUG] createGhostedRectOutline: Grid bounds check:', {
+            gridWidth: this.gridWidth,
+            gridHeight: this.gridHeight,
+            rectBounds: { left: x, top: y, right: x + w, bottom: y + h }
+        });
+
+        // Create border edges for the rectangle (not fill the interior)
+        // Top border
+        for (let i = 0; i < w && y >= 0 && y < this.gridHeight; i++) {
+            if (x + i >= 0 && x + i < this.gridWidth) {
+                this.currentTemplateModel.horizontalEdges[y][x + i] = true;
+                edgesAdded++;
+            }
+        }
+
+        // Bottom border
+        for (let i = 0; i < w && y + h >= 0 && y + h < this.gridHeight; i++) {
+            if (x + i >= 0 && x + i < this.gridWidth) {
+                this.currentTemplateModel.horizontalEdges[y + h][x + i] = true;
+                edgesAdded++;
+            }
+        }
+
+        // Left border
+        for (let i = 0; i < h && x >= 0 && x < this.gridWidth; i++) {
+            if (y + i >= 0 && y + i < this.gridHeight) {
+                this.currentTemplateModel.verticalEdges[y + i][x] = true;
+                edgesAdded++;
+            }
+        }
+
+        // Right border
+        for (let i = 0; i < h && x + w >= 0 && x + w < this.gridWidth; i++) {
+            if (y + i >= 0 && y + i < this.gridHeight) {
+                this.currentTemplateModel.verticalEdges[y + i][x + w] = true;
+                edgesAdded++;
+            }
+        }
+
+        console.log('[DEBUG] createGhostedRectOutline: Created', edgesAdded, 'boundary edges');
+    }
+
+    // Convert relationship manager template data to legacy template model format
+    createLegacyTemplateModel(relationshipTemplate) {
+        if (!relationshipTemplate) return null;
+
+        const templateData = relationshipTemplate.templateData;
+        const dto = relationshipTemplate.dto;
+
+        // Create a temporary template model with the same structure
+        const legacyModel = {
+            grid: this.createEmptyGrid(),
+            horizontalEdges: this.createEmptyEdgeSet(this.gridWidth, this.gridHeight),
+            verticalEdges: this.createEmptyEdgeSet(this.gridWidth, this.gridHeight),
+            hasContent: false,
+            templateData: templateData
+        };
+
+        // Parse the template content into the legacy model
+        this.parseTemplateContentIntoLegacyModel(templateData, dto, legacyModel);
+
+        return legacyModel;
+    }
+
+    // Parse template content into a legacy model structure
+    parseTemplateContentIntoLegacyModel(templateData, dto, targetModel) {
+        console.log('[DEBUG] parseTemplateContentIntoLegacyModel: Processing:', {
+            templateType: dto.type,
+            hasSceneData: !!templateData.sceneData,
+            hasInstances: !!templateData.instances
+        });
+
+        // Check if template has instances (scene content)
+        if (templateData.instances && Array.isArray(templateData.instances)) {
+            this.parseInstancesIntoLegacyModel(templateData.instances, targetModel);
+            targetModel.hasContent = true;
+        }
+
+        // For mall templates, check for embedded scene content
+        if (dto.type === 'mall') {
+            if (templateData.sceneData) {
+                this.parseSceneDataIntoLegacyModel(templateData.sceneData, targetModel);
+            } else if (templateData.instances && Array.isArray(templateData.instances)) {
+                this.parseInstancesIntoLegacyModel(templateData.instances, targetModel);
+                targetModel.hasContent = true;
+            } else {
+                this.createGhostedMallBoundaryInLegacyModel(dto, targetModel);
+            }
+        }
+
+        // For gallery/unit templates, handle scene data or create boundary from rect
+        if (dto.type === 'unit') {
+            if (templateData.sceneData) {
+                this.parseSceneDataIntoLegacyModel(templateData.sceneData, targetModel);
+            } else if (dto.rect) {
+                this.createGhostedRectOutlineInLegacyModel(dto.rect, targetModel, dto.shape);
+                targetModel.hasContent = true;
+            }
+        }
+
+        // For room templates, handle scene data or create boundary from rect
+        if (dto.type === 'room') {
+            if (templateData.sceneData) {
+                this.parseSceneDataIntoLegacyModel(templateData.sceneData, targetModel);
+            } else if (dto.rect) {
+                this.createGhostedRectOutlineInLegacyModel(dto.rect, targetModel, dto.shape);
+                targetModel.hasContent = true;
+            }
+        }
+    }
+
+    // Helper methods for legacy model creation
+    parseInstancesIntoLegacyModel(instances, targetModel) {
+        instances.forEach(instance => {
+            if (instance.position && instance.type) {
+                const [worldX, worldY, worldZ] = instance.position;
+                const gridX = Math.floor(worldX / 2);
+                const gridY = Math.floor(worldZ / 2);
+
+                if (gridX >= 0 && gridX < this.gridWidth && gridY >= 0 && gridY < this.gridHeight) {
+                    if (instance.type === 'lobbyFloor') {
+                        targetModel.grid[gridY][gridX] = 'floor';
+                    }
+                }
+            }
+        });
+    }
+
+    parseSceneDataIntoLegacyModel(sceneData, targetModel) {
+        let floorsAdded = 0;
+        let hEdgesAdded = 0;
+        let vEdgesAdded = 0;
+
+        // Parse floor tiles
+        if (sceneData.tiles && sceneData.tiles.floor) {
+            sceneData.tiles.floor.forEach(([x, y]) => {
+                if (x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight) {
+                    targetModel.grid[y][x] = 'floor';
+                    floorsAdded++;
+                }
+            });
+        }
+
+        // Parse horizontal edges
+        if (sceneData.edges && sceneData.edges.horizontal) {
+            sceneData.edges.horizontal.forEach(([x, y]) => {
+                if (x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight) {
+                    targetModel.horizontalEdges[y][x] = true;
+                    hEdgesAdded++;
+                }
+            });
+        }
+
+        // Parse vertical edges
+        if (sceneData.edges && sceneData.edges.vertical) {
+            sceneData.edges.vertical.forEach(([x, y]) => {
+                if (x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight) {
+                    targetModel.verticalEdges[y][x] = true;
+                    vEdgesAdded++;
+                }
+            });
+        }
+
+        if (floorsAdded > 0 || hEdgesAdded > 0 || vEdgesAdded > 0) {
+            targetModel.hasContent = true;
+        }
+    }
+
+    createGhostedMallBoundaryInLegacyModel(dto, targetModel) {
+        if (dto.units && dto.units.length > 0) {
+            dto.units.forEach(unit => {
+                if (unit.rect) {
+                    this.createGhostedRectOutlineInLegacyModel(unit.rect, targetModel, unit.shape);
+                }
+            });
+            targetModel.hasContent = true;
+        } else if (dto.rect) {
+            this.createGhostedRectOutlineInLegacyModel(dto.rect, targetModel, dto.shape);
+            targetModel.hasContent = true;
+        }
+    }
+
+    createGhostedRectOutlineInLegacyModel(rect, targetModel, shape = null) {
+        if (shape) {
+            this.createGhostedShapeOutline(shape, targetModel);
+            return;
+        }
+        const { x, y, w, h } = rect;
+        let edgesAdded = 0;
+
+        // Top edge
+        for (let i = 0; i < w; i++) {
+            if (x + i >= 0 && x + i < this.gridWidth && y >= 0 && y < this.gridHeight) {
+                targetModel.horizontalEdges[y][x + i] = true;
+                edgesAdded++;
+            }
+        }
+
+        // Bottom edge
+        for (let i = 0; i < w; i++) {
+            if (x + i >= 0 && x + i < this.gridWidth && y + h >= 0 && y + h < this.gridHeight) {
+                targetModel.horizontalEdges[y + h][x + i] = true;
+                edgesAdded++;
+            }
+        }
+
+        // Left edge
+        for (let i = 0; i < h; i++) {
+            if (x >= 0 && x < this.gridWidth && y + i >= 0 && y + i < this.gridHeight) {
+                targetModel.verticalEdges[y + i][x] = true;
+                edgesAdded++;
+            }
+        }
+
+        // Right edge
+        for (let i = 0; i < h; i++) {
+            if (x + w >= 0 && x + w < this.gridWidth && y + i >= 0 && y + i < this.gridHeight) {
+                targetModel.verticalEdges[y + i][x + w] = true;
+                edgesAdded++;
+            }
+        }
+
+        if (edgesAdded > 0) {
+            targetModel.hasContent = true;
+        }
+    }
+
+    // Ghosted outline that follows a shape's cells (L-shaped units, notched rooms)
+    createGhostedShapeOutline(shape, targetModel) {
+        const { horizontal, vertical } = shapeBoundaryEdges(shape);
+        const inGrid = ([x, y]) => x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight;
+        const hEdges = horizontal.filter(inGrid);
+        const vEdges = vertical.filter(inGrid);
+
+        hEdges.forEach(([x, y]) => { targetModel.horizontalEdges[y][x] = true; });
+        vEdges.forEach(([x, y]) => { targetModel.verticalEdges[y][x] = true; });
+
+        if (hEdges.length + vEdges.length > 0) {
+            targetModel.hasContent = true;
+        }
+    }
+
+    // Template Boundary Validation
+    isWithinTemplateBounds(x, y, kind = 'tile') {
+        const b = this.overlayModel?.bounds;
+        if (!this.showTemplate || !b) return true; // no template -> unrestricted
+
+        // Same checks as SceneRules uses for export, so the two never disagree
+        if (kind === 'edge-horizontal') {
+            return b.isEdgeInside('H', x, y);
+        }
+        if (kind === 'edge-vertical') {
+            return b.isEdgeInside('V', x, y);
+        }
+        return b.isTileInside(x, y);
+    }
+
+    getTemplateBoundaryType(x, y) {
+        // Return which boundary type this coordinate belongs to, or null if outside
+        if (!this.templateType || !this.templateContext || !this.templateContext.originalData) {
+            return null;
+        }
+
+        const templateData = this.templateContext.originalData;
+
+        switch (this.templateType) {
+            case 'mall':
+                if (templateData.units) {
+                    const unit = templateData.units.find(unit => unit.rect && isInsideRegion(unit, x, y));
+                    return unit ? { type: 'unit', id: unit.id, rect: unit.rect } : null;
+                }
+                break;
+
+            case 'unit':
+                if (templateData.children) {
+                    const room = templateData.children.find(room => room.rect && isInsideRegion(room, x, y));
+                    return room ? { type: 'room', id: room.id, rect: room.rect } : null;
+                }
+                break;
+        }
+
+        return null;
+    }
+
+    isRectInsideBounds(rect) {
+        if (!this.overlayModel.bounds) return true;
+
+        // Check every cell: shaped bounds can have notches that corner samples would miss
+        for (let y = rect.y; y < rect.y + rect.h; y++) {
+            for (let x = rect.x; x < rect.x + rect.w; x++) {
+                if (!this.overlayModel.bounds.isTileInside(x, y)) return false;
+            }
+        }
+        return true;
+    }
+
+    updateBoundsForActiveUnit() {
+        if (!this.overlayModel?.templateData || this.overlayModel.templateData.type !== 'mall') {
+            return;
+        }
+
+        if (this.limitToActiveUnit && this.activeUnit) {
+            // Store original bounds if not already stored
+            if (!this.baseBounds) {
+                this.baseBounds = this.overlayModel.bounds;
+            }
+
+            // Create limited bounds for just the active unit
+            const limitedDto = {
+                type: 'unit',
+                rect: this.activeUnit.rect,
+                shape: this.activeUnit.shape
+            };
+            this.overlayModel.bounds = makeBounds(limitedDto);
+            console.log('Bounds limited to active unit:', this.activeUnit.rect);
+        } else {
+            // Restore original bounds
+            if (this.baseBounds) {
+                this.overlayModel.bounds = this.baseBounds;
+                console.log('Bounds restored to original mall bounds');
+            }
+        }
+        this.notify('bounds');
+    }
+
+    // Authoritative grid cell setter with constraint enforcement
+    setGridCell(x, y, value) {
+        // Final authoritative check - prevent any bypasses
+        if (!this.isWithinTemplateBounds(x, y)) {
+            console.warn(`Blocked grid write at (${x},${y}) - outside template bounds`);
+            return false;
+        }
+
+        // Perform the grid write
+        this.writeCell(x, y, value);
+        return true;
+    }
+
+    // Single write path for grid cells so every change lands in the undo history
+    writeCell(x, y, value) {
+        const before = this.sceneModel.grid[y][x];
+        if (before === value) return;
+
+        // A cell that stops being floor loses its finish in the same undo step
+        const finished = value !== 'floor' && this.sceneModel.floorMaterials?.[y]?.[x];
+        const standalone = finished && !this.history.pending;
+        if (standalone) this.history.begin('paint');
+        this.sceneModel.grid[y][x] = value;
+        this.history.record('grid', x, y, before, value);
+        if (finished) this.setFloorMaterial(x, y, null);
+        if (standalone) this.history.commit();
+        this.notify('cell', { x, y, w: 1, h: 1 });
+    }
+
+    // Single write path for floor finishes, recorded in the undo history; the layer is created on first use
+    setFloorMaterial(x, y, material) {
+        const before = this.sceneModel.floorMaterials?.[y]?.[x] ?? null;
+        if (before === material) return;
+        if (!this.sceneModel.floorMaterials) {
+            this.sceneModel.floorMaterials = createMaterialLayer(this.gridWidth, this.gridHeight);
+        }
+        this.sceneModel.floorMaterials[y][x] = material;
+        this.history.record('floorMaterials', x, y, before, material);
+        this.notify('cell', { x, y, w: 1, h: 1 });
+    }
+
+    // Finish of a floor cell; null for plain floor and for cells without floor
+    floorMaterialAt(x, y) {
+        if (this.grid[y]?.[x] !== 'floor') return null;
+        return this.sceneModel.floorMaterials?.[y]?.[x] ?? null;
+    }
+
+    // Single write path for edges ('horizontal' | 'vertical'), recorded in the undo history
+    setEdge(type, x, y, value) {
+        if (x < 0 || x >= this.gridWidth || y < 0 || y >= this.gridHeight) return;
+        const layer = type === 'horizontal' ? 'horizontalEdges' : 'verticalEdges';
+        const before = this.sceneModel[layer][y][x];
+        if (before === value) return;
+        this.sceneModel[layer][y][x] = value;
+        this.history.record(layer, x, y, before, value);
+        this.notify('edge', { x, y, w: 1, h: 1 });
+    }
+
+    // Helper for consistent floor placement (used by rectangle tool)
+    placeFloorAt(x, y) {
+        if (x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight) {
+            this.writeCell(x, y, 'floor');
+        }
+    }
+
+    // Helper for consistent wall placement (used by wall segment tool)
+    placeWallAt(x, y) {
+        if (x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight) {
+            this.writeCell(x, y, 'wall');
+        }
+    }
+
+    // Helper for consistent horizontal edge placement (used by wall segment tool)
+    addHorizontalEdge(x, y) {
+        this.setEdge('horizontal', x, y, true);
+    }
+
+    // Helper for consistent vertical edge placement (used by wall segment tool)
+    addVerticalEdge(x, y) {
+        this.setEdge('vertical', x, y, true);
+    }
+
+    // Paint one tile with the floor or erase tool; returns true when the cell changed
+    paintTile(x, y, tool) {
+        if (!this.isInsideGrid(x, y) || !this.isWithinTemplateBounds(x, y, 'tile')) return false;
+
+        if (tool === 'floor' && this.grid[y][x] !== 'floor') {
+            return this.setGridCell(x, y, 'floor');
+        }
+        // Erase only removes floor tiles
+        if (tool === 'erase' && this.grid[y][x] === 'floor') {
+            return this.setGridCell(x, y, 'empty');
+        }
+        return false;
+    }
+
+    // Paint a typed edge ('wall' | 'door' | 'window' | 'opening'), or erase it with null; returns true when allowed
+    paintEdge(type, x, y, edgeType) {
+        const kind = (type === 'horizontal') ? 'edge-horizontal' : 'edge-vertical';
+        if (!this.isWithinTemplateBounds(x, y, kind)) return false;
+
+        if (edgeType) {
+            const edges = type === 'horizontal' ? this.horizontalEdges : this.verticalEdges;
+            if (getEdgeType(edges[y]?.[x]) !== edgeType) {
+                this.setEdge(type, x, y, makeEdge(edgeType));
+            }
+        } else {
+            this.setEdge(type, x, y, false);
+        }
+        return true;
+    }
+
+    // Paint a floor finish (null removes it) onto an existing floor tile; returns true when the cell changed
+    paintFloorMaterial(x, y, material) {
+        if (!this.isInsideGrid(x, y) || !this.isWithinTemplateBounds(x, y, 'tile')) return false;
+        if (material !== null && !isMaterial(material, 'floor')) return false;
+        if (this.grid[y][x] !== 'floor' || this.floorMaterialAt(x, y) === material) return false;
+
+        this.setFloorMaterial(x, y, material);
+        return true;
+    }
+
+    // Paint a wall finish (null removes it) onto an existing edge of any type; returns true when the edge changed
+    paintEdgeMaterial(type, x, y, material) {
+        const kind = (type === 'horizontal') ? 'edge-horizontal' : 'edge-vertical';
+        if (!this.isWithinTemplateBounds(x, y, kind)) return false;
+        if (material !== null && !isMaterial(material, 'wall')) return false;
+
+        const edges = type === 'horizontal' ? this.horizontalEdges : this.verticalEdges;
+        const value = edges[y]?.[x];
+        if (!value || (value.material ?? null) === material) return false;
+
+        const attrs = value === true ? {} : value;
+        this.setEdge(type, x, y, makeEdge(getEdgeType(value), { ...attrs, material }));
+        return true;
+    }
+
+    // Fill an inclusive cell rectangle with floor as one undo step; cells outside the bounds are skipped
+    fillFloorRect(x0, y0, x1, y1) {
+        const rect = { x: Math.min(x0, x1), y: Math.min(y0, y1), w: Math.abs(x1 - x0) + 1, h: Math.abs(y1 - y0) + 1 };
+        const b = this.showTemplate ? this.overlayModel?.bounds : null;
+        // Only visit the part of the drag that overlaps the bounds; shaped bounds still check each cell
+        const clipped = b ? b.clipRect(rect) : rect;
+
+        let placed = 0;
+        this.history.begin('rect');
+        if (clipped) {
+            for (let gy = clipped.y; gy < clipped.y + clipped.h; gy++) {
+                for (let gx = clipped.x; gx < clipped.x + clipped.w; gx++) {
+                    if (this.isWithinTemplateBounds(gx, gy, 'tile')) {
+                        this.placeFloorAt(gx, gy);
+                        placed++;
+                    }
+                }
+            }
+        }
+        this.history.commit();
+        return { placed, skipped: rect.w * rect.h - placed };
+    }
+
+    // Straight wall run between two edge vertices as one undo step; null for diagonal runs
+    placeWallSegment(start, end) {
+        const dx = end.x - start.x;
+        const dy = end.y - start.y;
+        if (!(dx === 0 || dy === 0)) return null;
+
+        const x0 = Math.min(start.x, end.x);
+        const x1 = Math.max(start.x, end.x);
+        const y0 = Math.min(start.y, end.y);
+        const y1 = Math.max(start.y, end.y);
+
+        let placed = 0, skipped = 0;
+        this.history.begin('wall-segment');
+        if (dy === 0) { // horizontal run along y0 - create edge lines
+            // horizontal edge at (gx, y0) spans from (gx,y0) to (gx+1,y0)
+            for (let gx = x0; gx <= x1; gx++) {
+                if (this.isWithinTemplateBounds(gx, y0, 'edge-horizontal')) {
+                    this.addHorizontalEdge(gx, y0);
+                    placed++;
+                } else {
+                    skipped++;
+                }
+            }
+        } else { // vertical run along x0 - create vertical edge lines
+            // vertical edge at (x0, gy) spans from (x0,gy) to (x0,gy+1)
+            for (let gy = y0; gy <= y1; gy++) {
+                if (this.isWithinTemplateBounds(x0, gy, 'edge-vertical')) {
+                    this.addVerticalEdge(x0, gy);
+                    placed++;
+                } else {
+                    skipped++;
+                }
+            }
+        }
+        this.history.commit();
+        return { x0, y0, x1, y1, placed, skipped };
+    }
+
+    // Copy a selection { x, y, w, h } as a scene.v1 fragment
+    copySelection(rect) {
+        return extractFragment(this.sceneModel, rect, { cellSize: this.cellSize });
+    }
+
+    // Copy a selection and clear it as one undo step; returns the fragment
+    cutSelection(rect) {
+        const fragment = this.copySelection(rect);
+        this.history.begin('cut');
+        this.clearSelectionContent(rect);
+        this.history.commit();
+        return fragment;
+    }
+
+    // Clear the tiles and edges of a selection as one undo step; content outside the bounds is kept
+    deleteSelection(rect) {
+        this.history.begin('delete');
+        const result = this.clearSelectionContent(rect);
+        this.history.commit();
+        return result;
+    }
+
+    // Paste scene.v1 JSON (text or object) with its top-left cell at (x, y) as one undo step
+    pasteFragment(fragment, x, y) {
+        const data = readFragment(fragment);
+        this.history.begin('paste');
+        const result = this.writeFragment(data, x, y);
+        this.history.commit();
+        return result;
+    }
+
+    // Move a selection by (dx, dy) cells as one undo step; parts landing outside the bounds are dropped
+    moveSelection(rect, dx, dy) {
+        const data = readFragment(this.copySelection(rect));
+        this.history.begin('move');
+        this.clearSelectionContent(rect);
+        const result = this.writeFragment(data, rect.x + dx, rect.y + dy);
+        this.history.commit();
+        return result;
+    }
+
+    // Rotate or mirror a selection in place as one undo step (see GridTransforms.js); its top-left cell stays put
+    transformSelection(rect, op) {
+        const data = readFragment(transformScene(this.copySelection(rect), op));
+        this.history.begin(op);
+        this.clearSelectionContent(rect);
+        const result = this.writeFragment(data, rect.x, rect.y);
+        this.history.commit();
+        return result;
+    }
+
+    // Remove floor tiles and edges owned by a selection, inside the template bounds only
+    clearSelectionContent(rect) {
+        const { tiles, horizontal, vertical } = selectionSlots(rect);
+        let cleared = 0, skipped = 0;
+        const clear = (present, kind, write) => ([x, y]) => {
+            if (!this.isInsideGrid(x, y) || !present(x, y)) return;
+            if (!this.isWithinTemplateBounds(x, y, kind)) {
+                skipped++;
+                return;
+            }
+            write(x, y);
+            cleared++;
+        };
+
+        tiles.forEach(clear((x, y) => this.grid[y][x] === 'floor', 'tile', (x, y) => this.writeCell(x, y, 'empty')));
+        horizontal.forEach(clear((x, y) => this.horizontalEdges[y][x], 'edge-horizontal', (x, y) => this.setEdge('horizontal', x, y, false)));
+        vertical.forEach(clear((x, y) => this.verticalEdges[y][x], 'edge-vertical', (x, y) => this.setEdge('vertical', x, y, false)));
+        return { cleared, skipped };
+    }
+
+    // Add a read fragment's floor and edges at (x, y); existing content under empty fragment cells is kept
+    writeFragment(data, x, y) {
+        let placed = 0, skipped = 0;
+        const place = (kind, write) => ([fx, fy, value]) => {
+            const gx = x + fx;
+            const gy = y + fy;
+            if (!this.isInsideGrid(gx, gy) || !this.isWithinTemplateBounds(gx, gy, kind)) {
+                skipped++;
+                return;
+            }
+            write(gx, gy, value);
+            placed++;
+        };
+
+        data.tiles.forEach(place('tile', (gx, gy, material) => {
+            this.writeCell(gx, gy, 'floor');
+            this.setFloorMaterial(gx, gy, material);
+        }));
+        data.horizontal.forEach(place('edge-horizontal', (gx, gy, value) => this.setEdge('horizontal', gx, gy, value)));
+        data.vertical.forEach(place('edge-vertical', (gx, gy, value) => this.setEdge('vertical', gx, gy, value)));
+        return { rect: { x, y, w: data.width, h: data.height }, placed, skipped };
+    }
+
+    // Undo the most recent scene edit; returns the command or null
+    undo() {
+        const command = this.history.undo(this.sceneModel);
+        if (command) this.syncSceneModel();
+        return command;
+    }
+
+    // Redo the most recently undone scene edit; returns the command or null
+    redo() {
+        const command = this.history.redo(this.sceneModel);
+        if (command) this.syncSceneModel();
+        return command;
+    }
+
+    // Select the mall unit under a cell (clearing the selection elsewhere); returns the unit or null
+    selectUnitAt(x, y) {
+        const dto = this.overlayModel?.templateData;
+        if (dto?.type !== 'mall' || !this.isInsideGrid(x, y)) return null;
+
+        // Find the first unit that contains this grid position
+        const unit = (dto.units || []).find(unit => unit.rect && isInsideRegion(unit, x, y));
+        const previous = this.activeUnit;
+        this.activeUnit = unit ? { id: unit.id || 'unit', rect: { ...unit.rect } } : null;
+        if (unit?.shape) {
+            this.activeUnit.shape = unit.shape;
+        }
+        if (unit || previous) {
+            this.updateBoundsForActiveUnit();
+        }
+        return this.activeUnit;
+    }
+
+    // Mall unit of the loaded template by id, or null
+    getMallUnit(id) {
+        const dto = this.overlayModel?.templateData;
+        if (dto?.type !== 'mall') return null;
+        return (dto.units || []).find(unit => unit.id === id) || null;
+    }
+
+    // Set a mall unit's type and occupancy from inspector fields (see UnitOccupancy.applyUnitInfo).
+    // The change is kept only when the unit still passes the schema; returns { unit, errors } or null.
+    updateUnitInfo(id, fields) {
+        const current = this.getMallUnit(id);
+        if (!current) return null;
+
+        const unit = applyUnitInfo(current, fields);
+        const errors = validateUnitInfo(unit);
+        if (errors.length === 0) {
+            const units = this.overlayModel.templateData.units;
+            units[units.indexOf(current)] = unit;
+            console.info('[UNIT]', { id, type: unit.type, occupancy: unit.occupancy });
+            this.notify('unit');
+        }
+        return { unit, errors };
+    }
+
+    // Drop the loaded template: overlay, both template layers and the unit selection
+    clearTemplate() {
+        this.overlayModel = { templateData: null, bounds: null, constraints: null };
+        this.showTemplate = false;
+        this.templateType = null;
+        this.templateContext = {};
+        this.activeUnit = null; // Clear active unit when clearing template
+        this.baseBounds = null; // Clear stored bounds
+        this.limitToActiveUnit = false; // Reset limit checkbox
+
+        // Clear Template Relationship Manager
+        console.log('[DEBUG] clearTemplate: Clearing Template Relationship Manager');
+        this.templateRelationshipManager.clearAll();
+
+        // Clear both template layers
+        for (const model of [this.parentTemplateModel, this.currentTemplateModel]) {
+            model.grid = this.createEmptyGrid();
+            model.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+            model.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+            model.hasContent = false;
+            model.templateData = null;
+        }
+        this.notify('bounds');
+    }
+
+    // Record a whole-scene replacement (import, clear) as a single undo step
+    pushSceneSnapshot(label, before) {
+        const after = snapshotScene(this.sceneModel);
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+        this.history.push(createSnapshotCommand(label, before, after));
+    }
+
+    // Re-derive grid dimensions and legacy aliases after sceneModel arrays were replaced
+    syncSceneModel() {
+        const height = this.sceneModel.grid.length;
+        const width = this.sceneModel.grid[0]?.length || 0;
+
+        if (width !== this.gridWidth || height !== this.gridHeight) {
+            // Snapshot undo can cross an import that resized the grid
+            const { grid, horizontalEdges, verticalEdges } = this.sceneModel;
+            this.gridWidth = width;
+            this.gridHeight = height;
+            this.resizeTemplateModels();
+            this.sceneModel.grid = grid;
+            this.sceneModel.horizontalEdges = horizontalEdges;
+            this.sceneModel.verticalEdges = verticalEdges;
+        }
+
+        this.grid = this.sceneModel.grid;
+        this.horizontalEdges = this.sceneModel.horizontalEdges;
+        this.verticalEdges = this.sceneModel.verticalEdges;
+        this.notify('scene');
+    }
+
+    /**
+     * Change the grid size, keeping content at its cell coordinates on every level
+     * A shrink that would cut off content on any level is refused. One undo step.
+     * @param {number} width - Cells, 1..MAX_GRID_SIZE
+     * @param {number} height - Cells, 1..MAX_GRID_SIZE
+     * @returns {boolean} - false when the size is unchanged
+     */
+    resizeGrid(width, height) {
+        const valid = (size) => Number.isInteger(size) && size >= 1 && size <= MAX_GRID_SIZE;
+        if (!valid(width) || !valid(height)) {
+            throw new Error(`Grid size must be 1 to ${MAX_GRID_SIZE} cells per side, got ${width}×${height}`);
+        }
+        if (width === this.gridWidth && height === this.gridHeight) {
+            return false;
+        }
+
+        this.levels.forEach((level, index) => {
+            const extent = this.contentExtent(index === this.activeLevelIndex ? this.sceneModel : level.sceneModel);
+            if (extent.width > width || extent.height > height) {
+                throw new Error(`Content on level "${level.name}" reaches ${extent.width}×${extent.height}; the grid cannot be smaller`);
+            }
+        });
+
+        const before = snapshotScene(this.sceneModel);
+        const old = { ...this.sceneModel }; // Layer arrays; resizeTemplateModels() replaces them on sceneModel
+        this.gridWidth = width;
+        this.gridHeight = height;
+        this.resizeTemplateModels();
+
+        // resizeTemplateModels() empties the active scene; copy it back at the new size
+        if (old.floorMaterials) {
+            this.sceneModel.floorMaterials = createMaterialLayer(width, height);
+        }
+        for (const layer of ['grid', 'horizontalEdges', 'verticalEdges', 'floorMaterials']) {
+            if (!old[layer]) continue;
+            for (let y = 0; y < Math.min(old[layer].length, height); y++) {
+                for (let x = 0; x < Math.min(old[layer][y].length, width); x++) {
+                    this.sceneModel[layer][y][x] = old[layer][y][x];
+                }
+            }
+        }
+
+        this.pushSceneSnapshot('resize-grid', before);
+        this.notify('scene');
+        return true;
+    }
+
+    // Smallest grid { width, height } that holds every tile, finish and edge of a scene model
+    contentExtent(model) {
+        let width = 0;
+        let height = 0;
+        for (const layer of ['grid', 'horizontalEdges', 'verticalEdges', 'floorMaterials']) {
+            (model[layer] || []).forEach((row, y) => row.forEach((value, x) => {
+                if (value && value !== 'empty') {
+                    width = Math.max(width, x + 1);
+                    height = Math.max(height, y + 1);
+                }
+            }));
+        }
+        return { width, height };
+    }
+
+    // Level record currently being edited
+    getActiveLevel() {
+        return this.levels[this.activeLevelIndex];
+    }
+
+    // Make another level the editing target; its sceneModel and history become the active ones
+    switchLevel(index) {
+        if (!this.levels[index] || index === this.activeLevelIndex) return;
+
+        this.activeLevelIndex = index;
+        const level = this.levels[index];
+        this.sceneModel = level.sceneModel;
+        this.history = level.history;
+        this.grid = this.sceneModel.grid;
+        this.horizontalEdges = this.sceneModel.horizontalEdges;
+        this.verticalEdges = this.sceneModel.verticalEdges;
+
+        console.info('[LEVELS]', { action: 'switch', id: level.id, elevation: level.elevation });
+        this.notify('level');
+    }
+
+    // Stack a new empty level above the top one and switch to it; returns the new level
+    addLevel() {
+        const level = {
+            ...createLevel({ ...nextLevelDefaults(this.levels), width: this.gridWidth, height: this.gridHeight }),
+            history: new EditHistory({ limit: 100 })
+        };
+        this.levels.push(level);
+        this.levels = sortLevels(this.levels);
+
+        console.info('[LEVELS]', { action: 'add', id: level.id, elevation: level.elevation, count: this.levels.length });
+        this.switchLevel(this.levels.indexOf(level));
+        return level;
+    }
+
+    // Replace the level stack, e.g. after importing a multi-level file
+    resetLevels(levels, verticalLinks = []) {
+        this.levels = sortLevels(levels).map(level => ({ ...level, history: new EditHistory({ limit: 100 }) }));
+        this.verticalLinks = verticalLinks;
+        this.activeLevelIndex = -1;
+        this.switchLevel(0);
+    }
+
+    // Collapse to a single ground level holding the current scene content
+    resetToSingleLevel() {
+        const ground = createLevel({ id: GROUND_LEVEL_ID, name: 'Ground', elevation: 0, sceneModel: this.sceneModel });
+        this.resetLevels([ground]);
+    }
+
+    // Apply levels[]/verticalLinks[] from an imported file; returns true when the level stack was replaced
+    applyImportedLevels(jsonData, dto) {
+        const rawLevels = dto?.levels || normalizeLevels(jsonData?.levels);
+
+        if (rawLevels.length > 1) {
+            const levels = rawLevels.map(raw => deserializeLevel(raw, this.gridWidth, this.gridHeight));
+            const links = dto?.verticalLinks || normalizeVerticalLinks(jsonData.verticalLinks, levels.map(level => level.id));
+            this.resetLevels(levels, links);
+            console.info('[LEVELS]', { action: 'import', levels: levels.length, links: links.length });
+            return true;
+        }
+
+        if (this.levels.length > 1) {
+            // A single-level file replaces a multi-level mall
+            this.resetToSingleLevel();
+            return true;
+        }
+
+        return false;
+    }
+
+    // Crop/pad inactive levels to the current grid size (the active one is handled by the caller)
+    // Their histories stay valid: diff commands skip cells outside the grid
+    resizeLevelModels() {
+        this.levels.forEach((level, index) => {
+            if (index === this.activeLevelIndex) return;
+            const old = level.sceneModel;
+            const model = {
+                grid: this.createEmptyGrid(),
+                horizontalEdges: this.createEmptyEdgeSet(this.gridWidth, this.gridHeight),
+                verticalEdges: this.createEmptyEdgeSet(this.gridWidth, this.gridHeight)
+            };
+            if (old.floorMaterials) {
+                model.floorMaterials = createMaterialLayer(this.gridWidth, this.gridHeight);
+            }
+            for (const layer of ['grid', 'horizontalEdges', 'verticalEdges', 'floorMaterials']) {
+                if (!old[layer]) continue;
+                for (let y = 0; y < Math.min(old[layer].length, this.gridHeight); y++) {
+                    for (let x = 0; x < Math.min(old[layer][y].length, this.gridWidth); x++) {
+                        model[layer][y][x] = old[layer][y][x];
+                    }
+                }
+            }
+            level.sceneModel = model;
+        });
+    }
+
+    // Place a vertical link from the active level to the level above it; null when there is no level above
+    addVerticalLink(type, rect) {
+        const active = this.getActiveLevel();
+        const above = getLevelAbove(this.levels, active.id);
+        if (!above) {
+            return null;
+        }
+
+        const link = { id: nextLinkId(this.verticalLinks, type), type, rect, fromLevel: active.id, toLevel: above.id };
+        this.verticalLinks.push(link);
+        console.info('[LEVELS]', { action: 'link', ...link });
+        return link;
+    }
+
+    // Remove the vertical link under a cell on the active level; returns true when one was removed
+    removeVerticalLinkAt(x, y) {
+        const active = this.getActiveLevel();
+        const index = this.verticalLinks.findIndex(link =>
+            (link.fromLevel === active.id || link.toLevel === active.id) &&
+            x >= link.rect.x && x < link.rect.x + link.rect.w &&
+            y >= link.rect.y && y < link.rect.y + link.rect.h
+        );
+        if (index === -1) return false;
+
+        const [removed] = this.verticalLinks.splice(index, 1);
+        console.info('[LEVELS]', { action: 'unlink', id: removed.id });
+        return true;
+    }
+
+    // Serialized levels and links for export; empty for single-level scenes
+    levelsToWire() {
+        if (this.levels.length < 2) {
+            return { levels: [], verticalLinks: [] };
+        }
+        return {
+            levels: this.levels.map(serializeLevel),
+            verticalLinks: this.verticalLinks.map(link => ({ ...link, rect: { ...link.rect } }))
+        };
+    }
+
+    // Convert current state to instances for JSON export
+    gridToInstances() {
+        const instances = [];
+        
+        // Add reference pole
+        instances.push({
+            type: "referencePole",
+            position: [0, 0.5, 0]
+        });
+        
+        // First, rasterize edges to wall tiles using the specified rule
+        const wallTiles = this.rasterizeEdgesToWalls();
+        
+        // Convert floors and rasterized walls to 3D instances
+        for (let y = 0; y < this.gridHeight; y++) {
+            for (let x = 0; x < this.gridWidth; x++) {
+                const tileType = this.grid[y][x];
+                const isWall = wallTiles[y][x];
+                
+                if (tileType === 'floor') {
+                    instances.push({
+                        type: "lobbyFloor",
+                        position: [x * 2, 0, y * 2],
+                        rotation: [-1.5707963267948966, 0, 0]
+                    });
+                } else if (isWall) {
+                    // Only walls from edges get exported, no tile-based walls
+                    instances.push({
+                        type: "lobbyWall",
+                        position: [x * 2, 4, y * 2],
+                        rotation: [0, 0, 0]
+                    });
+                }
+            }
+        }
+        
+        return instances;
+    }
+
+    // Rasterize edges back to wall tiles for export
+    rasterizeEdgesToWalls() {
+        const wallTiles = [];
+        for (let y = 0; y < this.gridHeight; y++) {
+            wallTiles[y] = [];
+            for (let x = 0; x < this.gridWidth; x++) {
+                wallTiles[y][x] = false;
+            }
+        }
+        
+        // For horizontal edges H(x,y), mark tile (x, y-1) as wall if in bounds
+        for (let y = 0; y < this.gridHeight; y++) {
+            for (let x = 0; x < this.gridWidth; x++) {
+                if (this.horizontalEdges[y][x]) {
+                    if (y - 1 >= 0) {
+                        wallTiles[y - 1][x] = true;
+                    }
+                }
+            }
+        }
+        
+        // For vertical edges V(x,y), mark tile (x-1, y) as wall if in bounds
+        for (let y = 0; y < this.gridHeight; y++) {
+            for (let x = 0; x < this.gridWidth; x++) {
+                if (this.verticalEdges[y][x]) {
+                    if (x - 1 >= 0) {
+                        wallTiles[y][x - 1] = true;
+                    }
+                }
+            }
+        }
+        
+        return wallTiles;
+    }
+
+    // Import instances and reconstruct edges heuristically
+    instancesToGrid(instances) {
+        const newGrid = this.createEmptyGrid();
+        const newHorizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+        const newVerticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+        
+        // First pass: extract floors from instances, ignore wall tiles
+        instances.forEach(instance => {
+            if (instance.position && instance.type) {
+                const [worldX, worldY, worldZ] = instance.position;
+                const gridX = Math.floor(worldX / 2);
+                const gridY = Math.floor(worldZ / 2);
+                
+                if (gridX >= 0 && gridX < this.gridWidth && gridY >= 0 && gridY < this.gridHeight) {
+                    if (instance.type === 'lobbyFloor') {
+                        newGrid[gridY][gridX] = 'floor';
+                    }
+                    // No longer import wall tiles - they become edges only
+                }
+            }
+        });
+        
+        // Second pass: reconstruct edges from wall tiles heuristically
+        const wallPositions = new Set();
+        instances.forEach(instance => {
+            if (instance.position && instance.type && this.isWallType(instance.type)) {
+                const [worldX, worldY, worldZ] = instance.position;
+                const gridX = Math.floor(worldX / 2);
+                const gridY = Math.floor(worldZ / 2);
+                
+                if (gridX >= 0 && gridX < this.gridWidth && gridY >= 0 && gridY < this.gridHeight) {
+                    wallPositions.add(`${gridX},${gridY}`);
+                }
+            }
+        });
+        
+        // Reconstruct edges from wall positions
+        for (const posKey of wallPositions) {
+            const [x, y] = posKey.split(',').map(Number);
+            this.reconstructEdgesFromWall(x, y, wallPositions, newHorizontalEdges, newVerticalEdges);
+        }
+        
+        return { grid: newGrid, horizontalEdges: newHorizontalEdges, verticalEdges: newVerticalEdges };
+    }
+
+    reconstructEdgesFromWall(x, y, wallPositions, horizontalEdges, verticalEdges) {
+        // Check 4 borders of this wall tile and create edges where appropriate
+        
+        // Top edge: horizontal edge at (x, y)
+        if (!wallPositions.has(`${x},${y-1}`)) {
+            horizontalEdges[y][x] = true;
+        }
+        
+        // Bottom edge: horizontal edge at (x, y+1)
+        if (y + 1 < this.gridHeight && !wallPositions.has(`${x},${y+1}`)) {
+            horizontalEdges[y + 1][x] = true;
+        }
+        
+        // Left edge: vertical edge at (x, y)
+        if (!wallPositions.has(`${x-1},${y}`)) {
+            verticalEdges[y][x] = true;
+        }
+        
+        // Right edge: vertical edge at (x+1, y)
+        if (x + 1 < this.gridWidth && !wallPositions.has(`${x+1},${y}`)) {
+            verticalEdges[y][x + 1] = true;
+        }
+    }
+
+    isWallType(instanceType) {
+        const wallTypes = [
+            'lobbyWall',
+            'lobbyNorthWall', 
+            'lobbySouthWall',
+            'lobbyEastWall',
+            'lobbyWestWall'
+        ];
+        return wallTypes.includes(instanceType);
+    }
+
+    // Convert current editor state to scene.v1 format
+    toSceneV1() {
+        const now = new Date().toISOString();
+
+        // Convert grid data to coordinate arrays
+        const floorTiles = [];
+        for (let y = 0; y < this.gridHeight; y++) {
+            for (let x = 0; x < this.gridWidth; x++) {
+                if (this.grid[y][x] === 'floor') {
+                    floorTiles.push([x, y]);
+                }
+            }
+        }
+
+        // Convert edge data to coordinate arrays
+        const horizontalEdges = [];
+        const verticalEdges = [];
+
+        for (let y = 0; y < this.gridHeight; y++) {
+            for (let x = 0; x < this.gridWidth; x++) {
+                if (this.horizontalEdges[y] && this.horizontalEdges[y][x]) {
+                    horizontalEdges.push([x, y]);
+                }
+                if (this.verticalEdges[y] && this.verticalEdges[y][x]) {
+                    verticalEdges.push([x, y]);
+                }
+            }
+        }
+
+        const scene = {
+            meta: {
+                schema: "scene.v1",
+                version: "1.0",
+                created: now,
+                modified: now
+            },
+            grid: {
+                width: this.gridWidth,
+                height: this.gridHeight,
+                cellSize: this.cellSize
+            },
+            tiles: {
+                floor: floorTiles
+            },
+            edges: {
+                horizontal: horizontalEdges,
+                vertical: verticalEdges
+            }
+        };
+
+        // Floor finishes (see Materials.js)
+        const finishes = collectFloorMaterials(this.grid, this.sceneModel.floorMaterials);
+        if (finishes.length > 0) {
+            scene.tiles.materials = finishes;
+        }
+
+        // Typed edges (doors, windows, openings, finished walls)
+        const openings = collectEdgeOpenings(this.horizontalEdges, this.verticalEdges);
+        if (openings.length > 0) {
+            scene.edges.openings = openings;
+        }
+
+        // Real-world scale (see Units.js), left out at the default
+        const scale = scaleToWire(this.scale);
+        if (scale) {
+            scene.scale = scale;
+        }
+
+        return scene;
+    }
+
+    // Convert scene.v1 format to editor state
+    fromSceneV1(sceneData) {
+        // Validate basic structure
+        if (!sceneData.meta || sceneData.meta.schema !== "scene.v1") {
+            throw new Error('Invalid scene.v1 format');
+        }
+        if (!sceneData.grid) {
+            throw new Error('Missing grid data in scene.v1');
+        }
+
+        // Update grid dimensions
+        this.gridWidth = sceneData.grid.width;
+        this.gridHeight = sceneData.grid.height;
+        this.cellSize = sceneData.grid.cellSize;
+        this.scale = normalizeScale(sceneData.scale);
+
+        // Initialize empty grids (sceneModel is authoritative, legacy aliases follow)
+        this.sceneModel.grid = this.createEmptyGrid();
+        this.sceneModel.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+        this.sceneModel.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+        delete this.sceneModel.floorMaterials;
+        this.grid = this.sceneModel.grid;
+        this.horizontalEdges = this.sceneModel.horizontalEdges;
+        this.verticalEdges = this.sceneModel.verticalEdges;
+
+        // Load floor tiles
+        if (sceneData.tiles && sceneData.tiles.floor) {
+            sceneData.tiles.floor.forEach(([x, y]) => {
+                if (y < this.gridHeight && x < this.gridWidth) {
+                    this.grid[y][x] = 'floor';
+                }
+            });
+        }
+        if (Array.isArray(sceneData.tiles?.materials) && sceneData.tiles.materials.length > 0) {
+            this.sceneModel.floorMaterials = createMaterialLayer(this.gridWidth, this.gridHeight);
+            applyFloorMaterials(this.sceneModel.floorMaterials, sceneData.tiles.materials);
+        }
+
+        // Load edges
+        if (sceneData.edges) {
+            if (sceneData.edges.horizontal) {
+                sceneData.edges.horizontal.forEach(([x, y]) => {
+                    if (y < this.gridHeight && x < this.gridWidth) {
+                        this.horizontalEdges[y][x] = true;
+                    }
+                });
+            }
+            if (sceneData.edges.vertical) {
+                sceneData.edges.vertical.forEach(([x, y]) => {
+                    if (y < this.gridHeight && x < this.gridWidth) {
+                        this.verticalEdges[y][x] = true;
+                    }
+                });
+            }
+            applyEdgeOpenings(this.horizontalEdges, this.verticalEdges, sceneData.edges.openings);
+        }
+
+        this.notify('scene');
+    }
+
+    // Area schedule of every level (see AreaSchedule.js); units default to those detected on the active level
+    areaSchedule({ name = this.overlayModel.templateData?.id || 'mall', units = this.detectUnitsFromFloorTiles(), rooms = {} } = {}) {
+        return buildAreaSchedule({ name, levels: sortLevels(this.levels), units, rooms, scale: this.scale });
+    }
+
+    // Detect units from connected floor tile regions
+    detectUnitsFromFloorTiles() {
+        const units = [];
+        const visited = Array(this.gridHeight).fill().map(() => Array(this.gridWidth).fill(false));
+        let unitCounter = 1;
+
+        // Scan grid for floor tiles and detect connected regions
+        for (let y = 0; y < this.gridHeight; y++) {
+            for (let x = 0; x < this.gridWidth; x++) {
+                if (this.grid[y][x] === 'floor' && !visited[y][x]) {
+                    // Found unvisited floor tile - start a new unit region
+                    const unitArea = this.floodFillRoom(x, y, visited);
+                    if (unitArea.length > 0) {
+                        const bounds = this.calculateRoomBounds(unitArea);
+
+                        // Apply minimum size filtering (w>=2 && h>=2)
+                        if (bounds.w >= 2 && bounds.h >= 2) {
+                            const unit = {
+                                id: `unit-${String(unitCounter).padStart(3, '0')}`,
+                                rect: {
+                                    x: bounds.x,
+                                    y: bounds.y,
+                                    w: bounds.w,
+                                    h: bounds.h
+                                }
+                            };
+                            // Keep the exact cells of non-rectangular regions
+                            const shape = cellsToShape(unitArea, bounds);
+                            if (shape) unit.shape = shape;
+                            units.push(unit);
+                            unitCounter++;
+                        } else {
+                            console.info(`Filtered out unit region too small: ${bounds.w}x${bounds.h} at (${bounds.x},${bounds.y})`);
+                        }
+                    }
+                }
+            }
+        }
+
+        // Sort units by top-to-bottom, then left-to-right for stable ordering
+        units.sort((a, b) => {
+            if (a.rect.y !== b.rect.y) return a.rect.y - b.rect.y;
+            return a.rect.x - b.rect.x;
+        });
+
+        // Regenerate IDs to maintain stable ordering
+        units.forEach((unit, index) => {
+            unit.id = `unit-${String(index + 1).padStart(3, '0')}`;
+        });
+
+        return units;
+    }
+
+    computeSceneEditsBoundingBox() {
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        let hasContent = false;
+
+        // Check floor tiles
+        for (let y = 0; y < this.gridHeight; y++) {
+            for (let x = 0; x < this.gridWidth; x++) {
+                if (this.grid[y][x] === 'floor') {
+                    minX = Math.min(minX, x);
+                    minY = Math.min(minY, y);
+                    maxX = Math.max(maxX, x);
+                    maxY = Math.max(maxY, y);
+                    hasContent = true;
+                }
+            }
+        }
+
+        // Check edges - use edge positions directly for accurate bounding box
+        for (let y = 0; y < this.gridHeight; y++) {
+            for (let x = 0; x < this.gridWidth; x++) {
+                if (this.horizontalEdges[y] && this.horizontalEdges[y][x]) {
+                    // Use the edge position itself, not adjacent cells
+                    minX = Math.min(minX, x);
+                    minY = Math.min(minY, y);
+                    maxX = Math.max(maxX, x);
+                    maxY = Math.max(maxY, y);
+                    hasContent = true;
+                }
+                if (this.verticalEdges[y] && this.verticalEdges[y][x]) {
+                    // Use the edge position itself, not adjacent cells
+                    minX = Math.min(minX, x);
+                    minY = Math.min(minY, y);
+                    maxX = Math.max(maxX, x);
+                    maxY = Math.max(maxY, y);
+                    hasContent = true;
+                }
+            }
+        }
+
+        return hasContent ? { minX, minY, maxX, maxY } : null;
+    }
+
+    // Generate room features from current editor content
+    generateRoomFeaturesFromCurrentContent() {
+        const features = {
+            walls: [],
+            floorAreas: [],
+            furnishing: []
+        };
+
+        // Analyze current grid content to identify room features
+        for (let y = 0; y < this.gridHeight; y++) {
+            for (let x = 0; x < this.gridWidth; x++) {
+                const cellValue = this.grid[y][x];
+
+                switch (cellValue) {
+                    case 'wall-edge':
+                        features.walls.push({ x, y, type: 'wall' });
+                        break;
+                    case 'floor':
+                        features.floorAreas.push({ x, y, type: 'floor' });
+                        break;
+                    // Add more feature types as needed
+                }
+            }
+        }
+
+        // Group connected floor areas into zones
+        const floorZones = this.groupFloorAreasIntoZones(features.floorAreas);
+        features.floorZones = floorZones;
+
+        // Clean up individual floor points since we now have zones
+        delete features.floorAreas;
+
+        return features;
+    }
+
+    // Group connected floor areas into logical zones
+    groupFloorAreasIntoZones(floorAreas) {
+        const zones = [];
+        const visited = new Set();
+
+        floorAreas.forEach((floor) => {
+            const key = `${floor.x},${floor.y}`;
+            if (visited.has(key)) return;
+
+            // Find connected floor area using flood fill
+            const zone = this.findConnectedFloorArea(floor.x, floor.y, floorAreas, visited);
+            if (zone.length > 0) {
+                const bounds = this.calculateAreaBounds(zone);
+                const entry = {
+                    id: `zone-${zones.length + 1}`,
+                    bounds: bounds,
+                    tiles: zone.length,
+                    type: 'floor-zone'
+                };
+                const shape = cellsToShape(zone.map(({ x, y }) => [x, y]), bounds);
+                if (shape) entry.shape = shape;
+                zones.push(entry);
+            }
+        });
+
+        return zones;
+    }
+
+    // Find connected floor area starting from given coordinates
+    findConnectedFloorArea(startX, startY, floorAreas, visited) {
+        const zone = [];
+        const stack = [[startX, startY]];
+        const floorMap = new Map();
+
+        // Create lookup map for faster access
+        floorAreas.forEach(floor => {
+            floorMap.set(`${floor.x},${floor.y}`, floor);
+        });
+
+        while (stack.length > 0) {
+            const [x, y] = stack.pop();
+            const key = `${x},${y}`;
+
+            if (visited.has(key) || !floorMap.has(key)) continue;
+
+            visited.add(key);
+            zone.push({ x, y });
+
+            // Add adjacent cells
+            [[x+1,y], [x-1,y], [x,y+1], [x,y-1]].forEach(([nx, ny]) => {
+                const neighborKey = `${nx},${ny}`;
+                if (!visited.has(neighborKey) && floorMap.has(neighborKey)) {
+                    stack.push([nx, ny]);
+                }
+            });
+        }
+
+        return zone;
+    }
+
+    // Calculate bounds for an area of tiles
+    calculateAreaBounds(area) {
+        if (area.length === 0) return { x: 0, y: 0, w: 0, h: 0 };
+
+        let minX = area[0].x, maxX = area[0].x;
+        let minY = area[0].y, maxY = area[0].y;
+
+        area.forEach(({ x, y }) => {
+            minX = Math.min(minX, x);
+            maxX = Math.max(maxX, x);
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+        });
+
+        return {
+            x: minX,
+            y: minY,
+            w: maxX - minX + 1,
+            h: maxY - minY + 1
+        };
+    }
+
+    // Generate room definitions from current editor content
+    generateRoomsFromCurrentContent() {
+        const rooms = [];
+
+        // Simple room detection: find connected floor areas
+        const visited = Array(this.gridHeight).fill().map(() => Array(this.gridWidth).fill(false));
+        let roomCounter = 1;
+
+        for (let y = 0; y < this.gridHeight; y++) {
+            for (let x = 0; x < this.gridWidth; x++) {
+                if (this.grid[y][x] === 'floor' && !visited[y][x]) {
+                    // Found unvisited floor tile - start a new room
+                    const roomArea = this.floodFillRoom(x, y, visited);
+                    if (roomArea.length > 0) {
+                        const bounds = this.calculateRoomBounds(roomArea);
+                        const room = {
+                            id: `room-${roomCounter}`,
+                            gridRect: bounds
+                        };
+                        const shape = cellsToShape(roomArea, bounds);
+                        if (shape) room.shape = shape;
+                        rooms.push(room);
+                        roomCounter++;
+                    }
+                }
+            }
+        }
+
+        // If no rooms found, create a single room covering the whole area
+        if (rooms.length === 0) {
+            rooms.push({
+                id: 'room-1',
+                gridRect: { x: 0, y: 0, w: this.gridWidth, h: this.gridHeight }
+            });
+        }
+
+        return rooms;
+    }
+
+    // Area and perimeter of the connected floor region containing a cell, in cells and in meters
+    // Returns { cells, bounds, tiles, sides, area, perimeter } (area in m², perimeter in m), or null off the floor
+    measureFloorRegion(x, y) {
+        if (this.grid[y]?.[x] !== 'floor') return null;
+
+        const visited = Array(this.gridHeight).fill().map(() => Array(this.gridWidth).fill(false));
+        const cells = this.floodFillRoom(x, y, visited);
+
+        // Perimeter: cell sides facing a cell outside the region (the grid border included)
+        let sides = 0;
+        for (const [cx, cy] of cells) {
+            for (const [nx, ny] of [[cx + 1, cy], [cx - 1, cy], [cx, cy + 1], [cx, cy - 1]]) {
+                if (!visited[ny]?.[nx]) sides++;
+            }
+        }
+
+        const { cellMeters } = this.scale;
+        return {
+            cells,
+            bounds: this.calculateRoomBounds(cells),
+            tiles: cells.length,
+            sides,
+            area: cells.length * cellMeters * cellMeters,
+            perimeter: sides * cellMeters
+        };
+    }
+
+    // Flood fill to find connected floor tiles for room detection
+    floodFillRoom(startX, startY, visited) {
+        const roomTiles = [];
+        const stack = [[startX, startY]];
+
+        while (stack.length > 0) {
+            const [x, y] = stack.pop();
+
+            if (x < 0 || x >= this.gridWidth || y < 0 || y >= this.gridHeight) continue;
+            if (visited[y][x] || this.grid[y][x] !== 'floor') continue;
+
+            visited[y][x] = true;
+            roomTiles.push([x, y]);
+
+            // Add neighbors
+            stack.push([x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]);
+        }
+
+        return roomTiles;
+    }
+
+    // Calculate bounding rectangle for room tiles
+    calculateRoomBounds(roomTiles) {
+        if (roomTiles.length === 0) return { x: 0, y: 0, w: 1, h: 1 };
+
+        let minX = roomTiles[0][0], maxX = roomTiles[0][0];
+        let minY = roomTiles[0][1], maxY = roomTiles[0][1];
+
+        roomTiles.forEach(([x, y]) => {
+            minX = Math.min(minX, x);
+            maxX = Math.max(maxX, x);
+            minY = Math.min(minY, y);
+            maxY = Math.max(maxY, y);
+        });
+
+        return {
+            x: minX,
+            y: minY,
+            w: maxX - minX + 1,
+            h: maxY - minY + 1
+        };
+    }
+}
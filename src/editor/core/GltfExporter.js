@@ -0,0 +1,561 @@
+/**
+ * GltfExporter - glTF 2.0 binary (.glb) export of a scene.3d.v1 scene
+ *
+ * Builds the same shapes as the runtime loader (buildFloors / buildWalls / buildVerticalLinks in
+ * src/runtime/loadFloorplan.browser.js): floor tiles merged into row strips, walls split into
+ * jamb/sill/lintel pieces around doors, windows and openings, stairs and escalators as ramps,
+ * elevators as shafts. Walls stay one box per edge here; the loader's run merging and corner
+ * joins (src/runtime/meshBatching.js) only reduce draw calls.
+ * glTF is Y-up in meters, which is the loader's world frame (grid x → X, grid y → Z),
+ * so a .glb lines up with the simulator.
+ *
+ * Pure functions with no DOM or THREE dependency: runs in the editor and headlessly in Node
+ * (scripts/export-glb.js).
+ *
+ * Node hierarchy:
+ *   <meta.name>              extras: { schema, sourceSchema, digest, parity }
+ *     level:<id>             one per level, translated to its elevation (multi-level scenes only)
+ *       <unit/room id>       floor + wall primitives inside a region (its shape, else its rect),
+ *                            one per finish (tiles.materials, edge material)
+ *       floors, walls        content outside every region
+ *     verticalLinks
+ *       <link id>
+ */
+
+import { EDGE_TYPE_DEFAULTS } from './EdgeTypes.js';
+import { isInsideRegion } from './TemplateBounds.js';
+import { MATERIALS as FINISHES } from './Materials.js';
+
+// Material colors mirror the runtime loader (sRGB hex); finished floors and walls use FINISHES
+const MATERIALS = {
+    floor: { color: 0x8B4513, roughness: 0.8, metalness: 0.0 },
+    wall: { color: 0x808080, roughness: 0.7, metalness: 0.0 },
+    stair: { color: 0x6a1b9a, roughness: 0.6, metalness: 0.0 },
+    escalator: { color: 0xef6c00, roughness: 0.6, metalness: 0.3 },
+    elevator: { color: 0x00838f, roughness: 0.6, metalness: 0.3, opacity: 0.5 }
+};
+
+const RAMP_THICKNESS_METERS = 0.2;
+
+const GLB_MAGIC = 0x46546C67;        // "glTF"
+const GLB_CHUNK_JSON = 0x4E4F534A;   // "JSON"
+const GLB_CHUNK_BIN = 0x004E4942;    // "BIN\0"
+const TARGET_ARRAY_BUFFER = 34962;
+const TARGET_ELEMENT_ARRAY_BUFFER = 34963;
+const COMPONENT_FLOAT = 5126;
+const COMPONENT_UNSIGNED_SHORT = 5123;
+const COMPONENT_UNSIGNED_INT = 5125;
+
+/**
+ * Build the node tree (boxes per material) for a scene.3d.v1 object
+ * @param {Object} sceneObj - scene.3d.v1 JSON object
+ * @param {Object} [options]
+ * @param {Array<Object>} [options.regions] - [{ id, rect: { x, y, w, h }, shape?, level? }] in editor grid
+ *   coordinates (tile + originOffset); content inside a region is grouped under a node named by id
+ * @returns {Object} - Root node { name, extras, children: [{ name, translation?, extras?, primitives, children? }] }
+ */
+export function buildSceneNodes(sceneObj, { regions = [] } = {}) {
+    if (sceneObj?.meta?.schema !== 'scene.3d.v1') {
+        throw new Error(`Expected a scene.3d.v1 object, got ${sceneObj?.meta?.schema}`);
+    }
+
+    const units = sceneObj.units || {};
+    const dims = {
+        cellMeters: units.cellMeters || 1,
+        wallHeight: units.wallHeightMeters || 3.0,
+        wallThickness: units.wallThicknessMeters || 0.2,
+        floorThickness: units.floorThicknessMeters || 0.1
+    };
+    const offset = { x: sceneObj.originOffset?.x || 0, y: sceneObj.originOffset?.y || 0 };
+
+    const root = {
+        name: sceneObj.meta.name || 'scene',
+        extras: {
+            schema: sceneObj.meta.schema,
+            sourceSchema: sceneObj.meta.sourceSchema,
+            digest: sceneObj.meta.digest,
+            parity: sceneObj.meta.parity
+        },
+        children: []
+    };
+
+    const levels = Array.isArray(sceneObj.levels) && sceneObj.levels.length > 0 ? sceneObj.levels : null;
+    if (!levels) {
+        root.children.push(...buildContentNodes(sceneObj.tiles, sceneObj.edges, null, regions, dims, offset));
+        return root;
+    }
+
+    const elevations = {};
+    levels.forEach(level => {
+        elevations[level.id] = level.elevation || 0;
+        root.children.push({
+            name: `level:${level.id}`,
+            translation: [0, level.elevation || 0, 0],
+            extras: { levelId: level.id, levelName: level.name },
+            primitives: [],
+            children: buildContentNodes(level.tiles, level.edges, level.id, regions, dims, offset)
+        });
+    });
+
+    const linkNodes = (sceneObj.verticalLinks || [])
+        .filter(link => link.fromLevel in elevations && link.toLevel in elevations)
+        .map(link => ({
+            name: link.id,
+            extras: { linkType: link.type, fromLevel: link.fromLevel, toLevel: link.toLevel },
+            primitives: [{ material: link.type, boxes: [verticalLinkBox(link, elevations, dims, offset)] }]
+        }));
+    if (linkNodes.length > 0) {
+        root.children.push({ name: 'verticalLinks', primitives: [], children: linkNodes });
+    }
+
+    return root;
+}
+
+/**
+ * Build a glTF 2.0 document and its binary buffer for a scene.3d.v1 object
+ * @param {Object} sceneObj - scene.3d.v1 JSON object
+ * @param {Object} [options] - See buildSceneNodes
+ * @returns {Object} - { json, binary } where json.buffers[0] refers to binary (GLB-style, no uri)
+ */
+export function toGLTF(sceneObj, options = {}) {
+    const tree = buildSceneNodes(sceneObj, options);
+
+    const gltf = {
+        asset: { version: '2.0', generator: '3d-mall GltfExporter', extras: { digest: sceneObj.meta.digest } },
+        scene: 0,
+        scenes: [{ name: tree.name, nodes: [0], extras: tree.extras }],
+        nodes: [],
+        meshes: [],
+        materials: [],
+        accessors: [],
+        bufferViews: [],
+        buffers: []
+    };
+
+    const chunks = [];
+    let byteLength = 0;
+    const materialIndex = new Map();
+
+    // Append a typed array as a 4-byte aligned buffer view
+    const addBufferView = (array, target) => {
+        const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+        gltf.bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: bytes.byteLength, target });
+        chunks.push({ offset: byteLength, bytes });
+        byteLength += align4(bytes.byteLength);
+        return gltf.bufferViews.length - 1;
+    };
+
+    const getMaterial = (key) => {
+        if (!materialIndex.has(key)) {
+            gltf.materials.push(toGltfMaterial(key));
+            materialIndex.set(key, gltf.materials.length - 1);
+        }
+        return materialIndex.get(key);
+    };
+
+    const addMesh = (name, primitives) => {
+        const meshPrimitives = primitives
+            .filter(primitive => primitive.boxes.length > 0)
+            .map(primitive => {
+                const { positions, normals, indices, min, max } = boxesToArrays(primitive.boxes);
+                const indexArray = positions.length / 3 > 0xFFFF ? new Uint32Array(indices) : new Uint16Array(indices);
+
+                gltf.accessors.push({
+                    bufferView: addBufferView(positions, TARGET_ARRAY_BUFFER),
+                    componentType: COMPONENT_FLOAT,
+                    count: positions.length / 3,
+                    type: 'VEC3',
+                    min,
+                    max
+                });
+                const position = gltf.accessors.length - 1;
+                gltf.accessors.push({
+                    bufferView: addBufferView(normals, TARGET_ARRAY_BUFFER),
+                    componentType: COMPONENT_FLOAT,
+                    count: normals.length / 3,
+                    type: 'VEC3'
+                });
+                const normal = gltf.accessors.length - 1;
+                gltf.accessors.push({
+                    bufferView: addBufferView(indexArray, TARGET_ELEMENT_ARRAY_BUFFER),
+                    componentType: indexArray instanceof Uint32Array ? COMPONENT_UNSIGNED_INT : COMPONENT_UNSIGNED_SHORT,
+                    count: indexArray.length,
+                    type: 'SCALAR'
+                });
+
+                return {
+                    attributes: { POSITION: position, NORMAL: normal },
+                    indices: gltf.accessors.length - 1,
+                    material: getMaterial(primitive.material)
+                };
+            });
+
+        if (meshPrimitives.length === 0) return undefined;
+        gltf.meshes.push({ name, primitives: meshPrimitives });
+        return gltf.meshes.length - 1;
+    };
+
+    // Depth-first so the root is node 0
+    const addNode = (node) => {
+        const out = { name: node.name };
+        gltf.nodes.push(out);
+        const index = gltf.nodes.length - 1;
+
+        if (node.translation && node.translation.some(value => value !== 0)) out.translation = node.translation;
+        const mesh = addMesh(node.name, node.primitives || []);
+        if (mesh !== undefined) out.mesh = mesh;
+        if (node.extras) out.extras = node.extras;
+
+        const children = (node.children || []).map(addNode);
+        if (children.length > 0) out.children = children;
+        return index;
+    };
+    addNode(tree);
+
+    const binary = new Uint8Array(byteLength);
+    chunks.forEach(({ offset, bytes }) => binary.set(bytes, offset));
+    gltf.buffers.push({ byteLength });
+
+    // glTF forbids empty top-level arrays
+    ['meshes', 'materials', 'accessors', 'bufferViews'].forEach(key => {
+        if (gltf[key].length === 0) delete gltf[key];
+    });
+    if (byteLength === 0) delete gltf.buffers;
+
+    console.log(`[EXPORT:glb] nodes=${gltf.nodes.length}, meshes=${gltf.meshes?.length || 0}, bytes=${byteLength}, digest=${sceneObj.meta.digest}`);
+
+    return { json: gltf, binary };
+}
+
+/**
+ * Export a scene.3d.v1 object as a binary glTF (.glb)
+ * @param {Object} sceneObj - scene.3d.v1 JSON object
+ * @param {Object} [options] - See buildSceneNodes
+ * @returns {Uint8Array} - GLB file contents
+ */
+export function toGLB(sceneObj, options = {}) {
+    const { json, binary } = toGLTF(sceneObj, options);
+
+    const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+    const jsonLength = align4(jsonBytes.byteLength);
+    const binLength = align4(binary.byteLength);
+    const hasBin = binary.byteLength > 0;
+    const totalLength = 12 + 8 + jsonLength + (hasBin ? 8 + binLength : 0);
+
+    const glb = new Uint8Array(totalLength);
+    const view = new DataView(glb.buffer);
+    view.setUint32(0, GLB_MAGIC, true);
+    view.setUint32(4, 2, true);
+    view.setUint32(8, totalLength, true);
+
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, GLB_CHUNK_JSON, true);
+    glb.set(jsonBytes, 20);
+    glb.fill(0x20, 20 + jsonBytes.byteLength, 20 + jsonLength); // JSON chunk is space-padded
+
+    if (hasBin) {
+        const binStart = 20 + jsonLength;
+        view.setUint32(binStart, binLength, true);
+        view.setUint32(binStart + 4, GLB_CHUNK_BIN, true);
+        glb.set(binary, binStart + 8);
+    }
+
+    return glb;
+}
+
+/**
+ * Read a .glb back into its JSON document and binary chunk
+ * @param {Uint8Array} glb - GLB file contents
+ * @returns {Object} - { json, binary }
+ */
+export function parseGLB(glb) {
+    const view = new DataView(glb.buffer, glb.byteOffset, glb.byteLength);
+    if (view.getUint32(0, true) !== GLB_MAGIC) {
+        throw new Error('Not a GLB file (bad magic)');
+    }
+    if (view.getUint32(4, true) !== 2) {
+        throw new Error(`Unsupported GLB version: ${view.getUint32(4, true)}`);
+    }
+
+    let json = null;
+    let binary = new Uint8Array(0);
+    let offset = 12;
+    while (offset < view.getUint32(8, true)) {
+        const length = view.getUint32(offset, true);
+        const type = view.getUint32(offset + 4, true);
+        const bytes = glb.subarray(offset + 8, offset + 8 + length);
+        if (type === GLB_CHUNK_JSON) json = JSON.parse(new TextDecoder().decode(bytes));
+        if (type === GLB_CHUNK_BIN) binary = bytes;
+        offset += 8 + length;
+    }
+    if (!json) {
+        throw new Error('GLB has no JSON chunk');
+    }
+    return { json, binary };
+}
+
+// Region nodes plus leftover floors/walls for one level's tiles and edges
+function buildContentNodes(tiles, edges, levelId, regions, dims, offset) {
+    const applicable = regions.filter(region => region?.id && (region.rect || region.shape) && (region.level == null || region.level === levelId));
+    const regionOf = (cells) => {
+        for (const [x, y] of cells) {
+            const region = applicable.find(candidate => isInsideRegion(candidate, x + offset.x, y + offset.y));
+            if (region) return region.id;
+        }
+        return null;
+    };
+
+    const groups = new Map();
+    const groupFor = (id) => {
+        if (!groups.has(id)) groups.set(id, { tiles: [], edges: [] });
+        return groups.get(id);
+    };
+
+    const finishes = new Map();
+    (tiles?.materials || []).forEach(record => finishes.set(`${record.x},${record.y}`, record.material));
+    (tiles?.floor || []).forEach(([x, y]) => groupFor(regionOf([[x, y]])).tiles.push([x, y, finishes.get(`${x},${y}`)]));
+
+    const typed = new Map();
+    (edges?.openings || []).forEach(opening => typed.set(`${opening.dir}:${opening.x},${opening.y}`, opening));
+    const withType = (x, y, dir) => ({ ...(typed.get(`${dir}:${x},${y}`) || {}), x, y, dir });
+
+    // An edge joins the region of the cell it starts, or else the cell on its other side
+    (edges?.horizontal || []).forEach(([x, y]) => groupFor(regionOf([[x, y], [x, y - 1]])).edges.push(withType(x, y, 'H')));
+    (edges?.vertical || []).forEach(([x, y]) => groupFor(regionOf([[x, y], [x - 1, y]])).edges.push(withType(x, y, 'V')));
+
+    const nodes = [];
+    applicable.forEach(region => {
+        const group = groups.get(region.id);
+        if (!group || (group.tiles.length === 0 && group.edges.length === 0)) return;
+        groups.delete(region.id);
+        nodes.push({
+            name: region.id,
+            extras: { regionId: region.id },
+            primitives: [
+                ...floorPrimitives(group.tiles, dims, offset),
+                ...wallPrimitives(group.edges, dims, offset)
+            ]
+        });
+    });
+
+    const rest = groups.get(null);
+    if (rest?.tiles.length) {
+        nodes.push({ name: 'floors', primitives: floorPrimitives(rest.tiles, dims, offset) });
+    }
+    if (rest?.edges.length) {
+        nodes.push({ name: 'walls', primitives: wallPrimitives(rest.edges, dims, offset) });
+    }
+    return nodes;
+}
+
+// One floor primitive per finish; tiles are [x, y, material?], unfinished tiles use 'floor'
+function floorPrimitives(tiles, dims, offset) {
+    return [...groupByFinish(tiles, tile => tile[2], 'floor')]
+        .map(([material, group]) => ({ material, boxes: floorBoxes(group, dims, offset) }));
+}
+
+// One wall primitive per finish; unfinished edges use 'wall'
+function wallPrimitives(edges, dims, offset) {
+    return [...groupByFinish(edges, edge => edge.material, 'wall')]
+        .map(([material, group]) => ({ material, boxes: wallBoxes(group, dims, offset) }));
+}
+
+// Items keyed by their finish, the plain key first
+function groupByFinish(items, finishOf, plain) {
+    const groups = new Map([[plain, []]]);
+    items.forEach(item => {
+        const finish = finishOf(item);
+        const key = FINISHES[finish] ? finish : plain;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(item);
+    });
+    return groups;
+}
+
+// Contiguous floor tiles in a row become one strip (as buildFloors does)
+function floorBoxes(tiles, { cellMeters, floorThickness }, offset) {
+    const rows = new Map();
+    tiles.forEach(([x, y]) => {
+        if (!rows.has(y)) rows.set(y, new Set());
+        rows.get(y).add(x);
+    });
+
+    const boxes = [];
+    [...rows.keys()].sort((a, b) => a - b).forEach(y => {
+        const xs = [...rows.get(y)].sort((a, b) => a - b);
+        let start = 0;
+        for (let i = 1; i <= xs.length; i++) {
+            if (i < xs.length && xs[i] === xs[i - 1] + 1) continue;
+            const length = i - start;
+            boxes.push({
+                center: [(xs[start] + offset.x + length / 2) * cellMeters, floorThickness / 2, (y + offset.y + 0.5) * cellMeters],
+                size: [length * cellMeters, floorThickness, cellMeters]
+            });
+            start = i;
+        }
+    });
+    return boxes;
+}
+
+// Wall pieces per edge, leaving door/window/opening voids (as buildWalls does)
+function wallBoxes(edges, { cellMeters, wallHeight, wallThickness }, offset) {
+    const boxes = [];
+    edges.forEach(edge => {
+        wallPiecesForEdge(edge, cellMeters, wallHeight).forEach(piece => {
+            const along = piece.to - piece.from;
+            const height = piece.top - piece.bottom;
+            if (along <= 0 || height <= 0) return;
+
+            const centerY = piece.bottom + height / 2;
+            if (edge.dir === 'H') {
+                boxes.push({
+                    center: [(edge.x + offset.x) * cellMeters + piece.from + along / 2, centerY, (edge.y + offset.y) * cellMeters],
+                    size: [along, height, wallThickness]
+                });
+            } else {
+                boxes.push({
+                    center: [(edge.x + offset.x) * cellMeters, centerY, (edge.y + offset.y) * cellMeters + piece.from + along / 2],
+                    size: [wallThickness, height, along]
+                });
+            }
+        });
+    });
+    return boxes;
+}
+
+// Same split as wallPiecesForEdge in the runtime loader
+function wallPiecesForEdge(edge, length, wallHeight) {
+    const defaults = EDGE_TYPE_DEFAULTS[edge.type || 'wall'];
+    if (!defaults) {
+        return [{ from: 0, to: length, bottom: 0, top: wallHeight }];
+    }
+
+    const width = Math.min(edge.width ?? length, length);
+    const margin = (length - width) / 2;
+    const sill = Math.min(edge.sillHeight ?? defaults.sillHeight ?? 0, wallHeight);
+    const head = Math.min(edge.headHeight ?? defaults.headHeight ?? wallHeight, wallHeight);
+
+    const pieces = [];
+    if (margin > 0) {
+        pieces.push({ from: 0, to: margin, bottom: 0, top: wallHeight });
+        pieces.push({ from: length - margin, to: length, bottom: 0, top: wallHeight });
+    }
+    if (sill > 0) {
+        pieces.push({ from: margin, to: length - margin, bottom: 0, top: sill });
+    }
+    if (head < wallHeight) {
+        pieces.push({ from: margin, to: length - margin, bottom: head, top: wallHeight });
+    }
+    return pieces;
+}
+
+// Elevator shaft, or a ramp rising along the longer side (as buildVerticalLinks does)
+function verticalLinkBox(link, elevations, { cellMeters, wallHeight }, offset) {
+    const bottom = Math.min(elevations[link.fromLevel], elevations[link.toLevel]);
+    const rise = Math.max(elevations[link.fromLevel], elevations[link.toLevel]) - bottom;
+    const width = link.rect.w * cellMeters;
+    const depth = link.rect.h * cellMeters;
+    const centerX = (link.rect.x + offset.x) * cellMeters + width / 2;
+    const centerZ = (link.rect.y + offset.y) * cellMeters + depth / 2;
+
+    if (link.type === 'elevator') {
+        const shaftHeight = rise + wallHeight;
+        return { center: [centerX, bottom + shaftHeight / 2, centerZ], size: [width, shaftHeight, depth] };
+    }
+
+    const alongX = width >= depth;
+    const run = alongX ? width : depth;
+    const span = alongX ? depth : width;
+    const length = Math.hypot(run, rise);
+    const angle = Math.atan2(rise, run);
+    return {
+        center: [centerX, bottom + rise / 2, centerZ],
+        size: alongX ? [length, RAMP_THICKNESS_METERS, span] : [span, RAMP_THICKNESS_METERS, length],
+        rotation: alongX ? { axis: 'z', angle } : { axis: 'x', angle: -angle }
+    };
+}
+
+// Each face: outward normal n and in-plane axes u, v with u × v = n (counter-clockwise from outside)
+const BOX_FACES = [
+    { n: [1, 0, 0], u: [0, 1, 0], v: [0, 0, 1] },
+    { n: [-1, 0, 0], u: [0, 0, 1], v: [0, 1, 0] },
+    { n: [0, 1, 0], u: [0, 0, 1], v: [1, 0, 0] },
+    { n: [0, -1, 0], u: [1, 0, 0], v: [0, 0, 1] },
+    { n: [0, 0, 1], u: [1, 0, 0], v: [0, 1, 0] },
+    { n: [0, 0, -1], u: [0, 1, 0], v: [1, 0, 0] }
+];
+const FACE_CORNERS = [[-1, -1], [1, -1], [1, 1], [-1, 1]];
+
+// Flat-shaded box geometry: 24 vertices, 12 triangles per box
+function boxesToArrays(boxes) {
+    const positions = new Float32Array(boxes.length * 24 * 3);
+    const normals = new Float32Array(boxes.length * 24 * 3);
+    const indices = [];
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+
+    let vertex = 0;
+    boxes.forEach(box => {
+        const half = box.size.map(value => value / 2);
+        const rotate = rotationFor(box.rotation);
+
+        BOX_FACES.forEach(({ n, u, v }) => {
+            const base = vertex;
+            const normal = rotate(n);
+            FACE_CORNERS.forEach(([a, b]) => {
+                const local = [0, 1, 2].map(axis => (n[axis] + a * u[axis] + b * v[axis]) * half[axis]);
+                const point = rotate(local);
+                for (let axis = 0; axis < 3; axis++) {
+                    const value = point[axis] + box.center[axis];
+                    positions[vertex * 3 + axis] = value;
+                    normals[vertex * 3 + axis] = normal[axis];
+                    min[axis] = Math.min(min[axis], Math.fround(value));
+                    max[axis] = Math.max(max[axis], Math.fround(value));
+                }
+                vertex++;
+            });
+            indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+        });
+    });
+
+    return { positions, normals, indices, min, max };
+}
+
+function rotationFor(rotation) {
+    if (!rotation || !rotation.angle) return (p) => p;
+    const cos = Math.cos(rotation.angle);
+    const sin = Math.sin(rotation.angle);
+    if (rotation.axis === 'z') {
+        return ([x, y, z]) => [x * cos - y * sin, x * sin + y * cos, z];
+    }
+    return ([x, y, z]) => [x, y * cos - z * sin, y * sin + z * cos];
+}
+
+function toGltfMaterial(key) {
+    const spec = MATERIALS[key] || FINISHES[key] || { color: 0x999999, roughness: 0.6, metalness: 0.0 };
+    const material = {
+        name: key,
+        pbrMetallicRoughness: {
+            baseColorFactor: [...hexToLinear(spec.color), spec.opacity ?? 1.0],
+            metallicFactor: spec.metalness,
+            roughnessFactor: spec.roughness
+        }
+    };
+    if (spec.opacity !== undefined && spec.opacity < 1) {
+        material.alphaMode = 'BLEND';
+    }
+    return material;
+}
+
+// glTF base colors are linear; the loader's hex colors are sRGB
+function hexToLinear(hex) {
+    return [(hex >> 16) & 0xff, (hex >> 8) & 0xff, hex & 0xff].map(channel => {
+        const c = channel / 255;
+        const linear = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+        return Math.round(linear * 10000) / 10000;
+    });
+}
+
+function align4(n) {
+    return (n + 3) & ~3;
+}
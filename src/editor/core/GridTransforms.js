@@ -0,0 +1,206 @@
+/**
+ * GridTransforms - Rotate and mirror scene content and templates on the grid
+ *
+ * Operations: 'rotate90', 'rotate180', 'rotate270' (clockwise on screen, y grows downward),
+ * 'flipHorizontal' (mirror left-right) and 'flipVertical' (mirror top-bottom).
+ * Content is transformed inside a frame rect whose top-left cell stays put; a quarter turn swaps the
+ * frame's width and height. Everything is mapped through grid vertices, so an edge keeps hugging the
+ * same cells: a horizontal edge turns into a vertical one under a quarter turn, typed edges included.
+ */
+
+import { sortOpenings } from './EdgeTypes.js';
+import { sortFloorMaterials } from './Materials.js';
+
+export const TRANSFORM_OPS = ['rotate90', 'rotate180', 'rotate270', 'flipHorizontal', 'flipVertical'];
+
+// Unit normals of the entrance sides
+const SIDES = { north: [0, -1], east: [1, 0], south: [0, 1], west: [-1, 0] };
+
+/**
+ * Transform a scene.v1 document inside its own grid
+ * Levels and vertical links are transformed with it; a quarter turn swaps grid.width and grid.height.
+ * @param {Object} scene - scene.v1 document (or a fragment from Selection.extractFragment)
+ * @param {string} op - One of TRANSFORM_OPS
+ * @returns {Object} - New scene.v1 document
+ */
+export function transformScene(scene, op) {
+    const frame = { x: 0, y: 0, w: scene.grid?.width || 0, h: scene.grid?.height || 0 };
+    const map = makeFrameTransform(op, frame);
+    const result = transformSceneContent(scene, map);
+    if (scene.grid) {
+        result.grid = { ...scene.grid, width: map.frame.w, height: map.frame.h };
+    }
+    return result;
+}
+
+/**
+ * Transform a unit, room or object template inside its rect
+ * The rect keeps its top-left corner. Shape, children (rects, shapes, entrances), the template's own
+ * entrance and attached sceneData move with it; other fields are copied unchanged.
+ * @param {Object} template - Template at the current schema version
+ * @param {string} op - One of TRANSFORM_OPS
+ * @returns {Object} - New template JSON
+ */
+export function transformTemplate(template, op) {
+    if (!template?.rect) {
+        throw new Error('transformTemplate: template has no rect');
+    }
+
+    const map = makeFrameTransform(op, template.rect);
+    const result = transformRegion(template, map);
+
+    if (Array.isArray(template.children)) {
+        result.children = template.children.map(child => (child?.rect ? transformRegion(child, map) : structuredClone(child)));
+    }
+    if (template.sceneData) {
+        // sceneData lives in editor grid coordinates; only its content turns, the grid stays
+        result.sceneData = transformSceneContent(template.sceneData, map);
+    }
+    return result;
+}
+
+/**
+ * Mapping of cells, edges and rects for one operation inside a frame
+ * @param {string} op - One of TRANSFORM_OPS
+ * @param {Object} frame - { x, y, w, h } in cells
+ * @returns {Object} - { frame, point, cell, edge, rect, direction }; frame is the transformed frame
+ */
+export function makeFrameTransform(op, frame) {
+    const { w, h } = frame;
+    const local = {
+        rotate90: (u, v) => [h - v, u],
+        rotate180: (u, v) => [w - u, h - v],
+        rotate270: (u, v) => [v, w - u],
+        flipHorizontal: (u, v) => [w - u, v],
+        flipVertical: (u, v) => [u, h - v]
+    }[op];
+    if (!local) {
+        throw new Error(`Unknown transform "${op}" (expected one of ${TRANSFORM_OPS.join(', ')})`);
+    }
+
+    const quarterTurn = op === 'rotate90' || op === 'rotate270';
+    // Grid vertex → grid vertex
+    const point = ([px, py]) => {
+        const [u, v] = local(px - frame.x, py - frame.y);
+        return [frame.x + u, frame.y + v];
+    };
+    // Rect { x, y, w, h } → rect covering the mapped corners
+    const rect = (r) => {
+        const [ax, ay] = point([r.x, r.y]);
+        const [bx, by] = point([r.x + r.w, r.y + r.h]);
+        return { x: Math.min(ax, bx), y: Math.min(ay, by), w: Math.abs(bx - ax), h: Math.abs(by - ay) };
+    };
+    // Cell [x, y] → the cell covering the mapped unit square
+    const cell = ([x, y]) => {
+        const { x: cx, y: cy } = rect({ x, y, w: 1, h: 1 });
+        return [cx, cy];
+    };
+    // Edge ('H' above cell (x, y) | 'V' left of it) → mapped edge; a quarter turn swaps the direction
+    const edge = (dir, x, y) => {
+        const [ax, ay] = point([x, y]);
+        const [bx, by] = point(dir === 'H' ? [x + 1, y] : [x, y + 1]);
+        return ay === by
+            ? { dir: 'H', x: Math.min(ax, bx), y: ay }
+            : { dir: 'V', x: ax, y: Math.min(ay, by) };
+    };
+    // Direction vector → mapped direction vector
+    const direction = ([dx, dy]) => {
+        const [ox, oy] = point([frame.x, frame.y]);
+        const [tx, ty] = point([frame.x + dx, frame.y + dy]);
+        return [tx - ox, ty - oy];
+    };
+
+    return {
+        frame: { x: frame.x, y: frame.y, w: quarterTurn ? h : w, h: quarterTurn ? w : h },
+        point, cell, edge, rect, direction
+    };
+}
+
+// Tiles, finishes, edges, openings, levels and vertical links of a scene.v1 document (other fields copied)
+function transformSceneContent(scene, map) {
+    const result = structuredClone(scene);
+    Object.assign(result, transformLayer(scene, map));
+
+    if (Array.isArray(scene.levels)) {
+        result.levels = scene.levels.map(level => ({ ...structuredClone(level), ...transformLayer(level, map) }));
+    }
+    if (Array.isArray(scene.verticalLinks)) {
+        result.verticalLinks = scene.verticalLinks.map(link => (link?.rect ? { ...structuredClone(link), rect: map.rect(link.rect) } : structuredClone(link)));
+    }
+    return result;
+}
+
+// { tiles, edges } of a scene or level; finishes and openings move with their tile or edge
+function transformLayer(layer, map) {
+    const result = {};
+    if (layer.tiles) {
+        result.tiles = { ...structuredClone(layer.tiles) };
+        if (Array.isArray(layer.tiles.floor)) {
+            result.tiles.floor = sortPairs(layer.tiles.floor.map(map.cell));
+        }
+        if (Array.isArray(layer.tiles.materials)) {
+            result.tiles.materials = sortFloorMaterials(layer.tiles.materials.map(record => {
+                const [x, y] = map.cell([record.x, record.y]);
+                return { ...record, x, y };
+            }));
+        }
+    }
+    if (layer.edges) {
+        const horizontal = [];
+        const vertical = [];
+        const place = (edge) => (edge.dir === 'H' ? horizontal : vertical).push([edge.x, edge.y]);
+        (layer.edges.horizontal || []).forEach(([x, y]) => place(map.edge('H', x, y)));
+        (layer.edges.vertical || []).forEach(([x, y]) => place(map.edge('V', x, y)));
+
+        result.edges = { ...structuredClone(layer.edges), horizontal: sortPairs(horizontal), vertical: sortPairs(vertical) };
+        if (Array.isArray(layer.edges.openings)) {
+            result.edges.openings = sortOpenings(layer.edges.openings.map(opening => ({
+                ...opening,
+                ...map.edge(opening.dir === 'V' ? 'V' : 'H', opening.x, opening.y)
+            })));
+        }
+    }
+    return result;
+}
+
+// A rect-bearing entry: rect, shape and entrance
+function transformRegion(region, map) {
+    const result = structuredClone(region);
+    const rect = map.rect(region.rect);
+    result.rect = rect;
+
+    if (region.shape?.cells) {
+        result.shape = { ...result.shape, cells: sortPairs(region.shape.cells.map(map.cell)) };
+    } else if (region.shape?.outline) {
+        result.shape = { ...result.shape, outline: region.shape.outline.map(map.point) };
+    }
+
+    if (region.entrance && SIDES[region.entrance.side]) {
+        result.entrance = { ...result.entrance, ...transformEntrance(region.entrance, region.rect, rect, map) };
+    }
+    return result;
+}
+
+// Entrance { side, offset, width? } along its owner's rect; the offset counts cells from the west/north end
+function transformEntrance(entrance, before, after, map) {
+    const offset = Number.isFinite(entrance.offset) ? entrance.offset : 0;
+    const width = Number.isFinite(entrance.width) ? entrance.width : 1;
+    const [nx, ny] = SIDES[entrance.side];
+
+    // The entrance as a segment along the owner's outer boundary
+    const alongX = ny !== 0;
+    const fixed = alongX ? (ny < 0 ? before.y : before.y + before.h) : (nx < 0 ? before.x : before.x + before.w);
+    const start = alongX ? [before.x + offset, fixed] : [fixed, before.y + offset];
+    const end = alongX ? [start[0] + width, fixed] : [fixed, start[1] + width];
+
+    const [tx, ty] = map.direction([nx, ny]);
+    const side = Object.keys(SIDES).find(name => SIDES[name][0] === tx && SIDES[name][1] === ty);
+    const [a, b] = [map.point(start), map.point(end)];
+    const newOffset = ty !== 0 ? Math.min(a[0], b[0]) - after.x : Math.min(a[1], b[1]) - after.y;
+
+    return Number.isFinite(entrance.offset) || newOffset !== 0 ? { side, offset: newOffset } : { side };
+}
+
+function sortPairs(pairs) {
+    return pairs.sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+}
@@ -0,0 +1,266 @@
+/**
+ * Levels - Multi-level (stacked floor) helpers shared by editor, exporters and loader
+ *
+ * A level is one floor of the mall: its own tile grid and edges at an elevation (meters).
+ * Vertical links (stair, escalator, elevator) are rectangular footprints that connect
+ * two levels; the footprint is drawn on both levels and stacked by the runtime loader.
+ *
+ * Wire format (scene.v1, scene.3d.v1, mall-template.v1):
+ *   levels:        [{ id, name, elevation, tiles: { floor, materials? }, edges: { horizontal, vertical, openings? } }]
+ *   verticalLinks: [{ id, type, rect: { x, y, w, h }, fromLevel, toLevel }]
+ * Single-level documents omit both keys.
+ */
+
+import { collectEdgeOpenings, applyEdgeOpenings } from './EdgeTypes.js';
+import { createMaterialLayer, collectFloorMaterials, applyFloorMaterials } from './Materials.js';
+
+export const DEFAULT_LEVEL_HEIGHT_METERS = 4.5;
+export const GROUND_LEVEL_ID = 'level-0';
+export const VERTICAL_LINK_TYPES = ['stair', 'escalator', 'elevator'];
+
+/**
+ * Create an empty scene model ({ grid, horizontalEdges, verticalEdges })
+ * @param {number} width - Grid width in cells
+ * @param {number} height - Grid height in cells
+ * @returns {Object} - Empty scene model
+ */
+export function createLevelModel(width, height) {
+    const make = (value) => Array.from({ length: height }, () => Array(width).fill(value));
+    return {
+        grid: make('empty'),
+        horizontalEdges: make(false),
+        verticalEdges: make(false)
+    };
+}
+
+/**
+ * Create a level record
+ * @param {Object} params
+ * @param {string} params.id - Level ID
+ * @param {string} [params.name] - Display name
+ * @param {number} [params.elevation] - Floor elevation in meters
+ * @param {Object} [params.sceneModel] - Existing scene model (defaults to empty)
+ * @param {number} params.width - Grid width in cells
+ * @param {number} params.height - Grid height in cells
+ * @returns {Object} - { id, name, elevation, sceneModel }
+ */
+export function createLevel({ id, name, elevation = 0, sceneModel, width, height }) {
+    return {
+        id,
+        name: name || id,
+        elevation,
+        sceneModel: sceneModel || createLevelModel(width, height)
+    };
+}
+
+/**
+ * Suggest id/name/elevation for a new level stacked above the existing ones
+ * @param {Array<Object>} levels - Existing levels
+ * @returns {Object} - { id, name, elevation }
+ */
+export function nextLevelDefaults(levels) {
+    const ids = new Set(levels.map(level => level.id));
+    let n = levels.length;
+    while (ids.has(`level-${n}`)) n++;
+
+    const top = levels.reduce((max, level) => Math.max(max, level.elevation), -DEFAULT_LEVEL_HEIGHT_METERS);
+    return {
+        id: `level-${n}`,
+        name: `Level ${n}`,
+        elevation: top + DEFAULT_LEVEL_HEIGHT_METERS
+    };
+}
+
+/**
+ * Sort levels bottom-up by elevation (stable for equal elevations)
+ * @param {Array<Object>} levels
+ * @returns {Array<Object>} - New sorted array
+ */
+export function sortLevels(levels) {
+    return levels
+        .map((level, index) => ({ level, index }))
+        .sort((a, b) => a.level.elevation - b.level.elevation || a.index - b.index)
+        .map(entry => entry.level);
+}
+
+/**
+ * Find the level directly below / above a level by elevation
+ * @param {Array<Object>} levels
+ * @param {string} levelId
+ * @returns {Object|null}
+ */
+export function getLevelBelow(levels, levelId) {
+    const sorted = sortLevels(levels);
+    const index = sorted.findIndex(level => level.id === levelId);
+    return index > 0 ? sorted[index - 1] : null;
+}
+
+export function getLevelAbove(levels, levelId) {
+    const sorted = sortLevels(levels);
+    const index = sorted.findIndex(level => level.id === levelId);
+    return index >= 0 && index < sorted.length - 1 ? sorted[index + 1] : null;
+}
+
+/**
+ * Serialize a level's scene model to the wire format
+ * @param {Object} level - { id, name, elevation, sceneModel }
+ * @returns {Object} - { id, name, elevation, tiles, edges }
+ */
+export function serializeLevel(level) {
+    const { grid, horizontalEdges, verticalEdges } = level.sceneModel;
+    const floor = [];
+    const horizontal = [];
+    const vertical = [];
+
+    for (let y = 0; y < grid.length; y++) {
+        for (let x = 0; x < grid[y].length; x++) {
+            if (grid[y][x] === 'floor') floor.push([x, y]);
+            if (horizontalEdges[y]?.[x]) horizontal.push([x, y]);
+            if (verticalEdges[y]?.[x]) vertical.push([x, y]);
+        }
+    }
+
+    const edges = { horizontal, vertical };
+    const openings = collectEdgeOpenings(horizontalEdges, verticalEdges);
+    if (openings.length > 0) {
+        edges.openings = openings;
+    }
+
+    const tiles = { floor };
+    const finishes = collectFloorMaterials(grid, level.sceneModel.floorMaterials);
+    if (finishes.length > 0) {
+        tiles.materials = finishes;
+    }
+
+    return {
+        id: level.id,
+        name: level.name,
+        elevation: level.elevation,
+        tiles,
+        edges
+    };
+}
+
+/**
+ * Rebuild a level record from the wire format
+ * Content outside width × height is dropped.
+ * @param {Object} raw - { id, name, elevation, tiles, edges }
+ * @param {number} width - Grid width in cells
+ * @param {number} height - Grid height in cells
+ * @returns {Object} - { id, name, elevation, sceneModel }
+ */
+export function deserializeLevel(raw, width, height) {
+    const level = createLevel({ id: raw.id, name: raw.name, elevation: raw.elevation, width, height });
+    const model = level.sceneModel;
+    const inside = (x, y) => x >= 0 && x < width && y >= 0 && y < height;
+
+    (raw.tiles?.floor || []).forEach(([x, y]) => {
+        if (inside(x, y)) model.grid[y][x] = 'floor';
+    });
+    (raw.edges?.horizontal || []).forEach(([x, y]) => {
+        if (inside(x, y)) model.horizontalEdges[y][x] = true;
+    });
+    (raw.edges?.vertical || []).forEach(([x, y]) => {
+        if (inside(x, y)) model.verticalEdges[y][x] = true;
+    });
+    applyEdgeOpenings(model.horizontalEdges, model.verticalEdges, raw.edges?.openings);
+    if (Array.isArray(raw.tiles?.materials) && raw.tiles.materials.length > 0) {
+        model.floorMaterials = createMaterialLayer(width, height);
+        applyFloorMaterials(model.floorMaterials, raw.tiles.materials);
+    }
+
+    return level;
+}
+
+/**
+ * Normalize raw levels from a document: drop invalid entries, fill defaults, sort by elevation
+ * @param {Array} rawLevels - levels[] from a mall/scene document
+ * @returns {Array<Object>} - [{ id, name, elevation, tiles, edges }]
+ */
+export function normalizeLevels(rawLevels) {
+    if (!Array.isArray(rawLevels)) return [];
+
+    const seen = new Set();
+    const levels = [];
+    rawLevels.forEach((raw, index) => {
+        if (!raw || typeof raw !== 'object') return;
+        const id = typeof raw.id === 'string' && raw.id ? raw.id : `level-${index}`;
+        if (seen.has(id)) {
+            console.warn(`[LEVELS] Duplicate level id "${id}" ignored`);
+            return;
+        }
+        seen.add(id);
+        levels.push({
+            id,
+            name: typeof raw.name === 'string' && raw.name ? raw.name : id,
+            elevation: Number.isFinite(raw.elevation) ? raw.elevation : index * DEFAULT_LEVEL_HEIGHT_METERS,
+            tiles: {
+                floor: Array.isArray(raw.tiles?.floor) ? raw.tiles.floor : [],
+                ...(Array.isArray(raw.tiles?.materials) ? { materials: raw.tiles.materials } : {})
+            },
+            edges: {
+                horizontal: Array.isArray(raw.edges?.horizontal) ? raw.edges.horizontal : [],
+                vertical: Array.isArray(raw.edges?.vertical) ? raw.edges.vertical : [],
+                ...(Array.isArray(raw.edges?.openings) ? { openings: raw.edges.openings } : {})
+            }
+        });
+    });
+    return sortLevels(levels);
+}
+
+/**
+ * Normalize vertical links against a set of level ids
+ * Links with an unknown type, invalid rect, unknown level or identical from/to are dropped.
+ * @param {Array} rawLinks - verticalLinks[] from a document
+ * @param {Array<string>} levelIds - Known level ids
+ * @returns {Array<Object>} - [{ id, type, rect, fromLevel, toLevel }]
+ */
+export function normalizeVerticalLinks(rawLinks, levelIds) {
+    if (!Array.isArray(rawLinks)) return [];
+
+    const known = new Set(levelIds);
+    const links = [];
+    rawLinks.forEach((raw, index) => {
+        const rect = raw?.rect;
+        const validRect = rect && [rect.x, rect.y, rect.w, rect.h].every(Number.isFinite) && rect.w > 0 && rect.h > 0;
+        if (!raw || !VERTICAL_LINK_TYPES.includes(raw.type) || !validRect) {
+            console.warn(`[LEVELS] Invalid vertical link at index ${index} ignored`);
+            return;
+        }
+        if (!known.has(raw.fromLevel) || !known.has(raw.toLevel) || raw.fromLevel === raw.toLevel) {
+            console.warn(`[LEVELS] Vertical link "${raw.id || index}" references unknown or identical levels`);
+            return;
+        }
+        links.push({
+            id: typeof raw.id === 'string' && raw.id ? raw.id : `${raw.type}-${index + 1}`,
+            type: raw.type,
+            rect: { x: rect.x, y: rect.y, w: rect.w, h: rect.h },
+            fromLevel: raw.fromLevel,
+            toLevel: raw.toLevel
+        });
+    });
+    return links;
+}
+
+/**
+ * Vertical links that start or end on a level
+ * @param {Array<Object>} links
+ * @param {string} levelId
+ * @returns {Array<Object>}
+ */
+export function linksTouchingLevel(links, levelId) {
+    return links.filter(link => link.fromLevel === levelId || link.toLevel === levelId);
+}
+
+/**
+ * Next free link id for a type, e.g. "stair-3"
+ * @param {Array<Object>} links
+ * @param {string} type
+ * @returns {string}
+ */
+export function nextLinkId(links, type) {
+    const ids = new Set(links.map(link => link.id));
+    let n = 1;
+    while (ids.has(`${type}-${n}`)) n++;
+    return `${type}-${n}`;
+}
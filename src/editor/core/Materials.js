@@ -0,0 +1,109 @@
+/**
+ * Materials - Finish palette for floor tiles and wall edges
+ *
+ * A floor cell's finish lives in sceneModel.floorMaterials[y][x] (null → plain floor); it only
+ * counts while the cell holds floor. An edge's finish is the `material` attribute of a typed edge
+ * (see EdgeTypes.js), so a finished plain wall is { type: 'wall', material }.
+ *
+ * Wire format (scene.v1, scene.3d.v1, levels[]):
+ *   tiles.materials:  [{ x, y, material }] for finished floor tiles, sorted by (y, x)
+ *   edges.openings:   records carry `material` like any other edge attribute
+ * Unfinished content is written exactly as before, so existing files and digests do not change.
+ *
+ * Colors are sRGB hex; roughness/metalness/opacity feed MeshStandardMaterial and glTF PBR.
+ * The runtime loader keeps a copy of this table (src/runtime/loadFloorplan.browser.js).
+ */
+
+export const MATERIALS = {
+    tile: { label: 'Tile', surface: 'floor', color: 0xd8d2c4, roughness: 0.4, metalness: 0.0 },
+    carpet: { label: 'Carpet', surface: 'floor', color: 0x5b6c8f, roughness: 1.0, metalness: 0.0 },
+    marble: { label: 'Marble', surface: 'floor', color: 0xeeece8, roughness: 0.15, metalness: 0.05 },
+    timber: { label: 'Timber', surface: 'floor', color: 0xa8743f, roughness: 0.6, metalness: 0.0 },
+    glass: { label: 'Glass partition', surface: 'wall', color: 0x8ecae6, roughness: 0.05, metalness: 0.1, opacity: 0.35 },
+    drywall: { label: 'Drywall', surface: 'wall', color: 0xe4dfd5, roughness: 0.9, metalness: 0.0 }
+};
+
+export const FLOOR_MATERIALS = Object.keys(MATERIALS).filter(id => MATERIALS[id].surface === 'floor');
+export const WALL_MATERIALS = Object.keys(MATERIALS).filter(id => MATERIALS[id].surface === 'wall');
+
+/**
+ * Whether an id names a palette material, optionally for one surface
+ * @param {*} id - Material id
+ * @param {string} [surface] - 'floor' | 'wall'
+ * @returns {boolean}
+ */
+export function isMaterial(id, surface) {
+    const material = typeof id === 'string' ? MATERIALS[id] : null;
+    return !!material && (!surface || material.surface === surface);
+}
+
+/**
+ * CSS color of a material for the 2D canvas
+ * @param {string} id - Material id
+ * @returns {string|null} - '#rrggbb', or null for unknown ids
+ */
+export function materialCssColor(id) {
+    return isMaterial(id) ? `#${MATERIALS[id].color.toString(16).padStart(6, '0')}` : null;
+}
+
+/**
+ * Create an empty floor material layer (every cell null)
+ * @param {number} width - Grid width in cells
+ * @param {number} height - Grid height in cells
+ * @returns {Array<Array>} - Layer indexed [y][x]
+ */
+export function createMaterialLayer(width, height) {
+    return Array.from({ length: height }, () => Array(width).fill(null));
+}
+
+/**
+ * Collect the finishes of floor tiles as wire-format records
+ * Finishes on cells that no longer hold floor are ignored.
+ * @param {Array<Array>} grid - Tile grid indexed [y][x]
+ * @param {Array<Array>} [floorMaterials] - Material layer indexed [y][x]
+ * @returns {Array<Object>} - [{ x, y, material }] sorted by (y, x)
+ */
+export function collectFloorMaterials(grid, floorMaterials) {
+    const records = [];
+    if (!Array.isArray(floorMaterials)) return records;
+
+    for (let y = 0; y < grid.length; y++) {
+        for (let x = 0; x < grid[y].length; x++) {
+            const material = floorMaterials[y]?.[x];
+            if (grid[y][x] === 'floor' && isMaterial(material, 'floor')) {
+                records.push({ x, y, material });
+            }
+        }
+    }
+    return records;
+}
+
+/**
+ * Write wire-format floor material records into a material layer
+ * Unknown materials and positions outside the layer are ignored.
+ * @param {Array<Array>} floorMaterials - Material layer indexed [y][x] (mutated)
+ * @param {Array<Object>} records - Records from collectFloorMaterials
+ * @returns {number} - Number of records applied
+ */
+export function applyFloorMaterials(floorMaterials, records) {
+    if (!Array.isArray(records)) return 0;
+
+    let applied = 0;
+    for (const record of records) {
+        if (!record || !isMaterial(record.material, 'floor')) continue;
+        const row = floorMaterials[record.y];
+        if (!row || record.x < 0 || record.x >= row.length) continue;
+        row[record.x] = record.material;
+        applied++;
+    }
+    return applied;
+}
+
+/**
+ * Sort floor material records deterministically by (y, x)
+ * @param {Array<Object>} records
+ * @returns {Array<Object>} - New sorted array
+ */
+export function sortFloorMaterials(records) {
+    return [...records].sort((a, b) => a.y - b.y || a.x - b.x);
+}
@@ -0,0 +1,196 @@
+/**
+ * Problems - Design problems for the editor's Problems panel and canvas markers
+ *
+ * Gathers registered SceneRules findings and the export sanity checks (isolated tiles,
+ * perimeter gaps) into one list of located problems:
+ * - { id, category, severity, source, message, kind: 'tile'|'edge'|'scene', x?, y?, dir? }
+ * Categories: 'missing-wall' (edge), 'isolated-tile' (tile), 'out-of-bounds' (tile or edge), 'rule' (anything else).
+ * A missing wall reported by both unenclosed-floors and the perimeter check appears once.
+ *
+ * While painting, updateProblems() re-checks only the cells around an edit. Every built-in check
+ * looks at a cell and its neighbours and reports at the cell or one of its edges, so an edit can
+ * only change problems within one cell of it. A registered rule that is not local forces a full scan.
+ */
+
+import { SceneRules } from './SceneRules.js';
+import { rulesAreLocal } from './RuleRegistry.js';
+import { findContentProblems } from './ExportBuilder3D.js';
+
+const SIDE_EDGES = {
+    N: (x, y) => ({ dir: 'H', x, y }),
+    S: (x, y) => ({ dir: 'H', x, y: y + 1 }),
+    W: (x, y) => ({ dir: 'V', x, y }),
+    E: (x, y) => ({ dir: 'V', x: x + 1, y })
+};
+
+const SIDE_NAMES = { N: 'north', S: 'south', W: 'west', E: 'east', top: 'north', bottom: 'south', left: 'west', right: 'east' };
+
+const SEVERITY_ORDER = { block: 0, warn: 1 };
+
+/**
+ * Collect located problems for one level
+ * @param {Object} params
+ * @param {Object} params.scene - Scene model with grid/edges
+ * @param {Object} [params.bounds] - Active bounds constraint (TemplateBounds checker or {x, y, w, h} rect)
+ * @param {string} [params.kind] - Template kind passed to the rule registry
+ * @param {Object} [params.dto] - Loaded template DTO
+ * @returns {Array<Object>} - Problems, blocking first, then by category and position
+ */
+export function collectProblems({ scene, bounds = null, kind = 'scene', dto = {} }) {
+    return [...gatherProblems({ scene, bounds, kind, dto }).values()].sort(compareProblems);
+}
+
+/**
+ * Re-check the cells around an edit and merge the result into the previous problem list
+ * Falls back to collectProblems() when a registered rule for the kind is not local.
+ * @param {Array<Object>} problems - Previous result for the same level, bounds and kind
+ * @param {Object} params - collectProblems() params plus rect
+ * @param {Object} params.rect - { x, y, w, h } cells (or edges starting in them) that changed
+ * @returns {Array<Object>} - Same list collectProblems() would return
+ */
+export function updateProblems(problems, { scene, bounds = null, kind = 'scene', dto = {}, rect }) {
+    if (!rect || !rulesAreLocal(kind)) {
+        return collectProblems({ scene, bounds, kind, dto });
+    }
+
+    // Problems within one cell can change; finding them needs the neighbours one cell further out
+    const changed = growRect(rect, 1);
+    const inChanged = (problem) => problem.kind !== 'scene' &&
+        problem.x >= changed.x && problem.x < changed.x + changed.w &&
+        problem.y >= changed.y && problem.y < changed.y + changed.h;
+
+    const merged = new Map(problems.filter(problem => !inChanged(problem)).map(problem => [problem.id, problem]));
+    gatherProblems({ scene, bounds, kind, dto, region: growRect(rect, 2) }).forEach(problem => {
+        if (inChanged(problem) || problem.kind === 'scene') merged.set(problem.id, problem);
+    });
+    return [...merged.values()].sort(compareProblems);
+}
+
+// Problems by id for the whole scene, or for cells in region (tiles in it and edges starting in it)
+function gatherProblems({ scene, bounds, kind, dto, region = null }) {
+    const problems = new Map();
+    const add = (problem) => {
+        const existing = problems.get(problem.id);
+        // Keep the stricter severity when two sources report the same spot
+        if (!existing || SEVERITY_ORDER[problem.severity] < SEVERITY_ORDER[existing.severity]) {
+            problems.set(problem.id, problem);
+        }
+    };
+
+    const { findings } = SceneRules.evaluate({ dto, scene, bounds, kind, region });
+    findings.forEach(finding => {
+        const source = finding.ruleId;
+        const severity = finding.severity;
+
+        if (finding.ruleId === 'unenclosed-floors' && Array.isArray(finding.missing)) {
+            finding.missing.forEach(side => {
+                add(missingWall(SIDE_EDGES[side](finding.x, finding.y), finding.x, finding.y, side, severity, source));
+            });
+        } else if (finding.ruleId === 'oob-content') {
+            add(locate({
+                category: 'out-of-bounds',
+                severity,
+                source,
+                message: finding.kind === 'edge' ? `Wall ${finding.dir}(${finding.x},${finding.y}) outside bounds` : `Floor (${finding.x},${finding.y}) outside bounds`,
+                x: finding.x,
+                y: finding.y,
+                dir: finding.dir
+            }));
+        } else {
+            add(locate({ category: 'rule', severity, source, message: finding.message, x: finding.x, y: finding.y, dir: finding.dir }));
+        }
+    });
+
+    const { islands, perimeterGaps } = region ? findRegionContentProblems(scene, region) : findContentProblems(scene);
+    perimeterGaps.forEach(gap => add(missingWall(gap.edge, gap.x, gap.y, gap.side, 'warn', 'perimeter-closure')));
+    islands.forEach(([x, y]) => add(locate({
+        category: 'isolated-tile',
+        severity: 'warn',
+        source: 'floor-islands',
+        message: `Isolated floor tile (${x},${y})`,
+        x,
+        y
+    })));
+
+    return problems;
+}
+
+// findContentProblems() for the tiles in a region: run on a crop one cell larger, so those tiles
+// see their real neighbours, then map back to grid coordinates
+function findRegionContentProblems(scene, region) {
+    const crop = growRect(region, 1);
+    const x0 = Math.max(0, crop.x);
+    const y0 = Math.max(0, crop.y);
+    const slice = (layer) => layer.slice(y0, crop.y + crop.h).map(row => row.slice(x0, crop.x + crop.w));
+    const { islands, perimeterGaps } = findContentProblems({
+        grid: slice(scene.grid),
+        horizontalEdges: slice(scene.horizontalEdges),
+        verticalEdges: slice(scene.verticalEdges)
+    });
+
+    const inRegion = (x, y) => x >= region.x && x < region.x + region.w && y >= region.y && y < region.y + region.h;
+    return {
+        islands: islands.map(([x, y]) => [x + x0, y + y0]).filter(([x, y]) => inRegion(x, y)),
+        perimeterGaps: perimeterGaps
+            .map(gap => ({ ...gap, x: gap.x + x0, y: gap.y + y0, edge: { ...gap.edge, x: gap.edge.x + x0, y: gap.edge.y + y0 } }))
+            .filter(gap => inRegion(gap.x, gap.y))
+    };
+}
+
+function growRect(rect, cells) {
+    return { x: rect.x - cells, y: rect.y - cells, w: rect.w + cells * 2, h: rect.h + cells * 2 };
+}
+
+/**
+ * Grid-space point to center the view on for a problem (cell units, fractional)
+ * @param {Object} problem
+ * @returns {Object|null} - { x, y } or null for problems without a location
+ */
+export function problemFocus(problem) {
+    if (problem.kind === 'tile') return { x: problem.x + 0.5, y: problem.y + 0.5 };
+    if (problem.kind === 'edge') {
+        return problem.dir === 'H' ? { x: problem.x + 0.5, y: problem.y } : { x: problem.x, y: problem.y + 0.5 };
+    }
+    return null;
+}
+
+/**
+ * Problem counts by severity
+ * @param {Array<Object>} problems
+ * @returns {Object} - { total, block, warn }
+ */
+export function countProblems(problems) {
+    const block = problems.filter(problem => problem.severity === 'block').length;
+    return { total: problems.length, block, warn: problems.length - block };
+}
+
+function missingWall(edge, tileX, tileY, side, severity, source) {
+    return locate({
+        category: 'missing-wall',
+        severity,
+        source,
+        message: `Missing wall on ${SIDE_NAMES[side]} side of floor (${tileX},${tileY})`,
+        x: edge.x,
+        y: edge.y,
+        dir: edge.dir
+    });
+}
+
+// Derive kind and a stable id from the location; the id doubles as the dedupe key
+function locate(problem) {
+    const located = Number.isFinite(problem.x) && Number.isFinite(problem.y);
+    const kind = !located ? 'scene' : (problem.dir ? 'edge' : 'tile');
+    const where = kind === 'scene' ? problem.message : `${problem.dir || 'T'}(${problem.x},${problem.y})`;
+    const id = problem.category === 'rule' ? `${problem.source}:${where}` : `${problem.category}:${where}`;
+    const result = { id, kind, ...problem };
+    if (!problem.dir) delete result.dir;
+    return result;
+}
+
+function compareProblems(a, b) {
+    return SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] ||
+        a.category.localeCompare(b.category) ||
+        (a.y ?? -1) - (b.y ?? -1) ||
+        (a.x ?? -1) - (b.x ?? -1) ||
+        a.id.localeCompare(b.id);
+}
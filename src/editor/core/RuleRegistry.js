@@ -0,0 +1,179 @@
+/**
+ * RuleRegistry - Pluggable scene validation rules
+ *
+ * A rule declares:
+ * - id:          unique identifier, also the RulesSwitchboard key
+ * - description: short human-readable name used in summaries
+ * - severity:    default mode, 'warn' or 'block' (RulesSwitchboard config overrides it)
+ * - appliesTo:   template kinds the rule runs for ('mall' | 'unit' | 'room' | 'object' | 'scene'), or ['*']
+ * - check(ctx):  returns findings for ctx = { scene, bounds, dto, kind }
+ * - summarize?:  optional (findings) => string for the one-line summary
+ * - local?:      true when a finding at a cell depends only on that cell, its edges and its neighbours;
+ *                check(ctx) then also gets ctx.region { x, y, w, h } on incremental re-checks and only
+ *                needs to report findings for cells in it
+ *
+ * A finding is { message, x?, y?, dir?, ... }; the registry stamps ruleId and severity on it.
+ * Project-specific rules are added with registerRule() from any module; SceneRules registers
+ * the built-in ones.
+ */
+
+import { getRuleConfig, hasRuleConfig } from './RulesSwitchboard.js';
+
+export const RULE_SEVERITIES = ['warn', 'block'];
+export const TEMPLATE_KINDS = ['mall', 'unit', 'room', 'object', 'scene'];
+
+const rules = new Map();
+
+/**
+ * Register a rule (replaces an existing rule with the same id)
+ * @param {Object} rule - { id, description?, severity?, appliesTo?, check, summarize?, local? }
+ * @returns {Object} - The normalized rule
+ */
+export function registerRule(rule) {
+    if (!rule || typeof rule.id !== 'string' || !rule.id) {
+        throw new Error('Rule must have a non-empty string id');
+    }
+    if (typeof rule.check !== 'function') {
+        throw new Error(`Rule "${rule.id}" must have a check function`);
+    }
+    const severity = rule.severity || 'warn';
+    if (!RULE_SEVERITIES.includes(severity)) {
+        throw new Error(`Rule "${rule.id}" has unknown severity "${severity}"`);
+    }
+    const appliesTo = rule.appliesTo || ['*'];
+    const unknownKinds = appliesTo.filter(kind => kind !== '*' && !TEMPLATE_KINDS.includes(kind));
+    if (unknownKinds.length > 0) {
+        throw new Error(`Rule "${rule.id}" applies to unknown template kinds: ${unknownKinds.join(', ')}`);
+    }
+
+    if (rules.has(rule.id)) {
+        console.warn(`[RULES] Replacing rule ${rule.id}`);
+    }
+    const normalized = {
+        id: rule.id,
+        description: rule.description || rule.id,
+        severity,
+        appliesTo: [...appliesTo],
+        check: rule.check,
+        summarize: rule.summarize || null,
+        local: rule.local === true
+    };
+    rules.set(rule.id, normalized);
+    return normalized;
+}
+
+/**
+ * Remove a rule
+ * @param {string} ruleId
+ * @returns {boolean} - Whether a rule was removed
+ */
+export function unregisterRule(ruleId) {
+    return rules.delete(ruleId);
+}
+
+/**
+ * @param {string} ruleId
+ * @returns {Object|null}
+ */
+export function getRule(ruleId) {
+    return rules.get(ruleId) || null;
+}
+
+/**
+ * All registered rules in registration order
+ * @returns {Array<Object>}
+ */
+export function listRules() {
+    return [...rules.values()];
+}
+
+/**
+ * Effective enabled/mode for a rule: switchboard config when present, else the rule's default severity
+ * @param {Object} rule - Registered rule
+ * @returns {Object} - { enabled, mode }
+ */
+export function resolveRuleMode(rule) {
+    if (hasRuleConfig(rule.id)) {
+        const config = getRuleConfig(rule.id);
+        return { enabled: config.enabled !== false, mode: config.mode || rule.severity };
+    }
+    return { enabled: true, mode: rule.severity };
+}
+
+/**
+ * Whether every enabled rule for a template kind is local, so a region can be re-checked on its own
+ * @param {string} [kind] - Template kind
+ * @returns {boolean}
+ */
+export function rulesAreLocal(kind = 'scene') {
+    return [...rules.values()]
+        .filter(rule => appliesToKind(rule, kind) && resolveRuleMode(rule).enabled)
+        .every(rule => rule.local);
+}
+
+/**
+ * Run every enabled rule that applies to the context's template kind
+ * A rule that throws is reported as a single finding at its own severity instead of aborting the run.
+ * With ctx.region only local rules run (see rulesAreLocal).
+ * @param {Object} ctx - { scene, bounds, dto, kind, region? }
+ * @returns {Object} - { findings, summaries: [{ ruleId, severity, count, message }], blocked }
+ */
+export function runRules(ctx) {
+    const kind = ctx.kind || 'scene';
+    const findings = [];
+    const summaries = [];
+
+    rules.forEach(rule => {
+        if (!appliesToKind(rule, kind)) return;
+        if (ctx.region && !rule.local) return;
+        const { enabled, mode } = resolveRuleMode(rule);
+        if (!enabled) return;
+
+        let ruleFindings;
+        try {
+            ruleFindings = rule.check({ ...ctx, kind }) || [];
+        } catch (error) {
+            console.error(`[RULES] Rule ${rule.id} failed:`, error);
+            const finding = { ruleId: rule.id, severity: mode, message: `Rule ${rule.id} failed: ${error.message}` };
+            findings.push(finding);
+            summaries.push({ ruleId: rule.id, severity: mode, count: 1, message: finding.message });
+            return;
+        }
+        if (ruleFindings.length === 0) return;
+
+        const stamped = ruleFindings.map(finding => ({ ...finding, ruleId: rule.id, severity: mode }));
+        findings.push(...stamped);
+        summaries.push({
+            ruleId: rule.id,
+            severity: mode,
+            count: stamped.length,
+            message: rule.summarize ? rule.summarize(stamped) : defaultSummary(rule, stamped)
+        });
+    });
+
+    return {
+        findings,
+        summaries,
+        blocked: findings.some(finding => finding.severity === 'block')
+    };
+}
+
+/**
+ * Format a finding's location as "(x,y)" or "H(x,y)" for edges
+ * @param {Object} finding
+ * @returns {string}
+ */
+export function formatLocation(finding) {
+    if (!Number.isFinite(finding.x) || !Number.isFinite(finding.y)) return '';
+    return `${finding.dir || ''}(${finding.x},${finding.y})`;
+}
+
+function appliesToKind(rule, kind) {
+    return rule.appliesTo.includes('*') || rule.appliesTo.includes(kind);
+}
+
+function defaultSummary(rule, findings) {
+    const examples = findings.slice(0, 3).map(finding => formatLocation(finding) || finding.message).join(', ');
+    const more = findings.length > 3 ? ` and ${findings.length - 3} more` : '';
+    return `${rule.description}: ${examples}${more}`;
+}
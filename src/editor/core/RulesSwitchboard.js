@@ -2,8 +2,9 @@
  * RulesSwitchboard - Centralized rule configuration and gating
  *
  * Provides runtime control over validation rules without code changes.
- * Rules can be enabled/disabled or forced to warn-only mode.
+ * Rules can be enabled/disabled and switched between 'warn' and 'block' mode.
  * Loads optional dev configuration from schemas/rules.switchboard.dev.json
+ * Rules themselves live in RuleRegistry; config for a rule registered later is kept until it is.
  */
 
 // Default rule configurations (matching current behavior)
@@ -29,13 +30,12 @@ class RulesSwitchboard {
             if (response.ok) {
                 const devConfig = await response.json();
 
-                // Merge dev config over defaults
+                // Merge dev config over defaults (project rules may register after load)
                 for (const [ruleId, config] of Object.entries(devConfig)) {
-                    if (this.rules[ruleId]) {
-                        this.rules[ruleId] = { ...this.rules[ruleId], ...config };
-                    } else {
-                        console.warn(`[RULES] Unknown rule ID in dev config: ${ruleId}`);
+                    if (!this.rules[ruleId]) {
+                        console.info(`[RULES] Dev config for non-default rule: ${ruleId}`);
                     }
+                    this.setRuleConfig(ruleId, config);
                 }
 
                 console.info('[RULES] Loaded dev config from schemas/rules.switchboard.dev.json');
@@ -61,6 +61,29 @@ class RulesSwitchboard {
         return this.rules[ruleId] || { enabled: false, mode: 'warn' };
     }
 
+    /**
+     * Whether a rule has explicit configuration (defaults or dev config)
+     * @param {string} ruleId - Rule identifier
+     * @returns {boolean}
+     */
+    hasRuleConfig(ruleId) {
+        return Object.prototype.hasOwnProperty.call(this.rules, ruleId);
+    }
+
+    /**
+     * Merge configuration for a rule
+     * @param {string} ruleId - Rule identifier
+     * @param {Object} config - { enabled?, mode? }
+     */
+    setRuleConfig(ruleId, config) {
+        if (config.mode !== undefined && config.mode !== 'warn' && config.mode !== 'block') {
+            console.warn(`[RULES] Ignoring invalid mode "${config.mode}" for ${ruleId}`);
+            config = { ...config };
+            delete config.mode;
+        }
+        this.rules[ruleId] = { enabled: true, ...this.rules[ruleId], ...config };
+    }
+
     /**
      * Check if a rule is enabled
      * @param {string} ruleId - Rule identifier
@@ -114,6 +137,24 @@ export function getRuleConfig(ruleId) {
     return switchboard.getRuleConfig(ruleId);
 }
 
+/**
+ * Whether a rule has explicit configuration
+ * @param {string} ruleId - Rule identifier
+ * @returns {boolean}
+ */
+export function hasRuleConfig(ruleId) {
+    return switchboard.hasRuleConfig(ruleId);
+}
+
+/**
+ * Set rule configuration at runtime (e.g. to make a rule blocking for a project)
+ * @param {string} ruleId - Rule identifier
+ * @param {Object} config - { enabled?, mode?: 'warn'|'block' }
+ */
+export function setRuleConfig(ruleId, config) {
+    switchboard.setRuleConfig(ruleId, config);
+}
+
 /**
  * Check if rule is enabled
  * @param {string} ruleId - Rule identifier
@@ -1,52 +1,100 @@
 /**
- * SceneRules - Validation rules for 2D→3D safety without blocking workflow
+ * SceneRules - Validation rules for 2D→3D safety
  *
- * Provides minimal rules to warn (not block) about potential 3D issues:
+ * Built-in rules, registered with RuleRegistry (warn by default; block via RulesSwitchboard):
  * - Rule A: Unenclosed floors (missing perimeter walls)
  * - Rule B: Out-of-bounds content (tiles/edges outside parent bounds)
+ * Project-specific rules are registered with registerRule() and run alongside these.
  */
 
-import { isRuleEnabled, getRuleMode } from './RulesSwitchboard.js';
+import { registerRule, runRules } from './RuleRegistry.js';
+import { isEnclosingEdge } from './EdgeTypes.js';
+import { toBounds } from './TemplateBounds.js';
 
 export class SceneRules {
     /**
-     * Collect all validation warnings for a scene export
+     * Run all registered rules for a scene export
      *
      * @param {Object} params
      * @param {Object} params.dto - Export DTO being created
      * @param {Object} params.scene - Scene model with grid/edges
+     * @param {Object} params.bounds - Active bounds constraint (TemplateBounds checker or {x, y, w, h} rect)
+     * @param {string} [params.kind] - Template kind ('mall' | 'unit' | 'room' | 'object' | 'scene')
+     * @param {Object} [params.region] - { x, y, w, h } cells to re-check; only local rules run (see RuleRegistry)
+     * @returns {Object} { findings, warnings: string[], violations: string[], blocked }
+     */
+    static evaluate({ dto, scene, bounds, kind = 'scene', region = null }) {
+        const { findings, summaries, blocked } = runRules({ dto, scene, bounds, kind, region });
+        return {
+            findings,
+            warnings: summaries.filter(s => s.severity === 'warn').map(s => s.message),
+            violations: summaries.filter(s => s.severity === 'block').map(s => `[${s.ruleId}] ${s.message}`),
+            blocked
+        };
+    }
+
+    /**
+     * Run all registered rules on every level of an export
+     *
+     * Messages of a multi-level export are prefixed with their level name.
+     *
+     * @param {Object} params
+     * @param {Array} params.levels - [{ name, sceneModel }]
+     * @param {Object} params.dto - Export DTO being created
      * @param {Object} params.bounds - Active bounds constraint
-     * @returns {string[]} Array of warning messages
+     * @param {string} [params.kind] - Template kind being exported
+     * @returns {Object} { warnings: string[], violations: string[], blocked }
      */
-    static collectWarnings({ dto, scene, bounds }) {
+    static evaluateLevels({ levels, dto, bounds, kind = 'scene' }) {
         const warnings = [];
+        const violations = [];
 
-        // Rule A: Unenclosed floor warnings
-        if (isRuleEnabled('unenclosed-floors')) {
-            warnings.push(...this.checkUnenclosedFloors(scene, bounds));
-        }
+        levels.forEach(level => {
+            const prefix = levels.length > 1 ? `[${level.name}] ` : '';
+            const result = this.evaluate({ dto, scene: level.sceneModel, bounds, kind });
+            warnings.push(...result.warnings.map(warning => prefix + warning));
+            violations.push(...result.violations.map(violation => prefix + violation));
+        });
 
-        // Rule B: Out-of-bounds content warnings
-        if (isRuleEnabled('oob-content')) {
-            warnings.push(...this.checkOutOfBoundsContent(scene, bounds));
-        }
+        return { warnings, violations, blocked: violations.length > 0 };
+    }
 
-        return warnings;
+    /**
+     * Collect all validation messages for a scene export (warn and block alike)
+     *
+     * @param {Object} params - Same as evaluate()
+     * @returns {string[]} Array of warning messages
+     */
+    static collectWarnings({ dto, scene, bounds, kind = 'scene' }) {
+        return runRules({ dto, scene, bounds, kind }).summaries.map(s => s.message);
     }
 
     /**
      * Rule A: Check for floor tiles missing perimeter walls
      *
-     * For each floor tile adjacent to non-floor, require a wall edge on that side.
+     * For each floor tile adjacent to non-floor, require an enclosing edge on that side.
+     * Walls, doors and windows enclose; bare openings do not (see EdgeTypes.isEnclosingEdge).
      * Warns with coordinates and missing sides [N|S|E|W].
      */
     static checkUnenclosedFloors(scene, bounds) {
-        const warnings = [];
+        const findings = this.findUnenclosedFloors(scene);
+        return findings.length > 0 ? [summarizeUnenclosedFloors(findings)] : [];
+    }
+
+    /**
+     * Rule A findings: one per floor tile with missing sides
+     * @param {Object} scene - Scene model with grid/edges
+     * @param {Object} [region] - { x, y, w, h } limits the check to these tiles
+     * @returns {Array} Array of { x, y, missing: ['N'|'S'|'E'|'W'], message }
+     */
+    static findUnenclosedFloors(scene, region = null) {
         const unenclosedFloors = [];
 
-        // Check each cell in the grid
-        for (let y = 0; y < scene.grid.length; y++) {
-            for (let x = 0; x < scene.grid[y].length; x++) {
+        // Check each cell in the grid (or region)
+        const rows = regionSpan(region, 'y', 'h', scene.grid.length);
+        for (let y = rows.start; y < rows.end; y++) {
+            const cols = regionSpan(region, 'x', 'w', scene.grid[y].length);
+            for (let x = cols.start; x < cols.end; x++) {
                 const cell = scene.grid[y][x];
 
                 // Only check floor tiles
@@ -59,13 +107,13 @@ export class SceneRules {
                     const northCell = scene.grid[y - 1][x];
                     if (northCell !== 'floor') {
                         // Need horizontal edge above this cell
-                        if (!scene.horizontalEdges[y] || !scene.horizontalEdges[y][x]) {
+                        if (!isEnclosingEdge(scene.horizontalEdges[y]?.[x])) {
                             missingSides.push('N');
                         }
                     }
                 } else {
                     // At grid edge - need wall
-                    if (!scene.horizontalEdges[y] || !scene.horizontalEdges[y][x]) {
+                    if (!isEnclosingEdge(scene.horizontalEdges[y]?.[x])) {
                         missingSides.push('N');
                     }
                 }
@@ -75,13 +123,13 @@ export class SceneRules {
                     const southCell = scene.grid[y + 1][x];
                     if (southCell !== 'floor') {
                         // Need horizontal edge below this cell
-                        if (!scene.horizontalEdges[y + 1] || !scene.horizontalEdges[y + 1][x]) {
+                        if (!isEnclosingEdge(scene.horizontalEdges[y + 1]?.[x])) {
                             missingSides.push('S');
                         }
                     }
                 } else {
                     // At grid edge - need wall
-                    if (!scene.horizontalEdges[y + 1] || !scene.horizontalEdges[y + 1][x]) {
+                    if (!isEnclosingEdge(scene.horizontalEdges[y + 1]?.[x])) {
                         missingSides.push('S');
                     }
                 }
@@ -91,13 +139,13 @@ export class SceneRules {
                     const westCell = scene.grid[y][x - 1];
                     if (westCell !== 'floor') {
                         // Need vertical edge to left of this cell
-                        if (!scene.verticalEdges[y] || !scene.verticalEdges[y][x]) {
+                        if (!isEnclosingEdge(scene.verticalEdges[y]?.[x])) {
                             missingSides.push('W');
                         }
                     }
                 } else {
                     // At grid edge - need wall
-                    if (!scene.verticalEdges[y] || !scene.verticalEdges[y][x]) {
+                    if (!isEnclosingEdge(scene.verticalEdges[y]?.[x])) {
                         missingSides.push('W');
                     }
                 }
@@ -107,13 +155,13 @@ export class SceneRules {
                     const eastCell = scene.grid[y][x + 1];
                     if (eastCell !== 'floor') {
                         // Need vertical edge to right of this cell
-                        if (!scene.verticalEdges[y] || !scene.verticalEdges[y][x + 1]) {
+                        if (!isEnclosingEdge(scene.verticalEdges[y]?.[x + 1])) {
                             missingSides.push('E');
                         }
                     }
                 } else {
                     // At grid edge - need wall
-                    if (!scene.verticalEdges[y] || !scene.verticalEdges[y][x + 1]) {
+                    if (!isEnclosingEdge(scene.verticalEdges[y]?.[x + 1])) {
                         missingSides.push('E');
                     }
                 }
@@ -122,135 +170,132 @@ export class SceneRules {
                 if (missingSides.length > 0) {
                     unenclosedFloors.push({
                         x, y,
-                        missing: missingSides.join('|')
+                        missing: missingSides,
+                        message: `Floor (${x},${y}) missing walls on ${missingSides.join('|')}`
                     });
                 }
             }
         }
 
-        // Generate warnings for unenclosed floors
-        if (unenclosedFloors.length > 0) {
-            // Show first few examples
-            const examples = unenclosedFloors.slice(0, 3);
-            const exampleText = examples.map(f => `(${f.x},${f.y})[${f.missing}]`).join(', ');
-            const moreText = unenclosedFloors.length > 3 ? ` and ${unenclosedFloors.length - 3} more` : '';
-
-            warnings.push(`Unenclosed floors: ${exampleText}${moreText} - missing perimeter walls`);
-        }
-
-        return warnings;
+        return unenclosedFloors;
     }
 
     /**
      * Rule B: Check for content outside active bounds
      *
      * Any tile/edge outside active bounds triggers warning with counts and coordinates.
+     * Uses the same TemplateBounds checks as the editor, so a wall the editor lets you draw is never flagged.
      */
     static checkOutOfBoundsContent(scene, bounds) {
-        const warnings = [];
+        const findings = this.findOutOfBoundsContent(scene, bounds);
+        return findings.length > 0 ? [summarizeOutOfBounds(findings)] : [];
+    }
 
+    /**
+     * Rule B findings: tiles first, then horizontal and vertical edges
+     * @param {Object} scene - Scene model with grid/edges
+     * @param {Object} bounds - Active bounds constraint
+     * @param {Object} [region] - { x, y, w, h } limits the check to tiles and edges starting in these cells
+     * @returns {Array} Array of { kind: 'tile', x, y, message } | { kind: 'edge', dir: 'H'|'V', x, y, message }
+     */
+    static findOutOfBoundsContent(scene, bounds, region = null) {
         // If no bounds constraint, nothing is out of bounds
-        if (!bounds) {
-            return warnings;
+        const checker = toBounds(bounds);
+        if (!checker) {
+            return [];
         }
 
         const outOfBoundsTiles = [];
         const outOfBoundsEdges = [];
 
         // Check floor tiles
-        for (let y = 0; y < scene.grid.length; y++) {
-            for (let x = 0; x < scene.grid[y].length; x++) {
+        const tileRows = regionSpan(region, 'y', 'h', scene.grid.length);
+        for (let y = tileRows.start; y < tileRows.end; y++) {
+            const cols = regionSpan(region, 'x', 'w', scene.grid[y].length);
+            for (let x = cols.start; x < cols.end; x++) {
                 const cell = scene.grid[y][x];
 
                 if (cell === 'floor') {
-                    if (!this.isWithinBounds(x, y, bounds)) {
-                        outOfBoundsTiles.push({ x, y });
+                    if (!checker.isTileInside(x, y)) {
+                        outOfBoundsTiles.push({ kind: 'tile', x, y, message: `Floor tile (${x},${y}) is outside bounds` });
                     }
                 }
             }
         }
 
         // Check horizontal edges (walls)
-        for (let y = 0; y < scene.horizontalEdges.length; y++) {
-            for (let x = 0; x < scene.horizontalEdges[y].length; x++) {
+        const hRows = regionSpan(region, 'y', 'h', scene.horizontalEdges.length);
+        for (let y = hRows.start; y < hRows.end; y++) {
+            const cols = regionSpan(region, 'x', 'w', scene.horizontalEdges[y].length);
+            for (let x = cols.start; x < cols.end; x++) {
                 if (scene.horizontalEdges[y][x]) {
-                    // Edge coordinates need different bounds check
-                    if (!this.isEdgeWithinBounds(x, y, 'horizontal', bounds)) {
-                        outOfBoundsEdges.push({ x, y, type: 'horizontal' });
+                    if (!checker.isEdgeInside('H', x, y)) {
+                        outOfBoundsEdges.push({ kind: 'edge', dir: 'H', x, y, message: `Edge H(${x},${y}) is outside bounds` });
                     }
                 }
             }
         }
 
         // Check vertical edges (walls)
-        for (let y = 0; y < scene.verticalEdges.length; y++) {
-            for (let x = 0; x < scene.verticalEdges[y].length; x++) {
+        const vRows = regionSpan(region, 'y', 'h', scene.verticalEdges.length);
+        for (let y = vRows.start; y < vRows.end; y++) {
+            const cols = regionSpan(region, 'x', 'w', scene.verticalEdges[y].length);
+            for (let x = cols.start; x < cols.end; x++) {
                 if (scene.verticalEdges[y][x]) {
-                    // Edge coordinates need different bounds check
-                    if (!this.isEdgeWithinBounds(x, y, 'vertical', bounds)) {
-                        outOfBoundsEdges.push({ x, y, type: 'vertical' });
+                    if (!checker.isEdgeInside('V', x, y)) {
+                        outOfBoundsEdges.push({ kind: 'edge', dir: 'V', x, y, message: `Edge V(${x},${y}) is outside bounds` });
                     }
                 }
             }
         }
 
-        // Generate warnings for out-of-bounds content
-        const totalOutOfBounds = outOfBoundsTiles.length + outOfBoundsEdges.length;
-        if (totalOutOfBounds > 0) {
-            const examples = [];
-
-            // Add tile examples
-            if (outOfBoundsTiles.length > 0) {
-                const tileExamples = outOfBoundsTiles.slice(0, 2).map(t => `tile(${t.x},${t.y})`);
-                examples.push(...tileExamples);
-            }
-
-            // Add edge examples
-            if (outOfBoundsEdges.length > 0) {
-                const edgeExamples = outOfBoundsEdges.slice(0, 2).map(e => `${e.type[0]}edge(${e.x},${e.y})`);
-                examples.push(...edgeExamples);
-            }
-
-            const exampleText = examples.slice(0, 3).join(', ');
-            const moreText = totalOutOfBounds > 3 ? ` and ${totalOutOfBounds - 3} more` : '';
-
-            warnings.push(`Out-of-bounds content: ${outOfBoundsTiles.length} tiles, ${outOfBoundsEdges.length} edges - ${exampleText}${moreText}`);
-        }
-
-        return warnings;
-    }
-
-    /**
-     * Check if a grid position is within bounds
-     */
-    static isWithinBounds(x, y, bounds) {
-        if (!bounds) return true;
-
-        return x >= bounds.x &&
-               x < bounds.x + bounds.w &&
-               y >= bounds.y &&
-               y < bounds.y + bounds.h;
-    }
-
-    /**
-     * Check if an edge is within bounds
-     * Edge coordinates have different semantics than tile coordinates
-     */
-    static isEdgeWithinBounds(x, y, edgeType, bounds) {
-        if (!bounds) return true;
-
-        if (edgeType === 'horizontal') {
-            // Horizontal edges span between cells
-            return x >= bounds.x &&
-                   x < bounds.x + bounds.w &&
-                   y >= bounds.y &&
-                   y <= bounds.y + bounds.h;
-        } else {
-            // Vertical edges span between cells
-            return x >= bounds.x &&
-                   x <= bounds.x + bounds.w &&
-                   y >= bounds.y &&
-                   y < bounds.y + bounds.h;
-        }
+        return [...outOfBoundsTiles, ...outOfBoundsEdges];
     }
-}
\ No newline at end of file
+}
+
+// Index range [start, end) of one axis, limited to the region when there is one
+function regionSpan(region, pos, size, length) {
+    if (!region) return { start: 0, end: length };
+    return { start: Math.max(0, region[pos]), end: Math.min(length, region[pos] + region[size]) };
+}
+
+function summarizeUnenclosedFloors(findings) {
+    // Show first few examples
+    const exampleText = findings.slice(0, 3).map(f => `(${f.x},${f.y})[${f.missing.join('|')}]`).join(', ');
+    const moreText = findings.length > 3 ? ` and ${findings.length - 3} more` : '';
+    return `Unenclosed floors: ${exampleText}${moreText} - missing perimeter walls`;
+}
+
+function summarizeOutOfBounds(findings) {
+    const tiles = findings.filter(f => f.kind === 'tile');
+    const edges = findings.filter(f => f.kind === 'edge');
+    const examples = [
+        ...tiles.slice(0, 2).map(t => `tile(${t.x},${t.y})`),
+        ...edges.slice(0, 2).map(e => `${e.dir.toLowerCase()}edge(${e.x},${e.y})`)
+    ];
+
+    const exampleText = examples.slice(0, 3).join(', ');
+    const moreText = findings.length > 3 ? ` and ${findings.length - 3} more` : '';
+    return `Out-of-bounds content: ${tiles.length} tiles, ${edges.length} edges - ${exampleText}${moreText}`;
+}
+
+// Built-in rules
+registerRule({
+    id: 'unenclosed-floors',
+    description: 'Unenclosed floors',
+    severity: 'warn',
+    appliesTo: ['*'],
+    local: true,
+    check: ({ scene, region }) => SceneRules.findUnenclosedFloors(scene, region),
+    summarize: summarizeUnenclosedFloors
+});
+
+registerRule({
+    id: 'oob-content',
+    description: 'Out-of-bounds content',
+    severity: 'warn',
+    appliesTo: ['*'],
+    local: true,
+    check: ({ scene, bounds, region }) => SceneRules.findOutOfBoundsContent(scene, bounds, region),
+    summarize: summarizeOutOfBounds
+});
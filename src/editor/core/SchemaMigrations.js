@@ -0,0 +1,181 @@
+/**
+ * SchemaMigrations - Versioned upgrade chain for every template kind
+ *
+ * Each kind lists its upgrade steps in order: step i turns version i into version i + 1, so the
+ * current version of a kind is the number of steps it declares (at least 1). Version 0 is a legacy
+ * file without meta.schema; its kind is inferred from the legacy fields it carries.
+ *
+ * migrate() runs the missing steps on a copy of the file and reports what each one changed, so
+ * loaders only ever see current-version data. scripts/migrate-templates.js rewrites files in place.
+ *
+ * unit/room/object v2: parents live in meta.parent and child rects in children[] as { id, rect }
+ * (v1 used parentMallId / parentUnitId / parentRoomId, rooms[].gridRect, zones, features.floorZones, items).
+ */
+
+import { detect } from './SchemaRegistry.js';
+
+// Schema name prefix per kind; schemaId() appends .v<N>
+const SCHEMA_NAMES = {
+    mall: 'mall-template',
+    unit: 'unit-template',
+    room: 'room-template',
+    object: 'object-template',
+    scene: 'scene'
+};
+
+// Upgrade steps per kind, indexed by the version they upgrade from
+const MIGRATIONS = {
+    mall: [fromLegacy],
+    unit: [fromLegacy, unitV1ToV2],
+    room: [fromLegacy, roomV1ToV2],
+    object: [fromLegacy, objectV1ToV2],
+    scene: []
+};
+
+/**
+ * Current schema version of a kind
+ * @param {string} kind - mall | unit | room | object | scene
+ * @returns {number}
+ */
+export function currentVersion(kind) {
+    return Math.max(1, MIGRATIONS[kind]?.length || 0);
+}
+
+/**
+ * Schema id for a kind and version, e.g. schemaId('unit') → 'unit-template.v2'
+ * @param {string} kind
+ * @param {number} [version] - Defaults to the current version
+ * @returns {string}
+ */
+export function schemaId(kind, version = currentVersion(kind)) {
+    return `${SCHEMA_NAMES[kind]}.v${version}`;
+}
+
+/**
+ * Kind and numeric schema version of a template file
+ * @param {Object} json - Template JSON
+ * @returns {Object} - { kind, version } with version 0 for legacy files without a schema
+ */
+export function getSchemaVersion(json) {
+    const { kind, version } = detect(json);
+    if (kind !== 'unknown') {
+        return { kind, version: Number(version.slice(1)) || 1 };
+    }
+    return { kind: inferLegacyKind(json), version: 0 };
+}
+
+/**
+ * Upgrade a template to the current version of its kind
+ * The input is never modified; data is a migrated copy, or the input itself when nothing changed.
+ * @param {Object} json - Template JSON
+ * @returns {Object} - { data, kind, fromVersion, toVersion, changes: string[], migrated }
+ * @throws {Error} - When the file is newer than this editor understands
+ */
+export function migrate(json) {
+    const { kind, version } = getSchemaVersion(json);
+    const steps = MIGRATIONS[kind];
+    if (!steps) {
+        return { data: json, kind, fromVersion: version, toVersion: version, changes: [], migrated: false };
+    }
+
+    const toVersion = currentVersion(kind);
+    if (version > toVersion) {
+        throw new Error(`${schemaId(kind, version)} is newer than this editor supports (${schemaId(kind)})`);
+    }
+    if (version === toVersion) {
+        return { data: json, kind, fromVersion: version, toVersion, changes: [], migrated: false };
+    }
+
+    const data = structuredClone(json);
+    data.meta = { ...data.meta };
+    const changes = [];
+    for (let from = version; from < toVersion; from++) {
+        changes.push(`${from === 0 ? 'legacy' : schemaId(kind, from)} → ${schemaId(kind, from + 1)}`);
+        steps[from](data, changes);
+        data.meta.schema = schemaId(kind, from + 1);
+        data.meta.version = `${from + 1}.0`;
+    }
+
+    return { data, kind, fromVersion: version, toVersion, changes, migrated: true };
+}
+
+/**
+ * Convert a legacy child list to v2 children: { ...fields, id, rect } with gridRect/bounds renamed to rect
+ * @param {Array} list - Rooms, zones or items
+ * @returns {Array}
+ */
+export function toChildList(list) {
+    return (Array.isArray(list) ? list : []).map(({ gridRect, bounds, ...child }) => {
+        const rect = child.rect || gridRect || bounds;
+        return rect ? { ...child, rect: { ...rect } } : child;
+    });
+}
+
+// Legacy files have no schema; their parent field (or a mall grid) tells the kind
+function inferLegacyKind(json) {
+    if (!json || typeof json !== 'object' || Array.isArray(json)) return 'unknown';
+    if (json.parentRoomId) return 'object';
+    if (json.parentUnitId || json.parentGalleryId) return 'room';
+    if (json.parentMallId) return 'unit';
+    if (json.id && (json.grid || json.gridSize) && !Array.isArray(json.instances)) return 'mall';
+    return 'unknown';
+}
+
+// v0 → v1: legacy files only lacked meta.schema; their v1 fields are upgraded by the later steps
+function fromLegacy() {}
+
+// Move a legacy parent id field into meta.parent
+function moveParent(data, fields, parentSchema, changes) {
+    const field = fields.find(name => data[name]);
+    if (field && !data.meta.parent?.id) {
+        data.meta.parent = { schema: parentSchema, id: data[field] };
+        changes.push(`${field} → meta.parent`);
+    }
+    fields.forEach(name => delete data[name]);
+}
+
+// Move legacy child lists into children[] (existing children are kept first)
+function moveChildren(data, lists, changes) {
+    for (const [label, list] of lists) {
+        if (!Array.isArray(list)) continue;
+        data.children = [...toChildList(data.children), ...toChildList(list)];
+        changes.push(`${label} → children (${list.length})`);
+    }
+    if (Array.isArray(data.children)) {
+        data.children = toChildList(data.children);
+    }
+}
+
+// Move a top-level bounds rect to rect
+function moveBounds(data, changes) {
+    if (data.bounds && !data.rect) {
+        data.rect = data.bounds;
+        changes.push('bounds → rect');
+    }
+    delete data.bounds;
+}
+
+function unitV1ToV2(data, changes) {
+    moveParent(data, ['parentMallId'], 'mall-template.v1', changes);
+    moveBounds(data, changes);
+    moveChildren(data, [['rooms', data.rooms]], changes);
+    delete data.rooms;
+}
+
+function roomV1ToV2(data, changes) {
+    moveParent(data, ['parentUnitId', 'parentGalleryId'], 'unit-template.v2', changes);
+    moveBounds(data, changes);
+    moveChildren(data, [['zones', data.zones], ['features.floorZones', data.features?.floorZones]], changes);
+    delete data.zones;
+    if (data.features) {
+        delete data.features.floorZones;
+        if (Object.keys(data.features).length === 0) delete data.features;
+    }
+}
+
+function objectV1ToV2(data, changes) {
+    moveParent(data, ['parentRoomId'], 'room-template.v2', changes);
+    moveBounds(data, changes);
+    moveChildren(data, [['items', data.items]], changes);
+    delete data.items;
+}
@@ -16,7 +16,7 @@ const SCHEMA_ALIASES = {
 /**
  * Detect template type and version from JSON data
  * @param {Object} json - The JSON data to analyze
- * @returns {Object} - { kind: 'mall'|'unit'|'room'|'scene'|'unknown', version: 'v1'|'' }
+ * @returns {Object} - { kind: 'mall'|'unit'|'room'|'scene'|'unknown', version: 'v1'|'v2'|…|'' }
  */
 export function detect(json) {
     if (!json || typeof json !== 'object') {
@@ -43,11 +43,8 @@ export function detect(json) {
     // Apply schema aliases
     schemaStr = SCHEMA_ALIASES[schemaStr] || schemaStr;
 
-    // Extract version
-    let version = '';
-    if (schemaStr.includes('.v1')) {
-        version = 'v1';
-    }
+    // Extract version (v1, v2, ...)
+    const version = schemaStr.match(/\.(v\d+)/)?.[1] || '';
 
     // Determine kind based on schema prefix
     let kind = 'unknown';
@@ -0,0 +1,166 @@
+/**
+ * Selection - Rectangular grid selections and the scene.v1 fragments they copy to
+ *
+ * A selection is a cell rect { x, y, w, h }. It owns the tiles inside it and every edge on or
+ * inside its border, so a copied shop front keeps its outer walls. Copies are ordinary scene.v1
+ * documents sized to the selection, with coordinates relative to its top-left cell and the source
+ * position in meta.fragment; any scene.v1 JSON (a whole exported scene too) can be pasted back.
+ */
+
+import { makeEdge, collectEdgeOpenings } from './EdgeTypes.js';
+import { isMaterial } from './Materials.js';
+
+/**
+ * Selection rect spanned by two corner cells, in either order
+ * @param {Object} a - { x, y } first corner cell
+ * @param {Object} b - { x, y } opposite corner cell
+ * @returns {Object} - { x, y, w, h }
+ */
+export function normalizeSelection(a, b) {
+    const x = Math.min(a.x, b.x);
+    const y = Math.min(a.y, b.y);
+    return { x, y, w: Math.abs(b.x - a.x) + 1, h: Math.abs(b.y - a.y) + 1 };
+}
+
+/**
+ * Whether a cell lies inside a selection rect
+ * @param {Object|null} rect - { x, y, w, h }
+ * @param {number} x
+ * @param {number} y
+ * @returns {boolean}
+ */
+export function isInSelection(rect, x, y) {
+    return Boolean(rect) && x >= rect.x && x < rect.x + rect.w && y >= rect.y && y < rect.y + rect.h;
+}
+
+/**
+ * Tile and edge slots owned by a selection
+ * Horizontal edges run from the top border to the bottom border, vertical edges from the left border to the right one.
+ * @param {Object} rect - { x, y, w, h }
+ * @returns {Object} - { tiles, horizontal, vertical } as [[x, y], ...]
+ */
+export function selectionSlots(rect) {
+    const tiles = [];
+    const horizontal = [];
+    const vertical = [];
+
+    for (let y = rect.y; y <= rect.y + rect.h; y++) {
+        for (let x = rect.x; x <= rect.x + rect.w; x++) {
+            const inRow = y < rect.y + rect.h;
+            const inColumn = x < rect.x + rect.w;
+            if (inRow && inColumn) tiles.push([x, y]);
+            if (inColumn) horizontal.push([x, y]);
+            if (inRow) vertical.push([x, y]);
+        }
+    }
+    return { tiles, horizontal, vertical };
+}
+
+/**
+ * Copy a selection out of a scene model as a scene.v1 fragment
+ * @param {Object} model - { grid, horizontalEdges, verticalEdges, floorMaterials? }
+ * @param {Object} rect - Selection { x, y, w, h }
+ * @param {Object} [options]
+ * @param {number} [options.cellSize] - Written to grid.cellSize
+ * @returns {Object} - scene.v1 document of rect.w × rect.h cells
+ */
+export function extractFragment(model, rect, { cellSize = 20 } = {}) {
+    const { tiles, horizontal, vertical } = selectionSlots(rect);
+    const relative = ([x, y]) => [x - rect.x, y - rect.y];
+
+    // Edge arrays sized to the fragment, so typed edges can be collected as openings
+    const hEdges = Array.from({ length: rect.h + 1 }, () => Array(rect.w + 1).fill(false));
+    const vEdges = Array.from({ length: rect.h + 1 }, () => Array(rect.w + 1).fill(false));
+    const copyEdges = (slots, source, target) => slots
+        .filter(([x, y]) => source[y]?.[x])
+        .map(slot => {
+            const [rx, ry] = relative(slot);
+            target[ry][rx] = source[slot[1]][slot[0]];
+            return [rx, ry];
+        });
+
+    const now = new Date().toISOString();
+    const fragment = {
+        meta: {
+            schema: 'scene.v1',
+            version: '1.0',
+            created: now,
+            modified: now,
+            fragment: { x: rect.x, y: rect.y }
+        },
+        grid: { width: rect.w, height: rect.h, cellSize },
+        tiles: {
+            floor: tiles.filter(([x, y]) => model.grid[y]?.[x] === 'floor').map(relative)
+        },
+        edges: {
+            horizontal: copyEdges(horizontal, model.horizontalEdges, hEdges),
+            vertical: copyEdges(vertical, model.verticalEdges, vEdges)
+        }
+    };
+
+    const finishes = tiles
+        .filter(([x, y]) => model.grid[y]?.[x] === 'floor' && isMaterial(model.floorMaterials?.[y]?.[x], 'floor'))
+        .map(([x, y]) => ({ x: x - rect.x, y: y - rect.y, material: model.floorMaterials[y][x] }));
+    if (finishes.length > 0) {
+        fragment.tiles.materials = finishes;
+    }
+
+    const openings = collectEdgeOpenings(hEdges, vEdges);
+    if (openings.length > 0) {
+        fragment.edges.openings = openings;
+    }
+    return fragment;
+}
+
+/**
+ * Read a scene.v1 fragment (or whole scene) from clipboard text or a parsed object
+ * @param {string|Object} data - JSON text or scene.v1 object
+ * @returns {Object} - { width, height, origin, tiles, horizontal, vertical }; tiles as [[x, y, material]]
+ *   (material null for plain floor), edges as [[x, y, value]]
+ * @throws {Error} - When the data is not scene.v1 JSON
+ */
+export function readFragment(data) {
+    let scene = data;
+    if (typeof data === 'string') {
+        try {
+            scene = JSON.parse(data);
+        } catch {
+            throw new Error('Clipboard does not hold scene.v1 JSON');
+        }
+    }
+    if (scene?.meta?.schema !== 'scene.v1') {
+        throw new Error('Clipboard does not hold scene.v1 JSON');
+    }
+
+    const pairs = (list) => (Array.isArray(list) ? list : [])
+        .filter(pair => Array.isArray(pair) && Number.isInteger(pair[0]) && Number.isInteger(pair[1]));
+
+    // Plain walls first, then typed edges replace them
+    const edgeMaps = { H: new Map(), V: new Map() };
+    pairs(scene.edges?.horizontal).forEach(([x, y]) => edgeMaps.H.set(`${x},${y}`, [x, y, true]));
+    pairs(scene.edges?.vertical).forEach(([x, y]) => edgeMaps.V.set(`${x},${y}`, [x, y, true]));
+    for (const opening of scene.edges?.openings || []) {
+        const map = edgeMaps[opening?.dir];
+        if (!map || !Number.isInteger(opening.x) || !Number.isInteger(opening.y)) continue;
+        try {
+            map.set(`${opening.x},${opening.y}`, [opening.x, opening.y, makeEdge(opening.type, opening)]);
+        } catch {
+            // Unknown edge types stay plain walls
+        }
+    }
+
+    const finishes = new Map();
+    for (const record of Array.isArray(scene.tiles?.materials) ? scene.tiles.materials : []) {
+        if (isMaterial(record?.material, 'floor')) finishes.set(`${record.x},${record.y}`, record.material);
+    }
+
+    const origin = scene.meta.fragment;
+    return {
+        width: scene.grid?.width || 0,
+        height: scene.grid?.height || 0,
+        origin: Number.isInteger(origin?.x) && Number.isInteger(origin?.y) ? { x: origin.x, y: origin.y } : null,
+        tiles: pairs(scene.tiles?.floor).map(([x, y]) => [x, y, finishes.get(`${x},${y}`) || null]),
+        horizontal: [...edgeMaps.H.values()],
+        vertical: [...edgeMaps.V.values()]
+    };
+}
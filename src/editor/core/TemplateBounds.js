@@ -1,19 +1,27 @@
 /**
  * TemplateBounds - Boundary checking for template DTOs
  * Creates boundary checkers that validate coordinates against template constraints
+ * Regions with a `shape` (see TemplateShape.js) are checked cell by cell; others by their rect.
+ *
+ * Every checker has the same API, shared by the editor (FloorplanDocument) and the export rules (SceneRules):
+ *   rect                    bounding rect of the allowed area, or null when unbounded
+ *   isTileInside(x, y)      cell (x, y) may hold content (isInside is the older name)
+ *   isEdgeInside(dir, x, y) edge 'H' (above cell x,y) or 'V' (left of it) touches an allowed cell,
+ *                           so perimeter walls on the boundary line are allowed
+ *   clipRect(rect)          rect cut down to the bounding rect, or null when they don't overlap
  */
 
+import { makeShapeTest, shapeBoundingRect } from './TemplateShape.js';
+
 /**
  * Create boundary checker for a template DTO
  * @param {Object} dto - Template DTO from TemplateLoader
- * @returns {Object} - { isInside(x, y): boolean }
+ * @returns {Object} - Bounds checker (see module header)
  */
 export function makeBounds(dto) {
     if (!dto || !dto.type) {
         // Default: allow everything for unknown/invalid DTOs
-        return {
-            isInside: () => true
-        };
+        return createBounds(() => true, null);
     }
 
     switch (dto.type) {
@@ -22,39 +30,45 @@ export function makeBounds(dto) {
 
         case 'unit':
         case 'room':
-            return makeRectBounds(dto.rect);
+        case 'object':
+            return makeRegionBounds(dto);
 
         case 'scene':
         default:
             // Scene and unknown types allow all coordinates
-            return {
-                isInside: () => true
-            };
+            return createBounds(() => true, null);
     }
 }
 
 /**
- * Create boundary checker for mall DTO with precedence: rect → units → full grid
+ * Bounds checker for a bounds value as passed around by callers: a checker, a plain {x, y, w, h} rect or null
+ * @param {Object|null} bounds - Checker from makeBounds, rect, or null
+ * @returns {Object|null} - Bounds checker, or null when there is no constraint
+ */
+export function toBounds(bounds) {
+    if (!bounds) return null;
+    if (typeof bounds.isTileInside === 'function') return bounds;
+    return makeRectBounds(bounds);
+}
+
+/**
+ * Create boundary checker for mall DTO with precedence: shape/rect → units → full grid
  * @param {Object} dto - Mall template DTO
- * @returns {Object} - { isInside(x, y): boolean }
+ * @returns {Object} - Bounds checker
  */
 function makeMallBounds(dto) {
-    // 1. If dto.rect is present and valid, use that single rect
-    if (dto.rect && isValidRect(dto.rect)) {
-        return makeRectBounds(dto.rect);
+    // 1. If dto.shape or a valid dto.rect is present, use that single region
+    if (dto.shape || (dto.rect && isValidRect(dto.rect))) {
+        return makeRegionBounds(dto);
     }
 
     // 2. Else if dto.units has valid rectangles, use union of units
     if (Array.isArray(dto.units) && dto.units.length > 0) {
-        return {
-            isInside: (x, y) => {
-                // Point is inside if it's within any unit rectangle
-                return dto.units.some(unit => {
-                    if (!unit.rect) return false;
-                    return isPointInRect(x, y, unit.rect);
-                });
-            }
-        };
+        // Point is inside if it's within any unit's shape or rectangle
+        return createBounds(
+            (x, y) => dto.units.some(unit => isInsideRegion(unit, x, y)),
+            getBoundingRect(dto.units.map(regionRect))
+        );
     }
 
     // 3. Else if dto.gridSize has valid numeric width/height, use full grid bounds
@@ -71,29 +85,89 @@ function makeMallBounds(dto) {
     }
 
     // 4. Else return always-true (no constraints)
-    return {
-        isInside: () => true
-    };
+    return createBounds(() => true, null);
+}
+
+/**
+ * Create boundary checker for a region: its shape when present, else its rect
+ * @param {Object} region - { rect, shape? }
+ * @returns {Object} - Bounds checker
+ */
+function makeRegionBounds(region) {
+    if (region.shape) {
+        return createBounds(makeShapeTest(region.shape), shapeBoundingRect(region.shape));
+    }
+    return makeRectBounds(region.rect);
+}
+
+/**
+ * Check if a point is inside a region (unit, room, child entry or export region)
+ * @param {Object} region - { rect, shape? }
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {boolean} - True if the cell belongs to the region's shape, or to its rect when it has none
+ */
+export function isInsideRegion(region, x, y) {
+    if (!region) return false;
+    if (region.shape) {
+        return makeShapeTest(region.shape)(x, y);
+    }
+    return isPointInRect(x, y, region.rect);
 }
 
 /**
  * Create boundary checker for single rectangle
  * @param {Object} rect - Rectangle object {x, y, w, h}
- * @returns {Object} - { isInside(x, y): boolean }
+ * @returns {Object} - Bounds checker
  */
 function makeRectBounds(rect) {
     if (!rect) {
         // No rect defined, allow everything
-        return {
-            isInside: () => true
-        };
+        return createBounds(() => true, null);
     }
 
+    return createBounds((x, y) => isPointInRect(x, y, rect), { x: rect.x, y: rect.y, w: rect.w, h: rect.h });
+}
+
+/**
+ * Build the checker API around a cell test
+ * @param {Function} isTileInside - (x, y) => boolean
+ * @param {Object|null} rect - Bounding rect of the allowed cells, null when unbounded
+ * @returns {Object} - Bounds checker
+ */
+function createBounds(isTileInside, rect) {
     return {
-        isInside: (x, y) => isPointInRect(x, y, rect)
+        rect,
+        isInside: isTileInside,
+        isTileInside,
+        isEdgeInside: (dir, x, y) => {
+            // An edge separates two cells; it is allowed when either of them is
+            if (dir === 'H' || dir === 'horizontal') {
+                return isTileInside(x, y - 1) || isTileInside(x, y);
+            }
+            return isTileInside(x - 1, y) || isTileInside(x, y);
+        },
+        clipRect: (target) => clipToRect(target, rect)
     };
 }
 
+// Intersection of two rects (null bound = no limit), or null when empty
+function clipToRect(target, bound) {
+    if (!bound) return { ...target };
+
+    const x0 = Math.max(target.x, bound.x);
+    const y0 = Math.max(target.y, bound.y);
+    const x1 = Math.min(target.x + target.w, bound.x + bound.w);
+    const y1 = Math.min(target.y + target.h, bound.y + bound.h);
+    if (x1 <= x0 || y1 <= y0) return null;
+    return { x: x0, y: y0, w: x1 - x0, h: y1 - y0 };
+}
+
+// Bounding rect of a unit or child entry
+function regionRect(region) {
+    return region?.shape ? shapeBoundingRect(region.shape) : region?.rect;
+}
+
 /**
  * Check if a point is inside a rectangle
  * @param {number} x - X coordinate
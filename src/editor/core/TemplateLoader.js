@@ -1,40 +1,55 @@
 /**
  * TemplateLoader - Loads and normalizes template data to DTOs
  * Converts various template formats to standardized data transfer objects
+ * Older schema versions are upgraded first (see SchemaMigrations.js), so normalizers only read current fields.
+ * Templates are then checked against their JSON Schema (see TemplateValidation.js).
  */
 
-import { detect } from './SchemaRegistry.js';
+import { migrate, schemaId } from './SchemaMigrations.js';
+import { validateTemplate, formatValidationErrors } from './TemplateValidation.js';
+import { normalizeLevels, normalizeVerticalLinks } from './Levels.js';
+import { normalizeShape, shapeBoundingRect } from './TemplateShape.js';
+import { normalizeScale } from './Units.js';
+import { UNIT_INFO_FIELDS } from './UnitOccupancy.js';
 
 /**
  * Load and normalize template JSON data
- * @param {Object} json - The template JSON data
- * @returns {Object} - { dto, mode } where dto is normalized data and mode is template type
- * @throws {Error} - If format is unsupported
+ * @param {Object} template - The template JSON data, any supported schema version
+ * @param {Object} [options]
+ * @param {boolean} [options.strict=false] - Throw when the template does not match its schema
+ * @returns {Object} - { dto, mode, migration, validation, warnings } where dto is normalized data, mode is template type,
+ *                     migration is the SchemaMigrations.migrate() report (migration.data is the upgraded JSON)
+ *                     and validation is the TemplateValidation.validateTemplate() result for the upgraded JSON.
+ *                     Template DTOs keep the upgraded JSON as dto.source so exports can patch it (ExportBuilder.patchTemplate).
+ *                     warnings lists problems the loader worked around, such as children without an id.
+ * @throws {Error} - If format is unsupported, or in strict mode if the template is invalid
  */
-export function load(json) {
-    const { kind, version } = detect(json);
+export function load(template, { strict = false } = {}) {
+    const migration = migrate(template);
+    const { data: json, kind, fromVersion: version } = migration;
 
     let dto;
     let mode;
+    const warnings = [];
 
     switch (kind) {
         case 'mall':
-            dto = normalizeMallTemplate(json);
+            dto = normalizeMallTemplate(json, warnings);
             mode = 'mall-template';
             break;
 
         case 'unit':
-            dto = normalizeUnitTemplate(json);
+            dto = normalizeUnitTemplate(json, warnings);
             mode = 'unit-template';
             break;
 
         case 'room':
-            dto = normalizeRoomTemplate(json);
+            dto = normalizeRoomTemplate(json, warnings);
             mode = 'room-template';
             break;
 
         case 'object':
-            dto = normalizeObjectTemplate(json);
+            dto = normalizeObjectTemplate(json, warnings);
             mode = 'object-template';
             break;
 
@@ -47,15 +62,28 @@ export function load(json) {
             throw new Error(`Unsupported format: ${kind} (version: ${version})`);
     }
 
-    return { dto, mode };
+    // Keep the whole document so fields the DTO drops survive a load → edit → export round trip
+    if (kind !== 'scene') {
+        dto.source = json;
+    }
+
+    const validation = validateTemplate(json, kind);
+    if (strict && !validation.valid) {
+        throw new Error(`Invalid ${schemaId(kind)}: ${formatValidationErrors(validation.errors).join('; ')}`);
+    }
+
+    warnings.forEach(warning => console.warn('[LOADER]', warning));
+
+    return { dto, mode, migration, validation, warnings };
 }
 
 /**
  * Normalize mall template to standard DTO format
  * @param {Object} json - Mall template JSON
+ * @param {Array<string>} warnings - Loader warnings accumulator
  * @returns {Object} - Normalized mall DTO
  */
-function normalizeMallTemplate(json) {
+function normalizeMallTemplate(json, warnings) {
     // Extract grid size with explicit validation per zzz18 spec
     const gridSize = (json.gridSize && typeof json.gridSize.width === 'number' && typeof json.gridSize.height === 'number')
         ? json.gridSize
@@ -70,13 +98,23 @@ function normalizeMallTemplate(json) {
         type: 'mall',
         id: json.id || 'mall',
         rect: mallRect, // NEW: optional mall-level rect
-        units: (Array.isArray(json.units) ? json.units : []).map(u => ({
-            id: u?.id || 'gallery',
-            rect: normalizeRect(u?.rect || u?.bounds || u?.gridRect)
-        })).filter(x => x.rect),
+        units: normalizeChildList(json.units, u => normalizeRect(u?.rect || u?.bounds || u?.gridRect),
+            { prefix: 'unit', path: '/units', owner: `mall "${json.id || 'mall'}"`, keep: UNIT_INFO_FIELDS }, warnings),
         gridSize // may be null
     };
 
+    const shape = readShape(json.shape, '/shape', `mall "${dto.id}"`, warnings);
+    if (shape) dto.shape = shape;
+
+    // Real-world scale (see Units.js); malls without one use the default
+    if (json.scale) dto.scale = normalizeScale(json.scale);
+
+    // Multi-level malls carry per-level tiles/edges and links between them
+    if (Array.isArray(json.levels) && json.levels.length > 0) {
+        dto.levels = normalizeLevels(json.levels);
+        dto.verticalLinks = normalizeVerticalLinks(json.verticalLinks, dto.levels.map(level => level.id));
+    }
+
     return dto;
 }
 
@@ -84,138 +122,140 @@ function normalizeMallTemplate(json) {
  * Unified normalizer for all child templates (unit/room/object)
  * @param {Object} json - Template JSON data
  * @param {Object} config - Template configuration
+ * @param {Array<string>} warnings - Loader warnings accumulator
  * @returns {Object} - Normalized template DTO
  */
-function normalizeChildTemplate(json, config) {
+function normalizeChildTemplate(json, config, warnings) {
     const dto = {
         type: config.type,
         id: json.id || config.defaultId,
         rect: { x: 0, y: 0, w: config.defaultSize.w, h: config.defaultSize.h },
         children: [],
-        parentId: extractParentId(json, config.type)
+        parentId: json.meta?.parent?.id || null
     };
 
-    // Extract main rect from multiple possible locations
-    dto.rect = normalizeRect(json.rect || json.bounds) || dto.rect;
-
-    // Get children array from various possible locations
-    let childrenArray = null;
+    dto.rect = normalizeRect(json.rect) || dto.rect;
 
-    // Try direct property (new format)
-    if (Array.isArray(json[config.childrenProperty])) {
-        childrenArray = json[config.childrenProperty];
-    }
-    // Try legacy property name (backwards compatibility)
-    else if (config.legacyChildrenProperty && Array.isArray(json[config.legacyChildrenProperty])) {
-        childrenArray = json[config.legacyChildrenProperty];
-    }
-    // Try legacy path like features.floorZones
-    else if (config.legacyChildrenPath) {
-        const pathParts = config.legacyChildrenPath.split('.');
-        let current = json;
-        for (const part of pathParts) {
-            current = current?.[part];
-            if (!current) break;
-        }
-        if (Array.isArray(current)) {
-            childrenArray = current;
-        }
-    }
+    // Exact outline inside the rect (L-shaped units, rooms around columns)
+    const shape = readShape(json.shape, '/shape', `${config.type} "${dto.id}"`, warnings);
+    if (shape) dto.shape = shape;
 
-    // Process children array if found
-    if (childrenArray) {
-        dto.children = childrenArray.map(child => ({
-            id: child.id || `${config.childIdPrefix}-${Math.random().toString(36).substr(2, 9)}`,
-            rect: normalizeRect(child.rect || child.bounds || child.gridRect)
-        })).filter(child => child.rect); // Only include children with valid rects
-    }
+    // Child rects: rooms of a unit, zones of a room, items of an object
+    dto.children = normalizeChildList(json.children, child => normalizeRect(child?.rect),
+        { prefix: config.childIdPrefix, path: '/children', owner: `${config.type} "${dto.id}"` }, warnings);
 
     // If no direct rect, try to get from first child as fallback
-    if (!normalizeRect(json.rect || json.bounds) && dto.children.length > 0) {
+    if (!normalizeRect(json.rect) && dto.children.length > 0) {
         dto.rect = dto.children[0].rect;
     }
 
     return dto;
 }
 
-/**
- * Extract parent ID from template JSON - standardized approach
- * @param {Object} json - Template JSON data
- * @param {string} templateType - Template type (unit/room/object)
- * @returns {string|null} - Parent ID or null
- */
-function extractParentId(json, templateType) {
-    // Check meta.parent first (standard format)
-    if (json.meta?.parent?.id) {
-        return json.meta.parent.id;
-    }
-
-    // Legacy fallback - but these should be migrated to meta.parent
-    const legacyProperties = {
-        'unit': ['parentMallId'],
-        'room': ['parentUnitId', 'parentGalleryId'], // parentUnitId is correct, parentGalleryId is legacy
-        'object': ['parentRoomId']
-    };
-
-    const properties = legacyProperties[templateType] || [];
-    for (const prop of properties) {
-        if (json[prop]) {
-            return json[prop];
-        }
-    }
-
-    return null;
-}
-
 /**
  * Normalize unit template to standard DTO format
  * @param {Object} json - Unit template JSON
+ * @param {Array<string>} warnings - Loader warnings accumulator
  * @returns {Object} - Normalized unit DTO
  */
-function normalizeUnitTemplate(json) {
+function normalizeUnitTemplate(json, warnings) {
     return normalizeChildTemplate(json, {
         type: 'unit',
         defaultId: 'unit',
         defaultSize: { w: 10, h: 10 },
-        childrenProperty: 'children',
-        childIdPrefix: 'room',
-        // Support legacy rooms property
-        legacyChildrenProperty: 'rooms'
-    });
+        childIdPrefix: 'room'
+    }, warnings);
 }
 
 /**
  * Normalize room template to standard DTO format
  * @param {Object} json - Room template JSON
+ * @param {Array<string>} warnings - Loader warnings accumulator
  * @returns {Object} - Normalized room DTO
  */
-function normalizeRoomTemplate(json) {
+function normalizeRoomTemplate(json, warnings) {
     return normalizeChildTemplate(json, {
         type: 'room',
         defaultId: 'room',
         defaultSize: { w: 5, h: 5 },
-        childrenProperty: 'children',
-        childIdPrefix: 'zone',
-        // Support legacy features.floorZones format
-        legacyChildrenPath: 'features.floorZones'
-    });
+        childIdPrefix: 'zone'
+    }, warnings);
 }
 
 /**
  * Normalize object template to standard DTO format
  * @param {Object} json - Object template JSON
+ * @param {Array<string>} warnings - Loader warnings accumulator
  * @returns {Object} - Normalized object DTO
  */
-function normalizeObjectTemplate(json) {
+function normalizeObjectTemplate(json, warnings) {
     return normalizeChildTemplate(json, {
         type: 'object',
         defaultId: 'object',
         defaultSize: { w: 3, h: 3 },
-        childrenProperty: 'children',
-        childIdPrefix: 'item',
-        // Support legacy items format
-        legacyChildrenProperty: 'items'
-    });
+        childIdPrefix: 'item'
+    }, warnings);
+}
+
+/**
+ * Normalize an id-keyed list of rects (mall units, template children)
+ * Entries without an id get a stable name derived from their rect, <prefix>-<x>-<y>-<w>x<h>, with -2, -3, …
+ * appended on collisions, so loading the same file twice gives the same ids. Auto-named entries are reported.
+ * @param {Array} items - Raw list from the template
+ * @param {Function} rectOf - item => normalized rect or null (entries with neither rect nor shape are dropped)
+ * @param {Object} naming - { prefix, path, owner, keep? } id prefix, JSON pointer of the list, owner label for the
+ *   warning and the extra keys to carry over (mall units keep their name, type, entrance and occupancy)
+ * @param {Array<string>} warnings - Loader warnings accumulator
+ * @returns {Array} - [{ id, rect, shape?, ...kept keys }]
+ */
+function normalizeChildList(items, rectOf, { prefix, path, owner, keep = [] }, warnings) {
+    const list = Array.isArray(items) ? items : [];
+    const taken = new Set(list.map(item => item?.id).filter(Boolean));
+    const autoNamed = [];
+
+    const children = list.map((item, index) => {
+        const shape = readShape(item?.shape, `${path}/${index}/shape`, owner, warnings);
+        const rect = rectOf(item) || (shape && shapeBoundingRect(shape));
+        if (!rect) return null;
+
+        let id = item.id;
+        if (!id) {
+            const base = `${prefix}-${rect.x}-${rect.y}-${rect.w}x${rect.h}`;
+            id = base;
+            for (let n = 2; taken.has(id); n++) {
+                id = `${base}-${n}`;
+            }
+            taken.add(id);
+            autoNamed.push(`${path}/${index} → ${id}`);
+        }
+        const child = shape ? { id, rect, shape } : { id, rect };
+        keep.filter(key => item[key] !== undefined).forEach(key => {
+            child[key] = structuredClone(item[key]);
+        });
+        return child;
+    }).filter(Boolean);
+
+    if (autoNamed.length > 0) {
+        warnings.push(`${owner}: ${autoNamed.length} ${autoNamed.length === 1 ? 'entry has' : 'entries have'} no id and ${autoNamed.length === 1 ? 'was' : 'were'} auto-named (${autoNamed.join(', ')})`);
+    }
+    return children;
+}
+
+/**
+ * Read an optional shape; a malformed one is dropped with a warning so the rect still applies
+ * @param {*} raw - Shape from the template
+ * @param {string} pointer - JSON pointer of the shape, for the warning
+ * @param {string} owner - Owner label for the warning
+ * @param {Array<string>} warnings - Loader warnings accumulator
+ * @returns {Object|null} - Normalized shape or null
+ */
+function readShape(raw, pointer, owner, warnings) {
+    try {
+        return normalizeShape(raw);
+    } catch (error) {
+        warnings.push(`${owner}: ${pointer} ignored, ${error.message}`);
+        return null;
+    }
 }
 
 /**
@@ -2,12 +2,27 @@
  * Template Relationship Manager
  * Handles parent-child relationships between templates, automatic parent loading,
  * and template caching to eliminate data loss issues.
+ * Parents missing from the cache are fetched through a pluggable resolver (see TemplateResolver.js).
  */
+
+import { load as loadTemplateDto } from './TemplateLoader.js';
+import { getParentRef } from './TemplateResolver.js';
+
 export class TemplateRelationshipManager {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.resolver] - { resolve(parentRef, context) } used for parents not in the cache
+     */
+    constructor({ resolver = null } = {}) {
         // Template cache: stores loaded templates by ID
         this.templateCache = new Map();
 
+        // Finds parent templates that are not cached
+        this.resolver = resolver;
+
+        // Problems found while building the last hierarchy (missing parents, cycles)
+        this.chainErrors = [];
+
         // Parent-child relationships: child ID -> parent template data
         this.parentRelationships = new Map();
 
@@ -23,13 +38,22 @@ export class TemplateRelationshipManager {
         console.log('[TemplateRM] Template Relationship Manager initialized');
     }
 
+    /**
+     * Set the resolver used for parents that are not in the cache
+     * @param {Object|null} resolver - { resolve(parentRef, context) }
+     */
+    setResolver(resolver) {
+        this.resolver = resolver;
+    }
+
     /**
      * Load a template with automatic parent resolution
      * @param {Object} templateData - The template data to load
      * @param {Object} dto - The processed template DTO
-     * @returns {Object} - Loading result with parent and current templates
+     * @param {Object} [options] - { source } path the template was loaded from, for relative parent paths
+     * @returns {Object} - Loading result with parent and current templates, plus errors[] for a broken parent chain
      */
-    async loadTemplate(templateData, dto) {
+    async loadTemplate(templateData, dto, { source = null } = {}) {
         console.log('[TemplateRM] Loading template:', {
             id: dto.id || templateData.id,
             type: dto.type,
@@ -38,10 +62,10 @@ export class TemplateRelationshipManager {
 
         // Cache this template
         const templateId = dto.id || templateData.id || `${dto.type}-${Date.now()}`;
-        this.cacheTemplate(templateId, templateData, dto);
+        this.cacheTemplate(templateId, templateData, dto, source);
 
         // Build the complete hierarchy for this template
-        const hierarchy = await this.buildTemplateHierarchy(templateData, dto, templateId);
+        const hierarchy = await this.buildTemplateHierarchy(templateData, dto, templateId, source);
 
         // Update template stack with complete hierarchy
         this.templateStack = hierarchy;
@@ -67,59 +91,67 @@ export class TemplateRelationshipManager {
             hasParent: hierarchy.length > 1,
             parent: this.activeLayers.parent,
             current: this.activeLayers.current,
-            hierarchy: hierarchy
+            hierarchy: hierarchy,
+            errors: [...this.chainErrors]
         };
     }
 
     /**
      * Build the complete template hierarchy for a given template
+     * Parents are resolved recursively; a missing parent or a cycle ends the chain and is recorded in chainErrors.
      * @param {Object} templateData - Template data
      * @param {Object} dto - Processed template DTO
      * @param {string} templateId - Template ID
+     * @param {string} [source] - Path the template was loaded from
      * @returns {Array} - Ordered hierarchy array from root to current
      */
-    async buildTemplateHierarchy(templateData, dto, templateId) {
+    async buildTemplateHierarchy(templateData, dto, templateId, source = null) {
         const hierarchy = [];
+        this.chainErrors = [];
+
+        // Build hierarchy recursively from parents; chain lists the ids from the loaded template upwards
+        const buildParentChain = async (currentTemplateData, currentDto, currentId, currentSource, chain) => {
+            // Parent reference from meta.parent (legacy parent fields are migrated into it)
+            const parentRef = getParentRef(currentTemplateData);
+            if (!parentRef) return;
+
+            if (chain.includes(parentRef.id)) {
+                const message = `Template parent cycle: ${[...chain, parentRef.id].join(' → ')}`;
+                console.warn('[TemplateRM]', message);
+                this.chainErrors.push(message);
+                return;
+            }
 
-        // Build hierarchy recursively from parents
-        const buildParentChain = async (currentTemplateData, currentDto, currentId) => {
-            // Check for parent reference in template data (meta.parent)
-            const parentMeta = currentTemplateData.meta?.parent;
-
-            // Also check DTO for parentId (normalized format)
-            const parentIdFromDto = currentDto.parentId;
-
-            if (parentMeta) {
-                // Load parent template using meta.parent
-                const parentTemplate = await this.ensureParentLoaded(parentMeta, currentId);
-
-                if (parentTemplate) {
-                    // Recursively build parent's hierarchy first
-                    await buildParentChain(parentTemplate.templateData, parentTemplate.dto, parentTemplate.id);
-
-                    // Add parent to hierarchy
-                    hierarchy.push(parentTemplate);
-
-                    // Set up relationship tracking
-                    this.parentRelationships.set(currentId, parentTemplate);
-                }
-            } else if (parentIdFromDto) {
-                console.warn('[TemplateRM] Found parentId in DTO but no meta.parent in template data:', {
-                    currentId,
-                    parentId: parentIdFromDto
-                });
-                // Could try to resolve parent by ID if we had a registry
+            let parentTemplate;
+            try {
+                parentTemplate = await this.ensureParentLoaded(parentRef, currentId, currentSource);
+            } catch (error) {
+                const message = chain.length > 1 ? `${error.message} (chain: ${chain.join(' → ')})` : error.message;
+                console.warn('[TemplateRM]', message);
+                this.chainErrors.push(message);
+                return;
             }
+
+            // Recursively build parent's hierarchy first
+            await buildParentChain(parentTemplate.templateData, parentTemplate.dto, parentTemplate.id,
+                parentTemplate.source, [...chain, parentTemplate.id]);
+
+            // Add parent to hierarchy
+            hierarchy.push(parentTemplate);
+
+            // Set up relationship tracking
+            this.parentRelationships.set(currentId, parentTemplate);
         };
 
         // Build the parent chain first
-        await buildParentChain(templateData, dto, templateId);
+        await buildParentChain(templateData, dto, templateId, source, [templateId]);
 
         // Add current template at the end
         hierarchy.push({
             templateData,
             dto,
-            id: templateId
+            id: templateId,
+            source
         });
 
         console.log('[TemplateRM] Built hierarchy chain:', hierarchy.map(t => `${t.dto.type}:${t.id}`));
@@ -131,14 +163,16 @@ export class TemplateRelationshipManager {
      * @param {string} templateId - Template ID
      * @param {Object} templateData - Raw template data
      * @param {Object} dto - Processed template DTO
+     * @param {string} [source] - Path the template was loaded from
      */
-    cacheTemplate(templateId, templateData, dto) {
+    cacheTemplate(templateId, templateData, dto, source = null) {
         const cacheEntry = {
             id: templateId,
             templateData: structuredClone(templateData), // Deep copy
             dto: structuredClone(dto), // Deep copy
             loadedAt: new Date().toISOString(),
-            type: dto.type
+            type: dto.type,
+            source
         };
 
         this.templateCache.set(templateId, cacheEntry);
@@ -146,12 +180,14 @@ export class TemplateRelationshipManager {
     }
 
     /**
-     * Ensure parent template is loaded
-     * @param {Object} parentMeta - Parent metadata from template
+     * Ensure parent template is loaded, fetching it through the resolver when it is not cached
+     * @param {Object} parentMeta - Parent reference ({ id, schema?, path? })
      * @param {string} childId - Child template ID
-     * @returns {Object|null} - Parent template data or null
+     * @param {string} [childSource] - Path the child was loaded from
+     * @returns {Object} - Cached parent template entry
+     * @throws {Error} - When the parent cannot be found or read
      */
-    async ensureParentLoaded(parentMeta, childId) {
+    async ensureParentLoaded(parentMeta, childId, childSource = null) {
         const parentId = parentMeta.id;
 
         // Check if parent is already in cache
@@ -166,12 +202,27 @@ export class TemplateRelationshipManager {
             return this.activeLayers.current;
         }
 
-        console.warn('[TemplateRM] Parent template not found:', parentId);
-        console.warn('[TemplateRM] Available templates:', Array.from(this.templateCache.keys()));
+        if (!this.resolver) {
+            console.warn('[TemplateRM] Available templates:', Array.from(this.templateCache.keys()));
+            throw new Error(`Parent template "${parentId}" of "${childId}" is not loaded and no template resolver is configured`);
+        }
+
+        const { templateData, source } = await this.resolver.resolve(parentMeta, { childId, childSource });
+
+        let dto;
+        let migration;
+        try {
+            ({ dto, migration } = loadTemplateDto(templateData));
+        } catch (error) {
+            throw new Error(`Parent template "${parentId}" at ${source} could not be read: ${error.message}`);
+        }
+        if (migration.migrated) {
+            console.log(`[MIGRATE] Parent ${parentId}: ${migration.changes.join(', ')}`);
+        }
 
-        // In a full implementation, we could try to load the parent from file
-        // For now, return null to indicate parent not available
-        return null;
+        // Cache the upgraded template so layers only see current-version fields
+        this.cacheTemplate(parentId, migration.data, dto, source);
+        return this.templateCache.get(parentId);
     }
 
     /**
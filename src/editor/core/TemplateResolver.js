@@ -0,0 +1,228 @@
+/**
+ * TemplateResolver - Finds parent templates that are not loaded yet
+ *
+ * A child template names its parent in meta.parent ({ id, schema, path? }); older files are migrated
+ * first, so legacy parentMallId / parentUnitId / parentRoomId fields work too. The resolver asks each source in order for candidate
+ * paths, fetches them and returns the first template whose id (and schema, when given) matches.
+ *
+ * Built-in sources:
+ * - indexSource:       { id, path|file } entries in index files such as floor-plans/mall/units-index.json
+ * - relativeSource:    meta.parent.path, then <id>.json beside the child and in ../<kind dir>/
+ * - recentFilesSource: MRU entries that recorded a template id and a fetchable source path
+ * - baseUrlSource:     <baseUrl>/<kind dir>/<id>.json, then <baseUrl>/<id>.json
+ * A source is { name, locate(parentRef, context) } returning candidate paths, so projects can add their own.
+ */
+
+import { detect } from './SchemaRegistry.js';
+import { migrate, getSchemaVersion } from './SchemaMigrations.js';
+
+// Conventional directory for each template kind under floor-plans/
+export const KIND_DIRECTORIES = {
+    mall: 'mall',
+    unit: 'units',
+    room: 'rooms',
+    object: 'objects'
+};
+
+/**
+ * Parent reference of a template
+ * @param {Object} templateData - Template JSON, any supported schema version
+ * @returns {Object|null} - { id, schema?, path? } or null for root templates
+ */
+export function getParentRef(templateData) {
+    const parent = migrate(templateData).data?.meta?.parent;
+    return parent?.id ? { ...parent } : null;
+}
+
+/**
+ * Resolve a template path against the path of the file that referenced it
+ * URLs stay URLs, root-relative paths stay root-relative and plain relative paths stay relative.
+ * @param {string} path - Path or URL to resolve
+ * @param {string} [base] - Path or URL of the referencing file
+ * @returns {string}
+ */
+export function resolveTemplatePath(path, base) {
+    if (hasScheme(path)) return path;
+    if (base && hasScheme(base)) return new URL(path, base).href;
+
+    const url = new URL(path, new URL(base || '', 'http://templates.invalid/'));
+    return path.startsWith('/') || base?.startsWith('/') ? url.pathname : url.pathname.slice(1);
+}
+
+/**
+ * Fetch and parse a JSON file
+ * @param {string} path
+ * @returns {Promise<Object>}
+ */
+export async function fetchJson(path) {
+    const response = await fetch(path);
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+    }
+    return response.json();
+}
+
+/**
+ * Source for index files listing template ids and paths (paths are relative to the index)
+ * Any top-level array of the index is searched, so units-index.json can list { id, rect, path }.
+ * @param {string|Array<string>} indexPaths - Index file paths
+ * @param {Object} [options] - { fetchJson }
+ * @returns {Object} - Resolver source
+ */
+export function indexSource(indexPaths, { fetchJson: load = fetchJson } = {}) {
+    return {
+        name: 'index',
+        async locate(parentRef) {
+            const candidates = [];
+            for (const indexPath of [].concat(indexPaths)) {
+                let index;
+                try {
+                    index = await load(indexPath);
+                } catch (error) {
+                    console.warn(`[RESOLVER] Index ${indexPath} unavailable: ${error.message}`);
+                    continue;
+                }
+                Object.values(index || {})
+                    .filter(Array.isArray)
+                    .flat()
+                    .filter(entry => entry?.id === parentRef.id && (entry.path || entry.file))
+                    .forEach(entry => candidates.push(resolveTemplatePath(entry.path || entry.file, indexPath)));
+            }
+            return candidates;
+        }
+    };
+}
+
+/**
+ * Source for paths relative to the child: meta.parent.path, <id>.json and ../<kind dir>/<id>.json
+ * @returns {Object} - Resolver source
+ */
+export function relativeSource() {
+    return {
+        name: 'relative',
+        locate(parentRef, { childSource } = {}) {
+            const candidates = [];
+            if (parentRef.path) {
+                candidates.push(resolveTemplatePath(parentRef.path, childSource));
+            }
+            if (childSource) {
+                candidates.push(resolveTemplatePath(`${parentRef.id}.json`, childSource));
+                const dir = kindDirectory(parentRef.schema);
+                if (dir) {
+                    candidates.push(resolveTemplatePath(`../${dir}/${parentRef.id}.json`, childSource));
+                }
+            }
+            return candidates;
+        }
+    };
+}
+
+/**
+ * Source for recently opened files that remember their template id and source path
+ * @param {Function} getEntries - () => [{ templateId, source }]
+ * @returns {Object} - Resolver source
+ */
+export function recentFilesSource(getEntries) {
+    return {
+        name: 'recent',
+        locate(parentRef) {
+            return (getEntries() || [])
+                .filter(entry => entry?.templateId === parentRef.id && entry.source)
+                .map(entry => entry.source);
+        }
+    };
+}
+
+/**
+ * Source for a template library under a base URL
+ * @param {string} baseUrl
+ * @returns {Object} - Resolver source
+ */
+export function baseUrlSource(baseUrl) {
+    const base = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+    return {
+        name: 'baseUrl',
+        locate(parentRef) {
+            const dir = kindDirectory(parentRef.schema);
+            return [
+                ...(dir ? [`${base}${dir}/${parentRef.id}.json`] : []),
+                `${base}${parentRef.id}.json`
+            ];
+        }
+    };
+}
+
+/**
+ * Create a resolver that tries each source in order
+ * @param {Object} options
+ * @param {Array<Object>} options.sources - Resolver sources
+ * @param {Function} [options.fetchJson] - Loader for candidate paths
+ * @returns {Object} - { sources, resolve(parentRef, { childId, childSource }) }
+ * resolve() returns { templateData, source, via } and throws with every location tried when nothing matches.
+ */
+export function createTemplateResolver({ sources, fetchJson: load = fetchJson }) {
+    return {
+        sources,
+        async resolve(parentRef, context = {}) {
+            const tried = [];
+            const seen = new Set();
+
+            for (const source of sources) {
+                let candidates;
+                try {
+                    candidates = (await source.locate(parentRef, context)) || [];
+                } catch (error) {
+                    tried.push(`${source.name} (${error.message})`);
+                    continue;
+                }
+
+                for (const path of candidates) {
+                    if (seen.has(path)) continue;
+                    seen.add(path);
+
+                    let templateData;
+                    try {
+                        templateData = await load(path);
+                    } catch (error) {
+                        tried.push(`${source.name} ${path} (${error.message})`);
+                        continue;
+                    }
+                    const mismatch = describeMismatch(templateData, parentRef);
+                    if (mismatch) {
+                        tried.push(`${source.name} ${path} (${mismatch})`);
+                        continue;
+                    }
+
+                    console.log(`[RESOLVER] Parent ${parentRef.id} resolved from ${path} via ${source.name}`);
+                    return { templateData, source: path, via: source.name };
+                }
+            }
+
+            const where = tried.length > 0 ? `tried ${tried.join('; ')}` : 'no source knows where it is';
+            throw new Error(`Parent template "${parentRef.id}" of "${context.childId}" not found: ${where}`);
+        }
+    };
+}
+
+function hasScheme(path) {
+    return /^[a-z][a-z0-9+.-]*:/i.test(path);
+}
+
+function kindDirectory(schema) {
+    return schema ? KIND_DIRECTORIES[detect({ meta: { schema } }).kind] || null : null;
+}
+
+// Why a fetched file is not the requested parent, or null when it is
+function describeMismatch(templateData, parentRef) {
+    if (templateData?.id !== parentRef.id) {
+        return `id is "${templateData?.id}"`;
+    }
+    if (parentRef.schema) {
+        const expected = detect({ meta: { schema: parentRef.schema } }).kind;
+        const actual = getSchemaVersion(templateData).kind;
+        if (actual !== expected) {
+            return `${actual} template, expected ${expected}`;
+        }
+    }
+    return null;
+}
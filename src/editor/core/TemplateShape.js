@@ -0,0 +1,156 @@
+/**
+ * TemplateShape - Exact (non-rectangular) outlines for units, rooms and the mall
+ *
+ * A template or child entry may carry an optional `shape` next to its `rect`. The rect stays the
+ * bounding box; the shape says which cells inside it really belong to the region. Two forms:
+ *   { cells: [[x, y], ...] }      - the grid cells of the region
+ *   { outline: [[x, y], ...] }    - a closed rectilinear polygon through grid corners (L shapes, notches)
+ * Outlines are rasterized by cell centre, so a cell belongs to the region when its centre is inside.
+ */
+
+// Cell sets per shape object, so per-cell lookups don't re-rasterize
+const cellCache = new WeakMap();
+
+/**
+ * Validate and normalize a raw shape
+ * @param {*} raw - Shape from a template file
+ * @returns {Object|null} - { cells } or { outline } with integer coordinates, or null when absent
+ * @throws {Error} - When the shape is present but malformed
+ */
+export function normalizeShape(raw) {
+    if (raw === undefined || raw === null) return null;
+    if (typeof raw !== 'object') {
+        throw new Error('shape must be an object with cells or outline');
+    }
+
+    if (Array.isArray(raw.cells)) {
+        const cells = raw.cells.map((cell, index) => toPoint(cell, `cells/${index}`));
+        if (cells.length === 0) {
+            throw new Error('shape cells must not be empty');
+        }
+        return { cells };
+    }
+
+    if (Array.isArray(raw.outline)) {
+        const outline = raw.outline.map((point, index) => toPoint(point, `outline/${index}`));
+        if (outline.length < 4) {
+            throw new Error('shape outline needs at least 4 corners');
+        }
+        outline.forEach((point, index) => {
+            const next = outline[(index + 1) % outline.length];
+            if (point[0] !== next[0] && point[1] !== next[1]) {
+                throw new Error(`shape outline is not rectilinear between corners ${index} and ${(index + 1) % outline.length}`);
+            }
+        });
+        return { outline };
+    }
+
+    throw new Error('shape must have cells or outline');
+}
+
+/**
+ * List the grid cells of a shape, row by row
+ * @param {Object} shape - Normalized shape
+ * @returns {Array<Array<number>>} - [[x, y], ...]
+ */
+export function shapeCells(shape) {
+    return [...cellSet(shape)]
+        .map(key => key.split(',').map(Number))
+        .sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+}
+
+/**
+ * Create a point test for a shape
+ * @param {Object} shape - Normalized shape
+ * @returns {Function} - (x, y) => boolean
+ */
+export function makeShapeTest(shape) {
+    const cells = cellSet(shape);
+    return (x, y) => cells.has(`${x},${y}`);
+}
+
+/**
+ * Bounding rectangle of a shape
+ * @param {Object} shape - Normalized shape
+ * @returns {Object|null} - { x, y, w, h } or null when the shape covers no cells
+ */
+export function shapeBoundingRect(shape) {
+    const cells = shapeCells(shape);
+    if (cells.length === 0) return null;
+
+    const xs = cells.map(([x]) => x);
+    const ys = cells.map(([, y]) => y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return { x, y, w: Math.max(...xs) - x + 1, h: Math.max(...ys) - y + 1 };
+}
+
+/**
+ * Boundary edges of a shape in the editor's edge coordinates
+ * Horizontal edge [x, y] lies above cell (x, y); vertical edge [x, y] lies left of it.
+ * @param {Object} shape - Normalized shape
+ * @returns {Object} - { horizontal: [[x, y]], vertical: [[x, y]] }
+ */
+export function shapeBoundaryEdges(shape) {
+    const inside = makeShapeTest(shape);
+    const horizontal = [];
+    const vertical = [];
+
+    shapeCells(shape).forEach(([x, y]) => {
+        if (!inside(x, y - 1)) horizontal.push([x, y]);
+        if (!inside(x, y + 1)) horizontal.push([x, y + 1]);
+        if (!inside(x - 1, y)) vertical.push([x, y]);
+        if (!inside(x + 1, y)) vertical.push([x + 1, y]);
+    });
+
+    return { horizontal, vertical };
+}
+
+/**
+ * Shape for a detected cell region, or null when the region fills its bounding rect
+ * @param {Array<Array<number>>} cells - [[x, y], ...]
+ * @param {Object} rect - Bounding rect of the cells
+ * @returns {Object|null} - { cells } sorted row by row, or null for plain rectangles
+ */
+export function cellsToShape(cells, rect) {
+    if (cells.length === rect.w * rect.h) return null;
+    return { cells: shapeCells({ cells }) };
+}
+
+// [x, y] with integer coordinates
+function toPoint(value, pointer) {
+    if (!Array.isArray(value) || value.length !== 2 || !value.every(Number.isInteger)) {
+        throw new Error(`shape ${pointer} must be an [x, y] pair of integers`);
+    }
+    return [value[0], value[1]];
+}
+
+function cellSet(shape) {
+    if (!cellCache.has(shape)) {
+        const cells = shape.cells
+            ? new Set(shape.cells.map(([x, y]) => `${x},${y}`))
+            : rasterizeOutline(shape.outline);
+        cellCache.set(shape, cells);
+    }
+    return cellCache.get(shape);
+}
+
+// Even-odd test of each cell centre against the outline's vertical sides
+function rasterizeOutline(outline) {
+    const sides = outline
+        .map((point, index) => [point, outline[(index + 1) % outline.length]])
+        .filter(([a, b]) => a[0] === b[0] && a[1] !== b[1])
+        .map(([a, b]) => ({ x: a[0], y0: Math.min(a[1], b[1]), y1: Math.max(a[1], b[1]) }));
+
+    const xs = outline.map(([x]) => x);
+    const ys = outline.map(([, y]) => y);
+    const cells = new Set();
+
+    for (let y = Math.min(...ys); y < Math.max(...ys); y++) {
+        for (let x = Math.min(...xs); x < Math.max(...xs); x++) {
+            const crossings = sides.filter(side => side.x > x && side.y0 <= y && y < side.y1).length;
+            if (crossings % 2 === 1) cells.add(`${x},${y}`);
+        }
+    }
+    return cells;
+}
@@ -0,0 +1,60 @@
+/**
+ * TemplateValidation - JSON Schema validation for mall/unit/room/object templates
+ *
+ * The schemas live in schemas/*-template.v<N>.schema.json. scripts/build-template-validators.js compiles
+ * them with AJV into generated/templateValidators.js, so the browser and Node run the same validators
+ * without loading AJV itself. Run `npm run build:validators` after editing a schema. The tenant registry
+ * (schemas/tenant-registry.v1.schema.json, kind 'tenants') is compiled into the same module.
+ *
+ * Errors are { path, message, keyword } where path is a JSON pointer into the template ('' is the root).
+ */
+
+import * as validators from './generated/templateValidators.js';
+
+/**
+ * Validate a current-version template against the schema of its kind
+ * Older versions must be migrated first (TemplateLoader.load does this).
+ * @param {Object} json - Template JSON
+ * @param {string} kind - mall | unit | room | object | tenants
+ * @returns {Object} - { valid, errors: [{ path, message, keyword }] }
+ */
+export function validateTemplate(json, kind) {
+    const validate = validators[kind];
+    if (!validate) {
+        return { valid: true, errors: [] };
+    }
+    if (validate(json)) {
+        return { valid: true, errors: [] };
+    }
+    // A failed if/then also reports the failing "then" rule itself; the summary error adds nothing
+    const errors = validate.errors.filter(error => error.keyword !== 'if').map(toValidationError);
+    return { valid: false, errors };
+}
+
+/**
+ * Format validation errors as one "<pointer> <message>" line each
+ * @param {Array} errors - validateTemplate() errors
+ * @returns {Array<string>}
+ */
+export function formatValidationErrors(errors) {
+    return errors.map(error => `${error.path || '/'} ${error.message}`);
+}
+
+// AJV error → { path, message, keyword }; missing properties point at the property itself
+function toValidationError({ instancePath, keyword, message, params }) {
+    let path = instancePath;
+    let text = message;
+
+    if (keyword === 'required') {
+        path = `${instancePath}/${params.missingProperty}`;
+        text = 'is required';
+    } else if (keyword === 'const') {
+        text = `must be "${params.allowedValue}"`;
+    } else if (keyword === 'enum') {
+        text = `must be one of ${params.allowedValues.join(', ')}`;
+    } else if (keyword === 'false schema') {
+        text = 'is not allowed';
+    }
+
+    return { path, message: text, keyword };
+}
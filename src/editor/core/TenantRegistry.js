@@ -0,0 +1,270 @@
+/**
+ * TenantRegistry - Tenants and leases of a mall: rent roll, vacancy schedule and lease expiries
+ *
+ * Registry file (tenant-registry.v1, see schemas/tenant-registry.v1.schema.json):
+ *   { meta, mallId?, currency?, tenants: [{ id: 'tenant-…', name, contact?,
+ *       leases?: [{ id?, unitId, start, end, rentPerSqm, serviceChargePerSqm? }] }] }
+ * Leases point at mall unit ids. Dates are YYYY-MM-DD and a lease runs from start to end, both included.
+ * Rents and service charges are per m² per year, charged on the unit's floor area from the plan (its NLA in
+ * the area schedule, summed over levels).
+ *
+ * The report cross-checks the registry against the mall's units and their occupancy (see UnitOccupancy.js):
+ * - errors: a tenant listed twice, a lease on an unknown unit or ending before it starts, an occupied unit
+ *   whose tenant is not registered or who holds no current lease on it while another tenant does, and two
+ *   leases of one unit that overlap (double booking)
+ * - warnings: a registry for another mall, an occupied unit without a current lease, a current lease on a
+ *   unit marked vacant
+ */
+
+import { validateTemplate } from './TemplateValidation.js';
+import { toCsv, markdownTable } from './AreaSchedule.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate a tenant registry against its schema
+ * @param {Object} json - Registry JSON
+ * @returns {Object} - { valid, errors: [{ path, message, keyword }] }
+ */
+export function validateRegistry(json) {
+    return validateTemplate(json, 'tenants');
+}
+
+/**
+ * Build the rent roll, vacancy schedule and lease expiries of a mall on a date
+ * @param {Object} params
+ * @param {Object} params.registry - Tenant registry (validated)
+ * @param {Array<Object>} params.units - Mall units [{ id, type?, occupancy? }]
+ * @param {Object} params.schedule - Area schedule of the plan for the same units (see AreaSchedule.js)
+ * @param {string} params.asOf - Report date, YYYY-MM-DD
+ * @param {number} [params.withinDays] - Leases ending up to this many days after asOf are listed as expiring
+ * @returns {Object} - { name, asOf, withinDays, currency, totals, rentRoll, vacancies, expiries, problems }; areas in m²
+ */
+export function buildRentRoll({ registry, units, schedule, asOf, withinDays = 365 }) {
+    const problems = [];
+    const report = (severity, message, ids) => problems.push({ severity, message, ...ids });
+
+    if (registry.mallId && registry.mallId !== schedule.name) {
+        report('warning', `the registry is for ${registry.mallId}, not ${schedule.name}`, {});
+    }
+
+    const areas = new Map();
+    schedule.units.forEach(row => areas.set(row.id, (areas.get(row.id) || 0) + row.area));
+
+    const tenants = new Map();
+    registry.tenants.forEach(tenant => {
+        if (tenants.has(tenant.id)) {
+            report('error', `${tenant.id} is listed more than once`, { tenantId: tenant.id });
+        } else {
+            tenants.set(tenant.id, tenant);
+        }
+    });
+
+    // Every lease with its tenant, grouped by unit in start order
+    const unitIds = new Set(units.map(unit => unit.id));
+    const leasesByUnit = new Map();
+    registry.tenants.flatMap(tenant => (tenant.leases || []).map(lease => ({ ...lease, tenantId: tenant.id, tenantName: tenant.name })))
+        .forEach(lease => {
+            const ids = { unitId: lease.unitId, tenantId: lease.tenantId };
+            if (!unitIds.has(lease.unitId)) {
+                report('error', `${lease.tenantId} leases ${lease.unitId}, which is not a unit of the mall`, ids);
+            }
+            if (lease.end < lease.start) {
+                report('error', `the lease of ${lease.unitId} to ${lease.tenantId} ends (${lease.end}) before it starts (${lease.start})`, ids);
+            }
+            if (!leasesByUnit.has(lease.unitId)) leasesByUnit.set(lease.unitId, []);
+            leasesByUnit.get(lease.unitId).push(lease);
+        });
+    leasesByUnit.forEach(leases => leases.sort((a, b) => a.start.localeCompare(b.start)));
+
+    // Double booking: two leases of one unit that share a day
+    leasesByUnit.forEach((leases, unitId) => {
+        leases.forEach((a, i) => leases.slice(i + 1).forEach(b => {
+            if (b.start <= a.end && a.start <= b.end) {
+                report('error', `${unitId} is double-booked: ${a.tenantId} (${a.start} to ${a.end}) and ${b.tenantId} (${b.start} to ${b.end})`,
+                    { unitId, tenantId: b.tenantId });
+            }
+        }));
+    });
+
+    const rentRoll = [];
+    const vacancies = [];
+    for (const unit of units) {
+        const leases = leasesByUnit.get(unit.id) || [];
+        const current = leases.filter(lease => lease.start <= asOf && asOf <= lease.end);
+        const area = areas.get(unit.id) || 0;
+        checkOccupancy(unit, current, tenants, report);
+
+        current.forEach(lease => {
+            const annualRent = area * lease.rentPerSqm;
+            const annualServiceCharge = area * (lease.serviceChargePerSqm || 0);
+            rentRoll.push({
+                unitId: unit.id,
+                type: unit.type || '',
+                tenantId: lease.tenantId,
+                tenantName: lease.tenantName,
+                start: lease.start,
+                end: lease.end,
+                area,
+                rentPerSqm: lease.rentPerSqm,
+                serviceChargePerSqm: lease.serviceChargePerSqm || 0,
+                annualRent,
+                annualServiceCharge,
+                annualTotal: annualRent + annualServiceCharge
+            });
+        });
+
+        if (current.length === 0) {
+            const past = leases.filter(lease => lease.end < asOf);
+            const next = leases.find(lease => lease.start > asOf);
+            vacancies.push({
+                unitId: unit.id,
+                type: unit.type || '',
+                status: unit.occupancy?.status || '',
+                area,
+                lastLeaseEnd: past.reduce((latest, lease) => (lease.end > latest ? lease.end : latest), ''),
+                nextLeaseStart: next ? next.start : ''
+            });
+        }
+    }
+
+    const expiries = rentRoll
+        .map(row => ({ unitId: row.unitId, tenantId: row.tenantId, tenantName: row.tenantName, end: row.end, daysLeft: daysBetween(asOf, row.end), annualRent: row.annualRent }))
+        .filter(row => row.daysLeft <= withinDays)
+        .sort((a, b) => a.end.localeCompare(b.end) || a.unitId.localeCompare(b.unitId));
+
+    const sum = (rows, key) => rows.reduce((total, row) => total + row[key], 0);
+    const totalArea = units.reduce((total, unit) => total + (areas.get(unit.id) || 0), 0);
+    const vacantArea = sum(vacancies, 'area');
+    return {
+        name: schedule.name,
+        asOf,
+        withinDays,
+        currency: registry.currency || '',
+        totals: {
+            units: units.length,
+            leasedUnits: units.length - vacancies.length,
+            area: totalArea,
+            leasedArea: totalArea - vacantArea,
+            vacantArea,
+            vacancyRate: totalArea > 0 ? vacantArea / totalArea : 0,
+            annualRent: sum(rentRoll, 'annualRent'),
+            annualServiceCharge: sum(rentRoll, 'annualServiceCharge'),
+            expiring: expiries.length
+        },
+        rentRoll,
+        vacancies,
+        expiries,
+        // Errors first, each group in the order found
+        problems: [...problems.filter(p => p.severity === 'error'), ...problems.filter(p => p.severity !== 'error')]
+    };
+}
+
+/**
+ * Write the rent roll, vacancy schedule and lease expiries as three CSV files
+ * @param {Object} report - From buildRentRoll
+ * @returns {Object} - { 'rent-roll', vacancies, 'lease-expiries' } CSV text
+ */
+export function rentRollToCsv(report) {
+    return {
+        'rent-roll': toCsv([
+            ['unit', 'type', 'tenant', 'tenant_name', 'lease_start', 'lease_end', 'area_m2', 'rent_per_m2', 'service_charge_per_m2', 'annual_rent', 'annual_service_charge', 'annual_total'],
+            ...report.rentRoll.map(row => [
+                row.unitId, row.type, row.tenantId, row.tenantName, row.start, row.end, fixed(row.area),
+                fixed(row.rentPerSqm), fixed(row.serviceChargePerSqm), fixed(row.annualRent), fixed(row.annualServiceCharge), fixed(row.annualTotal)
+            ])
+        ]),
+        vacancies: toCsv([
+            ['unit', 'type', 'status', 'area_m2', 'last_lease_end', 'next_lease_start'],
+            ...report.vacancies.map(row => [row.unitId, row.type, row.status, fixed(row.area), row.lastLeaseEnd, row.nextLeaseStart])
+        ]),
+        'lease-expiries': toCsv([
+            ['unit', 'tenant', 'tenant_name', 'lease_end', 'days_left', 'annual_rent'],
+            ...report.expiries.map(row => [row.unitId, row.tenantId, row.tenantName, row.end, row.daysLeft, fixed(row.annualRent)])
+        ])
+    };
+}
+
+/**
+ * Write the rent roll, vacancy schedule, lease expiries and cross-check problems as one Markdown report
+ * @param {Object} report - From buildRentRoll
+ * @returns {string}
+ */
+export function rentRollToMarkdown(report) {
+    const { totals } = report;
+    const money = (value) => (report.currency ? `${fixed(value)} ${report.currency}` : fixed(value));
+
+    const lines = [
+        `# Rent Roll: ${report.name}`,
+        '',
+        `As of ${report.asOf}. Rents and service charges are per year; areas are in m².`,
+        '',
+        '## Summary',
+        '',
+        markdownTable(['Measure', 'Value'], [
+            ['Units', totals.units],
+            ['Leased units', totals.leasedUnits],
+            ['Leased area', `${fixed(totals.leasedArea)} m²`],
+            ['Vacant area', `${fixed(totals.vacantArea)} m²`],
+            ['Vacancy rate (by area)', `${(totals.vacancyRate * 100).toFixed(1)}%`],
+            ['Annual rent', money(totals.annualRent)],
+            ['Annual service charges', money(totals.annualServiceCharge)],
+            [`Leases ending within ${report.withinDays} days`, totals.expiring]
+        ]),
+        '',
+        '## Rent Roll',
+        '',
+        section(report.rentRoll, 'No current leases.', () => markdownTable(
+            ['Unit', 'Tenant', 'Lease', 'Area (m²)', 'Rent / m²', 'Service charge / m²', 'Annual rent', 'Annual total'],
+            report.rentRoll.map(row => [row.unitId, `${row.tenantName} (${row.tenantId})`, `${row.start} to ${row.end}`, fixed(row.area),
+                fixed(row.rentPerSqm), fixed(row.serviceChargePerSqm), fixed(row.annualRent), fixed(row.annualTotal)]))),
+        '',
+        '## Vacancies',
+        '',
+        section(report.vacancies, 'No vacant units.', () => markdownTable(
+            ['Unit', 'Type', 'Status', 'Area (m²)', 'Last lease ended', 'Next lease starts'],
+            report.vacancies.map(row => [row.unitId, row.type || '–', row.status || '–', fixed(row.area), row.lastLeaseEnd || '–', row.nextLeaseStart || '–']))),
+        '',
+        `## Lease Expiries (next ${report.withinDays} days)`,
+        '',
+        section(report.expiries, 'No leases ending.', () => markdownTable(
+            ['Unit', 'Tenant', 'Lease ends', 'Days left', 'Annual rent'],
+            report.expiries.map(row => [row.unitId, `${row.tenantName} (${row.tenantId})`, row.end, row.daysLeft, fixed(row.annualRent)])))
+    ];
+
+    if (report.problems.length > 0) {
+        lines.push('', '## Problems', '', ...report.problems.map(problem => `- ${problem.severity}: ${problem.message}`));
+    }
+    return lines.join('\n') + '\n';
+}
+
+// Problems of one unit's occupancy against its current leases
+function checkOccupancy(unit, current, tenants, report) {
+    const { status, tenantId } = unit.occupancy || {};
+    const ids = { unitId: unit.id, tenantId };
+    const lessees = current.map(lease => lease.tenantId).join(', ');
+
+    if (status === 'occupied') {
+        if (!tenants.has(tenantId)) {
+            report('error', `${unit.id} is occupied by ${tenantId}, who is not in the tenant registry`, ids);
+        } else if (current.length === 0) {
+            report('warning', `${unit.id} is occupied by ${tenantId} but has no current lease`, ids);
+        } else if (!current.some(lease => lease.tenantId === tenantId)) {
+            report('error', `${unit.id} is occupied by ${tenantId} but leased to ${lessees}`, ids);
+        }
+    } else if (status === 'vacant' && current.length > 0) {
+        report('warning', `${unit.id} is marked vacant but leased to ${lessees}`, { unitId: unit.id });
+    }
+}
+
+function section(rows, empty, write) {
+    return rows.length === 0 ? empty : write();
+}
+
+function daysBetween(from, to) {
+    return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+function fixed(value) {
+    return value.toFixed(2);
+}
@@ -0,0 +1,88 @@
+/**
+ * UnitOccupancy - Type, tenant and occupancy of mall units
+ *
+ * A unit in mall-template.v1 may carry, besides id/rect/shape:
+ *   name, type ('retail' | 'service' | 'food' | 'kiosk' | 'corridor'), entrance { side, offset } and
+ *   occupancy { status: 'vacant' | 'occupied' | 'reserved', tenantId?: 'tenant-…', since?: 'YYYY-MM-DD' }
+ * An occupied unit names its tenant; a vacant unit has neither tenant nor start date.
+ *
+ * The rules live in schemas/template-common.v1.schema.json, so the inspector checks a unit with the same
+ * generated validator TemplateLoader uses for the whole file.
+ */
+
+import { validateTemplate } from './TemplateValidation.js';
+import { schemaId } from './SchemaMigrations.js';
+
+export const UNIT_TYPES = ['retail', 'service', 'food', 'kiosk', 'corridor'];
+export const OCCUPANCY_STATUSES = ['vacant', 'occupied', 'reserved'];
+
+// Unit keys carried from the loaded file into the DTO and back into exports
+export const UNIT_INFO_FIELDS = ['name', 'type', 'entrance', 'occupancy'];
+
+// Overlay colour per occupancy status; units without occupancy are not tinted
+export const OCCUPANCY_COLOURS = {
+    vacant: '#9e9e9e',
+    occupied: '#43a047',
+    reserved: '#fb8c00'
+};
+
+// Readable messages for the pattern rules
+const PATTERN_HINTS = {
+    '/occupancy/tenantId': 'must look like tenant-abc123 (lowercase letters, digits and dashes)',
+    '/occupancy/since': 'must be a date (YYYY-MM-DD)'
+};
+
+/**
+ * Apply inspector fields to a unit
+ * An empty type or status removes it; an empty tenant or start date is left out.
+ * @param {Object} unit - Mall unit { id, rect, ... }
+ * @param {Object} fields - { type?, status?, tenantId?, since? } as typed; missing fields keep the unit's value
+ * @returns {Object} - New unit object
+ */
+export function applyUnitInfo(unit, fields) {
+    const next = structuredClone(unit);
+    const current = unit.occupancy || {};
+    const text = (key, fallback) => String(fields[key] ?? fallback ?? '').trim();
+
+    const type = text('type', unit.type);
+    if (type) next.type = type;
+    else delete next.type;
+
+    const status = text('status', current.status);
+    if (!status) {
+        delete next.occupancy;
+        return next;
+    }
+    const occupancy = { status };
+    const tenantId = text('tenantId', current.tenantId);
+    const since = text('since', current.since);
+    if (tenantId) occupancy.tenantId = tenantId;
+    if (since) occupancy.since = since;
+    next.occupancy = occupancy;
+    return next;
+}
+
+/**
+ * Validate a unit's fields against the mall template schema
+ * @param {Object} unit - Mall unit
+ * @returns {Array<Object>} - [{ path, message, keyword }] with paths relative to the unit ('/occupancy/tenantId')
+ */
+export function validateUnitInfo(unit) {
+    const probe = { meta: { schema: schemaId('mall') }, id: 'mall', units: [unit] };
+    return validateTemplate(probe, 'mall').errors
+        .filter(error => error.path.startsWith('/units/0/'))
+        .map(error => {
+            const path = error.path.slice('/units/0'.length);
+            const message = error.keyword === 'pattern' && PATTERN_HINTS[path] ? PATTERN_HINTS[path] : error.message;
+            return { ...error, path, message };
+        });
+}
+
+/**
+ * Overlay colour of a unit by its occupancy status
+ * @param {Object} unit - Mall unit
+ * @returns {string|null}
+ */
+export function occupancyColour(unit) {
+    return OCCUPANCY_COLOURS[unit?.occupancy?.status] || null;
+}
@@ -0,0 +1,164 @@
+/**
+ * Units - Real-world scale of the grid and length formatting
+ *
+ * The physical size of a cell (scale.cellMeters) belongs to the building: it is stored with the scene
+ * and the mall template and drives every export. The pixel cellSize and the viewport zoom only affect
+ * the display. scale.units picks how lengths are shown ('metric' | 'imperial'); data stays in meters.
+ *
+ * Wire format (scene.v1, mall-template.v1): optional top-level
+ *   scale: { cellMeters, units }
+ * written only when it differs from DEFAULT_SCALE, so existing files are unchanged.
+ */
+
+export const METERS_PER_FOOT = 0.3048;
+export const UNIT_SYSTEMS = ['metric', 'imperial'];
+export const DEFAULT_SCALE = Object.freeze({ cellMeters: 1, units: 'metric' });
+
+// Display unit symbols per unit system
+export const UNIT_SYMBOLS = {
+    metric: { length: 'm', area: 'm²' },
+    imperial: { length: 'ft', area: 'ft²' }
+};
+
+// Length suffixes accepted by parseLength, in meters per unit
+const LENGTH_UNITS = {
+    m: 1, meter: 1, meters: 1, metre: 1, metres: 1,
+    cm: 0.01, mm: 0.001,
+    ft: METERS_PER_FOOT, foot: METERS_PER_FOOT, feet: METERS_PER_FOOT, "'": METERS_PER_FOOT,
+    in: METERS_PER_FOOT / 12, inch: METERS_PER_FOOT / 12, inches: METERS_PER_FOOT / 12, '"': METERS_PER_FOOT / 12
+};
+
+/**
+ * Fill defaults and drop invalid values of a scale
+ * @param {Object} [raw] - { cellMeters?, units? }
+ * @returns {Object} - { cellMeters, units }
+ */
+export function normalizeScale(raw) {
+    const cellMeters = Number.isFinite(raw?.cellMeters) && raw.cellMeters > 0 ? raw.cellMeters : DEFAULT_SCALE.cellMeters;
+    const units = UNIT_SYSTEMS.includes(raw?.units) ? raw.units : DEFAULT_SCALE.units;
+    return { cellMeters, units };
+}
+
+/**
+ * Wire form of a scale, or null when it is the default and should be left out
+ * @param {Object} scale - { cellMeters, units }
+ * @returns {Object|null}
+ */
+export function scaleToWire(scale) {
+    const { cellMeters, units } = normalizeScale(scale);
+    if (cellMeters === DEFAULT_SCALE.cellMeters && units === DEFAULT_SCALE.units) return null;
+    return { cellMeters, units };
+}
+
+/**
+ * Parse a typed length such as "0.5 m", "50cm", "2 ft", "2' 6\"" or "30 in"
+ * A bare number is read in the default unit of the unit system (meters or feet).
+ * @param {string|number} text - Length to parse
+ * @param {string} [units] - 'metric' | 'imperial', for bare numbers
+ * @returns {number|null} - Meters, or null when the text is not a positive length
+ */
+export function parseLength(text, units = 'metric') {
+    const source = String(text ?? '').trim().toLowerCase();
+    if (!source) return null;
+
+    const bare = Number(source);
+    if (Number.isFinite(bare)) {
+        return bare > 0 ? bare * (units === 'imperial' ? METERS_PER_FOOT : 1) : null;
+    }
+
+    // One or more "<number><unit>" parts, e.g. 2' 6" or 2 ft 6 in
+    const part = /(\d+(?:\.\d+)?|\.\d+)\s*([a-z]+|'|")\s*/gy;
+    let meters = 0;
+    let match;
+    let consumed = 0;
+    while ((match = part.exec(source)) !== null) {
+        const factor = LENGTH_UNITS[match[2]];
+        if (factor === undefined) return null;
+        meters += Number(match[1]) * factor;
+        consumed = part.lastIndex;
+    }
+    return consumed === source.length && meters > 0 ? meters : null;
+}
+
+/**
+ * Format a length for display
+ * Metric lengths keep up to two decimals; imperial lengths round to the inch (2' 6").
+ * @param {number} meters - Length in meters
+ * @param {string} [units] - 'metric' | 'imperial'
+ * @returns {string}
+ */
+export function formatLength(meters, units = 'metric') {
+    if (units === 'imperial') {
+        const inches = Math.round(meters / METERS_PER_FOOT * 12);
+        const feet = Math.floor(inches / 12);
+        const rest = inches % 12;
+        if (feet === 0) return `${rest}"`;
+        return rest === 0 ? `${feet}'` : `${feet}' ${rest}"`;
+    }
+    return `${round(meters, 2)} m`;
+}
+
+/**
+ * Format an area for display (one decimal)
+ * @param {number} squareMeters - Area in square meters
+ * @param {string} [units] - 'metric' | 'imperial'
+ * @returns {string}
+ */
+export function formatArea(squareMeters, units = 'metric') {
+    return `${round(areaInUnits(squareMeters, units), 1)} ${(UNIT_SYMBOLS[units] || UNIT_SYMBOLS.metric).area}`;
+}
+
+/**
+ * Convert a length to the display unit of a unit system (m or ft)
+ * @param {number} meters - Length in meters
+ * @param {string} [units] - 'metric' | 'imperial'
+ * @returns {number}
+ */
+export function lengthInUnits(meters, units = 'metric') {
+    return units === 'imperial' ? meters / METERS_PER_FOOT : meters;
+}
+
+/**
+ * Convert an area to the display unit of a unit system (m² or ft²)
+ * @param {number} squareMeters - Area in square meters
+ * @param {string} [units] - 'metric' | 'imperial'
+ * @returns {number}
+ */
+export function areaInUnits(squareMeters, units = 'metric') {
+    return units === 'imperial' ? squareMeters / (METERS_PER_FOOT * METERS_PER_FOOT) : squareMeters;
+}
+
+/**
+ * Format a run of cells as a length in the scale's units
+ * @param {number} cells - Length in cells
+ * @param {Object} scale - { cellMeters, units }
+ * @returns {string}
+ */
+export function formatCells(cells, scale) {
+    return formatLength(cells * scale.cellMeters, scale.units);
+}
+
+/**
+ * Straight-line distance between two grid points, in meters
+ * @param {Object} from - { x, y } in cells (grid vertices or fractional points)
+ * @param {Object} to - { x, y } in cells
+ * @param {Object} scale - { cellMeters }
+ * @returns {number}
+ */
+export function gridDistance(from, to, scale) {
+    return Math.hypot(to.x - from.x, to.y - from.y) * scale.cellMeters;
+}
+
+/**
+ * Describe a scale, e.g. "1 cell = 0.5 m" or "1 cell = 2'"
+ * @param {Object} scale - { cellMeters, units }
+ * @returns {string}
+ */
+export function describeScale(scale) {
+    return `1 cell = ${formatCells(1, scale)}`;
+}
+
+function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
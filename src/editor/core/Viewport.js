@@ -0,0 +1,171 @@
+/**
+ * Viewport - Zoom and pan of the 2D canvas over the grid
+ *
+ * The editor draws in world pixels (cell x spans x * cellSize .. (x + 1) * cellSize). The viewport
+ * maps world pixels to canvas pixels: screen = (world - offset) * scale. The canvas only needs to be
+ * as large as the element showing it, and only the cells in view are drawn.
+ */
+
+export const MIN_ZOOM = 0.05;
+export const MAX_ZOOM = 8;
+
+// Canvas pixels kept free around a fitted rect
+const FIT_PADDING = 24;
+
+/**
+ * View transform of the editor canvas
+ */
+export class Viewport {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.width] - Canvas width in pixels
+     * @param {number} [options.height] - Canvas height in pixels
+     */
+    constructor({ width = 0, height = 0 } = {}) {
+        this.width = width;
+        this.height = height;
+        this.scale = 1;
+        this.offsetX = 0; // World pixel at the canvas's left edge
+        this.offsetY = 0; // World pixel at the canvas's top edge
+    }
+
+    /**
+     * Track the canvas size; the world point at the top-left corner stays put
+     * @param {number} width - Canvas width in pixels
+     * @param {number} height - Canvas height in pixels
+     */
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+    }
+
+    /**
+     * Canvas pixel → world pixel
+     * @param {number} sx
+     * @param {number} sy
+     * @returns {Array<number>} - [wx, wy]
+     */
+    screenToWorld(sx, sy) {
+        return [sx / this.scale + this.offsetX, sy / this.scale + this.offsetY];
+    }
+
+    /**
+     * World pixel → canvas pixel
+     * @param {number} wx
+     * @param {number} wy
+     * @returns {Array<number>} - [sx, sy]
+     */
+    worldToScreen(wx, wy) {
+        return [(wx - this.offsetX) * this.scale, (wy - this.offsetY) * this.scale];
+    }
+
+    /**
+     * Zoom by a factor, keeping the world point under a canvas pixel in place
+     * @param {number} sx - Canvas pixel to zoom about
+     * @param {number} sy
+     * @param {number} factor - > 1 zooms in, < 1 zooms out
+     * @returns {boolean} - True when the scale changed
+     */
+    zoomAt(sx, sy, factor) {
+        const scale = clamp(this.scale * factor, MIN_ZOOM, MAX_ZOOM);
+        if (scale === this.scale) return false;
+
+        const [wx, wy] = this.screenToWorld(sx, sy);
+        this.scale = scale;
+        this.offsetX = wx - sx / scale;
+        this.offsetY = wy - sy / scale;
+        return true;
+    }
+
+    /**
+     * Move the view by a drag of canvas pixels (content follows the pointer)
+     * @param {number} dx
+     * @param {number} dy
+     */
+    panBy(dx, dy) {
+        this.offsetX -= dx / this.scale;
+        this.offsetY -= dy / this.scale;
+    }
+
+    /**
+     * Center the view on a world pixel without changing the zoom
+     * @param {number} wx
+     * @param {number} wy
+     */
+    centerOn(wx, wy) {
+        this.offsetX = wx - this.width / (2 * this.scale);
+        this.offsetY = wy - this.height / (2 * this.scale);
+    }
+
+    /**
+     * Zoom and pan so a world-pixel rect fills the canvas, centered
+     * @param {Object} rect - { x, y, w, h } in world pixels
+     * @param {Object} [options]
+     * @param {number} [options.padding] - Canvas pixels kept free on each side
+     * @param {number} [options.maxScale] - Upper zoom limit, so tiny rects are not blown up
+     */
+    fitRect(rect, { padding = FIT_PADDING, maxScale = MAX_ZOOM } = {}) {
+        const availableW = Math.max(1, this.width - 2 * padding);
+        const availableH = Math.max(1, this.height - 2 * padding);
+        this.scale = clamp(Math.min(availableW / Math.max(1, rect.w), availableH / Math.max(1, rect.h)), MIN_ZOOM, maxScale);
+        this.centerOn(rect.x + rect.w / 2, rect.y + rect.h / 2);
+    }
+
+    /**
+     * Cells at least partly in view, clamped to the grid
+     * @param {number} cellSize - World pixels per cell
+     * @param {number} gridWidth - Grid width in cells
+     * @param {number} gridHeight - Grid height in cells
+     * @returns {Object|null} - { x, y, w, h } cell rect, or null when the grid is out of view
+     */
+    visibleCells(cellSize, gridWidth, gridHeight) {
+        const [wx0, wy0] = this.screenToWorld(0, 0);
+        const [wx1, wy1] = this.screenToWorld(this.width, this.height);
+        const x0 = Math.max(0, Math.floor(wx0 / cellSize));
+        const y0 = Math.max(0, Math.floor(wy0 / cellSize));
+        const x1 = Math.min(gridWidth, Math.ceil(wx1 / cellSize));
+        const y1 = Math.min(gridHeight, Math.ceil(wy1 / cellSize));
+        return x1 > x0 && y1 > y0 ? { x: x0, y: y0, w: x1 - x0, h: y1 - y0 } : null;
+    }
+
+    /**
+     * Arguments for CanvasRenderingContext2D.setTransform
+     * @returns {Array<number>} - [a, b, c, d, e, f]
+     */
+    transform() {
+        return [this.scale, 0, 0, this.scale, -this.offsetX * this.scale, -this.offsetY * this.scale];
+    }
+}
+
+/**
+ * Overlap of two cell rects
+ * @param {Object|null} a - { x, y, w, h }
+ * @param {Object|null} b - { x, y, w, h }
+ * @returns {Object|null} - Intersection, or null when they don't overlap
+ */
+export function intersectRects(a, b) {
+    if (!a || !b) return null;
+    const x = Math.max(a.x, b.x);
+    const y = Math.max(a.y, b.y);
+    const w = Math.min(a.x + a.w, b.x + b.w) - x;
+    const h = Math.min(a.y + a.h, b.y + b.h) - y;
+    return w > 0 && h > 0 ? { x, y, w, h } : null;
+}
+
+/**
+ * Smallest rect covering two cell rects
+ * @param {Object|null} a - { x, y, w, h }
+ * @param {Object|null} b - { x, y, w, h }
+ * @returns {Object|null}
+ */
+export function unionRects(a, b) {
+    if (!a) return b ? { ...b } : null;
+    if (!b) return { ...a };
+    const x = Math.min(a.x, b.x);
+    const y = Math.min(a.y, b.y);
+    return { x, y, w: Math.max(a.x + a.w, b.x + b.w) - x, h: Math.max(a.y + a.h, b.y + b.h) - y };
+}
+
+function clamp(value, min, max) {
+    return Math.min(max, Math.max(min, value));
+}
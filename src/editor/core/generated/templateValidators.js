@@ -0,0 +1,2 @@
+// Generated by scripts/build-template-validators.js from schemas/template-common.v1.schema.json, schemas/mall-template.v1.schema.json, schemas/unit-template.v2.schema.json, schemas/room-template.v2.schema.json, schemas/object-template.v2.schema.json, schemas/tenant-registry.v1.schema.json. Do not edit.
+"use strict";export const mall = validate10;const schema11 = {"$schema":"http://json-schema.org/draft-07/schema#","$id":"https://example.com/schemas/mall-template.v1.schema.json","title":"Mall Template v1","description":"Mall outline with unit rects, written by ExportBuilder.buildMallTemplate","type":"object","required":["meta","id"],"properties":{"meta":{"allOf":[{"$ref":"template-common.v1.schema.json#/definitions/meta"},{"type":"object","properties":{"schema":{"const":"mall-template.v1"}}}]},"id":{"$ref":"template-common.v1.schema.json#/definitions/id"},"grid":{"$ref":"template-common.v1.schema.json#/definitions/grid"},"gridSize":{"$ref":"template-common.v1.schema.json#/definitions/grid"},"rect":{"$ref":"template-common.v1.schema.json#/definitions/rect"},"shape":{"$ref":"template-common.v1.schema.json#/definitions/shape"},"scale":{"$ref":"template-common.v1.schema.json#/definitions/scale"},"units":{"type":"array","items":{"type":"object","required":["id","rect"],"properties":{"id":{"$ref":"template-common.v1.schema.json#/definitions/id"},"name":{"type":"string"},"rect":{"$ref":"template-common.v1.schema.json#/definitions/rect"},"shape":{"$ref":"template-common.v1.schema.json#/definitions/shape"},"type":{"$ref":"template-common.v1.schema.json#/definitions/unitType"},"entrance":{"$ref":"template-common.v1.schema.json#/definitions/entrance"},"occupancy":{"$ref":"template-common.v1.schema.json#/definitions/occupancy"}}}},"levels":{"type":"array","items":{"type":"object","required":["id","tiles","edges"],"properties":{"id":{"$ref":"template-common.v1.schema.json#/definitions/id"},"name":{"type":"string"},"elevation":{"type":"number"},"tiles":{"type":"object"},"edges":{"type":"object"}}}},"verticalLinks":{"type":"array","items":{"type":"object","required":["type","fromLevel","toLevel","rect"],"properties":{"type":{"enum":["stair","escalator","elevator"]},"fromLevel":{"type":"string"},"toLevel":{"type":"string"},"rect":{"$ref":"template-common.v1.schema.json#/definitions/rect"}}}},"created":{"type":"string"},"sceneData":{"type":"object"}}};const schema15 = {"type":"string","pattern":"\\S"};const schema17 = {"type":"object","required":["width","height"],"properties":{"width":{"type":"integer","minimum":1},"height":{"type":"integer","minimum":1},"cellSize":{"type":"number","exclusiveMinimum":0}}};const schema19 = {"type":"object","required":["x","y","w","h"],"properties":{"x":{"type":"integer"},"y":{"type":"integer"},"w":{"type":"integer","minimum":1},"h":{"type":"integer","minimum":1}}};const schema23 = {"description":"Real-world size of one grid cell and the units lengths are shown in; independent of the pixel cellSize","type":"object","required":["cellMeters"],"properties":{"cellMeters":{"type":"number","exclusiveMinimum":0},"units":{"enum":["metric","imperial"]}}};const schema26 = {"enum":["retail","service","food","kiosk","corridor"]};const schema27 = {"type":"object","required":["side","offset"],"properties":{"side":{"enum":["north","south","east","west"]},"offset":{"type":"integer","minimum":0}}};const schema13 = {"type":"object","required":["schema"],"properties":{"schema":{"type":"string"},"version":{"type":"string","pattern":"^\\d+\\.\\d+$"},"name":{"type":"string"},"parent":{"$ref":"#/definitions/parentRef"}}};const pattern0 = new RegExp("^\\d+\\.\\d+$", "u");const schema14 = {"type":"object","required":["id"],"properties":{"id":{"$ref":"#/definitions/id"},"schema":{"type":"string"},"path":{"type":"string"}}};const pattern1 = new RegExp("\\S", "u");function validate13(data, {instancePath="", parentData, parentDataProperty, rootData=data}={}){let vErrors = null;let errors = 0;if(data && typeof data == "object" && !Array.isArray(data)){if(data.id === undefined){const err0 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "id"},message:"must have required property '"+"id"+"'"};if(vErrors === null){vErrors = [err0];}else {vErrors.push(err0);}errors++;}if(data.id !== undefined){let data0 = data.id;if(typeof data0 === "string"){if(!pattern1.test(data0)){const err1 = {instancePath:instancePath+"/id",schemaPath:"#/definitions/id/pattern",keyword:"pattern",params:{pattern: "\\S"},message:"must match pattern \""+"\\S"+"\""};if(vErrors === null){vErrors = [err1];}else {vErrors.push(err1);}errors++;}}else {const err2 = {instancePath:instancePath+"/id",schemaPath:"#/definitions/id/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err2];}else {vErrors.push(err2);}errors++;}}if(data.schema !== undefined){if(typeof data.schema !== "string"){const err3 = {instancePath:instancePath+"/schema",schemaPath:"#/properties/schema/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err3];}else {vErrors.push(err3);}errors++;}}if(data.path !== undefined){if(typeof data.path !== "string"){const err4 = {instancePath:instancePath+"/path",schemaPath:"#/properties/path/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err4];}else {vErrors.push(err4);}errors++;}}}else {const err5 = {instancePath,schemaPath:"#/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err5];}else {vErrors.push(err5);}errors++;}validate13.errors = vErrors;return errors === 0;}function validate12(data, {instancePath="", parentData, parentDataProperty, rootData=data}={}){let vErrors = null;let errors = 0;if(data && typeof data == "object" && !Array.isArray(data)){if(data.schema === undefined){const err0 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "schema"},message:"must have required property '"+"schema"+"'"};if(vErrors === null){vErrors = [err0];}else {vErrors.push(err0);}errors++;}if(data.schema !== undefined){if(typeof data.schema !== "string"){const err1 = {instancePath:instancePath+"/schema",schemaPath:"#/properties/schema/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err1];}else {vErrors.push(err1);}errors++;}}if(data.version !== undefined){let data1 = data.version;if(typeof data1 === "string"){if(!pattern0.test(data1)){const err2 = {instancePath:instancePath+"/version",schemaPath:"#/properties/version/pattern",keyword:"pattern",params:{pattern: "^\\d+\\.\\d+$"},message:"must match pattern \""+"^\\d+\\.\\d+$"+"\""};if(vErrors === null){vErrors = [err2];}else {vErrors.push(err2);}errors++;}}else {const err3 = {instancePath:instancePath+"/version",schemaPath:"#/properties/version/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err3];}else {vErrors.push(err3);}errors++;}}if(data.name !== undefined){if(typeof data.name !== "string"){const err4 = {instancePath:instancePath+"/name",schemaPath:"#/properties/name/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err4];}else {vErrors.push(err4);}errors++;}}if(data.parent !== undefined){if(!(validate13(data.parent, {instancePath:instancePath+"/parent",parentData:data,parentDataProperty:"parent",rootData}))){vErrors = vErrors === null ? validate13.errors : vErrors.concat(validate13.errors);errors = vErrors.length;}}}else {const err5 = {instancePath,schemaPath:"#/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err5];}else {vErrors.push(err5);}errors++;}validate12.errors = vErrors;return errors === 0;}const schema20 = {"description":"Exact region inside rect: grid cells, or a closed rectilinear outline through grid corners","type":"object","oneOf":[{"type":"object","required":["cells"],"properties":{"cells":{"type":"array","minItems":1,"items":{"$ref":"#/definitions/point"}}}},{"type":"object","required":["outline"],"properties":{"outline":{"type":"array","minItems":4,"items":{"$ref":"#/definitions/point"}}}}]};const schema21 = {"type":"array","items":[{"type":"integer"},{"type":"integer"}],"minItems":2,"additionalItems":false};function validate16(data, {instancePath="", parentData, parentDataProperty, rootData=data}={}){let vErrors = null;let errors = 0;if(!(data && typeof data == "object" && !Array.isArray(data))){const err0 = {instancePath,schemaPath:"#/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err0];}else {vErrors.push(err0);}errors++;}const _errs1 = errors;let valid0 = false;let passing0 = null;const _errs2 = errors;if(data && typeof data == "object" && !Array.isArray(data)){if(data.cells === undefined){const err1 = {instancePath,schemaPath:"#/oneOf/0/required",keyword:"required",params:{missingProperty: "cells"},message:"must have required property '"+"cells"+"'"};if(vErrors === null){vErrors = [err1];}else {vErrors.push(err1);}errors++;}if(data.cells !== undefined){let data0 = data.cells;if(Array.isArray(data0)){if(data0.length < 1){const err2 = {instancePath:instancePath+"/cells",schemaPath:"#/oneOf/0/properties/cells/minItems",keyword:"minItems",params:{limit: 1},message:"must NOT have fewer than 1 items"};if(vErrors === null){vErrors = [err2];}else {vErrors.push(err2);}errors++;}const len0 = data0.length;for(let i0=0; i0<len0; i0++){let data1 = data0[i0];if(Array.isArray(data1)){if(data1.length < 2){const err3 = {instancePath:instancePath+"/cells/" + i0,schemaPath:"#/definitions/point/minItems",keyword:"minItems",params:{limit: 2},message:"must NOT have fewer than 2 items"};if(vErrors === null){vErrors = [err3];}else {vErrors.push(err3);}errors++;}const len1 = data1.length;if(!(len1 <= 2)){const err4 = {instancePath:instancePath+"/cells/" + i0,schemaPath:"#/definitions/point/additionalItems",keyword:"additionalItems",params:{limit: 2},message:"must NOT have more than 2 items"};if(vErrors === null){vErrors = [err4];}else {vErrors.push(err4);}errors++;}const len2 = data1.length;if(len2 > 0){let data2 = data1[0];if(!(((typeof data2 == "number") && (!(data2 % 1) && !isNaN(data2))) && (isFinite(data2)))){const err5 = {instancePath:instancePath+"/cells/" + i0+"/0",schemaPath:"#/definitions/point/items/0/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err5];}else {vErrors.push(err5);}errors++;}}if(len2 > 1){let data3 = data1[1];if(!(((typeof data3 == "number") && (!(data3 % 1) && !isNaN(data3))) && (isFinite(data3)))){const err6 = {instancePath:instancePath+"/cells/" + i0+"/1",schemaPath:"#/definitions/point/items/1/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err6];}else {vErrors.push(err6);}errors++;}}}else {const err7 = {instancePath:instancePath+"/cells/" + i0,schemaPath:"#/definitions/point/type",keyword:"type",params:{type: "array"},message:"must be array"};if(vErrors === null){vErrors = [err7];}else {vErrors.push(err7);}errors++;}}}else {const err8 = {instancePath:instancePath+"/cells",schemaPath:"#/oneOf/0/properties/cells/type",keyword:"type",params:{type: "array"},message:"must be array"};if(vErrors === null){vErrors = [err8];}else {vErrors.push(err8);}errors++;}}}else {const err9 = {instancePath,schemaPath:"#/oneOf/0/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err9];}else {vErrors.push(err9);}errors++;}var _valid0 = _errs2 === errors;if(_valid0){valid0 = true;passing0 = 0;}const _errs13 = errors;if(data && typeof data == "object" && !Array.isArray(data)){if(data.outline === undefined){const err10 = {instancePath,schemaPath:"#/oneOf/1/required",keyword:"required",params:{missingProperty: "outline"},message:"must have required property '"+"outline"+"'"};if(vErrors === null){vErrors = [err10];}else {vErrors.push(err10);}errors++;}if(data.outline !== undefined){let data4 = data.outline;if(Array.isArray(data4)){if(data4.length < 4){const err11 = {instancePath:instancePath+"/outline",schemaPath:"#/oneOf/1/properties/outline/minItems",keyword:"minItems",params:{limit: 4},message:"must NOT have fewer than 4 items"};if(vErrors === null){vErrors = [err11];}else {vErrors.push(err11);}errors++;}const len3 = data4.length;for(let i1=0; i1<len3; i1++){let data5 = data4[i1];if(Array.isArray(data5)){if(data5.length < 2){const err12 = {instancePath:instancePath+"/outline/" + i1,schemaPath:"#/definitions/point/minItems",keyword:"minItems",params:{limit: 2},message:"must NOT have fewer than 2 items"};if(vErrors === null){vErrors = [err12];}else {vErrors.push(err12);}errors++;}const len4 = data5.length;if(!(len4 <= 2)){const err13 = {instancePath:instancePath+"/outline/" + i1,schemaPath:"#/definitions/point/additionalItems",keyword:"additionalItems",params:{limit: 2},message:"must NOT have more than 2 items"};if(vErrors === null){vErrors = [err13];}else {vErrors.push(err13);}errors++;}const len5 = data5.length;if(len5 > 0){let data6 = data5[0];if(!(((typeof data6 == "number") && (!(data6 % 1) && !isNaN(data6))) && (isFinite(data6)))){const err14 = {instancePath:instancePath+"/outline/" + i1+"/0",schemaPath:"#/definitions/point/items/0/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err14];}else {vErrors.push(err14);}errors++;}}if(len5 > 1){let data7 = data5[1];if(!(((typeof data7 == "number") && (!(data7 % 1) && !isNaN(data7))) && (isFinite(data7)))){const err15 = {instancePath:instancePath+"/outline/" + i1+"/1",schemaPath:"#/definitions/point/items/1/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err15];}else {vErrors.push(err15);}errors++;}}}else {const err16 = {instancePath:instancePath+"/outline/" + i1,schemaPath:"#/definitions/point/type",keyword:"type",params:{type: "array"},message:"must be array"};if(vErrors === null){vErrors = [err16];}else {vErrors.push(err16);}errors++;}}}else {const err17 = {instancePath:instancePath+"/outline",schemaPath:"#/oneOf/1/properties/outline/type",keyword:"type",params:{type: "array"},message:"must be array"};if(vErrors === null){vErrors = [err17];}else {vErrors.push(err17);}errors++;}}}else {const err18 = {instancePath,schemaPath:"#/oneOf/1/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err18];}else {vErrors.push(err18);}errors++;}var _valid0 = _errs13 === errors;if(_valid0 && valid0){valid0 = false;passing0 = [passing0, 1];}else {if(_valid0){valid0 = true;passing0 = 1;}}if(!valid0){const err19 = {instancePath,schemaPath:"#/oneOf",keyword:"oneOf",params:{passingSchemas: passing0},message:"must match exactly one schema in oneOf"};if(vErrors === null){vErrors = [err19];}else {vErrors.push(err19);}errors++;}else {errors = _errs1;if(vErrors !== null){if(_errs1){vErrors.length = _errs1;}else {vErrors = null;}}}validate16.errors = vErrors;return errors === 0;}const schema28 = {"description":"Letting status of a mall unit: occupied units name their tenant, vacant units have no tenant or start date","type":"object","required":["status"],"properties":{"status":{"enum":["vacant","occupied","reserved"]},"tenantId":{"$ref":"#/definitions/tenantId"},"since":{"$ref":"#/definitions/date"}},"additionalProperties":false,"allOf":[{"if":{"type":"object","required":["status"],"properties":{"status":{"const":"occupied"}}},"then":{"type":"object","required":["tenantId"],"properties":{"tenantId":{"type":"string"}}}},{"if":{"type":"object","required":["status"],"properties":{"status":{"const":"vacant"}}},"then":{"type":"object","properties":{"tenantId":false,"since":false}}}]};const schema29 = {"type":"string","pattern":"^tenant-[a-z0-9-]+$"};const schema30 = {"description":"Calendar date, YYYY-MM-DD","type":"string","pattern":"^\\d{4}-\\d{2}-\\d{2}$"};const pattern4 = new RegExp("^tenant-[a-z0-9-]+$", "u");const pattern5 = new RegExp("^\\d{4}-\\d{2}-\\d{2}$", "u");function validate19(data, {instancePath="", parentData, parentDataProperty, rootData=data}={}){let vErrors = null;let errors = 0;const _errs2 = errors;let valid1 = true;const _errs3 = errors;if(errors === _errs3){if(data && typeof data == "object" && !Array.isArray(data)){let missing0;if((data.status === undefined) && (missing0 = "status")){const err0 = {};if(vErrors === null){vErrors = [err0];}else {vErrors.push(err0);}errors++;}else {if(data.status !== undefined){if("occupied" !== data.status){const err1 = {};if(vErrors === null){vErrors = [err1];}else {vErrors.push(err1);}errors++;}}}}else {const err2 = {};if(vErrors === null){vErrors = [err2];}else {vErrors.push(err2);}errors++;}}var _valid0 = _errs3 === errors;errors = _errs2;if(vErrors !== null){if(_errs2){vErrors.length = _errs2;}else {vErrors = null;}}if(_valid0){const _errs6 = errors;if(data && typeof data == "object" && !Array.isArray(data)){if(data.tenantId === undefined){const err3 = {instancePath,schemaPath:"#/allOf/0/then/required",keyword:"required",params:{missingProperty: "tenantId"},message:"must have required property '"+"tenantId"+"'"};if(vErrors === null){vErrors = [err3];}else {vErrors.push(err3);}errors++;}if(data.tenantId !== undefined){if(typeof data.tenantId !== "string"){const err4 = {instancePath:instancePath+"/tenantId",schemaPath:"#/allOf/0/then/properties/tenantId/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err4];}else {vErrors.push(err4);}errors++;}}}else {const err5 = {instancePath,schemaPath:"#/allOf/0/then/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err5];}else {vErrors.push(err5);}errors++;}var _valid0 = _errs6 === errors;valid1 = _valid0;}if(!valid1){const err6 = {instancePath,schemaPath:"#/allOf/0/if",keyword:"if",params:{failingKeyword: "then"},message:"must match \"then\" schema"};if(vErrors === null){vErrors = [err6];}else {vErrors.push(err6);}errors++;}const _errs11 = errors;let valid4 = true;const _errs12 = errors;if(errors === _errs12){if(data && typeof data == "object" && !Array.isArray(data)){let missing1;if((data.status === undefined) && (missing1 = "status")){const err7 = {};if(vErrors === null){vErrors = [err7];}else {vErrors.push(err7);}errors++;}else {if(data.status !== undefined){if("vacant" !== data.status){const err8 = {};if(vErrors === null){vErrors = [err8];}else {vErrors.push(err8);}errors++;}}}}else {const err9 = {};if(vErrors === null){vErrors = [err9];}else {vErrors.push(err9);}errors++;}}var _valid1 = _errs12 === errors;errors = _errs11;if(vErrors !== null){if(_errs11){vErrors.length = _errs11;}else {vErrors = null;}}if(_valid1){const _errs15 = errors;if(data && typeof data == "object" && !Array.isArray(data)){if(data.tenantId !== undefined){const err10 = {instancePath:instancePath+"/tenantId",schemaPath:"#/allOf/1/then/properties/tenantId/false schema",keyword:"false schema",params:{},message:"boolean schema is false"};if(vErrors === null){vErrors = [err10];}else {vErrors.push(err10);}errors++;}if(data.since !== undefined){const err11 = {instancePath:instancePath+"/since",schemaPath:"#/allOf/1/then/properties/since/false schema",keyword:"false schema",params:{},message:"boolean schema is false"};if(vErrors === null){vErrors = [err11];}else {vErrors.push(err11);}errors++;}}else {const err12 = {instancePath,schemaPath:"#/allOf/1/then/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err12];}else {vErrors.push(err12);}errors++;}var _valid1 = _errs15 === errors;valid4 = _valid1;}if(!valid4){const err13 = {instancePath,schemaPath:"#/allOf/1/if",keyword:"if",params:{failingKeyword: "then"},message:"must match \"then\" schema"};if(vErrors === null){vErrors = [err13];}else {vErrors.push(err13);}errors++;}if(data && typeof data == "object" && !Array.isArray(data)){if(data.status === undefined){const err14 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "status"},message:"must have required property '"+"status"+"'"};if(vErrors === null){vErrors = [err14];}else {vErrors.push(err14);}errors++;}for(const key0 in data){if(!(((key0 === "status") || (key0 === "tenantId")) || (key0 === "since"))){const err15 = {instancePath,schemaPath:"#/additionalProperties",keyword:"additionalProperties",params:{additionalProperty: key0},message:"must NOT have additional properties"};if(vErrors === null){vErrors = [err15];}else {vErrors.push(err15);}errors++;}}if(data.status !== undefined){let data5 = data.status;if(!(((data5 === "vacant") || (data5 === "occupied")) || (data5 === "reserved"))){const err16 = {instancePath:instancePath+"/status",schemaPath:"#/properties/status/enum",keyword:"enum",params:{allowedValues: schema28.properties.status.enum},message:"must be equal to one of the allowed values"};if(vErrors === null){vErrors = [err16];}else {vErrors.push(err16);}errors++;}}if(data.tenantId !== undefined){let data6 = data.tenantId;if(typeof data6 === "string"){if(!pattern4.test(data6)){const err17 = {instancePath:instancePath+"/tenantId",schemaPath:"#/definitions/tenantId/pattern",keyword:"pattern",params:{pattern: "^tenant-[a-z0-9-]+$"},message:"must match pattern \""+"^tenant-[a-z0-9-]+$"+"\""};if(vErrors === null){vErrors = [err17];}else {vErrors.push(err17);}errors++;}}else {const err18 = {instancePath:instancePath+"/tenantId",schemaPath:"#/definitions/tenantId/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err18];}else {vErrors.push(err18);}errors++;}}if(data.since !== undefined){let data7 = data.since;if(typeof data7 === "string"){if(!pattern5.test(data7)){const err19 = {instancePath:instancePath+"/since",schemaPath:"#/definitions/date/pattern",keyword:"pattern",params:{pattern: "^\\d{4}-\\d{2}-\\d{2}$"},message:"must match pattern \""+"^\\d{4}-\\d{2}-\\d{2}$"+"\""};if(vErrors === null){vErrors = [err19];}else {vErrors.push(err19);}errors++;}}else {const err20 = {instancePath:instancePath+"/since",schemaPath:"#/definitions/date/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err20];}else {vErrors.push(err20);}errors++;}}}else {const err21 = {instancePath,schemaPath:"#/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err21];}else {vErrors.push(err21);}errors++;}validate19.errors = vErrors;return errors === 0;}function validate10(data, {instancePath="", parentData, parentDataProperty, rootData=data}={}){/*# sourceURL="https://example.com/schemas/mall-template.v1.schema.json" */;let vErrors = null;let errors = 0;if(data && typeof data == "object" && !Array.isArray(data)){if(data.meta === undefined){const err0 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "meta"},message:"must have required property '"+"meta"+"'"};if(vErrors === null){vErrors = [err0];}else {vErrors.push(err0);}errors++;}if(data.id === undefined){const err1 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "id"},message:"must have required property '"+"id"+"'"};if(vErrors === null){vErrors = [err1];}else {vErrors.push(err1);}errors++;}if(data.meta !== undefined){let data0 = data.meta;if(!(validate12(data0, {instancePath:instancePath+"/meta",parentData:data,parentDataProperty:"meta",rootData}))){vErrors = vErrors === null ? validate12.errors : vErrors.concat(validate12.errors);errors = vErrors.length;}if(data0 && typeof data0 == "object" && !Array.isArray(data0)){if(data0.schema !== undefined){if("mall-template.v1" !== data0.schema){const err2 = {instancePath:instancePath+"/meta/schema",schemaPath:"#/properties/meta/allOf/1/properties/schema/const",keyword:"const",params:{allowedValue: "mall-template.v1"},message:"must be equal to constant"};if(vErrors === null){vErrors = [err2];}else {vErrors.push(err2);}errors++;}}}else {const err3 = {instancePath:instancePath+"/meta",schemaPath:"#/properties/meta/allOf/1/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err3];}else {vErrors.push(err3);}errors++;}}if(data.id !== undefined){let data2 = data.id;if(typeof data2 === "string"){if(!pattern1.test(data2)){const err4 = {instancePath:instancePath+"/id",schemaPath:"template-common.v1.schema.json#/definitions/id/pattern",keyword:"pattern",params:{pattern: "\\S"},message:"must match pattern \""+"\\S"+"\""};if(vErrors === null){vErrors = [err4];}else {vErrors.push(err4);}errors++;}}else {const err5 = {instancePath:instancePath+"/id",schemaPath:"template-common.v1.schema.json#/definitions/id/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err5];}else {vErrors.push(err5);}errors++;}}if(data.grid !== undefined){let data3 = data.grid;if(data3 && typeof data3 == "object" && !Array.isArray(data3)){if(data3.width === undefined){const err6 = {instancePath:instancePath+"/grid",schemaPath:"template-common.v1.schema.json#/definitions/grid/required",keyword:"required",params:{missingProperty: "width"},message:"must have required property '"+"width"+"'"};if(vErrors === null){vErrors = [err6];}else {vErrors.push(err6);}errors++;}if(data3.height === undefined){const err7 = {instancePath:instancePath+"/grid",schemaPath:"template-common.v1.schema.json#/definitions/grid/required",keyword:"required",params:{missingProperty: "height"},message:"must have required property '"+"height"+"'"};if(vErrors === null){vErrors = [err7];}else {vErrors.push(err7);}errors++;}if(data3.width !== undefined){let data4 = data3.width;if(!(((typeof data4 == "number") && (!(data4 % 1) && !isNaN(data4))) && (isFinite(data4)))){const err8 = {instancePath:instancePath+"/grid/width",schemaPath:"template-common.v1.schema.json#/definitions/grid/properties/width/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err8];}else {vErrors.push(err8);}errors++;}if((typeof data4 == "number") && (isFinite(data4))){if(data4 < 1 || isNaN(data4)){const err9 = {instancePath:instancePath+"/grid/width",schemaPath:"template-common.v1.schema.json#/definitions/grid/properties/width/minimum",keyword:"minimum",params:{comparison: ">=", limit: 1},message:"must be >= 1"};if(vErrors === null){vErrors = [err9];}else {vErrors.push(err9);}errors++;}}}if(data3.height !== undefined){let data5 = data3.height;if(!(((typeof data5 == "number") && (!(data5 % 1) && !isNaN(data5))) && (isFinite(data5)))){const err10 = {instancePath:instancePath+"/grid/height",schemaPath:"template-common.v1.schema.json#/definitions/grid/properties/height/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err10];}else {vErrors.push(err10);}errors++;}if((typeof data5 == "number") && (isFinite(data5))){if(data5 < 1 || isNaN(data5)){const err11 = {instancePath:instancePath+"/grid/height",schemaPath:"template-common.v1.schema.json#/definitions/grid/properties/height/minimum",keyword:"minimum",params:{comparison: ">=", limit: 1},message:"must be >= 1"};if(vErrors === null){vErrors = [err11];}else {vErrors.push(err11);}errors++;}}}if(data3.cellSize !== undefined){let data6 = data3.cellSize;if((typeof data6 == "number") && (isFinite(data6))){if(data6 <= 0 || isNaN(data6)){const err12 = {instancePath:instancePath+"/grid/cellSize",schemaPath:"template-common.v1.schema.json#/definitions/grid/properties/cellSize/exclusiveMinimum",keyword:"exclusiveMinimum",params:{comparison: ">", limit: 0},message:"must be > 0"};if(vErrors === null){vErrors = [err12];}else {vErrors.push(err12);}errors++;}}else {const err13 = {instancePath:instancePath+"/grid/cellSize",schemaPath:"template-common.v1.schema.json#/definitions/grid/properties/cellSize/type",keyword:"type",params:{type: "number"},message:"must be number"};if(vErrors === null){vErrors = [err13];}else {vErrors.push(err13);}errors++;}}}else {const err14 = {instancePath:instancePath+"/grid",schemaPath:"template-common.v1.schema.json#/definitions/grid/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err14];}else {vErrors.push(err14);}errors++;}}if(data.gridSize !== undefined){let data7 = data.gridSize;if(data7 && typeof data7 == "object" && !Array.isArray(data7)){if(data7.width === undefined){const err15 = {instancePath:instancePath+"/gridSize",schemaPath:"template-common.v1.schema.json#/definitions/grid/required",keyword:"required",params:{missingProperty: "width"},message:"must have required property '"+"width"+"'"};if(vErrors === null){vErrors = [err15];}else {vErrors.push(err15);}errors++;}if(data7.height === undefined){const err16 = {instancePath:instancePath+"/gridSize",schemaPath:"template-common.v1.schema.json#/definitions/grid/required",keyword:"required",params:{missingProperty: "height"},message:"must have required property '"+"height"+"'"};if(vErrors === null){vErrors = [err16];}else {vErrors.push(err16);}errors++;}if(data7.width !== undefined){let data8 = data7.width;if(!(((typeof data8 == "number") && (!(data8 % 1) && !isNaN(data8))) && (isFinite(data8)))){const err17 = {instancePath:instancePath+"/gridSize/width",schemaPath:"template-common.v1.schema.json#/definitions/grid/properties/width/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err17];}else {vErrors.push(err17);}errors++;}if((typeof data8 == "number") && (isFinite(data8))){if(data8 < 1 || isNaN(data8)){const err18 = {instancePath:instancePath+"/gridSize/width",schemaPath:"template-common.v1.schema.json#/definitions/grid/properties/width/minimum",keyword:"minimum",params:{comparison: ">=", limit: 1},message:"must be >= 1"};if(vErrors === null){vErrors = [err18];}else {vErrors.push(err18);}errors++;}}}if(data7.height !== undefined){let data9 = data7.height;if(!(((typeof data9 == "number") && (!(data9 % 1) && !isNaN(data9))) && (isFinite(data9)))){const err19 = {instancePath:instancePath+"/gridSize/height",schemaPath:"template-common.v1.schema.json#/definitions/grid/properties/height/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err19];}else {vErrors.push(err19);}errors++;}if((typeof data9 == "number") && (isFinite(data9))){if(data9 < 1 || isNaN(data9)){const err20 = {instancePath:instancePath+"/gridSize/height",schemaPath:"template-common.v1.schema.json#/definitions/grid/properties/height/minimum",keyword:"minimum",params:{comparison: ">=", limit: 1},message:"must be >= 1"};if(vErrors === null){vErrors = [err20];}else {vErrors.push(err20);}errors++;}}}if(data7.cellSize !== undefined){let data10 = data7.cellSize;if((typeof data10 == "number") && (isFinite(data10))){if(data10 <= 0 || isNaN(data10)){const err21 = {instancePath:instancePath+"/gridSize/cellSize",schemaPath:"template-common.v1.schema.json#/definitions/grid/properties/cellSize/exclusiveMinimum",keyword:"exclusiveMinimum",params:{comparison: ">", limit: 0},message:"must be > 0"};if(vErrors === null){vErrors = [err21];}else {vErrors.push(err21);}errors++;}}else {const err22 = {instancePath:instancePath+"/gridSize/cellSize",schemaPath:"template-common.v1.schema.json#/definitions/grid/properties/cellSize/type",keyword:"type",params:{type: "number"},message:"must be number"};if(vErrors === null){vErrors = [err22];}else {vErrors.push(err22);}errors++;}}}else {const err23 = {instancePath:instancePath+"/gridSize",schemaPath:"template-common.v1.schema.json#/definitions/grid/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err23];}else {vErrors.push(err23);}errors++;}}if(data.rect !== undefined){let data11 = data.rect;if(data11 && typeof data11 == "object" && !Array.isArray(data11)){if(data11.x === undefined){const err24 = {instancePath:instancePath+"/rect",schemaPath:"template-common.v1.schema.json#/definitions/rect/required",keyword:"required",params:{missingProperty: "x"},message:"must have required property '"+"x"+"'"};if(vErrors === null){vErrors = [err24];}else {vErrors.push(err24);}errors++;}if(data11.y === undefined){const err25 = {instancePath:instancePath+"/rect",schemaPath:"template-common.v1.schema.json#/definitions/rect/required",keyword:"required",params:{missingProperty: "y"},message:"must have required property '"+"y"+"'"};if(vErrors === null){vErrors = [err25];}else {vErrors.push(err25);}errors++;}if(data11.w === undefined){const err26 = {instancePath:instancePath+"/rect",schemaPath:"template-common.v1.schema.json#/definitions/rect/required",keyword:"required",params:{missingProperty: "w"},message:"must have required property '"+"w"+"'"};if(vErrors === null){vErrors = [err26];}else {vErrors.push(err26);}errors++;}if(data11.h === undefined){const err27 = {instancePath:instancePath+"/rect",schemaPath:"template-common.v1.schema.json#/definitions/rect/required",keyword:"required",params:{missingProperty: "h"},message:"must have required property '"+"h"+"'"};if(vErrors === null){vErrors = [err27];}else {vErrors.push(err27);}errors++;}if(data11.x !== undefined){let data12 = data11.x;if(!(((typeof data12 == "number") && (!(data12 % 1) && !isNaN(data12))) && (isFinite(data12)))){const err28 = {instancePath:instancePath+"/rect/x",schemaPath:"template-common.v1.schema.json#/definitions/rect/properties/x/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err28];}else {vErrors.push(err28);}errors++;}}if(data11.y !== undefined){let data13 = data11.y;if(!(((typeof data13 == "number") && (!(data13 % 1) && !isNaN(data13))) && (isFinite(data13)))){const err29 = {instancePath:instancePath+"/rect/y",schemaPath:"template-common.v1.schema.json#/definitions/rect/properties/y/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err29];}else {vErrors.push(err29);}errors++;}}if(data11.w !== undefined){let data14 = data11.w;if(!(((typeof data14 == "number") && (!(data14 % 1) && !isNaN(data14))) && (isFinite(data14)))){const err30 = {instancePath:instancePath+"/rect/w",schemaPath:"template-common.v1.schema.json#/definitions/rect/properties/w/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err30];}else {vErrors.push(err30);}errors++;}if((typeof data14 == "number") && (isFinite(data14))){if(data14 < 1 || isNaN(data14)){const err31 = {instancePath:instancePath+"/rect/w",schemaPath:"template-common.v1.schema.json#/definitions/rect/properties/w/minimum",keyword:"minimum",params:{comparison: ">=", limit: 1},message:"must be >= 1"};if(vErrors === null){vErrors = [err31];}else {vErrors.push(err31);}errors++;}}}if(data11.h !== undefined){let data15 = data11.h;if(!(((typeof data15 == "number") && (!(data15 % 1) && !isNaN(data15))) && (isFinite(data15)))){const err32 = {instancePath:instancePath+"/rect/h",schemaPath:"template-common.v1.schema.json#/definitions/rect/properties/h/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err32];}else {vErrors.push(err32);}errors++;}if((typeof data15 == "number") && (isFinite(data15))){if(data15 < 1 || isNaN(data15)){const err33 = {instancePath:instancePath+"/rect/h",schemaPath:"template-common.v1.schema.json#/definitions/rect/properties/h/minimum",keyword:"minimum",params:{comparison: ">=", limit: 1},message:"must be >= 1"};if(vErrors === null){vErrors = [err33];}else {vErrors.push(err33);}errors++;}}}}else {const err34 = {instancePath:instancePath+"/rect",schemaPath:"template-common.v1.schema.json#/definitions/rect/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err34];}else {vErrors.push(err34);}errors++;}}if(data.shape !== undefined){if(!(validate16(data.shape, {instancePath:instancePath+"/shape",parentData:data,parentDataProperty:"shape",rootData}))){vErrors = vErrors === null ? validate16.errors : vErrors.concat(validate16.errors);errors = vErrors.length;}}if(data.scale !== undefined){let data17 = data.scale;if(data17 && typeof data17 == "object" && !Array.isArray(data17)){if(data17.cellMeters === undefined){const err35 = {instancePath:instancePath+"/scale",schemaPath:"template-common.v1.schema.json#/definitions/scale/required",keyword:"required",params:{missingProperty: "cellMeters"},message:"must have required property '"+"cellMeters"+"'"};if(vErrors === null){vErrors = [err35];}else {vErrors.push(err35);}errors++;}if(data17.cellMeters !== undefined){let data18 = data17.cellMeters;if((typeof data18 == "number") && (isFinite(data18))){if(data18 <= 0 || isNaN(data18)){const err36 = {instancePath:instancePath+"/scale/cellMeters",schemaPath:"template-common.v1.schema.json#/definitions/scale/properties/cellMeters/exclusiveMinimum",keyword:"exclusiveMinimum",params:{comparison: ">", limit: 0},message:"must be > 0"};if(vErrors === null){vErrors = [err36];}else {vErrors.push(err36);}errors++;}}else {const err37 = {instancePath:instancePath+"/scale/cellMeters",schemaPath:"template-common.v1.schema.json#/definitions/scale/properties/cellMeters/type",keyword:"type",params:{type: "number"},message:"must be number"};if(vErrors === null){vErrors = [err37];}else {vErrors.push(err37);}errors++;}}if(data17.units !== undefined){let data19 = data17.units;if(!((data19 === "metric") || (data19 === "imperial"))){const err38 = {instancePath:instancePath+"/scale/units",schemaPath:"template-common.v1.schema.json#/definitions/scale/properties/units/enum",keyword:"enum",params:{allowedValues: schema23.properties.units.enum},message:"must be equal to one of the allowed values"};if(vErrors === null){vErrors = [err38];}else {vErrors.push(err38);}errors++;}}}else {const err39 = {instancePath:instancePath+"/scale",schemaPath:"template-common.v1.schema.json#/definitions/scale/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err39];}else {vErrors.push(err39);}errors++;}}if(data.units !== undefined){let data20 = data.units;if(Array.isArray(data20)){const len0 = data20.length;for(let i0=0; i0<len0; i0++){let data21 = data20[i0];if(data21 && typeof data21 == "object" && !Array.isArray(data21)){if(data21.id === undefined){const err40 = {instancePath:instancePath+"/units/" + i0,schemaPath:"#/properties/units/items/required",keyword:"required",params:{missingProperty: "id"},message:"must have required property '"+"id"+"'"};if(vErrors === null){vErrors = [err40];}else {vErrors.push(err40);}errors++;}if(data21.rect === undefined){const err41 = {instancePath:instancePath+"/units/" + i0,schemaPath:"#/properties/units/items/required",keyword:"required",params:{missingProperty: "rect"},message:"must have required property '"+"rect"+"'"};if(vErrors === null){vErrors = [err41];}else {vErrors.push(err41);}errors++;}if(data21.id !== undefined){let data22 = data21.id;if(typeof data22 === "string"){if(!pattern1.test(data22)){const err42 = {instancePath:instancePath+"/units/" + i0+"/id",schemaPath:"template-common.v1.schema.json#/definitions/id/pattern",keyword:"pattern",params:{pattern: "\\S"},message:"must match pattern \""+"\\S"+"\""};if(vErrors === null){vErrors = [err42];}else {vErrors.push(err42);}errors++;}}else {const err43 = {instancePath:instancePath+"/units/" + i0+"/id",schemaPath:"template-common.v1.schema.json#/definitions/id/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err43];}else {vErrors.push(err43);}errors++;}}if(data21.name !== undefined){if(typeof data21.name !== "string"){const err44 = {instancePath:instancePath+"/units/" + i0+"/name",schemaPath:"#/properties/units/items/properties/name/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err44];}else {vErrors.push(err44);}errors++;}}if(data21.rect !== undefined){let data24 = data21.rect;if(data24 && typeof data24 == "object" && !Array.isArray(data24)){if(data24.x === undefined){const err45 = {instancePath:instancePath+"/units/" + i0+"/rect",schemaPath:"template-common.v1.schema.json#/definitions/rect/required",keyword:"required",params:{missingProperty: "x"},message:"must have required property '"+"x"+"'"};if(vErrors === null){vErrors = [err45];}else {vErrors.push(err45);}errors++;}if(data24.y === undefined){const err46 = {instancePath:instancePath+"/units/" + i0+"/rect",schemaPath:"template-common.v1.schema.json#/definitions/rect/required",keyword:"required",params:{missingProperty: "y"},message:"must have required property '"+"y"+"'"};if(vErrors === null){vErrors = [err46];}else {vErrors.push(err46);}errors++;}if(data24.w === undefined){const err47 = {instancePath:instancePath+"/units/" + i0+"/rect",schemaPath:"template-common.v1.schema.json#/definitions/rect/required",keyword:"required",params:{missingProperty: "w"},message:"must have required property '"+"w"+"'"};if(vErrors === null){vErrors = [err47];}else {vErrors.push(err47);}errors++;}if(data24.h === undefined){const err48 = {instancePath:instancePath+"/units/" + i0+"/rect",schemaPath:"template-common.v1.schema.json#/definitions/rect/required",keyword:"required",params:{missingProperty: "h"},message:"must have required property '"+"h"+"'"};if(vErrors === null){vErrors = [err48];}else {vErrors.push(err48);}errors++;}if(data24.x !== undefined){let data25 = data24.x;if(!(((typeof data25 == "number") && (!(data25 % 1) && !isNaN(data25))) && (isFinite(data25)))){const err49 = {instancePath:instancePath+"/units/" + i0+"/rect/x",schemaPath:"template-common.v1.schema.json#/definitions/rect/properties/x/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err49];}else {vErrors.push(err49);}errors++;}}if(data24.y !== undefined){let data26 = data24.y;if(!(((typeof data26 == "number") && (!(data26 % 1) && !isNaN(data26))) && (isFinite(data26)))){const err50 = {instancePath:instancePath+"/units/" + i0+"/rect/y",schemaPath:"template-common.v1.schema.json#/definitions/rect/properties/y/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err50];}else {vErrors.push(err50);}errors++;}}if(data24.w !== undefined){let data27 = data24.w;if(!(((typeof data27 == "number") && (!(data27 % 1) && !isNaN(data27))) && (isFinite(data27)))){const err51 = {instancePath:instancePath+"/units/" + i0+"/rect/w",schemaPath:"template-common.v1.schema.json#/definitions/rect/properties/w/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err51];}else {vErrors.push(err51);}errors++;}if((typeof data27 == "number") && (isFinite(data27))){if(data27 < 1 || isNaN(data27)){const err52 = {instancePath:instancePath+"/units/" + i0+"/rect/w",schemaPath:"template-common.v1.schema.json#/definitions/rect/properties/w/minimum",keyword:"minimum",params:{comparison: ">=", limit: 1},message:"must be >= 1"};if(vErrors === null){vErrors = [err52];}else {vErrors.push(err52);}errors++;}}}if(data24.h !== undefined){let data28 = data24.h;if(!(((typeof data28 == "number") && (!(data28 % 1) && !isNaN(data28))) && (isFinite(data28)))){const err53 = {instancePath:instancePath+"/units/" + i0+"/rect/h",schemaPath:"template-common.v1.schema.json#/definitions/rect/properties/h/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err53];}else {vErrors.push(err53);}errors++;}if((typeof data28 == "number") && (isFinite(data28))){if(data28 < 1 || isNaN(data28)){const err54 = {instancePath:instancePath+"/units/" + i0+"/rect/h",schemaPath:"template-common.v1.schema.json#/definitions/rect/properties/h/minimum",keyword:"minimum",params:{comparison: ">=", limit: 1},message:"must be >= 1"};if(vErrors === null){vErrors = [err54];}else {vErrors.push(err54);}errors++;}}}}else {const err55 = {instancePath:instancePath+"/units/" + i0+"/rect",schemaPath:"template-common.v1.schema.json#/definitions/rect/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err55];}else {vErrors.push(err55);}errors++;}}if(data21.shape !== undefined){if(!(validate16(data21.shape, {instancePath:instancePath+"/units/" + i0+"/shape",parentData:data21,parentDataProperty:"shape",rootData}))){vErrors = vErrors === null ? validate16.errors : vErrors.concat(validate16.errors);errors = vErrors.length;}}if(data21.type !== undefined){let data30 = data21.type;if(!(((((data30 === "retail") || (data30 === "service")) || (data30 === "food")) || (data30 === "kiosk")) || (data30 === "corridor"))){const err56 = {instancePath:instancePath+"/units/" + i0+"/type",schemaPath:"template-common.v1.schema.json#/definitions/unitType/enum",keyword:"enum",params:{allowedValues: schema26.enum},message:"must be equal to one of the allowed values"};if(vErrors === null){vErrors = [err56];}else {vErrors.push(err56);}errors++;}}if(data21.entrance !== undefined){let data31 = data21.entrance;if(data31 && typeof data31 == "object" && !Array.isArray(data31)){if(data31.side === undefined){const err57 = {instancePath:instancePath+"/units/" + i0+"/entrance",schemaPath:"template-common.v1.schema.json#/definitions/entrance/required",keyword:"required",params:{missingProperty: "side"},message:"must have required property '"+"side"+"'"};if(vErrors === null){vErrors = [err57];}else {vErrors.push(err57);}errors++;}if(data31.offset === undefined){const err58 = {instancePath:instancePath+"/units/" + i0+"/entrance",schemaPath:"template-common.v1.schema.json#/definitions/entrance/required",keyword:"required",params:{missingProperty: "offset"},message:"must have required property '"+"offset"+"'"};if(vErrors === null){vErrors = [err58];}else {vErrors.push(err58);}errors++;}if(data31.side !== undefined){let data32 = data31.side;if(!((((data32 === "north") || (data32 === "south")) || (data32 === "east")) || (data32 === "west"))){const err59 = {instancePath:instancePath+"/units/" + i0+"/entrance/side",schemaPath:"template-common.v1.schema.json#/definitions/entrance/properties/side/enum",keyword:"enum",params:{allowedValues: schema27.properties.side.enum},message:"must be equal to one of the allowed values"};if(vErrors === null){vErrors = [err59];}else {vErrors.push(err59);}errors++;}}if(data31.offset !== undefined){let data33 = data31.offset;if(!(((typeof data33 == "number") && (!(data33 % 1) && !isNaN(data33))) && (isFinite(data33)))){const err60 = {instancePath:instancePath+"/units/" + i0+"/entrance/offset",schemaPath:"template-common.v1.schema.json#/definitions/entrance/properties/offset/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err60];}else {vErrors.push(err60);}errors++;}if((typeof data33 == "number") && (isFinite(data33))){if(data33 < 0 || isNaN(data33)){const err61 = {instancePath:instancePath+"/units/" + i0+"/entrance/offset",schemaPath:"template-common.v1.schema.json#/definitions/entrance/properties/offset/minimum",keyword:"minimum",params:{comparison: ">=", limit: 0},message:"must be >= 0"};if(vErrors === null){vErrors = [err61];}else {vErrors.push(err61);}errors++;}}}}else {const err62 = {instancePath:instancePath+"/units/" + i0+"/entrance",schemaPath:"template-common.v1.schema.json#/definitions/entrance/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err62];}else {vErrors.push(err62);}errors++;}}if(data21.occupancy !== undefined){if(!(validate19(data21.occupancy, {instancePath:instancePath+"/units/" + i0+"/occupancy",parentData:data21,parentDataProperty:"occupancy",rootData}))){vErrors = vErrors === null ? validate19.errors : vErrors.concat(validate19.errors);errors = vErrors.length;}}}else {const err63 = {instancePath:instancePath+"/units/" + i0,schemaPath:"#/properties/units/items/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err63];}else {vErrors.push(err63);}errors++;}}}else {const err64 = {instancePath:instancePath+"/units",schemaPath:"#/properties/units/type",keyword:"type",params:{type: "array"},message:"must be array"};if(vErrors === null){vErrors = [err64];}else {vErrors.push(err64);}errors++;}}if(data.levels !== undefined){let data35 = data.levels;if(Array.isArray(data35)){const len1 = data35.length;for(let i1=0; i1<len1; i1++){let data36 = data35[i1];if(data36 && typeof data36 == "object" && !Array.isArray(data36)){if(data36.id === undefined){const err65 = {instancePath:instancePath+"/levels/" + i1,schemaPath:"#/properties/levels/items/required",keyword:"required",params:{missingProperty: "id"},message:"must have required property '"+"id"+"'"};if(vErrors === null){vErrors = [err65];}else {vErrors.push(err65);}errors++;}if(data36.tiles === undefined){const err66 = {instancePath:instancePath+"/levels/" + i1,schemaPath:"#/properties/levels/items/required",keyword:"required",params:{missingProperty: "tiles"},message:"must have required property '"+"tiles"+"'"};if(vErrors === null){vErrors = [err66];}else {vErrors.push(err66);}errors++;}if(data36.edges === undefined){const err67 = {instancePath:instancePath+"/levels/" + i1,schemaPath:"#/properties/levels/items/required",keyword:"required",params:{missingProperty: "edges"},message:"must have required property '"+"edges"+"'"};if(vErrors === null){vErrors = [err67];}else {vErrors.push(err67);}errors++;}if(data36.id !== undefined){let data37 = data36.id;if(typeof data37 === "string"){if(!pattern1.test(data37)){const err68 = {instancePath:instancePath+"/levels/" + i1+"/id",schemaPath:"template-common.v1.schema.json#/definitions/id/pattern",keyword:"pattern",params:{pattern: "\\S"},message:"must match pattern \""+"\\S"+"\""};if(vErrors === null){vErrors = [err68];}else {vErrors.push(err68);}errors++;}}else {const err69 = {instancePath:instancePath+"/levels/" + i1+"/id",schemaPath:"template-common.v1.schema.json#/definitions/id/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err69];}else {vErrors.push(err69);}errors++;}}if(data36.name !== undefined){if(typeof data36.name !== "string"){const err70 = {instancePath:instancePath+"/levels/" + i1+"/name",schemaPath:"#/properties/levels/items/properties/name/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err70];}else {vErrors.push(err70);}errors++;}}if(data36.elevation !== undefined){let data39 = data36.elevation;if(!((typeof data39 == "number") && (isFinite(data39)))){const err71 = {instancePath:instancePath+"/levels/" + i1+"/elevation",schemaPath:"#/properties/levels/items/properties/elevation/type",keyword:"type",params:{type: "number"},message:"must be number"};if(vErrors === null){vErrors = [err71];}else {vErrors.push(err71);}errors++;}}if(data36.tiles !== undefined){let data40 = data36.tiles;if(!(data40 && typeof data40 == "object" && !Array.isArray(data40))){const err72 = {instancePath:instancePath+"/levels/" + i1+"/tiles",schemaPath:"#/properties/levels/items/properties/tiles/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err72];}else {vErrors.push(err72);}errors++;}}if(data36.edges !== undefined){let data41 = data36.edges;if(!(data41 && typeof data41 == "object" && !Array.isArray(data41))){const err73 = {instancePath:instancePath+"/levels/" + i1+"/edges",schemaPath:"#/properties/levels/items/properties/edges/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err73];}else {vErrors.push(err73);}errors++;}}}else {const err74 = {instancePath:instancePath+"/levels/" + i1,schemaPath:"#/properties/levels/items/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err74];}else {vErrors.push(err74);}errors++;}}}else {const err75 = {instancePath:instancePath+"/levels",schemaPath:"#/properties/levels/type",keyword:"type",params:{type: "array"},message:"must be array"};if(vErrors === null){vErrors = [err75];}else {vErrors.push(err75);}errors++;}}if(data.verticalLinks !== undefined){let data42 = data.verticalLinks;if(Array.isArray(data42)){const len2 = data42.length;for(let i2=0; i2<len2; i2++){let data43 = data42[i2];if(data43 && typeof data43 == "object" && !Array.isArray(data43)){if(data43.type === undefined){const err76 = {instancePath:instancePath+"/verticalLinks/" + i2,schemaPath:"#/properties/verticalLinks/items/required",keyword:"required",params:{missingProperty: "type"},message:"must have required property '"+"type"+"'"};if(vErrors === null){vErrors = [err76];}else {vErrors.push(err76);}errors++;}if(data43.fromLevel === undefined){const err77 = {instancePath:instancePath+"/verticalLinks/" + i2,schemaPath:"#/properties/verticalLinks/items/required",keyword:"required",params:{missingProperty: "fromLevel"},message:"must have required property '"+"fromLevel"+"'"};if(vErrors === null){vErrors = [err77];}else {vErrors.push(err77);}errors++;}if(data43.toLevel === undefined){const err78 = {instancePath:instancePath+"/verticalLinks/" + i2,schemaPath:"#/properties/verticalLinks/items/required",keyword:"required",params:{missingProperty: "toLevel"},message:"must have required property '"+"toLevel"+"'"};if(vErrors === null){vErrors = [err78];}else {vErrors.push(err78);}errors++;}if(data43.rect === undefined){const err79 = {instancePath:instancePath+"/verticalLinks/" + i2,schemaPath:"#/properties/verticalLinks/items/required",keyword:"required",params:{missingProperty: "rect"},message:"must have required property '"+"rect"+"'"};if(vErrors === null){vErrors = [err79];}else {vErrors.push(err79);}errors++;}if(data43.type !== undefined){let data44 = data43.type;if(!(((data44 === "stair") || (data44 === "escalator")) || (data44 === "elevator"))){const err80 = {instancePath:instancePath+"/verticalLinks/" + i2+"/type",schemaPath:"#/properties/verticalLinks/items/properties/type/enum",keyword:"enum",params:{allowedValues: schema11.properties.verticalLinks.items.properties.type.enum},message:"must be equal to one of the allowed values"};if(vErrors === null){vErrors = [err80];}else {vErrors.push(err80);}errors++;}}if(data43.fromLevel !== undefined){if(typeof data43.fromLevel !== "string"){const err81 = {instancePath:instancePath+"/verticalLinks/" + i2+"/fromLevel",schemaPath:"#/properties/verticalLinks/items/properties/fromLevel/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err81];}else {vErrors.push(err81);}errors++;}}if(data43.toLevel !== undefined){if(typeof data43.toLevel !== "string"){const err82 = {instancePath:instancePath+"/verticalLinks/" + i2+"/toLevel",schemaPath:"#/properties/verticalLinks/items/properties/toLevel/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err82];}else {vErrors.push(err82);}errors++;}}if(data43.rect !== undefined){let data47 = data43.rect;if(data47 && typeof data47 == "object" && !Array.isArray(data47)){if(data47.x === undefined){const err83 = {instancePath:instancePath+"/verticalLinks/" + i2+"/rect",schemaPath:"template-common.v1.schema.json#/definitions/rect/required",keyword:"required",params:{missingProperty: "x"},message:"must have required property '"+"x"+"'"};if(vErrors === null){vErrors = [err83];}else {vErrors.push(err83);}errors++;}if(data47.y === undefined){const err84 = {instancePath:instancePath+"/verticalLinks/" + i2+"/rect",schemaPath:"template-common.v1.schema.json#/definitions/rect/required",keyword:"required",params:{missingProperty: "y"},message:"must have required property '"+"y"+"'"};if(vErrors === null){vErrors = [err84];}else {vErrors.push(err84);}errors++;}if(data47.w === undefined){const err85 = {instancePath:instancePath+"/verticalLinks/" + i2+"/rect",schemaPath:"template-common.v1.schema.json#/definitions/rect/required",keyword:"required",params:{missingProperty: "w"},message:"must have required property '"+"w"+"'"};if(vErrors === null){vErrors = [err85];}else {vErrors.push(err85);}errors++;}if(data47.h === undefined){const err86 = {instancePath:instancePath+"/verticalLinks/" + i2+"/rect",schemaPath:"template-common.v1.schema.json#/definitions/rect/required",keyword:"required",params:{missingProperty: "h"},message:"must have required property '"+"h"+"'"};if(vErrors === null){vErrors = [err86];}else {vErrors.push(err86);}errors++;}if(data47.x !== undefined){let data48 = data47.x;if(!(((typeof data48 == "number") && (!(data48 % 1) && !isNaN(data48))) && (isFinite(data48)))){const err87 = {instancePath:instancePath+"/verticalLinks/" + i2+"/rect/x",schemaPath:"template-common.v1.schema.json#/definitions/rect/properties/x/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err87];}else {vErrors.push(err87);}errors++;}}if(data47.y !== undefined){let data49 = data47.y;if(!(((typeof data49 == "number") && (!(data49 % 1) && !isNaN(data49))) && (isFinite(data49)))){const err88 = {instancePath:instancePath+"/verticalLinks/" + i2+"/rect/y",schemaPath:"template-common.v1.schema.json#/definitions/rect/properties/y/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err88];}else {vErrors.push(err88);}errors++;}}if(data47.w !== undefined){let data50 = data47.w;if(!(((typeof data50 == "number") && (!(data50 % 1) && !isNaN(data50))) && (isFinite(data50)))){const err89 = {instancePath:instancePath+"/verticalLinks/" + i2+"/rect/w",schemaPath:"template-common.v1.schema.json#/definitions/rect/properties/w/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err89];}else {vErrors.push(err89);}errors++;}if((typeof data50 == "number") && (isFinite(data50))){if(data50 < 1 || isNaN(data50)){const err90 = {instancePath:instancePath+"/verticalLinks/" + i2+"/rect/w",schemaPath:"template-common.v1.schema.json#/definitions/rect/properties/w/minimum",keyword:"minimum",params:{comparison: ">=", limit: 1},message:"must be >= 1"};if(vErrors === null){vErrors = [err90];}else {vErrors.push(err90);}errors++;}}}if(data47.h !== undefined){let data51 = data47.h;if(!(((typeof data51 == "number") && (!(data51 % 1) && !isNaN(data51))) && (isFinite(data51)))){const err91 = {instancePath:instancePath+"/verticalLinks/" + i2+"/rect/h",schemaPath:"template-common.v1.schema.json#/definitions/rect/properties/h/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err91];}else {vErrors.push(err91);}errors++;}if((typeof data51 == "number") && (isFinite(data51))){if(data51 < 1 || isNaN(data51)){const err92 = {instancePath:instancePath+"/verticalLinks/" + i2+"/rect/h",schemaPath:"template-common.v1.schema.json#/definitions/rect/properties/h/minimum",keyword:"minimum",params:{comparison: ">=", limit: 1},message:"must be >= 1"};if(vErrors === null){vErrors = [err92];}else {vErrors.push(err92);}errors++;}}}}else {const err93 = {instancePath:instancePath+"/verticalLinks/" + i2+"/rect",schemaPath:"template-common.v1.schema.json#/definitions/rect/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err93];}else {vErrors.push(err93);}errors++;}}}else {const err94 = {instancePath:instancePath+"/verticalLinks/" + i2,schemaPath:"#/properties/verticalLinks/items/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err94];}else {vErrors.push(err94);}errors++;}}}else {const err95 = {instancePath:instancePath+"/verticalLinks",schemaPath:"#/properties/verticalLinks/type",keyword:"type",params:{type: "array"},message:"must be array"};if(vErrors === null){vErrors = [err95];}else {vErrors.push(err95);}errors++;}}if(data.created !== undefined){if(typeof data.created !== "string"){const err96 = {instancePath:instancePath+"/created",schemaPath:"#/properties/created/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err96];}else {vErrors.push(err96);}errors++;}}if(data.sceneData !== undefined){let data53 = data.sceneData;if(!(data53 && typeof data53 == "object" && !Array.isArray(data53))){const err97 = {instancePath:instancePath+"/sceneData",schemaPath:"#/properties/sceneData/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err97];}else {vErrors.push(err97);}errors++;}}}else {const err98 = {instancePath,schemaPath:"#/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err98];}else {vErrors.push(err98);}errors++;}validate10.errors = vErrors;return errors === 0;}export const unit = validate21;const schema33 = {"$schema":"http://json-schema.org/draft-07/schema#","$id":"https://example.com/schemas/unit-template.v2.schema.json","title":"Unit Template v2","description":"Unit rect inside a mall template, written by ExportBuilder.buildUnitTemplate; children are rooms","type":"object","allOf":[{"$ref":"template-common.v1.schema.json#/definitions/childTemplate"}],"properties":{"meta":{"allOf":[{"$ref":"template-common.v1.schema.json#/definitions/meta"},{"type":"object","properties":{"schema":{"const":"unit-template.v2"},"parent":{"type":"object","properties":{"schema":{"type":"string","pattern":"^mall-template\\.v\\d+$"}}}}}]}}};const schema34 = {"type":"object","required":["meta","id","rect"],"properties":{"meta":{"$ref":"#/definitions/meta"},"id":{"$ref":"#/definitions/id"},"rect":{"$ref":"#/definitions/rect"},"shape":{"$ref":"#/definitions/shape"},"children":{"$ref":"#/definitions/children"},"created":{"type":"string"},"sceneData":{"type":"object"}}};function validate23(data, {instancePath="", parentData, parentDataProperty, rootData=data}={}){let vErrors = null;let errors = 0;if(data && typeof data == "object" && !Array.isArray(data)){if(data.schema === undefined){const err0 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "schema"},message:"must have required property '"+"schema"+"'"};if(vErrors === null){vErrors = [err0];}else {vErrors.push(err0);}errors++;}if(data.schema !== undefined){if(typeof data.schema !== "string"){const err1 = {instancePath:instancePath+"/schema",schemaPath:"#/properties/schema/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err1];}else {vErrors.push(err1);}errors++;}}if(data.version !== undefined){let data1 = data.version;if(typeof data1 === "string"){if(!pattern0.test(data1)){const err2 = {instancePath:instancePath+"/version",schemaPath:"#/properties/version/pattern",keyword:"pattern",params:{pattern: "^\\d+\\.\\d+$"},message:"must match pattern \""+"^\\d+\\.\\d+$"+"\""};if(vErrors === null){vErrors = [err2];}else {vErrors.push(err2);}errors++;}}else {const err3 = {instancePath:instancePath+"/version",schemaPath:"#/properties/version/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err3];}else {vErrors.push(err3);}errors++;}}if(data.name !== undefined){if(typeof data.name !== "string"){const err4 = {instancePath:instancePath+"/name",schemaPath:"#/properties/name/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err4];}else {vErrors.push(err4);}errors++;}}if(data.parent !== undefined){if(!(validate13(data.parent, {instancePath:instancePath+"/parent",parentData:data,parentDataProperty:"parent",rootData}))){vErrors = vErrors === null ? validate13.errors : vErrors.concat(validate13.errors);errors = vErrors.length;}}}else {const err5 = {instancePath,schemaPath:"#/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err5];}else {vErrors.push(err5);}errors++;}validate23.errors = vErrors;return errors === 0;}function validate26(data, {instancePath="", parentData, parentDataProperty, rootData=data}={}){let vErrors = null;let errors = 0;if(!(data && typeof data == "object" && !Array.isArray(data))){const err0 = {instancePath,schemaPath:"#/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err0];}else {vErrors.push(err0);}errors++;}const _errs1 = errors;let valid0 = false;let passing0 = null;const _errs2 = errors;if(data && typeof data == "object" && !Array.isArray(data)){if(data.cells === undefined){const err1 = {instancePath,schemaPath:"#/oneOf/0/required",keyword:"required",params:{missingProperty: "cells"},message:"must have required property '"+"cells"+"'"};if(vErrors === null){vErrors = [err1];}else {vErrors.push(err1);}errors++;}if(data.cells !== undefined){let data0 = data.cells;if(Array.isArray(data0)){if(data0.length < 1){const err2 = {instancePath:instancePath+"/cells",schemaPath:"#/oneOf/0/properties/cells/minItems",keyword:"minItems",params:{limit: 1},message:"must NOT have fewer than 1 items"};if(vErrors === null){vErrors = [err2];}else {vErrors.push(err2);}errors++;}const len0 = data0.length;for(let i0=0; i0<len0; i0++){let data1 = data0[i0];if(Array.isArray(data1)){if(data1.length < 2){const err3 = {instancePath:instancePath+"/cells/" + i0,schemaPath:"#/definitions/point/minItems",keyword:"minItems",params:{limit: 2},message:"must NOT have fewer than 2 items"};if(vErrors === null){vErrors = [err3];}else {vErrors.push(err3);}errors++;}const len1 = data1.length;if(!(len1 <= 2)){const err4 = {instancePath:instancePath+"/cells/" + i0,schemaPath:"#/definitions/point/additionalItems",keyword:"additionalItems",params:{limit: 2},message:"must NOT have more than 2 items"};if(vErrors === null){vErrors = [err4];}else {vErrors.push(err4);}errors++;}const len2 = data1.length;if(len2 > 0){let data2 = data1[0];if(!(((typeof data2 == "number") && (!(data2 % 1) && !isNaN(data2))) && (isFinite(data2)))){const err5 = {instancePath:instancePath+"/cells/" + i0+"/0",schemaPath:"#/definitions/point/items/0/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err5];}else {vErrors.push(err5);}errors++;}}if(len2 > 1){let data3 = data1[1];if(!(((typeof data3 == "number") && (!(data3 % 1) && !isNaN(data3))) && (isFinite(data3)))){const err6 = {instancePath:instancePath+"/cells/" + i0+"/1",schemaPath:"#/definitions/point/items/1/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err6];}else {vErrors.push(err6);}errors++;}}}else {const err7 = {instancePath:instancePath+"/cells/" + i0,schemaPath:"#/definitions/point/type",keyword:"type",params:{type: "array"},message:"must be array"};if(vErrors === null){vErrors = [err7];}else {vErrors.push(err7);}errors++;}}}else {const err8 = {instancePath:instancePath+"/cells",schemaPath:"#/oneOf/0/properties/cells/type",keyword:"type",params:{type: "array"},message:"must be array"};if(vErrors === null){vErrors = [err8];}else {vErrors.push(err8);}errors++;}}}else {const err9 = {instancePath,schemaPath:"#/oneOf/0/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err9];}else {vErrors.push(err9);}errors++;}var _valid0 = _errs2 === errors;if(_valid0){valid0 = true;passing0 = 0;}const _errs13 = errors;if(data && typeof data == "object" && !Array.isArray(data)){if(data.outline === undefined){const err10 = {instancePath,schemaPath:"#/oneOf/1/required",keyword:"required",params:{missingProperty: "outline"},message:"must have required property '"+"outline"+"'"};if(vErrors === null){vErrors = [err10];}else {vErrors.push(err10);}errors++;}if(data.outline !== undefined){let data4 = data.outline;if(Array.isArray(data4)){if(data4.length < 4){const err11 = {instancePath:instancePath+"/outline",schemaPath:"#/oneOf/1/properties/outline/minItems",keyword:"minItems",params:{limit: 4},message:"must NOT have fewer than 4 items"};if(vErrors === null){vErrors = [err11];}else {vErrors.push(err11);}errors++;}const len3 = data4.length;for(let i1=0; i1<len3; i1++){let data5 = data4[i1];if(Array.isArray(data5)){if(data5.length < 2){const err12 = {instancePath:instancePath+"/outline/" + i1,schemaPath:"#/definitions/point/minItems",keyword:"minItems",params:{limit: 2},message:"must NOT have fewer than 2 items"};if(vErrors === null){vErrors = [err12];}else {vErrors.push(err12);}errors++;}const len4 = data5.length;if(!(len4 <= 2)){const err13 = {instancePath:instancePath+"/outline/" + i1,schemaPath:"#/definitions/point/additionalItems",keyword:"additionalItems",params:{limit: 2},message:"must NOT have more than 2 items"};if(vErrors === null){vErrors = [err13];}else {vErrors.push(err13);}errors++;}const len5 = data5.length;if(len5 > 0){let data6 = data5[0];if(!(((typeof data6 == "number") && (!(data6 % 1) && !isNaN(data6))) && (isFinite(data6)))){const err14 = {instancePath:instancePath+"/outline/" + i1+"/0",schemaPath:"#/definitions/point/items/0/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err14];}else {vErrors.push(err14);}errors++;}}if(len5 > 1){let data7 = data5[1];if(!(((typeof data7 == "number") && (!(data7 % 1) && !isNaN(data7))) && (isFinite(data7)))){const err15 = {instancePath:instancePath+"/outline/" + i1+"/1",schemaPath:"#/definitions/point/items/1/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err15];}else {vErrors.push(err15);}errors++;}}}else {const err16 = {instancePath:instancePath+"/outline/" + i1,schemaPath:"#/definitions/point/type",keyword:"type",params:{type: "array"},message:"must be array"};if(vErrors === null){vErrors = [err16];}else {vErrors.push(err16);}errors++;}}}else {const err17 = {instancePath:instancePath+"/outline",schemaPath:"#/oneOf/1/properties/outline/type",keyword:"type",params:{type: "array"},message:"must be array"};if(vErrors === null){vErrors = [err17];}else {vErrors.push(err17);}errors++;}}}else {const err18 = {instancePath,schemaPath:"#/oneOf/1/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err18];}else {vErrors.push(err18);}errors++;}var _valid0 = _errs13 === errors;if(_valid0 && valid0){valid0 = false;passing0 = [passing0, 1];}else {if(_valid0){valid0 = true;passing0 = 1;}}if(!valid0){const err19 = {instancePath,schemaPath:"#/oneOf",keyword:"oneOf",params:{passingSchemas: passing0},message:"must match exactly one schema in oneOf"};if(vErrors === null){vErrors = [err19];}else {vErrors.push(err19);}errors++;}else {errors = _errs1;if(vErrors !== null){if(_errs1){vErrors.length = _errs1;}else {vErrors = null;}}}validate26.errors = vErrors;return errors === 0;}const schema41 = {"type":"array","items":{"type":"object","required":["id","rect"],"properties":{"id":{"$ref":"#/definitions/id"},"rect":{"$ref":"#/definitions/rect"},"shape":{"$ref":"#/definitions/shape"}}}};function validate28(data, {instancePath="", parentData, parentDataProperty, rootData=data}={}){let vErrors = null;let errors = 0;if(Array.isArray(data)){const len0 = data.length;for(let i0=0; i0<len0; i0++){let data0 = data[i0];if(data0 && typeof data0 == "object" && !Array.isArray(data0)){if(data0.id === undefined){const err0 = {instancePath:instancePath+"/" + i0,schemaPath:"#/items/required",keyword:"required",params:{missingProperty: "id"},message:"must have required property '"+"id"+"'"};if(vErrors === null){vErrors = [err0];}else {vErrors.push(err0);}errors++;}if(data0.rect === undefined){const err1 = {instancePath:instancePath+"/" + i0,schemaPath:"#/items/required",keyword:"required",params:{missingProperty: "rect"},message:"must have required property '"+"rect"+"'"};if(vErrors === null){vErrors = [err1];}else {vErrors.push(err1);}errors++;}if(data0.id !== undefined){let data1 = data0.id;if(typeof data1 === "string"){if(!pattern1.test(data1)){const err2 = {instancePath:instancePath+"/" + i0+"/id",schemaPath:"#/definitions/id/pattern",keyword:"pattern",params:{pattern: "\\S"},message:"must match pattern \""+"\\S"+"\""};if(vErrors === null){vErrors = [err2];}else {vErrors.push(err2);}errors++;}}else {const err3 = {instancePath:instancePath+"/" + i0+"/id",schemaPath:"#/definitions/id/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err3];}else {vErrors.push(err3);}errors++;}}if(data0.rect !== undefined){let data2 = data0.rect;if(data2 && typeof data2 == "object" && !Array.isArray(data2)){if(data2.x === undefined){const err4 = {instancePath:instancePath+"/" + i0+"/rect",schemaPath:"#/definitions/rect/required",keyword:"required",params:{missingProperty: "x"},message:"must have required property '"+"x"+"'"};if(vErrors === null){vErrors = [err4];}else {vErrors.push(err4);}errors++;}if(data2.y === undefined){const err5 = {instancePath:instancePath+"/" + i0+"/rect",schemaPath:"#/definitions/rect/required",keyword:"required",params:{missingProperty: "y"},message:"must have required property '"+"y"+"'"};if(vErrors === null){vErrors = [err5];}else {vErrors.push(err5);}errors++;}if(data2.w === undefined){const err6 = {instancePath:instancePath+"/" + i0+"/rect",schemaPath:"#/definitions/rect/required",keyword:"required",params:{missingProperty: "w"},message:"must have required property '"+"w"+"'"};if(vErrors === null){vErrors = [err6];}else {vErrors.push(err6);}errors++;}if(data2.h === undefined){const err7 = {instancePath:instancePath+"/" + i0+"/rect",schemaPath:"#/definitions/rect/required",keyword:"required",params:{missingProperty: "h"},message:"must have required property '"+"h"+"'"};if(vErrors === null){vErrors = [err7];}else {vErrors.push(err7);}errors++;}if(data2.x !== undefined){let data3 = data2.x;if(!(((typeof data3 == "number") && (!(data3 % 1) && !isNaN(data3))) && (isFinite(data3)))){const err8 = {instancePath:instancePath+"/" + i0+"/rect/x",schemaPath:"#/definitions/rect/properties/x/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err8];}else {vErrors.push(err8);}errors++;}}if(data2.y !== undefined){let data4 = data2.y;if(!(((typeof data4 == "number") && (!(data4 % 1) && !isNaN(data4))) && (isFinite(data4)))){const err9 = {instancePath:instancePath+"/" + i0+"/rect/y",schemaPath:"#/definitions/rect/properties/y/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err9];}else {vErrors.push(err9);}errors++;}}if(data2.w !== undefined){let data5 = data2.w;if(!(((typeof data5 == "number") && (!(data5 % 1) && !isNaN(data5))) && (isFinite(data5)))){const err10 = {instancePath:instancePath+"/" + i0+"/rect/w",schemaPath:"#/definitions/rect/properties/w/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err10];}else {vErrors.push(err10);}errors++;}if((typeof data5 == "number") && (isFinite(data5))){if(data5 < 1 || isNaN(data5)){const err11 = {instancePath:instancePath+"/" + i0+"/rect/w",schemaPath:"#/definitions/rect/properties/w/minimum",keyword:"minimum",params:{comparison: ">=", limit: 1},message:"must be >= 1"};if(vErrors === null){vErrors = [err11];}else {vErrors.push(err11);}errors++;}}}if(data2.h !== undefined){let data6 = data2.h;if(!(((typeof data6 == "number") && (!(data6 % 1) && !isNaN(data6))) && (isFinite(data6)))){const err12 = {instancePath:instancePath+"/" + i0+"/rect/h",schemaPath:"#/definitions/rect/properties/h/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err12];}else {vErrors.push(err12);}errors++;}if((typeof data6 == "number") && (isFinite(data6))){if(data6 < 1 || isNaN(data6)){const err13 = {instancePath:instancePath+"/" + i0+"/rect/h",schemaPath:"#/definitions/rect/properties/h/minimum",keyword:"minimum",params:{comparison: ">=", limit: 1},message:"must be >= 1"};if(vErrors === null){vErrors = [err13];}else {vErrors.push(err13);}errors++;}}}}else {const err14 = {instancePath:instancePath+"/" + i0+"/rect",schemaPath:"#/definitions/rect/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err14];}else {vErrors.push(err14);}errors++;}}if(data0.shape !== undefined){if(!(validate26(data0.shape, {instancePath:instancePath+"/" + i0+"/shape",parentData:data0,parentDataProperty:"shape",rootData}))){vErrors = vErrors === null ? validate26.errors : vErrors.concat(validate26.errors);errors = vErrors.length;}}}else {const err15 = {instancePath:instancePath+"/" + i0,schemaPath:"#/items/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err15];}else {vErrors.push(err15);}errors++;}}}else {const err16 = {instancePath,schemaPath:"#/type",keyword:"type",params:{type: "array"},message:"must be array"};if(vErrors === null){vErrors = [err16];}else {vErrors.push(err16);}errors++;}validate28.errors = vErrors;return errors === 0;}function validate22(data, {instancePath="", parentData, parentDataProperty, rootData=data}={}){let vErrors = null;let errors = 0;if(data && typeof data == "object" && !Array.isArray(data)){if(data.meta === undefined){const err0 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "meta"},message:"must have required property '"+"meta"+"'"};if(vErrors === null){vErrors = [err0];}else {vErrors.push(err0);}errors++;}if(data.id === undefined){const err1 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "id"},message:"must have required property '"+"id"+"'"};if(vErrors === null){vErrors = [err1];}else {vErrors.push(err1);}errors++;}if(data.rect === undefined){const err2 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "rect"},message:"must have required property '"+"rect"+"'"};if(vErrors === null){vErrors = [err2];}else {vErrors.push(err2);}errors++;}if(data.meta !== undefined){if(!(validate23(data.meta, {instancePath:instancePath+"/meta",parentData:data,parentDataProperty:"meta",rootData}))){vErrors = vErrors === null ? validate23.errors : vErrors.concat(validate23.errors);errors = vErrors.length;}}if(data.id !== undefined){let data1 = data.id;if(typeof data1 === "string"){if(!pattern1.test(data1)){const err3 = {instancePath:instancePath+"/id",schemaPath:"#/definitions/id/pattern",keyword:"pattern",params:{pattern: "\\S"},message:"must match pattern \""+"\\S"+"\""};if(vErrors === null){vErrors = [err3];}else {vErrors.push(err3);}errors++;}}else {const err4 = {instancePath:instancePath+"/id",schemaPath:"#/definitions/id/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err4];}else {vErrors.push(err4);}errors++;}}if(data.rect !== undefined){let data2 = data.rect;if(data2 && typeof data2 == "object" && !Array.isArray(data2)){if(data2.x === undefined){const err5 = {instancePath:instancePath+"/rect",schemaPath:"#/definitions/rect/required",keyword:"required",params:{missingProperty: "x"},message:"must have required property '"+"x"+"'"};if(vErrors === null){vErrors = [err5];}else {vErrors.push(err5);}errors++;}if(data2.y === undefined){const err6 = {instancePath:instancePath+"/rect",schemaPath:"#/definitions/rect/required",keyword:"required",params:{missingProperty: "y"},message:"must have required property '"+"y"+"'"};if(vErrors === null){vErrors = [err6];}else {vErrors.push(err6);}errors++;}if(data2.w === undefined){const err7 = {instancePath:instancePath+"/rect",schemaPath:"#/definitions/rect/required",keyword:"required",params:{missingProperty: "w"},message:"must have required property '"+"w"+"'"};if(vErrors === null){vErrors = [err7];}else {vErrors.push(err7);}errors++;}if(data2.h === undefined){const err8 = {instancePath:instancePath+"/rect",schemaPath:"#/definitions/rect/required",keyword:"required",params:{missingProperty: "h"},message:"must have required property '"+"h"+"'"};if(vErrors === null){vErrors = [err8];}else {vErrors.push(err8);}errors++;}if(data2.x !== undefined){let data3 = data2.x;if(!(((typeof data3 == "number") && (!(data3 % 1) && !isNaN(data3))) && (isFinite(data3)))){const err9 = {instancePath:instancePath+"/rect/x",schemaPath:"#/definitions/rect/properties/x/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err9];}else {vErrors.push(err9);}errors++;}}if(data2.y !== undefined){let data4 = data2.y;if(!(((typeof data4 == "number") && (!(data4 % 1) && !isNaN(data4))) && (isFinite(data4)))){const err10 = {instancePath:instancePath+"/rect/y",schemaPath:"#/definitions/rect/properties/y/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err10];}else {vErrors.push(err10);}errors++;}}if(data2.w !== undefined){let data5 = data2.w;if(!(((typeof data5 == "number") && (!(data5 % 1) && !isNaN(data5))) && (isFinite(data5)))){const err11 = {instancePath:instancePath+"/rect/w",schemaPath:"#/definitions/rect/properties/w/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err11];}else {vErrors.push(err11);}errors++;}if((typeof data5 == "number") && (isFinite(data5))){if(data5 < 1 || isNaN(data5)){const err12 = {instancePath:instancePath+"/rect/w",schemaPath:"#/definitions/rect/properties/w/minimum",keyword:"minimum",params:{comparison: ">=", limit: 1},message:"must be >= 1"};if(vErrors === null){vErrors = [err12];}else {vErrors.push(err12);}errors++;}}}if(data2.h !== undefined){let data6 = data2.h;if(!(((typeof data6 == "number") && (!(data6 % 1) && !isNaN(data6))) && (isFinite(data6)))){const err13 = {instancePath:instancePath+"/rect/h",schemaPath:"#/definitions/rect/properties/h/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err13];}else {vErrors.push(err13);}errors++;}if((typeof data6 == "number") && (isFinite(data6))){if(data6 < 1 || isNaN(data6)){const err14 = {instancePath:instancePath+"/rect/h",schemaPath:"#/definitions/rect/properties/h/minimum",keyword:"minimum",params:{comparison: ">=", limit: 1},message:"must be >= 1"};if(vErrors === null){vErrors = [err14];}else {vErrors.push(err14);}errors++;}}}}else {const err15 = {instancePath:instancePath+"/rect",schemaPath:"#/definitions/rect/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err15];}else {vErrors.push(err15);}errors++;}}if(data.shape !== undefined){if(!(validate26(data.shape, {instancePath:instancePath+"/shape",parentData:data,parentDataProperty:"shape",rootData}))){vErrors = vErrors === null ? validate26.errors : vErrors.concat(validate26.errors);errors = vErrors.length;}}if(data.children !== undefined){if(!(validate28(data.children, {instancePath:instancePath+"/children",parentData:data,parentDataProperty:"children",rootData}))){vErrors = vErrors === null ? validate28.errors : vErrors.concat(validate28.errors);errors = vErrors.length;}}if(data.created !== undefined){if(typeof data.created !== "string"){const err16 = {instancePath:instancePath+"/created",schemaPath:"#/properties/created/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err16];}else {vErrors.push(err16);}errors++;}}if(data.sceneData !== undefined){let data10 = data.sceneData;if(!(data10 && typeof data10 == "object" && !Array.isArray(data10))){const err17 = {instancePath:instancePath+"/sceneData",schemaPath:"#/properties/sceneData/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err17];}else {vErrors.push(err17);}errors++;}}}else {const err18 = {instancePath,schemaPath:"#/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err18];}else {vErrors.push(err18);}errors++;}validate22.errors = vErrors;return errors === 0;}function validate32(data, {instancePath="", parentData, parentDataProperty, rootData=data}={}){let vErrors = null;let errors = 0;if(data && typeof data == "object" && !Array.isArray(data)){if(data.schema === undefined){const err0 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "schema"},message:"must have required property '"+"schema"+"'"};if(vErrors === null){vErrors = [err0];}else {vErrors.push(err0);}errors++;}if(data.schema !== undefined){if(typeof data.schema !== "string"){const err1 = {instancePath:instancePath+"/schema",schemaPath:"#/properties/schema/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err1];}else {vErrors.push(err1);}errors++;}}if(data.version !== undefined){let data1 = data.version;if(typeof data1 === "string"){if(!pattern0.test(data1)){const err2 = {instancePath:instancePath+"/version",schemaPath:"#/properties/version/pattern",keyword:"pattern",params:{pattern: "^\\d+\\.\\d+$"},message:"must match pattern \""+"^\\d+\\.\\d+$"+"\""};if(vErrors === null){vErrors = [err2];}else {vErrors.push(err2);}errors++;}}else {const err3 = {instancePath:instancePath+"/version",schemaPath:"#/properties/version/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err3];}else {vErrors.push(err3);}errors++;}}if(data.name !== undefined){if(typeof data.name !== "string"){const err4 = {instancePath:instancePath+"/name",schemaPath:"#/properties/name/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err4];}else {vErrors.push(err4);}errors++;}}if(data.parent !== undefined){if(!(validate13(data.parent, {instancePath:instancePath+"/parent",parentData:data,parentDataProperty:"parent",rootData}))){vErrors = vErrors === null ? validate13.errors : vErrors.concat(validate13.errors);errors = vErrors.length;}}}else {const err5 = {instancePath,schemaPath:"#/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err5];}else {vErrors.push(err5);}errors++;}validate32.errors = vErrors;return errors === 0;}const pattern11 = new RegExp("^mall-template\\.v\\d+$", "u");function validate21(data, {instancePath="", parentData, parentDataProperty, rootData=data}={}){/*# sourceURL="https://example.com/schemas/unit-template.v2.schema.json" */;let vErrors = null;let errors = 0;if(!(validate22(data, {instancePath,parentData,parentDataProperty,rootData}))){vErrors = vErrors === null ? validate22.errors : vErrors.concat(validate22.errors);errors = vErrors.length;}if(data && typeof data == "object" && !Array.isArray(data)){if(data.meta !== undefined){let data0 = data.meta;if(!(validate32(data0, {instancePath:instancePath+"/meta",parentData:data,parentDataProperty:"meta",rootData}))){vErrors = vErrors === null ? validate32.errors : vErrors.concat(validate32.errors);errors = vErrors.length;}if(data0 && typeof data0 == "object" && !Array.isArray(data0)){if(data0.schema !== undefined){if("unit-template.v2" !== data0.schema){const err0 = {instancePath:instancePath+"/meta/schema",schemaPath:"#/properties/meta/allOf/1/properties/schema/const",keyword:"const",params:{allowedValue: "unit-template.v2"},message:"must be equal to constant"};if(vErrors === null){vErrors = [err0];}else {vErrors.push(err0);}errors++;}}if(data0.parent !== undefined){let data2 = data0.parent;if(data2 && typeof data2 == "object" && !Array.isArray(data2)){if(data2.schema !== undefined){let data3 = data2.schema;if(typeof data3 === "string"){if(!pattern11.test(data3)){const err1 = {instancePath:instancePath+"/meta/parent/schema",schemaPath:"#/properties/meta/allOf/1/properties/parent/properties/schema/pattern",keyword:"pattern",params:{pattern: "^mall-template\\.v\\d+$"},message:"must match pattern \""+"^mall-template\\.v\\d+$"+"\""};if(vErrors === null){vErrors = [err1];}else {vErrors.push(err1);}errors++;}}else {const err2 = {instancePath:instancePath+"/meta/parent/schema",schemaPath:"#/properties/meta/allOf/1/properties/parent/properties/schema/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err2];}else {vErrors.push(err2);}errors++;}}}else {const err3 = {instancePath:instancePath+"/meta/parent",schemaPath:"#/properties/meta/allOf/1/properties/parent/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err3];}else {vErrors.push(err3);}errors++;}}}else {const err4 = {instancePath:instancePath+"/meta",schemaPath:"#/properties/meta/allOf/1/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err4];}else {vErrors.push(err4);}errors++;}}}else {const err5 = {instancePath,schemaPath:"#/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err5];}else {vErrors.push(err5);}errors++;}validate21.errors = vErrors;return errors === 0;}export const room = validate35;const schema45 = {"$schema":"http://json-schema.org/draft-07/schema#","$id":"https://example.com/schemas/room-template.v2.schema.json","title":"Room Template v2","description":"Room rect inside a unit template, written by ExportBuilder.buildRoomTemplate; children are zones","type":"object","allOf":[{"$ref":"template-common.v1.schema.json#/definitions/childTemplate"}],"properties":{"meta":{"allOf":[{"$ref":"template-common.v1.schema.json#/definitions/meta"},{"type":"object","properties":{"schema":{"const":"room-template.v2"},"parent":{"type":"object","properties":{"schema":{"type":"string","pattern":"^unit-template\\.v\\d+$"}}}}}]}}};function validate36(data, {instancePath="", parentData, parentDataProperty, rootData=data}={}){let vErrors = null;let errors = 0;if(data && typeof data == "object" && !Array.isArray(data)){if(data.meta === undefined){const err0 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "meta"},message:"must have required property '"+"meta"+"'"};if(vErrors === null){vErrors = [err0];}else {vErrors.push(err0);}errors++;}if(data.id === undefined){const err1 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "id"},message:"must have required property '"+"id"+"'"};if(vErrors === null){vErrors = [err1];}else {vErrors.push(err1);}errors++;}if(data.rect === undefined){const err2 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "rect"},message:"must have required property '"+"rect"+"'"};if(vErrors === null){vErrors = [err2];}else {vErrors.push(err2);}errors++;}if(data.meta !== undefined){if(!(validate23(data.meta, {instancePath:instancePath+"/meta",parentData:data,parentDataProperty:"meta",rootData}))){vErrors = vErrors === null ? validate23.errors : vErrors.concat(validate23.errors);errors = vErrors.length;}}if(data.id !== undefined){let data1 = data.id;if(typeof data1 === "string"){if(!pattern1.test(data1)){const err3 = {instancePath:instancePath+"/id",schemaPath:"#/definitions/id/pattern",keyword:"pattern",params:{pattern: "\\S"},message:"must match pattern \""+"\\S"+"\""};if(vErrors === null){vErrors = [err3];}else {vErrors.push(err3);}errors++;}}else {const err4 = {instancePath:instancePath+"/id",schemaPath:"#/definitions/id/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err4];}else {vErrors.push(err4);}errors++;}}if(data.rect !== undefined){let data2 = data.rect;if(data2 && typeof data2 == "object" && !Array.isArray(data2)){if(data2.x === undefined){const err5 = {instancePath:instancePath+"/rect",schemaPath:"#/definitions/rect/required",keyword:"required",params:{missingProperty: "x"},message:"must have required property '"+"x"+"'"};if(vErrors === null){vErrors = [err5];}else {vErrors.push(err5);}errors++;}if(data2.y === undefined){const err6 = {instancePath:instancePath+"/rect",schemaPath:"#/definitions/rect/required",keyword:"required",params:{missingProperty: "y"},message:"must have required property '"+"y"+"'"};if(vErrors === null){vErrors = [err6];}else {vErrors.push(err6);}errors++;}if(data2.w === undefined){const err7 = {instancePath:instancePath+"/rect",schemaPath:"#/definitions/rect/required",keyword:"required",params:{missingProperty: "w"},message:"must have required property '"+"w"+"'"};if(vErrors === null){vErrors = [err7];}else {vErrors.push(err7);}errors++;}if(data2.h === undefined){const err8 = {instancePath:instancePath+"/rect",schemaPath:"#/definitions/rect/required",keyword:"required",params:{missingProperty: "h"},message:"must have required property '"+"h"+"'"};if(vErrors === null){vErrors = [err8];}else {vErrors.push(err8);}errors++;}if(data2.x !== undefined){let data3 = data2.x;if(!(((typeof data3 == "number") && (!(data3 % 1) && !isNaN(data3))) && (isFinite(data3)))){const err9 = {instancePath:instancePath+"/rect/x",schemaPath:"#/definitions/rect/properties/x/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err9];}else {vErrors.push(err9);}errors++;}}if(data2.y !== undefined){let data4 = data2.y;if(!(((typeof data4 == "number") && (!(data4 % 1) && !isNaN(data4))) && (isFinite(data4)))){const err10 = {instancePath:instancePath+"/rect/y",schemaPath:"#/definitions/rect/properties/y/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err10];}else {vErrors.push(err10);}errors++;}}if(data2.w !== undefined){let data5 = data2.w;if(!(((typeof data5 == "number") && (!(data5 % 1) && !isNaN(data5))) && (isFinite(data5)))){const err11 = {instancePath:instancePath+"/rect/w",schemaPath:"#/definitions/rect/properties/w/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err11];}else {vErrors.push(err11);}errors++;}if((typeof data5 == "number") && (isFinite(data5))){if(data5 < 1 || isNaN(data5)){const err12 = {instancePath:instancePath+"/rect/w",schemaPath:"#/definitions/rect/properties/w/minimum",keyword:"minimum",params:{comparison: ">=", limit: 1},message:"must be >= 1"};if(vErrors === null){vErrors = [err12];}else {vErrors.push(err12);}errors++;}}}if(data2.h !== undefined){let data6 = data2.h;if(!(((typeof data6 == "number") && (!(data6 % 1) && !isNaN(data6))) && (isFinite(data6)))){const err13 = {instancePath:instancePath+"/rect/h",schemaPath:"#/definitions/rect/properties/h/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err13];}else {vErrors.push(err13);}errors++;}if((typeof data6 == "number") && (isFinite(data6))){if(data6 < 1 || isNaN(data6)){const err14 = {instancePath:instancePath+"/rect/h",schemaPath:"#/definitions/rect/properties/h/minimum",keyword:"minimum",params:{comparison: ">=", limit: 1},message:"must be >= 1"};if(vErrors === null){vErrors = [err14];}else {vErrors.push(err14);}errors++;}}}}else {const err15 = {instancePath:instancePath+"/rect",schemaPath:"#/definitions/rect/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err15];}else {vErrors.push(err15);}errors++;}}if(data.shape !== undefined){if(!(validate26(data.shape, {instancePath:instancePath+"/shape",parentData:data,parentDataProperty:"shape",rootData}))){vErrors = vErrors === null ? validate26.errors : vErrors.concat(validate26.errors);errors = vErrors.length;}}if(data.children !== undefined){if(!(validate28(data.children, {instancePath:instancePath+"/children",parentData:data,parentDataProperty:"children",rootData}))){vErrors = vErrors === null ? validate28.errors : vErrors.concat(validate28.errors);errors = vErrors.length;}}if(data.created !== undefined){if(typeof data.created !== "string"){const err16 = {instancePath:instancePath+"/created",schemaPath:"#/properties/created/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err16];}else {vErrors.push(err16);}errors++;}}if(data.sceneData !== undefined){let data10 = data.sceneData;if(!(data10 && typeof data10 == "object" && !Array.isArray(data10))){const err17 = {instancePath:instancePath+"/sceneData",schemaPath:"#/properties/sceneData/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err17];}else {vErrors.push(err17);}errors++;}}}else {const err18 = {instancePath,schemaPath:"#/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err18];}else {vErrors.push(err18);}errors++;}validate36.errors = vErrors;return errors === 0;}function validate41(data, {instancePath="", parentData, parentDataProperty, rootData=data}={}){let vErrors = null;let errors = 0;if(data && typeof data == "object" && !Array.isArray(data)){if(data.schema === undefined){const err0 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "schema"},message:"must have required property '"+"schema"+"'"};if(vErrors === null){vErrors = [err0];}else {vErrors.push(err0);}errors++;}if(data.schema !== undefined){if(typeof data.schema !== "string"){const err1 = {instancePath:instancePath+"/schema",schemaPath:"#/properties/schema/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err1];}else {vErrors.push(err1);}errors++;}}if(data.version !== undefined){let data1 = data.version;if(typeof data1 === "string"){if(!pattern0.test(data1)){const err2 = {instancePath:instancePath+"/version",schemaPath:"#/properties/version/pattern",keyword:"pattern",params:{pattern: "^\\d+\\.\\d+$"},message:"must match pattern \""+"^\\d+\\.\\d+$"+"\""};if(vErrors === null){vErrors = [err2];}else {vErrors.push(err2);}errors++;}}else {const err3 = {instancePath:instancePath+"/version",schemaPath:"#/properties/version/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err3];}else {vErrors.push(err3);}errors++;}}if(data.name !== undefined){if(typeof data.name !== "string"){const err4 = {instancePath:instancePath+"/name",schemaPath:"#/properties/name/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err4];}else {vErrors.push(err4);}errors++;}}if(data.parent !== undefined){if(!(validate13(data.parent, {instancePath:instancePath+"/parent",parentData:data,parentDataProperty:"parent",rootData}))){vErrors = vErrors === null ? validate13.errors : vErrors.concat(validate13.errors);errors = vErrors.length;}}}else {const err5 = {instancePath,schemaPath:"#/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err5];}else {vErrors.push(err5);}errors++;}validate41.errors = vErrors;return errors === 0;}const pattern14 = new RegExp("^unit-template\\.v\\d+$", "u");function validate35(data, {instancePath="", parentData, parentDataProperty, rootData=data}={}){/*# sourceURL="https://example.com/schemas/room-template.v2.schema.json" */;let vErrors = null;let errors = 0;if(!(validate36(data, {instancePath,parentData,parentDataProperty,rootData}))){vErrors = vErrors === null ? validate36.errors : vErrors.concat(validate36.errors);errors = vErrors.length;}if(data && typeof data == "object" && !Array.isArray(data)){if(data.meta !== undefined){let data0 = data.meta;if(!(validate41(data0, {instancePath:instancePath+"/meta",parentData:data,parentDataProperty:"meta",rootData}))){vErrors = vErrors === null ? validate41.errors : vErrors.concat(validate41.errors);errors = vErrors.length;}if(data0 && typeof data0 == "object" && !Array.isArray(data0)){if(data0.schema !== undefined){if("room-template.v2" !== data0.schema){const err0 = {instancePath:instancePath+"/meta/schema",schemaPath:"#/properties/meta/allOf/1/properties/schema/const",keyword:"const",params:{allowedValue: "room-template.v2"},message:"must be equal to constant"};if(vErrors === null){vErrors = [err0];}else {vErrors.push(err0);}errors++;}}if(data0.parent !== undefined){let data2 = data0.parent;if(data2 && typeof data2 == "object" && !Array.isArray(data2)){if(data2.schema !== undefined){let data3 = data2.schema;if(typeof data3 === "string"){if(!pattern14.test(data3)){const err1 = {instancePath:instancePath+"/meta/parent/schema",schemaPath:"#/properties/meta/allOf/1/properties/parent/properties/schema/pattern",keyword:"pattern",params:{pattern: "^unit-template\\.v\\d+$"},message:"must match pattern \""+"^unit-template\\.v\\d+$"+"\""};if(vErrors === null){vErrors = [err1];}else {vErrors.push(err1);}errors++;}}else {const err2 = {instancePath:instancePath+"/meta/parent/schema",schemaPath:"#/properties/meta/allOf/1/properties/parent/properties/schema/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err2];}else {vErrors.push(err2);}errors++;}}}else {const err3 = {instancePath:instancePath+"/meta/parent",schemaPath:"#/properties/meta/allOf/1/properties/parent/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err3];}else {vErrors.push(err3);}errors++;}}}else {const err4 = {instancePath:instancePath+"/meta",schemaPath:"#/properties/meta/allOf/1/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err4];}else {vErrors.push(err4);}errors++;}}}else {const err5 = {instancePath,schemaPath:"#/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err5];}else {vErrors.push(err5);}errors++;}validate35.errors = vErrors;return errors === 0;}export const object = validate44;const schema50 = {"$schema":"http://json-schema.org/draft-07/schema#","$id":"https://example.com/schemas/object-template.v2.schema.json","title":"Object Template v2","description":"Object rect inside a room template, written by ExportBuilder.buildObjectTemplate; children are items","type":"object","allOf":[{"$ref":"template-common.v1.schema.json#/definitions/childTemplate"}],"properties":{"meta":{"allOf":[{"$ref":"template-common.v1.schema.json#/definitions/meta"},{"type":"object","properties":{"schema":{"const":"object-template.v2"},"parent":{"type":"object","properties":{"schema":{"type":"string","pattern":"^room-template\\.v\\d+$"}}}}}]}}};function validate45(data, {instancePath="", parentData, parentDataProperty, rootData=data}={}){let vErrors = null;let errors = 0;if(data && typeof data == "object" && !Array.isArray(data)){if(data.meta === undefined){const err0 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "meta"},message:"must have required property '"+"meta"+"'"};if(vErrors === null){vErrors = [err0];}else {vErrors.push(err0);}errors++;}if(data.id === undefined){const err1 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "id"},message:"must have required property '"+"id"+"'"};if(vErrors === null){vErrors = [err1];}else {vErrors.push(err1);}errors++;}if(data.rect === undefined){const err2 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "rect"},message:"must have required property '"+"rect"+"'"};if(vErrors === null){vErrors = [err2];}else {vErrors.push(err2);}errors++;}if(data.meta !== undefined){if(!(validate23(data.meta, {instancePath:instancePath+"/meta",parentData:data,parentDataProperty:"meta",rootData}))){vErrors = vErrors === null ? validate23.errors : vErrors.concat(validate23.errors);errors = vErrors.length;}}if(data.id !== undefined){let data1 = data.id;if(typeof data1 === "string"){if(!pattern1.test(data1)){const err3 = {instancePath:instancePath+"/id",schemaPath:"#/definitions/id/pattern",keyword:"pattern",params:{pattern: "\\S"},message:"must match pattern \""+"\\S"+"\""};if(vErrors === null){vErrors = [err3];}else {vErrors.push(err3);}errors++;}}else {const err4 = {instancePath:instancePath+"/id",schemaPath:"#/definitions/id/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err4];}else {vErrors.push(err4);}errors++;}}if(data.rect !== undefined){let data2 = data.rect;if(data2 && typeof data2 == "object" && !Array.isArray(data2)){if(data2.x === undefined){const err5 = {instancePath:instancePath+"/rect",schemaPath:"#/definitions/rect/required",keyword:"required",params:{missingProperty: "x"},message:"must have required property '"+"x"+"'"};if(vErrors === null){vErrors = [err5];}else {vErrors.push(err5);}errors++;}if(data2.y === undefined){const err6 = {instancePath:instancePath+"/rect",schemaPath:"#/definitions/rect/required",keyword:"required",params:{missingProperty: "y"},message:"must have required property '"+"y"+"'"};if(vErrors === null){vErrors = [err6];}else {vErrors.push(err6);}errors++;}if(data2.w === undefined){const err7 = {instancePath:instancePath+"/rect",schemaPath:"#/definitions/rect/required",keyword:"required",params:{missingProperty: "w"},message:"must have required property '"+"w"+"'"};if(vErrors === null){vErrors = [err7];}else {vErrors.push(err7);}errors++;}if(data2.h === undefined){const err8 = {instancePath:instancePath+"/rect",schemaPath:"#/definitions/rect/required",keyword:"required",params:{missingProperty: "h"},message:"must have required property '"+"h"+"'"};if(vErrors === null){vErrors = [err8];}else {vErrors.push(err8);}errors++;}if(data2.x !== undefined){let data3 = data2.x;if(!(((typeof data3 == "number") && (!(data3 % 1) && !isNaN(data3))) && (isFinite(data3)))){const err9 = {instancePath:instancePath+"/rect/x",schemaPath:"#/definitions/rect/properties/x/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err9];}else {vErrors.push(err9);}errors++;}}if(data2.y !== undefined){let data4 = data2.y;if(!(((typeof data4 == "number") && (!(data4 % 1) && !isNaN(data4))) && (isFinite(data4)))){const err10 = {instancePath:instancePath+"/rect/y",schemaPath:"#/definitions/rect/properties/y/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err10];}else {vErrors.push(err10);}errors++;}}if(data2.w !== undefined){let data5 = data2.w;if(!(((typeof data5 == "number") && (!(data5 % 1) && !isNaN(data5))) && (isFinite(data5)))){const err11 = {instancePath:instancePath+"/rect/w",schemaPath:"#/definitions/rect/properties/w/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err11];}else {vErrors.push(err11);}errors++;}if((typeof data5 == "number") && (isFinite(data5))){if(data5 < 1 || isNaN(data5)){const err12 = {instancePath:instancePath+"/rect/w",schemaPath:"#/definitions/rect/properties/w/minimum",keyword:"minimum",params:{comparison: ">=", limit: 1},message:"must be >= 1"};if(vErrors === null){vErrors = [err12];}else {vErrors.push(err12);}errors++;}}}if(data2.h !== undefined){let data6 = data2.h;if(!(((typeof data6 == "number") && (!(data6 % 1) && !isNaN(data6))) && (isFinite(data6)))){const err13 = {instancePath:instancePath+"/rect/h",schemaPath:"#/definitions/rect/properties/h/type",keyword:"type",params:{type: "integer"},message:"must be integer"};if(vErrors === null){vErrors = [err13];}else {vErrors.push(err13);}errors++;}if((typeof data6 == "number") && (isFinite(data6))){if(data6 < 1 || isNaN(data6)){const err14 = {instancePath:instancePath+"/rect/h",schemaPath:"#/definitions/rect/properties/h/minimum",keyword:"minimum",params:{comparison: ">=", limit: 1},message:"must be >= 1"};if(vErrors === null){vErrors = [err14];}else {vErrors.push(err14);}errors++;}}}}else {const err15 = {instancePath:instancePath+"/rect",schemaPath:"#/definitions/rect/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err15];}else {vErrors.push(err15);}errors++;}}if(data.shape !== undefined){if(!(validate26(data.shape, {instancePath:instancePath+"/shape",parentData:data,parentDataProperty:"shape",rootData}))){vErrors = vErrors === null ? validate26.errors : vErrors.concat(validate26.errors);errors = vErrors.length;}}if(data.children !== undefined){if(!(validate28(data.children, {instancePath:instancePath+"/children",parentData:data,parentDataProperty:"children",rootData}))){vErrors = vErrors === null ? validate28.errors : vErrors.concat(validate28.errors);errors = vErrors.length;}}if(data.created !== undefined){if(typeof data.created !== "string"){const err16 = {instancePath:instancePath+"/created",schemaPath:"#/properties/created/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err16];}else {vErrors.push(err16);}errors++;}}if(data.sceneData !== undefined){let data10 = data.sceneData;if(!(data10 && typeof data10 == "object" && !Array.isArray(data10))){const err17 = {instancePath:instancePath+"/sceneData",schemaPath:"#/properties/sceneData/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err17];}else {vErrors.push(err17);}errors++;}}}else {const err18 = {instancePath,schemaPath:"#/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err18];}else {vErrors.push(err18);}errors++;}validate45.errors = vErrors;return errors === 0;}function validate50(data, {instancePath="", parentData, parentDataProperty, rootData=data}={}){let vErrors = null;let errors = 0;if(data && typeof data == "object" && !Array.isArray(data)){if(data.schema === undefined){const err0 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "schema"},message:"must have required property '"+"schema"+"'"};if(vErrors === null){vErrors = [err0];}else {vErrors.push(err0);}errors++;}if(data.schema !== undefined){if(typeof data.schema !== "string"){const err1 = {instancePath:instancePath+"/schema",schemaPath:"#/properties/schema/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err1];}else {vErrors.push(err1);}errors++;}}if(data.version !== undefined){let data1 = data.version;if(typeof data1 === "string"){if(!pattern0.test(data1)){const err2 = {instancePath:instancePath+"/version",schemaPath:"#/properties/version/pattern",keyword:"pattern",params:{pattern: "^\\d+\\.\\d+$"},message:"must match pattern \""+"^\\d+\\.\\d+$"+"\""};if(vErrors === null){vErrors = [err2];}else {vErrors.push(err2);}errors++;}}else {const err3 = {instancePath:instancePath+"/version",schemaPath:"#/properties/version/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err3];}else {vErrors.push(err3);}errors++;}}if(data.name !== undefined){if(typeof data.name !== "string"){const err4 = {instancePath:instancePath+"/name",schemaPath:"#/properties/name/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err4];}else {vErrors.push(err4);}errors++;}}if(data.parent !== undefined){if(!(validate13(data.parent, {instancePath:instancePath+"/parent",parentData:data,parentDataProperty:"parent",rootData}))){vErrors = vErrors === null ? validate13.errors : vErrors.concat(validate13.errors);errors = vErrors.length;}}}else {const err5 = {instancePath,schemaPath:"#/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err5];}else {vErrors.push(err5);}errors++;}validate50.errors = vErrors;return errors === 0;}const pattern17 = new RegExp("^room-template\\.v\\d+$", "u");function validate44(data, {instancePath="", parentData, parentDataProperty, rootData=data}={}){/*# sourceURL="https://example.com/schemas/object-template.v2.schema.json" */;let vErrors = null;let errors = 0;if(!(validate45(data, {instancePath,parentData,parentDataProperty,rootData}))){vErrors = vErrors === null ? validate45.errors : vErrors.concat(validate45.errors);errors = vErrors.length;}if(data && typeof data == "object" && !Array.isArray(data)){if(data.meta !== undefined){let data0 = data.meta;if(!(validate50(data0, {instancePath:instancePath+"/meta",parentData:data,parentDataProperty:"meta",rootData}))){vErrors = vErrors === null ? validate50.errors : vErrors.concat(validate50.errors);errors = vErrors.length;}if(data0 && typeof data0 == "object" && !Array.isArray(data0)){if(data0.schema !== undefined){if("object-template.v2" !== data0.schema){const err0 = {instancePath:instancePath+"/meta/schema",schemaPath:"#/properties/meta/allOf/1/properties/schema/const",keyword:"const",params:{allowedValue: "object-template.v2"},message:"must be equal to constant"};if(vErrors === null){vErrors = [err0];}else {vErrors.push(err0);}errors++;}}if(data0.parent !== undefined){let data2 = data0.parent;if(data2 && typeof data2 == "object" && !Array.isArray(data2)){if(data2.schema !== undefined){let data3 = data2.schema;if(typeof data3 === "string"){if(!pattern17.test(data3)){const err1 = {instancePath:instancePath+"/meta/parent/schema",schemaPath:"#/properties/meta/allOf/1/properties/parent/properties/schema/pattern",keyword:"pattern",params:{pattern: "^room-template\\.v\\d+$"},message:"must match pattern \""+"^room-template\\.v\\d+$"+"\""};if(vErrors === null){vErrors = [err1];}else {vErrors.push(err1);}errors++;}}else {const err2 = {instancePath:instancePath+"/meta/parent/schema",schemaPath:"#/properties/meta/allOf/1/properties/parent/properties/schema/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err2];}else {vErrors.push(err2);}errors++;}}}else {const err3 = {instancePath:instancePath+"/meta/parent",schemaPath:"#/properties/meta/allOf/1/properties/parent/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err3];}else {vErrors.push(err3);}errors++;}}}else {const err4 = {instancePath:instancePath+"/meta",schemaPath:"#/properties/meta/allOf/1/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err4];}else {vErrors.push(err4);}errors++;}}}else {const err5 = {instancePath,schemaPath:"#/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err5];}else {vErrors.push(err5);}errors++;}validate44.errors = vErrors;return errors === 0;}export const tenants = validate53;const schema55 = {"$schema":"http://json-schema.org/draft-07/schema#","$id":"https://example.com/schemas/tenant-registry.v1.schema.json","title":"Tenant Registry v1","description":"Tenants of a mall and their leases on its units, read by scripts/rent-roll.js. Rents and service charges are per m² per year.","type":"object","required":["meta","tenants"],"properties":{"meta":{"allOf":[{"$ref":"template-common.v1.schema.json#/definitions/meta"},{"type":"object","properties":{"schema":{"const":"tenant-registry.v1"}}}]},"mallId":{"$ref":"template-common.v1.schema.json#/definitions/id"},"currency":{"type":"string","pattern":"^[A-Z]{3}$"},"tenants":{"type":"array","items":{"$ref":"#/definitions/tenant"}}},"definitions":{"tenant":{"type":"object","required":["id","name"],"properties":{"id":{"$ref":"template-common.v1.schema.json#/definitions/tenantId"},"name":{"type":"string","pattern":"\\S"},"contact":{"type":"object"},"leases":{"type":"array","items":{"$ref":"#/definitions/lease"}}}},"lease":{"type":"object","required":["unitId","start","end","rentPerSqm"],"properties":{"id":{"$ref":"template-common.v1.schema.json#/definitions/id"},"unitId":{"$ref":"template-common.v1.schema.json#/definitions/id"},"start":{"$ref":"template-common.v1.schema.json#/definitions/date"},"end":{"$ref":"template-common.v1.schema.json#/definitions/date"},"rentPerSqm":{"type":"number","minimum":0},"serviceChargePerSqm":{"type":"number","minimum":0}}}}};function validate54(data, {instancePath="", parentData, parentDataProperty, rootData=data}={}){let vErrors = null;let errors = 0;if(data && typeof data == "object" && !Array.isArray(data)){if(data.schema === undefined){const err0 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "schema"},message:"must have required property '"+"schema"+"'"};if(vErrors === null){vErrors = [err0];}else {vErrors.push(err0);}errors++;}if(data.schema !== undefined){if(typeof data.schema !== "string"){const err1 = {instancePath:instancePath+"/schema",schemaPath:"#/properties/schema/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err1];}else {vErrors.push(err1);}errors++;}}if(data.version !== undefined){let data1 = data.version;if(typeof data1 === "string"){if(!pattern0.test(data1)){const err2 = {instancePath:instancePath+"/version",schemaPath:"#/properties/version/pattern",keyword:"pattern",params:{pattern: "^\\d+\\.\\d+$"},message:"must match pattern \""+"^\\d+\\.\\d+$"+"\""};if(vErrors === null){vErrors = [err2];}else {vErrors.push(err2);}errors++;}}else {const err3 = {instancePath:instancePath+"/version",schemaPath:"#/properties/version/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err3];}else {vErrors.push(err3);}errors++;}}if(data.name !== undefined){if(typeof data.name !== "string"){const err4 = {instancePath:instancePath+"/name",schemaPath:"#/properties/name/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err4];}else {vErrors.push(err4);}errors++;}}if(data.parent !== undefined){if(!(validate13(data.parent, {instancePath:instancePath+"/parent",parentData:data,parentDataProperty:"parent",rootData}))){vErrors = vErrors === null ? validate13.errors : vErrors.concat(validate13.errors);errors = vErrors.length;}}}else {const err5 = {instancePath,schemaPath:"#/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err5];}else {vErrors.push(err5);}errors++;}validate54.errors = vErrors;return errors === 0;}const schema58 = {"type":"object","required":["id","name"],"properties":{"id":{"$ref":"template-common.v1.schema.json#/definitions/tenantId"},"name":{"type":"string","pattern":"\\S"},"contact":{"type":"object"},"leases":{"type":"array","items":{"$ref":"#/definitions/lease"}}}};const schema60 = {"type":"object","required":["unitId","start","end","rentPerSqm"],"properties":{"id":{"$ref":"template-common.v1.schema.json#/definitions/id"},"unitId":{"$ref":"template-common.v1.schema.json#/definitions/id"},"start":{"$ref":"template-common.v1.schema.json#/definitions/date"},"end":{"$ref":"template-common.v1.schema.json#/definitions/date"},"rentPerSqm":{"type":"number","minimum":0},"serviceChargePerSqm":{"type":"number","minimum":0}}};function validate58(data, {instancePath="", parentData, parentDataProperty, rootData=data}={}){let vErrors = null;let errors = 0;if(data && typeof data == "object" && !Array.isArray(data)){if(data.unitId === undefined){const err0 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "unitId"},message:"must have required property '"+"unitId"+"'"};if(vErrors === null){vErrors = [err0];}else {vErrors.push(err0);}errors++;}if(data.start === undefined){const err1 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "start"},message:"must have required property '"+"start"+"'"};if(vErrors === null){vErrors = [err1];}else {vErrors.push(err1);}errors++;}if(data.end === undefined){const err2 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "end"},message:"must have required property '"+"end"+"'"};if(vErrors === null){vErrors = [err2];}else {vErrors.push(err2);}errors++;}if(data.rentPerSqm === undefined){const err3 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "rentPerSqm"},message:"must have required property '"+"rentPerSqm"+"'"};if(vErrors === null){vErrors = [err3];}else {vErrors.push(err3);}errors++;}if(data.id !== undefined){let data0 = data.id;if(typeof data0 === "string"){if(!pattern1.test(data0)){const err4 = {instancePath:instancePath+"/id",schemaPath:"template-common.v1.schema.json#/definitions/id/pattern",keyword:"pattern",params:{pattern: "\\S"},message:"must match pattern \""+"\\S"+"\""};if(vErrors === null){vErrors = [err4];}else {vErrors.push(err4);}errors++;}}else {const err5 = {instancePath:instancePath+"/id",schemaPath:"template-common.v1.schema.json#/definitions/id/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err5];}else {vErrors.push(err5);}errors++;}}if(data.unitId !== undefined){let data1 = data.unitId;if(typeof data1 === "string"){if(!pattern1.test(data1)){const err6 = {instancePath:instancePath+"/unitId",schemaPath:"template-common.v1.schema.json#/definitions/id/pattern",keyword:"pattern",params:{pattern: "\\S"},message:"must match pattern \""+"\\S"+"\""};if(vErrors === null){vErrors = [err6];}else {vErrors.push(err6);}errors++;}}else {const err7 = {instancePath:instancePath+"/unitId",schemaPath:"template-common.v1.schema.json#/definitions/id/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err7];}else {vErrors.push(err7);}errors++;}}if(data.start !== undefined){let data2 = data.start;if(typeof data2 === "string"){if(!pattern5.test(data2)){const err8 = {instancePath:instancePath+"/start",schemaPath:"template-common.v1.schema.json#/definitions/date/pattern",keyword:"pattern",params:{pattern: "^\\d{4}-\\d{2}-\\d{2}$"},message:"must match pattern \""+"^\\d{4}-\\d{2}-\\d{2}$"+"\""};if(vErrors === null){vErrors = [err8];}else {vErrors.push(err8);}errors++;}}else {const err9 = {instancePath:instancePath+"/start",schemaPath:"template-common.v1.schema.json#/definitions/date/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err9];}else {vErrors.push(err9);}errors++;}}if(data.end !== undefined){let data3 = data.end;if(typeof data3 === "string"){if(!pattern5.test(data3)){const err10 = {instancePath:instancePath+"/end",schemaPath:"template-common.v1.schema.json#/definitions/date/pattern",keyword:"pattern",params:{pattern: "^\\d{4}-\\d{2}-\\d{2}$"},message:"must match pattern \""+"^\\d{4}-\\d{2}-\\d{2}$"+"\""};if(vErrors === null){vErrors = [err10];}else {vErrors.push(err10);}errors++;}}else {const err11 = {instancePath:instancePath+"/end",schemaPath:"template-common.v1.schema.json#/definitions/date/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err11];}else {vErrors.push(err11);}errors++;}}if(data.rentPerSqm !== undefined){let data4 = data.rentPerSqm;if((typeof data4 == "number") && (isFinite(data4))){if(data4 < 0 || isNaN(data4)){const err12 = {instancePath:instancePath+"/rentPerSqm",schemaPath:"#/properties/rentPerSqm/minimum",keyword:"minimum",params:{comparison: ">=", limit: 0},message:"must be >= 0"};if(vErrors === null){vErrors = [err12];}else {vErrors.push(err12);}errors++;}}else {const err13 = {instancePath:instancePath+"/rentPerSqm",schemaPath:"#/properties/rentPerSqm/type",keyword:"type",params:{type: "number"},message:"must be number"};if(vErrors === null){vErrors = [err13];}else {vErrors.push(err13);}errors++;}}if(data.serviceChargePerSqm !== undefined){let data5 = data.serviceChargePerSqm;if((typeof data5 == "number") && (isFinite(data5))){if(data5 < 0 || isNaN(data5)){const err14 = {instancePath:instancePath+"/serviceChargePerSqm",schemaPath:"#/properties/serviceChargePerSqm/minimum",keyword:"minimum",params:{comparison: ">=", limit: 0},message:"must be >= 0"};if(vErrors === null){vErrors = [err14];}else {vErrors.push(err14);}errors++;}}else {const err15 = {instancePath:instancePath+"/serviceChargePerSqm",schemaPath:"#/properties/serviceChargePerSqm/type",keyword:"type",params:{type: "number"},message:"must be number"};if(vErrors === null){vErrors = [err15];}else {vErrors.push(err15);}errors++;}}}else {const err16 = {instancePath,schemaPath:"#/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err16];}else {vErrors.push(err16);}errors++;}validate58.errors = vErrors;return errors === 0;}function validate57(data, {instancePath="", parentData, parentDataProperty, rootData=data}={}){let vErrors = null;let errors = 0;if(data && typeof data == "object" && !Array.isArray(data)){if(data.id === undefined){const err0 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "id"},message:"must have required property '"+"id"+"'"};if(vErrors === null){vErrors = [err0];}else {vErrors.push(err0);}errors++;}if(data.name === undefined){const err1 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "name"},message:"must have required property '"+"name"+"'"};if(vErrors === null){vErrors = [err1];}else {vErrors.push(err1);}errors++;}if(data.id !== undefined){let data0 = data.id;if(typeof data0 === "string"){if(!pattern4.test(data0)){const err2 = {instancePath:instancePath+"/id",schemaPath:"template-common.v1.schema.json#/definitions/tenantId/pattern",keyword:"pattern",params:{pattern: "^tenant-[a-z0-9-]+$"},message:"must match pattern \""+"^tenant-[a-z0-9-]+$"+"\""};if(vErrors === null){vErrors = [err2];}else {vErrors.push(err2);}errors++;}}else {const err3 = {instancePath:instancePath+"/id",schemaPath:"template-common.v1.schema.json#/definitions/tenantId/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err3];}else {vErrors.push(err3);}errors++;}}if(data.name !== undefined){let data1 = data.name;if(typeof data1 === "string"){if(!pattern1.test(data1)){const err4 = {instancePath:instancePath+"/name",schemaPath:"#/properties/name/pattern",keyword:"pattern",params:{pattern: "\\S"},message:"must match pattern \""+"\\S"+"\""};if(vErrors === null){vErrors = [err4];}else {vErrors.push(err4);}errors++;}}else {const err5 = {instancePath:instancePath+"/name",schemaPath:"#/properties/name/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err5];}else {vErrors.push(err5);}errors++;}}if(data.contact !== undefined){let data2 = data.contact;if(!(data2 && typeof data2 == "object" && !Array.isArray(data2))){const err6 = {instancePath:instancePath+"/contact",schemaPath:"#/properties/contact/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err6];}else {vErrors.push(err6);}errors++;}}if(data.leases !== undefined){let data3 = data.leases;if(Array.isArray(data3)){const len0 = data3.length;for(let i0=0; i0<len0; i0++){if(!(validate58(data3[i0], {instancePath:instancePath+"/leases/" + i0,parentData:data3,parentDataProperty:i0,rootData}))){vErrors = vErrors === null ? validate58.errors : vErrors.concat(validate58.errors);errors = vErrors.length;}}}else {const err7 = {instancePath:instancePath+"/leases",schemaPath:"#/properties/leases/type",keyword:"type",params:{type: "array"},message:"must be array"};if(vErrors === null){vErrors = [err7];}else {vErrors.push(err7);}errors++;}}}else {const err8 = {instancePath,schemaPath:"#/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err8];}else {vErrors.push(err8);}errors++;}validate57.errors = vErrors;return errors === 0;}const pattern20 = new RegExp("^[A-Z]{3}$", "u");function validate53(data, {instancePath="", parentData, parentDataProperty, rootData=data}={}){/*# sourceURL="https://example.com/schemas/tenant-registry.v1.schema.json" */;let vErrors = null;let errors = 0;if(data && typeof data == "object" && !Array.isArray(data)){if(data.meta === undefined){const err0 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "meta"},message:"must have required property '"+"meta"+"'"};if(vErrors === null){vErrors = [err0];}else {vErrors.push(err0);}errors++;}if(data.tenants === undefined){const err1 = {instancePath,schemaPath:"#/required",keyword:"required",params:{missingProperty: "tenants"},message:"must have required property '"+"tenants"+"'"};if(vErrors === null){vErrors = [err1];}else {vErrors.push(err1);}errors++;}if(data.meta !== undefined){let data0 = data.meta;if(!(validate54(data0, {instancePath:instancePath+"/meta",parentData:data,parentDataProperty:"meta",rootData}))){vErrors = vErrors === null ? validate54.errors : vErrors.concat(validate54.errors);errors = vErrors.length;}if(data0 && typeof data0 == "object" && !Array.isArray(data0)){if(data0.schema !== undefined){if("tenant-registry.v1" !== data0.schema){const err2 = {instancePath:instancePath+"/meta/schema",schemaPath:"#/properties/meta/allOf/1/properties/schema/const",keyword:"const",params:{allowedValue: "tenant-registry.v1"},message:"must be equal to constant"};if(vErrors === null){vErrors = [err2];}else {vErrors.push(err2);}errors++;}}}else {const err3 = {instancePath:instancePath+"/meta",schemaPath:"#/properties/meta/allOf/1/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err3];}else {vErrors.push(err3);}errors++;}}if(data.mallId !== undefined){let data2 = data.mallId;if(typeof data2 === "string"){if(!pattern1.test(data2)){const err4 = {instancePath:instancePath+"/mallId",schemaPath:"template-common.v1.schema.json#/definitions/id/pattern",keyword:"pattern",params:{pattern: "\\S"},message:"must match pattern \""+"\\S"+"\""};if(vErrors === null){vErrors = [err4];}else {vErrors.push(err4);}errors++;}}else {const err5 = {instancePath:instancePath+"/mallId",schemaPath:"template-common.v1.schema.json#/definitions/id/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err5];}else {vErrors.push(err5);}errors++;}}if(data.currency !== undefined){let data3 = data.currency;if(typeof data3 === "string"){if(!pattern20.test(data3)){const err6 = {instancePath:instancePath+"/currency",schemaPath:"#/properties/currency/pattern",keyword:"pattern",params:{pattern: "^[A-Z]{3}$"},message:"must match pattern \""+"^[A-Z]{3}$"+"\""};if(vErrors === null){vErrors = [err6];}else {vErrors.push(err6);}errors++;}}else {const err7 = {instancePath:instancePath+"/currency",schemaPath:"#/properties/currency/type",keyword:"type",params:{type: "string"},message:"must be string"};if(vErrors === null){vErrors = [err7];}else {vErrors.push(err7);}errors++;}}if(data.tenants !== undefined){let data4 = data.tenants;if(Array.isArray(data4)){const len0 = data4.length;for(let i0=0; i0<len0; i0++){if(!(validate57(data4[i0], {instancePath:instancePath+"/tenants/" + i0,parentData:data4,parentDataProperty:i0,rootData}))){vErrors = vErrors === null ? validate57.errors : vErrors.concat(validate57.errors);errors = vErrors.length;}}}else {const err8 = {instancePath:instancePath+"/tenants",schemaPath:"#/properties/tenants/type",keyword:"type",params:{type: "array"},message:"must be array"};if(vErrors === null){vErrors = [err8];}else {vErrors.push(err8);}errors++;}}}else {const err9 = {instancePath,schemaPath:"#/type",keyword:"type",params:{type: "object"},message:"must be object"};if(vErrors === null){vErrors = [err9];}else {vErrors.push(err9);}errors++;}validate53.errors = vErrors;return errors === 0;}
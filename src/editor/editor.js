@@ -1,23 +1,75 @@
 import { load as loadTemplate } from './core/TemplateLoader.js';
 import { makeBounds } from './core/TemplateBounds.js';
-import { buildMallTemplate, buildUnitTemplate, buildRoomTemplate, buildObjectTemplate, buildSceneV1 } from './core/ExportBuilder.js';
-import { toScene3D } from './core/ExportBuilder3D.js';
+import { shapeBoundaryEdges, shapeCells } from './core/TemplateShape.js';
+import { buildMallTemplate, buildUnitTemplate, buildRoomTemplate, buildObjectTemplate, buildSceneV1, patchTemplate } from './core/ExportBuilder.js';
+import { schemaId, currentVersion } from './core/SchemaMigrations.js';
+import { formatValidationErrors } from './core/TemplateValidation.js';
+import { toScene3D, toScene3DLevels, toScene3DChunks, measureContent, measureLevels, fitsSimLimits, parseSimLimits, DEFAULT_SIM_LIMITS } from './core/ExportBuilder3D.js';
+import { toGLB } from './core/GltfExporter.js';
+import { scheduleToCsv, scheduleToMarkdown } from './core/AreaSchedule.js';
 import { SceneRules } from './core/SceneRules.js';
+import { collectProblems, updateProblems, problemFocus, countProblems } from './core/Problems.js';
 import { validateScene3D } from './core/validateScene3D.js';
-import { TemplateRelationshipManager } from './core/TemplateRelationshipManager.js';
 import { waitForLoad as waitForRulesLoad } from './core/RulesSwitchboard.js';
+import { snapshotScene } from './core/EditHistory.js';
+import { getEdgeType, collectEdgeOpenings } from './core/EdgeTypes.js';
+import { MATERIALS, materialCssColor, collectFloorMaterials } from './core/Materials.js';
+import { parseLength, formatLength, formatArea, formatCells, describeScale, gridDistance } from './core/Units.js';
+import { VERTICAL_LINK_TYPES, sortLevels, getLevelBelow, linksTouchingLevel } from './core/Levels.js';
+import { UNIT_TYPES, OCCUPANCY_STATUSES, occupancyColour } from './core/UnitOccupancy.js';
+import { FloorplanDocument } from './core/FloorplanDocument.js';
+import { normalizeSelection, isInSelection, readFragment } from './core/Selection.js';
+import { Viewport, intersectRects, unionRects } from './core/Viewport.js';
+import { createTemplateResolver, indexSource, relativeSource, recentFilesSource, baseUrlSource } from './core/TemplateResolver.js';
+
+// Delay between an edit and the Problems re-check; a paint stroke is re-checked at most this often
+const PROBLEM_SCAN_DELAY_MS = 150;
+
+// Index files the parent resolver searches for templates that are not loaded yet
+const TEMPLATE_INDEX_PATHS = ['/floor-plans/mall/units-index.json'];
+
+// Grid lines are skipped once cells are smaller than this on screen
+const MIN_GRID_LINE_CELL_PX = 4;
+
+// Zoom factor per wheel delta unit (one notch is about 100)
+const WHEEL_ZOOM_RATE = 0.0015;
+
+// Unit inspector inputs: inspector field → input element, the schema path it is checked at and its label
+const UNIT_INSPECTOR_FIELDS = {
+    type: { input: 'unit-type', path: '/type', label: 'Type' },
+    status: { input: 'unit-status', path: '/occupancy/status', label: 'Occupancy' },
+    tenantId: { input: 'unit-tenant', path: '/occupancy/tenantId', label: 'Tenant' },
+    since: { input: 'unit-since', path: '/occupancy/since', label: 'Since' }
+};
 
 class FloorplanEditor {
     constructor() {
         this.canvas = document.getElementById('grid-canvas');
         this.ctx = this.canvas.getContext('2d');
-        this.gridWidth = 60;
-        this.gridHeight = 40;
-        this.cellSize = 20;
 
-        // Ensure canvas buffer size matches grid
+        // Scene, template layers, levels and history live in a DOM-free document; the editor draws it
+        this.doc = new FloorplanDocument({
+            width: 60,
+            height: 40,
+            cellSize: 20,
+            onChange: (type, rect) => this.handleDocumentChange(type, rect)
+        });
+
+        // Zoom/pan of the canvas over the grid; only visible cells are drawn
+        this.viewport = new Viewport();
+        this.viewGridSize = null;
+        this.renderRange = null; // Cell rect the layer renderers draw
+        this.dirtyCells = null; // Cells waiting for a dirty-region redraw
+        this.fullRenderPending = false;
+        this.frameRequest = null;
+        this.panState = null;
+        this.spaceDown = false;
+
+        // Ensure canvas buffer size matches its on-screen size
         this.ensureCanvasBuffer();
+        this.fitViewToNewGrid();
         this.currentTool = 'floor';
+        this.currentMaterial = 'tile'; // Finish painted by the material tool ('' removes finishes)
         this.isDrawing = false;
 
         // Rectangle tool state
@@ -29,748 +81,202 @@ class FloorplanEditor {
         this.wallActive = false;
         this.wallStart = null;
         this.wallCurr = null;
-        
-        // Hard data separation: sceneModel (user content) vs overlayModel (template constraints)
-        this.sceneModel = {
-            grid: this.createEmptyGrid(),
-            horizontalEdges: this.createEmptyEdgeSet(this.gridWidth, this.gridHeight),
-            verticalEdges: this.createEmptyEdgeSet(this.gridWidth, this.gridHeight)
-        };
 
-        this.overlayModel = {
-            templateData: null,
-            bounds: null,
-            constraints: null
-        };
-
-        // Template content layers for hierarchical ghosted rendering
-        this.parentTemplateModel = {
-            grid: this.createEmptyGrid(),
-            horizontalEdges: this.createEmptyEdgeSet(this.gridWidth, this.gridHeight),
-            verticalEdges: this.createEmptyEdgeSet(this.gridWidth, this.gridHeight),
-            hasContent: false,
-            templateData: null
-        };
+        // Select tool state: the selected cell rect, an active marquee/move drag, and the cell under the cursor
+        this.selection = null;
+        this.selectionDrag = null;
+        this.hoverCell = null;
 
-        this.currentTemplateModel = {
-            grid: this.createEmptyGrid(),
-            horizontalEdges: this.createEmptyEdgeSet(this.gridWidth, this.gridHeight),
-            verticalEdges: this.createEmptyEdgeSet(this.gridWidth, this.gridHeight),
-            hasContent: false,
-            templateData: null
-        };
-
-        // Legacy templateModel for backward compatibility (points to current)
-        this.templateModel = this.currentTemplateModel;
-
-        // Legacy properties for backwards compatibility (proxy to sceneModel)
-        this.grid = this.sceneModel.grid;
-        this.horizontalEdges = this.sceneModel.horizontalEdges;
-        this.verticalEdges = this.sceneModel.verticalEdges;
+        // Measure tool state: the measured line between grid vertices, and the floor region under the cursor
+        this.measureLine = null;
+        this.measureRegion = null;
         
         // Colors for different elements
         this.colors = {
             empty: '#f0f0f0',
             floor: '#8B4513',
-            wall: '#000000'
+            wall: '#000000',
+            door: '#2e7d32',
+            window: '#0288d1',
+            opening: '#9e9e9e',
+            stair: '#6a1b9a',
+            escalator: '#ef6c00',
+            elevator: '#00838f',
+            levelBelowFloor: '#b0bec5',
+            levelBelowEdge: '#78909c',
+            problemWarn: '#e53935',
+            problemBlock: '#b71c1c',
+            problemIsolated: '#ffb300',
+            selection: '#1e88e5',
+            measure: '#d81b60'
+        };
+
+        // Live validation: problems on the active level, refreshed shortly after each edit
+        this.problems = [];
+        this.focusedProblemId = null;
+        this.problemScanTimer = null;
+        this.problemScanRect = null; // Cells painted since the last scan; null with problemScanFull for a full scan
+        this.problemScanFull = false;
+
+        // Edge tools and the typed edge each one paints
+        this.edgeTools = {
+            'wall-edge': 'wall',
+            'door': 'door',
+            'window': 'window',
+            'opening': 'opening'
         };
         
         // Template overlay state
         this.templateOverlay = null;
-        this.showTemplate = false;
-        this.templateType = null; // Track what type of template is loaded
-        this.templateContext = {}; // Store template metadata
 
         // Unit overlay state
         this.unitsIndex = null;
         this.selectedUnit = null;
         this.unitOverlay = null;
 
-        // Unit selection for mall mode
-        this.activeUnit = null; // { id, rect }
-        this.limitToActiveUnit = false;
-        this.baseBounds = null; // Store original bounds before limiting
-
         // Initialize MRU system early to prevent crashes
         this.initializeMRUSystem();
 
-
-        // Initialize Template Relationship Manager
-        this.templateRelationshipManager = new TemplateRelationshipManager();
+        // Let child templates pull in their parents when loaded on their own
+        this.templateRelationshipManager.setResolver(this.createParentResolver());
 
         this.init();
     }
     
+    // Keep the view in step with document edits
+    handleDocumentChange(type, rect) {
+        if (this.measureRegion) {
+            // Any edit can grow, split or rescale the hovered region; it is measured again on the next move
+            this.measureRegion = null;
+            this.updateMeasureInfo();
+            this.scheduleRender();
+        }
+        if (type === 'scene') {
+            this.ensureCanvasBuffer();
+            this.fitViewToNewGrid();
+            this.updateGridSizeControl();
+            this.updateScaleControls();
+        } else if (type === 'level') {
+            this.updateLevelControls();
+            this.render();
+            this.updateInfo();
+        } else if (type === 'scale') {
+            this.updateScaleControls();
+            this.updateInfo();
+            this.updateMeasureInfo();
+            this.scheduleRender(); // Dimension labels
+        } else if (type === 'bounds') {
+            this.updateUnitInspector(); // Template loaded or cleared
+        } else if (type === 'unit') {
+            this.scheduleRender(); // Occupancy colours
+        }
+        // Painting re-checks the cells around each edit; anything else rescans the level
+        this.scheduleProblemScan(type === 'cell' || type === 'edge' ? rect : undefined);
+    }
+
+    // Parent lookup: units index, paths relative to the child, recent files, then ?templateBase=<url>
+    createParentResolver() {
+        const sources = [
+            indexSource(TEMPLATE_INDEX_PATHS),
+            relativeSource(),
+            recentFilesSource(() => this.mruFiles)
+        ];
+        const baseUrl = new URLSearchParams(window.location.search).get('templateBase');
+        if (baseUrl) {
+            sources.push(baseUrlSource(baseUrl));
+        }
+        return createTemplateResolver({ sources });
+    }
+
     init() {
         this.setupEventListeners();
         this.setupDragAndDrop();
         this.setupMRUSystem();
         this.checkUrlParams();
+        this.updateLevelControls();
         this.render();
         this.updateInfo();
+        this.refreshProblems();
     }
     
-    createEmptyGrid() {
-        const grid = [];
-        for (let y = 0; y < this.gridHeight; y++) {
-            grid[y] = [];
-            for (let x = 0; x < this.gridWidth; x++) {
-                grid[y][x] = 'empty';
-            }
-        }
-        return grid;
-    }
-    
-    createEmptyEdgeSet(width, height) {
-        const edges = [];
-        for (let y = 0; y < height; y++) {
-            edges[y] = [];
-            for (let x = 0; x < width; x++) {
-                edges[y][x] = false;
-            }
-        }
-        return edges;
-    }
-
-    resizeTemplateModels() {
-        console.log('[DEBUG] resizeTemplateModels: Resizing template arrays to match grid:', this.gridWidth, 'x', this.gridHeight);
-
-        // Resize scene model arrays
-        this.sceneModel.grid = this.createEmptyGrid();
-        this.sceneModel.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-        this.sceneModel.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-
-        // Preserve parent template data but resize arrays
-        if (this.parentTemplateModel.hasContent) {
-            const oldParentGrid = this.parentTemplateModel.grid;
-            const oldParentHEdges = this.parentTemplateModel.horizontalEdges;
-            const oldParentVEdges = this.parentTemplateModel.verticalEdges;
-
-            // Create new arrays with current grid dimensions
-            this.parentTemplateModel.grid = this.createEmptyGrid();
-            this.parentTemplateModel.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-            this.parentTemplateModel.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-
-            // Copy old data into new arrays (within bounds)
-            const oldHeight = oldParentGrid.length;
-            const oldWidth = oldParentGrid[0]?.length || 0;
-            for (let y = 0; y < Math.min(oldHeight, this.gridHeight); y++) {
-                for (let x = 0; x < Math.min(oldWidth, this.gridWidth); x++) {
-                    this.parentTemplateModel.grid[y][x] = oldParentGrid[y][x];
-                }
-            }
-
-            // Copy horizontal edges (within bounds)
-            const oldHHeight = oldParentHEdges.length;
-            const oldHWidth = oldParentHEdges[0]?.length || 0;
-            for (let y = 0; y < Math.min(oldHHeight, this.gridHeight); y++) {
-                for (let x = 0; x < Math.min(oldHWidth, this.gridWidth); x++) {
-                    this.parentTemplateModel.horizontalEdges[y][x] = oldParentHEdges[y][x];
-                }
-            }
-
-            // Copy vertical edges (within bounds)
-            const oldVHeight = oldParentVEdges.length;
-            const oldVWidth = oldParentVEdges[0]?.length || 0;
-            for (let y = 0; y < Math.min(oldVHeight, this.gridHeight); y++) {
-                for (let x = 0; x < Math.min(oldVWidth, this.gridWidth); x++) {
-                    this.parentTemplateModel.verticalEdges[y][x] = oldParentVEdges[y][x];
-                }
-            }
-        } else {
-            // Create empty arrays
-            this.parentTemplateModel.grid = this.createEmptyGrid();
-            this.parentTemplateModel.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-            this.parentTemplateModel.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-        }
-
-        // Preserve current template data but resize arrays
-        if (this.currentTemplateModel.hasContent) {
-            const oldCurrentGrid = this.currentTemplateModel.grid;
-            const oldCurrentHEdges = this.currentTemplateModel.horizontalEdges;
-            const oldCurrentVEdges = this.currentTemplateModel.verticalEdges;
-
-            // Create new arrays with current grid dimensions
-            this.currentTemplateModel.grid = this.createEmptyGrid();
-            this.currentTemplateModel.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-            this.currentTemplateModel.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-
-            // Copy old data into new arrays (within bounds)
-            const oldHeight = oldCurrentGrid.length;
-            const oldWidth = oldCurrentGrid[0]?.length || 0;
-            for (let y = 0; y < Math.min(oldHeight, this.gridHeight); y++) {
-                for (let x = 0; x < Math.min(oldWidth, this.gridWidth); x++) {
-                    this.currentTemplateModel.grid[y][x] = oldCurrentGrid[y][x];
-                }
-            }
-
-            // Copy horizontal edges (within bounds)
-            const oldHHeight = oldCurrentHEdges.length;
-            const oldHWidth = oldCurrentHEdges[0]?.length || 0;
-            for (let y = 0; y < Math.min(oldHHeight, this.gridHeight); y++) {
-                for (let x = 0; x < Math.min(oldHWidth, this.gridWidth); x++) {
-                    this.currentTemplateModel.horizontalEdges[y][x] = oldCurrentHEdges[y][x];
-                }
-            }
-
-            // Copy vertical edges (within bounds)
-            const oldVHeight = oldCurrentVEdges.length;
-            const oldVWidth = oldCurrentVEdges[0]?.length || 0;
-            for (let y = 0; y < Math.min(oldVHeight, this.gridHeight); y++) {
-                for (let x = 0; x < Math.min(oldVWidth, this.gridWidth); x++) {
-                    this.currentTemplateModel.verticalEdges[y][x] = oldCurrentVEdges[y][x];
-                }
-            }
-        } else {
-            // Create empty arrays if no content
-            this.currentTemplateModel.grid = this.createEmptyGrid();
-            this.currentTemplateModel.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-            this.currentTemplateModel.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-        }
-
-        // Update legacy references
-        this.grid = this.sceneModel.grid;
-        this.horizontalEdges = this.sceneModel.horizontalEdges;
-        this.verticalEdges = this.sceneModel.verticalEdges;
-
-        console.log('[DEBUG] resizeTemplateModels: Completed resizing');
-    }
-
-    clearScene() {
-        // Reset scene model to empty state
-        this.sceneModel.grid = this.createEmptyGrid();
-        this.sceneModel.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-        this.sceneModel.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-
-        // Only clear current template layer, preserve parent template
-        this.currentTemplateModel.grid = this.createEmptyGrid();
-        this.currentTemplateModel.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-        this.currentTemplateModel.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-        this.currentTemplateModel.hasContent = false;
-
-        // Maintain compatibility with legacy grid references
-        this.grid = this.sceneModel.grid;
-        this.horizontalEdges = this.sceneModel.horizontalEdges;
-        this.verticalEdges = this.sceneModel.verticalEdges;
-
-        console.log('Scene cleared - ready for new content');
-    }
-
-    // Parse template content and populate template layer for ghosted rendering
-    parseTemplateContent(templateData, dto) {
-        console.log('[DEBUG] parseTemplateContent: Entry:', {
-            templateDataKeys: Object.keys(templateData),
-            dtoType: dto.type,
-            hasSceneData: !!templateData.sceneData,
-            hasInstances: !!templateData.instances,
-            hasParent: !!templateData.meta?.parent
-        });
-
-        // Determine if this is a child template with a parent
-        const hasParent = templateData.meta?.parent;
-
-        if (hasParent) {
-            // This is a child template - move current template to parent layer if it exists
-            if (this.currentTemplateModel.hasContent) {
-                console.log('[DEBUG] parseTemplateContent: Moving current template to parent layer');
-                // Deep copy current template to parent layer
-                this.parentTemplateModel.grid = this.currentTemplateModel.grid.map(row => [...row]);
-                this.parentTemplateModel.horizontalEdges = this.currentTemplateModel.horizontalEdges.map(row => [...row]);
-                this.parentTemplateModel.verticalEdges = this.currentTemplateModel.verticalEdges.map(row => [...row]);
-                this.parentTemplateModel.hasContent = this.currentTemplateModel.hasContent;
-                this.parentTemplateModel.templateData = this.currentTemplateModel.templateData;
-            }
-
-            // Clear current template layer for new child template
-            this.currentTemplateModel.grid = this.createEmptyGrid();
-            this.currentTemplateModel.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-            this.currentTemplateModel.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-            this.currentTemplateModel.hasContent = false;
-            this.currentTemplateModel.templateData = templateData;
-        } else {
-            // This is a parent template - clear current but preserve parent
-            this.currentTemplateModel.grid = this.createEmptyGrid();
-            this.currentTemplateModel.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-            this.currentTemplateModel.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-            this.currentTemplateModel.hasContent = false;
-            this.currentTemplateModel.templateData = templateData;
-        }
-
-        // Check if template has instances (scene content)
-        if (templateData.instances && Array.isArray(templateData.instances)) {
-            // Convert instances to grid representation
-            this.parseInstancesIntoTemplateLayer(templateData.instances);
-            this.templateModel.hasContent = true;
-            console.log('Parsed template instances into ghosted layer:', templateData.instances.length);
-        }
-
-        // For mall templates, check for embedded scene content
-        if (dto.type === 'mall') {
-            console.log('[DEBUG] parseTemplateContent: Processing mall template');
-            if (templateData.sceneData) {
-                console.log('[DEBUG] parseTemplateContent: Found sceneData, parsing...');
-                // Parse scene data (tiles and edges) into template layer
-                this.parseSceneDataIntoTemplateLayer(templateData.sceneData);
-                console.log('[DEBUG] parseTemplateContent: Parsed mall scene data into ghosted layer');
-            } else if (templateData.instances && Array.isArray(templateData.instances)) {
-                console.log('[DEBUG] parseTemplateContent: Found instances, parsing...');
-                // Legacy: handle instances format
-                this.parseInstancesIntoTemplateLayer(templateData.instances);
-                this.templateModel.hasContent = true;
-                console.log('[DEBUG] parseTemplateContent: Parsed mall instances into ghosted layer');
-            } else {
-                console.log('[DEBUG] parseTemplateContent: No scene data or instances, creating boundary');
-                // Create ghosted boundary representation from mall structure
-                this.createGhostedMallBoundary(dto);
-            }
-        }
-
-        // For gallery/unit templates, handle scene data or create boundary from rect
-        if (dto.type === 'unit') {
-            console.log('[DEBUG] parseTemplateContent: Processing gallery/unit template');
-            if (templateData.sceneData) {
-                // Parse scene data if available
-                this.parseSceneDataIntoTemplateLayer(templateData.sceneData);
-                console.log('[DEBUG] parseTemplateContent: Parsed gallery scene data into ghosted layer');
-            } else if (dto.rect) {
-                console.log('[DEBUG] parseTemplateContent: Creating gallery boundary from rect:', dto.rect);
-                console.log('[DEBUG] parseTemplateContent: Grid dimensions before boundary creation:', this.gridWidth, 'x', this.gridHeight);
-
-                // Create ghosted boundary from gallery rect
-                this.createGhostedRectOutline(dto.rect);
-                this.currentTemplateModel.hasContent = true;
-
-                console.log('[DEBUG] parseTemplateContent: Gallery boundary created, currentTemplateModel.hasContent:', this.currentTemplateModel.hasContent);
-                console.log('[DEBUG] parseTemplateContent: Template states after gallery boundary:', {
-                    parentHasContent: this.parentTemplateModel.hasContent,
-                    currentHasContent: this.currentTemplateModel.hasContent
-                });
-            } else {
-                console.log('[DEBUG] parseTemplateContent: No sceneData or rect found for gallery template');
-            }
-        }
-    }
-
-    // Parse template content using Template Relationship Manager result
-    parseTemplateContentWithRelationships(relationshipResult) {
-        console.log('[DEBUG] parseTemplateContentWithRelationships: Entry:', relationshipResult);
-
-        // Clear existing template layers
-        this.parentTemplateModel.grid = this.createEmptyGrid();
-        this.parentTemplateModel.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-        this.parentTemplateModel.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-        this.parentTemplateModel.hasContent = false;
-
-        this.currentTemplateModel.grid = this.createEmptyGrid();
-        this.currentTemplateModel.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-        this.currentTemplateModel.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-        this.currentTemplateModel.hasContent = false;
-
-        // Process parent template if it exists
-        if (relationshipResult.hasParent && relationshipResult.parent) {
-            console.log('[DEBUG] parseTemplateContentWithRelationships: Processing parent template');
-            const parentData = relationshipResult.parent.templateData;
-            const parentDto = relationshipResult.parent.dto;
-
-            // Parse parent template content into parent layer
-            this.parseTemplateIntoLayer(parentData, parentDto, 'parent');
-            console.log('[DEBUG] parseTemplateContentWithRelationships: Parent template parsed');
-        }
-
-        // Process current template
-        if (relationshipResult.current) {
-            console.log('[DEBUG] parseTemplateContentWithRelationships: Processing current template');
-            const currentData = relationshipResult.current.templateData;
-            const currentDto = relationshipResult.current.dto;
-
-            // Parse current template content into current layer
-            this.parseTemplateIntoLayer(currentData, currentDto, 'current');
-            console.log('[DEBUG] parseTemplateContentWithRelationships: Current template parsed');
-        }
-
-        console.log('[DEBUG] parseTemplateContentWithRelationships: Complete. Template states:', {
-            parentHasContent: this.parentTemplateModel.hasContent,
-            currentHasContent: this.currentTemplateModel.hasContent
-        });
-    }
-
-    // Parse template data into a specific layer (parent or current)
-    parseTemplateIntoLayer(templateData, dto, layer) {
-        console.log(`[DEBUG] parseTemplateIntoLayer: Processing ${layer} layer:`, {
-            templateType: dto.type,
-            hasSceneData: !!templateData.sceneData,
-            hasInstances: !!templateData.instances
-        });
-
-        // Select the target template model
-        const targetModel = layer === 'parent' ? this.parentTemplateModel : this.currentTemplateModel;
-
-        // Store template data reference
-        targetModel.templateData = templateData;
-
-        // Check if template has instances (scene content)
-        if (templateData.instances && Array.isArray(templateData.instances)) {
-            console.log(`[DEBUG] parseTemplateIntoLayer: Parsing ${templateData.instances.length} instances into ${layer} layer`);
-            this.parseInstancesIntoLayer(templateData.instances, layer);
-            targetModel.hasContent = true;
-        }
-
-        // For mall templates, check for embedded scene content
-        if (dto.type === 'mall') {
-            console.log(`[DEBUG] parseTemplateIntoLayer: Processing mall template in ${layer} layer`);
-            if (templateData.sceneData) {
-                console.log(`[DEBUG] parseTemplateIntoLayer: Found sceneData, parsing into ${layer} layer`);
-                this.parseSceneDataIntoLayer(templateData.sceneData, layer);
-            } else if (templateData.instances && Array.isArray(templateData.instances)) {
-                console.log(`[DEBUG] parseTemplateIntoLayer: Found instances, parsing into ${layer} layer`);
-                this.parseInstancesIntoLayer(templateData.instances, layer);
-                targetModel.hasContent = true;
-            } else {
-                console.log(`[DEBUG] parseTemplateIntoLayer: No scene data or instances, creating boundary in ${layer} layer`);
-                this.createGhostedMallBoundaryInLayer(dto, layer);
-            }
-        }
-
-        // For gallery/unit templates, handle scene data or create boundary from rect
-        if (dto.type === 'unit') {
-            console.log(`[DEBUG] parseTemplateIntoLayer: Processing gallery/unit template in ${layer} layer`);
-            if (templateData.sceneData) {
-                this.parseSceneDataIntoLayer(templateData.sceneData, layer);
-            } else if (dto.rect) {
-                console.log(`[DEBUG] parseTemplateIntoLayer: Creating gallery boundary from rect in ${layer} layer:`, dto.rect);
-                this.createGhostedRectOutlineInLayer(dto.rect, layer);
-                targetModel.hasContent = true;
-            } else {
-                console.log(`[DEBUG] parseTemplateIntoLayer: No sceneData or rect found for gallery template in ${layer} layer`);
-            }
-        }
-
-        // For room templates, handle scene data or create boundary from rect
-        if (dto.type === 'room') {
-            console.log(`[DEBUG] parseTemplateIntoLayer: Processing room template in ${layer} layer`);
-            if (templateData.sceneData) {
-                this.parseSceneDataIntoLayer(templateData.sceneData, layer);
-            } else if (dto.rect) {
-                console.log(`[DEBUG] parseTemplateIntoLayer: Creating room boundary from rect in ${layer} layer:`, dto.rect);
-                this.createGhostedRectOutlineInLayer(dto.rect, layer);
-                targetModel.hasContent = true;
-            } else {
-                console.log(`[DEBUG] parseTemplateIntoLayer: No sceneData or rect found for room template in ${layer} layer`);
-            }
-        }
-
-        console.log(`[DEBUG] parseTemplateIntoLayer: Completed ${layer} layer processing. hasContent:`, targetModel.hasContent);
-    }
-
-    // Convert scene instances to template grid representation (layer-aware)
-    parseInstancesIntoLayer(instances, layer = 'current') {
-        const targetModel = layer === 'parent' ? this.parentTemplateModel : this.currentTemplateModel;
-
-        instances.forEach(instance => {
-            if (instance.position && instance.type) {
-                const [worldX, worldY, worldZ] = instance.position;
-                const gridX = Math.floor(worldX / 2);
-                const gridY = Math.floor(worldZ / 2);
-
-                if (gridX >= 0 && gridX < this.gridWidth && gridY >= 0 && gridY < this.gridHeight) {
-                    if (instance.type === 'lobbyFloor') {
-                        targetModel.grid[gridY][gridX] = 'floor';
-                    }
-                    // Handle wall instances by adding edges
-                    // This is simplified - you might need more sophisticated wall detection
+    setupEventListeners() {
+        // Tool selection
+        document.querySelectorAll('.tool-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                document.querySelector('.tool-btn.active').classList.remove('active');
+                e.target.classList.add('active');
+                this.currentTool = e.target.dataset.tool;
+                document.getElementById('current-tool').textContent = this.currentTool;
+                if (this.currentTool !== 'select' && this.selection) {
+                    this.selection = this.selectionDrag = null;
+                    this.render();
                 }
-            }
-        });
-    }
-
-    // Convert scene data (tiles and edges) to template grid representation (layer-aware)
-    parseSceneDataIntoLayer(sceneData, layer = 'current') {
-        console.log(`[DEBUG] parseSceneDataIntoLayer: Entry with sceneData in ${layer} layer:`, sceneData);
-
-        const targetModel = layer === 'parent' ? this.parentTemplateModel : this.currentTemplateModel;
-        let floorsAdded = 0;
-        let hEdgesAdded = 0;
-        let vEdgesAdded = 0;
-
-        // Parse floor tiles
-        if (sceneData.tiles && sceneData.tiles.floor) {
-            console.log(`[DEBUG] parseSceneDataIntoLayer: Processing ${sceneData.tiles.floor.length} floor tiles in ${layer} layer`);
-            sceneData.tiles.floor.forEach(([x, y]) => {
-                if (x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight) {
-                    targetModel.grid[y][x] = 'floor';
-                    floorsAdded++;
-                } else {
-                    console.log(`[DEBUG] parseSceneDataIntoLayer: Floor tile out of bounds in ${layer} layer:`, [x, y]);
+                if (this.currentTool !== 'measure' && (this.measureLine || this.measureRegion)) {
+                    this.clearMeasurement();
                 }
             });
-        }
-
-        // Parse horizontal edges
-        if (sceneData.edges && sceneData.edges.horizontal) {
-            console.log(`[DEBUG] parseSceneDataIntoLayer: Processing ${sceneData.edges.horizontal.length} horizontal edges in ${layer} layer`);
-            sceneData.edges.horizontal.forEach(([x, y]) => {
-                if (x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight) {
-                    targetModel.horizontalEdges[y][x] = true;
-                    hEdgesAdded++;
-                } else {
-                    console.log(`[DEBUG] parseSceneDataIntoLayer: H-edge out of bounds in ${layer} layer:`, [x, y]);
-                }
+        });
+        
+        // Finish palette of the material tool; picking a finish selects the tool
+        const materialSelect = document.getElementById('material-select');
+        if (materialSelect) {
+            materialSelect.innerHTML = '';
+            Object.entries(MATERIALS).forEach(([id, { label, surface }]) => {
+                materialSelect.add(new Option(`${label} (${surface})`, id));
             });
-        }
-
-        // Parse vertical edges
-        if (sceneData.edges && sceneData.edges.vertical) {
-            console.log(`[DEBUG] parseSceneDataIntoLayer: Processing ${sceneData.edges.vertical.length} vertical edges in ${layer} layer`);
-            sceneData.edges.vertical.forEach(([x, y]) => {
-                if (x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight) {
-                    targetModel.verticalEdges[y][x] = true;
-                    vEdgesAdded++;
-                } else {
-                    console.log(`[DEBUG] parseSceneDataIntoLayer: V-edge out of bounds in ${layer} layer:`, [x, y]);
-                }
+            materialSelect.add(new Option('Plain (remove finish)', ''));
+            materialSelect.value = this.currentMaterial;
+            materialSelect.addEventListener('change', () => {
+                this.currentMaterial = materialSelect.value;
+                document.getElementById('tool-material')?.click();
             });
         }
 
-        // Set hasContent flag if we actually added anything
-        if (floorsAdded > 0 || hEdgesAdded > 0 || vEdgesAdded > 0) {
-            targetModel.hasContent = true;
-        }
-
-        console.log(`[DEBUG] parseSceneDataIntoLayer: Conversion complete for ${layer} layer:`, {
-            floorsAdded,
-            hEdgesAdded,
-            vEdgesAdded,
-            hasContent: targetModel.hasContent
-        });
-    }
-
-    // Create ghosted boundary representation for mall templates (layer-aware)
-    createGhostedMallBoundaryInLayer(dto, layer = 'current') {
-        const targetModel = layer === 'parent' ? this.parentTemplateModel : this.currentTemplateModel;
-
-        // If mall has units, create ghosted outlines for each unit
-        if (dto.units && dto.units.length > 0) {
-            dto.units.forEach(unit => {
-                if (unit.rect) {
-                    this.createGhostedRectOutlineInLayer(unit.rect, layer);
+        // Grid size in cells; larger plans than the 60x40 default are enlarged here
+        const gridInput = document.getElementById('grid-dimensions');
+        gridInput?.addEventListener('change', () => {
+            const size = parseSimLimits(gridInput.value);
+            try {
+                if (!size) throw new Error(`"${gridInput.value}" is not a size; try 120x80`);
+                if (this.doc.resizeGrid(size.maxTilesX, size.maxTilesY)) {
+                    this.render();
+                    this.updateInfo();
                 }
-            });
-            targetModel.hasContent = true;
-            console.log(`Created ghosted unit boundaries for ${dto.units.length} units in ${layer} layer`);
-        }
-        // If mall has rect but no units, create ghosted outline for the mall area
-        else if (dto.rect) {
-            this.createGhostedRectOutlineInLayer(dto.rect, layer);
-            targetModel.hasContent = true;
-            console.log(`Created ghosted mall boundary from rect in ${layer} layer:`, dto.rect);
-        }
-    }
-
-    // Create ghosted rectangular outline (layer-aware)
-    createGhostedRectOutlineInLayer(rect, layer = 'current') {
-        const targetModel = layer === 'parent' ? this.parentTemplateModel : this.currentTemplateModel;
-        const { x, y, w, h } = rect;
-        let edgesAdded = 0;
-
-        console.log(`[DEBUG] createGhostedRectOutlineInLayer: Creating outline for rect ${JSON.stringify(rect)} in ${layer} layer`);
-
-        // Top edge
-        for (let i = 0; i < w; i++) {
-            if (x + i >= 0 && x + i < this.gridWidth && y >= 0 && y < this.gridHeight) {
-                targetModel.horizontalEdges[y][x + i] = true;
-                edgesAdded++;
-            }
-        }
-
-        // Bottom edge
-        for (let i = 0; i < w; i++) {
-            if (x + i >= 0 && x + i < this.gridWidth && y + h >= 0 && y + h < this.gridHeight) {
-                targetModel.horizontalEdges[y + h][x + i] = true;
-                edgesAdded++;
-            }
-        }
-
-        // Left edge
-        for (let i = 0; i < h; i++) {
-            if (x >= 0 && x < this.gridWidth && y + i >= 0 && y + i < this.gridHeight) {
-                targetModel.verticalEdges[y + i][x] = true;
-                edgesAdded++;
-            }
-        }
-
-        // Right edge
-        for (let i = 0; i < h; i++) {
-            if (x + w >= 0 && x + w < this.gridWidth && y + i >= 0 && y + i < this.gridHeight) {
-                targetModel.verticalEdges[y + i][x + w] = true;
-                edgesAdded++;
+            } catch (error) {
+                this.showToast('warning', 'Grid Not Resized', error.message);
             }
-        }
-
-        if (edgesAdded > 0) {
-            targetModel.hasContent = true;
-        }
-
-        console.log(`[DEBUG] createGhostedRectOutlineInLayer: Created ${edgesAdded} edges in ${layer} layer`);
-    }
-
-    // Convert scene instances to template grid representation
-    parseInstancesIntoTemplateLayer(instances) {
-        instances.forEach(instance => {
-            if (instance.position && instance.type) {
-                const [worldX, worldY, worldZ] = instance.position;
-                const gridX = Math.floor(worldX / 2);
-                const gridY = Math.floor(worldZ / 2);
+            this.updateGridSizeControl();
+        });
 
-                if (gridX >= 0 && gridX < this.gridWidth && gridY >= 0 && gridY < this.gridHeight) {
-                    if (instance.type === 'lobbyFloor') {
-                        this.templateModel.grid[gridY][gridX] = 'floor';
-                    }
-                    // Handle wall instances by adding edges
-                    // This is simplified - you might need more sophisticated wall detection
-                }
+        // Real-world scale: the typed size of one cell and the units dimensions are shown in
+        const scaleInput = document.getElementById('cell-scale');
+        scaleInput?.addEventListener('change', () => {
+            const cellMeters = parseLength(scaleInput.value, this.doc.scale.units);
+            if (!cellMeters) {
+                this.showToast('warning', 'Invalid Scale', `"${scaleInput.value}" is not a length; try 0.5 m or 2 ft`);
+                this.updateScaleControls();
+                return;
             }
+            this.doc.setScale({ cellMeters });
         });
-    }
-
-    // Convert scene data (tiles and edges) to template grid representation
-    parseSceneDataIntoTemplateLayer(sceneData) {
-        console.log('[DEBUG] parseSceneDataIntoTemplateLayer: Entry with sceneData:', sceneData);
-
-        let floorsAdded = 0;
-        let hEdgesAdded = 0;
-        let vEdgesAdded = 0;
-
-        // Parse floor tiles
-        if (sceneData.tiles && sceneData.tiles.floor) {
-            console.log('[DEBUG] parseSceneDataIntoTemplateLayer: Processing', sceneData.tiles.floor.length, 'floor tiles');
-            sceneData.tiles.floor.forEach(([x, y]) => {
-                if (x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight) {
-                    this.currentTemplateModel.grid[y][x] = 'floor';
-                    floorsAdded++;
-                } else {
-                    console.log('[DEBUG] parseSceneDataIntoTemplateLayer: Floor tile out of bounds:', [x, y]);
-                }
-            });
-        }
-
-        // Parse horizontal edges
-        if (sceneData.edges && sceneData.edges.horizontal) {
-            console.log('[DEBUG] parseSceneDataIntoTemplateLayer: Processing', sceneData.edges.horizontal.length, 'horizontal edges');
-            sceneData.edges.horizontal.forEach(([x, y]) => {
-                if (x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight) {
-                    this.currentTemplateModel.horizontalEdges[y][x] = true;
-                    hEdgesAdded++;
-                } else {
-                    console.log('[DEBUG] parseSceneDataIntoTemplateLayer: H-edge out of bounds:', [x, y]);
-                }
-            });
-        }
-
-        // Parse vertical edges
-        if (sceneData.edges && sceneData.edges.vertical) {
-            console.log('[DEBUG] parseSceneDataIntoTemplateLayer: Processing', sceneData.edges.vertical.length, 'vertical edges');
-            sceneData.edges.vertical.forEach(([x, y]) => {
-                if (x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight) {
-                    this.currentTemplateModel.verticalEdges[y][x] = true;
-                    vEdgesAdded++;
-                } else {
-                    console.log('[DEBUG] parseSceneDataIntoTemplateLayer: V-edge out of bounds:', [x, y]);
-                }
-            });
-        }
-
-        // Set hasContent flag if we actually added anything
-        if (floorsAdded > 0 || hEdgesAdded > 0 || vEdgesAdded > 0) {
-            this.currentTemplateModel.hasContent = true;
-        }
-
-        console.log('[DEBUG] parseSceneDataIntoTemplateLayer: Conversion complete:', {
-            floorsAdded,
-            hEdgesAdded,
-            vEdgesAdded,
-            currentTemplateHasContent: this.currentTemplateModel.hasContent
+        document.getElementById('display-units')?.addEventListener('change', (e) => {
+            this.doc.setScale({ units: e.target.value });
         });
-    }
-
-    // Create ghosted boundary representation for mall templates without scene content
-    createGhostedMallBoundary(dto) {
-        // If mall has units, create ghosted outlines for each unit
-        if (dto.units && dto.units.length > 0) {
-            dto.units.forEach(unit => {
-                if (unit.rect) {
-                    this.createGhostedRectOutline(unit.rect);
-                }
-            });
-            this.currentTemplateModel.hasContent = true;
-            console.log('Created ghosted unit boundaries for', dto.units.length, 'units');
-        }
-        // If mall has rect but no units, create ghosted outline for the mall area
-        else if (dto.rect) {
-            this.createGhostedRectOutline(dto.rect);
-            this.currentTemplateModel.hasContent = true;
-            console.log('Created ghosted mall boundary from rect:', dto.rect);
-        }
-    }
-
-    // Create a ghosted outline (border only) for a rectangle
-    createGhostedRectOutline(rect) {
-        const { x, y, w, h } = rect;
-        let edgesAdded = 0;
-
-        console.log('[DEBUG] createGhostedRectOutline: Creating boundary for rect:', rect);
-        console.log('[DEBUG] createGhostedRectOutline: Grid bounds check:', {
-            gridWidth: this.gridWidth,
-            gridHeight: this.gridHeight,
-            rectBounds: { left: x, top: y, right: x + w, bottom: y + h }
+        this.updateScaleControls();
+
+        // Unit inspector: type and occupancy of the selected mall unit, checked against the schema as typed
+        const unitTypeSelect = document.getElementById('unit-type');
+        const unitStatusSelect = document.getElementById('unit-status');
+        if (unitTypeSelect && unitStatusSelect) {
+            unitTypeSelect.add(new Option('–', ''));
+            UNIT_TYPES.forEach(type => unitTypeSelect.add(new Option(type, type)));
+            unitStatusSelect.add(new Option('–', ''));
+            OCCUPANCY_STATUSES.forEach(status => unitStatusSelect.add(new Option(status, status)));
+        }
+        Object.values(UNIT_INSPECTOR_FIELDS).forEach(({ input }) => {
+            document.getElementById(input)?.addEventListener('input', () => this.handleUnitInfoInput());
         });
 
-        // Create border edges for the rectangle (not fill the interior)
-        // Top border
-        for (let i = 0; i < w && y >= 0 && y < this.gridHeight; i++) {
-            if (x + i >= 0 && x + i < this.gridWidth) {
-                this.currentTemplateModel.horizontalEdges[y][x + i] = true;
-                edgesAdded++;
-            }
-        }
-
-        // Bottom border
-        for (let i = 0; i < w && y + h >= 0 && y + h < this.gridHeight; i++) {
-            if (x + i >= 0 && x + i < this.gridWidth) {
-                this.currentTemplateModel.horizontalEdges[y + h][x + i] = true;
-                edgesAdded++;
-            }
-        }
-
-        // Left border
-        for (let i = 0; i < h && x >= 0 && x < this.gridWidth; i++) {
-            if (y + i >= 0 && y + i < this.gridHeight) {
-                this.currentTemplateModel.verticalEdges[y + i][x] = true;
-                edgesAdded++;
-            }
-        }
-
-        // Right border
-        for (let i = 0; i < h && x + w >= 0 && x + w < this.gridWidth; i++) {
-            if (y + i >= 0 && y + i < this.gridHeight) {
-                this.currentTemplateModel.verticalEdges[y + i][x + w] = true;
-                edgesAdded++;
-            }
-        }
-
-        console.log('[DEBUG] createGhostedRectOutline: Created', edgesAdded, 'boundary edges');
-    }
-
-    setupEventListeners() {
-        // Tool selection
-        document.querySelectorAll('.tool-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                document.querySelector('.tool-btn.active').classList.remove('active');
-                e.target.classList.add('active');
-                this.currentTool = e.target.dataset.tool;
-                document.getElementById('current-tool').textContent = this.currentTool;
-            });
-        });
-        
         // Canvas mouse events
         this.canvas.addEventListener('mousedown', (e) => {
             this.handleMouseDown(e);
@@ -785,8 +291,51 @@ class FloorplanEditor {
         });
         
         this.canvas.addEventListener('mouseleave', () => {
+            if (this.isDrawing) {
+                this.history.commit();
+            }
             this.isDrawing = false;
+            this.hoverCell = null;
+            if (this.measureRegion) {
+                this.measureRegion = null;
+                this.updateMeasureInfo();
+                this.scheduleRender();
+            }
+            this.endPan();
         });
+
+        // View: the wheel zooms about the pointer; Space+drag or middle-drag pans (see handleMouseDown)
+        this.canvas.addEventListener('wheel', (e) => {
+            this.handleWheel(e);
+        }, { passive: false });
+
+        document.addEventListener('keyup', (e) => {
+            if (e.key === ' ') {
+                this.spaceDown = false;
+                this.canvas.style.cursor = '';
+            }
+        });
+
+        // Keep the canvas buffer at its displayed size
+        if (typeof ResizeObserver !== 'undefined') {
+            new ResizeObserver(() => {
+                this.ensureCanvasBuffer();
+                this.render();
+            }).observe(this.canvas);
+        }
+
+        document.getElementById('fit-content-btn')?.addEventListener('click', () => {
+            this.fitToContent();
+        });
+
+        document.getElementById('fit-selection-btn')?.addEventListener('click', () => {
+            this.fitToSelection();
+        });
+
+        // Selection clipboard: scene.v1 JSON as text, so a copy can be pasted in another tab
+        document.addEventListener('copy', (e) => this.handleClipboardCopy(e, false));
+        document.addEventListener('cut', (e) => this.handleClipboardCopy(e, true));
+        document.addEventListener('paste', (e) => this.handleClipboardPaste(e));
         
         // File operations
         
@@ -832,6 +381,32 @@ class FloorplanEditor {
             this.loadUnitsIndex();
         });
 
+        // Problems panel: click a problem to pan to it
+        document.getElementById('problems-list')?.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-problem-id]');
+            if (item) {
+                this.focusProblem(item.dataset.problemId);
+            }
+        });
+
+        // Level controls
+        document.getElementById('level-select')?.addEventListener('change', (e) => {
+            this.switchLevel(Number(e.target.value));
+        });
+
+        document.getElementById('add-level-btn')?.addEventListener('click', () => {
+            this.addLevel();
+        });
+
+        // Undo/redo controls
+        document.getElementById('undo-btn')?.addEventListener('click', () => {
+            this.undo();
+        });
+
+        document.getElementById('redo-btn')?.addEventListener('click', () => {
+            this.redo();
+        });
+
 
         // Limit edits to active unit toggle
         document.getElementById('limit-edits-to-active-unit')?.addEventListener('change', (e) => {
@@ -848,13 +423,41 @@ class FloorplanEditor {
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             // Only act when canvas/editor has focus, not text inputs
-            if (document.activeElement?.tagName === 'INPUT' ||
-                document.activeElement?.tagName === 'TEXTAREA' ||
-                document.activeElement?.tagName === 'SELECT') {
+            if (this.isFormFieldFocused()) {
                 return;
             }
 
+            // Undo/redo: Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS)
+            if (e.ctrlKey || e.metaKey) {
+                if (e.key.toLowerCase() === 'z') {
+                    if (e.shiftKey) {
+                        this.redo();
+                    } else {
+                        this.undo();
+                    }
+                    e.preventDefault();
+                }
+                return; // Leave other modifier combos (copy, paste...) to the browser
+            }
+
             switch (e.key.toLowerCase()) {
+                case ' ':
+                    // Hold Space to pan with the mouse
+                    this.spaceDown = true;
+                    this.canvas.style.cursor = this.panState ? 'grabbing' : 'grab';
+                    e.preventDefault();
+                    break;
+
+                case 'f':
+                    // Fit the view to the content (Shift+F: to the selection)
+                    if (e.shiftKey) {
+                        this.fitToSelection();
+                    } else {
+                        this.fitToContent();
+                    }
+                    e.preventDefault();
+                    break;
+
                 case 'o':
                     // Toggle overlay visibility
                     if (this.overlayModel?.templateData) {
@@ -878,6 +481,39 @@ class FloorplanEditor {
                     console.log('Smoke test started via hotkey');
                     e.preventDefault();
                     break;
+
+                case 'delete':
+                case 'backspace':
+                    // Clear the selected region
+                    if (this.selection) {
+                        this.deleteSelection();
+                        e.preventDefault();
+                    }
+                    break;
+
+                case 'r':
+                case 'h':
+                case 'v':
+                    // Rotate the selection clockwise (Shift+R: counter-clockwise) or mirror it
+                    if (this.selection) {
+                        const op = { r: e.shiftKey ? 'rotate270' : 'rotate90', h: 'flipHorizontal', v: 'flipVertical' }[e.key.toLowerCase()];
+                        this.transformSelection(op);
+                        e.preventDefault();
+                    }
+                    break;
+
+                case 'escape':
+                    // Drop the selection and the measured line
+                    if (this.selection) {
+                        this.selection = this.selectionDrag = null;
+                        this.render();
+                    }
+                    if (this.measureLine) {
+                        this.measureLine = null;
+                        this.updateMeasureInfo();
+                        this.render();
+                    }
+                    break;
             }
         });
     }
@@ -890,9 +526,15 @@ class FloorplanEditor {
             return; // Unit was selected, skip painting
         }
 
-        if (this.currentTool === 'wall-edge') {
+        if (this.edgeTools[this.currentTool]) {
             this.handleEdgePaint(coord);
+        } else if (this.currentTool === 'material') {
+            this.handleMaterialPaint(coord);
         } else if (this.currentTool === 'erase') {
+            // Vertical links sit on top of the level, so erase them before its content
+            if (this.removeVerticalLinkAt(coord.x, coord.y)) {
+                return;
+            }
             // Erase tool works on both edges and tiles
             this.handleEdgePaint(coord);  // Try to erase edges first
             this.handleTilePaint(coord);  // Also try to erase tiles
@@ -902,7 +544,14 @@ class FloorplanEditor {
     }
 
     handleMouseDown(e) {
-        if (this.currentTool === 'dragRect') {
+        if (this.spaceDown || e.button === 1) {
+            this.panState = { x: e.clientX, y: e.clientY };
+            this.canvas.style.cursor = 'grabbing';
+            e.preventDefault();
+            return;
+        }
+
+        if (this.isRectTool()) {
             const { x, y } = this.clientToGrid(e);
             this.rectStart = { x, y };
             this.rectCurr = { x, y };
@@ -934,34 +583,7 @@ class FloorplanEditor {
                     return;
                 }
 
-                const x0 = Math.min(this.wallStart.x, this.wallCurr.x);
-                const x1 = Math.max(this.wallStart.x, this.wallCurr.x);
-                const y0 = Math.min(this.wallStart.y, this.wallCurr.y);
-                const y1 = Math.max(this.wallStart.y, this.wallCurr.y);
-
-                let placed = 0, skipped = 0;
-                if (dy === 0) { // horizontal run along y0 - create edge lines
-                    // horizontal edge at (gx, y0) spans from (gx,y0) to (gx+1,y0)
-                    for (let gx = x0; gx <= x1; gx++) {
-                        if (this.isWithinTemplateBounds(gx, y0, 'edge-horizontal')) {
-                            this.addHorizontalEdge(gx, y0);
-                            placed++;
-                        } else {
-                            skipped++;
-                        }
-                    }
-                } else { // vertical run along x0 - create vertical edge lines
-                    // vertical edge at (x0, gy) spans from (x0,gy) to (x0,gy+1)
-                    for (let gy = y0; gy <= y1; gy++) {
-                        if (this.isWithinTemplateBounds(x0, gy, 'edge-vertical')) {
-                            this.addVerticalEdge(x0, gy);
-                            placed++;
-                        } else {
-                            skipped++;
-                        }
-                    }
-                }
-
+                const { x0, y0, x1, y1, placed, skipped } = this.doc.placeWallSegment(this.wallStart, this.wallCurr);
                 const mode = 'edge'; // Both horizontal and vertical create edge lines
                 console.info('[BOUNDS]', { tool: 'wall-segment', mode, x0, y0, x1, y1, placed, skipped });
                 this.wallActive = false;
@@ -969,31 +591,56 @@ class FloorplanEditor {
                 this.render();
             }
             e.preventDefault();
+        } else if (this.currentTool === 'select') {
+            this.startSelectionDrag(this.clientToGrid(e));
+            e.preventDefault();
+        } else if (this.currentTool === 'measure') {
+            const start = this.snapToVertex(this.clientToGrid(e));
+            this.measureLine = { start, end: start, active: true };
+            this.updateMeasureInfo();
+            this.scheduleRender();
+            e.preventDefault();
         } else {
             this.isDrawing = true;
+            this.history.begin(this.currentTool);
             this.handleMouseAction(e);
         }
     }
 
     handleMouseMove(e) {
-        if (this.currentTool === 'dragRect' && this.rectActive) {
-            const { x, y } = this.clientToGrid(e);
-            this.rectCurr = { x, y };
-            this.render(); // Update preview
+        if (this.panState) {
+            this.panView(e);
+            return;
+        }
+
+        const coord = this.clientToGrid(e);
+        this.hoverCell = { x: coord.x, y: coord.y };
+
+        if (this.isRectTool() && this.rectActive) {
+            this.rectCurr = { x: coord.x, y: coord.y };
+            this.scheduleRender(); // Update preview
         } else if (this.currentTool === 'wallSegment' && this.wallActive) {
-            const coord = this.clientToGrid(e);
             const edge = this.snapToNearestEdge(coord.px, coord.py);
             if (edge) {
                 this.wallCurr = { x: edge.x, y: edge.y };
-                this.render(); // Update preview
+                this.scheduleRender(); // Update preview
             }
+        } else if (this.currentTool === 'select' && this.selectionDrag) {
+            this.updateSelectionDrag(this.hoverCell);
+        } else if (this.currentTool === 'measure') {
+            this.updateMeasurement(coord);
         } else if (this.isDrawing) {
             this.handleMouseAction(e);
         }
     }
 
     handleMouseUp(e) {
-        if (this.currentTool === 'dragRect' && this.rectActive) {
+        if (this.panState) {
+            this.endPan();
+            return;
+        }
+
+        if (this.isRectTool() && this.rectActive) {
             const { x, y } = this.clientToGrid(e);
             this.rectCurr = { x, y };
 
@@ -1003,19 +650,18 @@ class FloorplanEditor {
             const y0 = Math.min(this.rectStart.y, this.rectCurr.y);
             const y1 = Math.max(this.rectStart.y, this.rectCurr.y);
 
-            // Paint floor tiles
-            let placed = 0, skipped = 0;
-            for (let gy = y0; gy <= y1; gy++) {
-                for (let gx = x0; gx <= x1; gx++) {
-                    if (this.isWithinTemplateBounds(gx, gy, 'tile')) {
-                        this.placeFloorAt(gx, gy);
-                        placed++;
-                    } else {
-                        skipped++;
-                    }
-                }
+            if (this.currentTool !== 'dragRect') {
+                // Link tools place a footprint instead of painting tiles
+                this.addVerticalLink(this.currentTool, { x: x0, y: y0, w: x1 - x0 + 1, h: y1 - y0 + 1 });
+                this.rectActive = false;
+                this.rectStart = null;
+                this.rectCurr = null;
+                this.render();
+                return;
             }
 
+            // Paint floor tiles
+            const { placed, skipped } = this.doc.fillFloorRect(x0, y0, x1, y1);
             console.info('[BOUNDS]', { tool: 'rect', x0, y0, x1, y1, placed, skipped });
 
             // Reset drag state
@@ -1023,57 +669,193 @@ class FloorplanEditor {
             this.rectStart = null;
             this.rectCurr = null;
             this.render();
+        } else if (this.currentTool === 'select' && this.selectionDrag) {
+            this.updateSelectionDrag(this.clientToGrid(e));
+            this.finishSelectionDrag();
+        } else if (this.currentTool === 'measure' && this.measureLine?.active) {
+            this.measureLine.end = this.snapToVertex(this.clientToGrid(e));
+            this.measureLine.active = false;
+            console.info('[MEASURE]', { ...this.measureLine, meters: gridDistance(this.measureLine.start, this.measureLine.end, this.doc.scale) });
+            this.updateMeasureInfo();
+            this.scheduleRender();
         } else {
+            if (this.isDrawing) {
+                this.history.commit();
+            }
             this.isDrawing = false;
         }
     }
 
-    handleUnitSelection(coord) {
-        // Only handle unit selection in mall mode
-        if (this.overlayModel?.templateData?.type !== 'mall') {
-            return false;
+    // Select tool: dragging inside the selection moves it, dragging anywhere else draws a new marquee
+    startSelectionDrag(coord) {
+        const start = this.clampToGrid(coord);
+        const mode = isInSelection(this.selection, start.x, start.y) ? 'move' : 'marquee';
+        this.selectionDrag = { mode, start, curr: start };
+        if (mode === 'marquee') {
+            this.selection = normalizeSelection(start, start);
         }
+        this.render();
+    }
 
-        const { x: gridX, y: gridY } = coord;
+    updateSelectionDrag(coord) {
+        const curr = this.clampToGrid(coord);
+        const drag = this.selectionDrag;
+        if (curr.x === drag.curr.x && curr.y === drag.curr.y) return;
 
-        // Check if click is within grid bounds
-        if (gridX < 0 || gridX >= this.gridWidth || gridY < 0 || gridY >= this.gridHeight) {
-            return false;
+        drag.curr = curr;
+        if (drag.mode === 'marquee') {
+            this.selection = normalizeSelection(drag.start, curr);
         }
+        this.scheduleRender(); // Update preview
+    }
 
-        const dto = this.overlayModel.templateData;
+    finishSelectionDrag() {
+        const drag = this.selectionDrag;
+        this.selectionDrag = null;
 
-        // Find the first unit that contains this grid position
-        for (const unit of dto.units || []) {
-            const rect = unit.rect;
-            if (gridX >= rect.x &&
-                gridX < rect.x + rect.w &&
-                gridY >= rect.y &&
-                gridY < rect.y + rect.h) {
+        const dx = drag.curr.x - drag.start.x;
+        const dy = drag.curr.y - drag.start.y;
+        if (drag.mode === 'move' && (dx !== 0 || dy !== 0)) {
+            const { rect, placed, skipped } = this.doc.moveSelection(this.selection, dx, dy);
+            this.selection = rect;
+            this.reportSelectionEdit('move', placed, skipped);
+        }
+        console.info('[SELECTION]', { action: drag.mode, rect: this.selection });
+        this.render();
+    }
 
-                // Set active unit
-                this.activeUnit = {
-                    id: unit.id || 'unit',
-                    rect: { ...rect }
-                };
+    // Clear the tiles and edges of the selection as one undo step
+    deleteSelection() {
+        const { cleared, skipped } = this.doc.deleteSelection(this.selection);
+        console.info('[SELECTION]', { action: 'delete', rect: this.selection, cleared, skipped });
+        this.render();
+    }
 
-                // Re-render to show selection
-                this.render();
-                this.updateExportButtonVisibility();
-                this.updateBoundsForActiveUnit();
-                return true; // Unit was selected, skip painting
+    // Rotate or mirror the selection in place as one undo step
+    transformSelection(op) {
+        const { rect, placed, skipped } = this.doc.transformSelection(this.selection, op);
+        this.selection = rect;
+        console.info('[SELECTION]', { action: op, rect });
+        this.reportSelectionEdit(op, placed, skipped);
+        this.render();
+    }
+
+    // Copy or cut the selection to the system clipboard as scene.v1 JSON
+    handleClipboardCopy(e, cut) {
+        if (!this.selection || this.isFormFieldFocused()) return;
+
+        const fragment = cut ? this.doc.cutSelection(this.selection) : this.doc.copySelection(this.selection);
+        e.clipboardData.setData('text/plain', JSON.stringify(fragment));
+        e.preventDefault();
+        console.info('[SELECTION]', { action: cut ? 'cut' : 'copy', rect: this.selection });
+        if (cut) {
+            this.render();
+        }
+    }
+
+    // Paste scene.v1 JSON from the clipboard with its top-left cell under the cursor
+    handleClipboardPaste(e) {
+        if (this.isFormFieldFocused()) return;
+        const text = e.clipboardData?.getData('text/plain');
+        if (!text) return;
+
+        let fragment;
+        try {
+            fragment = readFragment(text);
+        } catch (error) {
+            // Other clipboard text is only worth a message while selecting
+            if (this.currentTool === 'select') {
+                this.showToast('warning', 'Nothing to Paste', error.message);
             }
+            return;
+        }
+        e.preventDefault();
+
+        // Off the canvas, paste back where the fragment was copied from
+        const at = this.hoverCell || fragment.origin || { x: 0, y: 0 };
+        const { rect, placed, skipped } = this.doc.pasteFragment(text, at.x, at.y);
+        if (this.currentTool === 'select') {
+            this.selection = rect; // Keep the pasted copy selected so it can be dragged into place
+        }
+        this.reportSelectionEdit('paste', placed, skipped);
+        this.render();
+    }
+
+    // Log paste/move results and flag content that fell outside the template
+    reportSelectionEdit(tool, placed, skipped) {
+        console.info('[BOUNDS]', { tool, placed, skipped });
+        if (skipped > 0) {
+            this.showToast('warning', 'Outside Template', `${skipped} of ${placed + skipped} tiles and edges fell outside the template or grid and were not placed`);
+        }
+    }
+
+    clampToGrid({ x, y }) {
+        return {
+            x: Math.max(0, Math.min(this.gridWidth - 1, x)),
+            y: Math.max(0, Math.min(this.gridHeight - 1, y))
+        };
+    }
+
+    // Keyboard and clipboard shortcuts stay with form fields while one has focus
+    isFormFieldFocused() {
+        return ['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement?.tagName);
+    }
+
+    handleUnitSelection(coord) {
+        const previous = this.activeUnit;
+        const unit = this.doc.selectUnitAt(coord.x, coord.y);
+
+        // Re-render to show the new selection or its removal
+        if (unit || previous) {
+            this.render();
+            this.updateExportButtonVisibility();
+            this.updateUnitInspector();
         }
 
-        // If no unit was clicked, clear selection
-        if (this.activeUnit) {
-            this.activeUnit = null;
-            this.render();
-            this.updateExportButtonVisibility();
-            this.updateBoundsForActiveUnit();
-        }
+        return Boolean(unit); // Unit was selected, skip painting
+    }
+
+    // Show the selected mall unit's type and occupancy in the inspector, or hide it
+    updateUnitInspector() {
+        const panel = document.getElementById('unit-inspector');
+        if (!panel) return;
+
+        const unit = this.activeUnit && this.doc.getMallUnit(this.activeUnit.id);
+        panel.style.display = unit ? '' : 'none';
+        if (!unit) return;
+
+        document.getElementById('unit-inspector-id').textContent = unit.name ? `${unit.id} (${unit.name})` : unit.id;
+        const values = { type: unit.type, ...unit.occupancy };
+        Object.entries(UNIT_INSPECTOR_FIELDS).forEach(([field, { input }]) => {
+            const element = document.getElementById(input);
+            if (element) element.value = values[field] || '';
+        });
+        this.showUnitErrors([]);
+    }
+
+    // Check the inspector fields as typed; valid values are applied to the unit straight away
+    handleUnitInfoInput() {
+        if (!this.activeUnit) return;
+
+        const fields = Object.fromEntries(Object.entries(UNIT_INSPECTOR_FIELDS)
+            .map(([field, { input }]) => [field, document.getElementById(input)?.value ?? '']));
+        const result = this.doc.updateUnitInfo(this.activeUnit.id, fields);
+        if (result) this.showUnitErrors(result.errors);
+    }
+
+    // List schema errors under the inspector and mark the fields they point at
+    showUnitErrors(errors) {
+        const fields = Object.values(UNIT_INSPECTOR_FIELDS);
+        fields.forEach(({ input, path }) => {
+            document.getElementById(input)?.classList.toggle('invalid', errors.some(error => error.path === path));
+        });
 
-        return false; // No unit selected, allow painting
+        document.getElementById('unit-errors')?.replaceChildren(...errors.map(error => {
+            const item = document.createElement('li');
+            const field = fields.find(({ path }) => path === error.path);
+            item.textContent = `${field ? field.label : error.path} ${error.message}`;
+            return item;
+        }));
     }
 
     updateExportButtonVisibility() {
@@ -1100,33 +882,6 @@ class FloorplanEditor {
         }
     }
 
-    updateBoundsForActiveUnit() {
-        if (!this.overlayModel?.templateData || this.overlayModel.templateData.type !== 'mall') {
-            return;
-        }
-
-        if (this.limitToActiveUnit && this.activeUnit) {
-            // Store original bounds if not already stored
-            if (!this.baseBounds) {
-                this.baseBounds = this.overlayModel.bounds;
-            }
-
-            // Create limited bounds for just the active unit
-            const limitedDto = {
-                type: 'unit',
-                rect: this.activeUnit.rect
-            };
-            this.overlayModel.bounds = makeBounds(limitedDto);
-            console.log('Bounds limited to active unit:', this.activeUnit.rect);
-        } else {
-            // Restore original bounds
-            if (this.baseBounds) {
-                this.overlayModel.bounds = this.baseBounds;
-                console.log('Bounds restored to original mall bounds');
-            }
-        }
-    }
-
     handleTilePaint(coord) {
         const { x, y } = coord;
 
@@ -1137,19 +892,9 @@ class FloorplanEditor {
                 return;
             }
 
-            // Handle different tile tools
-            if (this.currentTool === 'floor') {
-                // Floor tool: set cell to floor if different
-                if (this.grid[y][x] !== 'floor') {
-                    this.setGridCell(x, y, 'floor');
-                    this.renderCell(x, y);
-                }
-            } else if (this.currentTool === 'erase') {
-                // Erase tool: remove floor tiles (set to empty)
-                if (this.grid[y][x] === 'floor') {
-                    this.setGridCell(x, y, 'empty');
-                    this.renderCell(x, y);
-                }
+            // Floor tool paints floor, erase tool removes floor tiles
+            if (this.doc.paintTile(x, y, this.currentTool)) {
+                this.invalidateCells({ x, y, w: 1, h: 1 });
             }
         }
     }
@@ -1168,21 +913,37 @@ class FloorplanEditor {
         }
 
         // Set edge state based on tool
-        if (type === 'horizontal') {
-            if (this.currentTool === 'wall-edge') {
-                this.horizontalEdges[y][x] = true;
-            } else if (this.currentTool === 'erase') {
-                this.horizontalEdges[y][x] = false;
-            }
-        } else if (type === 'vertical') {
-            if (this.currentTool === 'wall-edge') {
-                this.verticalEdges[y][x] = true;
-            } else if (this.currentTool === 'erase') {
-                this.verticalEdges[y][x] = false;
+        const edgeType = this.edgeTools[this.currentTool];
+        if (edgeType || this.currentTool === 'erase') {
+            this.doc.paintEdge(type, x, y, edgeType || null);
+        }
+
+        this.invalidateEdge(type, x, y);
+    }
+
+    // Paint the current finish: floor finishes onto the cell, wall finishes onto the nearest edge;
+    // the plain option removes the finish of the nearest edge, else of the cell
+    handleMaterialPaint(coord) {
+        const material = this.currentMaterial || null;
+        const surface = material ? MATERIALS[material]?.surface : null;
+
+        if (surface !== 'floor') {
+            const edge = this.snapToNearestEdge(coord.px, coord.py);
+            if (edge && this.doc.paintEdgeMaterial(edge.type, edge.x, edge.y, material)) {
+                this.invalidateEdge(edge.type, edge.x, edge.y);
+                return;
             }
+            if (surface === 'wall') return;
+        }
+
+        if (this.doc.paintFloorMaterial(coord.x, coord.y, material)) {
+            this.invalidateCells({ x: coord.x, y: coord.y, w: 1, h: 1 });
         }
+    }
 
-        this.render(); // Full re-render to update edges
+    // Redraw the two cells an edge separates
+    invalidateEdge(type, x, y) {
+        this.invalidateCells(type === 'horizontal' ? { x, y: y - 1, w: 1, h: 2 } : { x: x - 1, y, w: 2, h: 1 });
     }
     
     snapToNearestEdge(mouseX, mouseY) {
@@ -1241,25 +1002,47 @@ class FloorplanEditor {
         return closestEdge;
     }
     
-    renderCell(x, y) {
-        // Skip rendering empty cells to avoid overwriting ghosted content
-        if (this.grid[y][x] === 'empty') {
-            // Only draw grid lines for empty cells, don't fill them
-            this.ctx.strokeStyle = '#ccc';
-            this.ctx.lineWidth = 1;
-            this.ctx.strokeRect(x * this.cellSize, y * this.cellSize, this.cellSize, this.cellSize);
-            return;
+    // Fill the non-empty cells in the render range, one path per colour, then draw the grid lines over them
+    renderCells() {
+        const range = this.renderRange;
+        if (!range) return;
+
+        // Empty cells are not filled, so ghosted content shows through; finished floors take their finish's colour
+        const size = this.cellSize;
+        const finishes = this.sceneModel.floorMaterials;
+        const fills = new Map();
+        for (let y = range.y; y < range.y + range.h; y++) {
+            for (let x = range.x; x < range.x + range.w; x++) {
+                const value = this.grid[y][x];
+                if (value === 'empty') continue;
+                const colour = (value === 'floor' && materialCssColor(finishes?.[y][x])) || this.colors[value];
+                if (!fills.has(colour)) fills.set(colour, []);
+                fills.get(colour).push(x, y);
+            }
         }
+        fills.forEach((cells, colour) => {
+            this.ctx.fillStyle = colour;
+            this.ctx.beginPath();
+            for (let i = 0; i < cells.length; i += 2) {
+                this.ctx.rect(cells[i] * size, cells[i + 1] * size, size, size);
+            }
+            this.ctx.fill();
+        });
 
-        // Render non-empty cells normally
-        const color = this.colors[this.grid[y][x]];
-        this.ctx.fillStyle = color;
-        this.ctx.fillRect(x * this.cellSize, y * this.cellSize, this.cellSize, this.cellSize);
-
-        // Draw grid lines
+        // Grid lines stay one canvas pixel wide and are dropped when cells get too small to see them
+        if (size * this.viewport.scale < MIN_GRID_LINE_CELL_PX) return;
         this.ctx.strokeStyle = '#ccc';
-        this.ctx.lineWidth = 1;
-        this.ctx.strokeRect(x * this.cellSize, y * this.cellSize, this.cellSize, this.cellSize);
+        this.ctx.lineWidth = 1 / this.viewport.scale;
+        this.ctx.beginPath();
+        for (let x = range.x; x <= range.x + range.w; x++) {
+            this.ctx.moveTo(x * size, range.y * size);
+            this.ctx.lineTo(x * size, (range.y + range.h) * size);
+        }
+        for (let y = range.y; y <= range.y + range.h; y++) {
+            this.ctx.moveTo(range.x * size, y * size);
+            this.ctx.lineTo((range.x + range.w) * size, y * size);
+        }
+        this.ctx.stroke();
     }
 
     // Render template content as ghosted (faded) background
@@ -1351,187 +1134,6 @@ class FloorplanEditor {
         });
     }
 
-    // Convert relationship manager template data to legacy template model format
-    createLegacyTemplateModel(relationshipTemplate) {
-        if (!relationshipTemplate) return null;
-
-        const templateData = relationshipTemplate.templateData;
-        const dto = relationshipTemplate.dto;
-
-        // Create a temporary template model with the same structure
-        const legacyModel = {
-            grid: this.createEmptyGrid(),
-            horizontalEdges: this.createEmptyEdgeSet(this.gridWidth, this.gridHeight),
-            verticalEdges: this.createEmptyEdgeSet(this.gridWidth, this.gridHeight),
-            hasContent: false,
-            templateData: templateData
-        };
-
-        // Parse the template content into the legacy model
-        this.parseTemplateContentIntoLegacyModel(templateData, dto, legacyModel);
-
-        return legacyModel;
-    }
-
-    // Parse template content into a legacy model structure
-    parseTemplateContentIntoLegacyModel(templateData, dto, targetModel) {
-        console.log('[DEBUG] parseTemplateContentIntoLegacyModel: Processing:', {
-            templateType: dto.type,
-            hasSceneData: !!templateData.sceneData,
-            hasInstances: !!templateData.instances
-        });
-
-        // Check if template has instances (scene content)
-        if (templateData.instances && Array.isArray(templateData.instances)) {
-            this.parseInstancesIntoLegacyModel(templateData.instances, targetModel);
-            targetModel.hasContent = true;
-        }
-
-        // For mall templates, check for embedded scene content
-        if (dto.type === 'mall') {
-            if (templateData.sceneData) {
-                this.parseSceneDataIntoLegacyModel(templateData.sceneData, targetModel);
-            } else if (templateData.instances && Array.isArray(templateData.instances)) {
-                this.parseInstancesIntoLegacyModel(templateData.instances, targetModel);
-                targetModel.hasContent = true;
-            } else {
-                this.createGhostedMallBoundaryInLegacyModel(dto, targetModel);
-            }
-        }
-
-        // For gallery/unit templates, handle scene data or create boundary from rect
-        if (dto.type === 'unit') {
-            if (templateData.sceneData) {
-                this.parseSceneDataIntoLegacyModel(templateData.sceneData, targetModel);
-            } else if (dto.rect) {
-                this.createGhostedRectOutlineInLegacyModel(dto.rect, targetModel);
-                targetModel.hasContent = true;
-            }
-        }
-
-        // For room templates, handle scene data or create boundary from rect
-        if (dto.type === 'room') {
-            if (templateData.sceneData) {
-                this.parseSceneDataIntoLegacyModel(templateData.sceneData, targetModel);
-            } else if (dto.rect) {
-                this.createGhostedRectOutlineInLegacyModel(dto.rect, targetModel);
-                targetModel.hasContent = true;
-            }
-        }
-    }
-
-    // Helper methods for legacy model creation
-    parseInstancesIntoLegacyModel(instances, targetModel) {
-        instances.forEach(instance => {
-            if (instance.position && instance.type) {
-                const [worldX, worldY, worldZ] = instance.position;
-                const gridX = Math.floor(worldX / 2);
-                const gridY = Math.floor(worldZ / 2);
-
-                if (gridX >= 0 && gridX < this.gridWidth && gridY >= 0 && gridY < this.gridHeight) {
-                    if (instance.type === 'lobbyFloor') {
-                        targetModel.grid[gridY][gridX] = 'floor';
-                    }
-                }
-            }
-        });
-    }
-
-    parseSceneDataIntoLegacyModel(sceneData, targetModel) {
-        let floorsAdded = 0;
-        let hEdgesAdded = 0;
-        let vEdgesAdded = 0;
-
-        // Parse floor tiles
-        if (sceneData.tiles && sceneData.tiles.floor) {
-            sceneData.tiles.floor.forEach(([x, y]) => {
-                if (x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight) {
-                    targetModel.grid[y][x] = 'floor';
-                    floorsAdded++;
-                }
-            });
-        }
-
-        // Parse horizontal edges
-        if (sceneData.edges && sceneData.edges.horizontal) {
-            sceneData.edges.horizontal.forEach(([x, y]) => {
-                if (x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight) {
-                    targetModel.horizontalEdges[y][x] = true;
-                    hEdgesAdded++;
-                }
-            });
-        }
-
-        // Parse vertical edges
-        if (sceneData.edges && sceneData.edges.vertical) {
-            sceneData.edges.vertical.forEach(([x, y]) => {
-                if (x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight) {
-                    targetModel.verticalEdges[y][x] = true;
-                    vEdgesAdded++;
-                }
-            });
-        }
-
-        if (floorsAdded > 0 || hEdgesAdded > 0 || vEdgesAdded > 0) {
-            targetModel.hasContent = true;
-        }
-    }
-
-    createGhostedMallBoundaryInLegacyModel(dto, targetModel) {
-        if (dto.units && dto.units.length > 0) {
-            dto.units.forEach(unit => {
-                if (unit.rect) {
-                    this.createGhostedRectOutlineInLegacyModel(unit.rect, targetModel);
-                }
-            });
-            targetModel.hasContent = true;
-        } else if (dto.rect) {
-            this.createGhostedRectOutlineInLegacyModel(dto.rect, targetModel);
-            targetModel.hasContent = true;
-        }
-    }
-
-    createGhostedRectOutlineInLegacyModel(rect, targetModel) {
-        const { x, y, w, h } = rect;
-        let edgesAdded = 0;
-
-        // Top edge
-        for (let i = 0; i < w; i++) {
-            if (x + i >= 0 && x + i < this.gridWidth && y >= 0 && y < this.gridHeight) {
-                targetModel.horizontalEdges[y][x + i] = true;
-                edgesAdded++;
-            }
-        }
-
-        // Bottom edge
-        for (let i = 0; i < w; i++) {
-            if (x + i >= 0 && x + i < this.gridWidth && y + h >= 0 && y + h < this.gridHeight) {
-                targetModel.horizontalEdges[y + h][x + i] = true;
-                edgesAdded++;
-            }
-        }
-
-        // Left edge
-        for (let i = 0; i < h; i++) {
-            if (x >= 0 && x < this.gridWidth && y + i >= 0 && y + i < this.gridHeight) {
-                targetModel.verticalEdges[y + i][x] = true;
-                edgesAdded++;
-            }
-        }
-
-        // Right edge
-        for (let i = 0; i < h; i++) {
-            if (x + w >= 0 && x + w < this.gridWidth && y + i >= 0 && y + i < this.gridHeight) {
-                targetModel.verticalEdges[y + i][x + w] = true;
-                edgesAdded++;
-            }
-        }
-
-        if (edgesAdded > 0) {
-            targetModel.hasContent = true;
-        }
-    }
-
     // Render a specific template layer with given colors and opacity
     renderTemplateLayer(templateModel, floorColor, edgeColor, opacity) {
         this.ctx.save();
@@ -1540,53 +1142,45 @@ class FloorplanEditor {
         let floorsRendered = 0;
         let hEdgesRendered = 0;
         let vEdgesRendered = 0;
-
-        // Render template floor tiles
-        for (let y = 0; y < this.gridHeight; y++) {
-            for (let x = 0; x < this.gridWidth; x++) {
-                if (templateModel.grid[y][x] === 'floor') {
-                    // Render ghosted floor tile
-                    this.ctx.fillStyle = floorColor;
-                    this.ctx.fillRect(x * this.cellSize, y * this.cellSize, this.cellSize, this.cellSize);
-
-                    // Subtle grid lines for ghosted content
-                    this.ctx.strokeStyle = edgeColor;
-                    this.ctx.lineWidth = 1;
-                    this.ctx.strokeRect(x * this.cellSize, y * this.cellSize, this.cellSize, this.cellSize);
-                    floorsRendered++;
+        const range = this.renderRange;
+        const size = this.cellSize;
+
+        // Render template floor tiles in the render range as one path
+        const floors = new Path2D();
+        if (range) {
+            for (let y = range.y; y < range.y + range.h; y++) {
+                for (let x = range.x; x < range.x + range.w; x++) {
+                    if (templateModel.grid[y][x] === 'floor') {
+                        floors.rect(x * size, y * size, size, size);
+                        floorsRendered++;
+                    }
                 }
             }
         }
+        this.ctx.fillStyle = floorColor;
+        this.ctx.fill(floors);
 
-        // Render template edges (walls) - make them more visible
+        // Subtle grid lines for ghosted content
         this.ctx.strokeStyle = edgeColor;
-        this.ctx.lineWidth = opacity > 0.6 ? 4 : 2; // Thicker lines for current template (higher opacity)
-
-        // Horizontal edges
-        for (let y = 0; y < this.gridHeight; y++) {
-            for (let x = 0; x < this.gridWidth; x++) {
-                if (templateModel.horizontalEdges[y][x]) {
-                    this.ctx.beginPath();
-                    this.ctx.moveTo(x * this.cellSize, y * this.cellSize);
-                    this.ctx.lineTo((x + 1) * this.cellSize, y * this.cellSize);
-                    this.ctx.stroke();
-                    hEdgesRendered++;
-                }
-            }
-        }
+        this.ctx.lineWidth = 1;
+        this.ctx.stroke(floors);
 
-        // Vertical edges
-        for (let y = 0; y < this.gridHeight; y++) {
-            for (let x = 0; x < this.gridWidth; x++) {
-                if (templateModel.verticalEdges[y][x]) {
-                    this.ctx.beginPath();
-                    this.ctx.moveTo(x * this.cellSize, y * this.cellSize);
-                    this.ctx.lineTo(x * this.cellSize, (y + 1) * this.cellSize);
-                    this.ctx.stroke();
-                    vEdgesRendered++;
-                }
+        // Render template edges (walls) - make them more visible
+        this.ctx.lineWidth = opacity > 0.6 ? 4 : 2; // Thicker lines for current template (higher opacity)
+        this.ctx.beginPath();
+        this.forEachEdgeInRange((dir, x, y) => {
+            const edges = dir === 'H' ? templateModel.horizontalEdges : templateModel.verticalEdges;
+            if (!edges[y]?.[x]) return;
+            this.ctx.moveTo(x * size, y * size);
+            if (dir === 'H') {
+                this.ctx.lineTo((x + 1) * size, y * size);
+                hEdgesRendered++;
+            } else {
+                this.ctx.lineTo(x * size, (y + 1) * size);
+                vEdgesRendered++;
             }
-        }
+        });
+        this.ctx.stroke();
 
         console.log('[DEBUG] renderTemplateLayer: Rendered', {
             floors: floorsRendered,
@@ -1611,22 +1205,60 @@ class FloorplanEditor {
             templateType: this.templateType
         });
 
+        // A full render covers any pending frame
+        this.fullRenderPending = false;
+        this.dirtyCells = null;
+
         // Clear canvas
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
         this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
 
+        // Everything below draws in world pixels through the view transform, visible cells only
+        this.ctx.setTransform(...this.viewport.transform());
+        this.renderLayers(this.viewport.visibleCells(this.cellSize, this.gridWidth, this.gridHeight));
+    }
+
+    // Redraw a cell rect (plus a margin for wall strokes) without touching the rest of the canvas
+    renderRegion(cells) {
+        const visible = this.viewport.visibleCells(this.cellSize, this.gridWidth, this.gridHeight);
+        const clip = intersectRects(visible, { x: cells.x - 1, y: cells.y - 1, w: cells.w + 2, h: cells.h + 2 });
+        if (!clip) return;
+
+        const size = this.cellSize;
+        this.ctx.save();
+        this.ctx.setTransform(...this.viewport.transform());
+        this.ctx.beginPath();
+        this.ctx.rect(clip.x * size, clip.y * size, clip.w * size, clip.h * size);
+        this.ctx.clip();
+        this.ctx.clearRect(clip.x * size, clip.y * size, clip.w * size, clip.h * size);
+
+        // Draw one more cell around the clip so strokes from neighbours that reach into it are restored
+        this.renderLayers(intersectRects(visible, { x: clip.x - 1, y: clip.y - 1, w: clip.w + 2, h: clip.h + 2 }));
+        this.ctx.restore();
+    }
+
+    // Draw every layer, limited to the cells in range for the per-cell layers
+    renderLayers(range) {
+        this.renderRange = range;
+
         // Render ghosted template content first (behind user content)
         this.renderGhostedContent();
 
-        // Render all cells (floors and wall tiles)
-        for (let y = 0; y < this.gridHeight; y++) {
-            for (let x = 0; x < this.gridWidth; x++) {
-                this.renderCell(x, y);
-            }
-        }
+        // Render the level below the active one, ghosted like a parent template
+        this.renderLevelBelow();
+
+        // Render cells in view (floors and wall tiles)
+        this.renderCells();
 
         // Render edges
         this.renderEdges();
 
+        // Render stair/escalator/elevator footprints on this level
+        this.renderVerticalLinks();
+
+        // Render validation markers from the Problems panel
+        this.renderProblems();
+
         // Render template overlay
         this.renderTemplate();
 
@@ -1636,21 +1268,77 @@ class FloorplanEditor {
         // Render wall segment preview if active
         this.renderWallSegmentPreview();
 
+        // Render the selection marquee, at its drop position while moving
+        this.renderSelection();
+
+        // Render the measured line and the hovered floor region
+        this.renderMeasurement();
+
         // Only render unit overlay if we don't have a template overlay active
         if (!this.overlayModel.templateData) {
             this.renderUnitOverlay();
         }
+        this.renderRange = null;
+    }
+
+    // Redraw the whole view once on the next animation frame (pointer-move previews, zoom, pan)
+    scheduleRender() {
+        this.fullRenderPending = true;
+        this.requestFrame();
+    }
+
+    // Redraw only these cells on the next animation frame (painting)
+    invalidateCells(rect) {
+        this.dirtyCells = unionRects(this.dirtyCells, rect);
+        this.requestFrame();
+    }
+
+    requestFrame() {
+        if (this.frameRequest) return;
+        this.frameRequest = requestAnimationFrame(() => {
+            this.frameRequest = null;
+            if (this.fullRenderPending) {
+                this.render();
+            } else if (this.dirtyCells) {
+                const cells = this.dirtyCells;
+                this.dirtyCells = null;
+                this.renderRegion(cells);
+            }
+        });
+    }
+
+    // Visit edge slots touching the render range: rows/columns of its far border included
+    forEachEdgeInRange(visit) {
+        const range = this.renderRange;
+        if (!range) return;
+        const yEnd = Math.min(range.y + range.h, this.gridHeight - 1);
+        const xEnd = Math.min(range.x + range.w, this.gridWidth - 1);
+        for (let y = range.y; y <= yEnd; y++) {
+            for (let x = range.x; x < range.x + range.w; x++) {
+                visit('H', x, y);
+            }
+        }
+        for (let y = range.y; y < range.y + range.h; y++) {
+            for (let x = range.x; x <= xEnd; x++) {
+                visit('V', x, y);
+            }
+        }
     }
 
     renderRectanglePreview() {
-        if (this.currentTool === 'dragRect' && this.rectActive && this.rectStart && this.rectCurr) {
+        if (this.isRectTool() && this.rectActive && this.rectStart && this.rectCurr) {
             const x0 = Math.min(this.rectStart.x, this.rectCurr.x);
             const x1 = Math.max(this.rectStart.x, this.rectCurr.x);
             const y0 = Math.min(this.rectStart.y, this.rectCurr.y);
             const y1 = Math.max(this.rectStart.y, this.rectCurr.y);
 
+            // Floor rects preview in brown, link footprints in their type color
+            const linkColor = this.colors[this.currentTool];
+            this.ctx.save();
+
             // Draw semi-transparent overlay over the cells that will be painted
-            this.ctx.fillStyle = 'rgba(139, 69, 19, 0.4)'; // Brown with 40% opacity
+            this.ctx.fillStyle = linkColor || 'rgb(139, 69, 19)';
+            this.ctx.globalAlpha = 0.4;
             for (let gy = y0; gy <= y1; gy++) {
                 for (let gx = x0; gx <= x1; gx++) {
                     const pixelX = gx * this.cellSize;
@@ -1660,7 +1348,8 @@ class FloorplanEditor {
             }
 
             // Draw border around the selection
-            this.ctx.strokeStyle = 'rgba(139, 69, 19, 0.8)'; // Brown with 80% opacity
+            this.ctx.strokeStyle = linkColor || 'rgb(139, 69, 19)';
+            this.ctx.globalAlpha = 0.8;
             this.ctx.lineWidth = 2;
             this.ctx.strokeRect(
                 x0 * this.cellSize,
@@ -1668,7 +1357,194 @@ class FloorplanEditor {
                 (x1 - x0 + 1) * this.cellSize,
                 (y1 - y0 + 1) * this.cellSize
             );
+            this.ctx.restore();
+
+            const w = x1 - x0 + 1;
+            const h = y1 - y0 + 1;
+            const { cellMeters, units } = this.doc.scale;
+            this.drawDimensionLabel(`${formatCells(w, this.doc.scale)} × ${formatCells(h, this.doc.scale)} = ${formatArea(w * h * cellMeters * cellMeters, units)}`,
+                (x0 + w / 2) * this.cellSize, y0 * this.cellSize);
+        }
+    }
+
+    // Label in the scale's units just above a world pixel; the text keeps its on-screen size at any zoom
+    drawDimensionLabel(text, wx, wy) {
+        const px = 1 / this.viewport.scale;
+        this.ctx.save();
+        this.ctx.font = `${12 * px}px sans-serif`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'bottom';
+        const width = this.ctx.measureText(text).width;
+        const bottom = wy - 4 * px;
+        this.ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        this.ctx.fillRect(wx - width / 2 - 3 * px, bottom - 15 * px, width + 6 * px, 15 * px);
+        this.ctx.fillStyle = '#333';
+        this.ctx.fillText(text, wx, bottom - 2 * px);
+        this.ctx.restore();
+    }
+
+    renderSelection() {
+        if (!this.selection) return;
+
+        const drag = this.selectionDrag;
+        const moving = drag?.mode === 'move';
+        const dx = moving ? drag.curr.x - drag.start.x : 0;
+        const dy = moving ? drag.curr.y - drag.start.y : 0;
+        const { x, y, w, h } = this.selection;
+
+        this.ctx.save();
+        this.ctx.fillStyle = this.colors.selection;
+        this.ctx.globalAlpha = 0.15;
+        this.ctx.fillRect((x + dx) * this.cellSize, (y + dy) * this.cellSize, w * this.cellSize, h * this.cellSize);
+
+        this.ctx.globalAlpha = 0.9;
+        this.ctx.strokeStyle = this.colors.selection;
+        this.ctx.lineWidth = 2;
+        this.ctx.setLineDash([6, 3]);
+        this.ctx.strokeRect((x + dx) * this.cellSize, (y + dy) * this.cellSize, w * this.cellSize, h * this.cellSize);
+        this.ctx.restore();
+    }
+
+    // Measure tool: drag between grid vertices for a distance; hover floor for its region's area and perimeter
+    updateMeasurement(coord) {
+        if (this.measureLine?.active) {
+            const end = this.snapToVertex(coord);
+            if (end.x === this.measureLine.end.x && end.y === this.measureLine.end.y) return;
+            this.measureLine.end = end;
+        } else {
+            // Flood fill only when the cursor leaves the cached region
+            const region = this.measureRegion;
+            if (region?.keys.has(`${coord.x},${coord.y}`)) return;
+            const measured = this.doc.measureFloorRegion(coord.x, coord.y);
+            if (!measured && !region) return;
+            this.measureRegion = measured && { ...measured, keys: new Set(measured.cells.map(([x, y]) => `${x},${y}`)) };
+        }
+        this.updateMeasureInfo();
+        this.scheduleRender(); // Update preview
+    }
+
+    clearMeasurement() {
+        this.measureLine = this.measureRegion = null;
+        this.updateMeasureInfo();
+        this.render();
+    }
+
+    // Nearest grid vertex to a pointer position, clamped to the grid
+    snapToVertex({ px, py }) {
+        return {
+            x: Math.max(0, Math.min(this.gridWidth, Math.round(px / this.cellSize))),
+            y: Math.max(0, Math.min(this.gridHeight, Math.round(py / this.cellSize)))
+        };
+    }
+
+    renderMeasurement() {
+        if (this.currentTool !== 'measure') return;
+        const { units } = this.doc.scale;
+        const size = this.cellSize;
+
+        const region = this.measureRegion;
+        if (region) {
+            this.ctx.save();
+            this.ctx.fillStyle = this.colors.measure;
+            this.ctx.globalAlpha = 0.2;
+            region.cells.forEach(([x, y]) => this.ctx.fillRect(x * size, y * size, size, size));
+            this.ctx.restore();
+
+            const { x, y, w } = region.bounds;
+            this.drawDimensionLabel(`${formatArea(region.area, units)} · perimeter ${formatLength(region.perimeter, units)}`,
+                (x + w / 2) * size, y * size);
+        }
+
+        const line = this.measureLine;
+        if (line) {
+            const { start, end } = line;
+            this.ctx.save();
+            this.ctx.strokeStyle = this.ctx.fillStyle = this.colors.measure;
+            this.ctx.lineWidth = 2 / this.viewport.scale;
+            this.ctx.setLineDash([6 / this.viewport.scale, 4 / this.viewport.scale]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(start.x * size, start.y * size);
+            this.ctx.lineTo(end.x * size, end.y * size);
+            this.ctx.stroke();
+            [start, end].forEach(({ x, y }) => {
+                this.ctx.beginPath();
+                this.ctx.arc(x * size, y * size, 3 / this.viewport.scale, 0, Math.PI * 2);
+                this.ctx.fill();
+            });
+            this.ctx.restore();
+
+            this.drawDimensionLabel(this.describeMeasureLine(), (start.x + end.x) / 2 * size, (start.y + end.y) / 2 * size);
+        }
+    }
+
+    // "5 m", or "5 m (3 m × 4 m)" for a diagonal
+    describeMeasureLine() {
+        const { start, end } = this.measureLine;
+        const dx = Math.abs(end.x - start.x);
+        const dy = Math.abs(end.y - start.y);
+        const distance = formatLength(gridDistance(start, end, this.doc.scale), this.doc.scale.units);
+        return dx && dy ? `${distance} (${formatCells(dx, this.doc.scale)} × ${formatCells(dy, this.doc.scale)})` : distance;
+    }
+
+    // Show the last measurement in the info panel
+    updateMeasureInfo() {
+        const info = document.getElementById('measure-info');
+        if (!info) return;
+        const { units } = this.doc.scale;
+        const parts = [];
+        if (this.measureLine) parts.push(this.describeMeasureLine());
+        if (this.measureRegion) {
+            const { tiles, area, perimeter } = this.measureRegion;
+            parts.push(`${formatArea(area, units)} (${tiles} cells), perimeter ${formatLength(perimeter, units)}`);
+        }
+        info.textContent = parts.join('; ') || '–';
+    }
+
+    // Rect-drag tools: floor rectangles and vertical link footprints
+    isRectTool() {
+        return this.currentTool === 'dragRect' || VERTICAL_LINK_TYPES.includes(this.currentTool);
+    }
+
+    // Draw the level directly below the active one as ghosted context
+    renderLevelBelow() {
+        const below = getLevelBelow(this.levels, this.getActiveLevel().id);
+        if (!below) return;
+        this.renderTemplateLayer(below.sceneModel, this.colors.levelBelowFloor, this.colors.levelBelowEdge, 0.35);
+    }
+
+    // Draw vertical links that start or end on the active level
+    renderVerticalLinks() {
+        const active = this.getActiveLevel();
+        const links = linksTouchingLevel(this.verticalLinks, active.id);
+        if (links.length === 0) return;
+
+        this.ctx.save();
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.font = `bold ${Math.max(10, Math.floor(this.cellSize * 0.6))}px sans-serif`;
+
+        for (const link of links) {
+            const { x, y, w, h } = link.rect;
+            const color = this.colors[link.type];
+            const px = x * this.cellSize;
+            const py = y * this.cellSize;
+
+            this.ctx.globalAlpha = 0.35;
+            this.ctx.fillStyle = color;
+            this.ctx.fillRect(px, py, w * this.cellSize, h * this.cellSize);
+
+            this.ctx.globalAlpha = 1;
+            this.ctx.strokeStyle = color;
+            this.ctx.lineWidth = 2;
+            this.ctx.strokeRect(px, py, w * this.cellSize, h * this.cellSize);
+
+            // Arrow shows whether the link leads up or down from this level
+            const arrow = link.fromLevel === active.id ? '↑' : '↓';
+            this.ctx.fillStyle = color;
+            this.ctx.fillText(`${link.type[0].toUpperCase()}${arrow}`, px + (w * this.cellSize) / 2, py + (h * this.cellSize) / 2);
         }
+
+        this.ctx.restore();
     }
 
     renderWallSegmentPreview() {
@@ -1719,45 +1595,34 @@ class FloorplanEditor {
                     this.ctx.stroke();
                 }
             }
+
+            // Run length above its midpoint
+            const cells = dy === 0 ? x1 - x0 + 1 : y1 - y0 + 1;
+            const midX = dy === 0 ? (x0 + cells / 2) * this.cellSize : x0 * this.cellSize;
+            const midY = dy === 0 ? y0 * this.cellSize : (y0 + cells / 2) * this.cellSize;
+            this.drawDimensionLabel(formatCells(cells, this.doc.scale), midX, midY);
         }
     }
 
     renderEdges() {
-        // Render edges as thick black lines
-        this.ctx.strokeStyle = '#000';
-        this.ctx.lineWidth = 3;
-        
-        // Render horizontal edges
-        for (let y = 0; y < this.gridHeight; y++) {
-            for (let x = 0; x < this.gridWidth; x++) {
-                if (this.horizontalEdges[y][x]) {
-                    const startX = x * this.cellSize;
-                    const endX = (x + 1) * this.cellSize;
-                    const edgeY = y * this.cellSize;
-                    
-                    this.ctx.beginPath();
-                    this.ctx.moveTo(startX, edgeY);
-                    this.ctx.lineTo(endX, edgeY);
-                    this.ctx.stroke();
-                }
-            }
-        }
-        
-        // Render vertical edges
-        for (let y = 0; y < this.gridHeight; y++) {
-            for (let x = 0; x < this.gridWidth; x++) {
-                if (this.verticalEdges[y][x]) {
-                    const edgeX = x * this.cellSize;
-                    const startY = y * this.cellSize;
-                    const endY = (y + 1) * this.cellSize;
-                    
-                    this.ctx.beginPath();
-                    this.ctx.moveTo(edgeX, startY);
-                    this.ctx.lineTo(edgeX, endY);
-                    this.ctx.stroke();
-                }
-            }
-        }
+        // One path per edge type and finish, so a large view is a handful of strokes
+        const size = this.cellSize;
+        const paths = new Map();
+        this.forEachEdgeInRange((dir, x, y) => {
+            const value = (dir === 'H' ? this.horizontalEdges : this.verticalEdges)[y][x];
+            if (!value) return;
+
+            const key = `${getEdgeType(value)}:${value.material || ''}`;
+            if (!paths.has(key)) paths.set(key, { value, path: new Path2D() });
+            const { path } = paths.get(key);
+            path.moveTo(x * size, y * size);
+            path.lineTo(dir === 'H' ? (x + 1) * size : x * size, dir === 'H' ? y * size : (y + 1) * size);
+        });
+        paths.forEach(({ value, path }) => {
+            this.applyEdgeStyle(value);
+            this.ctx.stroke(path);
+        });
+        this.ctx.setLineDash([]);
         
         // Show erase tool preview if active
         if (this.currentTool === 'erase' && this.isDrawing) {
@@ -1768,7 +1633,47 @@ class FloorplanEditor {
             this.ctx.setLineDash([]);
         }
     }
-    
+    
+    // Stroke style per edge type: walls thick black, doors/windows coloured, openings dashed;
+    // a finished wall takes its finish's colour
+    applyEdgeStyle(value) {
+        const type = getEdgeType(value);
+        const finish = type === 'wall' && materialCssColor(value.material);
+        this.ctx.strokeStyle = finish || this.colors[type] || this.colors.wall;
+        this.ctx.lineWidth = type === 'wall' ? 3 : 4;
+        this.ctx.setLineDash(type === 'opening' ? [4, 3] : []);
+    }
+
+    // Stroke the boundary edges of a shaped region with the current stroke style
+    strokeShapeOutline(shape) {
+        const { horizontal, vertical } = shapeBoundaryEdges(shape);
+        this.ctx.beginPath();
+        horizontal.forEach(([x, y]) => {
+            this.ctx.moveTo(x * this.cellSize, y * this.cellSize);
+            this.ctx.lineTo((x + 1) * this.cellSize, y * this.cellSize);
+        });
+        vertical.forEach(([x, y]) => {
+            this.ctx.moveTo(x * this.cellSize, y * this.cellSize);
+            this.ctx.lineTo(x * this.cellSize, (y + 1) * this.cellSize);
+        });
+        this.ctx.stroke();
+    }
+
+    // Translucent fill of a unit's rect, or of its shape cells
+    fillUnitRegion(unit, colour) {
+        const size = this.cellSize;
+        this.ctx.save();
+        this.ctx.fillStyle = colour;
+        this.ctx.globalAlpha = 0.25;
+        if (unit.shape) {
+            shapeCells(unit.shape).forEach(([x, y]) => this.ctx.fillRect(x * size, y * size, size, size));
+        } else {
+            const { x, y, w, h } = unit.rect;
+            this.ctx.fillRect(x * size, y * size, w * size, h * size);
+        }
+        this.ctx.restore();
+    }
+
     renderTemplate() {
         // Early exits
         const dto = this.overlayModel?.templateData;
@@ -1793,8 +1698,12 @@ class FloorplanEditor {
                 this.ctx.setLineDash([8, 4]);
             }
 
-            // Draw rectangle
-            this.ctx.strokeRect(pixelX, pixelY, pixelW, pixelH);
+            // Draw rectangle, or the exact outline of a shaped region
+            if (options.shape) {
+                this.strokeShapeOutline(options.shape);
+            } else {
+                this.ctx.strokeRect(pixelX, pixelY, pixelW, pixelH);
+            }
 
             // Draw label if provided
             if (options.label) {
@@ -1817,12 +1726,19 @@ class FloorplanEditor {
                 // No longer draw overlay boundaries - ghosted content defines the area
                 // Units and mall rect are now represented by the ghosted template content
 
+                // Tint units by occupancy status
+                (dto.units || []).forEach(unit => {
+                    const colour = occupancyColour(unit);
+                    if (colour && unit.rect) this.fillUnitRegion(unit, colour);
+                });
+
                 // Draw active unit highlight if one is selected
                 if (this.activeUnit) {
                     drawRect(this.activeUnit.rect, {
                         dashed: true,
                         colour: '#00BCD4', // Cyan
-                        label: `${this.activeUnit.id} (ACTIVE)`
+                        label: `${this.activeUnit.id} (ACTIVE)`,
+                        shape: this.activeUnit.shape
                     });
 
                     // Override styling for thicker highlight
@@ -1838,7 +1754,11 @@ class FloorplanEditor {
                     const pixelW = rect.w * this.cellSize;
                     const pixelH = rect.h * this.cellSize;
 
-                    this.ctx.strokeRect(pixelX, pixelY, pixelW, pixelH);
+                    if (this.activeUnit.shape) {
+                        this.strokeShapeOutline(this.activeUnit.shape);
+                    } else {
+                        this.ctx.strokeRect(pixelX, pixelY, pixelW, pixelH);
+                    }
                     this.ctx.restore();
                 }
 
@@ -1860,7 +1780,7 @@ class FloorplanEditor {
                 this.ctx.fillStyle = '#00BCD4';
                 this.ctx.globalAlpha = 0.8;
                 this.ctx.font = '14px Arial';
-                const roomCount = dto.rooms?.length || 0;
+                const roomCount = dto.children?.length || 0;
                 this.ctx.fillText(`Unit Template (${roomCount} rooms)`, 10, 25);
                 this.ctx.restore();
                 break;
@@ -1870,11 +1790,12 @@ class FloorplanEditor {
                 // No longer draw overlay boundaries - ghosted content defines the area
 
                 // Draw each zone.rect if present
-                dto.zones?.forEach(z => {
+                dto.children?.forEach(z => {
                     drawRect(z.rect, {
                         dashed: true,
                         colour: '#4CAF50', // Green
-                        label: z.id || 'zone'
+                        label: z.id || 'zone',
+                        shape: z.shape
                     });
                 });
 
@@ -1883,7 +1804,7 @@ class FloorplanEditor {
                 this.ctx.fillStyle = '#4CAF50';
                 this.ctx.globalAlpha = 0.8;
                 this.ctx.font = '14px Arial';
-                const zoneCount = dto.zones?.length || 0;
+                const zoneCount = dto.children?.length || 0;
                 this.ctx.fillText(`Room Template (${zoneCount} zones)`, 10, 25);
                 this.ctx.restore();
                 break;
@@ -1904,6 +1825,7 @@ class FloorplanEditor {
         this.sceneModel.grid = this.createEmptyGrid();
         this.sceneModel.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
         this.sceneModel.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+        delete this.sceneModel.floorMaterials;
 
         // Update legacy references
         this.grid = this.sceneModel.grid;
@@ -1916,35 +1838,13 @@ class FloorplanEditor {
     clearAll() {
         // Clear both scene content and template
         this.clearScene();
+        this.resetToSingleLevel();
         this.clearTemplate();
         this.showToast('success', 'Cleared', 'All content and templates cleared');
     }
 
     clearTemplate() {
-        this.overlayModel = { templateData: null, bounds: null, constraints: null };
-        this.showTemplate = false;
-        this.templateType = null;
-        this.templateContext = {};
-        this.activeUnit = null; // Clear active unit when clearing template
-        this.baseBounds = null; // Clear stored bounds
-        this.limitToActiveUnit = false; // Reset limit checkbox
-
-        // Clear Template Relationship Manager
-        console.log('[DEBUG] clearTemplate: Clearing Template Relationship Manager');
-        this.templateRelationshipManager.clearAll();
-
-        // Clear both template layers
-        this.parentTemplateModel.grid = this.createEmptyGrid();
-        this.parentTemplateModel.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-        this.parentTemplateModel.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-        this.parentTemplateModel.hasContent = false;
-        this.parentTemplateModel.templateData = null;
-
-        this.currentTemplateModel.grid = this.createEmptyGrid();
-        this.currentTemplateModel.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-        this.currentTemplateModel.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-        this.currentTemplateModel.hasContent = false;
-        this.currentTemplateModel.templateData = null;
+        this.doc.clearTemplate();
 
         const limitCheckbox = document.getElementById('limit-edits-to-active-unit');
         if (limitCheckbox) limitCheckbox.checked = false;
@@ -1955,265 +1855,28 @@ class FloorplanEditor {
     }
 
     updateInfo() {
+        const scale = this.doc.scale;
         document.getElementById('grid-size').textContent = `${this.gridWidth}x${this.gridHeight}`;
+        document.getElementById('grid-extent').textContent = `${formatCells(this.gridWidth, scale)} × ${formatCells(this.gridHeight, scale)}`;
+        document.getElementById('cell-scale-info').textContent = describeScale(scale);
         document.getElementById('cell-size').textContent = `${this.cellSize}px`;
         document.getElementById('current-tool').textContent = this.currentTool;
     }
-    
-    // Convert current state to instances for JSON export
-    gridToInstances() {
-        const instances = [];
-        
-        // Add reference pole
-        instances.push({
-            type: "referencePole",
-            position: [0, 0.5, 0]
-        });
-        
-        // First, rasterize edges to wall tiles using the specified rule
-        const wallTiles = this.rasterizeEdgesToWalls();
-        
-        // Convert floors and rasterized walls to 3D instances
-        for (let y = 0; y < this.gridHeight; y++) {
-            for (let x = 0; x < this.gridWidth; x++) {
-                const tileType = this.grid[y][x];
-                const isWall = wallTiles[y][x];
-                
-                if (tileType === 'floor') {
-                    instances.push({
-                        type: "lobbyFloor",
-                        position: [x * 2, 0, y * 2],
-                        rotation: [-1.5707963267948966, 0, 0]
-                    });
-                } else if (isWall) {
-                    // Only walls from edges get exported, no tile-based walls
-                    instances.push({
-                        type: "lobbyWall",
-                        position: [x * 2, 4, y * 2],
-                        rotation: [0, 0, 0]
-                    });
-                }
-            }
-        }
-        
-        return instances;
-    }
-    
-    // Rasterize edges back to wall tiles for export
-    rasterizeEdgesToWalls() {
-        const wallTiles = [];
-        for (let y = 0; y < this.gridHeight; y++) {
-            wallTiles[y] = [];
-            for (let x = 0; x < this.gridWidth; x++) {
-                wallTiles[y][x] = false;
-            }
-        }
-        
-        // For horizontal edges H(x,y), mark tile (x, y-1) as wall if in bounds
-        for (let y = 0; y < this.gridHeight; y++) {
-            for (let x = 0; x < this.gridWidth; x++) {
-                if (this.horizontalEdges[y][x]) {
-                    if (y - 1 >= 0) {
-                        wallTiles[y - 1][x] = true;
-                    }
-                }
-            }
-        }
-        
-        // For vertical edges V(x,y), mark tile (x-1, y) as wall if in bounds
-        for (let y = 0; y < this.gridHeight; y++) {
-            for (let x = 0; x < this.gridWidth; x++) {
-                if (this.verticalEdges[y][x]) {
-                    if (x - 1 >= 0) {
-                        wallTiles[y][x - 1] = true;
-                    }
-                }
-            }
-        }
-        
-        return wallTiles;
-    }
-    
-    // Import instances and reconstruct edges heuristically
-    instancesToGrid(instances) {
-        const newGrid = this.createEmptyGrid();
-        const newHorizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-        const newVerticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-        
-        // First pass: extract floors from instances, ignore wall tiles
-        instances.forEach(instance => {
-            if (instance.position && instance.type) {
-                const [worldX, worldY, worldZ] = instance.position;
-                const gridX = Math.floor(worldX / 2);
-                const gridY = Math.floor(worldZ / 2);
-                
-                if (gridX >= 0 && gridX < this.gridWidth && gridY >= 0 && gridY < this.gridHeight) {
-                    if (instance.type === 'lobbyFloor') {
-                        newGrid[gridY][gridX] = 'floor';
-                    }
-                    // No longer import wall tiles - they become edges only
-                }
-            }
-        });
-        
-        // Second pass: reconstruct edges from wall tiles heuristically
-        const wallPositions = new Set();
-        instances.forEach(instance => {
-            if (instance.position && instance.type && this.isWallType(instance.type)) {
-                const [worldX, worldY, worldZ] = instance.position;
-                const gridX = Math.floor(worldX / 2);
-                const gridY = Math.floor(worldZ / 2);
-                
-                if (gridX >= 0 && gridX < this.gridWidth && gridY >= 0 && gridY < this.gridHeight) {
-                    wallPositions.add(`${gridX},${gridY}`);
-                }
-            }
-        });
-        
-        // Reconstruct edges from wall positions
-        for (const posKey of wallPositions) {
-            const [x, y] = posKey.split(',').map(Number);
-            this.reconstructEdgesFromWall(x, y, wallPositions, newHorizontalEdges, newVerticalEdges);
-        }
-        
-        return { grid: newGrid, horizontalEdges: newHorizontalEdges, verticalEdges: newVerticalEdges };
-    }
-    
-    reconstructEdgesFromWall(x, y, wallPositions, horizontalEdges, verticalEdges) {
-        // Check 4 borders of this wall tile and create edges where appropriate
-        
-        // Top edge: horizontal edge at (x, y)
-        if (!wallPositions.has(`${x},${y-1}`)) {
-            horizontalEdges[y][x] = true;
-        }
-        
-        // Bottom edge: horizontal edge at (x, y+1)
-        if (y + 1 < this.gridHeight && !wallPositions.has(`${x},${y+1}`)) {
-            horizontalEdges[y + 1][x] = true;
-        }
-        
-        // Left edge: vertical edge at (x, y)
-        if (!wallPositions.has(`${x-1},${y}`)) {
-            verticalEdges[y][x] = true;
-        }
-        
-        // Right edge: vertical edge at (x+1, y)
-        if (x + 1 < this.gridWidth && !wallPositions.has(`${x+1},${y}`)) {
-            verticalEdges[y][x + 1] = true;
-        }
-    }
-    
-    isWallType(instanceType) {
-        const wallTypes = [
-            'lobbyWall',
-            'lobbyNorthWall', 
-            'lobbySouthWall',
-            'lobbyEastWall',
-            'lobbyWestWall'
-        ];
-        return wallTypes.includes(instanceType);
-    }
-    
-    // Convert current editor state to scene.v1 format
-    toSceneV1() {
-        const now = new Date().toISOString();
-
-        // Convert grid data to coordinate arrays
-        const floorTiles = [];
-        for (let y = 0; y < this.gridHeight; y++) {
-            for (let x = 0; x < this.gridWidth; x++) {
-                if (this.grid[y][x] === 'floor') {
-                    floorTiles.push([x, y]);
-                }
-            }
-        }
-
-        // Convert edge data to coordinate arrays
-        const horizontalEdges = [];
-        const verticalEdges = [];
-
-        for (let y = 0; y < this.gridHeight; y++) {
-            for (let x = 0; x < this.gridWidth; x++) {
-                if (this.horizontalEdges[y] && this.horizontalEdges[y][x]) {
-                    horizontalEdges.push([x, y]);
-                }
-                if (this.verticalEdges[y] && this.verticalEdges[y][x]) {
-                    verticalEdges.push([x, y]);
-                }
-            }
-        }
 
-        return {
-            meta: {
-                schema: "scene.v1",
-                version: "1.0",
-                created: now,
-                modified: now
-            },
-            grid: {
-                width: this.gridWidth,
-                height: this.gridHeight,
-                cellSize: this.cellSize
-            },
-            tiles: {
-                floor: floorTiles
-            },
-            edges: {
-                horizontal: horizontalEdges,
-                vertical: verticalEdges
-            }
-        };
+    // Show the grid size in the header control (imports and undo can change it)
+    updateGridSizeControl() {
+        const gridInput = document.getElementById('grid-dimensions');
+        if (gridInput) gridInput.value = `${this.gridWidth}x${this.gridHeight}`;
     }
 
-    // Convert scene.v1 format to editor state
-    fromSceneV1(sceneData) {
-        // Validate basic structure
-        if (!sceneData.meta || sceneData.meta.schema !== "scene.v1") {
-            throw new Error('Invalid scene.v1 format');
-        }
-        if (!sceneData.grid) {
-            throw new Error('Missing grid data in scene.v1');
-        }
-
-        // Update grid dimensions
-        this.gridWidth = sceneData.grid.width;
-        this.gridHeight = sceneData.grid.height;
-        this.cellSize = sceneData.grid.cellSize;
-        this.ensureCanvasBuffer();
-
-        // Initialize empty grids
-        this.grid = this.createEmptyGrid();
-        this.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-        this.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
-
-        // Load floor tiles
-        if (sceneData.tiles && sceneData.tiles.floor) {
-            sceneData.tiles.floor.forEach(([x, y]) => {
-                if (y < this.gridHeight && x < this.gridWidth) {
-                    this.grid[y][x] = 'floor';
-                }
-            });
-        }
-
-        // Load edges
-        if (sceneData.edges) {
-            if (sceneData.edges.horizontal) {
-                sceneData.edges.horizontal.forEach(([x, y]) => {
-                    if (y < this.gridHeight && x < this.gridWidth) {
-                        this.horizontalEdges[y][x] = true;
-                    }
-                });
-            }
-            if (sceneData.edges.vertical) {
-                sceneData.edges.vertical.forEach(([x, y]) => {
-                    if (y < this.gridHeight && x < this.gridWidth) {
-                        this.verticalEdges[y][x] = true;
-                    }
-                });
-            }
-        }
+    // Show the document's scale in the header controls
+    updateScaleControls() {
+        const scaleInput = document.getElementById('cell-scale');
+        const unitsSelect = document.getElementById('display-units');
+        if (scaleInput) scaleInput.value = formatCells(1, this.doc.scale);
+        if (unitsSelect) unitsSelect.value = this.doc.scale.units;
     }
-
+    
     // Handle different export types based on dropdown selection
     handleExport(exportType) {
         switch (exportType) {
@@ -2232,11 +1895,17 @@ class FloorplanEditor {
             case 'scene-3d':
                 this.handleExportScene3D();
                 break;
+            case 'scene-glb':
+                this.handleExportGLB();
+                break;
+            case 'area-schedule':
+                this.handleExportAreaSchedule();
+                break;
             case 'clear-all':
                 this.clearAll();
                 break;
             case 'clear-grid':
-                this.clearScene();
+                this.clearGrid();
                 break;
             case 'clear-template':
                 this.clearTemplate();
@@ -2268,9 +1937,11 @@ class FloorplanEditor {
         const unitTemplate = buildUnitTemplate({
             id: selectedUnit.id || 'unit',
             rect: selectedUnit.rect,
+            shape: selectedUnit.shape,
             rooms: selectedUnit.rooms || [],
             parentMallId: dto.id
         });
+        if (!this.checkExportRules('EXPORT:unit', { kind: 'unit', dto: unitTemplate })) return;
 
         // Download the unit template
         const fileName = `${selectedUnit.id || 'unit'}-template.json`;
@@ -2307,12 +1978,15 @@ class FloorplanEditor {
             return;
         }
 
-        const out = buildMallTemplate({
+        let out = buildMallTemplate({
             id,
             gridWidth: gridSize.width,
             gridHeight: gridSize.height,
             cellSize: this.cellSize || 1,
-            units: galleries
+            units: galleries,
+            shape: dto?.type === 'mall' ? dto.shape : undefined,
+            scale: this.doc.scale,
+            ...this.levelsToWire()
         });
 
         // Ensure rect is included when units are empty (zzz20)
@@ -2324,7 +1998,8 @@ class FloorplanEditor {
         }
 
         // Add current scene content for ghosted rendering when template is loaded back
-        const sceneData = this.toSceneV1();
+        // (multi-level malls carry their content in levels[] instead)
+        const sceneData = out.levels ? null : this.toSceneV1();
         console.log('[DEBUG] Export: toSceneV1() returned:', sceneData);
         if (sceneData && (sceneData.tiles?.floor?.length > 0 ||
                           sceneData.edges?.horizontal?.length > 0 ||
@@ -2339,6 +2014,14 @@ class FloorplanEditor {
             console.log('[DEBUG] Export: No scene data to add - scene is empty');
         }
 
+        // Re-exporting a loaded mall keeps everything the editor does not manage
+        if (dto?.type === 'mall' && dto.source) {
+            out = patchTemplate(dto.source, out);
+        }
+
+        // Run scene rules (per level); block-mode violations refuse the export
+        if (!this.checkExportRules('EXPORT:mall', { kind: 'mall', dto: out })) return;
+
         // Compute safe filename with timestamp
         const safeId = String(out?.id || 'mall').trim().toLowerCase().replace(/[^a-z0-9-_]+/g, '-').replace(/^-+|-+$/g, '') || 'mall';
         const timestamp = new Date().toISOString().replace(/[-:]/g, '').slice(0, 15); // YYYYMMDDTHHMMSS
@@ -2358,6 +2041,7 @@ class FloorplanEditor {
             id: out.id,
             grid: gridSize,
             units: galleries.length,
+            levels: out.levels?.length || 1,
             fresh: !dto
         });
 
@@ -2384,31 +2068,45 @@ class FloorplanEditor {
             const rawId = this.sceneModel?.id || 'scene';
             const safeId = String(rawId).trim().toLowerCase().replace(/[^a-z0-9-_]+/g, '-').replace(/^-+|-+$/g, '') || 'scene';
 
-            // Build 3D payload using ExportBuilder3D
-            const payload = toScene3D(this.sceneModel, this.cellSize, safeId);
-
-            // Run SceneRules warnings check
-            const warnings = SceneRules.collectWarnings({
-                dto: {},
-                scene: this.sceneModel,
-                bounds: this.overlayModel?.bounds || null
-            });
-
-            // Show warnings modal if any warnings exist
-            if (warnings.length > 0) {
-                const warningText = warnings.slice(0, 3).join('\\n') +
-                    (warnings.length > 3 ? `\\n... and ${warnings.length - 3} more warnings` : '');
+            // Simulation limits are chosen per export
+            const simLimits = this.getExportSimLimits();
+            if (!simLimits) {
+                this.showToast('error', 'Export Failed', 'Simulation limit must look like 60x40');
+                return;
+            }
 
+            // Content beyond the limits can be exported as fixed-size chunks instead (single level only)
+            const multiLevel = this.levels.length > 1;
+            const extent = multiLevel ? measureLevels(this.levels) : measureContent(this.sceneModel);
+            if (multiLevel && !fitsSimLimits(extent, simLimits)) {
+                console.warn('[EXPORT:3d] Export refused: multi-level content exceeds simulation limits', extent);
+                this.showToast('error', 'Export Failed',
+                    `The ${this.levels.length} levels cover ${extent.widthTiles}×${extent.heightTiles} tiles, beyond the ` +
+                    `${simLimits.maxTilesX}×${simLimits.maxTilesY} simulation limit. Multi-level scenes cannot be chunked; raise the limit next to Export.`);
+                return;
+            }
+            if (!fitsSimLimits(extent, simLimits)) {
                 const proceed = confirm(
-                    `Export contains ${warnings.length} warnings:\\n\\n${warningText}\\n\\nExport anyway?`
+                    `Content is ${extent.widthTiles}×${extent.heightTiles} tiles, beyond the ${simLimits.maxTilesX}×${simLimits.maxTilesY} simulation limit.\n\n` +
+                    `Export as ${simLimits.maxTilesX}×${simLimits.maxTilesY} chunks with a manifest?`
                 );
-
-                if (!proceed) {
-                    console.info('[EXPORT:3d] Export cancelled due to warnings');
-                    return;
+                if (proceed) {
+                    this.exportScene3DChunks(safeId, simLimits);
+                } else {
+                    console.info('[EXPORT:3d] Export cancelled: content exceeds simulation limits');
                 }
+                return;
             }
 
+            // Build 3D payload using ExportBuilder3D (stacked levels share one origin)
+            const payload = multiLevel
+                ? toScene3DLevels({ levels: this.levels, verticalLinks: this.verticalLinks, cellSize: this.cellSize, cellMeters: this.doc.scale.cellMeters, safeId, simLimits })
+                : toScene3D(this.sceneModel, this.cellSize, safeId, { simLimits, cellMeters: this.doc.scale.cellMeters });
+
+            // Run scene rules (per level); block-mode violations refuse the export
+            const warnings = this.checkExportRules('EXPORT:3d');
+            if (!warnings) return;
+
             // Run schema validation
             const { count: errCount, errors } = await validateScene3D(payload);
 
@@ -2433,6 +2131,7 @@ class FloorplanEditor {
                 tiles: payload.tiles.floor.length,
                 hEdges: payload.edges.horizontal.length,
                 vEdges: payload.edges.vertical.length,
+                levels: payload.levels?.length || 1,
                 warnings: warnings.length
             });
 
@@ -2454,6 +2153,276 @@ class FloorplanEditor {
         }
     }
 
+    // Export the built 3D scene as binary glTF for Blender and standard viewers
+    handleExportGLB() {
+        try {
+            const rawId = this.sceneModel?.id || 'scene';
+            const safeId = String(rawId).trim().toLowerCase().replace(/[^a-z0-9-_]+/g, '-').replace(/^-+|-+$/g, '') || 'scene';
+
+            // Simulation limits do not apply to glTF; content can never exceed the grid
+            const simLimits = { maxTilesX: this.gridWidth, maxTilesY: this.gridHeight };
+            if (!this.checkExportRules('EXPORT:glb')) return;
+
+            const payload = this.levels.length > 1
+                ? toScene3DLevels({ levels: this.levels, verticalLinks: this.verticalLinks, cellSize: this.cellSize, cellMeters: this.doc.scale.cellMeters, safeId, simLimits })
+                : toScene3D(this.sceneModel, this.cellSize, safeId, { simLimits, cellMeters: this.doc.scale.cellMeters });
+
+            const regions = this.getExportRegions();
+            const glb = toGLB(payload, { regions });
+            this.downloadBinary(`${safeId}.glb`, glb, 'model/gltf-binary');
+
+            console.info('[EXPORT:glb]', {
+                safeId,
+                bytes: glb.byteLength,
+                regions: regions.length,
+                levels: payload.levels?.length || 1,
+                digest: payload.meta.digest
+            });
+            this.showToast('success', 'glTF Exported', `Exported ${safeId}.glb`);
+        } catch (error) {
+            console.error('[EXPORT:glb] Export failed:', error);
+            this.showToast('error', 'Export Failed', `glTF export error: ${error.message}`);
+        }
+    }
+
+    // Area schedule of the mall as CSV and Markdown: the template's units (or detected ones) and their rooms
+    handleExportAreaSchedule() {
+        try {
+            const dto = this.overlayModel?.templateData;
+            const options = {};
+            if (dto?.type === 'mall' && Array.isArray(dto.units)) {
+                options.units = this.getExportRegions();
+            } else if (dto?.type === 'unit') {
+                // A unit template is one unit whose children are its rooms
+                options.units = [{ id: dto.id, rect: dto.rect, shape: dto.shape }];
+                options.rooms = { [dto.id]: this.getExportRegions() };
+            }
+
+            const report = this.doc.areaSchedule(options);
+            const safeId = String(report.name).trim().toLowerCase().replace(/[^a-z0-9-_]+/g, '-').replace(/^-+|-+$/g, '') || 'mall';
+            this.downloadText(`${safeId}.area-schedule.csv`, scheduleToCsv(report), 'text/csv');
+            this.downloadText(`${safeId}.area-schedule.md`, scheduleToMarkdown(report), 'text/markdown');
+
+            console.info('[EXPORT:schedule]', { safeId, units: report.units.length, levels: report.levels.length, grossArea: report.totals.grossArea });
+            this.showToast('success', 'Area Schedule Exported', `${report.units.length} units, GFA ${formatArea(report.totals.grossArea, report.scale.units)}`);
+        } catch (error) {
+            console.error('[EXPORT:schedule] Export failed:', error);
+            this.showToast('error', 'Export Failed', `Area schedule error: ${error.message}`);
+        }
+    }
+
+    // Queue a Problems re-check of the changed cells (or the whole level without a rect);
+    // edits during a stroke share one pending scan
+    scheduleProblemScan(rect) {
+        if (rect) {
+            this.problemScanRect = unionRects(this.problemScanRect, rect);
+        } else {
+            this.problemScanFull = true;
+        }
+        if (this.problemScanTimer) return;
+        this.problemScanTimer = setTimeout(() => {
+            this.problemScanTimer = null;
+            const changed = this.problemScanFull ? null : this.problemScanRect;
+            this.problemScanRect = null;
+            this.problemScanFull = false;
+            this.refreshProblems(changed);
+        }, PROBLEM_SCAN_DELAY_MS);
+    }
+
+    // Re-run rules and sanity checks on the active level (or around the changed cells), then update the panel and markers
+    refreshProblems(changed = null) {
+        const previous = countProblems(this.problems);
+        const params = {
+            scene: this.sceneModel,
+            bounds: this.overlayModel?.bounds || null,
+            kind: this.overlayModel?.templateData?.type || 'scene',
+            dto: this.overlayModel?.templateData || {}
+        };
+        this.problems = changed ? updateProblems(this.problems, { ...params, rect: changed }) : collectProblems(params);
+        if (!this.problems.some(problem => problem.id === this.focusedProblemId)) {
+            this.focusedProblemId = null;
+        }
+
+        const counts = countProblems(this.problems);
+        if (counts.total !== previous.total || counts.block !== previous.block) {
+            console.info('[PROBLEMS]', { level: this.getActiveLevel().id, ...counts });
+        }
+        this.updateProblemsPanel();
+        if (changed) {
+            // Markers only change within a cell of the edit; one more covers the focus ring
+            this.invalidateCells({ x: changed.x - 2, y: changed.y - 2, w: changed.w + 4, h: changed.h + 4 });
+        } else {
+            this.scheduleRender();
+        }
+    }
+
+    // Rebuild the Problems list (text via textContent: project rule messages are not trusted HTML)
+    updateProblemsPanel() {
+        const list = document.getElementById('problems-list');
+        const count = document.getElementById('problems-count');
+        if (!list) return;
+
+        const { total, block } = countProblems(this.problems);
+        if (count) {
+            count.textContent = total === 0 ? '' : `(${total})`;
+            count.classList.toggle('has-blocking', block > 0);
+        }
+
+        list.replaceChildren();
+        if (total === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'no-problems';
+            empty.textContent = 'No problems detected';
+            list.appendChild(empty);
+            return;
+        }
+
+        this.problems.forEach(problem => {
+            const item = document.createElement('li');
+            item.className = `problem-item problem-${problem.severity}`;
+            item.classList.toggle('focused', problem.id === this.focusedProblemId);
+            item.dataset.problemId = problem.id;
+            item.title = `${problem.source} (${problem.severity})`;
+            item.textContent = problem.message;
+            list.appendChild(item);
+        });
+    }
+
+    // Highlight a problem and pan the view so it is centered
+    focusProblem(problemId) {
+        const problem = this.problems.find(candidate => candidate.id === problemId);
+        if (!problem) return;
+
+        this.focusedProblemId = problemId;
+        this.updateProblemsPanel();
+        this.render();
+
+        const focus = problemFocus(problem);
+        if (!focus) return;
+
+        this.viewport.centerOn(focus.x * this.cellSize, focus.y * this.cellSize);
+        this.render();
+        console.info('[PROBLEMS]', { action: 'focus', id: problem.id });
+    }
+
+    // Canvas markers: red dashes on missing wall edges, tinted tiles for isolated and out-of-bounds content
+    renderProblems() {
+        if (this.problems.length === 0) return;
+
+        const size = this.cellSize;
+        this.ctx.save();
+        this.problems.forEach(problem => {
+            if (problem.kind === 'scene') return;
+
+            const color = problem.category === 'isolated-tile' ? this.colors.problemIsolated
+                : problem.severity === 'block' ? this.colors.problemBlock : this.colors.problemWarn;
+            const focused = problem.id === this.focusedProblemId;
+
+            if (problem.kind === 'tile') {
+                this.ctx.globalAlpha = 0.35;
+                this.ctx.fillStyle = color;
+                this.ctx.fillRect(problem.x * size, problem.y * size, size, size);
+                this.ctx.globalAlpha = 1;
+                this.ctx.strokeStyle = color;
+                this.ctx.lineWidth = focused ? 3 : 1.5;
+                this.ctx.setLineDash([]);
+                this.ctx.strokeRect(problem.x * size + 1, problem.y * size + 1, size - 2, size - 2);
+            } else {
+                const x0 = problem.x * size;
+                const y0 = problem.y * size;
+                this.ctx.globalAlpha = 1;
+                this.ctx.strokeStyle = color;
+                this.ctx.lineWidth = focused ? 5 : 3;
+                this.ctx.setLineDash(problem.category === 'missing-wall' ? [4, 3] : []);
+                this.ctx.beginPath();
+                this.ctx.moveTo(x0, y0);
+                this.ctx.lineTo(problem.dir === 'H' ? x0 + size : x0, problem.dir === 'H' ? y0 : y0 + size);
+                this.ctx.stroke();
+            }
+
+            if (focused) {
+                // Ring around the focused problem so it stands out after panning
+                const focus = problemFocus(problem);
+                this.ctx.setLineDash([]);
+                this.ctx.lineWidth = 2;
+                this.ctx.strokeStyle = color;
+                this.ctx.beginPath();
+                this.ctx.arc(focus.x * size, focus.y * size, size * 0.9, 0, Math.PI * 2);
+                this.ctx.stroke();
+            }
+        });
+        this.ctx.restore();
+    }
+
+    // Run registered scene rules on every level before an export
+    // kind and dto default to the loaded template; template exports pass the kind and DTO they build
+    // Returns the warning messages to proceed with, or null when a block rule fired or the user cancelled
+    checkExportRules(logTag, { kind, dto } = {}) {
+        const { warnings, violations } = SceneRules.evaluateLevels({
+            levels: this.levels,
+            dto: dto || this.overlayModel?.templateData || {},
+            bounds: this.overlayModel?.bounds || null,
+            kind: kind || this.overlayModel?.templateData?.type || 'scene'
+        });
+
+        if (violations.length > 0) {
+            console.warn(`[${logTag}] Export blocked by rule violations`, violations);
+            alert(`Export blocked by ${violations.length} rule violation(s):\n\n${violations.map(v => `- ${v}`).join('\n')}`);
+            this.showToast('error', 'Export Blocked', `${violations.length} blocking rule violation(s)`);
+            return null;
+        }
+
+        if (warnings.length > 0) {
+            const warningText = warnings.slice(0, 3).join('\n') +
+                (warnings.length > 3 ? `\n... and ${warnings.length - 3} more warnings` : '');
+            if (!confirm(`Export contains ${warnings.length} warnings:\n\n${warningText}\n\nExport anyway?`)) {
+                console.info(`[${logTag}] Export cancelled due to warnings`);
+                return null;
+            }
+        }
+
+        return warnings;
+    }
+
+    // Named regions for 3D node naming: mall units, or rooms of the loaded unit
+    getExportRegions() {
+        const dto = this.overlayModel?.templateData;
+        if (dto?.type === 'mall' && Array.isArray(dto.units)) {
+            return dto.units.filter(unit => unit.id && unit.rect).map(unit => ({ id: unit.id, rect: unit.rect, shape: unit.shape }));
+        }
+        if (dto?.type === 'unit' && Array.isArray(dto.children)) {
+            return dto.children.filter(room => room.id && room.rect).map(room => ({ id: room.id, rect: room.rect, shape: room.shape }));
+        }
+        return [];
+    }
+
+    // Simulation limits from the export controls (falls back to the defaults when the field is absent)
+    getExportSimLimits() {
+        const input = document.getElementById('sim-limits');
+        if (!input) return { ...DEFAULT_SIM_LIMITS };
+        return parseSimLimits(input.value);
+    }
+
+    // Chunked scene.3d.v1 export: one file per chunk plus a manifest the simulator streams from
+    exportScene3DChunks(safeId, simLimits) {
+        const warnings = this.checkExportRules('EXPORT:3d');
+        if (!warnings) return;
+
+        const { manifest, chunks } = toScene3DChunks(this.sceneModel, this.cellSize, safeId, { simLimits, cellMeters: this.doc.scale.cellMeters });
+
+        chunks.forEach(chunk => this.downloadJSON(chunk.file, chunk.scene));
+        this.downloadJSON(`${safeId}.scene.3d.manifest.v1.json`, manifest);
+
+        console.info('[EXPORT:3d]', {
+            safeId,
+            chunks: chunks.length,
+            chunkSize: manifest.chunkSize,
+            digest: manifest.meta.digest,
+            warnings: warnings.length
+        });
+        this.showToast('success', 'Scene 3D Exported', `Exported ${chunks.length} chunk(s) and manifest: ${safeId}`);
+    }
+
     // Export as Mall Template format for unit splitting workflow
     exportAsMallTemplate() {
         // Detect units from connected floor regions
@@ -2471,8 +2440,10 @@ class FloorplanEditor {
             gridWidth: this.gridWidth,
             gridHeight: this.gridHeight,
             cellSize: this.cellSize,
+            scale: this.doc.scale,
             units: units
         });
+        if (!this.checkExportRules('EXPORT:mall', { kind: 'mall', dto: mallTemplate })) return;
 
         const mallId = mallTemplate.id || 'mall';
         const filename = `${mallId}.json`;
@@ -2484,95 +2455,104 @@ class FloorplanEditor {
 
 
 
-    // Authoritative grid cell setter with constraint enforcement
-    setGridCell(x, y, value) {
-        // Final authoritative check - prevent any bypasses
-        if (!this.isWithinTemplateBounds(x, y)) {
-            console.warn(`Blocked grid write at (${x},${y}) - outside template bounds`);
-            this.showTemplateBoundsViolation(x, y, 'tile');
-            return false;
+    // Undo the most recent scene edit
+    undo() {
+        this.cancelPendingGestures();
+        const command = this.doc.undo();
+        if (!command) {
+            this.showToast('info', 'Undo', 'Nothing to undo');
+            return;
         }
-
-        // Perform the grid write
-        this.grid[y][x] = value;
-        return true;
+        this.render();
+        this.updateInfo();
+        console.info('[HISTORY]', { action: 'undo', label: command.label });
     }
 
-    // Helper for consistent floor placement (used by rectangle tool)
-    placeFloorAt(x, y) {
-        if (x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight) {
-            this.grid[y][x] = 'floor';
+    // Redo the most recently undone scene edit
+    redo() {
+        this.cancelPendingGestures();
+        const command = this.doc.redo();
+        if (!command) {
+            this.showToast('info', 'Redo', 'Nothing to redo');
+            return;
         }
+        this.render();
+        this.updateInfo();
+        console.info('[HISTORY]', { action: 'redo', label: command.label });
     }
 
-    // Helper for consistent wall placement (used by wall segment tool)
-    placeWallAt(x, y) {
-        if (x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight) {
-            this.grid[y][x] = 'wall';
+    // Finish any open stroke and drop half-finished rect/wall previews and the selection before history moves
+    cancelPendingGestures() {
+        if (this.isDrawing) {
+            this.history.commit();
+            this.isDrawing = false;
         }
+        this.rectActive = false;
+        this.rectStart = this.rectCurr = null;
+        this.wallActive = false;
+        this.wallStart = this.wallCurr = null;
+        this.selection = this.selectionDrag = null;
     }
 
-    // Helper for consistent horizontal edge placement (used by wall segment tool)
-    addHorizontalEdge(x, y) {
-        if (x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight) {
-            this.horizontalEdges[y][x] = true;
-        }
-    }
+    // Make another level the editing target, finishing gestures on the current one first
+    switchLevel(index) {
+        if (!this.levels[index] || index === this.activeLevelIndex) return;
 
-    // Helper for consistent vertical edge placement (used by wall segment tool)
-    addVerticalEdge(x, y) {
-        if (x >= 0 && x < this.gridWidth && y >= 0 && y < this.gridHeight) {
-            this.verticalEdges[y][x] = true;
-        }
+        this.cancelPendingGestures();
+        this.doc.switchLevel(index);
     }
 
-    // Detect units from connected floor tile regions
-    detectUnitsFromFloorTiles() {
-        const units = [];
-        const visited = Array(this.gridHeight).fill().map(() => Array(this.gridWidth).fill(false));
-        let unitCounter = 1;
+    // Stack a new empty level above the top one and switch to it
+    addLevel() {
+        this.cancelPendingGestures();
+        const level = this.doc.addLevel();
+        this.showToast('success', 'Level Added', `${level.name} at ${level.elevation}m`);
+    }
 
-        // Scan grid for floor tiles and detect connected regions
-        for (let y = 0; y < this.gridHeight; y++) {
-            for (let x = 0; x < this.gridWidth; x++) {
-                if (this.grid[y][x] === 'floor' && !visited[y][x]) {
-                    // Found unvisited floor tile - start a new unit region
-                    const unitArea = this.floodFillRoom(x, y, visited);
-                    if (unitArea.length > 0) {
-                        const bounds = this.calculateRoomBounds(unitArea);
-
-                        // Apply minimum size filtering (w>=2 && h>=2)
-                        if (bounds.w >= 2 && bounds.h >= 2) {
-                            units.push({
-                                id: `unit-${String(unitCounter).padStart(3, '0')}`,
-                                rect: {
-                                    x: bounds.x,
-                                    y: bounds.y,
-                                    w: bounds.w,
-                                    h: bounds.h
-                                }
-                            });
-                            unitCounter++;
-                        } else {
-                            console.info(`Filtered out unit region too small: ${bounds.w}x${bounds.h} at (${bounds.x},${bounds.y})`);
-                        }
-                    }
-                }
-            }
+    // Place a vertical link from the active level to the level above it
+    addVerticalLink(type, rect) {
+        const link = this.doc.addVerticalLink(type, rect);
+        if (!link) {
+            const active = this.getActiveLevel();
+            this.showToast('warning', 'No Level Above', `Add a level above ${active.name} before placing a ${type}`);
         }
+        return link;
+    }
 
-        // Sort units by top-to-bottom, then left-to-right for stable ordering
-        units.sort((a, b) => {
-            if (a.rect.y !== b.rect.y) return a.rect.y - b.rect.y;
-            return a.rect.x - b.rect.x;
-        });
+    // Remove the vertical link under a cell on the active level; returns true when one was removed
+    removeVerticalLinkAt(x, y) {
+        const removed = this.doc.removeVerticalLinkAt(x, y);
+        if (removed) this.render();
+        return removed;
+    }
 
-        // Regenerate IDs to maintain stable ordering
-        units.forEach((unit, index) => {
-            unit.id = `unit-${String(index + 1).padStart(3, '0')}`;
-        });
+    // Clear Grid action: clear user content as one undoable step
+    clearGrid() {
+        const before = snapshotScene(this.sceneModel);
+        this.clearScene();
+        this.pushSceneSnapshot('clear-grid', before);
+        this.render();
+    }
+
+    // Refresh the level dropdown and info line
+    updateLevelControls() {
+        const select = document.getElementById('level-select');
+        if (select) {
+            select.innerHTML = '';
+            // Top level first, like a building directory
+            [...this.levels].reverse().forEach(level => {
+                const option = document.createElement('option');
+                option.value = String(this.levels.indexOf(level));
+                option.textContent = `${level.name} (${level.elevation}m)`;
+                select.appendChild(option);
+            });
+            select.value = String(this.activeLevelIndex);
+        }
 
-        return units;
+        const label = document.getElementById('current-level');
+        if (label) {
+            label.textContent = this.getActiveLevel().name;
+        }
     }
 
     // Export as Gallery Template format with parent relationship
@@ -2581,15 +2561,18 @@ class FloorplanEditor {
 
         // Check if there's an active gallery overlay (existing path)
         if (dto && dto.type === 'unit') {
-            // Use ExportBuilder for consistent format
-            const out = buildUnitTemplate({
+            // Use ExportBuilder for consistent format, patched onto the loaded file so unknown fields survive
+            const built = buildUnitTemplate({
                 id: dto?.id || 'unit',
                 rect: dto?.rect || { x: 0, y: 0, w: this.gridWidth, h: this.gridHeight },
-                rooms: dto?.rooms || [],
-                parentMallId: dto?.parentMallId
+                shape: dto?.shape,
+                rooms: dto?.children || [],
+                parentMallId: dto?.parentId
             });
+            const out = dto.source ? patchTemplate(dto.source, built) : built;
+            if (!this.checkExportRules('EXPORT:unit', { kind: 'unit', dto: out })) return;
 
-            const filename = `${out.id || 'unit'}.unit-template.v1.json`;
+            const filename = `${out.id || 'unit'}.${out.meta.schema}.json`;
             this.downloadJSON(filename, out);
 
             console.log('Exported gallery template:', out);
@@ -2636,7 +2619,9 @@ class FloorplanEditor {
         // Add the actual scene content so it renders exactly as drawn
         out.sceneData = sceneData;
 
-        const filename = `${out.id}.unit-template.v1.json`;
+        if (!this.checkExportRules('EXPORT:unit', { kind: 'unit', dto: out })) return;
+
+        const filename = `${out.id}.${out.meta.schema}.json`;
         this.downloadJSON(filename, out);
 
         console.info('[EXPORT:unit] Simple export with scene data', {
@@ -2648,63 +2633,6 @@ class FloorplanEditor {
         this.showToast('success', 'Gallery Template Exported', `Exported gallery from current edits: ${filename}`);
     }
 
-    computeSceneEditsBoundingBox() {
-        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-        let hasContent = false;
-
-        // Check floor tiles
-        for (let y = 0; y < this.gridHeight; y++) {
-            for (let x = 0; x < this.gridWidth; x++) {
-                if (this.grid[y][x] === 'floor') {
-                    minX = Math.min(minX, x);
-                    minY = Math.min(minY, y);
-                    maxX = Math.max(maxX, x);
-                    maxY = Math.max(maxY, y);
-                    hasContent = true;
-                }
-            }
-        }
-
-        // Check edges - use edge positions directly for accurate bounding box
-        for (let y = 0; y < this.gridHeight; y++) {
-            for (let x = 0; x < this.gridWidth; x++) {
-                if (this.horizontalEdges[y] && this.horizontalEdges[y][x]) {
-                    // Use the edge position itself, not adjacent cells
-                    minX = Math.min(minX, x);
-                    minY = Math.min(minY, y);
-                    maxX = Math.max(maxX, x);
-                    maxY = Math.max(maxY, y);
-                    hasContent = true;
-                }
-                if (this.verticalEdges[y] && this.verticalEdges[y][x]) {
-                    // Use the edge position itself, not adjacent cells
-                    minX = Math.min(minX, x);
-                    minY = Math.min(minY, y);
-                    maxX = Math.max(maxX, x);
-                    maxY = Math.max(maxY, y);
-                    hasContent = true;
-                }
-            }
-        }
-
-        return hasContent ? { minX, minY, maxX, maxY } : null;
-    }
-
-    isRectInsideBounds(rect) {
-        if (!this.overlayModel.bounds) return true;
-
-        // Check all four corners and a couple interior points
-        const points = [
-            [rect.x, rect.y], // top-left
-            [rect.x + rect.w - 1, rect.y], // top-right
-            [rect.x, rect.y + rect.h - 1], // bottom-left
-            [rect.x + rect.w - 1, rect.y + rect.h - 1], // bottom-right
-            [rect.x + Math.floor(rect.w / 2), rect.y + Math.floor(rect.h / 2)] // center
-        ];
-
-        return points.every(([x, y]) => this.overlayModel.bounds.isInside(x, y));
-    }
-
     // Export as Room Template format with parent relationship
     exportAsRoomTemplate() {
         const dto = this.overlayModel?.templateData;
@@ -2744,7 +2672,9 @@ class FloorplanEditor {
         // Add the actual scene content so it renders exactly as drawn
         out.sceneData = sceneData;
 
-        const filename = `${out.id}.room-template.v1.json`;
+        if (!this.checkExportRules('EXPORT:room', { kind: 'room', dto: out })) return;
+
+        const filename = `${out.id}.${out.meta.schema}.json`;
         this.downloadJSON(filename, out);
 
         console.info('[EXPORT:room] Simple export with scene data', {
@@ -2798,7 +2728,9 @@ class FloorplanEditor {
         // Include parent room template data for complete context
         out.parentTemplateData = this.overlayModel.templateData;
 
-        const filename = `${out.id}.object-template.v1.json`;
+        if (!this.checkExportRules('EXPORT:object', { kind: 'object', dto: out })) return;
+
+        const filename = `${out.id}.${out.meta.schema}.json`;
         this.downloadJSON(filename, out);
 
         console.info('[EXPORT:object] Export with scene data and parent room context', {
@@ -2811,140 +2743,90 @@ class FloorplanEditor {
         this.showToast('success', 'Object Template Exported', `Exported object from current edits: ${filename}`);
     }
 
-    // Generate room features from current editor content
-    generateRoomFeaturesFromCurrentContent() {
-        const features = {
-            walls: [],
-            floorAreas: [],
-            furnishing: []
-        };
+    // Ensure canvas buffer size matches grid dimensions
+    ensureCanvasBuffer() {
+        // The buffer matches the canvas's on-screen size; the view transform places the grid in it
+        const expectedWidth = Math.round(this.canvas.clientWidth) || this.canvas.width;
+        const expectedHeight = Math.round(this.canvas.clientHeight) || this.canvas.height;
 
-        // Analyze current grid content to identify room features
-        for (let y = 0; y < this.gridHeight; y++) {
-            for (let x = 0; x < this.gridWidth; x++) {
-                const cellValue = this.grid[y][x];
-
-                switch (cellValue) {
-                    case 'wall-edge':
-                        features.walls.push({ x, y, type: 'wall' });
-                        break;
-                    case 'floor':
-                        features.floorAreas.push({ x, y, type: 'floor' });
-                        break;
-                    // Add more feature types as needed
-                }
-            }
+        if (this.canvas.width !== expectedWidth || this.canvas.height !== expectedHeight) {
+            this.canvas.width = expectedWidth;
+            this.canvas.height = expectedHeight;
+            console.log(`[BUFFER] Canvas buffer resized to ${expectedWidth}x${expectedHeight} (grid: ${this.gridWidth}x${this.gridHeight}, cell: ${this.cellSize}px)`);
         }
-
-        // Group connected floor areas into zones
-        const floorZones = this.groupFloorAreasIntoZones(features.floorAreas);
-        features.floorZones = floorZones;
-
-        // Clean up individual floor points since we now have zones
-        delete features.floorAreas;
-
-        return features;
+        this.viewport.resize(this.canvas.width, this.canvas.height);
     }
 
-    // Group connected floor areas into logical zones
-    groupFloorAreasIntoZones(floorAreas) {
-        const zones = [];
-        const visited = new Set();
-
-        floorAreas.forEach((floor) => {
-            const key = `${floor.x},${floor.y}`;
-            if (visited.has(key)) return;
-
-            // Find connected floor area using flood fill
-            const zone = this.findConnectedFloorArea(floor.x, floor.y, floorAreas, visited);
-            if (zone.length > 0) {
-                const bounds = this.calculateAreaBounds(zone);
-                zones.push({
-                    id: `zone-${zones.length + 1}`,
-                    bounds: bounds,
-                    tiles: zone.length,
-                    type: 'floor-zone'
-                });
-            }
-        });
-
-        return zones;
+    // Show the whole grid when its size changes (first render, imports), never zooming past 1:1
+    fitViewToNewGrid() {
+        const size = `${this.gridWidth}x${this.gridHeight}`;
+        if (size === this.viewGridSize) return;
+        this.viewGridSize = size;
+        this.viewport.fitRect({ x: 0, y: 0, w: this.gridWidth * this.cellSize, h: this.gridHeight * this.cellSize }, { maxScale: 1 });
     }
 
-    // Find connected floor area starting from given coordinates
-    findConnectedFloorArea(startX, startY, floorAreas, visited) {
-        const zone = [];
-        const stack = [[startX, startY]];
-        const floorMap = new Map();
-
-        // Create lookup map for faster access
-        floorAreas.forEach(floor => {
-            floorMap.set(`${floor.x},${floor.y}`, floor);
-        });
-
-        while (stack.length > 0) {
-            const [x, y] = stack.pop();
-            const key = `${x},${y}`;
-
-            if (visited.has(key) || !floorMap.has(key)) continue;
+    // Zoom and pan so a cell rect fills the view
+    fitToCells(rect, reason) {
+        this.viewport.fitRect({ x: rect.x * this.cellSize, y: rect.y * this.cellSize, w: rect.w * this.cellSize, h: rect.h * this.cellSize });
+        console.info('[VIEW]', { action: reason, rect, scale: Number(this.viewport.scale.toFixed(3)) });
+        this.render();
+    }
 
-            visited.add(key);
-            zone.push({ x, y });
+    // Fit the view to the active level's floor and walls, or the whole grid when it is empty
+    fitToContent() {
+        const box = this.doc.computeSceneEditsBoundingBox();
+        const rect = box
+            ? { x: box.minX, y: box.minY, w: box.maxX - box.minX + 1, h: box.maxY - box.minY + 1 }
+            : { x: 0, y: 0, w: this.gridWidth, h: this.gridHeight };
+        this.fitToCells(rect, 'fit-content');
+    }
 
-            // Add adjacent cells
-            [[x+1,y], [x-1,y], [x,y+1], [x,y-1]].forEach(([nx, ny]) => {
-                const neighborKey = `${nx},${ny}`;
-                if (!visited.has(neighborKey) && floorMap.has(neighborKey)) {
-                    stack.push([nx, ny]);
-                }
-            });
+    fitToSelection() {
+        if (!this.selection) {
+            this.showToast('info', 'Nothing Selected', 'Drag a selection with the Select tool first');
+            return;
         }
-
-        return zone;
+        this.fitToCells(this.selection, 'fit-selection');
     }
 
-    // Calculate bounds for an area of tiles
-    calculateAreaBounds(area) {
-        if (area.length === 0) return { x: 0, y: 0, w: 0, h: 0 };
+    // Wheel zoom about the pointer
+    handleWheel(e) {
+        e.preventDefault();
+        const { sx, sy } = this.clientToCanvas(e);
+        if (this.viewport.zoomAt(sx, sy, Math.exp(-e.deltaY * WHEEL_ZOOM_RATE))) {
+            this.scheduleRender();
+        }
+    }
 
-        let minX = area[0].x, maxX = area[0].x;
-        let minY = area[0].y, maxY = area[0].y;
+    // Drag the view with the pointer while panning
+    panView(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const dx = (e.clientX - this.panState.x) * (this.canvas.width / rect.width);
+        const dy = (e.clientY - this.panState.y) * (this.canvas.height / rect.height);
+        this.panState = { x: e.clientX, y: e.clientY };
+        this.viewport.panBy(dx, dy);
+        this.scheduleRender();
+    }
 
-        area.forEach(({ x, y }) => {
-            minX = Math.min(minX, x);
-            maxX = Math.max(maxX, x);
-            minY = Math.min(minY, y);
-            maxY = Math.max(maxY, y);
-        });
+    endPan() {
+        if (!this.panState) return;
+        this.panState = null;
+        this.canvas.style.cursor = this.spaceDown ? 'grab' : '';
+    }
 
+    // Convert client coordinates to canvas buffer pixels (the canvas may be scaled by CSS)
+    clientToCanvas(e) {
+        const rect = this.canvas.getBoundingClientRect();
         return {
-            x: minX,
-            y: minY,
-            w: maxX - minX + 1,
-            h: maxY - minY + 1
+            sx: (e.clientX - rect.left) * (this.canvas.width / rect.width),
+            sy: (e.clientY - rect.top) * (this.canvas.height / rect.height)
         };
     }
 
-    // Ensure canvas buffer size matches grid dimensions
-    ensureCanvasBuffer() {
-        const expectedWidth = this.gridWidth * this.cellSize;
-        const expectedHeight = this.gridHeight * this.cellSize;
-
-        if (this.canvas.width !== expectedWidth || this.canvas.height !== expectedHeight) {
-            this.canvas.width = expectedWidth;
-            this.canvas.height = expectedHeight;
-            console.log(`[BUFFER] Canvas buffer resized to ${expectedWidth}x${expectedHeight} (grid: ${this.gridWidth}x${this.gridHeight}, cell: ${this.cellSize}px)`);
-        }
-    }
-
     // Convert client coordinates to grid position with proper scaling
     clientToGrid(e) {
-        const rect = this.canvas.getBoundingClientRect();
-        const scaleX = this.canvas.width / rect.width;
-        const scaleY = this.canvas.height / rect.height;
-
-        const px = (e.clientX - rect.left) * scaleX;
-        const py = (e.clientY - rect.top) * scaleY;
+        const { sx, sy } = this.clientToCanvas(e);
+        const [px, py] = this.viewport.screenToWorld(sx, sy); // World pixels through the view transform
 
         const x = Math.floor(px / this.cellSize);
         const y = Math.floor(py / this.cellSize);
@@ -2954,92 +2836,16 @@ class FloorplanEditor {
         return { x, y, px, py };
     }
 
-    // Generate room definitions from current editor content
-    generateRoomsFromCurrentContent() {
-        const rooms = [];
-
-        // Simple room detection: find connected floor areas
-        const visited = Array(this.gridHeight).fill().map(() => Array(this.gridWidth).fill(false));
-        let roomCounter = 1;
-
-        for (let y = 0; y < this.gridHeight; y++) {
-            for (let x = 0; x < this.gridWidth; x++) {
-                if (this.grid[y][x] === 'floor' && !visited[y][x]) {
-                    // Found unvisited floor tile - start a new room
-                    const roomArea = this.floodFillRoom(x, y, visited);
-                    if (roomArea.length > 0) {
-                        const bounds = this.calculateRoomBounds(roomArea);
-                        rooms.push({
-                            id: `room-${roomCounter}`,
-                            gridRect: bounds
-                        });
-                        roomCounter++;
-                    }
-                }
-            }
-        }
-
-        // If no rooms found, create a single room covering the whole area
-        if (rooms.length === 0) {
-            rooms.push({
-                id: 'room-1',
-                gridRect: { x: 0, y: 0, w: this.gridWidth, h: this.gridHeight }
-            });
-        }
-
-        return rooms;
-    }
-
-    // Flood fill to find connected floor tiles for room detection
-    floodFillRoom(startX, startY, visited) {
-        const roomTiles = [];
-        const stack = [[startX, startY]];
-
-        while (stack.length > 0) {
-            const [x, y] = stack.pop();
-
-            if (x < 0 || x >= this.gridWidth || y < 0 || y >= this.gridHeight) continue;
-            if (visited[y][x] || this.grid[y][x] !== 'floor') continue;
-
-            visited[y][x] = true;
-            roomTiles.push([x, y]);
-
-            // Add neighbors
-            stack.push([x + 1, y], [x - 1, y], [x, y + 1], [x, y - 1]);
-        }
-
-        return roomTiles;
-    }
-
-    // Calculate bounding rectangle for room tiles
-    calculateRoomBounds(roomTiles) {
-        if (roomTiles.length === 0) return { x: 0, y: 0, w: 1, h: 1 };
-
-        let minX = roomTiles[0][0], maxX = roomTiles[0][0];
-        let minY = roomTiles[0][1], maxY = roomTiles[0][1];
-
-        roomTiles.forEach(([x, y]) => {
-            minX = Math.min(minX, x);
-            maxX = Math.max(maxX, x);
-            minY = Math.min(minY, y);
-            maxY = Math.max(maxY, y);
-        });
-
-        return {
-            x: minX,
-            y: minY,
-            w: maxX - minX + 1,
-            h: maxY - minY + 1
-        };
-    }
-
     // Export as Scene v1 format (renamed from exportJSON)
     exportAsScene() {
+        // Top-level tiles/edges are the lowest level; other levels travel in levels[]
+        const { grid, horizontalEdges, verticalEdges, floorMaterials } = sortLevels(this.levels)[0].sceneModel;
+
         // Collect floor tiles
         const floorTiles = [];
         for (let y = 0; y < this.gridHeight; y++) {
             for (let x = 0; x < this.gridWidth; x++) {
-                if (this.grid[y][x] === 'floor') {
+                if (grid[y][x] === 'floor') {
                     floorTiles.push([x, y]);
                 }
             }
@@ -3050,10 +2856,10 @@ class FloorplanEditor {
         const vEdges = [];
         for (let y = 0; y < this.gridHeight; y++) {
             for (let x = 0; x < this.gridWidth; x++) {
-                if (this.horizontalEdges[y] && this.horizontalEdges[y][x]) {
+                if (horizontalEdges[y] && horizontalEdges[y][x]) {
                     hEdges.push([x, y]);
                 }
-                if (this.verticalEdges[y] && this.verticalEdges[y][x]) {
+                if (verticalEdges[y] && verticalEdges[y][x]) {
                     vEdges.push([x, y]);
                 }
             }
@@ -3066,7 +2872,11 @@ class FloorplanEditor {
             cellSize: this.cellSize,
             floorTiles: floorTiles,
             hEdges: hEdges,
-            vEdges: vEdges
+            vEdges: vEdges,
+            openings: collectEdgeOpenings(horizontalEdges, verticalEdges),
+            floorMaterials: collectFloorMaterials(grid, floorMaterials),
+            scale: this.doc.scale,
+            ...this.levelsToWire()
         });
 
         this.downloadJSON('scene.json', sceneData);
@@ -3091,6 +2901,8 @@ class FloorplanEditor {
             <option value="room-template">Export as Room Template</option>
             <option value="object-template">Export as Object Template</option>
             <option value="scene-3d">Scene (3D Pipe)</option>
+            <option value="scene-glb">glTF Binary (.glb)</option>
+            <option value="area-schedule">Area Schedule (CSV + Markdown)</option>
             <option disabled>──────────</option>
             <option value="clear-all">Clear All</option>
             <option value="clear-grid">Clear Grid</option>
@@ -3120,14 +2932,21 @@ class FloorplanEditor {
 
         try {
             const text = await file.text();
-            const jsonData = JSON.parse(text);
 
-            // Use new TemplateLoader to detect and normalize
-            const { dto, mode } = loadTemplate(jsonData);
+            // Use new TemplateLoader to detect, upgrade and normalize
+            const { dto, mode, migration, validation, warnings } = loadTemplate(JSON.parse(text));
+            const jsonData = migration.data;
+            this.reportMigration(migration, file.name);
+            this.reportValidation(validation, file.name);
+            this.reportLoaderWarnings(warnings, file.name);
 
             // Check if this is a child template with parent relationship
             const hasParent = jsonData.meta?.parent;
 
+            // Capture scene content so the import can be undone as one step
+            this.cancelPendingGestures();
+            const sceneBefore = snapshotScene(this.sceneModel);
+
             // Only clear scene for parent templates, preserve template data for child templates
             if (!hasParent) {
                 console.log('[DEBUG] Parent template - clearing scene');
@@ -3138,6 +2957,7 @@ class FloorplanEditor {
                 this.sceneModel.grid = this.createEmptyGrid();
                 this.sceneModel.horizontalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
                 this.sceneModel.verticalEdges = this.createEmptyEdgeSet(this.gridWidth, this.gridHeight);
+                delete this.sceneModel.floorMaterials;
 
                 // Update legacy references
                 this.grid = this.sceneModel.grid;
@@ -3157,6 +2977,7 @@ class FloorplanEditor {
                 console.assert(Array.isArray(dto.units), 'Import: mall dto.units must be array');
             }
             this.overlayModel.bounds = makeBounds(dto);
+            this.scheduleProblemScan();
             this.showTemplate = dto.type !== 'scene';
             this.templateType = dto.type;
             console.info('[IMPORT]', {
@@ -3185,7 +3006,8 @@ class FloorplanEditor {
                         cellSize: this.cellSize
                     },
                     tiles: jsonData.tiles || { floor: [] },
-                    edges: jsonData.edges || { horizontal: [], vertical: [] }
+                    edges: jsonData.edges || { horizontal: [], vertical: [] },
+                    scale: jsonData.scale
                 });
                 alert('Scene.v1 file imported successfully');
             } else {
@@ -3238,6 +3060,15 @@ class FloorplanEditor {
                 alert(`${dto.type.toUpperCase()} template loaded as overlay constraints. Create content within template boundaries.`);
             }
 
+            // A mall template sets the building's real-world scale
+            if (dto.scale) {
+                this.doc.setScale(dto.scale);
+            }
+
+            // Multi-level files replace the whole level stack, which is not an undoable edit
+            if (!this.applyImportedLevels(jsonData, dto)) {
+                this.pushSceneSnapshot('import', sceneBefore);
+            }
             this.render();
             this.updateInfo();
             this.updateExportOptions();
@@ -3440,6 +3271,29 @@ class FloorplanEditor {
         }
     }
 
+    // Tell the user when an older file was upgraded on load (save it again to keep the new version)
+    reportMigration(migration, name) {
+        if (!migration.migrated) return;
+        console.info('[MIGRATE]', name, migration.changes);
+        this.showToast('info', 'Template Upgraded',
+            `${name} was upgraded to ${schemaId(migration.kind, migration.toVersion)}:\n${migration.changes.join('\n')}`);
+    }
+
+    // Warn about schema errors without blocking the load; each line starts with the JSON pointer
+    reportValidation(validation, name) {
+        if (validation.valid) return;
+        const lines = formatValidationErrors(validation.errors);
+        console.warn('[SCHEMA]', name, lines);
+        const shown = lines.slice(0, 5).join('\n') + (lines.length > 5 ? `\n…and ${lines.length - 5} more` : '');
+        this.showToast('warning', 'Template Schema Errors', `${name} does not match its schema:\n${shown}`);
+    }
+
+    // Show what the loader had to patch up (e.g. auto-named children) so the author can fix the file
+    reportLoaderWarnings(warnings, name) {
+        if (warnings.length === 0) return;
+        this.showToast('warning', 'Template Needs Attention', `${name}:\n${warnings.join('\n')}`);
+    }
+
     async loadTemplateFromFile(file, jsonData = null) {
         // If jsonData is provided (from URL loading), use it directly
         if (jsonData) {
@@ -3450,12 +3304,23 @@ class FloorplanEditor {
             jsonData = JSON.parse(text);
         }
 
-        // Use new TemplateLoader to detect and normalize
-        const { dto, mode } = loadTemplate(jsonData);
+        // Use new TemplateLoader to detect, upgrade and normalize
+        const { dto, mode, migration, validation, warnings } = loadTemplate(jsonData);
+        jsonData = migration.data;
+        this.reportMigration(migration, file.name);
+        this.reportValidation(validation, file.name);
+        this.reportLoaderWarnings(warnings, file.name);
 
         // Use Template Relationship Manager to handle parent-child relationships
         console.log('[DEBUG] Loading template through Template Relationship Manager');
-        const relationshipResult = await this.templateRelationshipManager.loadTemplate(jsonData, dto);
+        const relationshipResult = await this.templateRelationshipManager.loadTemplate(jsonData, dto, { source: file.path || null });
+        if (relationshipResult.errors.length > 0) {
+            this.showToast('warning', 'Parent Template Not Loaded', relationshipResult.errors.join('\n'));
+        }
+
+        // Capture scene content so the import can be undone as one step
+        this.cancelPendingGestures();
+        const sceneBefore = snapshotScene(this.sceneModel);
 
         // Clear scene data (user content)
         this.clearScene();
@@ -3474,6 +3339,7 @@ class FloorplanEditor {
             console.assert(Array.isArray(dto.units), 'Import: mall dto.units must be array');
         }
         this.overlayModel.bounds = makeBounds(dto);
+        this.scheduleProblemScan();
         this.showTemplate = dto.type !== 'scene';
         this.templateType = dto.type;
         console.info('[IMPORT]', {
@@ -3502,7 +3368,8 @@ class FloorplanEditor {
                     cellSize: this.cellSize
                 },
                 tiles: jsonData.tiles || { floor: [] },
-                edges: jsonData.edges || { horizontal: [], vertical: [] }
+                edges: jsonData.edges || { horizontal: [], vertical: [] },
+                scale: jsonData.scale
             });
         } else {
             // Template loaded as overlay only - no content conversion
@@ -3551,12 +3418,21 @@ class FloorplanEditor {
                 loadedAt: new Date().toISOString()
             };
         }
+        // A mall template sets the building's real-world scale
+        if (dto.scale) {
+            this.doc.setScale(dto.scale);
+        }
+
+        // Multi-level files replace the whole level stack, which is not an undoable edit
+        if (!this.applyImportedLevels(jsonData, dto)) {
+            this.pushSceneSnapshot('template-import', sceneBefore);
+        }
         this.render();
         this.updateInfo();
         this.updateExportOptions();
 
         // Add to MRU
-        this.addToMRU(file.name, jsonData.meta?.name || file.name, mode);
+        this.addToMRU(file.name, jsonData.meta?.name || file.name, mode, { templateId: dto.id, source: file.path });
 
         // Show success notification
         const templateInfo = this.templateType ? ` (${this.templateType} mode)` : '';
@@ -3674,57 +3550,6 @@ class FloorplanEditor {
     }
 
 
-    validateWithAJV(jsonData, schema) {
-        // For now, we'll do basic structural validation
-        // In a full implementation, we would load the actual AJV schemas
-        const supportedSchemas = ['scene.v1', 'mall-template.v1', 'gallery-template.v1', 'room-template.v1', 'unit-design.v1'];
-
-        if (!supportedSchemas.includes(schema)) {
-            throw new Error(`Unsupported schema: ${schema}`);
-        }
-
-        // Basic validation for each schema type
-        switch (schema) {
-            case 'scene.v1':
-                if (!jsonData.grid || !jsonData.tiles || !jsonData.edges) {
-                    throw new Error('Invalid scene.v1: missing required sections (grid, tiles, edges)');
-                }
-                break;
-
-            case 'mall-template.v1':
-                if (!jsonData.id || !jsonData.grid || !jsonData.units || !Array.isArray(jsonData.units)) {
-                    throw new Error('Invalid mall-template.v1: missing required fields (id, grid, units array)');
-                }
-                if (jsonData.units.length === 0) {
-                    throw new Error('Invalid mall-template.v1: units array cannot be empty');
-                }
-                // Validate each unit has required fields
-                jsonData.units.forEach((unit, index) => {
-                    if (!unit.id || !unit.rect || typeof unit.rect.x !== 'number' ||
-                        typeof unit.rect.y !== 'number' || typeof unit.rect.w !== 'number' ||
-                        typeof unit.rect.h !== 'number') {
-                        throw new Error(`Invalid mall-template.v1: unit[${index}] missing required rect fields (x, y, w, h)`);
-                    }
-                });
-                break;
-
-            case 'gallery-template.v1':
-                if (!jsonData.id || !jsonData.parentMallId || !jsonData.rect) {
-                    throw new Error('Invalid gallery-template.v1: missing required fields (id, parentMallId, rect)');
-                }
-                break;
-
-            case 'unit-design.v1':
-                if (!jsonData.id || !jsonData.parentUnitId) {
-                    throw new Error('Invalid unit-design.v1: missing required fields (id, parentUnitId)');
-                }
-                break;
-        }
-
-        console.log(`✅ Schema validation passed: ${schema}`);
-    }
-
-
     // MRU (Most Recently Used) System - Early Initialization
     initializeMRUSystem() {
         // Guarantee this.mruFiles is always an array
@@ -3767,7 +3592,7 @@ class FloorplanEditor {
         }
     }
 
-    addToMRU(filename, displayName, schema) {
+    addToMRU(filename, displayName, schema, { templateId = null, source = null } = {}) {
         // Ensure we have a valid array before proceeding
         if (!Array.isArray(this.mruFiles)) {
             this.mruFiles = [];
@@ -3778,7 +3603,9 @@ class FloorplanEditor {
             displayName: displayName || filename,
             schema,
             timestamp: new Date().toISOString(),
-            id: Date.now() + Math.random() // Simple unique ID
+            id: Date.now() + Math.random(), // Simple unique ID
+            templateId, // Lets the parent resolver find this file again
+            source // Fetchable path, only for files opened from a URL
         };
 
         try {
@@ -3878,7 +3705,7 @@ class FloorplanEditor {
             const jsonData = await response.json();
 
             // Create a mock file object for consistency with file loading
-            const mockFile = { name: path.split('/').pop() || 'url-file.json' };
+            const mockFile = { name: path.split('/').pop() || 'url-file.json', path };
             await this.loadTemplateFromFile(mockFile, jsonData);
 
         } catch (error) {
@@ -3899,6 +3726,21 @@ class FloorplanEditor {
         link.click();
     }
 
+    // Download a text report (e.g. .csv, .md)
+    downloadText(filename, text, mimeType = 'text/plain') {
+        this.downloadBinary(filename, text, `${mimeType};charset=utf-8`);
+    }
+
+    // Download binary data (e.g. .glb)
+    downloadBinary(filename, bytes, mimeType = 'application/octet-stream') {
+        console.info('[DOWNLOAD]', filename);
+        const dataBlob = new Blob([bytes], { type: mimeType });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(dataBlob);
+        link.download = filename;
+        link.click();
+    }
+
     // Toast Notification System
     showToast(type = 'info', title = 'Notification', message = '', options = {}) {
         const container = document.getElementById('toast-container');
@@ -3943,59 +3785,6 @@ class FloorplanEditor {
         }
     }
 
-    // Template Boundary Validation
-    isWithinTemplateBounds(x, y, kind = 'tile') {
-        const b = this.overlayModel?.bounds;
-        if (!this.showTemplate || !b) return true; // no template -> unrestricted
-
-        if (kind === 'edge-horizontal') {
-            return b.isInside(x, y-1) || b.isInside(x, y);
-        }
-        if (kind === 'edge-vertical') {
-            return b.isInside(x-1, y) || b.isInside(x, y);
-        }
-        return b.isInside(x, y);
-    }
-
-    getTemplateBoundaryType(x, y) {
-        // Return which boundary type this coordinate belongs to, or null if outside
-        if (!this.templateType || !this.templateContext || !this.templateContext.originalData) {
-            return null;
-        }
-
-        const templateData = this.templateContext.originalData;
-
-        switch (this.templateType) {
-            case 'mall':
-                if (templateData.units) {
-                    const unit = templateData.units.find(unit => {
-                        if (unit.rect) {
-                            const { x: ux, y: uy, w: uw, h: uh } = unit.rect;
-                            return x >= ux && x < ux + uw && y >= uy && y < uy + uh;
-                        }
-                        return false;
-                    });
-                    return unit ? { type: 'unit', id: unit.id, rect: unit.rect } : null;
-                }
-                break;
-
-            case 'unit':
-                if (templateData.rooms) {
-                    const room = templateData.rooms.find(room => {
-                        if (room.gridRect) {
-                            const { x: rx, y: ry, w: rw, h: rh } = room.gridRect;
-                            return x >= rx && x < rx + rw && y >= ry && y < ry + rh;
-                        }
-                        return false;
-                    });
-                    return room ? { type: 'room', id: room.id, rect: room.gridRect } : null;
-                }
-                break;
-        }
-
-        return null;
-    }
-
     showTemplateBoundsViolation(x, y, editType) {
         // Visual feedback: flash red on the attempted edit location
         const pixelX = x * this.cellSize;
@@ -4037,193 +3826,7 @@ class FloorplanEditor {
     }
 
 
-    // Template hierarchy validation methods
-    validateMallTemplate(mallTemplate) {
-        const errors = [];
-
-        // Required fields validation
-        if (!mallTemplate.id || !mallTemplate.id.startsWith('mall-')) {
-            errors.push('Mall template must have an ID starting with "mall-"');
-        }
-
-        if (!mallTemplate.grid) {
-            errors.push('Mall template must have a grid property');
-        } else {
-            if (typeof mallTemplate.grid.width !== 'number' || mallTemplate.grid.width <= 0) {
-                errors.push('Mall template grid must have valid width');
-            }
-            if (typeof mallTemplate.grid.height !== 'number' || mallTemplate.grid.height <= 0) {
-                errors.push('Mall template grid must have valid height');
-            }
-        }
-
-        // Validate mall template structure
-        if (mallTemplate.units && !Array.isArray(mallTemplate.units)) {
-            errors.push('Mall template units must be an array');
-        }
-
-        // Size constraints for mall templates
-        if (mallTemplate.grid) {
-            const maxSize = 100; // Maximum grid size for mall templates
-            if (mallTemplate.grid.width > maxSize || mallTemplate.grid.height > maxSize) {
-                errors.push(`Mall template grid size cannot exceed ${maxSize}x${maxSize}`);
-            }
-        }
-
-        if (errors.length > 0) {
-            throw new Error(`Mall template validation failed:\n${errors.join('\n')}`);
-        }
-
-        console.log(`✅ Mall template validation passed: ${mallTemplate.id}`);
-        return true;
-    }
-
-    validateGalleryTemplate(galleryTemplate) {
-        const errors = [];
-
-        // Required meta fields validation
-        if (!galleryTemplate.meta || galleryTemplate.meta.schema !== "gallery-template.v1") {
-            errors.push('Gallery template must have meta.schema = "gallery-template.v1"');
-        }
-
-        // Required fields validation
-        if (!galleryTemplate.id || !galleryTemplate.id.startsWith('gallery-')) {
-            errors.push('Gallery template must have an ID starting with "gallery-"');
-        }
-
-        if (!galleryTemplate.parentMallId || !galleryTemplate.parentMallId.startsWith('mall-')) {
-            errors.push('Gallery template must have a valid parentMallId starting with "mall-"');
-        }
-
-        if (!galleryTemplate.rect) {
-            errors.push('Gallery template must have a rect property defining boundaries');
-        } else {
-            const { x, y, w, h } = galleryTemplate.rect;
-            if (typeof x !== 'number' || typeof y !== 'number' ||
-                typeof w !== 'number' || typeof h !== 'number') {
-                errors.push('Gallery template rect must have numeric x, y, w, h properties');
-            }
-            if (w <= 0 || h <= 0) {
-                errors.push('Gallery template rect dimensions must be positive');
-            }
-        }
-
-        // Validate rooms structure
-        if (!galleryTemplate.rooms || !Array.isArray(galleryTemplate.rooms)) {
-            errors.push('Gallery template must have a rooms array');
-        } else {
-            galleryTemplate.rooms.forEach((room, index) => {
-                if (!room.id || typeof room.id !== 'string') {
-                    errors.push(`Room ${index} must have a string ID`);
-                }
-                if (!room.gridRect) {
-                    errors.push(`Room ${index} must have a gridRect property`);
-                } else {
-                    const { x, y, w, h } = room.gridRect;
-                    if (typeof x !== 'number' || typeof y !== 'number' ||
-                        typeof w !== 'number' || typeof h !== 'number') {
-                        errors.push(`Room ${index} gridRect must have numeric x, y, w, h properties`);
-                    }
-                    if (w <= 0 || h <= 0) {
-                        errors.push(`Room ${index} gridRect dimensions must be positive`);
-                    }
-                }
-            });
-        }
-
-        // Hierarchy validation - check if parent exists (if we have template context)
-        if (this.templateContext && this.templateContext.originalData &&
-            this.templateContext.originalData.id === galleryTemplate.parentMallId) {
-            console.log(`✅ Gallery template parent relationship verified: ${galleryTemplate.parentMallId}`);
-        }
-
-        if (errors.length > 0) {
-            throw new Error(`Gallery template validation failed:\n${errors.join('\n')}`);
-        }
-
-        console.log(`✅ Gallery template validation passed: ${galleryTemplate.id}`);
-        return true;
-    }
-
-    validateRoomTemplate(roomTemplate) {
-        const errors = [];
-
-        // Required meta fields validation
-        if (!roomTemplate.meta || roomTemplate.meta.schema !== "room-template.v1") {
-            errors.push('Room template must have meta.schema = "room-template.v1"');
-        }
-
-        // Required fields validation
-        if (!roomTemplate.id || !roomTemplate.id.startsWith('room-')) {
-            errors.push('Room template must have an ID starting with "room-"');
-        }
-
-        // Debug logging for parentGalleryId validation
-        console.log('Room validation - parentGalleryId:', roomTemplate.parentGalleryId);
-
-        if (!roomTemplate.parentGalleryId) {
-            errors.push('Room template must have a parentGalleryId field');
-        } else if (!roomTemplate.parentGalleryId.startsWith('gallery-')) {
-            errors.push(`Room template must have a valid parentGalleryId starting with "gallery-", got: "${roomTemplate.parentGalleryId}"`);
-        }
-
-        if (!roomTemplate.rect) {
-            errors.push('Room template must have a rect property defining boundaries');
-        } else {
-            const { x, y, w, h } = roomTemplate.rect;
-            if (typeof x !== 'number' || typeof y !== 'number' ||
-                typeof w !== 'number' || typeof h !== 'number') {
-                errors.push('Room template rect must have numeric x, y, w, h properties');
-            }
-            if (w <= 0 || h <= 0) {
-                errors.push('Room template rect dimensions must be positive');
-            }
-        }
-
-        // Validate features structure
-        if (!roomTemplate.features) {
-            errors.push('Room template must have a features property');
-        } else {
-            // Validate walls if present
-            if (roomTemplate.features.walls && !Array.isArray(roomTemplate.features.walls)) {
-                errors.push('Room template features.walls must be an array if present');
-            }
-
-            // Validate floor zones if present
-            if (roomTemplate.features.floorZones && !Array.isArray(roomTemplate.features.floorZones)) {
-                errors.push('Room template features.floorZones must be an array if present');
-            } else if (roomTemplate.features.floorZones) {
-                roomTemplate.features.floorZones.forEach((zone, index) => {
-                    if (!zone.id || typeof zone.id !== 'string') {
-                        errors.push(`Floor zone ${index} must have a string ID`);
-                    }
-                    if (!zone.bounds) {
-                        errors.push(`Floor zone ${index} must have bounds property`);
-                    } else {
-                        const { x, y, w, h } = zone.bounds;
-                        if (typeof x !== 'number' || typeof y !== 'number' ||
-                            typeof w !== 'number' || typeof h !== 'number') {
-                            errors.push(`Floor zone ${index} bounds must have numeric x, y, w, h properties`);
-                        }
-                    }
-                });
-            }
-        }
-
-        // Hierarchy validation - check if parent exists (if we have template context)
-        if (this.templateContext && this.templateContext.originalData &&
-            this.templateContext.originalData.id === roomTemplate.parentGalleryId) {
-            console.log(`✅ Room template parent relationship verified: ${roomTemplate.parentGalleryId}`);
-        }
-
-        if (errors.length > 0) {
-            throw new Error(`Room template validation failed:\n${errors.join('\n')}`);
-        }
-
-        console.log(`✅ Room template validation passed: ${roomTemplate.id}`);
-        return true;
-    }
-
+    // Template hierarchy validation (schema checks run in TemplateLoader.load)
     validateTemplateHierarchy(childTemplate, parentTemplate) {
         const errors = [];
 
@@ -4290,7 +3893,7 @@ class FloorplanEditor {
             }
 
             const templateData = await response.json();
-            this.loadTemplateData(templateData);
+            await this.loadTemplateFromFile({ name: filename }, templateData);
 
             console.log(`✅ ${type} fixture loaded`);
         } catch (error) {
@@ -4342,7 +3945,7 @@ class FloorplanEditor {
                     parentMallId: this.overlayModel.templateData.dto.id
                 });
 
-                console.assert(exportedUnit.meta.schema === 'unit-template.v1', 'Mall→unit export schema mismatch');
+                console.assert(exportedUnit.meta.schema === schemaId('unit'), 'Mall→unit export schema mismatch');
                 console.assert(exportedUnit.id === this.activeUnit.id, 'Mall→unit export ID mismatch');
                 console.assert(exportedUnit.meta.parent, 'Mall→unit export should have parent reference');
                 console.log('✓ Mall→unit export test passed');
@@ -4366,9 +3969,9 @@ class FloorplanEditor {
                 rooms: [],
                 parentMallId: 'test-mall'
             });
-            console.assert(galleryTemplate.meta.schema === 'unit-template.v1', 'Gallery export schema mismatch');
-            console.assert(galleryTemplate.meta.version === '1.0', 'Gallery export version mismatch');
-            console.assert(galleryTemplate.meta.parent.schema === 'mall-template.v1', 'Gallery parent schema mismatch');
+            console.assert(galleryTemplate.meta.schema === schemaId('unit'), 'Gallery export schema mismatch');
+            console.assert(galleryTemplate.meta.version === `${currentVersion('unit')}.0`, 'Gallery export version mismatch');
+            console.assert(galleryTemplate.meta.parent.schema === schemaId('mall'), 'Gallery parent schema mismatch');
             await this.sleep(500);
 
             // Step 6: Load room fixture
@@ -4384,9 +3987,9 @@ class FloorplanEditor {
                 zones: [],
                 parentUnitId: 'test-gallery'
             });
-            console.assert(roomTemplate.meta.schema === 'room-template.v1', 'Room export schema mismatch');
-            console.assert(roomTemplate.meta.version === '1.0', 'Room export version mismatch');
-            console.assert(roomTemplate.meta.parent.schema === 'unit-template.v1', 'Room parent schema mismatch');
+            console.assert(roomTemplate.meta.schema === schemaId('room'), 'Room export schema mismatch');
+            console.assert(roomTemplate.meta.version === `${currentVersion('room')}.0`, 'Room export version mismatch');
+            console.assert(roomTemplate.meta.parent.schema === schemaId('unit'), 'Room parent schema mismatch');
 
             // Success!
             console.log('✅ Smoke test passed!');
@@ -4462,6 +4065,37 @@ class FloorplanEditor {
     }
 }
 
+// The editor is a view over its FloorplanDocument: model state and editing operations are forwarded to this.doc
+const DOCUMENT_FIELDS = [
+    'gridWidth', 'gridHeight', 'cellSize', 'sceneModel', 'overlayModel', 'parentTemplateModel',
+    'currentTemplateModel', 'templateModel', 'grid', 'horizontalEdges', 'verticalEdges', 'history', 'levels',
+    'activeLevelIndex', 'verticalLinks', 'showTemplate', 'templateType', 'templateContext', 'activeUnit',
+    'limitToActiveUnit', 'baseBounds', 'templateRelationshipManager'
+];
+const DOCUMENT_METHODS = [
+    'createEmptyGrid', 'createEmptyEdgeSet', 'resizeTemplateModels', 'clearScene', 'parseTemplateContent',
+    'parseTemplateContentWithRelationships', 'createLegacyTemplateModel', 'isWithinTemplateBounds',
+    'getTemplateBoundaryType', 'updateBoundsForActiveUnit', 'pushSceneSnapshot', 'getActiveLevel',
+    'resetToSingleLevel', 'applyImportedLevels', 'levelsToWire', 'detectUnitsFromFloorTiles', 'toSceneV1', 'fromSceneV1'
+];
+
+DOCUMENT_FIELDS.forEach(field => {
+    Object.defineProperty(FloorplanEditor.prototype, field, {
+        get() {
+            return this.doc[field];
+        },
+        set(value) {
+            this.doc[field] = value;
+        }
+    });
+});
+
+DOCUMENT_METHODS.forEach(name => {
+    FloorplanEditor.prototype[name] = function (...args) {
+        return this.doc[name](...args);
+    };
+});
+
 // Initialize editor when page loads
 document.addEventListener('DOMContentLoaded', async () => {
     // Initialize rules switchboard first
@@ -14,6 +14,66 @@
     
     const THREE = window.THREE;
 
+    // Wall-run merging and floor rectangles (src/runtime/meshBatching.js)
+    if (typeof window.MeshBatching === 'undefined') {
+        throw new Error('meshBatching.js must be loaded before loadFloorplan');
+    }
+
+    const MeshBatching = window.MeshBatching;
+
+    // Finish palette (mirrors src/editor/core/Materials.js); unfinished content keeps the plain colors
+    const SURFACE_MATERIALS = {
+        tile: { color: 0xd8d2c4, roughness: 0.4, metalness: 0.0 },
+        carpet: { color: 0x5b6c8f, roughness: 1.0, metalness: 0.0 },
+        marble: { color: 0xeeece8, roughness: 0.15, metalness: 0.05 },
+        timber: { color: 0xa8743f, roughness: 0.6, metalness: 0.0 },
+        glass: { color: 0x8ecae6, roughness: 0.05, metalness: 0.1, opacity: 0.35 },
+        drywall: { color: 0xe4dfd5, roughness: 0.9, metalness: 0.0 }
+    };
+    const PLAIN_FLOOR = { color: 0x8B4513, roughness: 0.8, metalness: 0.0 }; // Brown
+    const PLAIN_WALL = { color: 0x808080, roughness: 0.7, metalness: 0.0 }; // Gray
+
+    /**
+     * Create the MeshStandardMaterial for a finish
+     * @param {string|null} id - Finish id from SURFACE_MATERIALS, or null for the plain surface
+     * @param {Object} plain - { color, roughness, metalness } used for null and unknown ids
+     * @returns {THREE.MeshStandardMaterial}
+     */
+    function createSurfaceMaterial(id, plain) {
+        if (id && !SURFACE_MATERIALS[id]) {
+            console.warn(`[SCENE:v1] Unknown material "${id}", using the plain surface`);
+        }
+        const spec = SURFACE_MATERIALS[id] || plain;
+        const material = new THREE.MeshStandardMaterial({
+            color: spec.color,
+            roughness: spec.roughness,
+            metalness: spec.metalness
+        });
+        if (spec.opacity !== undefined) {
+            material.transparent = true;
+            material.opacity = spec.opacity;
+        }
+        material.name = id || 'plain';
+        return material;
+    }
+
+    /**
+     * Group items by their finish (null for plain), plain first
+     * @param {Array} items - Objects with an optional material field
+     * @param {Function} [finishOf] - Item → material id or null
+     * @returns {Map<string|null, Array>}
+     */
+    function groupByMaterial(items, finishOf = item => item.material || null) {
+        const groups = new Map([[null, []]]);
+        items.forEach(item => {
+            const key = finishOf(item);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(item);
+        });
+        if (groups.get(null).length === 0) groups.delete(null);
+        return groups;
+    }
+
     /**
      * Parse scene.3d.v1 format to normalized Layout structure
      * @param {Object} sceneObj - scene.3d.v1 JSON object
@@ -74,12 +134,16 @@
         const cells = [];
         let minX = 0, maxX = 0, minY = 0, maxY = 0;
 
+        // Floor finishes by position (tiles.materials)
+        const finishes = new Map();
+        (sceneObj.tiles?.materials || []).forEach(record => finishes.set(`${record.x},${record.y}`, record.material));
+
         // Process floor tiles
         if (sceneObj.tiles?.floor) {
             sceneObj.tiles.floor.forEach(([x, y]) => {
                 // Tiles are already normalized to (0,0) in the file
                 // originOffset will be applied during rendering
-                cells.push({ x, y, kind: 'floor' });
+                cells.push({ x, y, kind: 'floor', material: finishes.get(`${x},${y}`) || null });
 
                 minX = Math.min(minX, x);
                 maxX = Math.max(maxX, x);
@@ -101,7 +165,8 @@
             x: cell.x - minX,
             y: cell.y - minY,
             kind: cell.kind,
-            dir: cell.dir || null
+            dir: cell.dir || null,
+            material: cell.material || null
         }));
 
         return {
@@ -275,114 +340,124 @@
     }
     
     /**
-     * Build floor meshes from layout, merging contiguous tiles into strips
+     * Build floor meshes from layout, merging contiguous tiles of one finish into rectangles
      * @param {Object} layout - { width, height, cells[], cellMeters?, isScene3dV1? }
-     * @returns {THREE.Group} Group containing floor meshes
+     * @returns {THREE.Group} Group containing one floor mesh per finish
      */
     function buildFloors(layout) {
-        const { width, height, cells, cellMeters = 1, isScene3dV1 = false, originOffset = { x: 0, y: 0 } } = layout;
-
-        // Create lookup map for fast cell access
-        const cellMap = new Map();
-        cells.forEach(cell => {
-            cellMap.set(`${cell.x},${cell.y}`, cell.kind);
-        });
-
-        // Helper to get cell kind at position
-        function getCellKind(x, y) {
-            if (x < 0 || x >= width || y < 0 || y >= height) {
-                return 'empty';
-            }
-            return cellMap.get(`${x},${y}`) || 'empty';
-        }
+        const { cells, cellMeters = 1, isScene3dV1 = false, originOffset = { x: 0, y: 0 } } = layout;
 
         const floorsGroup = new THREE.Group();
         floorsGroup.name = "floors";
 
-        // Track processed tiles to avoid duplicates
-        const processed = new Set();
-
-        // Scene.3d.v1 uses proper metric positioning with cellMeters scaling
-        // Legacy format uses grid-based positioning with no scaling
-
-        console.log(`[FLOOR] Building floors: width=${width}, height=${height}, cellMeters=${cellMeters}, totalCells=${cells.length}`);
-        console.log(`[FLOOR] Floor tiles:`, cells.filter(c => c.kind === 'floor').map(c => `[${c.x},${c.y}]`).join(', '));
-
-        // Process each row to find contiguous floor strips
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const key = `${x},${y}`;
-
-                // Skip if already processed or not a floor tile
-                if (processed.has(key) || getCellKind(x, y) !== 'floor') {
-                    continue;
-                }
+        const floorCells = cells.filter(cell => cell.kind === 'floor');
+        if (floorCells.length === 0) {
+            return floorsGroup;
+        }
 
-                // Find the length of contiguous floor tiles in this row
-                let stripLength = 0;
-                let checkX = x;
-                while (checkX < width && getCellKind(checkX, y) === 'floor') {
-                    processed.add(`${checkX},${y}`);
-                    stripLength++;
-                    checkX++;
-                }
+        groupByMaterial(floorCells).forEach((group, finish) => {
+            const tiles = group.map(cell => [cell.x, cell.y]);
+            const material = createSurfaceMaterial(finish, PLAIN_FLOOR);
+            const name = finish ? `floorTiles:${finish}` : 'floorTiles';
+
+            // Scene.3d.v1 uses proper metric positioning with cellMeters scaling
+            // Legacy format uses grid-based positioning with no scaling
+            let floors;
+            if (isScene3dV1) {
+                // scene.3d.v1: boxes with thickness from the scene spec, bottom at Y=0, originOffset applied
+                const floorThickness = layout.originalScene?.units?.floorThicknessMeters || 0.1;
+                const boxes = MeshBatching.buildFloorBoxes(tiles, { cellMeters, floorThickness, originOffset });
+                floors = buildInstancedBoxes(name, boxes, material);
+            } else {
+                // Legacy: flat planes on the ground
+                const boxes = MeshBatching.mergeFloorRects(tiles).map(rect => ({
+                    center: [rect.x + rect.w / 2, 0, rect.y + rect.h / 2],
+                    size: [rect.w, 1, rect.h]
+                }));
+                floors = buildInstancedBoxes(name, boxes, material, new THREE.PlaneGeometry(1, 1).rotateX(-Math.PI / 2));
+            }
 
-                // Create merged floor geometry for this strip
-                const stripWidth = stripLength * cellMeters;
-                const stripDepth = cellMeters;
+            console.log(`[FLOOR] ${tiles.length} ${finish || 'plain'} tiles → ${floors.count} rects, cellMeters=${cellMeters}, offset=(${originOffset.x},${originOffset.y})`);
+            floorsGroup.add(floors);
+        });
+        return floorsGroup;
+    }
 
-                let geometry, material, floor;
+    /**
+     * Draw a list of boxes as one InstancedMesh (one draw call)
+     * @param {string} name - Mesh name
+     * @param {Array} boxes - Array of { center: [x, y, z], size: [sx, sy, sz] }
+     * @param {THREE.Material} material - Shared material
+     * @param {THREE.BufferGeometry} [geometry] - Unit-sized geometry scaled per instance (default 1×1×1 box)
+     * @returns {THREE.InstancedMesh}
+     */
+    function buildInstancedBoxes(name, boxes, material, geometry = new THREE.BoxGeometry(1, 1, 1)) {
+        const mesh = new THREE.InstancedMesh(geometry, material, boxes.length);
+        mesh.name = name;
+
+        const matrix = new THREE.Matrix4();
+        const position = new THREE.Vector3();
+        const scale = new THREE.Vector3();
+        const rotation = new THREE.Quaternion();
+        boxes.forEach((box, index) => {
+            matrix.compose(position.fromArray(box.center), rotation, scale.fromArray(box.size));
+            mesh.setMatrixAt(index, matrix);
+        });
+        mesh.instanceMatrix.needsUpdate = true;
 
-                if (isScene3dV1) {
-                    // scene.3d.v1: Use 3D box with proper thickness from scene spec
-                    const floorThickness = layout.originalScene?.units?.floorThicknessMeters || 0.1;
-                    geometry = new THREE.BoxGeometry(stripWidth, floorThickness, stripDepth);
+        // Culling uses the unit geometry's bounds, not the instances'
+        mesh.frustumCulled = false;
+        return mesh;
+    }
 
-                    material = new THREE.MeshStandardMaterial({
-                        color: 0x8B4513, // Brown color
-                        roughness: 0.8,
-                        metalness: 0.0
-                    });
+    /**
+     * Count draw calls and triangles for an object tree (an InstancedMesh is one draw call)
+     * @param {THREE.Object3D} object - Root object
+     * @returns {Object} { drawCalls, triangles }
+     */
+    function renderStats(object) {
+        const stats = { drawCalls: 0, triangles: 0 };
+        object.traverse(child => {
+            if (!child.isMesh) return;
+            const geometry = child.geometry;
+            const vertices = geometry.index ? geometry.index.count : geometry.attributes.position.count;
+            stats.drawCalls++;
+            stats.triangles += (vertices / 3) * (child.isInstancedMesh ? child.count : 1);
+        });
+        return stats;
+    }
 
-                    floor = new THREE.Mesh(geometry, material);
+    /**
+     * Extract edges from a scene.3d.v1 object, merging typed edges from edges.openings
+     * @param {Object} sceneObj - scene.3d.v1 JSON object
+     * @returns {Array} Array of { x, y, dir, type?, width?, sillHeight?, headHeight? }
+     */
+    function edgesFromScene3dV1(sceneObj) {
+        const edgesH = sceneObj.edges?.horizontal || [];
+        const edgesV = sceneObj.edges?.vertical || [];
 
-                    // Position: center the box so bottom sits at Y=0 (ground level)
-                    // Apply originOffset to position in world space
-                    const worldX = (x + originOffset.x + stripLength / 2) * cellMeters;
-                    const worldY = floorThickness / 2; // Center of box thickness
-                    const worldZ = (y + originOffset.y + 0.5) * cellMeters;
-                    floor.position.set(worldX, worldY, worldZ);
+        const typed = new Map();
+        (sceneObj.edges?.openings || []).forEach(opening => {
+            typed.set(`${opening.dir}:${opening.x},${opening.y}`, opening);
+        });
 
-                    console.log(`[FLOOR] Row y=${y}, startX=${x}, stripLen=${stripLength}, offset=(${originOffset.x},${originOffset.y}), box=${stripWidth}×${floorThickness}×${stripDepth}m @ (${worldX}, ${worldY}, ${worldZ})`);
-                } else {
-                    // Legacy: flat plane
-                    geometry = new THREE.PlaneGeometry(stripWidth, stripDepth);
-
-                    material = new THREE.MeshStandardMaterial({
-                        color: 0x8B4513,
-                        roughness: 0.8,
-                        metalness: 0.0
-                    });
-
-                    floor = new THREE.Mesh(geometry, material);
-                    floor.position.set(
-                        x + stripLength / 2,
-                        0,
-                        y + 0.5
-                    );
-                    floor.rotation.x = -Math.PI / 2;
-                }
+        const withType = (x, y, dir) => {
+            const opening = typed.get(`${dir}:${x},${y}`);
+            return opening ? { ...opening, x, y, dir } : { x, y, dir };
+        };
 
-                floorsGroup.add(floor);
-            }
-        }
-        
-        return floorsGroup;
+        return [
+            ...edgesH.map(([x, y]) => withType(x, y, 'H')),
+            ...edgesV.map(([x, y]) => withType(x, y, 'V'))
+        ];
     }
-    
+
     /**
      * Build wall meshes from edges array
-     * @param {Array} edges - Array of { x, y, dir } objects
+     * Plain walls are merged into collinear runs with corner joins; doors, windows and openings
+     * (edge.type) produce lintel/sill/jamb pieces. Pieces of one finish (edge.material) share one
+     * instanced draw call.
+     * @param {Array} edges - Array of { x, y, dir, type?, width?, sillHeight?, headHeight?, material? } objects
      * @param {Object} layout - Layout object with cellMeters and isScene3dV1 flags
      * @returns {THREE.Group} Group containing wall meshes
      */
@@ -392,80 +467,158 @@
         const wallsGroup = new THREE.Group();
         wallsGroup.name = "walls";
 
-        // Single material for all walls
-        const material = new THREE.MeshStandardMaterial({
-            color: 0x808080, // Gray color
-            roughness: 0.7,
-            metalness: 0.0
-        });
-
         // Get wall dimensions from scene.3d.v1 or use defaults
-        let wallHeight, wallThickness;
-        if (isScene3dV1 && originalScene?.units) {
-            wallHeight = originalScene.units.wallHeightMeters || 3.0;
-            wallThickness = originalScene.units.wallThicknessMeters || 0.2;
+        // Legacy tile layouts use 1-unit cells and carry no typed edges
+        let dims;
+        if (isScene3dV1) {
+            dims = {
+                cellMeters,
+                wallHeight: originalScene?.units?.wallHeightMeters || 3.0,
+                wallThickness: originalScene?.units?.wallThicknessMeters || 0.2,
+                originOffset: layout.originOffset || { x: 0, y: 0 }
+            };
         } else {
-            wallHeight = 3.0;
-            wallThickness = 0.1;
-        }
-
-        // Process each edge in deterministic order (edges should already be sorted)
-        edges.forEach(edge => {
-            let geometry, position;
-
-            if (edge.dir === 'H') {
-                // Horizontal edge: spans (x,y) → (x+1,y) along X-axis
-                if (isScene3dV1) {
-                    // scene.3d.v1: proper metric scaling
-                    const width = cellMeters;
-                    const depth = wallThickness;
-                    const height = wallHeight;
-                    geometry = new THREE.BoxGeometry(width, height, depth);
-
-                    // Position: center at (x+0.5)*cellMeters, height/2, y*cellMeters
-                    // Apply originOffset from layout
-                    const offset = layout.originOffset || { x: 0, y: 0 };
-                    const worldX = (edge.x + offset.x + 0.5) * cellMeters;
-                    const worldY = height / 2;
-                    const worldZ = (edge.y + offset.y) * cellMeters;
-                    position = new THREE.Vector3(worldX, worldY, worldZ);
-                } else {
-                    // Legacy: original logic
-                    geometry = new THREE.BoxGeometry(1, 3, 0.1);
-                    position = new THREE.Vector3(edge.x + 0.5, 1.5, edge.y);
-                }
+            dims = { cellMeters: 1, wallHeight: 3.0, wallThickness: 0.1 };
+        }
+
+        const boxes = MeshBatching.buildWallBoxes(edges, dims);
+        console.log(`[WALLS] ${edges.length} edges → ${boxes.length} boxes`);
+        if (boxes.length === 0) {
+            return wallsGroup;
+        }
+
+        // One material (and draw call) per finish
+        groupByMaterial(boxes).forEach((group, finish) => {
+            const name = finish ? `wallPieces:${finish}` : 'wallPieces';
+            wallsGroup.add(buildInstancedBoxes(name, group, createSurfaceMaterial(finish, PLAIN_WALL)));
+        });
+        return wallsGroup;
+    }
+
+    // Vertical link colors (mirrors the editor legend)
+    const VERTICAL_LINK_COLORS = {
+        stair: 0x6a1b9a,
+        escalator: 0xef6c00,
+        elevator: 0x00838f
+    };
+
+    /**
+     * Build floors and walls for a scene.3d.v1 layout
+     * Multi-level scenes (sceneObj.levels) get one group per level lifted to its elevation,
+     * plus stair/escalator/elevator meshes between them.
+     * @param {Object} layout - Layout from parseScene3dV1
+     * @returns {Array<THREE.Object3D>} Groups to add to the scene
+     */
+    function buildScene3dGroups(layout) {
+        const sceneObj = layout.originalScene;
+        if (!Array.isArray(sceneObj.levels) || sceneObj.levels.length === 0) {
+            return [buildFloors(layout), buildWalls(edgesFromScene3dV1(sceneObj), layout)];
+        }
+
+        const levelsGroup = new THREE.Group();
+        levelsGroup.name = 'levels';
+        const elevations = {};
+
+        sceneObj.levels.forEach(level => {
+            // Each level reuses the single-level path; parity only covers the top-level (ground) mirror
+            const levelScene = {
+                ...sceneObj,
+                meta: { ...sceneObj.meta, parity: undefined },
+                tiles: level.tiles,
+                edges: level.edges,
+                levels: undefined
+            };
+            const levelLayout = parseScene3dV1(levelScene);
+
+            const levelGroup = new THREE.Group();
+            levelGroup.name = `level:${level.id}`;
+            levelGroup.userData.levelId = level.id;
+            levelGroup.position.y = level.elevation || 0;
+            levelGroup.add(buildFloors(levelLayout), buildWalls(edgesFromScene3dV1(levelScene), levelLayout));
+            levelsGroup.add(levelGroup);
+
+            elevations[level.id] = level.elevation || 0;
+            console.log(`[SCENE:v1] Level ${level.id} @ ${levelGroup.position.y}m: tiles=${level.tiles?.floor?.length || 0}`);
+        });
+
+        return [levelsGroup, buildVerticalLinks(sceneObj.verticalLinks || [], elevations, layout)];
+    }
+
+    /**
+     * Build stair/escalator ramps and elevator shafts between levels
+     * Stairs and escalators rise along the longer side of their footprint.
+     * @param {Array} links - [{ id, type, rect, fromLevel, toLevel }]
+     * @param {Object} elevations - Level id → elevation in meters
+     * @param {Object} layout - Layout with cellMeters, originOffset and originalScene units
+     * @returns {THREE.Group} Group containing link meshes
+     */
+    function buildVerticalLinks(links, elevations, layout) {
+        const { cellMeters = 1, originOffset = { x: 0, y: 0 } } = layout;
+        const wallHeight = layout.originalScene?.units?.wallHeightMeters || 3.0;
+
+        const linksGroup = new THREE.Group();
+        linksGroup.name = 'verticalLinks';
+
+        links.forEach(link => {
+            if (!(link.fromLevel in elevations) || !(link.toLevel in elevations)) {
+                console.warn(`[SCENE:v1] Vertical link ${link.id} references an unknown level`);
+                return;
+            }
+
+            const bottom = Math.min(elevations[link.fromLevel], elevations[link.toLevel]);
+            const top = Math.max(elevations[link.fromLevel], elevations[link.toLevel]);
+            const rise = top - bottom;
+            const width = link.rect.w * cellMeters;
+            const depth = link.rect.h * cellMeters;
+            const centerX = (link.rect.x + originOffset.x) * cellMeters + width / 2;
+            const centerZ = (link.rect.y + originOffset.y) * cellMeters + depth / 2;
+
+            const material = new THREE.MeshStandardMaterial({
+                color: VERTICAL_LINK_COLORS[link.type] || 0x999999,
+                roughness: 0.6,
+                metalness: link.type === 'stair' ? 0.0 : 0.3,
+                transparent: link.type === 'elevator',
+                opacity: link.type === 'elevator' ? 0.5 : 1.0
+            });
+
+            let mesh;
+            if (link.type === 'elevator') {
+                // Shaft from the lower floor to the top of the upper level's walls
+                const shaftHeight = rise + wallHeight;
+                mesh = new THREE.Mesh(new THREE.BoxGeometry(width, shaftHeight, depth), material);
+                mesh.position.set(centerX, bottom + shaftHeight / 2, centerZ);
             } else {
-                // Vertical edge: spans (x,y) → (x,y+1) along Z-axis
-                if (isScene3dV1) {
-                    // scene.3d.v1: proper metric scaling
-                    const width = wallThickness;
-                    const depth = cellMeters;
-                    const height = wallHeight;
-                    geometry = new THREE.BoxGeometry(width, height, depth);
-
-                    // Position: center at x*cellMeters, height/2, (y+0.5)*cellMeters
-                    // Apply originOffset from layout
-                    const offset = layout.originOffset || { x: 0, y: 0 };
-                    const worldX = (edge.x + offset.x) * cellMeters;
-                    const worldY = height / 2;
-                    const worldZ = (edge.y + offset.y + 0.5) * cellMeters;
-                    position = new THREE.Vector3(worldX, worldY, worldZ);
+                // Sloped ramp from the lower landing to the upper one
+                const alongX = width >= depth;
+                const run = alongX ? width : depth;
+                const span = alongX ? depth : width;
+                const length = Math.hypot(run, rise);
+                const angle = Math.atan2(rise, run);
+                const thickness = 0.2;
+
+                const geometry = alongX
+                    ? new THREE.BoxGeometry(length, thickness, span)
+                    : new THREE.BoxGeometry(span, thickness, length);
+                mesh = new THREE.Mesh(geometry, material);
+                mesh.position.set(centerX, bottom + rise / 2, centerZ);
+                if (alongX) {
+                    mesh.rotation.z = angle;
                 } else {
-                    // Legacy: original logic
-                    geometry = new THREE.BoxGeometry(0.1, 3, 1);
-                    position = new THREE.Vector3(edge.x, 1.5, edge.y + 0.5);
+                    mesh.rotation.x = -angle;
                 }
             }
 
-            const wall = new THREE.Mesh(geometry, material);
-            wall.position.copy(position);
-
-            wallsGroup.add(wall);
+            mesh.name = link.id;
+            mesh.userData.linkType = link.type;
+            mesh.userData.fromLevel = link.fromLevel;
+            mesh.userData.toLevel = link.toLevel;
+            linksGroup.add(mesh);
         });
-        
-        return wallsGroup;
+
+        console.log(`[SCENE:v1] Vertical links: ${linksGroup.children.length}`);
+        return linksGroup;
     }
-    
+
     /**
      * Load and render a floorplan from JSON file
      * @param {string} path - Path to floorplan JSON file
@@ -482,24 +635,16 @@
         
         const layout = parseLayout(json);
 
-        // Extract edges based on format
-        let edges;
+        // Build meshes based on format
+        let groups;
         if (layout.isScene3dV1) {
-            // scene.3d.v1: edges are in the originalScene.edges structure
+            // scene.3d.v1: edges are in the originalScene.edges structure (per level when levels[] is present)
             // Edges are already normalized in the file, originOffset applied during rendering
-            const edgesH = layout.originalScene.edges?.horizontal || [];
-            const edgesV = layout.originalScene.edges?.vertical || [];
-
-            edges = [
-                ...edgesH.map(([x, y]) => ({ x, y, dir: 'H' })),
-                ...edgesV.map(([x, y]) => ({ x, y, dir: 'V' }))
-            ];
+            groups = buildScene3dGroups(layout);
         } else {
-            edges = tilesToEdges(layout);
+            groups = [buildFloors(layout), buildWalls(tilesToEdges(layout), layout)];
         }
 
-        const floorsGroup = buildFloors(layout);
-        const wallsGroup = buildWalls(edges, layout);
         const group = new THREE.Group();
         group.name = 'floorplan';
         
@@ -508,9 +653,17 @@
             group.units = json.units;
         }
         
-        group.add(floorsGroup, wallsGroup);
+        group.add(...groups);
+        logRenderStats(group);
         return group;
     }
+
+    // Record and log draw-call/triangle counts for a built floorplan
+    function logRenderStats(group) {
+        group.userData.renderStats = renderStats(group);
+        const { drawCalls, triangles } = group.userData.renderStats;
+        console.log(`[RENDER] ${group.name}: drawCalls=${drawCalls}, triangles=${triangles}`);
+    }
     
     /**
      * Build ghost grid helper for scene visualization
@@ -576,23 +729,15 @@
         // Parse the scene using existing logic
         const layout = parseScene3dV1(sceneObj);
 
-        // Extract edges directly from originalScene structure
         // Edges are already normalized in the file, originOffset applied during rendering
-        const edgesH = layout.originalScene.edges?.horizontal || [];
-        const edgesV = layout.originalScene.edges?.vertical || [];
-
-        const edges = [
-            ...edgesH.map(([x, y]) => ({ x, y, dir: 'H' })),
-            ...edgesV.map(([x, y]) => ({ x, y, dir: 'V' }))
-        ];
-
-        const floorsGroup = buildFloors(layout);
-        const wallsGroup = buildWalls(edges, layout);
+        // Multi-level scenes stack one group per level
+        const groups = buildScene3dGroups(layout);
 
         // Create main scene group
         const sceneGroup = new THREE.Group();
         sceneGroup.name = 'sceneV1';
-        sceneGroup.add(floorsGroup, wallsGroup);
+        sceneGroup.add(...groups);
+        logRenderStats(sceneGroup);
 
         // Create ghost grid based on scene limits or defaults
         let gridWidth = 60, gridHeight = 40;
@@ -632,10 +777,166 @@
         return sceneGroup;
     }
 
+    /**
+     * Release GPU resources held by a group's meshes
+     * @param {THREE.Object3D} object - Root object to dispose
+     */
+    function disposeObject(object) {
+        object.traverse(child => {
+            if (child.geometry) child.geometry.dispose();
+            if (child.material) child.material.dispose();
+        });
+    }
+
+    /**
+     * Create a streamer that keeps the chunks of a chunked export loaded around a point
+     * A chunk loads when the point is within loadRadius of its footprint and unloads beyond
+     * unloadRadius; the gap between the two avoids thrashing at chunk borders.
+     * @param {Object} manifest - scene.3d.manifest.v1 JSON object
+     * @param {string|URL} baseUrl - URL chunk file names are resolved against
+     * @param {Object} [options] - { loadRadius, unloadRadius } in meters
+     * @returns {Object} { group, update(position), dispose(), loadedKeys() }
+     */
+    function createChunkStreamer(manifest, baseUrl, options = {}) {
+        const cellMeters = manifest.units?.cellMeters || 1;
+        const chunkWidth = manifest.chunkSize.x * cellMeters;
+        const chunkDepth = manifest.chunkSize.y * cellMeters;
+        const loadRadius = options.loadRadius ?? Math.max(chunkWidth, chunkDepth);
+        const unloadRadius = Math.max(options.unloadRadius ?? loadRadius * 1.5, loadRadius);
+
+        const group = new THREE.Group();
+        group.name = 'sceneChunks';
+
+        const loaded = new Map();
+        const pending = new Set();
+        const failed = new Set();
+        let disposed = false;
+
+        // Distance in the ground plane from a point to a chunk's footprint (0 when inside)
+        function distanceTo(entry, position) {
+            const minX = entry.originOffset.x * cellMeters;
+            const minZ = entry.originOffset.y * cellMeters;
+            const dx = Math.max(minX - position.x, 0, position.x - (minX + chunkWidth));
+            const dz = Math.max(minZ - position.z, 0, position.z - (minZ + chunkDepth));
+            return Math.hypot(dx, dz);
+        }
+
+        async function loadChunk(entry) {
+            const res = await fetch(new URL(entry.file, baseUrl));
+            if (!res.ok) {
+                throw new Error(`HTTP ${res.status}`);
+            }
+            const sceneObj = await res.json();
+            if (sceneObj.meta?.digest !== entry.digest) {
+                throw new Error(`digest mismatch (manifest ${entry.digest}, chunk ${sceneObj.meta?.digest})`);
+            }
+
+            const chunkGroup = new THREE.Group();
+            chunkGroup.name = `chunk:${entry.key}`;
+            chunkGroup.add(...buildScene3dGroups(parseScene3dV1(sceneObj)));
+            return chunkGroup;
+        }
+
+        function unloadChunk(key) {
+            const chunkGroup = loaded.get(key);
+            group.remove(chunkGroup);
+            disposeObject(chunkGroup);
+            loaded.delete(key);
+            console.log(`[CHUNKS] Unloaded ${key}`);
+        }
+
+        /**
+         * Load chunks near the position and unload distant ones
+         * Cheap enough to call every frame; resolves when newly requested chunks are in.
+         * @param {THREE.Vector3|Object} position - World position ({ x, z } are used)
+         * @returns {Promise<void>}
+         */
+        async function update(position) {
+            if (disposed) return;
+
+            const requests = [];
+            manifest.chunks.forEach(entry => {
+                const distance = distanceTo(entry, position);
+
+                if (distance <= loadRadius && !loaded.has(entry.key) && !pending.has(entry.key) && !failed.has(entry.key)) {
+                    pending.add(entry.key);
+                    requests.push(loadChunk(entry).then(chunkGroup => {
+                        pending.delete(entry.key);
+                        if (disposed) {
+                            disposeObject(chunkGroup);
+                            return;
+                        }
+                        loaded.set(entry.key, chunkGroup);
+                        group.add(chunkGroup);
+                        console.log(`[CHUNKS] Loaded ${entry.key} (${loaded.size}/${manifest.chunks.length} resident)`);
+                    }).catch(error => {
+                        // Do not retry every frame; a reload of the manifest starts fresh
+                        pending.delete(entry.key);
+                        failed.add(entry.key);
+                        console.error(`[CHUNKS] Failed to load ${entry.key}:`, error.message);
+                    }));
+                } else if (distance > unloadRadius && loaded.has(entry.key)) {
+                    unloadChunk(entry.key);
+                }
+            });
+
+            await Promise.all(requests);
+        }
+
+        function dispose() {
+            disposed = true;
+            [...loaded.keys()].forEach(unloadChunk);
+        }
+
+        return {
+            group,
+            update,
+            dispose,
+            loadedKeys: () => [...loaded.keys()]
+        };
+    }
+
+    /**
+     * Load a chunked scene export and stream its chunks around the camera
+     * Call streamer.update(camera.position) from the render loop to keep chunks in range.
+     * @param {string} manifestUrl - URL of a scene.3d.manifest.v1 file
+     * @param {THREE.Scene} targetScene - Three.js scene to add to
+     * @param {THREE.Camera} camera - Camera whose position drives streaming
+     * @param {Object} [options] - { loadRadius, unloadRadius } in meters
+     * @returns {Promise<Object>} Chunk streamer (see createChunkStreamer)
+     */
+    async function loadChunkedScene(manifestUrl, targetScene, camera, options = {}) {
+        const res = await fetch(manifestUrl);
+        if (!res.ok) {
+            throw new Error(`Failed to load manifest: HTTP ${res.status}`);
+        }
+        const manifest = await res.json();
+        if (manifest.meta?.schema !== 'scene.3d.manifest.v1') {
+            throw new Error(`Invalid manifest schema: ${manifest.meta?.schema}`);
+        }
+        console.log(`[CHUNKS] Manifest ${manifest.meta.name}: ${manifest.chunks.length} chunk(s) of ${manifest.chunkSize.x}×${manifest.chunkSize.y}, digest=${manifest.meta.digest}`);
+
+        // Replace any previously imported scene
+        ['sceneV1', 'sceneChunks'].forEach(name => {
+            const existing = targetScene.getObjectByName(name);
+            if (existing) {
+                targetScene.remove(existing);
+                disposeObject(existing);
+            }
+        });
+
+        const streamer = createChunkStreamer(manifest, new URL(manifestUrl, window.location.href), options);
+        targetScene.add(streamer.group);
+        await streamer.update(camera.position);
+        return streamer;
+    }
+
     // Expose to global scope
     window.loadFloorplan = loadFloorplan;
     window.buildGhostGrid = buildGhostGrid;
     window.importScene3DFromObject = importScene3DFromObject;
+    window.loadChunkedScene = loadChunkedScene;
+    window.getRenderStats = renderStats;
 
     console.log('✅ loadFloorplan browser shim loaded with scene.3d.v1 support');
     
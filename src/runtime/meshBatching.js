@@ -0,0 +1,276 @@
+/**
+ * Mesh batching for the runtime loader (UMD: window.MeshBatching in the browser, module.exports in Node)
+ * Pure functions over tile and edge lists; no THREE dependency so the merging is testable headlessly.
+ *
+ * - Plain wall edges are merged greedily into collinear runs of one finish (edge.material). Run ends are joined at corners:
+ *   horizontal runs extend by half the wall thickness onto a vertex another wall touches, and
+ *   vertical runs stop short by the same amount where a horizontal wall covers the vertex.
+ * - Doors, windows and openings keep their per-edge jamb/sill/lintel pieces and break runs.
+ * - Floor tiles are merged greedily into rectangles.
+ * The loader draws every box list as one InstancedMesh per material.
+ */
+
+(function(root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else {
+        root.MeshBatching = api;
+    }
+})(typeof self !== 'undefined' ? self : this, function() {
+    'use strict';
+
+    // Typed edge defaults in meters (mirrors src/editor/core/EdgeTypes.js)
+    const EDGE_TYPE_DEFAULTS = {
+        door: { sillHeight: 0, headHeight: 2.1 },
+        opening: { sillHeight: 0 },
+        window: { sillHeight: 0.9, headHeight: 2.1 }
+    };
+
+    const TRIANGLES_PER_BOX = 12;
+
+    function isPlainWall(edge) {
+        return (edge.type || 'wall') === 'wall';
+    }
+
+    /**
+     * Split one edge into solid wall pieces, leaving the door/window/opening void
+     * Pieces are in edge-local coordinates: along [from,to] the edge, height [bottom,top].
+     * @param {Object} edge - { type?, width?, sillHeight?, headHeight? }
+     * @param {number} length - Edge length in meters (cellMeters)
+     * @param {number} wallHeight - Full wall height in meters
+     * @returns {Array} Array of { from, to, bottom, top }
+     */
+    function wallPiecesForEdge(edge, length, wallHeight) {
+        const type = edge.type || 'wall';
+        const defaults = EDGE_TYPE_DEFAULTS[type];
+        if (!defaults) {
+            return [{ from: 0, to: length, bottom: 0, top: wallHeight }];
+        }
+
+        const width = Math.min(edge.width ?? length, length);
+        const margin = (length - width) / 2;
+        const sill = Math.min(edge.sillHeight ?? defaults.sillHeight ?? 0, wallHeight);
+        const head = Math.min(edge.headHeight ?? defaults.headHeight ?? wallHeight, wallHeight);
+
+        const pieces = [];
+        if (margin > 0) {
+            // Jambs either side of a narrower opening
+            pieces.push({ from: 0, to: margin, bottom: 0, top: wallHeight });
+            pieces.push({ from: length - margin, to: length, bottom: 0, top: wallHeight });
+        }
+        if (sill > 0) {
+            pieces.push({ from: margin, to: length - margin, bottom: 0, top: sill });
+        }
+        if (head < wallHeight) {
+            pieces.push({ from: margin, to: length - margin, bottom: head, top: wallHeight });
+        }
+        return pieces;
+    }
+
+    /**
+     * Merge plain wall edges into maximal collinear runs; a change of finish starts a new run
+     * @param {Array} edges - Array of { x, y, dir: 'H'|'V', type?, material? }
+     * @returns {Object} { runs: [{ dir, x, y, length, material? }], typed: [edges that are not plain walls] }
+     *   H runs span (x,y)→(x+length,y); V runs span (x,y)→(x,y+length). Sorted like edges (H by y,x; V by x,y).
+     */
+    function mergeWallRuns(edges) {
+        const lines = { H: new Map(), V: new Map() };
+        const typed = [];
+        const seen = new Set();
+
+        edges.forEach(edge => {
+            const key = `${edge.dir}:${edge.x},${edge.y}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+
+            if (!isPlainWall(edge)) {
+                typed.push(edge);
+                return;
+            }
+            // H edges share a line per y, V edges per x
+            const line = edge.dir === 'H' ? edge.y : edge.x;
+            const along = edge.dir === 'H' ? edge.x : edge.y;
+            const map = lines[edge.dir];
+            if (!map.has(line)) map.set(line, []);
+            map.get(line).push({ along, material: edge.material || null });
+        });
+
+        const runs = [];
+        ['H', 'V'].forEach(dir => {
+            [...lines[dir].keys()].sort((a, b) => a - b).forEach(line => {
+                const positions = lines[dir].get(line).sort((a, b) => a.along - b.along);
+                let start = 0;
+                for (let i = 1; i <= positions.length; i++) {
+                    if (i < positions.length && positions[i].along === positions[i - 1].along + 1 &&
+                        positions[i].material === positions[start].material) continue;
+                    const length = i - start;
+                    const run = dir === 'H'
+                        ? { dir, x: positions[start].along, y: line, length }
+                        : { dir, x: line, y: positions[start].along, length };
+                    if (positions[start].material) run.material = positions[start].material;
+                    runs.push(run);
+                    start = i;
+                }
+            });
+        });
+
+        return { runs, typed };
+    }
+
+    /**
+     * Build world-space wall boxes from edges: merged runs with corner joins plus typed-edge pieces
+     * @param {Array} edges - Array of { x, y, dir, type?, width?, sillHeight?, headHeight?, material? }
+     * @param {Object} dims - { cellMeters, wallHeight, wallThickness, originOffset? }
+     * @returns {Array} Array of { center: [x, y, z], size: [sx, sy, sz], edgeType, material? } (Y up)
+     */
+    function buildWallBoxes(edges, dims) {
+        const { cellMeters, wallHeight, wallThickness } = dims;
+        const offset = dims.originOffset || { x: 0, y: 0 };
+        const half = wallThickness / 2;
+        const { runs, typed } = mergeWallRuns(edges);
+
+        // Vertices touched by any vertical edge, and by plain horizontal walls
+        const verticalVertices = new Set();
+        const horizontalWallVertices = new Set();
+        edges.forEach(edge => {
+            if (edge.dir === 'V') {
+                verticalVertices.add(`${edge.x},${edge.y}`);
+                verticalVertices.add(`${edge.x},${edge.y + 1}`);
+            } else if (isPlainWall(edge)) {
+                horizontalWallVertices.add(`${edge.x},${edge.y}`);
+                horizontalWallVertices.add(`${edge.x + 1},${edge.y}`);
+            }
+        });
+
+        const boxes = [];
+        const finish = (box, material) => {
+            if (material) box.material = material;
+            boxes.push(box);
+        };
+        runs.forEach(run => {
+            if (run.dir === 'H') {
+                const start = (run.x + offset.x) * cellMeters - (verticalVertices.has(`${run.x},${run.y}`) ? half : 0);
+                const end = (run.x + run.length + offset.x) * cellMeters + (verticalVertices.has(`${run.x + run.length},${run.y}`) ? half : 0);
+                finish({
+                    center: [(start + end) / 2, wallHeight / 2, (run.y + offset.y) * cellMeters],
+                    size: [end - start, wallHeight, wallThickness],
+                    edgeType: 'wall'
+                }, run.material);
+            } else {
+                const start = (run.y + offset.y) * cellMeters + (horizontalWallVertices.has(`${run.x},${run.y}`) ? half : 0);
+                const end = (run.y + run.length + offset.y) * cellMeters - (horizontalWallVertices.has(`${run.x},${run.y + run.length}`) ? half : 0);
+                if (end <= start) return;
+                finish({
+                    center: [(run.x + offset.x) * cellMeters, wallHeight / 2, (start + end) / 2],
+                    size: [wallThickness, wallHeight, end - start],
+                    edgeType: 'wall'
+                }, run.material);
+            }
+        });
+
+        typed.forEach(edge => {
+            wallPiecesForEdge(edge, cellMeters, wallHeight).forEach(piece => {
+                const along = piece.to - piece.from;
+                const height = piece.top - piece.bottom;
+                if (along <= 0 || height <= 0) return;
+
+                const centerY = piece.bottom + height / 2;
+                if (edge.dir === 'H') {
+                    finish({
+                        center: [(edge.x + offset.x) * cellMeters + piece.from + along / 2, centerY, (edge.y + offset.y) * cellMeters],
+                        size: [along, height, wallThickness],
+                        edgeType: edge.type
+                    }, edge.material);
+                } else {
+                    finish({
+                        center: [(edge.x + offset.x) * cellMeters, centerY, (edge.y + offset.y) * cellMeters + piece.from + along / 2],
+                        size: [wallThickness, height, along],
+                        edgeType: edge.type
+                    }, edge.material);
+                }
+            });
+        });
+
+        return boxes;
+    }
+
+    /**
+     * Merge floor tiles greedily into rectangles (widest row run first, then grown downwards)
+     * @param {Array} tiles - Array of [x, y]
+     * @returns {Array} Array of { x, y, w, h }, ordered by (y, x) of the top-left tile
+     */
+    function mergeFloorRects(tiles) {
+        const remaining = new Set(tiles.map(([x, y]) => `${x},${y}`));
+        const sorted = [...remaining].map(key => key.split(',').map(Number)).sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+        const rects = [];
+
+        sorted.forEach(([x, y]) => {
+            if (!remaining.has(`${x},${y}`)) return;
+
+            let w = 1;
+            while (remaining.has(`${x + w},${y}`)) w++;
+
+            let h = 1;
+            const rowFree = (row) => {
+                for (let i = 0; i < w; i++) {
+                    if (!remaining.has(`${x + i},${row}`)) return false;
+                }
+                return true;
+            };
+            while (rowFree(y + h)) h++;
+
+            for (let row = y; row < y + h; row++) {
+                for (let i = 0; i < w; i++) remaining.delete(`${x + i},${row}`);
+            }
+            rects.push({ x, y, w, h });
+        });
+
+        return rects;
+    }
+
+    /**
+     * Build world-space floor boxes (bottom at Y=0) from tiles
+     * @param {Array} tiles - Array of [x, y]
+     * @param {Object} dims - { cellMeters, floorThickness, originOffset? }
+     * @returns {Array} Array of { center: [x, y, z], size: [sx, sy, sz] }
+     */
+    function buildFloorBoxes(tiles, dims) {
+        const { cellMeters, floorThickness } = dims;
+        const offset = dims.originOffset || { x: 0, y: 0 };
+        return mergeFloorRects(tiles).map(rect => ({
+            center: [
+                (rect.x + offset.x + rect.w / 2) * cellMeters,
+                floorThickness / 2,
+                (rect.y + offset.y + rect.h / 2) * cellMeters
+            ],
+            size: [rect.w * cellMeters, floorThickness, rect.h * cellMeters]
+        }));
+    }
+
+    /**
+     * Draw-call and triangle counts for box lists drawn as one instanced mesh each
+     * @param {Object} batches - Name → box list
+     * @returns {Object} { drawCalls, triangles, instances }
+     */
+    function batchStats(batches) {
+        const lists = Object.values(batches).filter(boxes => boxes.length > 0);
+        const instances = lists.reduce((sum, boxes) => sum + boxes.length, 0);
+        return {
+            drawCalls: lists.length,
+            triangles: instances * TRIANGLES_PER_BOX,
+            instances
+        };
+    }
+
+    return {
+        EDGE_TYPE_DEFAULTS,
+        TRIANGLES_PER_BOX,
+        wallPiecesForEdge,
+        mergeWallRuns,
+        buildWallBoxes,
+        mergeFloorRects,
+        buildFloorBoxes,
+        batchStats
+    };
+});
@@ -0,0 +1,201 @@
+/**
+ * Area Schedule Tests - Validates the area schedule and quantity takeoff report
+ *
+ * Tests:
+ * 1. GFA, NLA, perimeter/partition wall lengths and door counts per level, unit and room
+ * 2. Rooms from unit template children, detected units and multi-level malls
+ * 3. CSV and Markdown output is deterministic and written in the scale's units
+ * 4. scripts/area-schedule.js writes both reports headlessly
+ */
+
+import assert from 'assert';
+import { readFileSync, writeFileSync, mkdtempSync, rmSync } from 'fs';
+import { spawnSync } from 'child_process';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { scheduleToCsv, scheduleToMarkdown } from '../src/editor/core/AreaSchedule.js';
+import { toScene3D } from '../src/editor/core/ExportBuilder3D.js';
+import { FloorplanDocument } from '../src/editor/core/FloorplanDocument.js';
+
+let totalAssertions = 0;
+let passedAssertions = 0;
+
+async function runAssertion(description, assertion) {
+    totalAssertions++;
+    try {
+        await quietly(assertion);
+        passedAssertions++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        console.error(`✗ ${description}: ${error.message}`);
+    }
+}
+
+// Silence the document's diagnostic logging
+const { log, info, warn } = console;
+async function quietly(fn) {
+    console.log = console.info = console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, { log, info, warn });
+    }
+}
+
+const UNITS = [
+    { id: 'unit-a', rect: { x: 0, y: 0, w: 4, h: 3 } },
+    { id: 'unit-b', rect: { x: 4, y: 0, w: 2, h: 3 } }
+];
+
+// A 6x3 block walled all round at half a meter per cell: unit-a (4x3) and unit-b (2x3) share a demising
+// wall with a door; a partition with a door splits unit-a into a 4x2 front and a 4x1 back room
+function createMall() {
+    const doc = new FloorplanDocument({ width: 10, height: 6 });
+    doc.setScale({ cellMeters: 0.5 });
+    doc.fillFloorRect(0, 0, 5, 2);
+    doc.placeWallSegment({ x: 0, y: 0 }, { x: 5, y: 0 });
+    doc.placeWallSegment({ x: 0, y: 3 }, { x: 5, y: 3 });
+    doc.placeWallSegment({ x: 0, y: 0 }, { x: 0, y: 2 });
+    doc.placeWallSegment({ x: 6, y: 0 }, { x: 6, y: 2 });
+    doc.placeWallSegment({ x: 4, y: 0 }, { x: 4, y: 2 });
+    doc.paintEdge('vertical', 4, 1, 'door');
+    doc.placeWallSegment({ x: 0, y: 2 }, { x: 3, y: 2 });
+    doc.paintEdge('horizontal', 1, 2, 'door');
+    return doc;
+}
+
+const pick = ({ tiles, area, perimeterWall, partitionWall, doors }) => ({ tiles, area, perimeterWall, partitionWall, doors });
+
+console.log('🧪 Running Area Schedule Tests...\n');
+
+// Test 1: quantities
+await runAssertion('the mall reports gross floor area, wall lengths and doors', () => {
+    const report = createMall().areaSchedule({ name: 'mall-001', units: UNITS });
+    assert.strictEqual(report.name, 'mall-001');
+    assert.deepStrictEqual(report.scale, { cellMeters: 0.5, units: 'metric' });
+    assert.deepStrictEqual(report.totals, { tiles: 18, grossArea: 4.5, netArea: 4.5, perimeterWall: 9, partitionWall: 2.5, doors: 2 });
+    assert.deepStrictEqual(pick(report.levels[0]), { tiles: 18, area: 4.5, perimeterWall: 9, partitionWall: 2.5, doors: 2 });
+});
+
+await runAssertion('GFA matches the tile parity counter of the 3D export', () => {
+    const doc = createMall();
+    const { parity } = toScene3D(doc.sceneModel, 20, 'mall').meta;
+    assert.strictEqual(doc.areaSchedule({ units: UNITS }).totals.tiles, parity.floorArea);
+});
+
+await runAssertion('each unit counts its demising walls as perimeter and its doors once', () => {
+    const [a, b] = createMall().areaSchedule({ units: UNITS }).units;
+    assert.deepStrictEqual(pick(a), { tiles: 12, area: 3, perimeterWall: 6.5, partitionWall: 1.5, doors: 2 });
+    assert.deepStrictEqual(pick(b), { tiles: 6, area: 1.5, perimeterWall: 4.5, partitionWall: 0, doors: 1 });
+});
+
+// Test 2: rooms, detected units and levels
+await runAssertion('rooms without a unit template are the parts closed off by edges', () => {
+    const [a, b] = createMall().areaSchedule({ units: UNITS }).units;
+    assert.deepStrictEqual(a.rooms.map(room => ({ id: room.id, ...pick(room) })), [
+        { id: 'room-1', tiles: 8, area: 2, perimeterWall: 5, partitionWall: 0, doors: 2 },
+        { id: 'room-2', tiles: 4, area: 1, perimeterWall: 4.5, partitionWall: 0, doors: 1 }
+    ]);
+    assert.deepStrictEqual(b.rooms.map(room => room.tiles), [6]);
+});
+
+await runAssertion('listed rooms keep their ids', () => {
+    const rooms = { 'unit-a': [{ id: 'front', rect: { x: 0, y: 0, w: 4, h: 2 } }, { id: 'back', rect: { x: 0, y: 2, w: 4, h: 1 } }] };
+    const [a] = createMall().areaSchedule({ units: UNITS, rooms }).units;
+    assert.deepStrictEqual(a.rooms.map(room => [room.id, room.tiles]), [['front', 8], ['back', 4]]);
+});
+
+await runAssertion('without units the document detects them from the floor', () => {
+    const report = createMall().areaSchedule();
+    assert.deepStrictEqual(report.units.map(unit => [unit.id, unit.tiles]), [['unit-001', 18]]);
+    assert.strictEqual(report.name, 'mall');
+});
+
+await runAssertion('multi-level malls get a row per level a unit has floor on', () => {
+    const doc = createMall();
+    const upper = doc.addLevel();
+    doc.fillFloorRect(4, 0, 5, 1);
+
+    const report = doc.areaSchedule({ units: UNITS });
+    assert.deepStrictEqual(report.levels.map(level => [level.id, level.tiles]), [['level-0', 18], [upper.id, 4]]);
+    assert.deepStrictEqual(report.units.map(unit => [unit.id, unit.level, unit.tiles]), [
+        ['unit-a', 'level-0', 12], ['unit-b', 'level-0', 6], ['unit-b', upper.id, 4]
+    ]);
+    assert.strictEqual(report.totals.grossArea, 5.5);
+
+    const empty = doc.areaSchedule({ units: [{ id: 'unit-c', rect: { x: 8, y: 4, w: 2, h: 2 } }] }).units;
+    assert.deepStrictEqual(empty.map(unit => [unit.level, unit.tiles, unit.rooms.length]), [['level-0', 0, 0]], 'a unit without floor still gets a row');
+});
+
+// Test 3: output
+await runAssertion('CSV lists the mall, levels, units and rooms', () => {
+    const csv = scheduleToCsv(createMall().areaSchedule({ name: 'mall-001', units: UNITS }));
+    assert.deepStrictEqual(csv.split('\n').slice(0, 6), [
+        'scope,level,unit,room,tiles,area_m2,perimeter_wall_m,partition_wall_m,doors',
+        'mall,,,,18,4.50,9.00,2.50,2',
+        'level,level-0,,,18,4.50,9.00,2.50,2',
+        'unit,level-0,unit-a,,12,3.00,6.50,1.50,2',
+        'room,level-0,unit-a,room-1,8,2.00,5.00,0.00,2',
+        'room,level-0,unit-a,room-2,4,1.00,4.50,0.00,1'
+    ]);
+    const quoted = scheduleToCsv(createMall().areaSchedule({ units: [{ id: 'a,b', rect: UNITS[0].rect }] }));
+    assert.ok(quoted.includes('\nunit,level-0,"a,b",,12,'), 'fields with commas are quoted');
+});
+
+await runAssertion('reports are identical between runs and follow the display units', () => {
+    const build = () => createMall().areaSchedule({ name: 'mall-001', units: UNITS });
+    assert.strictEqual(scheduleToCsv(build()), scheduleToCsv(build()));
+    assert.strictEqual(scheduleToMarkdown(build()), scheduleToMarkdown(build()));
+
+    const markdown = scheduleToMarkdown(build());
+    assert.ok(markdown.startsWith('# Area Schedule: mall-001\n\nScale: 1 cell = 0.5 m\n'));
+    assert.ok(markdown.includes('| Gross floor area | 4.50 m² |'));
+    assert.ok(markdown.includes('| Efficiency (NLA / GFA) | 100.0% |'));
+    assert.ok(markdown.includes('| unit-a | room-2 | 4 | 1.00 | 4.50 | 0.00 | 1 |'));
+
+    const doc = createMall();
+    doc.setScale({ units: 'imperial' });
+    const imperial = scheduleToCsv(doc.areaSchedule({ units: UNITS }));
+    assert.ok(imperial.startsWith('scope,level,unit,room,tiles,area_ft2,perimeter_wall_ft,partition_wall_ft,doors\nmall,,,,18,48.44,29.53,8.20,2\n'));
+});
+
+// Test 4: CLI (units detected from the floor, rooms from a unit template)
+await runAssertion('scripts/area-schedule.js writes CSV and Markdown headlessly', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'schedule-'));
+    try {
+        const scenePath = join(dir, 'mall.scene.v1.json');
+        const unitPath = join(dir, 'unit-001.json');
+        writeFileSync(scenePath, JSON.stringify(createMall().toSceneV1()));
+        writeFileSync(unitPath, JSON.stringify({
+            meta: { schema: 'unit-template.v2', version: '2.0' },
+            id: 'unit-001',
+            rect: { x: 0, y: 0, w: 6, h: 3 },
+            children: [{ id: 'front', rect: { x: 0, y: 0, w: 6, h: 2 } }, { id: 'back', rect: { x: 0, y: 2, w: 6, h: 1 } }]
+        }));
+
+        const result = spawnSync(process.execPath, ['scripts/area-schedule.js', scenePath, '--unit', unitPath], { encoding: 'utf8' });
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+        assert.match(result.stdout, /Area schedule passed: .*mall\.area-schedule\.csv, .*mall\.area-schedule\.md \(1 units, GFA 4\.50 m²/);
+
+        const csv = readFileSync(join(dir, 'mall.area-schedule.csv'), 'utf8');
+        assert.ok(csv.includes('\nunit,level-0,unit-001,,18,4.50,9.00,2.50,2\n'), csv);
+        assert.ok(csv.includes('\nroom,level-0,unit-001,front,12,3.00,'), 'rooms come from the unit template');
+        assert.ok(readFileSync(join(dir, 'mall.area-schedule.md'), 'utf8').includes('| Net leasable area | 4.50 m² |'));
+
+        const bad = spawnSync(process.execPath, ['scripts/area-schedule.js', scenePath, '--mall', unitPath], { encoding: 'utf8' });
+        assert.strictEqual(bad.status, 1);
+        assert.match(bad.stdout, /Area schedule failed: .* is a unit template, expected mall/);
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+console.log(`\nTest Summary: ${passedAssertions}/${totalAssertions} assertions passed`);
+
+if (passedAssertions === totalAssertions) {
+    console.log('All area schedule tests passed!');
+    process.exit(0);
+} else {
+    console.log('Some area schedule tests failed');
+    process.exit(1);
+}
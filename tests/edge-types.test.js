@@ -0,0 +1,155 @@
+/**
+ * Edge Types Tests - Validates typed edges (wall/door/opening/window)
+ *
+ * Tests:
+ * 1. EdgeTypes helpers (makeEdge, getEdgeType, collect/apply openings)
+ * 2. toScene3D emits edges.openings matching the scene.3d.v1 edges schema
+ * 3. Wall-only scenes keep their previous shape (no openings key)
+ * 4. SceneRules treats doors as enclosure
+ */
+
+import assert from 'assert';
+import { makeEdge, getEdgeType, isEnclosingEdge, collectEdgeOpenings, applyEdgeOpenings } from '../src/editor/core/EdgeTypes.js';
+import { toScene3D } from '../src/editor/core/ExportBuilder3D.js';
+import { buildSceneV1 } from '../src/editor/core/ExportBuilder.js';
+import { SceneRules } from '../src/editor/core/SceneRules.js';
+import { readFileSync } from 'fs';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+
+const ajv = new Ajv({ strict: false });
+addFormats(ajv);
+const scene3dSchema = JSON.parse(readFileSync('schemas/scene.3d.v1.schema.json', 'utf8'));
+const validateEdges = ajv.compile(scene3dSchema.properties.edges);
+
+let totalAssertions = 0;
+let passedAssertions = 0;
+
+async function runAssertion(description, assertion) {
+    totalAssertions++;
+    try {
+        await assertion();
+        passedAssertions++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        console.error(`✗ ${description}: ${error.message}`);
+    }
+}
+
+// 2x1 room fully walled, with edge arrays one row/column larger for the far boundary
+function createRoom() {
+    return {
+        grid: [['floor', 'floor']],
+        horizontalEdges: [[true, true], [true, true]],
+        verticalEdges: [[true, false, true]]
+    };
+}
+
+// Silence export diagnostics
+const log = console.log;
+const info = console.info;
+
+console.log('🧪 Running Edge Types Tests...\n');
+
+// Test 1: helpers
+await runAssertion('plain wall stays boolean, typed edges become objects', () => {
+    assert.strictEqual(makeEdge('wall'), true);
+    assert.deepStrictEqual(makeEdge('door', { width: 0.9 }), { type: 'door', width: 0.9 });
+    assert.deepStrictEqual(makeEdge('wall', { headHeight: 2.4 }), { type: 'wall', headHeight: 2.4 });
+    assert.throws(() => makeEdge('portal'));
+});
+
+await runAssertion('getEdgeType / isEnclosingEdge', () => {
+    assert.strictEqual(getEdgeType(false), null);
+    assert.strictEqual(getEdgeType(true), 'wall');
+    assert.strictEqual(getEdgeType({ type: 'window' }), 'window');
+    assert.strictEqual(isEnclosingEdge({ type: 'door' }), true);
+    assert.strictEqual(isEnclosingEdge({ type: 'window' }), true);
+    assert.strictEqual(isEnclosingEdge({ type: 'opening' }), false);
+    assert.strictEqual(isEnclosingEdge(false), false);
+});
+
+await runAssertion('collectEdgeOpenings / applyEdgeOpenings round-trip', () => {
+    const room = createRoom();
+    room.horizontalEdges[1][0] = makeEdge('door', { width: 0.9, headHeight: 2.2 });
+    room.verticalEdges[0][2] = makeEdge('window');
+
+    const openings = collectEdgeOpenings(room.horizontalEdges, room.verticalEdges);
+    assert.deepStrictEqual(openings, [
+        { dir: 'H', x: 0, y: 1, type: 'door', width: 0.9, headHeight: 2.2 },
+        { dir: 'V', x: 2, y: 0, type: 'window' }
+    ]);
+
+    const restored = createRoom();
+    assert.strictEqual(applyEdgeOpenings(restored.horizontalEdges, restored.verticalEdges, openings), 2);
+    assert.deepStrictEqual(restored, room);
+});
+
+// Test 2: scene.3d.v1 export
+await runAssertion('toScene3D exports typed edges in edges.openings', () => {
+    const room = createRoom();
+    room.horizontalEdges[1][1] = makeEdge('door');
+
+    console.log = console.info = () => {};
+    const output = toScene3D(room, 20, 'door-test');
+    console.log = log;
+    console.info = info;
+
+    assert.deepStrictEqual(output.edges.openings, [{ dir: 'H', x: 1, y: 1, type: 'door' }]);
+    // Door position still listed as an edge for older consumers
+    assert.ok(output.edges.horizontal.some(([x, y]) => x === 1 && y === 1));
+
+    assert.ok(validateEdges(output.edges), JSON.stringify(validateEdges.errors));
+});
+
+await runAssertion('openings change the digest', () => {
+    const walled = createRoom();
+    const withDoor = createRoom();
+    withDoor.horizontalEdges[1][1] = makeEdge('door');
+
+    console.log = console.info = () => {};
+    const a = toScene3D(walled, 20, 'a');
+    const b = toScene3D(withDoor, 20, 'b');
+    console.log = log;
+    console.info = info;
+
+    assert.notStrictEqual(a.meta.digest, b.meta.digest);
+});
+
+// Test 3: back-compat
+await runAssertion('wall-only scenes omit edges.openings', () => {
+    console.log = console.info = () => {};
+    const output = toScene3D(createRoom(), 20, 'walls');
+    console.log = log;
+    console.info = info;
+
+    assert.deepStrictEqual(Object.keys(output.edges), ['horizontal', 'vertical']);
+
+    const scene = buildSceneV1({ gridWidth: 2, gridHeight: 1, cellSize: 20, floorTiles: [], hEdges: [], vEdges: [] });
+    assert.deepStrictEqual(Object.keys(scene.edges), ['horizontal', 'vertical']);
+});
+
+// Test 4: rules
+await runAssertion('door on the perimeter counts as enclosure', () => {
+    const room = createRoom();
+    room.horizontalEdges[1][0] = makeEdge('door');
+    assert.deepStrictEqual(SceneRules.checkUnenclosedFloors(room, null), []);
+});
+
+await runAssertion('opening on the perimeter is reported as unenclosed', () => {
+    const room = createRoom();
+    room.horizontalEdges[1][0] = makeEdge('opening');
+    const warnings = SceneRules.checkUnenclosedFloors(room, null);
+    assert.strictEqual(warnings.length, 1);
+    assert.ok(warnings[0].includes('(0,0)[S]'));
+});
+
+console.log(`\nTest Summary: ${passedAssertions}/${totalAssertions} assertions passed`);
+
+if (passedAssertions === totalAssertions) {
+    console.log('All edge type tests passed!');
+    process.exit(0);
+} else {
+    console.log('Some edge type tests failed');
+    process.exit(1);
+}
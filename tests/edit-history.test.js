@@ -0,0 +1,215 @@
+/**
+ * Edit History Tests - Validates command-based undo/redo for scene edits
+ *
+ * Tests:
+ * 1. A stroke (many cell writes) undoes/redoes as one step
+ * 2. Repeated writes to the same cell keep the original "before"
+ * 3. Snapshot commands restore whole scenes, including grid size changes
+ * 4. History size cap drops the oldest commands
+ * 5. Commands survive the model arrays being swapped (overlay changes)
+ */
+
+import assert from 'assert';
+import { EditHistory, snapshotScene, createSnapshotCommand, applyCommand } from '../src/editor/core/EditHistory.js';
+
+let totalAssertions = 0;
+let passedAssertions = 0;
+
+function runAssertion(description, assertion) {
+    totalAssertions++;
+    try {
+        assertion();
+        passedAssertions++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        console.error(`✗ ${description}: ${error.message}`);
+    }
+}
+
+function createScene(width, height) {
+    const make = (value) => Array.from({ length: height }, () => Array(width).fill(value));
+    return {
+        grid: make('empty'),
+        horizontalEdges: make(false),
+        verticalEdges: make(false)
+    };
+}
+
+// Mirrors FloorplanEditor.writeCell / setEdge
+function write(history, model, layer, x, y, value) {
+    const before = model[layer][y][x];
+    model[layer][y][x] = value;
+    history.record(layer, x, y, before, value);
+}
+
+console.log('🧪 Running Edit History Tests...\n');
+
+// Test 1: stroke grouping
+runAssertion('stroke of several cells is one undo step', () => {
+    const model = createScene(4, 3);
+    const history = new EditHistory();
+
+    history.begin('floor');
+    write(history, model, 'grid', 0, 0, 'floor');
+    write(history, model, 'grid', 1, 0, 'floor');
+    write(history, model, 'horizontalEdges', 2, 1, true);
+    const command = history.commit();
+
+    assert.strictEqual(command.changes.length, 3);
+    assert.strictEqual(history.undoStack.length, 1);
+
+    history.undo(model);
+    assert.strictEqual(model.grid[0][0], 'empty');
+    assert.strictEqual(model.grid[0][1], 'empty');
+    assert.strictEqual(model.horizontalEdges[1][2], false);
+
+    history.redo(model);
+    assert.strictEqual(model.grid[0][0], 'floor');
+    assert.strictEqual(model.horizontalEdges[1][2], true);
+});
+
+runAssertion('empty transaction is not recorded', () => {
+    const history = new EditHistory();
+    history.begin('floor');
+    assert.strictEqual(history.commit(), null);
+    assert.strictEqual(history.canUndo(), false);
+});
+
+runAssertion('record outside a transaction becomes its own step', () => {
+    const model = createScene(2, 2);
+    const history = new EditHistory();
+    write(history, model, 'verticalEdges', 1, 1, true);
+    write(history, model, 'verticalEdges', 0, 1, true);
+    assert.strictEqual(history.undoStack.length, 2);
+});
+
+// Test 2: repeated writes to one cell
+runAssertion('paint then erase within a stroke collapses to no-op', () => {
+    const model = createScene(3, 3);
+    const history = new EditHistory();
+    history.begin('erase');
+    write(history, model, 'grid', 1, 1, 'floor');
+    write(history, model, 'grid', 1, 1, 'empty');
+    assert.strictEqual(history.commit(), null);
+});
+
+runAssertion('repeated writes undo to the value before the stroke', () => {
+    const model = createScene(3, 3);
+    model.grid[2][2] = 'floor';
+    const history = new EditHistory();
+    history.begin('mixed');
+    write(history, model, 'grid', 2, 2, 'empty');
+    write(history, model, 'grid', 2, 2, 'wall');
+    history.commit();
+    history.undo(model);
+    assert.strictEqual(model.grid[2][2], 'floor');
+});
+
+runAssertion('new edit after undo clears redo stack', () => {
+    const model = createScene(3, 3);
+    const history = new EditHistory();
+    write(history, model, 'grid', 0, 0, 'floor');
+    history.undo(model);
+    assert.strictEqual(history.canRedo(), true);
+    write(history, model, 'grid', 1, 1, 'floor');
+    assert.strictEqual(history.canRedo(), false);
+});
+
+// Test 3: snapshot commands
+runAssertion('snapshot command restores cleared scene', () => {
+    const model = createScene(3, 3);
+    model.grid[0][0] = 'floor';
+    model.verticalEdges[1][1] = true;
+    const history = new EditHistory();
+
+    const before = snapshotScene(model);
+    const cleared = createScene(3, 3);
+    model.grid = cleared.grid;
+    model.horizontalEdges = cleared.horizontalEdges;
+    model.verticalEdges = cleared.verticalEdges;
+    history.push(createSnapshotCommand('clear-grid', before, snapshotScene(model)));
+
+    history.undo(model);
+    assert.strictEqual(model.grid[0][0], 'floor');
+    assert.strictEqual(model.verticalEdges[1][1], true);
+
+    history.redo(model);
+    assert.strictEqual(model.grid[0][0], 'empty');
+});
+
+runAssertion('snapshot command restores previous grid dimensions', () => {
+    const model = createScene(2, 2);
+    const before = snapshotScene(model);
+    const grown = createScene(5, 4);
+    const command = createSnapshotCommand('template-import', before, snapshotScene(grown));
+
+    applyCommand(model, command, 'redo');
+    assert.strictEqual(model.grid.length, 4);
+    assert.strictEqual(model.grid[0].length, 5);
+
+    applyCommand(model, command, 'undo');
+    assert.strictEqual(model.grid.length, 2);
+    assert.strictEqual(model.grid[0].length, 2);
+});
+
+runAssertion('snapshot restore does not alias stored arrays', () => {
+    const model = createScene(2, 2);
+    const history = new EditHistory();
+    const before = snapshotScene(model);
+    model.grid[0][0] = 'floor';
+    history.push(createSnapshotCommand('import', before, snapshotScene(model)));
+
+    history.undo(model);
+    model.grid[1][1] = 'floor'; // Mutate restored arrays
+    history.redo(model);
+    history.undo(model);
+    assert.strictEqual(model.grid[1][1], 'empty');
+});
+
+// Test 4: size cap
+runAssertion('history keeps at most `limit` commands', () => {
+    const model = createScene(10, 1);
+    const history = new EditHistory({ limit: 3 });
+    for (let x = 0; x < 5; x++) {
+        write(history, model, 'grid', x, 0, 'floor');
+    }
+    assert.strictEqual(history.undoStack.length, 3);
+
+    while (history.undo(model)) { /* drain */ }
+    // Oldest two strokes fell off the stack and stay applied
+    assert.deepStrictEqual(model.grid[0].slice(0, 5), ['floor', 'floor', 'empty', 'empty', 'empty']);
+});
+
+// Test 5: model arrays swapped underneath the history
+runAssertion('undo applies to current model arrays after a swap', () => {
+    const model = createScene(3, 3);
+    const history = new EditHistory();
+    write(history, model, 'grid', 1, 1, 'floor');
+
+    // Editor replaces arrays (e.g. resizeTemplateModels) but keeps content
+    const swapped = snapshotScene(model);
+    model.grid = swapped.grid;
+    model.horizontalEdges = swapped.horizontalEdges;
+    model.verticalEdges = swapped.verticalEdges;
+
+    history.undo(model);
+    assert.strictEqual(model.grid[1][1], 'empty');
+});
+
+runAssertion('diff outside a shrunk model is skipped, not thrown', () => {
+    const model = createScene(5, 5);
+    const history = new EditHistory();
+    write(history, model, 'grid', 4, 4, 'floor');
+    const small = createScene(2, 2);
+    assert.ok(history.undo(small));
+});
+
+console.log(`\nTest Summary: ${passedAssertions}/${totalAssertions} assertions passed`);
+
+if (passedAssertions === totalAssertions) {
+    console.log('All edit history tests passed!');
+    process.exit(0);
+} else {
+    console.log('Some edit history tests failed');
+    process.exit(1);
+}
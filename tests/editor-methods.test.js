@@ -0,0 +1,99 @@
+/**
+ * Editor Method Tests - Validates that every method the canvas editor calls on itself exists
+ *
+ * editor.js needs a DOM, so it is read as source: FloorplanEditor methods are its class methods plus the
+ * DOCUMENT_METHODS it forwards to FloorplanDocument.
+ *
+ * Tests:
+ * 1. Every this.<method>() call in editor.js is a class method or a forwarded document method
+ * 2. Every forwarded method and field exists on FloorplanDocument
+ * 3. Template exports run the scene rules before downloading
+ */
+
+import assert from 'assert';
+import { readFileSync } from 'fs';
+import { FloorplanDocument } from '../src/editor/core/FloorplanDocument.js';
+
+let totalAssertions = 0;
+let passedAssertions = 0;
+
+async function runAssertion(description, assertion) {
+    totalAssertions++;
+    try {
+        await assertion();
+        passedAssertions++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        console.error(`✗ ${description}: ${error.message}`);
+    }
+}
+
+const source = readFileSync(new URL('../src/editor/editor.js', import.meta.url), 'utf8');
+
+// Quoted names of a `const NAME = [ ... ];` list in editor.js
+function listNames(name) {
+    const list = source.match(new RegExp(`const ${name} = \\[([\\s\\S]*?)\\];`));
+    assert.ok(list, `${name} not found in editor.js`);
+    return [...list[1].matchAll(/'(\w+)'/g)].map(match => match[1]);
+}
+
+// Source of one class method, up to the closing brace at class-member indentation
+function methodBody(name) {
+    const body = source.match(new RegExp(`^ {4}(?:async\\s+)?${name}\\s*\\([^)]*\\)\\s*\\{[\\s\\S]*?^ {4}\\}`, 'm'));
+    assert.ok(body, `${name} not found in editor.js`);
+    return body[0];
+}
+
+const classMethods = new Set([...source.matchAll(/^ {4}(?:async\s+)?(\w+)\s*\([^)]*\)\s*\{/gm)].map(match => match[1]));
+const forwardedMethods = listNames('DOCUMENT_METHODS');
+const forwardedFields = listNames('DOCUMENT_FIELDS');
+
+console.log('🧪 Running Editor Method Tests...\n');
+
+// Test 1: calls
+await runAssertion('every this.<method>() the editor calls is defined or forwarded', () => {
+    const called = new Set([...source.matchAll(/\bthis\.(\w+)\(/g)].map(match => match[1]));
+    const missing = [...called].filter(name => !classMethods.has(name) && !forwardedMethods.includes(name));
+    assert.deepStrictEqual(missing, []);
+});
+
+await runAssertion('scene.v1 import and export reach the document', () => {
+    assert.ok(forwardedMethods.includes('toSceneV1'));
+    assert.ok(forwardedMethods.includes('fromSceneV1'));
+});
+
+// Test 2: forwarding targets
+await runAssertion('forwarded methods exist on FloorplanDocument', () => {
+    const missing = forwardedMethods.filter(name => typeof FloorplanDocument.prototype[name] !== 'function');
+    assert.deepStrictEqual(missing, []);
+});
+
+await runAssertion('forwarded fields exist on a new FloorplanDocument', () => {
+    const doc = new FloorplanDocument({ width: 4, height: 4 });
+    const missing = forwardedFields.filter(name => !(name in doc));
+    assert.deepStrictEqual(missing, []);
+});
+
+// Test 3: export rules
+await runAssertion('every template export checks the scene rules before downloading', () => {
+    const templateExports = [
+        'handleExportMallTemplate', 'exportAsMallTemplate', 'handleExportSelectedUnit', 'exportAsGalleryTemplate',
+        'exportGalleryFromCurrentEdits', 'exportAsRoomTemplate', 'exportAsObjectTemplate'
+    ];
+    const unchecked = templateExports.filter(name => {
+        const body = methodBody(name);
+        const check = body.indexOf('this.checkExportRules(');
+        return check < 0 || check > body.indexOf('this.downloadJSON(');
+    });
+    assert.deepStrictEqual(unchecked, []);
+});
+
+console.log(`\nTest Summary: ${passedAssertions}/${totalAssertions} assertions passed`);
+
+if (passedAssertions === totalAssertions) {
+    console.log('All editor method tests passed!');
+    process.exit(0);
+} else {
+    console.log('Some editor method tests failed');
+    process.exit(1);
+}
@@ -0,0 +1,277 @@
+/**
+ * FloorplanDocument Tests - Drives real editing flows through the DOM-free document model
+ *
+ * Tests:
+ * 1. Painting tiles and edges goes through history; a stroke undoes as one step
+ * 2. Rects, wall segments and painting respect template bounds
+ * 3. Mall unit selection limits edits to the active unit
+ * 4. Unit and room detection run on painted content
+ * 5. Levels keep separate content and history; vertical links need a level above
+ * 6. scene.v1 round trip and ghosted template layers
+ * 7. The grid can be enlarged past the 60×40 default, keeping content and history on every level
+ */
+
+import assert from 'assert';
+import { FloorplanDocument, MAX_GRID_SIZE } from '../src/editor/core/FloorplanDocument.js';
+import { makeBounds } from '../src/editor/core/TemplateBounds.js';
+import { getEdgeType } from '../src/editor/core/EdgeTypes.js';
+
+let totalAssertions = 0;
+let passedAssertions = 0;
+
+async function runAssertion(description, assertion) {
+    totalAssertions++;
+    try {
+        await quietly(assertion);
+        passedAssertions++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        console.error(`✗ ${description}: ${error.message}`);
+    }
+}
+
+// Silence the document's diagnostic logging
+const { log, info, warn } = console;
+async function quietly(fn) {
+    console.log = console.info = console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, { log, info, warn });
+    }
+}
+
+// Document with a loaded template overlay, as the editor sets it up after a template import
+function withTemplate(doc, dto) {
+    doc.overlayModel = { templateData: dto, bounds: makeBounds(dto), constraints: null };
+    doc.showTemplate = true;
+    doc.templateType = dto.type;
+    return doc;
+}
+
+const floorCount = (doc) => doc.grid.flat().filter(cell => cell === 'floor').length;
+
+console.log('🧪 Running FloorplanDocument Tests...\n');
+
+// Test 1: painting and history
+await runAssertion('a paint stroke is one undo step and reports its changes', () => {
+    const changes = [];
+    const doc = new FloorplanDocument({ width: 10, height: 8, onChange: type => changes.push(type) });
+
+    doc.history.begin('floor');
+    assert.strictEqual(doc.paintTile(1, 1, 'floor'), true);
+    assert.strictEqual(doc.paintTile(2, 1, 'floor'), true);
+    assert.strictEqual(doc.paintTile(2, 1, 'floor'), false, 'unchanged tile is not rewritten');
+    doc.history.commit();
+    assert.deepStrictEqual(changes, ['cell', 'cell']);
+
+    assert.strictEqual(doc.undo().label, 'floor');
+    assert.strictEqual(floorCount(doc), 0);
+    assert.strictEqual(doc.redo().label, 'floor');
+    assert.strictEqual(floorCount(doc), 2);
+    assert.strictEqual(doc.redo(), null);
+});
+
+await runAssertion('erase only clears floor tiles; typed edges paint and erase', () => {
+    const doc = new FloorplanDocument({ width: 6, height: 6 });
+    doc.paintTile(3, 3, 'floor');
+    assert.strictEqual(doc.paintTile(4, 4, 'erase'), false);
+    assert.strictEqual(doc.paintTile(3, 3, 'erase'), true);
+    assert.strictEqual(doc.grid[3][3], 'empty');
+
+    doc.paintEdge('horizontal', 2, 2, 'door');
+    doc.paintEdge('vertical', 1, 1, 'wall');
+    assert.strictEqual(getEdgeType(doc.horizontalEdges[2][2]), 'door');
+    assert.strictEqual(getEdgeType(doc.verticalEdges[1][1]), 'wall');
+
+    doc.paintEdge('horizontal', 2, 2, null);
+    assert.strictEqual(doc.horizontalEdges[2][2], false);
+    assert.strictEqual(doc.sceneModel.horizontalEdges, doc.horizontalEdges, 'legacy aliases track sceneModel');
+});
+
+// Test 2: bounds enforcement
+await runAssertion('rects and wall segments skip cells outside a unit template', () => {
+    const doc = withTemplate(new FloorplanDocument({ width: 12, height: 10 }), { type: 'unit', rect: { x: 2, y: 2, w: 4, h: 3 } });
+
+    assert.deepStrictEqual(doc.fillFloorRect(0, 0, 3, 3), { placed: 4, skipped: 12 });
+    assert.strictEqual(doc.grid[0][0], 'empty');
+    assert.strictEqual(doc.grid[3][3], 'floor');
+
+    const segment = doc.placeWallSegment({ x: 0, y: 2 }, { x: 7, y: 2 });
+    assert.deepStrictEqual(segment, { x0: 0, y0: 2, x1: 7, y1: 2, placed: 4, skipped: 4 });
+    assert.strictEqual(doc.placeWallSegment({ x: 0, y: 0 }, { x: 3, y: 3 }), null, 'diagonal runs are rejected');
+
+    assert.strictEqual(doc.paintTile(9, 9, 'floor'), false);
+    assert.strictEqual(doc.setGridCell(9, 9, 'floor'), false);
+    assert.strictEqual(doc.paintEdge('vertical', 9, 9, 'wall'), false);
+
+    // Each rect and wall segment is a single undo step
+    assert.strictEqual(doc.undo().label, 'wall-segment');
+    assert.strictEqual(doc.undo().label, 'rect');
+    assert.strictEqual(floorCount(doc), 0);
+});
+
+// Test 3: mall unit selection
+await runAssertion('selecting a mall unit limits edits to it and clearing restores mall bounds', () => {
+    const mall = {
+        type: 'mall',
+        units: [
+            { id: 'unit-a', rect: { x: 0, y: 0, w: 4, h: 4 } },
+            { id: 'unit-b', rect: { x: 6, y: 0, w: 4, h: 4 } }
+        ]
+    };
+    const doc = withTemplate(new FloorplanDocument({ width: 12, height: 8 }), mall);
+    doc.limitToActiveUnit = true;
+
+    assert.deepStrictEqual(doc.selectUnitAt(7, 1), { id: 'unit-b', rect: { x: 6, y: 0, w: 4, h: 4 } });
+    assert.strictEqual(doc.paintTile(1, 1, 'floor'), false, 'other units are locked');
+    assert.strictEqual(doc.paintTile(7, 1, 'floor'), true);
+
+    assert.strictEqual(doc.selectUnitAt(5, 6), null);
+    assert.strictEqual(doc.activeUnit, null);
+    assert.strictEqual(doc.paintTile(1, 1, 'floor'), true);
+    assert.strictEqual(doc.paintTile(5, 6, 'floor'), false, 'mall bounds still apply');
+});
+
+// Test 4: detection
+await runAssertion('units and rooms are detected from painted floor regions', () => {
+    const doc = new FloorplanDocument({ width: 12, height: 8 });
+    doc.fillFloorRect(6, 1, 8, 3);
+    doc.fillFloorRect(1, 1, 3, 2);
+    doc.paintTile(10, 6, 'floor'); // Too small to be a unit
+
+    assert.deepStrictEqual(doc.detectUnitsFromFloorTiles(), [
+        { id: 'unit-001', rect: { x: 1, y: 1, w: 3, h: 2 } },
+        { id: 'unit-002', rect: { x: 6, y: 1, w: 3, h: 3 } }
+    ]);
+    assert.deepStrictEqual(doc.generateRoomsFromCurrentContent().map(room => room.gridRect), [
+        { x: 1, y: 1, w: 3, h: 2 },
+        { x: 6, y: 1, w: 3, h: 3 },
+        { x: 10, y: 6, w: 1, h: 1 }
+    ]);
+});
+
+// Test 5: levels
+await runAssertion('levels keep their own content and history', () => {
+    const changes = [];
+    const doc = new FloorplanDocument({ width: 8, height: 6, onChange: type => changes.push(type) });
+    doc.fillFloorRect(0, 0, 1, 1);
+
+    assert.strictEqual(doc.addVerticalLink('stair', { x: 0, y: 0, w: 1, h: 2 }), null, 'no level above yet');
+    const upper = doc.addLevel();
+    assert.strictEqual(doc.getActiveLevel(), upper);
+    assert.strictEqual(changes[changes.length - 1], 'level');
+    assert.strictEqual(floorCount(doc), 0);
+    assert.strictEqual(doc.undo(), null, 'the new level starts with an empty history');
+
+    doc.switchLevel(0);
+    assert.strictEqual(floorCount(doc), 4);
+    const link = doc.addVerticalLink('stair', { x: 0, y: 0, w: 1, h: 2 });
+    assert.deepStrictEqual([link.fromLevel, link.toLevel], ['level-0', upper.id]);
+    assert.strictEqual(doc.levelsToWire().levels.length, 2);
+    assert.strictEqual(doc.removeVerticalLinkAt(0, 1), true);
+    assert.deepStrictEqual(doc.verticalLinks, []);
+});
+
+// Test 6: serialization and templates
+await runAssertion('scene.v1 round trip resizes a fresh document and keeps typed edges', () => {
+    const source = new FloorplanDocument({ width: 9, height: 7 });
+    source.fillFloorRect(1, 1, 2, 2);
+    source.placeWallSegment({ x: 1, y: 1 }, { x: 2, y: 1 });
+    source.paintEdge('vertical', 3, 1, 'window');
+
+    const target = new FloorplanDocument();
+    target.fromSceneV1(source.toSceneV1());
+    assert.deepStrictEqual([target.gridWidth, target.gridHeight], [9, 7]);
+    assert.deepStrictEqual(target.grid, source.grid);
+    assert.deepStrictEqual(target.horizontalEdges, source.horizontalEdges);
+    assert.strictEqual(getEdgeType(target.verticalEdges[1][3]), 'window');
+});
+
+await runAssertion('a unit template without scene data becomes a ghosted outline', () => {
+    const doc = new FloorplanDocument({ width: 10, height: 10 });
+    const dto = { type: 'unit', rect: { x: 2, y: 2, w: 3, h: 3 } };
+    doc.parseTemplateContent({ meta: {} }, dto);
+
+    assert.strictEqual(doc.currentTemplateModel.hasContent, true);
+    assert.strictEqual(doc.templateModel, doc.currentTemplateModel);
+    assert.strictEqual(floorCount(doc), 0, 'template content stays out of the scene');
+
+    doc.clearTemplate();
+    assert.strictEqual(doc.currentTemplateModel.hasContent, false);
+    assert.strictEqual(doc.overlayModel.bounds, null);
+});
+
+// Test 7: grid size
+await runAssertion('the grid grows past the default, keeps content and undoes as one step', () => {
+    const changes = [];
+    const doc = new FloorplanDocument({ onChange: type => changes.push(type) });
+    assert.deepStrictEqual([doc.gridWidth, doc.gridHeight], [60, 40]);
+    doc.fillFloorRect(58, 38, 59, 39);
+    doc.paintEdge('vertical', 59, 39, 'door');
+    doc.addLevel();
+    doc.fillFloorRect(0, 0, 1, 1);
+
+    assert.strictEqual(doc.resizeGrid(200, 120), true);
+    assert.strictEqual(changes[changes.length - 1], 'scene');
+    assert.deepStrictEqual([doc.grid.length, doc.grid[0].length, doc.verticalEdges[0].length], [120, 200, 200]);
+    assert.strictEqual(floorCount(doc), 4);
+    doc.fillFloorRect(150, 100, 151, 101);
+    assert.strictEqual(floorCount(doc), 8, 'cells past the old size can be painted');
+
+    doc.switchLevel(0);
+    assert.deepStrictEqual([doc.grid.length, doc.grid[0].length], [120, 200], 'every level is resized');
+    assert.strictEqual(getEdgeType(doc.verticalEdges[39][59]), 'door');
+    assert.strictEqual(doc.resizeGrid(200, 120), false);
+
+    assert.throws(() => doc.resizeGrid(60, 40), /Level 1/, 'the upper level now reaches past 60×40');
+    assert.strictEqual(doc.resizeGrid(152, 102), true);
+    assert.strictEqual(doc.undo().label, 'resize-grid');
+    assert.deepStrictEqual([doc.gridWidth, doc.gridHeight], [200, 120]);
+});
+
+await runAssertion('a grid resize keeps the undo history of the other levels', () => {
+    const doc = new FloorplanDocument({ width: 10, height: 10 });
+    doc.addLevel();
+    doc.fillFloorRect(2, 2, 3, 3);
+    doc.switchLevel(0);
+
+    assert.strictEqual(doc.resizeGrid(20, 15), true);
+    doc.switchLevel(1);
+    assert.strictEqual(doc.history.canUndo(), true);
+    assert.strictEqual(doc.undo().label, 'rect');
+    assert.strictEqual(floorCount(doc), 0);
+    assert.deepStrictEqual([doc.gridWidth, doc.gridHeight], [20, 15]);
+
+    doc.switchLevel(0);
+    assert.strictEqual(doc.undo().label, 'resize-grid');
+    assert.deepStrictEqual([doc.gridWidth, doc.gridHeight], [10, 10]);
+    doc.switchLevel(1);
+    assert.deepStrictEqual([doc.grid.length, doc.grid[0].length], [10, 10]);
+    assert.strictEqual(doc.redo().label, 'rect', 'undoing the resize keeps the history too');
+    assert.strictEqual(floorCount(doc), 4);
+});
+
+await runAssertion('grid resizes that would cut off content or exceed the limit are refused', () => {
+    const doc = new FloorplanDocument({ width: 10, height: 10 });
+    doc.addLevel();
+    doc.paintTile(8, 2, 'floor');
+    doc.switchLevel(0);
+
+    assert.throws(() => doc.resizeGrid(8, 10), /Content on level ".*" reaches 9×3/);
+    assert.throws(() => doc.resizeGrid(0, 10), /1 to 1000 cells/);
+    assert.throws(() => doc.resizeGrid(MAX_GRID_SIZE + 1, 10), /cells per side/);
+    assert.throws(() => doc.resizeGrid(12.5, 10), /cells per side/);
+    assert.deepStrictEqual([doc.gridWidth, doc.gridHeight], [10, 10]);
+    assert.strictEqual(doc.resizeGrid(9, 3), true);
+});
+
+console.log(`\nTest Summary: ${passedAssertions}/${totalAssertions} assertions passed`);
+
+if (passedAssertions === totalAssertions) {
+    console.log('All document tests passed!');
+    process.exit(0);
+} else {
+    console.log('Some document tests failed');
+    process.exit(1);
+}
@@ -0,0 +1,205 @@
+/**
+ * glTF Export Tests - Validates the headless .glb exporter
+ *
+ * Tests:
+ * 1. GLB container layout (header, JSON and BIN chunks) and digest in extras
+ * 2. Floors merge into row strips; walls use units thickness/height
+ * 3. Doors leave a void (lintel only), as in the runtime loader
+ * 4. Nodes are named by unit/room region ids
+ * 5. Levels and vertical links become translated level nodes and link nodes
+ * 6. scripts/export-glb.js runs headlessly in Node
+ */
+
+import assert from 'assert';
+import { toGLB, toGLTF, parseGLB, buildSceneNodes } from '../src/editor/core/GltfExporter.js';
+import { toScene3DLevels } from '../src/editor/core/ExportBuilder3D.js';
+import { createLevel } from '../src/editor/core/Levels.js';
+import { readFileSync, existsSync, mkdtempSync, rmSync } from 'fs';
+import { spawnSync } from 'child_process';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+let totalAssertions = 0;
+let passedAssertions = 0;
+
+async function runAssertion(description, assertion) {
+    totalAssertions++;
+    try {
+        await assertion();
+        passedAssertions++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        console.error(`✗ ${description}: ${error.message}`);
+    }
+}
+
+// Silence export diagnostics
+const log = console.log;
+const info = console.info;
+const warn = console.warn;
+function quietly(fn) {
+    console.log = console.info = console.warn = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = log;
+        console.info = info;
+        console.warn = warn;
+    }
+}
+
+const loadFixture = (name) => JSON.parse(readFileSync(`examples/pipe/${name}.scene.3d.v1.json`, 'utf8'));
+
+// Accessor min/max for a node's primitive using the given material name
+function primitiveExtent(json, nodeName, materialName) {
+    const node = json.nodes.find(candidate => candidate.name === nodeName);
+    const primitive = json.meshes[node.mesh].primitives.find(p => json.materials[p.material].name === materialName);
+    const accessor = json.accessors[primitive.attributes.POSITION];
+    return { min: accessor.min, max: accessor.max, vertices: accessor.count };
+}
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-5, `${actual} ≠ ${expected}`);
+
+console.log('🧪 Running glTF Export Tests...\n');
+
+// Test 1: container
+await runAssertion('GLB has a valid header, JSON and BIN chunks', () => {
+    const scene = loadFixture('unit-2x3');
+    const glb = quietly(() => toGLB(scene));
+    const view = new DataView(glb.buffer, glb.byteOffset, glb.byteLength);
+
+    assert.strictEqual(view.getUint32(0, true), 0x46546C67);
+    assert.strictEqual(view.getUint32(4, true), 2);
+    assert.strictEqual(view.getUint32(8, true), glb.byteLength);
+    assert.strictEqual(glb.byteLength % 4, 0);
+
+    const { json, binary } = parseGLB(glb);
+    assert.strictEqual(json.asset.version, '2.0');
+    assert.strictEqual(json.buffers[0].byteLength, binary.byteLength);
+    json.bufferViews.forEach(bufferView => {
+        assert.strictEqual(bufferView.byteOffset % 4, 0);
+        assert.ok(bufferView.byteOffset + bufferView.byteLength <= binary.byteLength);
+    });
+});
+
+await runAssertion('meta.digest is carried in extras', () => {
+    const scene = loadFixture('room-L');
+    const { json } = quietly(() => toGLTF(scene));
+    assert.strictEqual(json.nodes[0].name, 'room-L');
+    assert.strictEqual(json.nodes[0].extras.digest, scene.meta.digest);
+    assert.deepStrictEqual(json.nodes[0].extras.parity, scene.meta.parity);
+    assert.strictEqual(json.scenes[0].extras.digest, scene.meta.digest);
+    assert.strictEqual(json.asset.extras.digest, scene.meta.digest);
+});
+
+// Test 2: geometry
+await runAssertion('floor rows merge into strips and walls use units height/thickness', () => {
+    const scene = loadFixture('unit-2x3');
+    scene.units.wallHeightMeters = 4;
+    scene.units.wallThicknessMeters = 0.3;
+    const { json } = quietly(() => toGLTF(scene));
+
+    const floors = primitiveExtent(json, 'floors', 'floor');
+    assert.strictEqual(floors.vertices, 3 * 24); // 3 rows of 2 tiles
+    near(floors.max[1], scene.units.floorThicknessMeters);
+    assert.deepStrictEqual([floors.min[0], floors.min[2], floors.max[0], floors.max[2]], [0, 0, 2, 3]);
+
+    const walls = primitiveExtent(json, 'walls', 'wall');
+    assert.strictEqual(walls.vertices, (4 + 6) * 24);
+    near(walls.max[1], 4);
+    near(walls.min[0], -0.15);
+    near(walls.max[0], 2.15);
+});
+
+// Test 3: doors
+await runAssertion('doors leave a void with only a lintel above', () => {
+    const scene = loadFixture('unit-2x3');
+    scene.edges.openings = [{ dir: 'H', x: 0, y: 3, type: 'door' }];
+    const tree = quietly(() => buildSceneNodes(scene));
+    const wallBoxes = tree.children.find(node => node.name === 'walls').primitives[0].boxes;
+
+    assert.strictEqual(wallBoxes.length, 10);
+    const lintel = wallBoxes.find(box => box.center[2] === 3 && box.center[0] === 0.5);
+    near(lintel.center[1] - lintel.size[1] / 2, 2.1);
+    near(lintel.center[1] + lintel.size[1] / 2, 3);
+});
+
+// Test 4: region naming
+await runAssertion('content inside unit/room rects is grouped under nodes named by id', () => {
+    const scene = loadFixture('unit-2x3');
+    const regions = [
+        { id: 'unit-A', rect: { x: 0, y: 0, w: 2, h: 1 } },
+        { id: 'unit-B', rect: { x: 0, y: 1, w: 2, h: 2 } },
+        { id: 'unit-empty', rect: { x: 10, y: 10, w: 1, h: 1 } }
+    ];
+    const { json } = quietly(() => toGLTF(scene, { regions }));
+
+    const names = json.nodes[0].children.map(index => json.nodes[index].name);
+    assert.deepStrictEqual(names, ['unit-A', 'unit-B']);
+    assert.strictEqual(primitiveExtent(json, 'unit-A', 'floor').vertices, 24);
+    assert.strictEqual(primitiveExtent(json, 'unit-B', 'floor').vertices, 2 * 24);
+    // Every wall lands in one of the two units
+    const wallCount = ['unit-A', 'unit-B'].reduce((sum, name) => sum + primitiveExtent(json, name, 'wall').vertices / 24, 0);
+    assert.strictEqual(wallCount, 10);
+    assert.strictEqual(json.nodes.find(node => node.name === 'unit-A').extras.regionId, 'unit-A');
+});
+
+// Test 5: levels
+await runAssertion('levels become translated nodes and vertical links get their own nodes', () => {
+    const room = (id, elevation) => {
+        const level = createLevel({ id, name: id, elevation, width: 4, height: 4 });
+        level.sceneModel.grid[1][1] = 'floor';
+        level.sceneModel.grid[1][2] = 'floor';
+        return level;
+    };
+    const scene = quietly(() => toScene3DLevels({
+        levels: [room('level-0', 0), room('level-1', 4.5)],
+        verticalLinks: [
+            { id: 'stair-1', type: 'stair', rect: { x: 1, y: 1, w: 2, h: 1 }, fromLevel: 'level-0', toLevel: 'level-1' },
+            { id: 'elevator-1', type: 'elevator', rect: { x: 1, y: 1, w: 1, h: 1 }, fromLevel: 'level-0', toLevel: 'level-1' }
+        ],
+        cellSize: 20,
+        safeId: 'stack'
+    }));
+    const { json } = quietly(() => toGLTF(scene));
+
+    const level1 = json.nodes.find(node => node.name === 'level:level-1');
+    assert.deepStrictEqual(level1.translation, [0, 4.5, 0]);
+    assert.strictEqual(json.nodes.find(node => node.name === 'level:level-0').translation, undefined);
+
+    const stair = primitiveExtent(json, 'stair-1', 'stair');
+    near(stair.min[1], -0.1 * Math.cos(Math.atan2(4.5, 2)));
+    assert.ok(stair.max[1] > 4.5);
+    const elevator = primitiveExtent(json, 'elevator-1', 'elevator');
+    near(elevator.max[1], 4.5 + scene.units.wallHeightMeters);
+    assert.strictEqual(json.materials.find(material => material.name === 'elevator').alphaMode, 'BLEND');
+});
+
+await runAssertion('rejects non-scene.3d.v1 input', () => {
+    assert.throws(() => toGLB({ meta: { schema: 'scene.v1' } }), /Expected a scene\.3d\.v1 object/);
+});
+
+// Test 6: CLI
+await runAssertion('scripts/export-glb.js writes a .glb headlessly', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'glb-'));
+    try {
+        const out = join(dir, 'room-U.glb');
+        const result = spawnSync(process.execPath, ['scripts/export-glb.js', 'examples/pipe/room-U.scene.3d.v1.json', '--out', out], { encoding: 'utf8' });
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+        assert.ok(existsSync(out));
+        const { json } = parseGLB(new Uint8Array(readFileSync(out)));
+        assert.strictEqual(json.nodes[0].extras.digest, loadFixture('room-U').meta.digest);
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+console.log(`\nTest Summary: ${passedAssertions}/${totalAssertions} assertions passed`);
+
+if (passedAssertions === totalAssertions) {
+    console.log('All glTF export tests passed!');
+    process.exit(0);
+} else {
+    console.log('Some glTF export tests failed');
+    process.exit(1);
+}
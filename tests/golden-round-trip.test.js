@@ -1,12 +1,14 @@
 #!/usr/bin/env node
 
 /**
- * Golden Round-Trip Test for Scene.v1 Format
+ * Golden Round-Trip Test for Scene.v1 Format and Mall/Unit Templates
  *
  * Tests that Save → Load → Save produces identical results
  * This ensures data integrity and validates the round-trip guarantee
+ * Templates go through TemplateLoader.load and the editor's exporters; fields the editor does not manage must survive
  */
 
+const assert = require('assert');
 const fs = require('fs');
 const path = require('path');
 const Ajv = require('ajv');
@@ -55,6 +57,57 @@ const testScene = {
     }
 };
 
+// Mall template with fields the editor does not manage: unit type/occupancy/entrance, names, custom properties
+const testMallTemplate = {
+    meta: {
+        schema: 'mall-template.v1',
+        version: '1.0',
+        name: 'Riverside Mall',
+        author: 'golden-test',
+        tags: ['retail']
+    },
+    id: 'mall-riverside',
+    grid: { width: 30, height: 20, cellSize: 20 },
+    units: [
+        {
+            id: 'unit-101',
+            name: 'Coffee Shop',
+            rect: { x: 0, y: 0, w: 6, h: 4 },
+            type: 'food',
+            entrance: { side: 'north', offset: 1 },
+            occupancy: { status: 'occupied', tenantId: 'tenant-abc123', since: '2025-01-15' }
+        },
+        {
+            id: 'unit-102',
+            name: 'Electronics',
+            rect: { x: 6, y: 0, w: 8, h: 4 },
+            type: 'retail',
+            occupancy: { status: 'vacant' },
+            customProps: { signage: 'large' }
+        }
+    ],
+    created: '2025-09-24T13:00:00.000Z',
+    landlord: { name: 'Riverside Holdings' }
+};
+
+// Unit template with room names and custom fields
+const testUnitTemplate = {
+    meta: {
+        schema: 'unit-template.v2',
+        version: '2.0',
+        name: 'Coffee Shop Layout',
+        parent: { schema: 'mall-template.v1', id: 'mall-riverside', path: '../mall/mall-riverside.json' }
+    },
+    id: 'unit-101',
+    rect: { x: 0, y: 0, w: 6, h: 4 },
+    children: [
+        { id: 'room-bar', name: 'Bar', rect: { x: 0, y: 0, w: 4, h: 4 }, finish: 'oak' },
+        { id: 'room-store', name: 'Store', rect: { x: 4, y: 0, w: 2, h: 4 } }
+    ],
+    created: '2025-09-24T13:00:00.000Z',
+    notes: 'Keep the bar near the entrance'
+};
+
 /**
  * Compare two coordinate arrays (ignoring order)
  */
@@ -231,10 +284,61 @@ function simulateEditorRoundTrip(sceneData) {
     };
 }
 
+/**
+ * Simulate the editor's mall export for a loaded mall template (handleExportMallTemplate)
+ */
+function exportMall(builder, dto, units = dto.units) {
+    const built = builder.buildMallTemplate({
+        id: dto.id,
+        gridWidth: dto.gridSize.width,
+        gridHeight: dto.gridSize.height,
+        cellSize: dto.gridSize.cellSize,
+        units
+    });
+    return builder.patchTemplate(dto.source, built);
+}
+
+/**
+ * Simulate the editor's gallery export for a loaded unit template (exportAsGalleryTemplate)
+ */
+function exportUnit(builder, dto, rect = dto.rect) {
+    const built = builder.buildUnitTemplate({ id: dto.id, rect, rooms: dto.children, parentMallId: dto.parentId });
+    return builder.patchTemplate(dto.source, built);
+}
+
+/**
+ * Simulate the editor's scene export (exportAsScene): the document's scene.v1 plus its levels
+ */
+function exportScene(builder, doc) {
+    const scene = doc.toSceneV1();
+    return builder.buildSceneV1({
+        gridWidth: doc.gridWidth,
+        gridHeight: doc.gridHeight,
+        cellSize: doc.cellSize,
+        floorTiles: scene.tiles.floor,
+        hEdges: scene.edges.horizontal,
+        vEdges: scene.edges.vertical,
+        openings: scene.edges.openings,
+        floorMaterials: scene.tiles.materials,
+        scale: doc.scale,
+        ...doc.levelsToWire()
+    });
+}
+
+/**
+ * Simulate the editor's scene import (fromSceneV1, then the level stack)
+ */
+function importScene(FloorplanDocument, scene) {
+    const doc = new FloorplanDocument();
+    doc.fromSceneV1(scene);
+    doc.applyImportedLevels(scene);
+    return doc;
+}
+
 /**
  * Run all tests
  */
-function runTests() {
+async function runTests() {
     console.log('🧪 Running Golden Round-Trip Tests for Scene.v1 Format\\n');
 
     let passed = 0;
@@ -303,12 +407,165 @@ function runTests() {
         failed++;
     }
 
+    const { load } = await import(path.join(__dirname, '..', 'src', 'editor', 'core', 'TemplateLoader.js'));
+    const builder = await import(path.join(__dirname, '..', 'src', 'editor', 'core', 'ExportBuilder.js'));
+    const { validateTemplate } = await import(path.join(__dirname, '..', 'src', 'editor', 'core', 'TemplateValidation.js'));
+
+    // Test 4: Mall template Load → Export
+    console.log('\\nTest 4: Mall Template Round-Trip');
+    try {
+        const { dto } = load(structuredClone(testMallTemplate));
+        const exported = exportMall(builder, dto);
+        assert.deepStrictEqual(exported, testMallTemplate);
+        assert.ok(validateTemplate(exported, 'mall').valid, 'exported mall matches its schema');
+        console.log('✅ Mall template round-trip keeps every field, including created');
+        passed++;
+    } catch (error) {
+        console.log('❌ Mall template round-trip fails:', error.message);
+        failed++;
+    }
+
+    // Test 5: Mall template Load → Edit → Export
+    console.log('\\nTest 5: Mall Template Edit Round-Trip');
+    try {
+        const { dto } = load(structuredClone(testMallTemplate));
+        const units = [
+            { ...dto.units[0], rect: { x: 0, y: 0, w: 5, h: 4 } },
+            { id: 'unit-103', rect: { x: 14, y: 0, w: 4, h: 4 } }
+        ];
+        const exported = exportMall(builder, dto, units);
+
+        const expected = structuredClone(testMallTemplate);
+        expected.units = [
+            { ...expected.units[0], rect: { x: 0, y: 0, w: 5, h: 4 } },
+            { id: 'unit-103', rect: { x: 14, y: 0, w: 4, h: 4 } }
+        ];
+        assert.deepStrictEqual(exported, expected);
+        console.log('✅ Mall edits change only the edited units');
+        passed++;
+    } catch (error) {
+        console.log('❌ Mall template edit round-trip fails:', error.message);
+        failed++;
+    }
+
+    // Test 6: Unit template Load → Export, unedited and with a moved rect
+    console.log('\\nTest 6: Unit Template Round-Trip');
+    try {
+        const { dto } = load(structuredClone(testUnitTemplate));
+        assert.deepStrictEqual(exportUnit(builder, dto), testUnitTemplate);
+
+        const moved = exportUnit(builder, dto, { x: 1, y: 1, w: 6, h: 4 });
+        assert.deepStrictEqual(moved, { ...testUnitTemplate, rect: { x: 1, y: 1, w: 6, h: 4 } });
+        assert.ok(validateTemplate(moved, 'unit').valid, 'exported unit matches its schema');
+        console.log('✅ Unit template round-trip keeps room names, custom fields and the parent path');
+        passed++;
+    } catch (error) {
+        console.log('❌ Unit template round-trip fails:', error.message);
+        failed++;
+    }
+
+    // Test 7: Scene data the editor drops is removed, the rest of the file is not
+    console.log('\\nTest 7: Editor-Owned Fields');
+    try {
+        const source = { ...structuredClone(testMallTemplate), gridSize: { width: 30, height: 20 }, sceneData: { tiles: { floor: [[0, 0]] } } };
+        const { dto } = load(source);
+        const exported = exportMall(builder, dto);
+        assert.ok(!('sceneData' in exported), 'stale scene data is not carried over');
+        assert.ok(!('gridSize' in exported), 'legacy gridSize is replaced by grid');
+        assert.deepStrictEqual(exported.landlord, testMallTemplate.landlord);
+        console.log('✅ Editor-owned fields follow the editor; unknown fields stay');
+        passed++;
+    } catch (error) {
+        console.log('❌ Editor-owned field handling fails:', error.message);
+        failed++;
+    }
+
+    const { FloorplanDocument, MAX_GRID_SIZE } = await import(path.join(__dirname, '..', 'src', 'editor', 'core', 'FloorplanDocument.js'));
+
+    // Test 8: Floor and wall finishes, on both levels of a two-level scene
+    console.log('\\nTest 8: Finished Scene Round-Trip');
+    try {
+        const doc = new FloorplanDocument({ width: 10, height: 8 });
+        const finish = () => {
+            doc.paintTile(1, 1, 'floor');
+            doc.paintTile(2, 1, 'floor');
+            doc.paintFloorMaterial(1, 1, 'carpet');
+            doc.paintEdge('horizontal', 1, 1, 'wall');
+            doc.paintEdge('vertical', 3, 1, 'window');
+            doc.paintEdgeMaterial('horizontal', 1, 1, 'glass');
+            doc.paintEdgeMaterial('vertical', 3, 1, 'drywall');
+        };
+        finish();
+        doc.addLevel();
+        finish();
+
+        const single = doc.toSceneV1();
+        assert.deepStrictEqual(single.tiles.materials, [{ x: 1, y: 1, material: 'carpet' }]);
+        assert.ok(validate(single), `document scene fails schema validation: ${ajv.errorsText(validate.errors)}`);
+
+        const exported = exportScene(builder, doc);
+        assert.strictEqual(exported.levels.length, 2);
+        assert.ok(exported.levels.every(level => level.tiles.materials && level.edges.openings.every(o => o.material)));
+        assert.ok(validate(exported), `exported scene fails schema validation: ${ajv.errorsText(validate.errors)}`);
+
+        const reexported = exportScene(builder, importScene(FloorplanDocument, exported));
+        assert.ok(validate(reexported), `re-exported scene fails schema validation: ${ajv.errorsText(validate.errors)}`);
+        assert.ok(deepEqualIgnoreTimestamps(exported, reexported), 'finishes change on the round-trip');
+        console.log('✅ Floor and wall finishes validate and round-trip on every level');
+        passed++;
+    } catch (error) {
+        console.log('❌ Finished scene round-trip fails:', error.message);
+        failed++;
+    }
+
+    // Test 9: Non-default scale
+    console.log('\\nTest 9: Scaled Scene Round-Trip');
+    try {
+        const doc = new FloorplanDocument({ width: 10, height: 8 });
+        doc.paintTile(1, 1, 'floor');
+        doc.setScale({ cellMeters: 0.6096, units: 'imperial' });
+
+        const single = doc.toSceneV1();
+        assert.deepStrictEqual(single.scale, { cellMeters: 0.6096, units: 'imperial' });
+        assert.ok(validate(single), `document scene fails schema validation: ${ajv.errorsText(validate.errors)}`);
+
+        const exported = exportScene(builder, doc);
+        assert.ok(validate(exported), `exported scene fails schema validation: ${ajv.errorsText(validate.errors)}`);
+
+        const reimported = importScene(FloorplanDocument, exported);
+        assert.deepStrictEqual(reimported.scale, { cellMeters: 0.6096, units: 'imperial' });
+        assert.ok(deepEqualIgnoreTimestamps(exported, exportScene(builder, reimported)), 'scale changes on the round-trip');
+
+        assert.ok(!validate({ ...exported, scale: { cellMeters: 0 } }), 'a zero cell size is rejected');
+        assert.ok(!validate({ ...exported, scale: { cellMeters: 1, units: 'furlongs' } }), 'unknown units are rejected');
+        console.log('✅ A non-default scale validates and round-trips');
+        passed++;
+    } catch (error) {
+        console.log('❌ Scaled scene round-trip fails:', error.message);
+        failed++;
+    }
+
+    // Test 10: The largest grid the editor can resize to
+    console.log('\\nTest 10: Large Grid');
+    try {
+        const doc = new FloorplanDocument({ width: 10, height: 8 });
+        doc.resizeGrid(MAX_GRID_SIZE, 300);
+        const exported = exportScene(builder, doc);
+        assert.ok(validate(exported), `exported scene fails schema validation: ${ajv.errorsText(validate.errors)}`);
+        assert.ok(!validate({ ...exported, grid: { ...exported.grid, width: MAX_GRID_SIZE + 1 } }), 'a larger grid is rejected');
+        console.log('✅ A grid of the maximum size validates');
+        passed++;
+    } catch (error) {
+        console.log('❌ Large grid fails:', error.message);
+        failed++;
+    }
+
     // Results
     console.log(`\\n📊 Test Results: ${passed} passed, ${failed} failed`);
 
     if (failed === 0) {
         console.log('🎉 All golden round-trip tests passed!');
-        console.log('✅ Scene.v1 format maintains data integrity');
+        console.log('✅ Scene.v1 format and mall/unit templates maintain data integrity');
         process.exit(0);
     } else {
         console.log('💥 Some tests failed - data integrity cannot be guaranteed');
@@ -0,0 +1,171 @@
+/**
+ * Grid Transform Tests - Validates rotate and mirror operations
+ *
+ * Tests:
+ * 1. Scenes rotate and mirror with edges switching between the horizontal and vertical sets
+ * 2. Four quarter turns and two mirrors give back the original scene
+ * 3. Templates turn inside their rect: shape, children, entrances and sceneData move together
+ * 4. A selection turns in place as one undo step and respects the template bounds
+ */
+
+import assert from 'assert';
+import { transformScene, transformTemplate, TRANSFORM_OPS } from '../src/editor/core/GridTransforms.js';
+import { shapeCells } from '../src/editor/core/TemplateShape.js';
+import { validateTemplate } from '../src/editor/core/TemplateValidation.js';
+import { makeBounds } from '../src/editor/core/TemplateBounds.js';
+import { FloorplanDocument } from '../src/editor/core/FloorplanDocument.js';
+
+let totalAssertions = 0;
+let passedAssertions = 0;
+
+async function runAssertion(description, assertion) {
+    totalAssertions++;
+    try {
+        await quietly(assertion);
+        passedAssertions++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        console.error(`✗ ${description}: ${error.message}`);
+    }
+}
+
+// Silence the document's diagnostic logging
+const { log, info, warn } = console;
+async function quietly(fn) {
+    console.log = console.info = console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, { log, info, warn });
+    }
+}
+
+// A 3x2 kiosk: floor along the top row plus the bottom-left cell, a wall on top, a door on the left
+const kiosk = {
+    meta: { schema: 'scene.v1', version: '1.0' },
+    grid: { width: 3, height: 2, cellSize: 20 },
+    tiles: { floor: [[0, 0], [1, 0], [2, 0], [0, 1]] },
+    edges: {
+        horizontal: [[0, 0], [1, 0], [2, 0]],
+        vertical: [[0, 1]],
+        openings: [{ dir: 'V', x: 0, y: 1, type: 'door', width: 0.9 }]
+    }
+};
+
+const unit = {
+    meta: { schema: 'unit-template.v2', version: '2.0', parent: { schema: 'mall-template.v1', id: 'mall-001' } },
+    id: 'unit-001',
+    rect: { x: 2, y: 1, w: 4, h: 2 },
+    entrance: { side: 'north', offset: 1 },
+    shape: { cells: [[2, 1], [3, 1], [4, 1], [5, 1], [2, 2]] },
+    children: [
+        { id: 'room-a', rect: { x: 2, y: 1, w: 1, h: 2 }, entrance: { side: 'west', offset: 0 } },
+        { id: 'room-b', rect: { x: 3, y: 1, w: 3, h: 1 }, shape: { outline: [[3, 1], [6, 1], [6, 2], [3, 2]] } }
+    ],
+    sceneData: { meta: { schema: 'scene.v1' }, tiles: { floor: [[2, 1]] }, edges: { horizontal: [[2, 1]], vertical: [] } },
+    name: 'Corner Kiosk'
+};
+
+console.log('🧪 Running Grid Transform Tests...\n');
+
+// Test 1: scenes
+await runAssertion('a quarter turn moves the top wall to the right side and the door to the top', () => {
+    const turned = transformScene(kiosk, 'rotate90');
+    assert.deepStrictEqual(turned.grid, { width: 2, height: 3, cellSize: 20 });
+    assert.deepStrictEqual(turned.tiles.floor, [[0, 0], [1, 0], [1, 1], [1, 2]]);
+    assert.deepStrictEqual(turned.edges.horizontal, [[0, 0]]);
+    assert.deepStrictEqual(turned.edges.vertical, [[2, 0], [2, 1], [2, 2]]);
+    assert.deepStrictEqual(turned.edges.openings, [{ dir: 'H', x: 0, y: 0, type: 'door', width: 0.9 }]);
+    assert.deepStrictEqual(kiosk.tiles.floor, [[0, 0], [1, 0], [2, 0], [0, 1]], 'the input is not modified');
+});
+
+await runAssertion('mirrors keep edge directions and land on the far side', () => {
+    const mirrored = transformScene(kiosk, 'flipHorizontal');
+    assert.deepStrictEqual(mirrored.tiles.floor, [[0, 0], [1, 0], [2, 0], [2, 1]]);
+    assert.deepStrictEqual(mirrored.edges.vertical, [[3, 1]]);
+    assert.deepStrictEqual(mirrored.edges.openings[0], { dir: 'V', x: 3, y: 1, type: 'door', width: 0.9 });
+
+    const flipped = transformScene(kiosk, 'flipVertical');
+    assert.deepStrictEqual(flipped.edges.horizontal, [[0, 2], [1, 2], [2, 2]]);
+    assert.throws(() => transformScene(kiosk, 'rotate45'), /Unknown transform "rotate45"/);
+});
+
+// Test 2: round trips
+await runAssertion('four quarter turns and double mirrors are the identity', () => {
+    const levels = { ...kiosk, levels: [{ id: 'level-0', tiles: kiosk.tiles, edges: kiosk.edges }], verticalLinks: [{ type: 'stair', rect: { x: 0, y: 0, w: 2, h: 1 } }] };
+    const quarter = [1, 2, 3, 4].reduce(scene => transformScene(scene, 'rotate90'), levels);
+    assert.deepStrictEqual(quarter, levels);
+    assert.deepStrictEqual(transformScene(transformScene(levels, 'rotate90'), 'rotate270'), levels);
+    for (const op of ['flipHorizontal', 'flipVertical', 'rotate180']) {
+        assert.deepStrictEqual(transformScene(transformScene(levels, op), op), levels, op);
+    }
+    assert.deepStrictEqual(transformScene(levels, 'rotate90').verticalLinks[0].rect, { x: 1, y: 0, w: 1, h: 2 });
+});
+
+// Test 3: templates
+await runAssertion('a rotated unit keeps its corner and turns children, shapes and entrances', () => {
+    const turned = transformTemplate(unit, 'rotate90');
+    assert.deepStrictEqual(turned.rect, { x: 2, y: 1, w: 2, h: 4 });
+    assert.deepStrictEqual(turned.entrance, { side: 'east', offset: 1 });
+    assert.deepStrictEqual(turned.children[0], { id: 'room-a', rect: { x: 2, y: 1, w: 2, h: 1 }, entrance: { side: 'north', offset: 1 } });
+    assert.deepStrictEqual(turned.children[1].rect, { x: 3, y: 2, w: 1, h: 3 });
+    assert.deepStrictEqual(shapeCells(turned.children[1].shape), [[3, 2], [3, 3], [3, 4]]);
+    assert.deepStrictEqual(turned.shape.cells, [[2, 1], [3, 1], [3, 2], [3, 3], [3, 4]]);
+    assert.deepStrictEqual(turned.sceneData.tiles.floor, [[3, 1]]);
+    assert.deepStrictEqual(turned.sceneData.edges, { horizontal: [], vertical: [[4, 1]] });
+    assert.deepStrictEqual([turned.name, turned.meta], [unit.name, unit.meta]);
+    assert.strictEqual(validateTemplate(turned, 'unit').valid, true);
+});
+
+await runAssertion('mirroring a unit swaps east and west entrances and measures offsets from the new end', () => {
+    const mirrored = transformTemplate(unit, 'flipHorizontal');
+    assert.deepStrictEqual(mirrored.entrance, { side: 'north', offset: 2 });
+    assert.deepStrictEqual(mirrored.children[0].rect, { x: 5, y: 1, w: 1, h: 2 });
+    assert.deepStrictEqual(mirrored.children[0].entrance, { side: 'east', offset: 0 });
+
+    for (const op of TRANSFORM_OPS) {
+        const inverse = { rotate90: 'rotate270', rotate270: 'rotate90' }[op] || op;
+        assert.deepStrictEqual(transformTemplate(transformTemplate(unit, op), inverse), unit, op);
+    }
+    assert.throws(() => transformTemplate({ id: 'scene' }, 'rotate90'), /has no rect/);
+});
+
+// Test 4: editor selection
+await runAssertion('a selection rotates in place as one undo step', () => {
+    const doc = new FloorplanDocument({ width: 10, height: 8 });
+    doc.pasteFragment(kiosk, 1, 1);
+    doc.history.clear();
+
+    const result = doc.transformSelection({ x: 1, y: 1, w: 3, h: 2 }, 'rotate90');
+    assert.deepStrictEqual(result.rect, { x: 1, y: 1, w: 2, h: 3 });
+    assert.deepStrictEqual(doc.horizontalEdges[1][1], { type: 'door', width: 0.9 });
+    assert.deepStrictEqual([doc.verticalEdges[1][3], doc.horizontalEdges[1][2]], [true, false]);
+    assert.deepStrictEqual(doc.copySelection(result.rect).tiles.floor, [[0, 0], [1, 0], [1, 1], [1, 2]]);
+
+    doc.undo();
+    assert.deepStrictEqual(doc.copySelection({ x: 1, y: 1, w: 3, h: 2 }).tiles.floor, kiosk.tiles.floor);
+    assert.strictEqual(doc.history.canUndo(), false);
+});
+
+await runAssertion('a turned selection drops what would leave the template bounds', () => {
+    const doc = new FloorplanDocument({ width: 10, height: 8 });
+    doc.pasteFragment(kiosk, 1, 1);
+    const room = { type: 'room', id: 'room-1', rect: { x: 0, y: 0, w: 5, h: 3 } };
+    doc.overlayModel = { templateData: room, bounds: makeBounds(room), constraints: null };
+    doc.showTemplate = true;
+
+    // The rotated kiosk is 3 cells tall; its bottom tile and wall would sit at y=3, outside the room
+    const { skipped } = doc.transformSelection({ x: 1, y: 1, w: 3, h: 2 }, 'rotate90');
+    assert.strictEqual(skipped, 2);
+    assert.strictEqual(doc.grid[3][2], 'empty');
+});
+
+console.log(`\nTest Summary: ${passedAssertions}/${totalAssertions} assertions passed`);
+
+if (passedAssertions === totalAssertions) {
+    console.log('All grid transform tests passed!');
+    process.exit(0);
+} else {
+    console.log('Some grid transform tests failed');
+    process.exit(1);
+}
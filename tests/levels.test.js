@@ -0,0 +1,232 @@
+/**
+ * Levels Tests - Validates multi-level malls and vertical links
+ *
+ * Tests:
+ * 1. Levels helpers (defaults, ordering, serialize/deserialize)
+ * 2. normalizeLevels / normalizeVerticalLinks filtering
+ * 3. toScene3DLevels shares one origin offset and mirrors the ground level
+ * 4. levels[] / verticalLinks[] match the scene.3d.v1 schema
+ * 5. Mall template and scene.v1 builders only add levels when multi-level
+ */
+
+import assert from 'assert';
+import {
+    createLevel, nextLevelDefaults, sortLevels, getLevelBelow, getLevelAbove,
+    serializeLevel, deserializeLevel, normalizeLevels, normalizeVerticalLinks, linksTouchingLevel, nextLinkId
+} from '../src/editor/core/Levels.js';
+import { makeEdge } from '../src/editor/core/EdgeTypes.js';
+import { toScene3D, toScene3DLevels } from '../src/editor/core/ExportBuilder3D.js';
+import { buildMallTemplate, buildSceneV1 } from '../src/editor/core/ExportBuilder.js';
+import { load as loadTemplate } from '../src/editor/core/TemplateLoader.js';
+import { readFileSync } from 'fs';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+
+const ajv = new Ajv({ strict: false });
+addFormats(ajv);
+const scene3dSchema = JSON.parse(readFileSync('schemas/scene.3d.v1.schema.json', 'utf8'));
+ajv.addSchema(scene3dSchema);
+const validateLevels = ajv.getSchema(`${scene3dSchema.$id}#/properties/levels`);
+const validateLinks = ajv.getSchema(`${scene3dSchema.$id}#/properties/verticalLinks`);
+
+let totalAssertions = 0;
+let passedAssertions = 0;
+
+async function runAssertion(description, assertion) {
+    totalAssertions++;
+    try {
+        await assertion();
+        passedAssertions++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        console.error(`✗ ${description}: ${error.message}`);
+    }
+}
+
+// Level with a walled rectangle of floor at (x, y) sized w × h on a 10×8 grid
+function createRoomLevel(id, elevation, x, y, w, h) {
+    const level = createLevel({ id, name: id, elevation, width: 10, height: 8 });
+    const model = level.sceneModel;
+    for (let gy = y; gy < y + h; gy++) {
+        for (let gx = x; gx < x + w; gx++) {
+            model.grid[gy][gx] = 'floor';
+        }
+        model.verticalEdges[gy][x] = true;
+        model.verticalEdges[gy][x + w] = true;
+    }
+    for (let gx = x; gx < x + w; gx++) {
+        model.horizontalEdges[y][gx] = true;
+        model.horizontalEdges[y + h][gx] = true;
+    }
+    return level;
+}
+
+// Silence export diagnostics
+const log = console.log;
+const info = console.info;
+const warn = console.warn;
+function quietly(fn) {
+    console.log = console.info = console.warn = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = log;
+        console.info = info;
+        console.warn = warn;
+    }
+}
+
+console.log('🧪 Running Levels Tests...\n');
+
+// Test 1: helpers
+await runAssertion('nextLevelDefaults stacks above the top level', () => {
+    const ground = createLevel({ id: 'level-0', name: 'Ground', elevation: 0, width: 2, height: 2 });
+    assert.deepStrictEqual(nextLevelDefaults([]), { id: 'level-0', name: 'Level 0', elevation: 0 });
+    assert.deepStrictEqual(nextLevelDefaults([ground]), { id: 'level-1', name: 'Level 1', elevation: 4.5 });
+});
+
+await runAssertion('levels sort by elevation; below/above follow the stack', () => {
+    const a = createLevel({ id: 'a', elevation: 4.5, width: 1, height: 1 });
+    const b = createLevel({ id: 'b', elevation: 0, width: 1, height: 1 });
+    const c = createLevel({ id: 'c', elevation: 9, width: 1, height: 1 });
+    const levels = [a, b, c];
+    assert.deepStrictEqual(sortLevels(levels).map(level => level.id), ['b', 'a', 'c']);
+    assert.strictEqual(getLevelBelow(levels, 'a'), b);
+    assert.strictEqual(getLevelBelow(levels, 'b'), null);
+    assert.strictEqual(getLevelAbove(levels, 'a'), c);
+    assert.strictEqual(getLevelAbove(levels, 'c'), null);
+});
+
+await runAssertion('serializeLevel / deserializeLevel round-trip including typed edges', () => {
+    const level = createRoomLevel('level-1', 4.5, 1, 1, 2, 2);
+    level.sceneModel.horizontalEdges[3][1] = makeEdge('door', { width: 0.9 });
+
+    const wire = serializeLevel(level);
+    assert.deepStrictEqual(wire.edges.openings, [{ dir: 'H', x: 1, y: 3, type: 'door', width: 0.9 }]);
+
+    const restored = deserializeLevel(wire, 10, 8);
+    assert.deepStrictEqual(restored, level);
+});
+
+// Test 2: normalization
+await runAssertion('normalizeLevels fills defaults, drops duplicates and sorts', () => {
+    const levels = quietly(() => normalizeLevels([
+        { id: 'upper', elevation: 5 },
+        { id: 'ground' },
+        { id: 'upper', elevation: 9 },
+        null
+    ]));
+    // 'ground' has no elevation, so it defaults to its index × 4.5
+    assert.deepStrictEqual(levels.map(level => [level.id, level.elevation]), [['ground', 4.5], ['upper', 5]]);
+    assert.deepStrictEqual(levels[0].edges, { horizontal: [], vertical: [] });
+});
+
+await runAssertion('normalizeVerticalLinks keeps only valid links between known levels', () => {
+    const links = quietly(() => normalizeVerticalLinks([
+        { id: 'stair-1', type: 'stair', rect: { x: 1, y: 1, w: 2, h: 1 }, fromLevel: 'g', toLevel: 'l1' },
+        { type: 'elevator', rect: { x: 0, y: 0, w: 1, h: 1 }, fromLevel: 'g', toLevel: 'l1' },
+        { id: 'ramp', type: 'ramp', rect: { x: 0, y: 0, w: 1, h: 1 }, fromLevel: 'g', toLevel: 'l1' },
+        { id: 'flat', type: 'stair', rect: { x: 0, y: 0, w: 0, h: 1 }, fromLevel: 'g', toLevel: 'l1' },
+        { id: 'lost', type: 'stair', rect: { x: 0, y: 0, w: 1, h: 1 }, fromLevel: 'g', toLevel: 'l9' },
+        { id: 'loop', type: 'stair', rect: { x: 0, y: 0, w: 1, h: 1 }, fromLevel: 'g', toLevel: 'g' }
+    ], ['g', 'l1']));
+    assert.deepStrictEqual(links.map(link => link.id), ['stair-1', 'elevator-2']);
+    assert.deepStrictEqual(linksTouchingLevel(links, 'l1').length, 2);
+    assert.strictEqual(nextLinkId(links, 'stair'), 'stair-2');
+});
+
+// Test 3: scene.3d.v1 export
+await runAssertion('toScene3DLevels normalizes every level by one shared offset', () => {
+    const ground = createRoomLevel('level-0', 0, 2, 2, 3, 2);
+    const upper = createRoomLevel('level-1', 4.5, 4, 3, 2, 2);
+    const link = { id: 'stair-1', type: 'stair', rect: { x: 3, y: 3, w: 2, h: 1 }, fromLevel: 'level-0', toLevel: 'level-1' };
+
+    const output = quietly(() => toScene3DLevels({ levels: [upper, ground], verticalLinks: [link], cellSize: 20, safeId: 'mall' }));
+
+    assert.deepStrictEqual(output.originOffset, { x: 2, y: 2 });
+    assert.deepStrictEqual(output.levels.map(level => [level.id, level.elevation]), [['level-0', 0], ['level-1', 4.5]]);
+    assert.deepStrictEqual(output.levels[1].tiles.floor[0], [2, 1]);
+    assert.deepStrictEqual(output.verticalLinks[0].rect, { x: 1, y: 1, w: 2, h: 1 });
+    assert.strictEqual(output.bounds.max.z, 4.5 + output.units.wallHeightMeters);
+});
+
+await runAssertion('top-level tiles/edges/parity mirror the ground level', () => {
+    const ground = createRoomLevel('level-0', 0, 0, 0, 3, 2);
+    const upper = createRoomLevel('level-1', 4.5, 0, 0, 2, 2);
+    const output = quietly(() => toScene3DLevels({ levels: [ground, upper], cellSize: 20 }));
+    const single = quietly(() => toScene3D(ground.sceneModel, 20, 'ground'));
+
+    assert.deepStrictEqual(output.tiles, single.tiles);
+    assert.deepStrictEqual(output.edges, single.edges);
+    assert.deepStrictEqual(output.meta.parity, single.meta.parity);
+});
+
+await runAssertion('digest covers upper levels and links', () => {
+    const ground = createRoomLevel('level-0', 0, 0, 0, 3, 2);
+    const upperA = createRoomLevel('level-1', 4.5, 0, 0, 2, 2);
+    const upperB = createRoomLevel('level-1', 4.5, 0, 0, 3, 2);
+    const link = { id: 'elevator-1', type: 'elevator', rect: { x: 0, y: 0, w: 1, h: 1 }, fromLevel: 'level-0', toLevel: 'level-1' };
+
+    const a = quietly(() => toScene3DLevels({ levels: [ground, upperA], cellSize: 20 }));
+    const b = quietly(() => toScene3DLevels({ levels: [ground, upperB], cellSize: 20 }));
+    const c = quietly(() => toScene3DLevels({ levels: [ground, upperA], verticalLinks: [link], cellSize: 20 }));
+    const again = quietly(() => toScene3DLevels({ levels: [ground, upperA], cellSize: 20 }));
+
+    assert.strictEqual(a.meta.digest, again.meta.digest);
+    assert.notStrictEqual(a.meta.digest, b.meta.digest);
+    assert.notStrictEqual(a.meta.digest, c.meta.digest);
+});
+
+await runAssertion('combined footprint is checked against simulation limits', () => {
+    const ground = createLevel({ id: 'level-0', elevation: 0, width: 70, height: 2 });
+    const upper = createLevel({ id: 'level-1', elevation: 4.5, width: 70, height: 2 });
+    ground.sceneModel.grid[0][0] = 'floor';
+    upper.sceneModel.grid[0][65] = 'floor';
+    assert.throws(() => quietly(() => toScene3DLevels({ levels: [ground, upper], cellSize: 20 })), /exceeds simulation limit/);
+});
+
+// Test 4: schema
+await runAssertion('levels and verticalLinks validate against scene.3d.v1 schema', () => {
+    const ground = createRoomLevel('level-0', 0, 0, 0, 3, 2);
+    const upper = createRoomLevel('level-1', 4.5, 0, 0, 3, 2);
+    upper.sceneModel.verticalEdges[0][0] = makeEdge('window');
+    const link = { id: 'escalator-1', type: 'escalator', rect: { x: 0, y: 0, w: 2, h: 1 }, fromLevel: 'level-0', toLevel: 'level-1' };
+    const output = quietly(() => toScene3DLevels({ levels: [ground, upper], verticalLinks: [link], cellSize: 20 }));
+
+    assert.ok(validateLevels(output.levels), JSON.stringify(validateLevels.errors));
+    assert.ok(validateLinks(output.verticalLinks), JSON.stringify(validateLinks.errors));
+    assert.ok(!validateLinks([{ ...link, type: 'ramp' }]), 'unknown link type should be rejected');
+});
+
+// Test 5: mall template and scene.v1
+await runAssertion('single-level builders keep their original shape', () => {
+    const ground = serializeLevel(createRoomLevel('level-0', 0, 0, 0, 2, 2));
+    const mall = buildMallTemplate({ gridWidth: 10, gridHeight: 8, cellSize: 20, units: [], id: 'm', levels: [ground] });
+    assert.ok(!('levels' in mall) && !('verticalLinks' in mall));
+
+    const scene = buildSceneV1({ gridWidth: 10, gridHeight: 8, cellSize: 20, floorTiles: [], hEdges: [], vEdges: [] });
+    assert.ok(!('levels' in scene));
+});
+
+await runAssertion('multi-level mall template round-trips through TemplateLoader', () => {
+    const levels = [
+        serializeLevel(createRoomLevel('level-0', 0, 0, 0, 2, 2)),
+        serializeLevel(createRoomLevel('level-1', 4.5, 1, 1, 2, 2))
+    ];
+    const verticalLinks = [{ id: 'stair-1', type: 'stair', rect: { x: 1, y: 1, w: 1, h: 1 }, fromLevel: 'level-0', toLevel: 'level-1' }];
+    const mall = buildMallTemplate({ gridWidth: 10, gridHeight: 8, cellSize: 20, units: [], id: 'm', levels, verticalLinks });
+
+    const { dto } = quietly(() => loadTemplate(JSON.parse(JSON.stringify(mall))));
+    assert.deepStrictEqual(dto.levels, levels);
+    assert.deepStrictEqual(dto.verticalLinks, verticalLinks);
+});
+
+console.log(`\nTest Summary: ${passedAssertions}/${totalAssertions} assertions passed`);
+
+if (passedAssertions === totalAssertions) {
+    console.log('All levels tests passed!');
+    process.exit(0);
+} else {
+    console.log('Some levels tests failed');
+    process.exit(1);
+}
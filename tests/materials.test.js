@@ -0,0 +1,217 @@
+/**
+ * Materials Tests - Validates floor and wall finishes
+ *
+ * Tests:
+ * 1. Painting finishes onto floor cells and edges, with undo and erase
+ * 2. scene.v1 saves, levels, selections and transforms keep finishes
+ * 3. toScene3D emits tiles.materials and edge materials that match the schema; plain scenes are unchanged
+ * 4. Runtime batching and glTF export split meshes per finish
+ */
+
+import assert from 'assert';
+import { readFileSync } from 'fs';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { MATERIALS, FLOOR_MATERIALS, WALL_MATERIALS, isMaterial, materialCssColor } from '../src/editor/core/Materials.js';
+import { makeEdge } from '../src/editor/core/EdgeTypes.js';
+import { FloorplanDocument } from '../src/editor/core/FloorplanDocument.js';
+import { serializeLevel, deserializeLevel, createLevel } from '../src/editor/core/Levels.js';
+import { transformScene } from '../src/editor/core/GridTransforms.js';
+import { toScene3D } from '../src/editor/core/ExportBuilder3D.js';
+import { toGLTF } from '../src/editor/core/GltfExporter.js';
+import { buildSceneV1 } from '../src/editor/core/ExportBuilder.js';
+import MeshBatching from '../src/runtime/meshBatching.js';
+
+const ajv = new Ajv({ strict: false });
+addFormats(ajv);
+const scene3dSchema = JSON.parse(readFileSync('schemas/scene.3d.v1.schema.json', 'utf8'));
+const validateTiles = ajv.compile(scene3dSchema.properties.tiles);
+const validateEdges = ajv.compile(scene3dSchema.properties.edges);
+
+let totalAssertions = 0;
+let passedAssertions = 0;
+
+async function runAssertion(description, assertion) {
+    totalAssertions++;
+    try {
+        await quietly(assertion);
+        passedAssertions++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        console.error(`✗ ${description}: ${error.message}`);
+    }
+}
+
+// Silence the document's diagnostic logging
+const { log, info, warn } = console;
+async function quietly(fn) {
+    console.log = console.info = console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, { log, info, warn });
+    }
+}
+
+// 3x2 floor with a wall on top; the middle top cell is carpeted and the left top wall is glass
+function createFinishedDoc() {
+    const doc = new FloorplanDocument({ width: 8, height: 6 });
+    for (let y = 1; y <= 2; y++) {
+        for (let x = 1; x <= 3; x++) doc.paintTile(x, y, 'floor');
+    }
+    [1, 2, 3].forEach(x => doc.paintEdge('horizontal', x, 1, 'wall'));
+    doc.paintFloorMaterial(2, 1, 'carpet');
+    doc.paintEdgeMaterial('horizontal', 1, 1, 'glass');
+    doc.history.clear();
+    return doc;
+}
+
+console.log('🧪 Running Materials Tests...\n');
+
+// Test 1: painting
+await runAssertion('the palette splits into floor and wall finishes with CSS colours', () => {
+    assert.deepStrictEqual(FLOOR_MATERIALS, ['tile', 'carpet', 'marble', 'timber']);
+    assert.deepStrictEqual(WALL_MATERIALS, ['glass', 'drywall']);
+    assert.strictEqual(isMaterial('carpet', 'wall'), false);
+    assert.strictEqual(materialCssColor('timber'), '#a8743f');
+    assert.strictEqual(materialCssColor('gold'), null);
+    assert.ok(MATERIALS.glass.opacity < 1);
+    assert.deepStrictEqual(makeEdge('wall', { material: 'glass' }), { type: 'wall', material: 'glass' });
+    assert.strictEqual(makeEdge('wall', { material: 'carpet' }), true, 'floor finishes do not stick to edges');
+});
+
+await runAssertion('finishes paint onto floor and edges only, and undo one step at a time', () => {
+    const doc = new FloorplanDocument({ width: 6, height: 4 });
+    assert.strictEqual(doc.paintFloorMaterial(1, 1, 'tile'), false, 'no floor to finish');
+    doc.paintTile(1, 1, 'floor');
+    doc.paintEdge('horizontal', 1, 1, 'door');
+    assert.strictEqual(doc.sceneModel.floorMaterials, undefined, 'the layer is created on first use');
+
+    assert.strictEqual(doc.paintFloorMaterial(1, 1, 'marble'), true);
+    assert.strictEqual(doc.paintFloorMaterial(1, 1, 'glass'), false, 'wall finishes do not go on floors');
+    assert.strictEqual(doc.paintEdgeMaterial('horizontal', 1, 1, 'drywall'), true);
+    assert.strictEqual(doc.paintEdgeMaterial('vertical', 1, 1, 'drywall'), false, 'no edge to finish');
+    assert.strictEqual(doc.floorMaterialAt(1, 1), 'marble');
+    assert.deepStrictEqual(doc.horizontalEdges[1][1], { type: 'door', material: 'drywall' });
+
+    doc.undo();
+    assert.strictEqual(doc.horizontalEdges[1][1].material, undefined);
+    doc.undo();
+    assert.strictEqual(doc.floorMaterialAt(1, 1), null);
+});
+
+await runAssertion('erasing a finished floor clears its finish in the same undo step', () => {
+    const doc = createFinishedDoc();
+    doc.paintTile(2, 1, 'erase');
+    doc.paintTile(2, 1, 'floor');
+    assert.strictEqual(doc.floorMaterialAt(2, 1), null, 'new floor starts plain');
+
+    doc.undo();
+    doc.undo();
+    assert.strictEqual(doc.floorMaterialAt(2, 1), 'carpet');
+
+    assert.strictEqual(doc.paintEdgeMaterial('horizontal', 1, 1, null), true);
+    assert.strictEqual(doc.horizontalEdges[1][1], true, 'a plain wall goes back to a boolean');
+});
+
+// Test 2: scene.v1, levels, selections and transforms
+await runAssertion('scene.v1 saves round-trip finishes', () => {
+    const source = createFinishedDoc();
+    const saved = source.toSceneV1();
+    assert.deepStrictEqual(saved.tiles.materials, [{ x: 2, y: 1, material: 'carpet' }]);
+    assert.deepStrictEqual(saved.edges.openings, [{ dir: 'H', x: 1, y: 1, type: 'wall', material: 'glass' }]);
+
+    const target = new FloorplanDocument({ width: 8, height: 6 });
+    target.fromSceneV1(saved);
+    assert.strictEqual(target.floorMaterialAt(2, 1), 'carpet');
+    assert.deepStrictEqual(target.horizontalEdges[1][1], { type: 'wall', material: 'glass' });
+
+    target.clearScene();
+    assert.strictEqual(target.sceneModel.floorMaterials, undefined);
+    assert.strictEqual(new FloorplanDocument({ width: 4, height: 4 }).toSceneV1().tiles.materials, undefined);
+
+    // The editor's scene download builds the same tiles
+    const built = buildSceneV1({ gridWidth: 8, gridHeight: 6, cellSize: 20, floorTiles: saved.tiles.floor, hEdges: [], vEdges: [], floorMaterials: saved.tiles.materials });
+    assert.deepStrictEqual(built.tiles, saved.tiles);
+});
+
+await runAssertion('levels serialize and restore finishes', () => {
+    const doc = createFinishedDoc();
+    const level = createLevel({ id: 'level-0', sceneModel: doc.sceneModel });
+    const wire = serializeLevel(level);
+    assert.deepStrictEqual(wire.tiles.materials, [{ x: 2, y: 1, material: 'carpet' }]);
+
+    const restored = deserializeLevel(wire, 8, 6);
+    assert.strictEqual(restored.sceneModel.floorMaterials[1][2], 'carpet');
+    assert.deepStrictEqual(restored.sceneModel.horizontalEdges[1][1], { type: 'wall', material: 'glass' });
+});
+
+await runAssertion('copy, paste and rotate carry finishes', () => {
+    const doc = createFinishedDoc();
+    const fragment = doc.copySelection({ x: 1, y: 1, w: 3, h: 2 });
+    assert.deepStrictEqual(fragment.tiles.materials, [{ x: 1, y: 0, material: 'carpet' }]);
+
+    doc.pasteFragment(fragment, 4, 3);
+    assert.strictEqual(doc.floorMaterialAt(5, 3), 'carpet');
+    assert.strictEqual(doc.horizontalEdges[3][4].material, 'glass');
+
+    const turned = transformScene(fragment, 'rotate90');
+    assert.deepStrictEqual(turned.tiles.materials, [{ x: 1, y: 1, material: 'carpet' }]);
+    assert.deepStrictEqual(turned.edges.openings, [{ dir: 'V', x: 2, y: 0, type: 'wall', material: 'glass' }]);
+});
+
+// Test 3: scene.3d.v1
+await runAssertion('toScene3D exports finishes that validate against the schema', () => {
+    const output = toScene3D(createFinishedDoc().sceneModel, 20, 'finishes');
+    assert.deepStrictEqual(output.tiles.materials, [{ x: 1, y: 0, material: 'carpet' }]);
+    assert.deepStrictEqual(output.edges.openings, [{ dir: 'H', x: 0, y: 0, type: 'wall', material: 'glass' }]);
+    assert.ok(validateTiles(output.tiles), JSON.stringify(validateTiles.errors));
+    assert.ok(validateEdges(output.edges), JSON.stringify(validateEdges.errors));
+    assert.strictEqual(validateTiles({ floor: [[0, 0]], materials: [{ x: 0, y: 0, material: 'glass' }] }), false, 'wall finishes are not floor finishes');
+});
+
+await runAssertion('finishes change the digest; plain scenes keep theirs', () => {
+    const finished = createFinishedDoc();
+    const plain = createFinishedDoc();
+    plain.paintFloorMaterial(2, 1, null);
+    plain.paintEdgeMaterial('horizontal', 1, 1, null);
+
+    const a = toScene3D(finished.sceneModel, 20, 'a');
+    const b = toScene3D(plain.sceneModel, 20, 'a');
+    assert.notStrictEqual(a.meta.digest, b.meta.digest);
+    assert.strictEqual(b.tiles.materials, undefined);
+    assert.strictEqual(b.edges.openings, undefined);
+
+    // A plain layer left behind by erasing does not change the export
+    delete plain.sceneModel.floorMaterials;
+    assert.strictEqual(toScene3D(plain.sceneModel, 20, 'a').meta.digest, b.meta.digest);
+});
+
+// Test 4: meshes
+await runAssertion('wall runs break where the finish changes', () => {
+    const edges = [0, 1, 2, 3].map(x => ({ x, y: 0, dir: 'H', ...(x >= 2 ? { type: 'wall', material: 'glass' } : {}) }));
+    const { runs } = MeshBatching.mergeWallRuns(edges);
+    assert.deepStrictEqual(runs, [
+        { dir: 'H', x: 0, y: 0, length: 2 },
+        { dir: 'H', x: 2, y: 0, length: 2, material: 'glass' }
+    ]);
+    const boxes = MeshBatching.buildWallBoxes(edges, { cellMeters: 1, wallHeight: 3, wallThickness: 0.2 });
+    assert.deepStrictEqual(boxes.map(box => box.material), [undefined, 'glass']);
+});
+
+await runAssertion('glTF export gives each finish its own primitive and material', () => {
+    const { json } = toGLTF(toScene3D(createFinishedDoc().sceneModel, 20, 'finishes'));
+    const names = json.materials.map(material => material.name).sort();
+    assert.deepStrictEqual(names, ['carpet', 'floor', 'glass', 'wall']);
+    assert.strictEqual(json.materials.find(material => material.name === 'glass').alphaMode, 'BLEND');
+});
+
+console.log(`\nTest Summary: ${passedAssertions}/${totalAssertions} assertions passed`);
+
+if (passedAssertions === totalAssertions) {
+    console.log('All materials tests passed!');
+    process.exit(0);
+} else {
+    console.log('Some materials tests failed');
+    process.exit(1);
+}
@@ -0,0 +1,198 @@
+/**
+ * Mesh Batching Tests - Validates wall-run merging and floor rectangles used by the runtime loader
+ *
+ * Tests:
+ * 1. mergeWallRuns merges collinear plain walls; typed edges break runs
+ * 2. buildWallBoxes joins corners without gaps or overlaps and covers every edge
+ * 3. mergeFloorRects covers every tile exactly once with few rectangles
+ * 4. batchStats reports draw calls and triangles
+ */
+
+import assert from 'assert';
+import MeshBatching from '../src/runtime/meshBatching.js';
+
+const { mergeWallRuns, buildWallBoxes, mergeFloorRects, buildFloorBoxes, batchStats, TRIANGLES_PER_BOX } = MeshBatching;
+
+let totalAssertions = 0;
+let passedAssertions = 0;
+
+async function runAssertion(description, assertion) {
+    totalAssertions++;
+    try {
+        await assertion();
+        passedAssertions++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        console.error(`✗ ${description}: ${error.message}`);
+    }
+}
+
+// Perimeter edges of a w × h room at (x, y)
+function roomEdges(x, y, w, h) {
+    const edges = [];
+    for (let i = 0; i < w; i++) {
+        edges.push({ x: x + i, y, dir: 'H' }, { x: x + i, y: y + h, dir: 'H' });
+    }
+    for (let j = 0; j < h; j++) {
+        edges.push({ x, y: y + j, dir: 'V' }, { x: x + w, y: y + j, dir: 'V' });
+    }
+    return edges;
+}
+
+const DIMS = { cellMeters: 1, wallHeight: 3, wallThickness: 0.2 };
+const EPS = 1e-9;
+
+const boxMin = (box, axis) => box.center[axis] - box.size[axis] / 2;
+const boxMax = (box, axis) => box.center[axis] + box.size[axis] / 2;
+const contains = (box, point) => [0, 1, 2].every(axis => point[axis] > boxMin(box, axis) - EPS && point[axis] < boxMax(box, axis) + EPS);
+const assertSpan = (box, axis, expected) => {
+    const actual = [boxMin(box, axis), boxMax(box, axis)];
+    assert.ok(actual.every((value, i) => Math.abs(value - expected[i]) < 1e-9), `span ${actual} ≠ ${expected}`);
+};
+const overlapVolume = (a, b) => [0, 1, 2].reduce((volume, axis) =>
+    volume * Math.max(0, Math.min(boxMax(a, axis), boxMax(b, axis)) - Math.max(boxMin(a, axis), boxMin(b, axis))), 1);
+
+console.log('🧪 Running Mesh Batching Tests...\n');
+
+// Test 1: runs
+await runAssertion('room perimeter merges into four runs', () => {
+    const { runs, typed } = mergeWallRuns(roomEdges(0, 0, 4, 3));
+    assert.deepStrictEqual(runs, [
+        { dir: 'H', x: 0, y: 0, length: 4 },
+        { dir: 'H', x: 0, y: 3, length: 4 },
+        { dir: 'V', x: 0, y: 0, length: 3 },
+        { dir: 'V', x: 4, y: 0, length: 3 }
+    ]);
+    assert.deepStrictEqual(typed, []);
+});
+
+await runAssertion('typed edges break runs and duplicates are ignored', () => {
+    const edges = [
+        { x: 0, y: 0, dir: 'H' }, { x: 1, y: 0, dir: 'H', type: 'door' }, { x: 2, y: 0, dir: 'H' },
+        { x: 3, y: 0, dir: 'H', type: 'wall', headHeight: 2.4 }, { x: 2, y: 0, dir: 'H' }
+    ];
+    const { runs, typed } = mergeWallRuns(edges);
+    assert.deepStrictEqual(runs, [
+        { dir: 'H', x: 0, y: 0, length: 1 },
+        { dir: 'H', x: 2, y: 0, length: 2 }
+    ]);
+    assert.deepStrictEqual(typed.map(edge => edge.type), ['door']);
+});
+
+// Test 2: boxes
+await runAssertion('corners are joined: H runs extend, V runs stop short', () => {
+    const boxes = buildWallBoxes(roomEdges(0, 0, 4, 3), DIMS);
+    assert.strictEqual(boxes.length, 4);
+
+    const [top, bottom, left, right] = boxes;
+    assertSpan(top, 0, [-0.1, 4.1]);
+    assertSpan(bottom, 0, [-0.1, 4.1]);
+    assertSpan(left, 2, [0.1, 2.9]);
+    assertSpan(right, 2, [0.1, 2.9]);
+
+    // Outer corner points are covered; boxes never overlap
+    [[-0.09, 1.5, -0.09], [4.09, 1.5, 3.09]].forEach(point => assert.ok(boxes.some(box => contains(box, point)), `corner ${point}`));
+    for (let i = 0; i < boxes.length; i++) {
+        for (let j = i + 1; j < boxes.length; j++) {
+            assert.ok(overlapVolume(boxes[i], boxes[j]) < EPS, `boxes ${i} and ${j} overlap`);
+        }
+    }
+});
+
+await runAssertion('merged walls cover the midpoint of every original edge and honor originOffset', () => {
+    // L-shaped outline with an interior T-junction wall
+    const edges = [
+        ...roomEdges(0, 0, 3, 2),
+        ...roomEdges(0, 2, 1, 2).filter(edge => !(edge.dir === 'H' && edge.y === 2)),
+        { x: 2, y: 0, dir: 'V' }
+    ];
+    const dims = { ...DIMS, cellMeters: 2, originOffset: { x: 5, y: 1 } };
+    const boxes = buildWallBoxes(edges, dims);
+    assert.ok(boxes.length < edges.length);
+
+    edges.forEach(edge => {
+        const x = (edge.x + 5 + (edge.dir === 'H' ? 0.5 : 0)) * 2;
+        const z = (edge.y + 1 + (edge.dir === 'V' ? 0.5 : 0)) * 2;
+        assert.ok(boxes.some(box => contains(box, [x, 1.5, z])), `edge ${edge.dir}(${edge.x},${edge.y}) uncovered`);
+    });
+});
+
+await runAssertion('doors keep their lintel and split the wall run', () => {
+    const edges = roomEdges(0, 0, 3, 2);
+    edges.find(edge => edge.dir === 'H' && edge.x === 1 && edge.y === 2).type = 'door';
+
+    const boxes = buildWallBoxes(edges, DIMS);
+    const door = boxes.filter(box => box.edgeType === 'door');
+    assert.strictEqual(door.length, 1);
+    assert.ok(Math.abs(boxMin(door[0], 1) - 2.1) < EPS);
+    // Bottom wall: two one-cell runs either side of the door plus the top run and two sides
+    assert.strictEqual(boxes.filter(box => box.edgeType === 'wall').length, 5);
+});
+
+// Test 3: floors
+await runAssertion('floor rectangles cover every tile exactly once', () => {
+    const tiles = [];
+    for (let y = 0; y < 6; y++) {
+        for (let x = 0; x < 8; x++) {
+            // Donut: hole in the middle
+            if (!(x >= 3 && x < 5 && y >= 2 && y < 4)) tiles.push([x, y]);
+        }
+    }
+    const rects = mergeFloorRects(tiles);
+    assert.ok(rects.length <= 4, `${rects.length} rects`);
+
+    const covered = new Map();
+    rects.forEach(rect => {
+        for (let y = rect.y; y < rect.y + rect.h; y++) {
+            for (let x = rect.x; x < rect.x + rect.w; x++) {
+                covered.set(`${x},${y}`, (covered.get(`${x},${y}`) || 0) + 1);
+            }
+        }
+    });
+    assert.strictEqual(covered.size, tiles.length);
+    tiles.forEach(([x, y]) => assert.strictEqual(covered.get(`${x},${y}`), 1));
+
+    assert.deepStrictEqual(mergeFloorRects([[0, 0], [1, 0], [0, 1], [1, 1]]), [{ x: 0, y: 0, w: 2, h: 2 }]);
+});
+
+await runAssertion('floor boxes sit on the ground at world positions', () => {
+    const [box] = buildFloorBoxes([[0, 0], [1, 0]], { cellMeters: 0.5, floorThickness: 0.1, originOffset: { x: 2, y: 4 } });
+    assert.deepStrictEqual(box.size, [1, 0.1, 0.5]);
+    assert.deepStrictEqual(box.center, [1.5, 0.05, 2.25]);
+});
+
+// Test 4: stats
+await runAssertion('a 60×40 mall with a unit grid collapses to a handful of instances', () => {
+    const edges = [];
+    const tiles = [];
+    for (let y = 0; y < 40; y++) {
+        for (let x = 0; x < 60; x++) {
+            tiles.push([x, y]);
+            // Unit walls every 10 cells across, every 8 down
+            if (y % 8 === 0) edges.push({ x, y, dir: 'H' });
+            if (x % 10 === 0) edges.push({ x, y, dir: 'V' });
+        }
+        edges.push({ x: 60, y, dir: 'V' });
+    }
+    for (let x = 0; x < 60; x++) edges.push({ x, y: 40, dir: 'H' });
+
+    const walls = buildWallBoxes(edges, DIMS);
+    const floors = buildFloorBoxes(tiles, { cellMeters: 1, floorThickness: 0.1 });
+    const stats = batchStats({ walls, floors });
+
+    assert.strictEqual(floors.length, 1);
+    assert.strictEqual(walls.length, 6 + 7);
+    assert.deepStrictEqual(stats, { drawCalls: 2, triangles: (walls.length + 1) * TRIANGLES_PER_BOX, instances: walls.length + 1 });
+    // Per-edge, per-tile meshes would have been one draw call each
+    assert.ok(edges.length + tiles.length > 100 * stats.drawCalls);
+});
+
+console.log(`\nTest Summary: ${passedAssertions}/${totalAssertions} assertions passed`);
+
+if (passedAssertions === totalAssertions) {
+    console.log('All mesh batching tests passed!');
+    process.exit(0);
+} else {
+    console.log('Some mesh batching tests failed');
+    process.exit(1);
+}
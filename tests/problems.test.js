@@ -0,0 +1,229 @@
+/**
+ * Problems Tests - Validates the located problem list behind the editor's Problems panel
+ *
+ * Tests:
+ * 1. Export sanity checks are exposed as findings (islands, perimeter gaps)
+ * 2. Missing walls land on the exact edge and are reported once
+ * 3. Isolated tiles and out-of-bounds content are located
+ * 4. Blocking rules and project rules carry through; focus points for panning
+ * 5. Re-checking the cells around an edit gives the same list as a full scan
+ */
+
+import assert from 'assert';
+import { collectProblems, updateProblems, problemFocus, countProblems } from '../src/editor/core/Problems.js';
+import { findFloorIslands, findPerimeterGaps } from '../src/editor/core/ExportBuilder3D.js';
+import { registerRule, unregisterRule, rulesAreLocal } from '../src/editor/core/RuleRegistry.js';
+import { setRuleConfig } from '../src/editor/core/RulesSwitchboard.js';
+import { makeEdge } from '../src/editor/core/EdgeTypes.js';
+
+let totalAssertions = 0;
+let passedAssertions = 0;
+
+async function runAssertion(description, assertion) {
+    totalAssertions++;
+    try {
+        await assertion();
+        passedAssertions++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        console.error(`✗ ${description}: ${error.message}`);
+    }
+}
+
+// Empty w × h editor scene with edge arrays one row/column larger for the far boundary
+function createScene(w, h) {
+    return {
+        grid: Array.from({ length: h }, () => Array(w).fill('empty')),
+        horizontalEdges: Array.from({ length: h + 1 }, () => Array(w).fill(false)),
+        verticalEdges: Array.from({ length: h }, () => Array(w + 1).fill(false))
+    };
+}
+
+// Fully walled room of floor tiles at (x, y)
+function addRoom(scene, x, y, w, h) {
+    for (let j = y; j < y + h; j++) {
+        for (let i = x; i < x + w; i++) scene.grid[j][i] = 'floor';
+    }
+    for (let i = x; i < x + w; i++) {
+        scene.horizontalEdges[y][i] = true;
+        scene.horizontalEdges[y + h][i] = true;
+    }
+    for (let j = y; j < y + h; j++) {
+        scene.verticalEdges[j][x] = true;
+        scene.verticalEdges[j][x + w] = true;
+    }
+    return scene;
+}
+
+const ids = (problems) => problems.map(problem => problem.id);
+
+console.log('🧪 Running Problems Tests...\n');
+
+// Test 1: sanity check findings
+await runAssertion('findFloorIslands and findPerimeterGaps return located results', () => {
+    const tiles = [[0, 0], [1, 0], [4, 4]];
+    assert.deepStrictEqual(findFloorIslands(tiles), [[4, 4]]);
+
+    const gaps = findPerimeterGaps([[0, 0]], [[0, 0], [0, 1]], [[0, 0]]);
+    assert.deepStrictEqual(gaps, [{ x: 0, y: 0, side: 'right', edge: { dir: 'V', x: 1, y: 0 } }]);
+});
+
+// Test 2: missing walls
+await runAssertion('a closed room has no problems', () => {
+    assert.deepStrictEqual(collectProblems({ scene: addRoom(createScene(6, 4), 1, 1, 3, 2) }), []);
+});
+
+await runAssertion('a removed wall is reported once, on its exact edge', () => {
+    const scene = addRoom(createScene(6, 4), 1, 1, 3, 2);
+    scene.horizontalEdges[3][2] = false;
+
+    const problems = collectProblems({ scene });
+    assert.deepStrictEqual(ids(problems), ['missing-wall:H(2,3)']);
+    assert.strictEqual(problems[0].kind, 'edge');
+    assert.strictEqual(problems[0].message, 'Missing wall on south side of floor (2,2)');
+    assert.strictEqual(problems[0].source, 'unenclosed-floors');
+});
+
+await runAssertion('a bare opening still counts as a missing wall', () => {
+    const scene = addRoom(createScene(6, 4), 1, 1, 3, 2);
+    scene.verticalEdges[1][1] = makeEdge('opening');
+    assert.deepStrictEqual(ids(collectProblems({ scene })), ['missing-wall:V(1,1)']);
+
+    scene.verticalEdges[1][1] = makeEdge('door');
+    assert.deepStrictEqual(collectProblems({ scene }), []);
+});
+
+await runAssertion('perimeter gaps show even when unenclosed-floors is disabled', () => {
+    const scene = addRoom(createScene(6, 4), 1, 1, 3, 2);
+    scene.horizontalEdges[1][1] = false;
+    setRuleConfig('unenclosed-floors', { enabled: false });
+    try {
+        const problems = collectProblems({ scene });
+        assert.deepStrictEqual(ids(problems), ['missing-wall:H(1,1)']);
+        assert.strictEqual(problems[0].source, 'perimeter-closure');
+    } finally {
+        setRuleConfig('unenclosed-floors', { enabled: true });
+    }
+});
+
+// Test 3: tiles
+await runAssertion('isolated tiles and out-of-bounds content are highlighted', () => {
+    const scene = addRoom(createScene(8, 6), 0, 0, 2, 2);
+    addRoom(scene, 5, 4, 1, 1);
+
+    const problems = collectProblems({ scene, bounds: { x: 0, y: 0, w: 4, h: 4 } });
+    const isolated = problems.filter(problem => problem.category === 'isolated-tile');
+    assert.deepStrictEqual(ids(isolated), ['isolated-tile:T(5,4)']);
+
+    const outside = problems.filter(problem => problem.category === 'out-of-bounds');
+    assert.deepStrictEqual(ids(outside), [
+        'out-of-bounds:H(5,4)',
+        'out-of-bounds:T(5,4)',
+        'out-of-bounds:V(5,4)',
+        'out-of-bounds:V(6,4)',
+        'out-of-bounds:H(5,5)'
+    ]);
+    assert.ok(outside.every(problem => problem.severity === 'warn'));
+});
+
+// Test 4: severity, project rules, focus
+await runAssertion('blocking rules sort first and keep their severity', () => {
+    const scene = addRoom(createScene(6, 4), 1, 1, 3, 2);
+    scene.horizontalEdges[1][3] = false;
+    scene.grid[0][5] = 'floor';
+    setRuleConfig('unenclosed-floors', { mode: 'block' });
+    try {
+        const problems = collectProblems({ scene });
+        assert.strictEqual(problems.find(problem => problem.id === 'missing-wall:H(3,1)').severity, 'block');
+        assert.strictEqual(problems[problems.length - 1].id, 'isolated-tile:T(5,0)');
+        assert.deepStrictEqual(countProblems(problems), { total: problems.length, block: 5, warn: 1 });
+    } finally {
+        setRuleConfig('unenclosed-floors', { mode: 'warn' });
+    }
+});
+
+await runAssertion('project rule findings appear with or without a location', () => {
+    registerRule({
+        id: 'needs-name',
+        description: 'Unnamed template',
+        appliesTo: ['unit'],
+        check: ({ dto, scene }) => [
+            ...(dto.name ? [] : [{ message: 'Template has no name' }]),
+            ...(scene.grid[0][0] === 'floor' ? [{ x: 0, y: 0, message: 'Corner tile is reserved' }] : [])
+        ]
+    });
+    try {
+        const scene = addRoom(createScene(4, 4), 0, 0, 2, 2);
+        assert.deepStrictEqual(collectProblems({ scene, kind: 'scene' }), []);
+
+        const problems = collectProblems({ scene, kind: 'unit', dto: {} });
+        assert.deepStrictEqual(problems.map(({ id, kind }) => ({ id, kind })), [
+            { id: 'needs-name:Template has no name', kind: 'scene' },
+            { id: 'needs-name:T(0,0)', kind: 'tile' }
+        ]);
+        assert.strictEqual(problemFocus(problems[0]), null);
+    } finally {
+        unregisterRule('needs-name');
+    }
+});
+
+await runAssertion('focus points sit on the tile center or edge midpoint', () => {
+    assert.deepStrictEqual(problemFocus({ kind: 'tile', x: 2, y: 3 }), { x: 2.5, y: 3.5 });
+    assert.deepStrictEqual(problemFocus({ kind: 'edge', dir: 'H', x: 2, y: 3 }), { x: 2.5, y: 3 });
+    assert.deepStrictEqual(problemFocus({ kind: 'edge', dir: 'V', x: 2, y: 3 }), { x: 2, y: 3.5 });
+});
+
+// Test 5: incremental re-checks
+await runAssertion('re-checking around each edit matches a full scan', () => {
+    const scene = addRoom(createScene(20, 12), 2, 2, 6, 4);
+    addRoom(scene, 10, 5, 4, 3);
+    const bounds = { x: 0, y: 0, w: 15, h: 10 };
+    let problems = collectProblems({ scene, bounds });
+
+    // Deterministic mix of floor paints, erases, walls and openings
+    let seed = 7;
+    const next = (n) => (seed = (seed * 1103515245 + 12345) % 2147483648) % n;
+    for (let step = 0; step < 300; step++) {
+        const x = next(20);
+        const y = next(12);
+        const action = next(4);
+        if (action === 0) scene.grid[y][x] = 'floor';
+        else if (action === 1) scene.grid[y][x] = 'empty';
+        else if (action === 2) scene.horizontalEdges[y][x] = next(2) ? makeEdge('wall') : false;
+        else scene.verticalEdges[y][x] = next(3) ? makeEdge('wall') : makeEdge('opening');
+
+        problems = updateProblems(problems, { scene, bounds, rect: { x, y, w: 1, h: 1 } });
+        assert.deepStrictEqual(problems, collectProblems({ scene, bounds }), `step ${step}`);
+    }
+});
+
+await runAssertion('local rules see only the region; a non-local rule forces a full scan', () => {
+    const regions = [];
+    registerRule({ id: 'spy', local: true, check: ({ region }) => (regions.push(region), []) });
+    try {
+        const scene = addRoom(createScene(30, 20), 1, 1, 4, 4);
+        assert.strictEqual(rulesAreLocal('scene'), true);
+        updateProblems([], { scene, rect: { x: 10, y: 8, w: 2, h: 1 } });
+        assert.deepStrictEqual(regions, [{ x: 8, y: 6, w: 6, h: 5 }]);
+
+        registerRule({ id: 'spy-global', check: ({ region }) => (regions.push(region), []) });
+        assert.strictEqual(rulesAreLocal('scene'), false);
+        regions.length = 0;
+        const problems = updateProblems([], { scene, rect: { x: 10, y: 8, w: 1, h: 1 } });
+        assert.deepStrictEqual(regions, [null, null]);
+        assert.deepStrictEqual(problems, collectProblems({ scene }));
+    } finally {
+        unregisterRule('spy');
+        unregisterRule('spy-global');
+    }
+});
+
+console.log(`\nTest Summary: ${passedAssertions}/${totalAssertions} assertions passed`);
+
+if (passedAssertions === totalAssertions) {
+    console.log('All problems tests passed!');
+    process.exit(0);
+} else {
+    console.log('Some problems tests failed');
+    process.exit(1);
+}
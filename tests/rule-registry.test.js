@@ -0,0 +1,197 @@
+/**
+ * Rule Registry Tests - Validates pluggable scene rules and block mode
+ *
+ * Tests:
+ * 1. registerRule validates id, check, severity and template kinds
+ * 2. Built-in rules return structured findings with coordinates and keep their summaries
+ * 3. Switchboard config turns a rule into a blocking violation
+ * 4. Project rules register without touching SceneRules and honor appliesTo
+ * 5. A throwing rule is reported instead of aborting the run
+ * 6. A block rule refuses a template export on any level
+ */
+
+import assert from 'assert';
+import { registerRule, unregisterRule, getRule, listRules, runRules } from '../src/editor/core/RuleRegistry.js';
+import { setRuleConfig } from '../src/editor/core/RulesSwitchboard.js';
+import { SceneRules } from '../src/editor/core/SceneRules.js';
+
+let totalAssertions = 0;
+let passedAssertions = 0;
+
+async function runAssertion(description, assertion) {
+    totalAssertions++;
+    try {
+        await assertion();
+        passedAssertions++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        console.error(`✗ ${description}: ${error.message}`);
+    }
+}
+
+// Silence rule diagnostics
+const warn = console.warn;
+const error = console.error;
+function quietly(fn) {
+    console.warn = console.error = () => {};
+    try {
+        return fn();
+    } finally {
+        console.warn = warn;
+        console.error = error;
+    }
+}
+
+// 2x2 floor with the east wall missing, edge arrays one row/column larger for the far boundary
+function createRoom() {
+    return {
+        grid: [['floor', 'floor'], ['floor', 'floor']],
+        horizontalEdges: [[true, true], [false, false], [true, true]],
+        verticalEdges: [[true, false, false], [true, false, false]]
+    };
+}
+
+console.log('🧪 Running Rule Registry Tests...\n');
+
+// Test 1: registration
+await runAssertion('registerRule rejects malformed rules', () => {
+    assert.throws(() => registerRule({ check: () => [] }), /non-empty string id/);
+    assert.throws(() => registerRule({ id: 'no-check' }), /check function/);
+    assert.throws(() => registerRule({ id: 'bad-severity', severity: 'error', check: () => [] }), /unknown severity/);
+    assert.throws(() => registerRule({ id: 'bad-kind', appliesTo: ['gallery'], check: () => [] }), /unknown template kinds: gallery/);
+    assert.strictEqual(getRule('bad-kind'), null);
+});
+
+await runAssertion('built-in rules are registered with warn severity', () => {
+    const ids = listRules().map(rule => rule.id);
+    assert.ok(ids.includes('unenclosed-floors') && ids.includes('oob-content'));
+    assert.strictEqual(getRule('unenclosed-floors').severity, 'warn');
+});
+
+// Test 2: findings
+await runAssertion('unenclosed floors report coordinates and missing sides', () => {
+    const findings = SceneRules.findUnenclosedFloors(createRoom());
+    assert.deepStrictEqual(findings.map(({ x, y, missing }) => ({ x, y, missing })), [
+        { x: 1, y: 0, missing: ['E'] },
+        { x: 1, y: 1, missing: ['E'] }
+    ]);
+    assert.deepStrictEqual(SceneRules.checkUnenclosedFloors(createRoom(), null), [
+        'Unenclosed floors: (1,0)[E], (1,1)[E] - missing perimeter walls'
+    ]);
+});
+
+await runAssertion('out-of-bounds findings distinguish tiles from H/V edges', () => {
+    const bounds = { x: 0, y: 0, w: 1, h: 2 };
+    const findings = SceneRules.findOutOfBoundsContent(createRoom(), bounds);
+    assert.deepStrictEqual(findings.map(({ kind, dir, x, y }) => ({ kind, dir, x, y })), [
+        { kind: 'tile', dir: undefined, x: 1, y: 0 },
+        { kind: 'tile', dir: undefined, x: 1, y: 1 },
+        { kind: 'edge', dir: 'H', x: 1, y: 0 },
+        { kind: 'edge', dir: 'H', x: 1, y: 2 }
+    ]);
+    assert.deepStrictEqual(SceneRules.checkOutOfBoundsContent(createRoom(), bounds), [
+        'Out-of-bounds content: 2 tiles, 2 edges - tile(1,0), tile(1,1), hedge(1,0) and 1 more'
+    ]);
+    assert.deepStrictEqual(SceneRules.findOutOfBoundsContent(createRoom(), null), []);
+});
+
+// Test 3: block mode
+await runAssertion('a rule switched to block mode blocks the export with a violation list', () => {
+    const room = createRoom();
+    assert.strictEqual(SceneRules.evaluate({ scene: room, bounds: null }).blocked, false);
+
+    setRuleConfig('unenclosed-floors', { mode: 'block' });
+    try {
+        const result = SceneRules.evaluate({ scene: room, bounds: null });
+        assert.strictEqual(result.blocked, true);
+        assert.deepStrictEqual(result.warnings, []);
+        assert.deepStrictEqual(result.violations, [
+            '[unenclosed-floors] Unenclosed floors: (1,0)[E], (1,1)[E] - missing perimeter walls'
+        ]);
+        assert.ok(result.findings.every(finding => finding.ruleId === 'unenclosed-floors' && finding.severity === 'block'));
+    } finally {
+        setRuleConfig('unenclosed-floors', { mode: 'warn' });
+    }
+});
+
+await runAssertion('disabled rules do not run', () => {
+    setRuleConfig('unenclosed-floors', { enabled: false });
+    try {
+        assert.deepStrictEqual(SceneRules.collectWarnings({ scene: createRoom(), bounds: null }), []);
+    } finally {
+        setRuleConfig('unenclosed-floors', { enabled: true });
+    }
+});
+
+// Test 4: project rules
+await runAssertion('project rules run only for the template kinds they apply to', () => {
+    registerRule({
+        id: 'max-two-floor-tiles',
+        description: 'Too many floor tiles',
+        severity: 'block',
+        appliesTo: ['room'],
+        check: ({ scene }) => {
+            const tiles = scene.grid.flatMap((row, y) => row.map((cell, x) => ({ cell, x, y }))).filter(t => t.cell === 'floor');
+            return tiles.slice(2).map(({ x, y }) => ({ x, y, message: `Extra floor tile (${x},${y})` }));
+        }
+    });
+    try {
+        const room = createRoom();
+        assert.strictEqual(runRules({ scene: room, bounds: null, kind: 'unit' }).blocked, false);
+
+        const result = SceneRules.evaluate({ scene: room, bounds: null, kind: 'room' });
+        assert.strictEqual(result.blocked, true);
+        assert.deepStrictEqual(result.violations, ['[max-two-floor-tiles] Too many floor tiles: (0,1), (1,1)']);
+        assert.deepStrictEqual(result.findings.filter(f => f.ruleId === 'max-two-floor-tiles').map(({ x, y }) => [x, y]), [[0, 1], [1, 1]]);
+        assert.strictEqual(result.warnings.length, 1);
+    } finally {
+        unregisterRule('max-two-floor-tiles');
+    }
+});
+
+// Test 5: failures
+await runAssertion('a throwing rule is reported at its own severity', () => {
+    registerRule({ id: 'broken-rule', severity: 'block', check: () => { throw new Error('boom'); } });
+    try {
+        const result = quietly(() => runRules({ scene: createRoom(), bounds: null }));
+        const finding = result.findings.find(f => f.ruleId === 'broken-rule');
+        assert.strictEqual(finding.message, 'Rule broken-rule failed: boom');
+        assert.strictEqual(result.blocked, true);
+    } finally {
+        unregisterRule('broken-rule');
+    }
+});
+
+// Test 6: template exports
+await runAssertion('a block rule for room templates blocks a multi-level room export', () => {
+    registerRule({
+        id: 'no-open-rooms',
+        description: 'Open rooms',
+        severity: 'block',
+        appliesTo: ['room'],
+        check: ctx => SceneRules.findUnenclosedFloors(ctx.scene)
+    });
+    try {
+        const empty = { grid: [[null]], horizontalEdges: [[null], [null]], verticalEdges: [[null, null]] };
+        const levels = [{ name: 'Ground', sceneModel: empty }, { name: 'Level 1', sceneModel: createRoom() }];
+
+        const result = SceneRules.evaluateLevels({ levels, dto: { type: 'room' }, bounds: null, kind: 'room' });
+        assert.strictEqual(result.blocked, true);
+        assert.deepStrictEqual(result.violations, ['[Level 1] [no-open-rooms] Open rooms: (1,0), (1,1)']);
+        assert.deepStrictEqual(result.warnings, ['[Level 1] Unenclosed floors: (1,0)[E], (1,1)[E] - missing perimeter walls']);
+
+        assert.strictEqual(SceneRules.evaluateLevels({ levels, dto: {}, bounds: null, kind: 'mall' }).blocked, false);
+    } finally {
+        unregisterRule('no-open-rooms');
+    }
+});
+
+console.log(`\nTest Summary: ${passedAssertions}/${totalAssertions} assertions passed`);
+
+if (passedAssertions === totalAssertions) {
+    console.log('All rule registry tests passed!');
+    process.exit(0);
+} else {
+    console.log('Some rule registry tests failed');
+    process.exit(1);
+}
@@ -0,0 +1,212 @@
+/**
+ * Scene Chunks Tests - Validates chunked scene.3d.v1 export and per-export simulation limits
+ *
+ * Tests:
+ * 1. Chunks partition the content (counts add up to the unchunked parity)
+ * 2. Chunk-local coordinates plus originOffset give the unchunked world positions
+ * 3. Digests are deterministic and the manifest digest tracks chunk digests
+ * 4. Simulation limits are configurable per export; stacked levels are measured together
+ * 5. Manifest and chunk meta match their JSON Schemas
+ */
+
+import assert from 'assert';
+import {
+    toScene3D, toScene3DLevels, toScene3DChunks, measureContent, measureLevels, fitsSimLimits, parseSimLimits, DEFAULT_SIM_LIMITS
+} from '../src/editor/core/ExportBuilder3D.js';
+import { makeEdge } from '../src/editor/core/EdgeTypes.js';
+import { readFileSync } from 'fs';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+
+const ajv = new Ajv({ strict: false });
+addFormats(ajv);
+const scene3dSchema = JSON.parse(readFileSync('schemas/scene.3d.v1.schema.json', 'utf8'));
+const manifestSchema = JSON.parse(readFileSync('schemas/scene.3d.manifest.v1.schema.json', 'utf8'));
+ajv.addSchema(scene3dSchema);
+ajv.addSchema(manifestSchema);
+const validateManifest = ajv.getSchema(manifestSchema.$id);
+const validateChunkMeta = ajv.getSchema(`${scene3dSchema.$id}#/properties/meta/properties/chunk`);
+const validateSimLimits = ajv.getSchema(`${scene3dSchema.$id}#/properties/meta/properties/simLimits`);
+
+let totalAssertions = 0;
+let passedAssertions = 0;
+
+async function runAssertion(description, assertion) {
+    totalAssertions++;
+    try {
+        await assertion();
+        passedAssertions++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        console.error(`✗ ${description}: ${error.message}`);
+    }
+}
+
+// Walled rectangle of floor at (x, y) sized w × h on a width × height grid
+function createRoom(width, height, x, y, w, h) {
+    const make = (value) => Array.from({ length: height }, () => Array(width).fill(value));
+    const model = { grid: make('empty'), horizontalEdges: make(false), verticalEdges: make(false) };
+    for (let gy = y; gy < y + h; gy++) {
+        for (let gx = x; gx < x + w; gx++) {
+            model.grid[gy][gx] = 'floor';
+        }
+        model.verticalEdges[gy][x] = true;
+        model.verticalEdges[gy][x + w] = true;
+    }
+    for (let gx = x; gx < x + w; gx++) {
+        model.horizontalEdges[y][gx] = true;
+        model.horizontalEdges[y + h][gx] = true;
+    }
+    return model;
+}
+
+// Silence export diagnostics
+const log = console.log;
+const info = console.info;
+const warn = console.warn;
+function quietly(fn) {
+    console.log = console.info = console.warn = () => {};
+    try {
+        return fn();
+    } finally {
+        console.log = log;
+        console.info = info;
+        console.warn = warn;
+    }
+}
+
+const worldTiles = (scene) => scene.tiles.floor.map(([x, y]) => `${x + scene.originOffset.x},${y + scene.originOffset.y}`);
+const worldEdges = (scene, dir) => scene.edges[dir].map(([x, y]) => `${x + scene.originOffset.x},${y + scene.originOffset.y}`);
+
+console.log('🧪 Running Scene Chunks Tests...\n');
+
+// 90×50 room at (5, 3) on a 100×60 grid: too large for the default 60×40 limits
+const bigRoom = createRoom(100, 60, 5, 3, 90, 50);
+bigRoom.horizontalEdges[3][30] = makeEdge('door');
+
+// Test 1: partition
+await runAssertion('chunks partition tiles and edges of the full export', () => {
+    const full = quietly(() => toScene3D(bigRoom, 20, 'big', { simLimits: { maxTilesX: 120, maxTilesY: 80 } }));
+    const { manifest, chunks } = quietly(() => toScene3DChunks(bigRoom, 20, 'big'));
+
+    assert.deepStrictEqual(manifest.chunkSize, { x: DEFAULT_SIM_LIMITS.maxTilesX, y: DEFAULT_SIM_LIMITS.maxTilesY });
+    assert.deepStrictEqual(chunks.map(chunk => chunk.key), ['0_0', '1_0', '0_1', '1_1']);
+
+    const sum = (field) => chunks.reduce((total, chunk) => total + chunk.scene.meta.parity[field], 0);
+    assert.strictEqual(sum('tiles'), full.meta.parity.tiles);
+    assert.strictEqual(sum('edgesH'), full.meta.parity.edgesH);
+    assert.strictEqual(sum('edgesV'), full.meta.parity.edgesV);
+    assert.deepStrictEqual(manifest.chunks.map(entry => entry.parity), chunks.map(chunk => chunk.scene.meta.parity));
+});
+
+await runAssertion('edges on a chunk border belong to the chunk they start in', () => {
+    // The east wall of a 60-wide room sits at x = 60, the first column of the next chunk
+    const room = createRoom(70, 10, 0, 0, 60, 5);
+    const { chunks } = quietly(() => toScene3DChunks(room, 20, 'border'));
+
+    assert.deepStrictEqual(chunks.map(chunk => chunk.key), ['0_0', '1_0']);
+    assert.deepStrictEqual(chunks[1].scene.tiles.floor, []);
+    assert.deepStrictEqual(chunks[1].scene.edges.vertical, [[0, 0], [0, 1], [0, 2], [0, 3], [0, 4]]);
+    assert.ok(!chunks[0].scene.edges.vertical.some(([x]) => x === 60));
+});
+
+// Test 2: world positions
+await runAssertion('chunk-local coordinates plus originOffset match the unchunked export', () => {
+    const full = quietly(() => toScene3D(bigRoom, 20, 'big', { simLimits: { maxTilesX: 120, maxTilesY: 80 } }));
+    const { manifest, chunks } = quietly(() => toScene3DChunks(bigRoom, 20, 'big'));
+
+    const sorted = (list) => [...list].sort();
+    assert.deepStrictEqual(sorted(chunks.flatMap(chunk => worldTiles(chunk.scene))), sorted(worldTiles(full)));
+    assert.deepStrictEqual(sorted(chunks.flatMap(chunk => worldEdges(chunk.scene, 'horizontal'))), sorted(worldEdges(full, 'horizontal')));
+    assert.deepStrictEqual(sorted(chunks.flatMap(chunk => worldEdges(chunk.scene, 'vertical'))), sorted(worldEdges(full, 'vertical')));
+
+    // Door opening travels with its edge
+    const door = chunks.flatMap(chunk => (chunk.scene.edges.openings || []).map(opening => ({ ...opening, ox: chunk.scene.originOffset.x })));
+    assert.deepStrictEqual(door.map(opening => [opening.x + opening.ox, opening.type]), [[30, 'door']]);
+
+    assert.deepStrictEqual(manifest.chunks.map(entry => entry.originOffset), [
+        { x: 0, y: 0 }, { x: 60, y: 0 }, { x: 0, y: 40 }, { x: 60, y: 40 }
+    ]);
+    assert.deepStrictEqual(manifest.bounds.min, { x: 5, y: 3, z: 0 });
+    assert.deepStrictEqual(manifest.bounds.max, { x: 95, y: 53, z: manifest.units.wallHeightMeters });
+});
+
+// Test 3: digests
+await runAssertion('chunk and manifest digests are deterministic', () => {
+    const a = quietly(() => toScene3DChunks(bigRoom, 20, 'big'));
+    const b = quietly(() => toScene3DChunks(bigRoom, 20, 'big'));
+    assert.deepStrictEqual(a.manifest.chunks.map(entry => entry.digest), b.manifest.chunks.map(entry => entry.digest));
+    assert.strictEqual(a.manifest.meta.digest, b.manifest.meta.digest);
+    assert.deepStrictEqual(a.manifest.chunks.map(entry => entry.digest), a.chunks.map(chunk => chunk.scene.meta.digest));
+
+    const edited = createRoom(100, 60, 5, 3, 90, 50);
+    edited.horizontalEdges[3][30] = makeEdge('door');
+    edited.grid[50][90] = 'empty';
+    const c = quietly(() => toScene3DChunks(edited, 20, 'big'));
+    assert.notStrictEqual(c.manifest.meta.digest, a.manifest.meta.digest);
+    // Only the chunk containing the edit changes
+    const changed = c.manifest.chunks.filter((entry, i) => entry.digest !== a.manifest.chunks[i].digest);
+    assert.deepStrictEqual(changed.map(entry => entry.key), ['1_1']);
+});
+
+// Test 4: configurable limits
+await runAssertion('simulation limits are configurable per export', () => {
+    assert.throws(() => quietly(() => toScene3D(bigRoom, 20, 'big')), /exceeds simulation limit/);
+    const output = quietly(() => toScene3D(bigRoom, 20, 'big', { simLimits: { maxTilesX: 120, maxTilesY: 80 } }));
+    assert.deepStrictEqual(output.meta.simLimits, { maxTilesX: 120, maxTilesY: 80 });
+
+    assert.throws(() => quietly(() => toScene3D(bigRoom, 20, 'big', { simLimits: { maxTilesX: 0, maxTilesY: 10 } })), /Invalid simulation limits/);
+    assert.throws(() => quietly(() => toScene3DChunks(bigRoom, 20, 'big', { chunkSize: { x: 80, y: 20 } })), /exceeds simulation limit/);
+
+    const extent = measureContent(bigRoom);
+    assert.deepStrictEqual([extent.widthTiles, extent.heightTiles], [90, 50]);
+    assert.strictEqual(fitsSimLimits(extent), false);
+    assert.strictEqual(fitsSimLimits(extent, { maxTilesX: 90, maxTilesY: 50 }), true);
+});
+
+await runAssertion('stacked levels are measured over their combined footprint', () => {
+    const levels = [
+        { id: 'ground', name: 'Ground', elevation: 0, sceneModel: createRoom(100, 60, 0, 0, 40, 30) },
+        { id: 'upper', name: 'Upper', elevation: 4, sceneModel: createRoom(100, 60, 30, 20, 40, 30) },
+        { id: 'roof', name: 'Roof', elevation: 8, sceneModel: createRoom(100, 60, 0, 0, 0, 0) }
+    ];
+    const extent = measureLevels(levels);
+    assert.deepStrictEqual([extent.minX, extent.minY, extent.widthTiles, extent.heightTiles], [0, 0, 70, 50]);
+
+    // Each level fits on its own, the stack does not: the editor refuses before building
+    assert.ok(levels.every(level => fitsSimLimits(measureContent(level.sceneModel))));
+    assert.strictEqual(fitsSimLimits(extent), false);
+    assert.throws(() => quietly(() => toScene3DLevels({ levels, cellSize: 20 })), /exceeds simulation limit/);
+    assert.deepStrictEqual(measureLevels([levels[2]]).widthTiles, 0);
+});
+
+await runAssertion('parseSimLimits accepts WxH and rejects malformed input', () => {
+    assert.deepStrictEqual(parseSimLimits('120x80'), { maxTilesX: 120, maxTilesY: 80 });
+    assert.deepStrictEqual(parseSimLimits(' 400 × 300 '), { maxTilesX: 400, maxTilesY: 300 });
+    assert.strictEqual(parseSimLimits('60'), null);
+    assert.strictEqual(parseSimLimits('0x40'), null);
+    assert.strictEqual(parseSimLimits(undefined), null);
+});
+
+// Test 5: schemas
+await runAssertion('manifest and chunk meta match their schemas', () => {
+    const { manifest, chunks } = quietly(() => toScene3DChunks(bigRoom, 20, 'big', { chunkSize: { x: 32, y: 32 } }));
+    assert.strictEqual(manifest.chunks.length, 6);
+    assert.ok(validateManifest(manifest), JSON.stringify(validateManifest.errors));
+
+    chunks.forEach(chunk => {
+        assert.ok(validateChunkMeta(chunk.scene.meta.chunk), JSON.stringify(validateChunkMeta.errors));
+        assert.ok(validateSimLimits(chunk.scene.meta.simLimits), JSON.stringify(validateSimLimits.errors));
+    });
+    assert.ok(!validateManifest({ ...manifest, chunks: [{ key: '0_0' }] }));
+});
+
+console.log(`\nTest Summary: ${passedAssertions}/${totalAssertions} assertions passed`);
+
+if (passedAssertions === totalAssertions) {
+    console.log('All scene chunk tests passed!');
+    process.exit(0);
+} else {
+    console.log('Some scene chunk tests failed');
+    process.exit(1);
+}
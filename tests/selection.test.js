@@ -0,0 +1,154 @@
+/**
+ * Selection Tests - Validates copy/cut/paste, move and delete of grid regions
+ *
+ * Tests:
+ * 1. A selection copies its tiles and every edge on or inside its border as relative scene.v1
+ * 2. Pasting adds the copy at a new position as one undo step, typed edges included, across a JSON round trip
+ * 3. Pastes skip what falls outside the template bounds or the grid
+ * 4. Moving and deleting are single undo steps; non-scene clipboard text is rejected
+ */
+
+import assert from 'assert';
+import { normalizeSelection, selectionSlots, readFragment } from '../src/editor/core/Selection.js';
+import { makeBounds } from '../src/editor/core/TemplateBounds.js';
+import { FloorplanDocument } from '../src/editor/core/FloorplanDocument.js';
+
+let totalAssertions = 0;
+let passedAssertions = 0;
+
+async function runAssertion(description, assertion) {
+    totalAssertions++;
+    try {
+        await quietly(assertion);
+        passedAssertions++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        console.error(`✗ ${description}: ${error.message}`);
+    }
+}
+
+// Silence the document's diagnostic logging
+const { log, info, warn } = console;
+async function quietly(fn) {
+    console.log = console.info = console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, { log, info, warn });
+    }
+}
+
+// A 3x2 shop front at (1, 1): floor, a wall along the top, a door in the left wall
+function shopFrontDoc() {
+    const doc = new FloorplanDocument({ width: 12, height: 8 });
+    doc.fillFloorRect(1, 1, 3, 2);
+    doc.placeWallSegment({ x: 1, y: 1 }, { x: 3, y: 1 });
+    doc.paintEdge('vertical', 1, 2, 'door');
+    doc.history.clear();
+    return doc;
+}
+
+const shopFront = { x: 1, y: 1, w: 3, h: 2 };
+const floorCells = (doc) => doc.grid.flatMap((row, y) => row.map((cell, x) => cell === 'floor' ? [x, y] : null)).filter(Boolean);
+
+console.log('🧪 Running Selection Tests...\n');
+
+// Test 1: copy
+await runAssertion('a selection copies its tiles and border edges relative to its corner', () => {
+    assert.deepStrictEqual(normalizeSelection({ x: 3, y: 2 }, { x: 1, y: 1 }), shopFront);
+    const slots = selectionSlots({ x: 0, y: 0, w: 1, h: 1 });
+    assert.deepStrictEqual(slots, { tiles: [[0, 0]], horizontal: [[0, 0], [0, 1]], vertical: [[0, 0], [1, 0]] });
+
+    const fragment = shopFrontDoc().copySelection(shopFront);
+    assert.strictEqual(fragment.meta.schema, 'scene.v1');
+    assert.deepStrictEqual(fragment.meta.fragment, { x: 1, y: 1 });
+    assert.deepStrictEqual(fragment.grid, { width: 3, height: 2, cellSize: 20 });
+    assert.deepStrictEqual(fragment.tiles.floor, [[0, 0], [1, 0], [2, 0], [0, 1], [1, 1], [2, 1]]);
+    assert.deepStrictEqual(fragment.edges.horizontal, [[0, 0], [1, 0], [2, 0]]);
+    assert.deepStrictEqual(fragment.edges.openings, [{ dir: 'V', x: 0, y: 1, type: 'door' }]);
+});
+
+// Test 2: paste
+await runAssertion('pasting through clipboard text repeats the shop front as one undo step', () => {
+    const doc = shopFrontDoc();
+    const text = JSON.stringify(doc.copySelection(shopFront));
+
+    const result = doc.pasteFragment(text, 5, 1);
+    assert.deepStrictEqual(result, { rect: { x: 5, y: 1, w: 3, h: 2 }, placed: 10, skipped: 0 });
+    assert.strictEqual(doc.horizontalEdges[1][6], true);
+    assert.deepStrictEqual(doc.verticalEdges[2][5], { type: 'door' });
+    assert.strictEqual(floorCells(doc).length, 12);
+
+    doc.undo();
+    assert.strictEqual(floorCells(doc).length, 6);
+    assert.strictEqual(doc.verticalEdges[2][5], false);
+    assert.strictEqual(doc.history.canUndo(), false, 'the whole paste was one step');
+});
+
+await runAssertion('pasting adds content and keeps what is under empty cells', () => {
+    const doc = shopFrontDoc();
+    doc.paintEdge('horizontal', 6, 3, 'wall');
+    doc.pasteFragment({ meta: { schema: 'scene.v1' }, grid: { width: 2, height: 2 }, tiles: { floor: [[0, 0]] }, edges: {} }, 6, 2);
+    assert.strictEqual(doc.grid[2][6], 'floor');
+    assert.strictEqual(doc.horizontalEdges[3][6], true);
+});
+
+// Test 3: bounds
+await runAssertion('pastes skip content outside the template bounds and the grid', () => {
+    const doc = shopFrontDoc();
+    const room = { type: 'room', id: 'room-1', rect: { x: 0, y: 0, w: 6, h: 4 } };
+    doc.overlayModel = { templateData: room, bounds: makeBounds(room), constraints: null };
+    doc.showTemplate = true;
+
+    const fragment = doc.copySelection(shopFront);
+    // Columns 4-5 are inside the room, column 6 is not
+    const pasted = doc.pasteFragment(fragment, 4, 1);
+    assert.deepStrictEqual([pasted.placed, pasted.skipped], [7, 3]);
+    assert.strictEqual(doc.grid[1][6], 'empty');
+    assert.strictEqual(doc.isWithinTemplateBounds(6, 1, 'tile'), false);
+
+    doc.clearTemplate();
+    const offGrid = doc.pasteFragment(fragment, 10, 7);
+    assert.deepStrictEqual([offGrid.placed, offGrid.skipped], [4, 6]);
+});
+
+// Test 4: move and delete
+await runAssertion('moving and deleting a selection are single undo steps', () => {
+    const doc = shopFrontDoc();
+    const moved = doc.moveSelection(shopFront, 1, 2);
+    assert.deepStrictEqual(moved.rect, { x: 2, y: 3, w: 3, h: 2 });
+    assert.deepStrictEqual(floorCells(doc), [[2, 3], [3, 3], [4, 3], [2, 4], [3, 4], [4, 4]]);
+    assert.deepStrictEqual(doc.verticalEdges[4][2], { type: 'door' });
+    assert.strictEqual(doc.verticalEdges[2][1], false);
+
+    doc.undo();
+    assert.deepStrictEqual(floorCells(doc), [[1, 1], [2, 1], [3, 1], [1, 2], [2, 2], [3, 2]]);
+    assert.deepStrictEqual(doc.verticalEdges[2][1], { type: 'door' });
+
+    assert.deepStrictEqual(doc.deleteSelection(shopFront), { cleared: 10, skipped: 0 });
+    assert.deepStrictEqual([floorCells(doc).length, doc.horizontalEdges[1][1]], [0, false]);
+    doc.undo();
+    assert.strictEqual(floorCells(doc).length, 6);
+    assert.strictEqual(doc.history.canUndo(), false);
+});
+
+await runAssertion('cut returns the copy and clears the source; other clipboard text is rejected', () => {
+    const doc = shopFrontDoc();
+    const fragment = doc.cutSelection(shopFront);
+    assert.strictEqual(fragment.tiles.floor.length, 6);
+    assert.strictEqual(floorCells(doc).length, 0);
+
+    assert.throws(() => readFragment('hello'), /does not hold scene\.v1 JSON/);
+    assert.throws(() => doc.pasteFragment({ meta: { schema: 'unit-template.v2' } }, 0, 0), /does not hold scene\.v1 JSON/);
+    assert.strictEqual(doc.history.undoStack.length, 1, 'a rejected paste records nothing');
+});
+
+console.log(`\nTest Summary: ${passedAssertions}/${totalAssertions} assertions passed`);
+
+if (passedAssertions === totalAssertions) {
+    console.log('All selection tests passed!');
+    process.exit(0);
+} else {
+    console.log('Some selection tests failed');
+    process.exit(1);
+}
@@ -0,0 +1,123 @@
+/**
+ * Template Bounds Tests - Validates the shared tile/edge/rect bounds API
+ *
+ * Tests:
+ * 1. Every template kind, including objects, gets real bounds with a bounding rect
+ * 2. Edges on the boundary line are inside; edges beyond it are not
+ * 3. clipRect cuts a rect to the bounds
+ * 4. The editor and the export rules agree about every tile and edge, for rects and shapes
+ */
+
+import assert from 'assert';
+import { makeBounds, toBounds } from '../src/editor/core/TemplateBounds.js';
+import { SceneRules } from '../src/editor/core/SceneRules.js';
+import { FloorplanDocument } from '../src/editor/core/FloorplanDocument.js';
+
+let totalAssertions = 0;
+let passedAssertions = 0;
+
+async function runAssertion(description, assertion) {
+    totalAssertions++;
+    try {
+        await quietly(assertion);
+        passedAssertions++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        console.error(`✗ ${description}: ${error.message}`);
+    }
+}
+
+// Silence the document's diagnostic logging
+const { log, info, warn } = console;
+async function quietly(fn) {
+    console.log = console.info = console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, { log, info, warn });
+    }
+}
+
+const room = { type: 'room', id: 'room-1', rect: { x: 1, y: 1, w: 2, h: 2 } };
+
+console.log('🧪 Running Template Bounds Tests...\n');
+
+// Test 1: kinds
+await runAssertion('object templates are bounded like units and rooms', () => {
+    const bounds = makeBounds({ type: 'object', id: 'obj-1', rect: { x: 2, y: 2, w: 1, h: 1 } });
+    assert.deepStrictEqual(bounds.rect, { x: 2, y: 2, w: 1, h: 1 });
+    assert.deepStrictEqual([bounds.isTileInside(2, 2), bounds.isTileInside(3, 2)], [true, false]);
+
+    assert.deepStrictEqual(makeBounds(room).rect, room.rect);
+    assert.deepStrictEqual(makeBounds({ type: 'mall', units: [{ id: 'a', rect: { x: 0, y: 0, w: 2, h: 1 } }, { id: 'b', rect: { x: 4, y: 3, w: 1, h: 1 } }] }).rect,
+        { x: 0, y: 0, w: 5, h: 4 });
+    assert.strictEqual(makeBounds({ type: 'scene' }).rect, null);
+    assert.strictEqual(makeBounds({ type: 'scene' }).isEdgeInside('H', -5, 99), true);
+});
+
+// Test 2: edges
+await runAssertion('edges on the boundary line are inside, edges past it are not', () => {
+    const bounds = makeBounds(room);
+    // Top and bottom boundary lines of the 2x2 room at y=1 and y=3
+    assert.deepStrictEqual([1, 2, 3, 4].map(y => bounds.isEdgeInside('H', 1, y)), [true, true, true, false]);
+    assert.strictEqual(bounds.isEdgeInside('H', 3, 2), false, 'beside the room');
+    // Left and right boundary lines at x=1 and x=3
+    assert.deepStrictEqual([0, 1, 3, 4].map(x => bounds.isEdgeInside('V', x, 1)), [false, true, true, false]);
+    assert.strictEqual(bounds.isEdgeInside('horizontal', 1, 3), true, 'long direction names are accepted');
+});
+
+// Test 3: clipping
+await runAssertion('clipRect keeps the overlap and returns null when there is none', () => {
+    const bounds = makeBounds(room);
+    assert.deepStrictEqual(bounds.clipRect({ x: 0, y: 0, w: 10, h: 2 }), { x: 1, y: 1, w: 2, h: 1 });
+    assert.strictEqual(bounds.clipRect({ x: 5, y: 5, w: 1, h: 1 }), null);
+    assert.deepStrictEqual(makeBounds(null).clipRect({ x: -1, y: 0, w: 3, h: 3 }), { x: -1, y: 0, w: 3, h: 3 });
+    assert.deepStrictEqual(toBounds({ x: 0, y: 0, w: 1, h: 1 }).clipRect({ x: 0, y: 0, w: 4, h: 4 }), { x: 0, y: 0, w: 1, h: 1 });
+    assert.strictEqual(toBounds(null), null);
+});
+
+// Test 4: editor and rules agree
+await runAssertion('the editor and the export rules accept the same tiles and walls', () => {
+    const cases = [
+        room,
+        { type: 'unit', id: 'unit-L', rect: { x: 0, y: 0, w: 3, h: 3 }, shape: { outline: [[0, 0], [1, 0], [1, 2], [3, 2], [3, 3], [0, 3]] } }
+    ];
+
+    for (const dto of cases) {
+        const doc = new FloorplanDocument({ width: 5, height: 5 });
+        doc.overlayModel = { templateData: dto, bounds: makeBounds(dto), constraints: null };
+        doc.showTemplate = true;
+
+        // Everything the editor lets through, painted straight into a scene
+        const scene = {
+            grid: doc.grid.map((row, y) => row.map((_, x) => doc.isWithinTemplateBounds(x, y, 'tile') ? 'floor' : 'empty')),
+            horizontalEdges: doc.createEmptyEdgeSet(5, 5).map((row, y) => row.map((_, x) => doc.isWithinTemplateBounds(x, y, 'edge-horizontal'))),
+            verticalEdges: doc.createEmptyEdgeSet(5, 5).map((row, y) => row.map((_, x) => doc.isWithinTemplateBounds(x, y, 'edge-vertical')))
+        };
+        assert.deepStrictEqual(SceneRules.findOutOfBoundsContent(scene, doc.overlayModel.bounds), [], dto.id);
+
+        // ...and one wall past the boundary is flagged
+        scene.horizontalEdges[4][4] = true;
+        assert.deepStrictEqual(SceneRules.findOutOfBoundsContent(scene, doc.overlayModel.bounds).map(finding => `${finding.dir}(${finding.x},${finding.y})`), ['H(4,4)'], dto.id);
+    }
+});
+
+await runAssertion('a rect fill only visits cells inside the bounds', () => {
+    const doc = new FloorplanDocument({ width: 6, height: 6 });
+    doc.overlayModel = { templateData: room, bounds: makeBounds(room), constraints: null };
+    doc.showTemplate = true;
+
+    assert.deepStrictEqual(doc.fillFloorRect(0, 0, 3, 3), { placed: 4, skipped: 12 });
+    assert.deepStrictEqual(doc.fillFloorRect(4, 4, 5, 5), { placed: 0, skipped: 4 });
+    assert.strictEqual(doc.grid.flat().filter(cell => cell === 'floor').length, 4);
+});
+
+console.log(`\nTest Summary: ${passedAssertions}/${totalAssertions} assertions passed`);
+
+if (passedAssertions === totalAssertions) {
+    console.log('All template bounds tests passed!');
+    process.exit(0);
+} else {
+    console.log('Some template bounds tests failed');
+    process.exit(1);
+}
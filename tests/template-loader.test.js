@@ -0,0 +1,98 @@
+/**
+ * Template Loader Tests - Validates child id generation in TemplateLoader.load
+ *
+ * Tests:
+ * 1. Children without an id get a name derived from their rect, the same on every load
+ * 2. Derived names never collide with explicit ids or with each other
+ * 3. The loader warns which children were auto-named, with their pointers
+ */
+
+import assert from 'assert';
+import { load } from '../src/editor/core/TemplateLoader.js';
+
+let totalAssertions = 0;
+let passedAssertions = 0;
+
+function runAssertion(description, assertion) {
+    totalAssertions++;
+    try {
+        quietly(assertion);
+        passedAssertions++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        console.error(`✗ ${description}: ${error.message}`);
+    }
+}
+
+// Silence loader warnings
+const { warn } = console;
+function quietly(fn) {
+    console.warn = () => {};
+    try {
+        return fn();
+    } finally {
+        console.warn = warn;
+    }
+}
+
+const unit = {
+    meta: { schema: 'unit-template.v2', version: '2.0' },
+    id: 'unit-001',
+    rect: { x: 0, y: 0, w: 6, h: 4 },
+    children: [
+        { rect: { x: 0, y: 0, w: 2, h: 2 } },
+        { id: 'room-lobby', rect: { x: 2, y: 0, w: 2, h: 2 } },
+        { rect: { x: 4, y: 0, w: 2, h: 2 } }
+    ]
+};
+
+console.log('🧪 Running Template Loader Tests...\n');
+
+// Test 1: stable names
+runAssertion('unnamed children are named from their rect and keep that name across loads', () => {
+    const first = load(unit).dto.children.map(child => child.id);
+    assert.deepStrictEqual(first, ['room-0-0-2x2', 'room-lobby', 'room-4-0-2x2']);
+    assert.deepStrictEqual(load(structuredClone(unit)).dto.children.map(child => child.id), first);
+
+    const room = load({ meta: { schema: 'room-template.v2' }, id: 'room-1', rect: { x: 0, y: 0, w: 3, h: 3 }, children: [{ rect: { x: 1, y: 1, w: 1, h: 1 } }] });
+    assert.deepStrictEqual(room.dto.children.map(child => child.id), ['zone-1-1-1x1']);
+});
+
+// Test 2: collisions
+runAssertion('derived names get a numeric suffix instead of colliding', () => {
+    const { dto } = load({
+        ...unit,
+        children: [
+            { rect: { x: 0, y: 0, w: 2, h: 2 } },
+            { id: 'room-0-0-2x2-2', rect: { x: 2, y: 0, w: 2, h: 2 } },
+            { rect: { x: 0, y: 0, w: 2, h: 2 } },
+            { id: 'room-0-0-2x2', rect: { x: 4, y: 0, w: 2, h: 2 } }
+        ]
+    });
+    assert.deepStrictEqual(dto.children.map(child => child.id), ['room-0-0-2x2-3', 'room-0-0-2x2-2', 'room-0-0-2x2-4', 'room-0-0-2x2']);
+    assert.strictEqual(new Set(dto.children.map(child => child.id)).size, 4);
+});
+
+// Test 3: warnings
+runAssertion('the loader lists auto-named children and mall units', () => {
+    const { warnings } = load(unit);
+    assert.deepStrictEqual(warnings, [
+        'unit "unit-001": 2 entries have no id and were auto-named (/children/0 → room-0-0-2x2, /children/2 → room-4-0-2x2)'
+    ]);
+
+    const mall = load({ meta: { schema: 'mall-template.v1' }, id: 'mall-001', grid: { width: 20, height: 10 }, units: [{ rect: { x: 1, y: 1, w: 3, h: 2 } }] });
+    assert.deepStrictEqual(mall.dto.units.map(u => u.id), ['unit-1-1-3x2']);
+    assert.deepStrictEqual(mall.warnings, ['mall "mall-001": 1 entry has no id and was auto-named (/units/0 → unit-1-1-3x2)']);
+
+    assert.deepStrictEqual(load({ ...unit, children: unit.children.map((child, i) => ({ id: `room-${i}`, ...child })) }).warnings, []);
+});
+
+console.log(`\nTest Summary: ${passedAssertions}/${totalAssertions} assertions passed`);
+
+if (passedAssertions === totalAssertions) {
+    console.log('All template loader tests passed!');
+    process.exit(0);
+} else {
+    console.log('Some template loader tests failed');
+    process.exit(1);
+}
@@ -0,0 +1,203 @@
+/**
+ * Template Resolver Tests - Validates automatic parent template resolution
+ *
+ * Tests:
+ * 1. Parent references come from meta.parent or legacy parent fields; paths resolve against the child
+ * 2. Index, relative, recent-file and base URL sources find parents
+ * 3. The relationship manager fetches the whole parent chain recursively
+ * 4. Wrong files are skipped; missing parents and cycles produce clear errors
+ * 5. The repo's floor-plans units find their mall with the sources the editor configures
+ */
+
+import assert from 'assert';
+import { readFile } from 'fs/promises';
+import {
+    getParentRef, resolveTemplatePath, createTemplateResolver,
+    indexSource, relativeSource, recentFilesSource, baseUrlSource
+} from '../src/editor/core/TemplateResolver.js';
+import { TemplateRelationshipManager } from '../src/editor/core/TemplateRelationshipManager.js';
+import { load } from '../src/editor/core/TemplateLoader.js';
+
+let totalAssertions = 0;
+let passedAssertions = 0;
+
+async function runAssertion(description, assertion) {
+    totalAssertions++;
+    try {
+        await quietly(assertion);
+        passedAssertions++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        console.error(`✗ ${description}: ${error.message}`);
+    }
+}
+
+// Silence resolver and relationship manager logging
+const { log, warn } = console;
+async function quietly(fn) {
+    console.log = console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, { log, warn });
+    }
+}
+
+const mall = { meta: { schema: 'mall-template.v1' }, id: 'mall-001', gridSize: { width: 20, height: 10 }, units: [{ id: 'unit-001', rect: { x: 0, y: 0, w: 6, h: 4 } }] };
+const unit = { meta: { schema: 'unit-template.v1', parent: { schema: 'mall-template.v1', id: 'mall-001' } }, id: 'unit-001', rect: { x: 0, y: 0, w: 6, h: 4 } };
+const room = { meta: { schema: 'room-template.v1', parent: { schema: 'unit-template.v1', id: 'unit-001' } }, id: 'room-001', rect: { x: 1, y: 1, w: 2, h: 2 } };
+
+// In-memory file tree standing in for fetch; records every path requested
+function createFiles(files) {
+    const requested = [];
+    const fetchJson = async (path) => {
+        requested.push(path);
+        if (!(path in files)) throw new Error('HTTP 404: Not Found');
+        return structuredClone(files[path]);
+    };
+    return { fetchJson, requested };
+}
+
+async function loadWithManager(templateData, resolver, source) {
+    const manager = new TemplateRelationshipManager({ resolver });
+    const result = await manager.loadTemplate(templateData, load(templateData).dto, { source });
+    return { manager, result };
+}
+
+console.log('🧪 Running Template Resolver Tests...\n');
+
+// Test 1: references and paths
+await runAssertion('parent references come from meta.parent or legacy parent fields', () => {
+    assert.deepStrictEqual(getParentRef(unit), { schema: 'mall-template.v1', id: 'mall-001' });
+    assert.deepStrictEqual(getParentRef({ meta: { schema: 'unit-template.v1' }, id: 'u', parentMallId: 'mall-009' }),
+        { id: 'mall-009', schema: 'mall-template.v1' });
+    assert.strictEqual(getParentRef(mall), null);
+});
+
+await runAssertion('paths resolve against the referencing file', () => {
+    assert.strictEqual(resolveTemplatePath('mall.json', 'floor-plans/mall/units-index.json'), 'floor-plans/mall/mall.json');
+    assert.strictEqual(resolveTemplatePath('../mall/m.json', '/floor-plans/units/u.json'), '/floor-plans/mall/m.json');
+    assert.strictEqual(resolveTemplatePath('m.json', 'https://example.com/t/u.json'), 'https://example.com/t/m.json');
+    assert.strictEqual(resolveTemplatePath('/abs/m.json', 'floor-plans/u.json'), '/abs/m.json');
+    assert.strictEqual(resolveTemplatePath('m.json'), 'm.json');
+});
+
+// Test 2: sources
+await runAssertion('the index source finds parents listed in any index array', async () => {
+    const { fetchJson } = createFiles({
+        '/floor-plans/mall/units-index.json': { units: [{ id: 'unit-001', rect: {} }], templates: [{ id: 'mall-001', path: 'mall-main.json' }] },
+        '/floor-plans/mall/mall-main.json': mall
+    });
+    const resolver = createTemplateResolver({ sources: [indexSource('/floor-plans/mall/units-index.json', { fetchJson })], fetchJson });
+
+    const resolved = await resolver.resolve(getParentRef(unit), { childId: 'unit-001' });
+    assert.deepStrictEqual([resolved.source, resolved.via, resolved.templateData.id], ['/floor-plans/mall/mall-main.json', 'index', 'mall-001']);
+});
+
+await runAssertion('relative, recent-file and base URL sources are tried in order', async () => {
+    const { fetchJson, requested } = createFiles({
+        'lib/units/unit-001.json': unit,
+        'https://cdn.example.com/mall/mall-001.json': mall
+    });
+    const resolver = createTemplateResolver({
+        sources: [
+            relativeSource(),
+            recentFilesSource(() => [{ templateId: 'unit-001', source: 'lib/units/unit-001.json' }, null]),
+            baseUrlSource('https://cdn.example.com')
+        ],
+        fetchJson
+    });
+
+    const parentOfRoom = await resolver.resolve(getParentRef(room), { childId: 'room-001', childSource: 'lib/rooms/room-001.json' });
+    assert.strictEqual(parentOfRoom.via, 'relative');
+    assert.deepStrictEqual(requested, ['lib/rooms/unit-001.json', 'lib/units/unit-001.json']);
+
+    const parentOfUnit = await resolver.resolve(getParentRef(unit), { childId: 'unit-001' });
+    assert.deepStrictEqual([parentOfUnit.via, parentOfUnit.source], ['baseUrl', 'https://cdn.example.com/mall/mall-001.json']);
+});
+
+// Test 3: recursive chains
+await runAssertion('loading a room pulls in its unit and mall', async () => {
+    const { fetchJson } = createFiles({
+        'floor-plans/units/unit-001.json': unit,
+        'floor-plans/mall/mall-001.json': mall
+    });
+    const resolver = createTemplateResolver({ sources: [relativeSource()], fetchJson });
+    const { manager, result } = await loadWithManager(room, resolver, 'floor-plans/rooms/room-001.json');
+
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.hierarchy.map(t => `${t.dto.type}:${t.id}`), ['mall:mall-001', 'unit:unit-001', 'room:room-001']);
+    assert.strictEqual(result.parent.id, 'unit-001');
+    assert.strictEqual(manager.getTemplate('mall-001').source, 'floor-plans/mall/mall-001.json');
+});
+
+await runAssertion('cached parents are used without a resolver', async () => {
+    const manager = new TemplateRelationshipManager();
+    await manager.loadTemplate(mall, load(mall).dto);
+    const result = await manager.loadTemplate(unit, load(unit).dto);
+    assert.deepStrictEqual(result.errors, []);
+    assert.strictEqual(result.parent.id, 'mall-001');
+});
+
+// Test 4: failures
+await runAssertion('files with the wrong id or kind are skipped and listed when nothing matches', async () => {
+    const { fetchJson } = createFiles({
+        'lib/units/mall-001.json': { ...unit, id: 'mall-001' },
+        'lib/mall/mall-001.json': { ...mall, id: 'other' }
+    });
+    const resolver = createTemplateResolver({ sources: [relativeSource()], fetchJson });
+    const { result } = await loadWithManager(unit, resolver, 'lib/units/unit-001.json');
+
+    assert.strictEqual(result.hasParent, false);
+    assert.deepStrictEqual(result.errors, [
+        'Parent template "mall-001" of "unit-001" not found: tried relative lib/units/mall-001.json (unit template, expected mall); ' +
+        'relative lib/mall/mall-001.json (id is "other")'
+    ]);
+});
+
+await runAssertion('a broken chain reports where it broke and keeps the resolved part', async () => {
+    const { fetchJson } = createFiles({ 'units/unit-001.json': unit });
+    const resolver = createTemplateResolver({ sources: [relativeSource()], fetchJson });
+    const { result } = await loadWithManager(room, resolver, 'rooms/room-001.json');
+
+    assert.deepStrictEqual(result.hierarchy.map(t => t.id), ['unit-001', 'room-001']);
+    assert.strictEqual(result.errors.length, 1);
+    assert.match(result.errors[0], /^Parent template "mall-001" of "unit-001" not found: .* \(chain: room-001 → unit-001\)$/);
+
+    const { result: unresolved } = await loadWithManager(unit, null);
+    assert.deepStrictEqual(unresolved.errors, ['Parent template "mall-001" of "unit-001" is not loaded and no template resolver is configured']);
+});
+
+await runAssertion('parent cycles are detected instead of looping', async () => {
+    const loopUnit = { ...unit, meta: { schema: 'unit-template.v1', parent: { id: 'room-001', path: 'room-001.json' } } };
+    const { fetchJson } = createFiles({ 'lib/unit-001.json': loopUnit });
+    const resolver = createTemplateResolver({ sources: [relativeSource()], fetchJson });
+    const { result } = await loadWithManager(room, resolver, 'lib/room-001.json');
+
+    assert.deepStrictEqual(result.errors, ['Template parent cycle: room-001 → unit-001 → room-001']);
+    assert.deepStrictEqual(result.hierarchy.map(t => t.id), ['unit-001', 'room-001']);
+});
+
+// Test 5: checked-in floor plans, served from the repo root like the editor's dev server
+await runAssertion('floor-plans units find mall-001 through the indexes the editor loads', async () => {
+    const editorSource = await readFile(new URL('../src/editor/editor.js', import.meta.url), 'utf8');
+    const indexPaths = [...editorSource.match(/const TEMPLATE_INDEX_PATHS = \[([^\]]*)\]/)[1].matchAll(/'([^']+)'/g)].map(match => match[1]);
+    const fetchJson = async (path) => JSON.parse(await readFile(new URL(`..${path}`, import.meta.url), 'utf8'));
+    const resolver = createTemplateResolver({ sources: [indexSource(indexPaths, { fetchJson }), relativeSource()], fetchJson });
+
+    for (const childSource of ['/floor-plans/units/unit-001.json', '/floor-plans/units_generated/unit-001.json']) {
+        const child = await fetchJson(childSource);
+        const resolved = await resolver.resolve(getParentRef(child), { childId: child.id, childSource });
+        assert.deepStrictEqual([resolved.source, resolved.via, resolved.templateData.id], ['/floor-plans/mall/mall.json', 'index', 'mall-001'], childSource);
+    }
+});
+
+console.log(`\nTest Summary: ${passedAssertions}/${totalAssertions} assertions passed`);
+
+if (passedAssertions === totalAssertions) {
+    console.log('All template resolver tests passed!');
+    process.exit(0);
+} else {
+    console.log('Some template resolver tests failed');
+    process.exit(1);
+}
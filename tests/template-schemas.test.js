@@ -0,0 +1,164 @@
+/**
+ * Template Schema Tests - Validates the JSON Schemas for mall/unit/room/object templates
+ *
+ * Tests:
+ * 1. Every template ExportBuilder writes matches its schema, checked with AJV straight from schemas/
+ * 2. The generated browser validators are up to date with the schema files
+ * 3. Errors carry JSON pointers, including meta.parent linkage
+ * 4. TemplateLoader.load reports errors after migrating, and throws in strict mode
+ * 5. The validate-templates CLI prints one pointer per error
+ */
+
+import assert from 'assert';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { createRequire } from 'module';
+import { fileURLToPath } from 'url';
+import { buildMallTemplate, buildUnitTemplate, buildRoomTemplate, buildObjectTemplate } from '../src/editor/core/ExportBuilder.js';
+import { validateTemplate, formatValidationErrors } from '../src/editor/core/TemplateValidation.js';
+import { load } from '../src/editor/core/TemplateLoader.js';
+
+const require = createRequire(import.meta.url);
+const Ajv = require('ajv');
+
+let totalAssertions = 0;
+let passedAssertions = 0;
+
+async function runAssertion(description, assertion) {
+    totalAssertions++;
+    try {
+        await assertion();
+        passedAssertions++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        console.error(`✗ ${description}: ${error.message}`);
+    }
+}
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const readSchema = (file) => JSON.parse(fs.readFileSync(path.join(rootDir, 'schemas', file), 'utf8'));
+
+// AJV compiled from the schema files themselves, independent of the generated module
+const ajv = new Ajv({ allErrors: true, strict: true });
+ajv.addSchema(readSchema('template-common.v1.schema.json'));
+const sourceValidators = {
+    mall: ajv.compile(readSchema('mall-template.v1.schema.json')),
+    unit: ajv.compile(readSchema('unit-template.v2.schema.json')),
+    room: ajv.compile(readSchema('room-template.v2.schema.json')),
+    object: ajv.compile(readSchema('object-template.v2.schema.json'))
+};
+
+const exported = {
+    mall: buildMallTemplate({
+        gridWidth: 20, gridHeight: 10, cellSize: 20, id: 'mall-001',
+        units: [{ id: 'unit-001', rect: { x: 0, y: 0, w: 6, h: 4 } }],
+        levels: [
+            { id: 'level-0', name: 'Ground', elevation: 0, tiles: { floor: [] }, edges: { horizontal: [], vertical: [] } },
+            { id: 'level-1', name: 'First', elevation: 4, tiles: { floor: [] }, edges: { horizontal: [], vertical: [] } }
+        ],
+        verticalLinks: [{ type: 'stair', fromLevel: 'level-0', toLevel: 'level-1', rect: { x: 1, y: 1, w: 1, h: 2 } }]
+    }),
+    unit: buildUnitTemplate({ id: 'unit-001', rect: { x: 0, y: 0, w: 6, h: 4 }, rooms: [{ id: 'room-1', gridRect: { x: 0, y: 0, w: 3, h: 4 } }], parentMallId: 'mall-001' }),
+    room: buildRoomTemplate({ id: 'room-1', rect: { x: 0, y: 0, w: 3, h: 4 }, zones: [{ id: 'zone-a', rect: { x: 0, y: 0, w: 1, h: 1 } }], parentUnitId: 'unit-001' }),
+    object: buildObjectTemplate({ id: 'obj-1', rect: { x: 0, y: 0, w: 1, h: 1 }, parentRoomId: 'room-1' })
+};
+
+console.log('🧪 Running Template Schema Tests...\n');
+
+// Test 1: exports match their schemas
+await runAssertion('every exported template kind matches its schema file', () => {
+    for (const [kind, template] of Object.entries(exported)) {
+        const validate = sourceValidators[kind];
+        assert.ok(validate(template), `${kind}: ${ajv.errorsText(validate.errors)}`);
+        assert.deepStrictEqual(validateTemplate(template, kind), { valid: true, errors: [] }, `${kind} (generated)`);
+    }
+});
+
+await runAssertion('scene data attached by the editor is allowed', () => {
+    const unit = { ...exported.unit, sceneData: { tiles: { floor: [[0, 0]] } } };
+    assert.strictEqual(validateTemplate(unit, 'unit').valid, true);
+});
+
+// Test 2: generated module
+await runAssertion('generated validators are up to date with schemas/', () => {
+    const result = spawnSync(process.execPath, [path.join(rootDir, 'scripts/build-template-validators.js'), '--check'], { encoding: 'utf8' });
+    assert.strictEqual(result.status, 0, result.stdout);
+});
+
+// Test 3: error paths
+await runAssertion('errors point at the offending value', () => {
+    const unit = structuredClone(exported.unit);
+    delete unit.rect;
+    unit.children[0].rect.w = 0;
+    unit.meta.schema = 'unit-template.v1';
+
+    const { valid, errors } = validateTemplate(unit, 'unit');
+    assert.strictEqual(valid, false);
+    assert.deepStrictEqual(formatValidationErrors(errors).sort(), [
+        '/children/0/rect/w must be >= 1',
+        '/meta/schema must be "unit-template.v2"',
+        '/rect is required'
+    ]);
+    assert.strictEqual(errors.find(error => error.path === '/rect').keyword, 'required');
+});
+
+await runAssertion('meta.parent must name a parent of the right kind', () => {
+    const room = structuredClone(exported.room);
+    room.meta.parent.schema = 'mall-template.v1';
+    assert.deepStrictEqual(formatValidationErrors(validateTemplate(room, 'room').errors),
+        ['/meta/parent/schema must match pattern "^unit-template\\.v\\d+$"']);
+
+    delete room.meta.parent.id;
+    assert.ok(formatValidationErrors(validateTemplate(room, 'room').errors).includes('/meta/parent/id is required'));
+
+    const mall = { ...exported.mall, units: [{ id: 'unit-001' }], verticalLinks: [{ ...exported.mall.verticalLinks[0], type: 'ramp' }] };
+    assert.deepStrictEqual(formatValidationErrors(validateTemplate(mall, 'mall').errors), [
+        '/units/0/rect is required',
+        '/verticalLinks/0/type must be one of stair, escalator, elevator'
+    ]);
+});
+
+// Test 4: loader
+await runAssertion('load validates the migrated template and throws only in strict mode', () => {
+    const legacy = { id: 'unit-009', parentMallId: 'mall-001', rect: { x: 0, y: 0, w: 0, h: 3 }, rooms: [] };
+    const { dto, validation } = load(legacy);
+    assert.strictEqual(dto.id, 'unit-009');
+    assert.deepStrictEqual(formatValidationErrors(validation.errors), ['/rect/w must be >= 1']);
+
+    assert.throws(() => load(legacy, { strict: true }), /^Error: Invalid unit-template\.v2: \/rect\/w must be >= 1$/);
+    assert.strictEqual(load(exported.unit, { strict: true }).validation.valid, true);
+    assert.strictEqual(load({ instances: [] }, { strict: true }).validation.valid, true, 'scenes have no template schema');
+});
+
+// Test 5: CLI
+await runAssertion('validate-templates reports each error with its pointer', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'validate-templates-'));
+    try {
+        fs.writeFileSync(path.join(dir, 'good.json'), JSON.stringify(exported.room));
+        fs.writeFileSync(path.join(dir, 'bad.json'), JSON.stringify({ ...exported.object, rect: { x: 0, y: 0, w: 1.5, h: 1 } }));
+        fs.writeFileSync(path.join(dir, 'index.json'), JSON.stringify({ units: [] }));
+        const run = (...targets) => spawnSync(process.execPath, [path.join(rootDir, 'scripts/validate-templates.js'), ...targets], { encoding: 'utf8' });
+
+        const failed = run(dir);
+        assert.strictEqual(failed.status, 1);
+        assert.match(failed.stdout, /bad\.json: object-template\.v2 \/rect\/w must be integer/);
+        assert.match(failed.stdout, /✓ .*good\.json: room-template\.v2/);
+        assert.match(failed.stdout, /Template validation failed: 1 of 2 templates invalid/);
+
+        assert.strictEqual(run(path.join(dir, 'good.json')).status, 0);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+console.log(`\nTest Summary: ${passedAssertions}/${totalAssertions} assertions passed`);
+
+if (passedAssertions === totalAssertions) {
+    console.log('All template schema tests passed!');
+    process.exit(0);
+} else {
+    console.log('Some template schema tests failed');
+    process.exit(1);
+}
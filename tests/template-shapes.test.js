@@ -0,0 +1,187 @@
+/**
+ * Template Shape Tests - Validates non-rectangular unit/room/mall boundaries
+ *
+ * Tests:
+ * 1. Shapes given as cells or as a rectilinear outline cover the same cells; bad outlines are rejected
+ * 2. The loader and schemas accept shapes on templates and children; malformed shapes fall back to the rect
+ * 3. Bounds, ghost outlines, unit selection and detection follow the exact shape
+ * 4. Exports write shapes, round trips keep their form, and glTF regions group by shape
+ */
+
+import assert from 'assert';
+import { readFileSync } from 'fs';
+import { normalizeShape, shapeCells, shapeBoundaryEdges, shapeBoundingRect, cellsToShape } from '../src/editor/core/TemplateShape.js';
+import { makeBounds } from '../src/editor/core/TemplateBounds.js';
+import { load } from '../src/editor/core/TemplateLoader.js';
+import { validateTemplate, formatValidationErrors } from '../src/editor/core/TemplateValidation.js';
+import { buildMallTemplate, buildUnitTemplate, patchTemplate } from '../src/editor/core/ExportBuilder.js';
+import { FloorplanDocument } from '../src/editor/core/FloorplanDocument.js';
+import { buildSceneNodes } from '../src/editor/core/GltfExporter.js';
+
+let totalAssertions = 0;
+let passedAssertions = 0;
+
+async function runAssertion(description, assertion) {
+    totalAssertions++;
+    try {
+        await quietly(assertion);
+        passedAssertions++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        console.error(`✗ ${description}: ${error.message}`);
+    }
+}
+
+// Silence the document's and loader's diagnostic logging
+const { log, info, warn } = console;
+async function quietly(fn) {
+    console.log = console.info = console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, { log, info, warn });
+    }
+}
+
+// The L-shaped room of examples/pipe/room-L: a 1-wide column with a 3-wide bottom row
+const lCells = [[0, 0], [0, 1], [0, 2], [1, 2], [2, 2]];
+const lOutline = [[0, 0], [1, 0], [1, 2], [3, 2], [3, 3], [0, 3]];
+const sortPairs = (pairs) => [...pairs].sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+
+const shapedUnit = {
+    meta: { schema: 'unit-template.v2', version: '2.0', parent: { schema: 'mall-template.v1', id: 'mall-001' } },
+    id: 'unit-L',
+    rect: { x: 0, y: 0, w: 3, h: 3 },
+    shape: { outline: lOutline },
+    children: [
+        { id: 'room-a', rect: { x: 0, y: 0, w: 1, h: 3 } },
+        { id: 'room-b', rect: { x: 1, y: 2, w: 2, h: 1 }, shape: { cells: [[1, 2], [2, 2]] } }
+    ]
+};
+
+console.log('🧪 Running Template Shape Tests...\n');
+
+// Test 1: shape forms
+await runAssertion('cells and outline describe the same L and trace its perimeter', () => {
+    assert.deepStrictEqual(shapeCells(normalizeShape({ outline: lOutline })), lCells);
+    assert.deepStrictEqual(shapeCells(normalizeShape({ cells: [...lCells].reverse() })), lCells);
+    assert.deepStrictEqual(shapeBoundingRect({ outline: lOutline }), { x: 0, y: 0, w: 3, h: 3 });
+
+    const edges = shapeBoundaryEdges({ outline: lOutline });
+    assert.deepStrictEqual(sortPairs(edges.horizontal), [[0, 0], [1, 2], [2, 2], [0, 3], [1, 3], [2, 3]]);
+    assert.deepStrictEqual(sortPairs(edges.vertical), [[0, 0], [1, 0], [0, 1], [1, 1], [0, 2], [3, 2]]);
+
+    assert.strictEqual(normalizeShape(undefined), null);
+    assert.throws(() => normalizeShape({ outline: [[0, 0], [2, 0], [2, 2], [1, 3]] }), /not rectilinear between corners 2 and 3/);
+    assert.throws(() => normalizeShape({ cells: [[0, 0.5]] }), /cells\/0 must be an \[x, y\] pair of integers/);
+    assert.throws(() => normalizeShape({ rect: {} }), /must have cells or outline/);
+});
+
+await runAssertion('detected regions only get a shape when they are not rectangles', () => {
+    assert.deepStrictEqual(cellsToShape(lCells, { x: 0, y: 0, w: 3, h: 3 }), { cells: lCells });
+    assert.strictEqual(cellsToShape([[4, 4], [5, 4]], { x: 4, y: 4, w: 2, h: 1 }), null);
+});
+
+// Test 2: loader and schemas
+await runAssertion('shapes load onto the DTO and pass schema validation', () => {
+    const { dto, validation, warnings } = load(shapedUnit);
+    assert.deepStrictEqual(dto.shape, { outline: lOutline });
+    assert.deepStrictEqual(dto.children[1].shape, { cells: [[1, 2], [2, 2]] });
+    assert.ok(!('shape' in dto.children[0]));
+    assert.deepStrictEqual([validation.valid, warnings], [true, []]);
+
+    const mall = buildMallTemplate({ gridWidth: 10, gridHeight: 10, cellSize: 20, id: 'mall-001', units: [{ id: 'unit-L', rect: shapedUnit.rect, shape: shapedUnit.shape }] });
+    assert.deepStrictEqual(validateTemplate(mall, 'mall'), { valid: true, errors: [] });
+    assert.deepStrictEqual(load(mall).dto.units[0].shape, { outline: lOutline });
+});
+
+await runAssertion('malformed shapes are reported and the rect applies instead', () => {
+    const bad = { ...shapedUnit, shape: { outline: [[0, 0], [3, 3], [0, 3]] } };
+    assert.deepStrictEqual(formatValidationErrors(validateTemplate({ ...shapedUnit, shape: { cells: lCells, outline: lOutline } }, 'unit').errors),
+        ['/shape must match exactly one schema in oneOf']);
+
+    const { dto, warnings } = load(bad);
+    assert.ok(!('shape' in dto));
+    assert.deepStrictEqual(warnings, ['unit "unit-L": /shape ignored, shape outline needs at least 4 corners']);
+    assert.strictEqual(makeBounds(dto).isInside(2, 0), true);
+});
+
+// Test 3: editing
+await runAssertion('bounds, ghost outline and unit selection follow the shape', () => {
+    const { dto } = load(shapedUnit);
+    const bounds = makeBounds(dto);
+    assert.deepStrictEqual([bounds.isInside(0, 0), bounds.isInside(2, 0), bounds.isInside(2, 2)], [true, false, true]);
+
+    const doc = new FloorplanDocument({ width: 6, height: 6 });
+    doc.overlayModel = { templateData: dto, bounds, constraints: null };
+    doc.showTemplate = true;
+    doc.templateType = 'unit';
+    assert.strictEqual(doc.paintTile(1, 0, 'floor'), false, 'the notch of the L is outside');
+    assert.strictEqual(doc.paintTile(1, 2, 'floor'), true);
+    assert.strictEqual(doc.isRectInsideBounds({ x: 0, y: 0, w: 2, h: 2 }), false);
+
+    doc.parseTemplateIntoLayer(shapedUnit, dto, 'current');
+    const hEdges = [];
+    doc.currentTemplateModel.horizontalEdges.forEach((row, y) => row.forEach((on, x) => on && hEdges.push([x, y])));
+    assert.deepStrictEqual(sortPairs(hEdges), sortPairs(shapeBoundaryEdges({ cells: lCells }).horizontal));
+
+    const mall = load({ meta: { schema: 'mall-template.v1' }, id: 'mall-001', grid: { width: 6, height: 6 }, units: [{ id: 'unit-L', rect: shapedUnit.rect, shape: shapedUnit.shape }] }).dto;
+    const mallDoc = new FloorplanDocument({ width: 6, height: 6 });
+    mallDoc.overlayModel = { templateData: mall, bounds: makeBounds(mall), constraints: null };
+    mallDoc.showTemplate = true;
+    assert.strictEqual(mallDoc.selectUnitAt(2, 0), null, 'the notch belongs to no unit');
+    assert.deepStrictEqual(mallDoc.selectUnitAt(2, 2).shape, { outline: lOutline });
+    assert.strictEqual(mallDoc.paintTile(2, 1, 'floor'), false);
+});
+
+await runAssertion('unit and room detection keep the cells of non-rectangular regions', () => {
+    const doc = new FloorplanDocument({ width: 8, height: 6 });
+    lCells.forEach(([x, y]) => doc.paintTile(x, y, 'floor'));
+    doc.fillFloorRect(5, 0, 6, 1);
+
+    assert.deepStrictEqual(doc.detectUnitsFromFloorTiles(), [
+        { id: 'unit-001', rect: { x: 0, y: 0, w: 3, h: 3 }, shape: { cells: lCells } },
+        { id: 'unit-002', rect: { x: 5, y: 0, w: 2, h: 2 } }
+    ]);
+    assert.deepStrictEqual(doc.generateRoomsFromCurrentContent()[0].shape, { cells: lCells });
+});
+
+// Test 4: export
+await runAssertion('exports write shapes and round trips keep their form', () => {
+    const { dto } = load(shapedUnit);
+    const built = buildUnitTemplate({ id: dto.id, rect: dto.rect, shape: dto.shape, rooms: dto.children, parentMallId: dto.parentId });
+    assert.deepStrictEqual(built.shape, { outline: lOutline });
+    assert.deepStrictEqual(built.children[1], { id: 'room-b', rect: { x: 1, y: 2, w: 2, h: 1 }, shape: { cells: [[1, 2], [2, 2]] } });
+    assert.strictEqual(validateTemplate(built, 'unit').valid, true);
+
+    const reshaped = buildUnitTemplate({ id: dto.id, rect: dto.rect, shape: { cells: lCells }, rooms: dto.children, parentMallId: dto.parentId });
+    assert.deepStrictEqual(patchTemplate(dto.source, reshaped).shape, { cells: lCells }, 'a shape is replaced, not merged');
+
+    const squared = patchTemplate(dto.source, buildUnitTemplate({ id: dto.id, rect: dto.rect, rooms: [], parentMallId: dto.parentId }));
+    assert.ok(!('shape' in squared), 'removing the shape makes the unit rectangular again');
+});
+
+await runAssertion('glTF regions group content by shape, not by bounding box', () => {
+    const scene = JSON.parse(readFileSync('examples/pipe/room-L.scene.3d.v1.json', 'utf8'));
+    const root = buildSceneNodes(scene, {
+        regions: [
+            { id: 'column', rect: { x: 0, y: 0, w: 1, h: 2 } },
+            { id: 'foot', rect: { x: 0, y: 0, w: 3, h: 3 }, shape: { cells: [[0, 2], [1, 2], [2, 2]] } }
+        ]
+    });
+    const floorCells = (name) => root.children.find(node => node.name === name).primitives[0].boxes
+        .reduce((sum, box) => sum + Math.round(box.size[0] * box.size[2]), 0);
+
+    assert.deepStrictEqual(root.children.map(node => node.name), ['column', 'foot']);
+    assert.deepStrictEqual([floorCells('column'), floorCells('foot')], [2, 3]);
+});
+
+console.log(`\nTest Summary: ${passedAssertions}/${totalAssertions} assertions passed`);
+
+if (passedAssertions === totalAssertions) {
+    console.log('All template shape tests passed!');
+    process.exit(0);
+} else {
+    console.log('Some template shape tests failed');
+    process.exit(1);
+}
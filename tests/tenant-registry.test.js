@@ -0,0 +1,230 @@
+/**
+ * Tenant Registry Tests - Validates the tenant registry and its rent roll reports
+ *
+ * Tests:
+ * 1. tenant-registry.v1 schema validation
+ * 2. Rent roll, vacancy schedule and lease expiries with unit areas from the plan
+ * 3. Cross-checks of the registry against unit occupancy (unknown tenants, double booking, ...)
+ * 4. scripts/rent-roll.js writes the reports headlessly
+ */
+
+import assert from 'assert';
+import { readFileSync, writeFileSync, mkdtempSync, rmSync, existsSync } from 'fs';
+import { spawnSync } from 'child_process';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { validateRegistry, buildRentRoll, rentRollToCsv, rentRollToMarkdown } from '../src/editor/core/TenantRegistry.js';
+import { FloorplanDocument } from '../src/editor/core/FloorplanDocument.js';
+
+let totalAssertions = 0;
+let passedAssertions = 0;
+
+async function runAssertion(description, assertion) {
+    totalAssertions++;
+    try {
+        await quietly(assertion);
+        passedAssertions++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        console.error(`✗ ${description}: ${error.message}`);
+    }
+}
+
+// Silence the document's diagnostic logging
+const { log, info, warn } = console;
+async function quietly(fn) {
+    console.log = console.info = console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, { log, info, warn });
+    }
+}
+
+const AS_OF = '2026-06-01';
+
+// unit-a (4x3 floor, 3 m²) is let, unit-b (2x3, 1.5 m²) is vacant, unit-c has no floor and is reserved
+const UNITS = [
+    { id: 'unit-a', rect: { x: 0, y: 0, w: 4, h: 3 }, type: 'food', occupancy: { status: 'occupied', tenantId: 'tenant-bean', since: '2024-01-01' } },
+    { id: 'unit-b', rect: { x: 4, y: 0, w: 2, h: 3 }, type: 'retail', occupancy: { status: 'vacant' } },
+    { id: 'unit-c', rect: { x: 8, y: 4, w: 2, h: 2 }, occupancy: { status: 'reserved' } }
+];
+
+const REGISTRY = {
+    meta: { schema: 'tenant-registry.v1', version: '1.0' },
+    mallId: 'mall-001',
+    currency: 'GBP',
+    tenants: [
+        {
+            id: 'tenant-bean',
+            name: 'Bean There',
+            leases: [{ id: 'lease-1', unitId: 'unit-a', start: '2024-01-01', end: '2026-12-31', rentPerSqm: 400, serviceChargePerSqm: 50 }]
+        },
+        {
+            id: 'tenant-gadget',
+            name: 'Gadget Hut',
+            leases: [{ unitId: 'unit-b', start: '2021-01-01', end: '2025-12-31', rentPerSqm: 300 }]
+        }
+    ]
+};
+
+function createPlan() {
+    const doc = new FloorplanDocument({ width: 10, height: 6 });
+    doc.setScale({ cellMeters: 0.5 });
+    doc.fillFloorRect(0, 0, 5, 2);
+    doc.placeWallSegment({ x: 0, y: 0 }, { x: 6, y: 0 });
+    doc.placeWallSegment({ x: 4, y: 0 }, { x: 4, y: 2 });
+    return doc;
+}
+
+function rentRoll(registry = REGISTRY, units = UNITS, withinDays = 365) {
+    const schedule = createPlan().areaSchedule({ name: 'mall-001', units });
+    return buildRentRoll({ registry, units, schedule, asOf: AS_OF, withinDays });
+}
+
+const messages = (report) => report.problems.map(problem => `${problem.severity}: ${problem.message}`);
+
+console.log('🧪 Running Tenant Registry Tests...\n');
+
+// Test 1: schema
+await runAssertion('registries are checked against tenant-registry.v1', () => {
+    assert.deepStrictEqual(validateRegistry(REGISTRY), { valid: true, errors: [] });
+
+    const bad = structuredClone(REGISTRY);
+    bad.tenants[0].id = 'Bean';
+    bad.tenants[1].leases[0].end = '31/12/2025';
+    delete bad.tenants[1].leases[0].rentPerSqm;
+    const { valid, errors } = validateRegistry(bad);
+    assert.strictEqual(valid, false);
+    assert.deepStrictEqual(errors.map(error => error.path).sort(), [
+        '/tenants/0/id', '/tenants/1/leases/0/end', '/tenants/1/leases/0/rentPerSqm'
+    ]);
+});
+
+// Test 2: reports
+await runAssertion('the rent roll charges current leases on the unit area measured on the plan', () => {
+    const report = rentRoll();
+    assert.deepStrictEqual(report.rentRoll, [{
+        unitId: 'unit-a', type: 'food', tenantId: 'tenant-bean', tenantName: 'Bean There', start: '2024-01-01', end: '2026-12-31',
+        area: 3, rentPerSqm: 400, serviceChargePerSqm: 50, annualRent: 1200, annualServiceCharge: 150, annualTotal: 1350
+    }]);
+    assert.deepStrictEqual(report.problems, []);
+});
+
+await runAssertion('units without a current lease are listed as vacancies', () => {
+    const report = rentRoll();
+    assert.deepStrictEqual(report.vacancies, [
+        { unitId: 'unit-b', type: 'retail', status: 'vacant', area: 1.5, lastLeaseEnd: '2025-12-31', nextLeaseStart: '' },
+        { unitId: 'unit-c', type: '', status: 'reserved', area: 0, lastLeaseEnd: '', nextLeaseStart: '' }
+    ]);
+    assert.deepStrictEqual(report.totals, {
+        units: 3, leasedUnits: 1, area: 4.5, leasedArea: 3, vacantArea: 1.5, vacancyRate: 1 / 3,
+        annualRent: 1200, annualServiceCharge: 150, expiring: 1
+    });
+});
+
+await runAssertion('leases ending inside the window are upcoming expiries', () => {
+    assert.deepStrictEqual(rentRoll().expiries, [
+        { unitId: 'unit-a', tenantId: 'tenant-bean', tenantName: 'Bean There', end: '2026-12-31', daysLeft: 213, annualRent: 1200 }
+    ]);
+    assert.deepStrictEqual(rentRoll(REGISTRY, UNITS, 90).expiries, []);
+});
+
+await runAssertion('CSV and Markdown reports are written with fixed decimals', () => {
+    const csv = rentRollToCsv(rentRoll());
+    assert.deepStrictEqual(Object.keys(csv), ['rent-roll', 'vacancies', 'lease-expiries']);
+    assert.strictEqual(csv['rent-roll'], 'unit,type,tenant,tenant_name,lease_start,lease_end,area_m2,rent_per_m2,service_charge_per_m2,annual_rent,annual_service_charge,annual_total\n' +
+        'unit-a,food,tenant-bean,Bean There,2024-01-01,2026-12-31,3.00,400.00,50.00,1200.00,150.00,1350.00\n');
+    assert.strictEqual(csv.vacancies.split('\n')[1], 'unit-b,retail,vacant,1.50,2025-12-31,');
+    assert.strictEqual(csv['lease-expiries'].split('\n')[1], 'unit-a,tenant-bean,Bean There,2026-12-31,213,1200.00');
+
+    const markdown = rentRollToMarkdown(rentRoll());
+    assert.ok(markdown.startsWith('# Rent Roll: mall-001\n\nAs of 2026-06-01.'));
+    assert.ok(markdown.includes('| Vacancy rate (by area) | 33.3% |'));
+    assert.ok(markdown.includes('| Annual rent | 1200.00 GBP |'));
+    assert.ok(!markdown.includes('## Problems'));
+});
+
+// Test 3: cross-checks
+await runAssertion('occupied units must reference registered tenants with a current lease', () => {
+    const units = structuredClone(UNITS);
+    units[1].occupancy = { status: 'occupied', tenantId: 'tenant-ghost' };
+    units[2].occupancy = { status: 'occupied', tenantId: 'tenant-gadget' };
+    assert.deepStrictEqual(messages(rentRoll(REGISTRY, units)), [
+        'error: unit-b is occupied by tenant-ghost, who is not in the tenant registry',
+        'warning: unit-c is occupied by tenant-gadget but has no current lease'
+    ]);
+
+    units[0].occupancy = { status: 'occupied', tenantId: 'tenant-gadget' };
+    assert.ok(messages(rentRoll(REGISTRY, units)).includes('error: unit-a is occupied by tenant-gadget but leased to tenant-bean'));
+});
+
+await runAssertion('double-booked units, duplicate tenants and unknown units are errors', () => {
+    const registry = structuredClone(REGISTRY);
+    registry.mallId = 'mall-other';
+    registry.tenants[1].leases.push({ unitId: 'unit-a', start: '2026-12-31', end: '2028-12-31', rentPerSqm: 350 });
+    registry.tenants[1].leases.push({ unitId: 'unit-z', start: '2026-01-01', end: '2026-12-31', rentPerSqm: 100 });
+    registry.tenants.push({ id: 'tenant-bean', name: 'Bean There Again' });
+
+    assert.deepStrictEqual(messages(rentRoll(registry)), [
+        'error: tenant-bean is listed more than once',
+        'error: tenant-gadget leases unit-z, which is not a unit of the mall',
+        'error: unit-a is double-booked: tenant-bean (2024-01-01 to 2026-12-31) and tenant-gadget (2026-12-31 to 2028-12-31)',
+        'warning: the registry is for mall-other, not mall-001'
+    ]);
+});
+
+await runAssertion('a lease on a unit marked vacant is a warning; back-to-back leases are fine', () => {
+    const registry = structuredClone(REGISTRY);
+    registry.tenants[1].leases.push({ unitId: 'unit-b', start: '2026-01-01', end: '2030-12-31', rentPerSqm: 320 });
+    registry.tenants[1].leases.push({ unitId: 'unit-a', start: '2027-01-01', end: '2029-12-31', rentPerSqm: 350 });
+
+    const report = rentRoll(registry);
+    assert.deepStrictEqual(messages(report), ['warning: unit-b is marked vacant but leased to tenant-gadget']);
+    assert.deepStrictEqual(report.rentRoll.map(row => [row.unitId, row.tenantId]), [['unit-a', 'tenant-bean'], ['unit-b', 'tenant-gadget']]);
+    assert.ok(rentRollToMarkdown(report).includes('## Problems\n\n- warning: unit-b is marked vacant but leased to tenant-gadget\n'));
+});
+
+// Test 4: CLI
+await runAssertion('scripts/rent-roll.js writes the reports and fails on cross-check errors', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'rent-roll-'));
+    try {
+        const scenePath = join(dir, 'mall.scene.v1.json');
+        const mallPath = join(dir, 'mall-001.json');
+        const registryPath = join(dir, 'tenants.json');
+        writeFileSync(scenePath, JSON.stringify(createPlan().toSceneV1()));
+        writeFileSync(mallPath, JSON.stringify({ meta: { schema: 'mall-template.v1', version: '1.0' }, id: 'mall-001', units: UNITS }));
+        writeFileSync(registryPath, JSON.stringify(REGISTRY));
+
+        const run = () => spawnSync(process.execPath, ['scripts/rent-roll.js', scenePath, '--mall', mallPath, '--tenants', registryPath, '--date', AS_OF],
+            { encoding: 'utf8' });
+        const result = run();
+        assert.strictEqual(result.status, 0, result.stdout + result.stderr);
+        assert.match(result.stdout, /Rent roll passed: .*mall\.rent-roll\.csv, .*mall\.vacancies\.csv, .*mall\.lease-expiries\.csv, .*mall\.rent-roll\.md \(1 of 3 units leased, vacancy 33\.3%, 1 leases ending within 365 days\)/);
+        assert.ok(readFileSync(join(dir, 'mall.rent-roll.csv'), 'utf8').includes('\nunit-a,food,tenant-bean,Bean There,2024-01-01,2026-12-31,3.00,'));
+
+        const units = structuredClone(UNITS);
+        units[1].occupancy = { status: 'occupied', tenantId: 'tenant-ghost' };
+        writeFileSync(mallPath, JSON.stringify({ meta: { schema: 'mall-template.v1', version: '1.0' }, id: 'mall-001', units }));
+        rmSync(join(dir, 'mall.rent-roll.md'));
+        const failed = run();
+        assert.strictEqual(failed.status, 1);
+        assert.match(failed.stdout, /✗ unit-b is occupied by tenant-ghost, who is not in the tenant registry\nRent roll failed: 1 cross-check error; wrote /);
+        assert.ok(existsSync(join(dir, 'mall.rent-roll.md')), 'reports are still written');
+
+        writeFileSync(registryPath, JSON.stringify({ ...REGISTRY, tenants: [{ id: 'tenant-bean' }] }));
+        assert.match(run().stdout, /Rent roll failed: invalid tenant-registry\.v1: \/tenants\/0\/name is required/);
+    } finally {
+        rmSync(dir, { recursive: true, force: true });
+    }
+});
+
+console.log(`\nTest Summary: ${passedAssertions}/${totalAssertions} assertions passed`);
+
+if (passedAssertions === totalAssertions) {
+    console.log('All tenant registry tests passed!');
+    process.exit(0);
+} else {
+    console.log('Some tenant registry tests failed');
+    process.exit(1);
+}
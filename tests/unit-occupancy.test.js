@@ -0,0 +1,184 @@
+/**
+ * Unit Occupancy Tests - Validates unit type, tenant and occupancy editing
+ *
+ * Tests:
+ * 1. TemplateLoader keeps unit name, type, entrance and occupancy
+ * 2. The occupancy rules of the mall template schema, per unit
+ * 3. FloorplanDocument.updateUnitInfo applies valid inspector values only
+ * 4. Exports write the edited values and patchTemplate drops cleared ones
+ */
+
+import assert from 'assert';
+import { load as loadTemplate } from '../src/editor/core/TemplateLoader.js';
+import { makeBounds } from '../src/editor/core/TemplateBounds.js';
+import { buildMallTemplate, patchTemplate } from '../src/editor/core/ExportBuilder.js';
+import { validateTemplate } from '../src/editor/core/TemplateValidation.js';
+import { applyUnitInfo, validateUnitInfo, occupancyColour, OCCUPANCY_COLOURS } from '../src/editor/core/UnitOccupancy.js';
+import { FloorplanDocument } from '../src/editor/core/FloorplanDocument.js';
+
+let totalAssertions = 0;
+let passedAssertions = 0;
+
+async function runAssertion(description, assertion) {
+    totalAssertions++;
+    try {
+        await quietly(assertion);
+        passedAssertions++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        console.error(`✗ ${description}: ${error.message}`);
+    }
+}
+
+// Silence the loader's and document's diagnostic logging
+const { log, info, warn } = console;
+async function quietly(fn) {
+    console.log = console.info = console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, { log, info, warn });
+    }
+}
+
+const MALL = {
+    meta: { schema: 'mall-template.v1', version: '1.0' },
+    id: 'mall-riverside',
+    grid: { width: 20, height: 10, cellSize: 20 },
+    units: [
+        {
+            id: 'unit-101',
+            name: 'Coffee Shop',
+            rect: { x: 0, y: 0, w: 6, h: 4 },
+            type: 'food',
+            entrance: { side: 'north', offset: 1 },
+            occupancy: { status: 'occupied', tenantId: 'tenant-abc123', since: '2025-01-15' },
+            signage: 'large'
+        },
+        { id: 'unit-102', rect: { x: 6, y: 0, w: 8, h: 4 } }
+    ]
+};
+
+const RECT = { x: 0, y: 0, w: 2, h: 2 };
+const paths = (errors) => errors.map(error => `${error.path} ${error.message}`);
+
+function createMallDocument() {
+    const { dto } = loadTemplate(structuredClone(MALL));
+    const changes = [];
+    const doc = new FloorplanDocument({ width: 20, height: 10, onChange: type => changes.push(type) });
+    doc.overlayModel = { templateData: dto, bounds: makeBounds(dto), constraints: null };
+    return { doc, dto, changes };
+}
+
+console.log('🧪 Running Unit Occupancy Tests...\n');
+
+// Test 1: loading
+await runAssertion('the loader keeps unit name, type, entrance and occupancy', () => {
+    const { dto, validation } = loadTemplate(structuredClone(MALL));
+    assert.strictEqual(validation.valid, true, JSON.stringify(validation.errors));
+    const { signage, ...kept } = MALL.units[0];
+    assert.deepStrictEqual(dto.units[0], kept, 'custom keys stay in dto.source only');
+    assert.deepStrictEqual(dto.units[1], MALL.units[1]);
+});
+
+await runAssertion('a file breaking the occupancy rules fails strict loading', () => {
+    const mall = structuredClone(MALL);
+    mall.units[1].occupancy = { status: 'vacant', tenantId: 'tenant-x' };
+    assert.throws(() => loadTemplate(mall, { strict: true }), /\/units\/1\/occupancy\/tenantId is not allowed/);
+});
+
+// Test 2: occupancy rules
+await runAssertion('occupied units need a tenant and vacant units have neither tenant nor start date', () => {
+    assert.deepStrictEqual(validateUnitInfo({ id: 'u', rect: RECT, occupancy: { status: 'occupied' } }),
+        [{ path: '/occupancy/tenantId', message: 'is required', keyword: 'required' }]);
+    assert.deepStrictEqual(paths(validateUnitInfo({ id: 'u', rect: RECT, occupancy: { status: 'vacant', tenantId: 'tenant-a', since: '2025-01-01' } })),
+        ['/occupancy/tenantId is not allowed', '/occupancy/since is not allowed']);
+    assert.deepStrictEqual(validateUnitInfo({ id: 'u', rect: RECT, occupancy: { status: 'reserved', since: '2025-01-01' } }), []);
+    assert.deepStrictEqual(validateUnitInfo({ id: 'u', rect: RECT, occupancy: { status: 'vacant' } }), []);
+});
+
+await runAssertion('type, tenant id and start date are checked with readable messages', () => {
+    const errors = validateUnitInfo({ id: 'u', rect: RECT, type: 'shop', occupancy: { status: 'occupied', tenantId: 'Bob', since: '15/01/2025' } });
+    assert.deepStrictEqual(paths(errors), [
+        '/type must be one of retail, service, food, kiosk, corridor',
+        '/occupancy/tenantId must look like tenant-abc123 (lowercase letters, digits and dashes)',
+        '/occupancy/since must be a date (YYYY-MM-DD)'
+    ]);
+});
+
+await runAssertion('inspector fields map onto the unit; empty values remove them', () => {
+    const unit = MALL.units[0];
+    assert.deepStrictEqual(applyUnitInfo(unit, { status: 'reserved', tenantId: ' tenant-next ', since: '' }).occupancy,
+        { status: 'reserved', tenantId: 'tenant-next' });
+    assert.deepStrictEqual(applyUnitInfo(unit, { type: 'retail' }).occupancy, unit.occupancy, 'missing fields keep their value');
+
+    const cleared = applyUnitInfo(unit, { type: '', status: '' });
+    assert.strictEqual('type' in cleared, false);
+    assert.strictEqual('occupancy' in cleared, false);
+    assert.deepStrictEqual(cleared.entrance, unit.entrance);
+    assert.strictEqual(unit.type, 'food', 'the original unit is not changed');
+});
+
+await runAssertion('overlay colours follow the occupancy status', () => {
+    assert.strictEqual(occupancyColour(MALL.units[0]), OCCUPANCY_COLOURS.occupied);
+    assert.strictEqual(occupancyColour({ occupancy: { status: 'vacant' } }), OCCUPANCY_COLOURS.vacant);
+    assert.strictEqual(occupancyColour(MALL.units[1]), null);
+});
+
+// Test 3: document
+await runAssertion('valid inspector values are applied to the mall unit', () => {
+    const { doc, dto, changes } = createMallDocument();
+    const result = doc.updateUnitInfo('unit-102', { type: 'kiosk', status: 'occupied', tenantId: 'tenant-kiosk-1', since: '2026-03-01' });
+
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(doc.getMallUnit('unit-102'), {
+        id: 'unit-102', rect: { x: 6, y: 0, w: 8, h: 4 }, type: 'kiosk',
+        occupancy: { status: 'occupied', tenantId: 'tenant-kiosk-1', since: '2026-03-01' }
+    });
+    assert.strictEqual(dto.units[1], doc.getMallUnit('unit-102'));
+    assert.deepStrictEqual(changes, ['unit']);
+});
+
+await runAssertion('invalid inspector values are reported and leave the unit unchanged', () => {
+    const { doc, changes } = createMallDocument();
+    const before = structuredClone(doc.getMallUnit('unit-101'));
+    const result = doc.updateUnitInfo('unit-101', { status: 'vacant' });
+
+    assert.deepStrictEqual(paths(result.errors), ['/occupancy/tenantId is not allowed', '/occupancy/since is not allowed']);
+    assert.deepStrictEqual(result.unit.occupancy, { status: 'vacant', tenantId: 'tenant-abc123', since: '2025-01-15' });
+    assert.deepStrictEqual(doc.getMallUnit('unit-101'), before);
+    assert.deepStrictEqual(changes, []);
+
+    assert.strictEqual(doc.updateUnitInfo('unit-999', { status: 'vacant' }), null, 'unknown unit');
+    assert.strictEqual(new FloorplanDocument().updateUnitInfo('unit-101', {}), null, 'no mall loaded');
+});
+
+// Test 4: export
+await runAssertion('mall exports write the edited occupancy and drop cleared values', () => {
+    const { doc, dto } = createMallDocument();
+    doc.updateUnitInfo('unit-101', { type: '', status: 'vacant', tenantId: '', since: '' });
+    doc.updateUnitInfo('unit-102', { type: 'retail', status: 'reserved' });
+
+    const built = buildMallTemplate({ id: dto.id, gridWidth: 20, gridHeight: 10, cellSize: 20, units: dto.units });
+    assert.deepStrictEqual(built.units[0], {
+        id: 'unit-101', rect: { x: 0, y: 0, w: 6, h: 4 }, name: 'Coffee Shop',
+        entrance: { side: 'north', offset: 1 }, occupancy: { status: 'vacant' }
+    });
+
+    const patched = patchTemplate(dto.source, built);
+    assert.strictEqual('type' in patched.units[0], false, 'a cleared type stays cleared');
+    assert.deepStrictEqual(patched.units[0].occupancy, { status: 'vacant' });
+    assert.strictEqual(patched.units[0].signage, 'large', 'custom unit keys are kept');
+    assert.deepStrictEqual(patched.units[1], { id: 'unit-102', rect: { x: 6, y: 0, w: 8, h: 4 }, type: 'retail', occupancy: { status: 'reserved' } });
+    assert.strictEqual(validateTemplate(patched, 'mall').valid, true);
+});
+
+console.log(`\nTest Summary: ${passedAssertions}/${totalAssertions} assertions passed`);
+
+if (passedAssertions === totalAssertions) {
+    console.log('All unit occupancy tests passed!');
+    process.exit(0);
+} else {
+    console.log('Some unit occupancy tests failed');
+    process.exit(1);
+}
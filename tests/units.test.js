@@ -0,0 +1,185 @@
+/**
+ * Units Tests - Validates the real-world scale and length formatting
+ *
+ * Tests:
+ * 1. Lengths parse from metric and imperial text and format in either system
+ * 2. Exports size the building from scale.cellMeters, not from the pixel cellSize
+ * 3. scene.v1 saves and mall templates carry the scale; the default is left out
+ * 4. Measurements: distances between grid points, and the area and perimeter of floor regions
+ */
+
+import assert from 'assert';
+import { parseLength, formatLength, formatArea, formatCells, describeScale, gridDistance, normalizeScale, scaleToWire, METERS_PER_FOOT } from '../src/editor/core/Units.js';
+import { toScene3D, toScene3DLevels, toScene3DChunks } from '../src/editor/core/ExportBuilder3D.js';
+import { buildMallTemplate, patchTemplate } from '../src/editor/core/ExportBuilder.js';
+import { load } from '../src/editor/core/TemplateLoader.js';
+import { validateTemplate } from '../src/editor/core/TemplateValidation.js';
+import { createLevel } from '../src/editor/core/Levels.js';
+import { FloorplanDocument } from '../src/editor/core/FloorplanDocument.js';
+
+let totalAssertions = 0;
+let passedAssertions = 0;
+
+async function runAssertion(description, assertion) {
+    totalAssertions++;
+    try {
+        await quietly(assertion);
+        passedAssertions++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        console.error(`✗ ${description}: ${error.message}`);
+    }
+}
+
+// Silence the exporters' diagnostic logging
+const { log, info, warn } = console;
+async function quietly(fn) {
+    console.log = console.info = console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, { log, info, warn });
+    }
+}
+
+// 4x2 walled room
+function createRoom() {
+    const doc = new FloorplanDocument({ width: 6, height: 4 });
+    doc.fillFloorRect(0, 0, 3, 1);
+    doc.placeWallSegment({ x: 0, y: 0 }, { x: 3, y: 0 });
+    return doc;
+}
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} ≠ ${expected}`);
+
+console.log('🧪 Running Units Tests...\n');
+
+// Test 1: parsing and formatting
+await runAssertion('lengths parse from metric and imperial text', () => {
+    close(parseLength('0.5 m'), 0.5);
+    close(parseLength('50cm'), 0.5);
+    close(parseLength('2 ft'), 2 * METERS_PER_FOOT);
+    close(parseLength(`2' 6"`), 2.5 * METERS_PER_FOOT);
+    close(parseLength('30 in'), 2.5 * METERS_PER_FOOT);
+    close(parseLength('1.5'), 1.5);
+    close(parseLength('2', 'imperial'), 2 * METERS_PER_FOOT);
+    for (const bad of ['', 'abc', '0', '-1 m', '2 parsecs', '2 m extra']) {
+        assert.strictEqual(parseLength(bad), null, bad);
+    }
+});
+
+await runAssertion('lengths and areas format in either system', () => {
+    assert.strictEqual(formatLength(12.345), '12.35 m');
+    assert.strictEqual(formatLength(2.5 * METERS_PER_FOOT, 'imperial'), `2' 6"`);
+    assert.strictEqual(formatLength(2 * METERS_PER_FOOT, 'imperial'), `2'`);
+    assert.strictEqual(formatLength(0.1524, 'imperial'), '6"');
+    assert.strictEqual(formatArea(10), '10 m²');
+    assert.strictEqual(formatArea(10, 'imperial'), '107.6 ft²');
+
+    const feet = { cellMeters: 2 * METERS_PER_FOOT, units: 'imperial' };
+    assert.strictEqual(formatCells(5, feet), `10'`);
+    assert.strictEqual(describeScale({ cellMeters: 0.5, units: 'metric' }), '1 cell = 0.5 m');
+});
+
+await runAssertion('scales normalize and the default is left out of files', () => {
+    assert.deepStrictEqual(normalizeScale(), { cellMeters: 1, units: 'metric' });
+    assert.deepStrictEqual(normalizeScale({ cellMeters: -2, units: 'cubits' }), { cellMeters: 1, units: 'metric' });
+    assert.strictEqual(scaleToWire({ cellMeters: 1 }), null);
+    assert.deepStrictEqual(scaleToWire({ cellMeters: 0.5 }), { cellMeters: 0.5, units: 'metric' });
+});
+
+// Test 2: exports
+await runAssertion('the pixel cell size no longer changes the building size', () => {
+    const room = createRoom();
+    const small = toScene3D(room.sceneModel, 20, 'room');
+    const large = toScene3D(room.sceneModel, 40, 'room');
+    assert.strictEqual(small.units.cellMeters, 1);
+    assert.deepStrictEqual(large.units, small.units);
+    assert.deepStrictEqual(large.bounds, small.bounds);
+});
+
+await runAssertion('every export uses the scale it is given', () => {
+    const room = createRoom();
+    const scene = toScene3D(room.sceneModel, 20, 'room', { cellMeters: 0.5 });
+    assert.strictEqual(scene.units.cellMeters, 0.5);
+    assert.deepStrictEqual(scene.bounds.max, { x: 2, y: 1, z: 3 });
+
+    const levels = [createLevel({ id: 'level-0', sceneModel: room.sceneModel })];
+    assert.strictEqual(toScene3DLevels({ levels, cellSize: 20, cellMeters: 0.5 }).units.cellMeters, 0.5);
+
+    const { manifest, chunks } = toScene3DChunks(room.sceneModel, 20, 'room', { chunkSize: { x: 2, y: 2 }, cellMeters: 0.5 });
+    assert.strictEqual(manifest.units.cellMeters, 0.5);
+    assert.ok(chunks.every(chunk => chunk.scene.units.cellMeters === 0.5));
+
+    assert.throws(() => toScene3D(room.sceneModel, 20, 'room', { cellMeters: 0 }), /Invalid cellMeters/);
+});
+
+// Test 3: files
+await runAssertion('scene.v1 saves carry the scale', () => {
+    const source = createRoom();
+    assert.strictEqual(source.toSceneV1().scale, undefined, 'default scale is left out');
+
+    source.setScale({ cellMeters: parseLength('2 ft') });
+    source.setScale({ units: 'imperial' });
+    const saved = source.toSceneV1();
+    assert.deepStrictEqual(saved.scale, { cellMeters: 2 * METERS_PER_FOOT, units: 'imperial' });
+
+    const target = new FloorplanDocument();
+    target.fromSceneV1(saved);
+    assert.deepStrictEqual(target.scale, saved.scale);
+    target.fromSceneV1({ ...saved, scale: undefined });
+    assert.deepStrictEqual(target.scale, { cellMeters: 1, units: 'metric' }, 'files without a scale use the default');
+});
+
+await runAssertion('mall templates store the scale and hand it back on load', () => {
+    const scale = { cellMeters: 0.5, units: 'metric' };
+    const built = buildMallTemplate({ id: 'mall-001', gridWidth: 20, gridHeight: 10, cellSize: 20, units: [], scale });
+    assert.deepStrictEqual(built.scale, scale);
+    assert.deepStrictEqual(validateTemplate(built, 'mall'), { valid: true, errors: [] });
+    assert.strictEqual(validateTemplate({ ...built, scale: { cellMeters: 0 } }, 'mall').valid, false);
+
+    const { dto } = load(structuredClone(built));
+    assert.deepStrictEqual(dto.scale, scale);
+
+    // Re-exporting at the default scale drops the field the editor owns
+    const rebuilt = buildMallTemplate({ id: 'mall-001', gridWidth: 20, gridHeight: 10, cellSize: 20, units: [] });
+    assert.strictEqual('scale' in patchTemplate(dto.source, rebuilt), false);
+    assert.strictEqual(load(rebuilt).dto.scale, undefined);
+});
+
+// Test 4: measurements
+await runAssertion('distances between grid points use the scale', () => {
+    const scale = { cellMeters: 0.5, units: 'metric' };
+    assert.strictEqual(gridDistance({ x: 0, y: 0 }, { x: 6, y: 8 }, scale), 5);
+    assert.strictEqual(gridDistance({ x: 4, y: 2 }, { x: 0, y: 2 }, scale), 2);
+});
+
+await runAssertion('floor regions report their area and perimeter', () => {
+    // An L of 4x2 plus a 1x2 leg, and a separate single cell
+    const doc = new FloorplanDocument({ width: 8, height: 6 });
+    doc.fillFloorRect(0, 0, 3, 1);
+    doc.fillFloorRect(0, 2, 0, 3);
+    doc.paintTile(6, 5, 'floor');
+    doc.setScale({ cellMeters: 0.5 });
+
+    const region = doc.measureFloorRegion(3, 1);
+    assert.strictEqual(region.tiles, 10);
+    assert.deepStrictEqual(region.bounds, { x: 0, y: 0, w: 4, h: 4 });
+    assert.strictEqual(region.sides, 16);
+    assert.strictEqual(region.area, 2.5);
+    assert.strictEqual(region.perimeter, 8);
+
+    const single = doc.measureFloorRegion(6, 5);
+    assert.deepStrictEqual([single.tiles, single.sides], [1, 4], 'cells on the grid border count their outer sides');
+    assert.strictEqual(doc.measureFloorRegion(5, 0), null, 'no region off the floor');
+});
+
+console.log(`\nTest Summary: ${passedAssertions}/${totalAssertions} assertions passed`);
+
+if (passedAssertions === totalAssertions) {
+    console.log('All units tests passed!');
+    process.exit(0);
+} else {
+    console.log('Some units tests failed');
+    process.exit(1);
+}
@@ -0,0 +1,107 @@
+/**
+ * Viewport Tests - Validates zoom, pan and visible-cell math for the 2D canvas
+ *
+ * Tests:
+ * 1. Zooming keeps the world point under the cursor and clamps the scale
+ * 2. Panning and centering move the view in canvas pixels
+ * 3. Fitting a rect centers it with padding
+ * 4. Only visible cells are reported, clamped to the grid
+ * 5. Dirty-region rects intersect and merge
+ */
+
+import assert from 'assert';
+import { Viewport, MIN_ZOOM, MAX_ZOOM, intersectRects, unionRects } from '../src/editor/core/Viewport.js';
+
+let totalAssertions = 0;
+let passedAssertions = 0;
+
+async function runAssertion(description, assertion) {
+    totalAssertions++;
+    try {
+        await assertion();
+        passedAssertions++;
+        console.log(`✓ ${description}`);
+    } catch (error) {
+        console.error(`✗ ${description}: ${error.message}`);
+    }
+}
+
+const CELL = 20;
+
+console.log('🧪 Running Viewport Tests...\n');
+
+// Test 1: zoom
+await runAssertion('zooming keeps the point under the cursor and clamps the scale', () => {
+    const view = new Viewport({ width: 1200, height: 800 });
+    const before = view.screenToWorld(300, 200);
+    assert.strictEqual(view.zoomAt(300, 200, 2), true);
+    assert.strictEqual(view.scale, 2);
+    assert.deepStrictEqual(view.screenToWorld(300, 200), before);
+    assert.deepStrictEqual(view.worldToScreen(...before), [300, 200]);
+
+    view.zoomAt(0, 0, 1000);
+    assert.strictEqual(view.scale, MAX_ZOOM);
+    assert.strictEqual(view.zoomAt(0, 0, 2), false, 'no change past the limit');
+    view.zoomAt(0, 0, 1e-6);
+    assert.strictEqual(view.scale, MIN_ZOOM);
+});
+
+// Test 2: pan
+await runAssertion('panning follows the pointer and centering keeps the zoom', () => {
+    const view = new Viewport({ width: 1200, height: 800 });
+    view.zoomAt(0, 0, 2);
+    view.panBy(100, -50);
+    assert.deepStrictEqual([view.offsetX, view.offsetY], [-50, 25]);
+    assert.deepStrictEqual(view.worldToScreen(0, 0), [100, -50]);
+
+    view.centerOn(400, 300);
+    assert.deepStrictEqual(view.worldToScreen(400, 300), [600, 400]);
+    assert.strictEqual(view.scale, 2);
+    assert.deepStrictEqual(view.transform(), [2, 0, 0, 2, -200, -200]);
+});
+
+// Test 3: fit
+await runAssertion('fitting a rect centers it inside the padding', () => {
+    const view = new Viewport({ width: 1200, height: 800 });
+    view.fitRect({ x: 0, y: 0, w: 400 * CELL, h: 300 * CELL });
+    assert.strictEqual(view.scale, 752 / 6000);
+    assert.deepStrictEqual(view.worldToScreen(4000, 3000).map(Math.round), [600, 400]);
+
+    view.fitRect({ x: 40, y: 40, w: 40, h: 20 }, { maxScale: 1 });
+    assert.strictEqual(view.scale, 1, 'small rects are not blown up past maxScale');
+});
+
+// Test 4: visible cells
+await runAssertion('only cells in view are drawn, clamped to the grid', () => {
+    const view = new Viewport({ width: 1200, height: 800 });
+    assert.deepStrictEqual(view.visibleCells(CELL, 400, 300), { x: 0, y: 0, w: 60, h: 40 });
+
+    // A partly visible cell counts
+    view.panBy(-10, -10);
+    assert.deepStrictEqual(view.visibleCells(CELL, 400, 300), { x: 0, y: 0, w: 61, h: 41 });
+
+    view.fitRect({ x: 0, y: 0, w: 400 * CELL, h: 300 * CELL });
+    assert.deepStrictEqual(view.visibleCells(CELL, 400, 300), { x: 0, y: 0, w: 400, h: 300 });
+
+    view.centerOn(-5000, -5000);
+    assert.strictEqual(view.visibleCells(CELL, 400, 300), null);
+});
+
+// Test 5: dirty regions
+await runAssertion('dirty rects merge and clip against the view', () => {
+    assert.deepStrictEqual(unionRects(null, { x: 3, y: 4, w: 1, h: 1 }), { x: 3, y: 4, w: 1, h: 1 });
+    assert.deepStrictEqual(unionRects({ x: 3, y: 4, w: 1, h: 1 }, { x: 1, y: 6, w: 2, h: 1 }), { x: 1, y: 4, w: 3, h: 3 });
+    assert.deepStrictEqual(intersectRects({ x: 0, y: 0, w: 10, h: 10 }, { x: 8, y: -2, w: 5, h: 5 }), { x: 8, y: 0, w: 2, h: 3 });
+    assert.strictEqual(intersectRects({ x: 0, y: 0, w: 2, h: 2 }, { x: 2, y: 0, w: 2, h: 2 }), null);
+    assert.strictEqual(intersectRects(null, { x: 0, y: 0, w: 1, h: 1 }), null);
+});
+
+console.log(`\nTest Summary: ${passedAssertions}/${totalAssertions} assertions passed`);
+
+if (passedAssertions === totalAssertions) {
+    console.log('All viewport tests passed!');
+    process.exit(0);
+} else {
+    console.log('Some viewport tests failed');
+    process.exit(1);
+}